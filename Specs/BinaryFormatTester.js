@@ -0,0 +1,1598 @@
+import {
+  defaultValue,
+  defined,
+  PMTilesArchive,
+  Resource,
+} from "@cesium/engine";
+import pako from "pako/lib/deflate.js";
+
+/**
+ * Creates and serves files of binary formats for unit tests.
+ * @private
+ */
+function BinaryFormatTester() {}
+
+function writeVarint(bytes, value) {
+  while (value >= 0x80) {
+    bytes.push(value % 0x80 | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+}
+
+const channelCounts = {
+  0: 1, // Grayscale
+  2: 3, // RGB
+  3: 1, // Palette
+  4: 2, // Grayscale and alpha
+  6: 4, // RGBA
+};
+
+let crcTable;
+
+function crc32(bytes) {
+  if (!defined(crcTable)) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; ++n) {
+      let c = n;
+      for (let k = 0; k < 8; ++k) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; ++i) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  const dataView = new DataView(chunk.buffer);
+  dataView.setUint32(0, data.length);
+  for (let i = 0; i < 4; ++i) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  dataView.setUint32(
+    data.length + 8,
+    crc32(chunk.subarray(4, data.length + 8))
+  );
+  return chunk;
+}
+
+/**
+ * Encodes a non-interlaced PNG image with 8 bits per sample.  The samples of each pixel are given by
+ * <code>options.getPixel(x, y)</code>, which returns an array with one value per channel of the color type.
+ *
+ * @param {object} options An object with the following properties:
+ * @param {number} options.width The width of the image.
+ * @param {number} options.height The height of the image.
+ * @param {Function} options.getPixel The function returning the samples of a pixel.
+ * @param {number} [options.colorType=6] The PNG color type: 0 (grayscale), 2 (RGB), 3 (palette), 4 (grayscale and alpha) or 6 (RGBA).
+ * @param {number[]} [options.palette] The RGB values of the palette of palette images.
+ * @param {number[]} [options.transparency] The alpha values of the palette entries of palette images.
+ * @param {number} [options.filter=0] The filter type applied to every row.
+ * @param {number} [options.bitDepth=8] The bit depth written to the header, which does not change how samples are written.
+ * @param {number} [options.interlace=0] The interlace method written to the header, which is only written, not applied.
+ * @param {number} [options.idatChunks=1] The number of IDAT chunks to split the compressed data into.
+ * @returns {ArrayBuffer} The PNG file.
+ */
+BinaryFormatTester.createPng = function (options) {
+  const width = options.width;
+  const height = options.height;
+  const colorType = defaultValue(options.colorType, 6);
+  const filter = defaultValue(options.filter, 0);
+  const channels = channelCounts[colorType];
+  const rowLength = width * channels;
+
+  const samples = new Uint8Array(rowLength * height);
+  for (let y = 0; y < height; ++y) {
+    for (let x = 0; x < width; ++x) {
+      const pixel = options.getPixel(x, y);
+      for (let c = 0; c < channels; ++c) {
+        samples[y * rowLength + x * channels + c] = pixel[c];
+      }
+    }
+  }
+
+  // Apply the filter to each row, predicting from the unfiltered samples
+  const filtered = new Uint8Array((rowLength + 1) * height);
+  for (let y = 0; y < height; ++y) {
+    const row = y * rowLength;
+    filtered[y * (rowLength + 1)] = filter;
+    for (let x = 0; x < rowLength; ++x) {
+      const left = x >= channels ? samples[row + x - channels] : 0;
+      const up = y > 0 ? samples[row - rowLength + x] : 0;
+      const upLeft =
+        y > 0 && x >= channels ? samples[row - rowLength + x - channels] : 0;
+      let predictor = 0;
+      if (filter === 1) {
+        predictor = left;
+      } else if (filter === 2) {
+        predictor = up;
+      } else if (filter === 3) {
+        predictor = (left + up) >>> 1;
+      } else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        if (pa <= pb && pa <= pc) {
+          predictor = left;
+        } else {
+          predictor = pb <= pc ? up : upLeft;
+        }
+      }
+      filtered[y * (rowLength + 1) + 1 + x] =
+        (samples[row + x] - predictor) & 0xff;
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = defaultValue(options.bitDepth, 8);
+  header[9] = colorType;
+  header[12] = defaultValue(options.interlace, 0);
+
+  const chunks = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    createChunk("IHDR", header),
+  ];
+  if (defined(options.palette)) {
+    chunks.push(createChunk("PLTE", new Uint8Array(options.palette)));
+  }
+  if (defined(options.transparency)) {
+    chunks.push(createChunk("tRNS", new Uint8Array(options.transparency)));
+  }
+
+  const compressed = pako.deflate(filtered);
+  const idatChunks = defaultValue(options.idatChunks, 1);
+  const chunkLength = Math.ceil(compressed.length / idatChunks);
+  for (let i = 0; i < compressed.length; i += chunkLength) {
+    chunks.push(createChunk("IDAT", compressed.subarray(i, i + chunkLength)));
+  }
+  chunks.push(createChunk("IEND", new Uint8Array(0)));
+
+  let length = 0;
+  for (let i = 0; i < chunks.length; ++i) {
+    length += chunks[i].length;
+  }
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (let i = 0; i < chunks.length; ++i) {
+    bytes.set(chunks[i], offset);
+    offset += chunks[i].length;
+  }
+  return bytes.buffer;
+};
+
+const typeSizes = {
+  2: 1, // ASCII
+  3: 2, // SHORT
+  4: 4, // LONG
+  12: 8, // DOUBLE
+  16: 8, // LONG8
+};
+
+function writeValue(dataView, offset, type, value, littleEndian) {
+  switch (type) {
+    case 2:
+      dataView.setUint8(offset, value);
+      break;
+    case 3:
+      dataView.setUint16(offset, value, littleEndian);
+      break;
+    case 4:
+      dataView.setUint32(offset, value, littleEndian);
+      break;
+    case 12:
+      dataView.setFloat64(offset, value, littleEndian);
+      break;
+    case 16:
+      dataView.setUint32(offset + (littleEndian ? 0 : 4), value, littleEndian);
+      dataView.setUint32(offset + (littleEndian ? 4 : 0), 0, littleEndian);
+      break;
+  }
+}
+
+function writeSample(dataView, offset, options, value) {
+  const littleEndian = options.littleEndian;
+  const bitsPerSample = options.bitsPerSample;
+  if (options.sampleFormat === 3) {
+    if (bitsPerSample === 32) {
+      dataView.setFloat32(offset, value, littleEndian);
+    } else {
+      dataView.setFloat64(offset, value, littleEndian);
+    }
+  } else if (options.sampleFormat === 2) {
+    if (bitsPerSample === 8) {
+      dataView.setInt8(offset, value);
+    } else if (bitsPerSample === 16) {
+      dataView.setInt16(offset, value, littleEndian);
+    } else {
+      dataView.setInt32(offset, value, littleEndian);
+    }
+  } else if (bitsPerSample === 8) {
+    dataView.setUint8(offset, value);
+  } else if (bitsPerSample === 16) {
+    dataView.setUint16(offset, value, littleEndian);
+  } else {
+    dataView.setUint32(offset, value, littleEndian);
+  }
+}
+
+function encodeLzw(bytes) {
+  const output = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeLength = 9;
+
+  function writeCode(code) {
+    bitBuffer = (bitBuffer << codeLength) | code;
+    bitCount += codeLength;
+    while (bitCount >= 8) {
+      output.push((bitBuffer >>> (bitCount - 8)) & 0xff);
+      bitCount -= 8;
+    }
+    bitBuffer &= (1 << bitCount) - 1;
+  }
+
+  let dictionary = new Map();
+  let nextCode = 258;
+  function addCode(key) {
+    dictionary.set(key, nextCode++);
+    // The decoder adds each code one step after the encoder, so it widens codes one code earlier
+    if (nextCode === 1 << codeLength && codeLength < 12) {
+      ++codeLength;
+    }
+  }
+
+  writeCode(256);
+  let current = -1;
+  for (let i = 0; i < bytes.length; ++i) {
+    const byte = bytes[i];
+    if (current === -1) {
+      current = byte;
+      continue;
+    }
+
+    const key = current * 256 + byte;
+    const code = dictionary.get(key);
+    if (defined(code)) {
+      current = code;
+      continue;
+    }
+
+    writeCode(current);
+    addCode(key);
+    if (nextCode === 4093) {
+      writeCode(256);
+      dictionary = new Map();
+      nextCode = 258;
+      codeLength = 9;
+    }
+    current = byte;
+  }
+
+  if (current !== -1) {
+    writeCode(current);
+    ++nextCode;
+    if (nextCode === 1 << codeLength && codeLength < 12) {
+      ++codeLength;
+    }
+  }
+  writeCode(257);
+  if (bitCount > 0) {
+    output.push((bitBuffer << (8 - bitCount)) & 0xff);
+  }
+  return new Uint8Array(output);
+}
+
+function encodePackBits(bytes) {
+  const output = [];
+  let i = 0;
+  while (i < bytes.length) {
+    let run = 1;
+    while (i + run < bytes.length && run < 128 && bytes[i + run] === bytes[i]) {
+      ++run;
+    }
+
+    if (run > 2) {
+      output.push(257 - run, bytes[i]);
+      i += run;
+      continue;
+    }
+
+    const count = Math.min(128, bytes.length - i);
+    output.push(count - 1);
+    for (let j = 0; j < count; ++j) {
+      output.push(bytes[i + j]);
+    }
+    i += count;
+  }
+  return new Uint8Array(output);
+}
+
+function applyHorizontalDifferencing(dataView, options) {
+  const bytesPerSample = options.bitsPerSample / 8;
+  const samplesPerPixel = options.samplesPerPixel;
+  const rowLength = options.tileWidth * samplesPerPixel;
+  const littleEndian = options.littleEndian;
+  const read = {
+    1: dataView.getUint8,
+    2: dataView.getUint16,
+    4: dataView.getUint32,
+  }[bytesPerSample];
+  const write = {
+    1: dataView.setUint8,
+    2: dataView.setUint16,
+    4: dataView.setUint32,
+  }[bytesPerSample];
+  const modulo = Math.pow(2, options.bitsPerSample);
+
+  for (let row = 0; row < options.tileHeight; ++row) {
+    for (let i = rowLength - 1; i >= samplesPerPixel; --i) {
+      const offset = (row * rowLength + i) * bytesPerSample;
+      const previousOffset = offset - samplesPerPixel * bytesPerSample;
+      const difference =
+        (read.call(dataView, offset, littleEndian) -
+          read.call(dataView, previousOffset, littleEndian) +
+          modulo) %
+        modulo;
+      write.call(dataView, offset, difference, littleEndian);
+    }
+  }
+}
+
+function applyFloatingPointPredictor(bytes, options) {
+  const bytesPerSample = options.bitsPerSample / 8;
+  const samplesPerPixel = options.samplesPerPixel;
+  const samplesPerRow = options.tileWidth * samplesPerPixel;
+  const rowLength = samplesPerRow * bytesPerSample;
+  const output = new Uint8Array(bytes.length);
+  for (let row = 0; row < options.tileHeight; ++row) {
+    const rowStart = row * rowLength;
+    const rowBytes = output.subarray(rowStart, rowStart + rowLength);
+
+    // Bytes are reordered into planes starting with the most significant byte of each sample
+    for (let i = 0; i < samplesPerRow; ++i) {
+      for (let b = 0; b < bytesPerSample; ++b) {
+        const byteIndex = options.littleEndian ? b : bytesPerSample - b - 1;
+        rowBytes[(bytesPerSample - b - 1) * samplesPerRow + i] =
+          bytes[rowStart + i * bytesPerSample + byteIndex];
+      }
+    }
+
+    for (let i = rowLength - 1; i >= samplesPerPixel; --i) {
+      rowBytes[i] = (rowBytes[i] - rowBytes[i - samplesPerPixel]) & 0xff;
+    }
+  }
+  return output;
+}
+
+function encodeTile(options, image, column, row) {
+  const tileWidth = options.tileWidth;
+  const tileHeight = options.tileHeight;
+  const samplesPerPixel = options.samplesPerPixel;
+  const bytesPerSample = options.bitsPerSample / 8;
+  let bytes = new Uint8Array(
+    tileWidth * tileHeight * samplesPerPixel * bytesPerSample
+  );
+  const dataView = new DataView(bytes.buffer);
+
+  for (let y = 0; y < tileHeight; ++y) {
+    for (let x = 0; x < tileWidth; ++x) {
+      const imageX = column * tileWidth + x;
+      const imageY = row * tileHeight + y;
+      // Pixels in the padding of edge tiles are left empty
+      if (imageX >= image.width || imageY >= image.height) {
+        continue;
+      }
+
+      for (let s = 0; s < samplesPerPixel; ++s) {
+        const value = options.getValue(
+          imageX * image.scale,
+          imageY * image.scale,
+          s
+        );
+        const offset =
+          ((y * tileWidth + x) * samplesPerPixel + s) * bytesPerSample;
+        writeSample(dataView, offset, options, value);
+      }
+    }
+  }
+
+  if (options.predictor === 2) {
+    applyHorizontalDifferencing(dataView, options);
+  } else if (options.predictor === 3) {
+    bytes = applyFloatingPointPredictor(bytes, options);
+  }
+
+  switch (options.compression) {
+    case 5:
+      return encodeLzw(bytes);
+    case 8:
+      return pako.deflate(bytes);
+    case 32773:
+      return encodePackBits(bytes);
+    default:
+      return bytes;
+  }
+}
+
+function createGeoKeyDirectory(options) {
+  const keys = [];
+  if (options.epsgCode === 4326) {
+    keys.push([1024, 2], [1025, options.pixelIsPoint ? 2 : 1], [2048, 4326]);
+  } else {
+    keys.push(
+      [1024, 1],
+      [1025, options.pixelIsPoint ? 2 : 1],
+      [3072, options.epsgCode]
+    );
+  }
+
+  const directory = [1, 1, 0, keys.length];
+  for (let i = 0; i < keys.length; ++i) {
+    directory.push(keys[i][0], 0, 1, keys[i][1]);
+  }
+  return directory;
+}
+
+function createEntries(options, image, isOverview) {
+  const bigTiff = options.bigTiff;
+  const samplesPerPixel = options.samplesPerPixel;
+  const repeat = function (value) {
+    return new Array(samplesPerPixel).fill(value);
+  };
+  const tileCount =
+    Math.ceil(image.width / options.tileWidth) *
+    Math.ceil(image.height / options.tileHeight);
+
+  const entries = [];
+  if (isOverview) {
+    entries.push([254, 4, [1]]);
+  }
+  entries.push(
+    [256, 3, [image.width]],
+    [257, 3, [image.height]],
+    [258, 3, repeat(options.bitsPerSample)],
+    [259, 3, [options.compression]],
+    [262, 3, [options.photometric]],
+    [277, 3, [samplesPerPixel]],
+    [284, 3, [options.planarConfiguration]]
+  );
+  if (options.predictor !== 1) {
+    entries.push([317, 3, [options.predictor]]);
+  }
+  if (defined(options.colorMap)) {
+    entries.push([320, 3, options.colorMap]);
+  }
+  entries.push(
+    [322, 3, [options.tileWidth]],
+    [323, 3, [options.tileHeight]],
+    [324, bigTiff ? 16 : 4, new Array(tileCount).fill(0)],
+    [325, bigTiff ? 16 : 4, new Array(tileCount).fill(0)],
+    [339, 3, repeat(options.sampleFormat)]
+  );
+
+  if (!isOverview) {
+    const origin = options.origin;
+    const resolution = options.resolution;
+    if (options.useTransformation) {
+      entries.push([
+        34264,
+        12,
+        [
+          resolution[0],
+          0,
+          0,
+          origin[0],
+          0,
+          -resolution[1],
+          0,
+          origin[1],
+          0,
+          0,
+          0,
+          0,
+          0,
+          0,
+          0,
+          1,
+        ],
+      ]);
+    } else if (defined(origin)) {
+      entries.push(
+        [33550, 12, [resolution[0], resolution[1], 0]],
+        [33922, 12, [0, 0, 0, origin[0], origin[1], 0]]
+      );
+    }
+    entries.push([34735, 3, createGeoKeyDirectory(options)]);
+  }
+
+  if (defined(options.noData)) {
+    const string = `${options.noData}\0`;
+    entries.push([
+      42113,
+      2,
+      string.split("").map(function (character) {
+        return character.charCodeAt(0);
+      }),
+    ]);
+  }
+
+  entries.sort(function (a, b) {
+    return a[0] - b[0];
+  });
+  return entries;
+}
+
+/**
+ * Encodes a tiled GeoTIFF.  The value of each sample is given by <code>options.getValue(x, y, sample)</code>
+ * in full resolution pixel coordinates.  Overviews are created by decimating the full resolution image.
+ *
+ * @param {object} options An object with the following properties:
+ * @param {number} options.width The width of the full resolution image.
+ * @param {number} options.height The height of the full resolution image.
+ * @param {Function} options.getValue The function returning the value of a sample.
+ * @param {number} [options.tileWidth=16] The width of the tiles.
+ * @param {number} [options.tileHeight=16] The height of the tiles.
+ * @param {number} [options.samplesPerPixel=1] The number of samples per pixel.
+ * @param {number} [options.bitsPerSample=8] The number of bits per sample.
+ * @param {number} [options.sampleFormat=1] The TIFF sample format.
+ * @param {number} [options.photometric=1] The TIFF photometric interpretation.
+ * @param {number} [options.compression=1] The TIFF compression: 1, 5 (LZW), 8 (deflate) or 32773 (PackBits).
+ * @param {number} [options.predictor=1] The TIFF predictor.
+ * @param {number} [options.planarConfiguration=1] The TIFF planar configuration, which is only written, not applied.
+ * @param {number[]} [options.colorMap] The TIFF color map of palette images.
+ * @param {number} [options.overviews=0] The number of overviews.
+ * @param {boolean} [options.littleEndian=true] Whether the file is little endian.
+ * @param {boolean} [options.bigTiff=false] Whether the file is a BigTIFF.
+ * @param {number} [options.epsgCode=4326] The EPSG code of the coordinate reference system.
+ * @param {number[]} [options.origin] The coordinates of the upper left corner of the image.  If not specified, the image is not georeferenced.
+ * @param {number[]} [options.resolution] The width and height of a pixel.
+ * @param {boolean} [options.useTransformation=false] Whether to georeference with ModelTransformationTag rather than ModelTiepointTag and ModelPixelScaleTag.
+ * @param {boolean} [options.pixelIsPoint=false] Whether the coordinates refer to pixel centers.
+ * @param {number} [options.noData] The GDAL no data value.
+ * @param {number[]} [options.emptyTiles] Indices of tiles of the full resolution image that are omitted from the file.
+ * @returns {ArrayBuffer} The GeoTIFF.
+ */
+BinaryFormatTester.createGeoTiff = function (options) {
+  options = Object.assign(
+    {
+      tileWidth: 16,
+      tileHeight: 16,
+      samplesPerPixel: 1,
+      bitsPerSample: 8,
+      sampleFormat: 1,
+      photometric: 1,
+      compression: 1,
+      predictor: 1,
+      planarConfiguration: 1,
+      overviews: 0,
+      littleEndian: true,
+      bigTiff: false,
+      epsgCode: 4326,
+      emptyTiles: [],
+    },
+    options
+  );
+
+  const littleEndian = options.littleEndian;
+  const bigTiff = options.bigTiff;
+  const countSize = bigTiff ? 8 : 2;
+  const entrySize = bigTiff ? 20 : 12;
+  const offsetSize = bigTiff ? 8 : 4;
+  const headerSize = bigTiff ? 16 : 8;
+
+  const images = [];
+  for (let i = 0; i <= options.overviews; ++i) {
+    const scale = 1 << i;
+    images.push({
+      width: Math.ceil(options.width / scale),
+      height: Math.ceil(options.height / scale),
+      scale: scale,
+    });
+  }
+
+  // Lay out the image file directories and their values, followed by the tiles
+  let offset = headerSize;
+  for (let i = 0; i < images.length; ++i) {
+    const image = images[i];
+    image.entries = createEntries(options, image, i > 0);
+    image.ifdOffset = offset;
+    offset += countSize + image.entries.length * entrySize + offsetSize;
+    for (let j = 0; j < image.entries.length; ++j) {
+      const entry = image.entries[j];
+      const size = typeSizes[entry[1]] * entry[2].length;
+      if (size > offsetSize) {
+        entry.push(offset);
+        offset += size + (size % 2);
+      }
+    }
+  }
+
+  for (let i = 0; i < images.length; ++i) {
+    const image = images[i];
+    const tilesAcross = Math.ceil(image.width / options.tileWidth);
+    const tilesDown = Math.ceil(image.height / options.tileHeight);
+    const offsets = image.entries.find(function (entry) {
+      return entry[0] === 324;
+    })[2];
+    const byteCounts = image.entries.find(function (entry) {
+      return entry[0] === 325;
+    })[2];
+
+    image.tiles = [];
+    for (let row = 0; row < tilesDown; ++row) {
+      for (let column = 0; column < tilesAcross; ++column) {
+        const index = row * tilesAcross + column;
+        if (i === 0 && options.emptyTiles.indexOf(index) !== -1) {
+          continue;
+        }
+        const tile = encodeTile(options, image, column, row);
+        offsets[index] = offset;
+        byteCounts[index] = tile.length;
+        image.tiles.push({
+          offset: offset,
+          bytes: tile,
+        });
+        offset += tile.length;
+      }
+    }
+  }
+
+  const buffer = new ArrayBuffer(offset);
+  const dataView = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  dataView.setUint16(0, littleEndian ? 0x4949 : 0x4d4d, false);
+  if (bigTiff) {
+    dataView.setUint16(2, 43, littleEndian);
+    dataView.setUint16(4, 8, littleEndian);
+    writeValue(dataView, 8, 16, images[0].ifdOffset, littleEndian);
+  } else {
+    dataView.setUint16(2, 42, littleEndian);
+    dataView.setUint32(4, images[0].ifdOffset, littleEndian);
+  }
+
+  for (let i = 0; i < images.length; ++i) {
+    const image = images[i];
+    const entries = image.entries;
+    let position = image.ifdOffset;
+    writeValue(
+      dataView,
+      position,
+      bigTiff ? 16 : 3,
+      entries.length,
+      littleEndian
+    );
+    position += countSize;
+
+    for (let j = 0; j < entries.length; ++j) {
+      const tag = entries[j][0];
+      const type = entries[j][1];
+      const values = entries[j][2];
+      const valuesOffset = entries[j][3];
+      dataView.setUint16(position, tag, littleEndian);
+      dataView.setUint16(position + 2, type, littleEndian);
+      writeValue(
+        dataView,
+        position + 4,
+        bigTiff ? 16 : 4,
+        values.length,
+        littleEndian
+      );
+
+      const valuePosition = position + (bigTiff ? 12 : 8);
+      let target = valuePosition;
+      if (defined(valuesOffset)) {
+        writeValue(
+          dataView,
+          valuePosition,
+          bigTiff ? 16 : 4,
+          valuesOffset,
+          littleEndian
+        );
+        target = valuesOffset;
+      }
+      const size = typeSizes[type];
+      for (let k = 0; k < values.length; ++k) {
+        writeValue(dataView, target + k * size, type, values[k], littleEndian);
+      }
+      position += entrySize;
+    }
+
+    const nextOffset = i + 1 < images.length ? images[i + 1].ifdOffset : 0;
+    writeValue(dataView, position, bigTiff ? 16 : 4, nextOffset, littleEndian);
+
+    for (let j = 0; j < image.tiles.length; ++j) {
+      const tile = image.tiles[j];
+      bytes.set(tile.bytes, tile.offset);
+    }
+  }
+
+  return buffer;
+};
+
+function compress(bytes, compression) {
+  return compression === PMTilesArchive.Compression.GZIP
+    ? pako.gzip(bytes)
+    : bytes;
+}
+
+function serializeDirectory(entries, compression) {
+  const output = [];
+  writeVarint(output, entries.length);
+
+  let lastTileId = 0;
+  for (let i = 0; i < entries.length; ++i) {
+    writeVarint(output, entries[i].tileId - lastTileId);
+    lastTileId = entries[i].tileId;
+  }
+  for (let i = 0; i < entries.length; ++i) {
+    writeVarint(output, entries[i].runLength);
+  }
+  for (let i = 0; i < entries.length; ++i) {
+    writeVarint(output, entries[i].length);
+  }
+  for (let i = 0; i < entries.length; ++i) {
+    const previous = entries[i - 1];
+    if (
+      defined(previous) &&
+      entries[i].offset === previous.offset + previous.length
+    ) {
+      writeVarint(output, 0);
+    } else {
+      writeVarint(output, entries[i].offset + 1);
+    }
+  }
+  return compress(new Uint8Array(output), compression);
+}
+
+function writeUint64(dataView, offset, value) {
+  dataView.setUint32(offset, value % 4294967296, true);
+  dataView.setUint32(offset + 4, Math.floor(value / 4294967296), true);
+}
+
+function writeCoordinate(dataView, offset, degrees) {
+  dataView.setInt32(offset, Math.round(degrees * 1e7), true);
+}
+
+function concatenate(arrays) {
+  let length = 0;
+  for (let i = 0; i < arrays.length; ++i) {
+    length += arrays[i].length;
+  }
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (let i = 0; i < arrays.length; ++i) {
+    result.set(arrays[i], offset);
+    offset += arrays[i].length;
+  }
+  return result;
+}
+
+/**
+ * Creates a PMTiles version 3 archive for tests.
+ *
+ * @param {object} options
+ * @param {object[]} options.tiles The tiles of the archive, each with <code>level</code>, <code>x</code>, <code>y</code> and
+ *        <code>data</code> properties.  Consecutive tiles with the same <code>data</code> array are stored once as a run.
+ * @param {number} [options.tileType=PMTilesArchive.TileType.PNG]
+ * @param {number} [options.tileCompression=PMTilesArchive.Compression.NONE] Compression applied to the data of the tiles.
+ * @param {number} [options.internalCompression=PMTilesArchive.Compression.GZIP] Compression applied to directories and metadata.
+ * @param {object} [options.metadata={}]
+ * @param {number} [options.minimumLevel=0]
+ * @param {number} [options.maximumLevel] The highest level of the tiles by default.
+ * @param {number[]} [options.bounds=[-180, -85, 180, 85]] West, south, east and north in degrees.
+ * @param {number[]} [options.center=[0, 0, 0]] Longitude and latitude in degrees, and level.
+ * @param {number} [options.leafSize] If defined, entries are stored in leaf directories with this many entries.
+ * @param {number} [options.version=3]
+ * @returns {ArrayBuffer}
+ */
+BinaryFormatTester.createPMTiles = function (options) {
+  const internalCompression = defaultValue(
+    options.internalCompression,
+    PMTilesArchive.Compression.GZIP
+  );
+  const tileCompression = defaultValue(
+    options.tileCompression,
+    PMTilesArchive.Compression.NONE
+  );
+
+  const tiles = options.tiles
+    .map(function (tile) {
+      return {
+        tileId: PMTilesArchive.getTileId(tile.level, tile.x, tile.y),
+        level: tile.level,
+        data: tile.data,
+      };
+    })
+    .sort(function (a, b) {
+      return a.tileId - b.tileId;
+    });
+
+  const entries = [];
+  const tileData = [];
+  const compressedData = new Map();
+  let tileDataLength = 0;
+  let maximumLevel = 0;
+  for (let i = 0; i < tiles.length; ++i) {
+    const tile = tiles[i];
+    maximumLevel = Math.max(maximumLevel, tile.level);
+
+    const last = entries[entries.length - 1];
+    if (
+      defined(last) &&
+      last.data === tile.data &&
+      last.tileId + last.runLength === tile.tileId
+    ) {
+      ++last.runLength;
+      continue;
+    }
+
+    // Identical data is stored once and referenced by every entry
+    let stored = compressedData.get(tile.data);
+    if (!defined(stored)) {
+      const bytes = compress(tile.data, tileCompression);
+      stored = {
+        offset: tileDataLength,
+        length: bytes.length,
+      };
+      compressedData.set(tile.data, stored);
+      tileData.push(bytes);
+      tileDataLength += bytes.length;
+    }
+
+    entries.push({
+      tileId: tile.tileId,
+      data: tile.data,
+      runLength: 1,
+      offset: stored.offset,
+      length: stored.length,
+    });
+  }
+
+  let rootEntries = entries;
+  const leafDirectories = [];
+  if (defined(options.leafSize)) {
+    rootEntries = [];
+    let leafOffset = 0;
+    for (let i = 0; i < entries.length; i += options.leafSize) {
+      const leaf = serializeDirectory(
+        entries.slice(i, i + options.leafSize),
+        internalCompression
+      );
+      rootEntries.push({
+        tileId: entries[i].tileId,
+        runLength: 0,
+        offset: leafOffset,
+        length: leaf.length,
+      });
+      leafDirectories.push(leaf);
+      leafOffset += leaf.length;
+    }
+  }
+
+  const rootDirectory = serializeDirectory(rootEntries, internalCompression);
+  const metadata = compress(
+    new TextEncoder().encode(
+      JSON.stringify(defaultValue(options.metadata, {}))
+    ),
+    internalCompression
+  );
+  const leafData = concatenate(leafDirectories);
+  const data = concatenate(tileData);
+
+  const header = new Uint8Array(127);
+  const dataView = new DataView(header.buffer);
+  for (let i = 0; i < 7; ++i) {
+    header[i] = "PMTiles".charCodeAt(i);
+  }
+  header[7] = defaultValue(options.version, 3);
+
+  let offset = header.length;
+  writeUint64(dataView, 8, offset);
+  writeUint64(dataView, 16, rootDirectory.length);
+  offset += rootDirectory.length;
+  writeUint64(dataView, 24, offset);
+  writeUint64(dataView, 32, metadata.length);
+  offset += metadata.length;
+  writeUint64(dataView, 40, offset);
+  writeUint64(dataView, 48, leafData.length);
+  offset += leafData.length;
+  writeUint64(dataView, 56, offset);
+  writeUint64(dataView, 64, data.length);
+  writeUint64(dataView, 72, tiles.length);
+  writeUint64(dataView, 80, entries.length);
+  writeUint64(dataView, 88, tileData.length);
+
+  header[96] = 1;
+  header[97] = internalCompression;
+  header[98] = tileCompression;
+  header[99] = defaultValue(options.tileType, PMTilesArchive.TileType.PNG);
+  header[100] = defaultValue(options.minimumLevel, 0);
+  header[101] = defaultValue(options.maximumLevel, maximumLevel);
+
+  const bounds = defaultValue(options.bounds, [-180.0, -85.0, 180.0, 85.0]);
+  writeCoordinate(dataView, 102, bounds[0]);
+  writeCoordinate(dataView, 106, bounds[1]);
+  writeCoordinate(dataView, 110, bounds[2]);
+  writeCoordinate(dataView, 114, bounds[3]);
+
+  const center = defaultValue(options.center, [0.0, 0.0, 0]);
+  header[118] = center[2];
+  writeCoordinate(dataView, 119, center[0]);
+  writeCoordinate(dataView, 123, center[1]);
+
+  return concatenate([header, rootDirectory, metadata, leafData, data]).buffer;
+};
+
+function writeKey(bytes, field, wireType) {
+  writeVarint(bytes, field * 8 + wireType);
+}
+
+function writeBytes(bytes, field, data) {
+  writeKey(bytes, field, 2);
+  writeVarint(bytes, data.length);
+  for (let i = 0; i < data.length; ++i) {
+    bytes.push(data[i]);
+  }
+}
+
+function writeString(bytes, field, string) {
+  writeBytes(bytes, field, new TextEncoder().encode(string));
+}
+
+function writePackedVarints(bytes, field, values) {
+  const packed = [];
+  for (let i = 0; i < values.length; ++i) {
+    writeVarint(packed, values[i]);
+  }
+  writeBytes(bytes, field, packed);
+}
+
+function zigZagEncode(value) {
+  return (value << 1) ^ (value >> 31);
+}
+
+function encodeValue(value) {
+  const bytes = [];
+  if (typeof value === "string") {
+    writeString(bytes, 1, value);
+  } else if (typeof value === "boolean") {
+    writeKey(bytes, 7, 0);
+    writeVarint(bytes, value ? 1 : 0);
+  } else if (Number.isInteger(value) && value >= 0) {
+    writeKey(bytes, 5, 0);
+    writeVarint(bytes, value);
+  } else if (Number.isInteger(value)) {
+    writeKey(bytes, 6, 0);
+    writeVarint(bytes, zigZagEncode(value));
+  } else {
+    writeKey(bytes, 3, 1);
+    const double = new Uint8Array(new Float64Array([value]).buffer);
+    for (let i = 0; i < double.length; ++i) {
+      bytes.push(double[i]);
+    }
+  }
+  return bytes;
+}
+
+function encodeGeometry(type, geometry) {
+  const commands = [];
+  let x = 0;
+  let y = 0;
+
+  function writePoint(px, py) {
+    commands.push(zigZagEncode(px - x), zigZagEncode(py - y));
+    x = px;
+    y = py;
+  }
+
+  if (type === 1) {
+    commands.push((geometry.length << 3) | 1);
+    for (let i = 0; i < geometry.length; ++i) {
+      writePoint(geometry[i][0], geometry[i][1]);
+    }
+    return commands;
+  }
+
+  for (let i = 0; i < geometry.length; ++i) {
+    const part = geometry[i];
+    commands.push((1 << 3) | 1);
+    writePoint(part[0], part[1]);
+    const lineToCount = part.length / 2 - 1;
+    commands.push((lineToCount << 3) | 2);
+    for (let j = 2; j < part.length; j += 2) {
+      writePoint(part[j], part[j + 1]);
+    }
+    if (type === 3) {
+      commands.push((1 << 3) | 7);
+    }
+  }
+  return commands;
+}
+
+function encodeLayer(layer) {
+  const bytes = [];
+  const keys = [];
+  const values = [];
+
+  writeKey(bytes, 15, 0);
+  writeVarint(bytes, 2);
+  writeString(bytes, 1, layer.name);
+
+  const features = layer.features;
+  for (let i = 0; i < features.length; ++i) {
+    const feature = features[i];
+    const featureBytes = [];
+    if (defined(feature.id)) {
+      writeKey(featureBytes, 1, 0);
+      writeVarint(featureBytes, feature.id);
+    }
+
+    const tags = [];
+    const properties = defaultValue(feature.properties, {});
+    for (const key in properties) {
+      if (properties.hasOwnProperty(key)) {
+        let keyIndex = keys.indexOf(key);
+        if (keyIndex === -1) {
+          keyIndex = keys.push(key) - 1;
+        }
+        let valueIndex = values.indexOf(properties[key]);
+        if (valueIndex === -1) {
+          valueIndex = values.push(properties[key]) - 1;
+        }
+        tags.push(keyIndex, valueIndex);
+      }
+    }
+    writePackedVarints(featureBytes, 2, tags);
+
+    writeKey(featureBytes, 3, 0);
+    writeVarint(featureBytes, feature.type);
+    writePackedVarints(
+      featureBytes,
+      4,
+      encodeGeometry(feature.type, feature.geometry)
+    );
+
+    writeBytes(bytes, 2, featureBytes);
+  }
+
+  for (let i = 0; i < keys.length; ++i) {
+    writeString(bytes, 3, keys[i]);
+  }
+  for (let i = 0; i < values.length; ++i) {
+    writeBytes(bytes, 4, encodeValue(values[i]));
+  }
+
+  writeKey(bytes, 5, 0);
+  writeVarint(bytes, defaultValue(layer.extent, 4096));
+
+  return bytes;
+}
+
+/**
+ * Encodes layers of features as a Mapbox Vector Tile.  Each feature has a <code>type</code>
+ * (1 for points, 2 for linestrings, 3 for polygons), optional <code>id</code> and <code>properties</code>,
+ * and a <code>geometry</code> that is an array of parts in tile coordinates.  Each part is a
+ * flattened array of x, y values; for points, each part is a single point.
+ */
+BinaryFormatTester.createVectorTile = function (layers) {
+  const bytes = [];
+  for (let i = 0; i < layers.length; ++i) {
+    writeBytes(bytes, 3, encodeLayer(layers[i]));
+  }
+  return new Uint8Array(bytes).buffer;
+};
+
+const geometryTypes = {
+  Point: 1,
+  LineString: 2,
+  Polygon: 3,
+  MultiPoint: 4,
+  MultiLineString: 5,
+  MultiPolygon: 6,
+};
+
+/**
+ * Writes FlatBuffers tables. Each table is written after its vtable, and the strings, vectors and tables that it
+ * references are written after it, so every unsigned offset points forward.
+ *
+ * @private
+ */
+function Writer() {
+  this.bytes = [];
+}
+
+Writer.prototype.align = function (alignment) {
+  while (this.bytes.length % alignment !== 0) {
+    this.bytes.push(0);
+  }
+};
+
+Writer.prototype.write = function (typedArray) {
+  const bytes = new Uint8Array(typedArray.buffer);
+  for (let i = 0; i < bytes.length; ++i) {
+    this.bytes.push(bytes[i]);
+  }
+};
+
+Writer.prototype.patchUint32 = function (position, value) {
+  const bytes = new Uint8Array(new Uint32Array([value]).buffer);
+  for (let i = 0; i < 4; ++i) {
+    this.bytes[position + i] = bytes[i];
+  }
+};
+
+const scalarTypes = {
+  uint8: { size: 1, ArrayType: Uint8Array },
+  uint16: { size: 2, ArrayType: Uint16Array },
+  int32: { size: 4, ArrayType: Int32Array },
+  uint64: { size: 8, ArrayType: Float64Array },
+};
+
+// Fields are given as an array indexed by field id, with entries of { type, value } or undefined
+Writer.prototype.writeTable = function (fields) {
+  const layout = [];
+  let tableLength = 4;
+  for (let i = 0; i < fields.length; ++i) {
+    const field = fields[i];
+    if (!defined(field)) {
+      layout.push(0);
+      continue;
+    }
+    const size = defined(scalarTypes[field.type])
+      ? scalarTypes[field.type].size
+      : 4;
+    layout.push(tableLength);
+    tableLength += size;
+  }
+
+  this.align(4);
+  const vtablePosition = this.bytes.length;
+  const vtable = [4 + fields.length * 2, tableLength].concat(layout);
+  this.write(new Uint16Array(vtable));
+  this.align(4);
+
+  const tablePosition = this.bytes.length;
+  this.write(new Int32Array([tablePosition - vtablePosition]));
+  const references = [];
+  for (let i = 0; i < fields.length; ++i) {
+    const field = fields[i];
+    if (!defined(field)) {
+      continue;
+    }
+    const scalarType = scalarTypes[field.type];
+    if (field.type === "uint64") {
+      const low = field.value % 4294967296;
+      this.write(
+        new Uint32Array([low, Math.floor((field.value - low) / 4294967296)])
+      );
+    } else if (defined(scalarType)) {
+      this.write(new scalarType.ArrayType([field.value]));
+    } else {
+      references.push({
+        position: this.bytes.length,
+        field: field,
+      });
+      this.write(new Uint32Array([0]));
+    }
+  }
+
+  for (let i = 0; i < references.length; ++i) {
+    const reference = references[i];
+    const position = this.writeReference(reference.field);
+    this.patchUint32(reference.position, position - reference.position);
+  }
+  return tablePosition;
+};
+
+Writer.prototype.writeReference = function (field) {
+  this.align(4);
+  const position = this.bytes.length;
+  const value = field.value;
+  switch (field.type) {
+    case "string": {
+      const bytes = new TextEncoder().encode(value);
+      this.write(new Uint32Array([bytes.length]));
+      this.write(bytes);
+      this.bytes.push(0);
+      return position;
+    }
+    case "bytes":
+      this.write(new Uint32Array([value.length]));
+      this.write(value);
+      return position;
+    case "doubles":
+      this.write(new Uint32Array([value.length]));
+      this.write(new Float64Array(value));
+      return position;
+    case "uint32s":
+      this.write(new Uint32Array([value.length]));
+      this.write(new Uint32Array(value));
+      return position;
+    case "table":
+      return this.writeTable(value);
+    case "tables": {
+      this.write(new Uint32Array([value.length]));
+      const offsets = [];
+      for (let i = 0; i < value.length; ++i) {
+        offsets.push(this.bytes.length);
+        this.write(new Uint32Array([0]));
+      }
+      for (let i = 0; i < value.length; ++i) {
+        const tablePosition = this.writeTable(value[i]);
+        this.patchUint32(offsets[i], tablePosition - offsets[i]);
+      }
+      return position;
+    }
+  }
+  throw new Error(`Unknown field type ${field.type}`);
+};
+
+function writeRoot(fields) {
+  const writer = new Writer();
+  writer.write(new Uint32Array([0]));
+  const root = writer.writeTable(fields);
+  writer.patchUint32(0, root);
+  return new Uint8Array(writer.bytes);
+}
+
+function flatten(coordinates, xy, z) {
+  xy.push(coordinates[0], coordinates[1]);
+  z.push(defaultValue(coordinates[2], 0.0));
+}
+
+function createGeometryFields(geometry, hasZ) {
+  const type = geometry.type;
+  const coordinates = geometry.coordinates;
+  const xy = [];
+  const z = [];
+  const ends = [];
+
+  if (type === "MultiPolygon") {
+    return [
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      { type: "uint8", value: geometryTypes[type] },
+      {
+        type: "tables",
+        value: coordinates.map(function (polygon) {
+          return createGeometryFields(
+            { type: "Polygon", coordinates: polygon },
+            hasZ
+          );
+        }),
+      },
+    ];
+  }
+
+  if (type === "Point") {
+    flatten(coordinates, xy, z);
+  } else if (type === "LineString" || type === "MultiPoint") {
+    coordinates.forEach(function (position) {
+      flatten(position, xy, z);
+    });
+  } else {
+    coordinates.forEach(function (part) {
+      part.forEach(function (position) {
+        flatten(position, xy, z);
+      });
+      ends.push(xy.length / 2);
+    });
+  }
+
+  return [
+    ends.length > 1 ? { type: "uint32s", value: ends } : undefined,
+    { type: "doubles", value: xy },
+    hasZ ? { type: "doubles", value: z } : undefined,
+    undefined,
+    undefined,
+    undefined,
+    { type: "uint8", value: geometryTypes[type] },
+  ];
+}
+
+function encodeProperties(properties, columns) {
+  const bytes = [];
+  function push(typedArray) {
+    const array = new Uint8Array(typedArray.buffer);
+    for (let i = 0; i < array.length; ++i) {
+      bytes.push(array[i]);
+    }
+  }
+
+  for (let i = 0; i < columns.length; ++i) {
+    const column = columns[i];
+    const value = properties[column.name];
+    if (!defined(value)) {
+      continue;
+    }
+    push(new Uint16Array([i]));
+    switch (column.type) {
+      case 2: // Bool
+        push(new Uint8Array([value ? 1 : 0]));
+        break;
+      case 5: // Int
+        push(new Int32Array([value]));
+        break;
+      case 10: // Double
+        push(new Float64Array([value]));
+        break;
+      default: {
+        // String or JSON
+        const string = column.type === 12 ? JSON.stringify(value) : value;
+        const encoded = new TextEncoder().encode(string);
+        push(new Uint32Array([encoded.length]));
+        push(encoded);
+      }
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+function computeBoundingBox(geometry) {
+  const box = [
+    Number.POSITIVE_INFINITY,
+    Number.POSITIVE_INFINITY,
+    Number.NEGATIVE_INFINITY,
+    Number.NEGATIVE_INFINITY,
+  ];
+  function visit(coordinates) {
+    if (typeof coordinates[0] === "number") {
+      box[0] = Math.min(box[0], coordinates[0]);
+      box[1] = Math.min(box[1], coordinates[1]);
+      box[2] = Math.max(box[2], coordinates[0]);
+      box[3] = Math.max(box[3], coordinates[1]);
+      return;
+    }
+    coordinates.forEach(visit);
+  }
+  visit(geometry.coordinates);
+  return box;
+}
+
+function createIndex(boxes, offsets, nodeSize) {
+  const levelNodeCounts = [boxes.length];
+  let count = boxes.length;
+  let nodeCount = count;
+  do {
+    count = Math.ceil(count / nodeSize);
+    nodeCount += count;
+    levelNodeCounts.push(count);
+  } while (count !== 1);
+
+  const levelStarts = [];
+  let end = nodeCount;
+  for (let i = 0; i < levelNodeCounts.length; ++i) {
+    levelStarts.push(end - levelNodeCounts[i]);
+    end -= levelNodeCounts[i];
+  }
+
+  const nodes = new Array(nodeCount);
+  for (let i = 0; i < boxes.length; ++i) {
+    nodes[levelStarts[0] + i] = {
+      box: boxes[i],
+      offset: offsets[i],
+    };
+  }
+  for (let level = 1; level < levelNodeCounts.length; ++level) {
+    for (let i = 0; i < levelNodeCounts[level]; ++i) {
+      const firstChild = levelStarts[level - 1] + i * nodeSize;
+      const lastChild = Math.min(
+        firstChild + nodeSize,
+        levelStarts[level - 1] + levelNodeCounts[level - 1]
+      );
+      const box = [
+        Number.POSITIVE_INFINITY,
+        Number.POSITIVE_INFINITY,
+        Number.NEGATIVE_INFINITY,
+        Number.NEGATIVE_INFINITY,
+      ];
+      for (let child = firstChild; child < lastChild; ++child) {
+        const childBox = nodes[child].box;
+        box[0] = Math.min(box[0], childBox[0]);
+        box[1] = Math.min(box[1], childBox[1]);
+        box[2] = Math.max(box[2], childBox[2]);
+        box[3] = Math.max(box[3], childBox[3]);
+      }
+      nodes[levelStarts[level] + i] = {
+        box: box,
+        offset: firstChild,
+      };
+    }
+  }
+
+  const view = new DataView(new ArrayBuffer(nodeCount * 40));
+  for (let i = 0; i < nodeCount; ++i) {
+    const node = nodes[i];
+    for (let j = 0; j < 4; ++j) {
+      view.setFloat64(i * 40 + j * 8, node.box[j], true);
+    }
+    view.setUint32(i * 40 + 32, node.offset, true);
+  }
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * Creates a FlatGeobuf file for specs.
+ *
+ * @param {object} options Object with the following properties:
+ * @param {object[]} options.features GeoJSON features with Point, LineString, Polygon, MultiPoint, MultiLineString or MultiPolygon geometries.
+ * @param {object[]} [options.columns=[]] The columns of the properties, with a name and a FlatGeobuf column type of Bool, Int, Double, String or Json.
+ * @param {number} [options.indexNodeSize=16] The node size of the spatial index, or zero to omit the index.
+ * @param {number} [options.geometryType=0] The geometry type in the header, or zero if the type of each geometry is stored.
+ * @param {boolean} [options.hasZ=false] Whether the geometries have heights.
+ * @param {number} [options.crsCode] The EPSG code of the coordinate reference system.
+ * @param {string} [options.name] The name of the dataset.
+ * @returns {ArrayBuffer} The file.
+ */
+BinaryFormatTester.createFlatGeobuf = function (options) {
+  const features = options.features;
+  const columns = defaultValue(options.columns, []);
+  const nodeSize = defaultValue(options.indexNodeSize, 16);
+  const hasZ = defaultValue(options.hasZ, false);
+
+  const featureBuffers = features.map(function (feature) {
+    const properties = encodeProperties(
+      defaultValue(feature.properties, {}),
+      columns
+    );
+    const bytes = writeRoot([
+      {
+        type: "table",
+        value: createGeometryFields(feature.geometry, hasZ),
+      },
+      properties.length > 0 ? { type: "bytes", value: properties } : undefined,
+    ]);
+    const buffer = new Uint8Array(bytes.length + 4);
+    new DataView(buffer.buffer).setUint32(0, bytes.length, true);
+    buffer.set(bytes, 4);
+    return buffer;
+  });
+
+  const boxes = features.map(function (feature) {
+    return computeBoundingBox(feature.geometry);
+  });
+  const envelope = boxes.reduce(
+    function (result, box) {
+      return [
+        Math.min(result[0], box[0]),
+        Math.min(result[1], box[1]),
+        Math.max(result[2], box[2]),
+        Math.max(result[3], box[3]),
+      ];
+    },
+    [
+      Number.POSITIVE_INFINITY,
+      Number.POSITIVE_INFINITY,
+      Number.NEGATIVE_INFINITY,
+      Number.NEGATIVE_INFINITY,
+    ]
+  );
+
+  const header = writeRoot([
+    defined(options.name) ? { type: "string", value: options.name } : undefined,
+    { type: "doubles", value: envelope },
+    { type: "uint8", value: defaultValue(options.geometryType, 0) },
+    { type: "uint8", value: hasZ ? 1 : 0 },
+    undefined,
+    undefined,
+    undefined,
+    {
+      type: "tables",
+      value: columns.map(function (column) {
+        return [
+          { type: "string", value: column.name },
+          { type: "uint8", value: column.type },
+        ];
+      }),
+    },
+    { type: "uint64", value: features.length },
+    { type: "uint16", value: nodeSize },
+    defined(options.crsCode)
+      ? {
+          type: "table",
+          value: [
+            { type: "string", value: "EPSG" },
+            { type: "int32", value: options.crsCode },
+          ],
+        }
+      : undefined,
+  ]);
+
+  const offsets = [];
+  let offset = 0;
+  for (let i = 0; i < featureBuffers.length; ++i) {
+    offsets.push(offset);
+    offset += featureBuffers[i].length;
+  }
+  const index =
+    nodeSize > 0 && features.length > 0
+      ? createIndex(boxes, offsets, nodeSize)
+      : new Uint8Array();
+
+  const parts = [
+    new Uint8Array([0x66, 0x67, 0x62, 0x03, 0x66, 0x67, 0x62, 0x00]),
+    new Uint8Array(new Uint32Array([header.length]).buffer),
+    header,
+    index,
+  ].concat(featureBuffers);
+
+  const length = parts.reduce(function (sum, part) {
+    return sum + part.length;
+  }, 0);
+  const result = new Uint8Array(length);
+  let position = 0;
+  for (let i = 0; i < parts.length; ++i) {
+    result.set(parts[i], position);
+    position += parts[i].length;
+  }
+  return result.buffer;
+};
+
+/**
+ * Serves a file to the requests of {@link Resource} by spying on <code>Resource._Implementations.loadWithXhr</code>.
+ * Requests with a <code>Range</code> header of the form <code>bytes=start-end</code> or <code>bytes=start-</code>
+ * receive the requested bytes.
+ *
+ * @param {ArrayBuffer} buffer The file.
+ * @param {object} [options] Object with the following properties:
+ * @param {boolean} [options.ignoreRange=false] Whether to respond with the whole file, like a server that does not support range requests.
+ * @param {Object<string, ArrayBuffer|string>} [options.files] Other files by their URLs, which are served whole.
+ * @returns {number[][]} The start and end of the ranges that were served, which is filled in as requests are made.
+ */
+BinaryFormatTester.serveFile = function (buffer, options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const ignoreRange = defaultValue(options.ignoreRange, false);
+  const files = defaultValue(options.files, defaultValue.EMPTY_OBJECT);
+  const servedRanges = [];
+
+  spyOn(Resource._Implementations, "loadWithXhr").and.callFake(function (
+    url,
+    responseType,
+    method,
+    data,
+    headers,
+    deferred,
+    overrideMimeType
+  ) {
+    if (files.hasOwnProperty(url)) {
+      deferred.resolve(files[url]);
+      return;
+    }
+
+    const range = /bytes=(\d+)-(\d*)/.exec(headers.Range);
+    if (ignoreRange || !defined(range)) {
+      servedRanges.push([0, buffer.byteLength]);
+      deferred.resolve(buffer.slice(0));
+      return;
+    }
+
+    const start = parseInt(range[1]);
+    const end =
+      range[2] === ""
+        ? buffer.byteLength
+        : Math.min(parseInt(range[2]) + 1, buffer.byteLength);
+    servedRanges.push([start, end]);
+    deferred.resolve(buffer.slice(start, end));
+  });
+
+  return servedRanges;
+};
+
+export default BinaryFormatTester;
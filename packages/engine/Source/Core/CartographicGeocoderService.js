@@ -1,15 +1,29 @@
 import Cartesian3 from "./Cartesian3.js";
 import Check from "./Check.js";
+import defined from "./defined.js";
+import DegreesMinutesSeconds from "./DegreesMinutesSeconds.js";
+import Mgrs from "./Mgrs.js";
+import Utm from "./Utm.js";
 
 /**
  * Geocodes queries containing longitude and latitude coordinates and an optional height.
  * Query format: `longitude latitude (height)` with longitude/latitude in degrees and height in meters.
+ * Queries can also be MGRS or USNG references, such as `18S UJ 23480 06470`, UTM coordinates, such as
+ * `33U 571666 5539110`, or latitudes and longitudes in degrees, minutes and seconds, such as
+ * `40°02'19.8"N 75°35'52.0"W`. Destinations of queries without a height are 300 meters above the ellipsoid.
+ *
+ * @see Mgrs
+ * @see Utm
+ * @see DegreesMinutesSeconds
  *
  * @alias CartographicGeocoderService
  * @constructor
  */
 function CartographicGeocoderService() {}
 
+// The height of destinations of queries without a height
+const defaultHeight = 300.0;
+
 Object.defineProperties(CartographicGeocoderService.prototype, {
   /**
    * Gets the credit to display after a geocode is performed. Typically this is used to credit
@@ -40,7 +54,7 @@ CartographicGeocoderService.prototype.geocode = function (query) {
   if (splitQuery.length === 2 || splitQuery.length === 3) {
     let longitude = +splitQuery[0];
     let latitude = +splitQuery[1];
-    const height = splitQuery.length === 3 ? +splitQuery[2] : 300.0;
+    const height = splitQuery.length === 3 ? +splitQuery[2] : defaultHeight;
 
     if (isNaN(longitude) && isNaN(latitude)) {
       const coordTest = /^(\d+.?\d*)([nsew])/i;
@@ -68,6 +82,25 @@ CartographicGeocoderService.prototype.geocode = function (query) {
       return Promise.resolve([result]);
     }
   }
+
+  let cartographic = Mgrs.parse(query);
+  if (!defined(cartographic)) {
+    cartographic = Utm.parse(query);
+  }
+  if (!defined(cartographic)) {
+    cartographic = DegreesMinutesSeconds.parse(query);
+  }
+  if (defined(cartographic)) {
+    const result = {
+      displayName: query,
+      destination: Cartesian3.fromRadians(
+        cartographic.longitude,
+        cartographic.latitude,
+        defaultHeight
+      ),
+    };
+    return Promise.resolve([result]);
+  }
   return Promise.resolve([]);
 };
 export default CartographicGeocoderService;
@@ -1,3 +1,6 @@
+import binarySearch from "./binarySearch.js";
+import Check from "./Check.js";
+import ClockBookmark from "./ClockBookmark.js";
 import ClockRange from "./ClockRange.js";
 import ClockStep from "./ClockStep.js";
 import defaultValue from "./defaultValue.js";
@@ -124,7 +127,13 @@ function Clock(options) {
    * @type {Event}
    */
   this.onStop = new Event();
+  /**
+   * An {@link Event} that is fired whenever a bookmark is added to or removed from the clock.
+   * @type {Event}
+   */
+  this.onBookmarksChanged = new Event();
 
+  this._bookmarks = [];
   this._currentTime = undefined;
   this._multiplier = undefined;
   this._clockStep = undefined;
@@ -249,8 +258,124 @@ Object.defineProperties(Clock.prototype, {
       this._shouldAnimate = value;
     },
   },
+
+  /**
+   * Gets the bookmarks of the clock, sorted by time.  Use {@link Clock#addBookmark} and
+   * {@link Clock#removeBookmark} to change the bookmarks.
+   * @memberof Clock.prototype
+   * @type {ClockBookmark[]}
+   * @readonly
+   */
+  bookmarks: {
+    get: function () {
+      return this._bookmarks;
+    },
+  },
 });
 
+function compareBookmarkTime(bookmark, time) {
+  return JulianDate.compare(bookmark.time, time);
+}
+
+/**
+ * Adds a bookmark to the clock.
+ *
+ * @param {JulianDate} [time=Clock#currentTime] The time of the bookmark.
+ * @param {string} [name] The name of the bookmark.
+ * @returns {ClockBookmark} The new bookmark.
+ *
+ * @example
+ * const launch = clock.addBookmark(Cesium.JulianDate.fromIso8601("2012-08-04T16:00:00Z"), "Launch");
+ */
+Clock.prototype.addBookmark = function (time, name) {
+  const bookmark = new ClockBookmark(
+    defaultValue(time, this._currentTime),
+    name
+  );
+
+  // Bookmarks at the same time are kept in the order they were added
+  const bookmarks = this._bookmarks;
+  let index = binarySearch(bookmarks, bookmark.time, compareBookmarkTime);
+  if (index < 0) {
+    index = ~index;
+  }
+  while (
+    index < bookmarks.length &&
+    JulianDate.equals(bookmarks[index].time, bookmark.time)
+  ) {
+    ++index;
+  }
+  bookmarks.splice(index, 0, bookmark);
+
+  this.onBookmarksChanged.raiseEvent(this);
+  return bookmark;
+};
+
+/**
+ * Removes a bookmark from the clock.
+ *
+ * @param {ClockBookmark} bookmark The bookmark to remove.
+ * @returns {boolean} <code>true</code> if the bookmark was removed, <code>false</code> if it was not on the clock.
+ */
+Clock.prototype.removeBookmark = function (bookmark) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("bookmark", bookmark);
+  //>>includeEnd('debug');
+
+  const index = this._bookmarks.indexOf(bookmark);
+  if (index === -1) {
+    return false;
+  }
+  this._bookmarks.splice(index, 1);
+  this.onBookmarksChanged.raiseEvent(this);
+  return true;
+};
+
+/**
+ * Removes all bookmarks from the clock.
+ */
+Clock.prototype.removeAllBookmarks = function () {
+  if (this._bookmarks.length === 0) {
+    return;
+  }
+  this._bookmarks.length = 0;
+  this.onBookmarksChanged.raiseEvent(this);
+};
+
+/**
+ * Gets the first bookmark after the provided time.
+ *
+ * @param {JulianDate} [time=Clock#currentTime] The time.
+ * @returns {ClockBookmark|undefined} The bookmark, or undefined if there is no bookmark after the time.
+ */
+Clock.prototype.getNextBookmark = function (time) {
+  time = defaultValue(time, this._currentTime);
+  const bookmarks = this._bookmarks;
+  for (let i = 0; i < bookmarks.length; ++i) {
+    if (JulianDate.greaterThan(bookmarks[i].time, time)) {
+      return bookmarks[i];
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Gets the last bookmark before the provided time.
+ *
+ * @param {JulianDate} [time=Clock#currentTime] The time.
+ * @returns {ClockBookmark|undefined} The bookmark, or undefined if there is no bookmark before the time.
+ */
+Clock.prototype.getPreviousBookmark = function (time) {
+  time = defaultValue(time, this._currentTime);
+  const bookmarks = this._bookmarks;
+  for (let i = bookmarks.length - 1; i >= 0; --i) {
+    if (JulianDate.lessThan(bookmarks[i].time, time)) {
+      return bookmarks[i];
+    }
+  }
+  return undefined;
+};
+
 /**
  * Advances the clock from the current time based on the current configuration options.
  * tick should be called every frame, regardless of whether animation is taking place
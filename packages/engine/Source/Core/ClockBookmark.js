@@ -0,0 +1,44 @@
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import JulianDate from "./JulianDate.js";
+
+/**
+ * A named time stored on a {@link Clock}.  Bookmarks are created with {@link Clock#addBookmark}.
+ *
+ * @alias ClockBookmark
+ * @constructor
+ *
+ * @param {JulianDate} time The time of the bookmark.
+ * @param {string} [name] The name of the bookmark.
+ *
+ * @see Clock#addBookmark
+ */
+function ClockBookmark(time, name) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("time", time);
+  //>>includeEnd('debug');
+
+  this._time = JulianDate.clone(time);
+
+  /**
+   * The name of the bookmark.
+   * @type {string}
+   */
+  this.name = defaultValue(name, "");
+}
+
+Object.defineProperties(ClockBookmark.prototype, {
+  /**
+   * Gets the time of the bookmark.
+   * @memberof ClockBookmark.prototype
+   * @type {JulianDate}
+   * @readonly
+   */
+  time: {
+    get: function () {
+      return this._time;
+    },
+  },
+});
+
+export default ClockBookmark;
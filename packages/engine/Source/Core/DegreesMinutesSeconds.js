@@ -0,0 +1,221 @@
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import CesiumMath from "./Math.js";
+
+/**
+ * Functions for formatting and parsing positions as degrees, minutes and seconds, such as
+ * <code>40°02'19.8"N 75°35'52.0"W</code>.
+ *
+ * @namespace DegreesMinutesSeconds
+ */
+const DegreesMinutesSeconds = {};
+
+function formatAngle(degrees, positive, negative, degreesLength, decimals) {
+  const hemisphere = degrees < 0.0 ? negative : positive;
+
+  // Round the seconds first so that they carry into the minutes and degrees
+  const factor = Math.pow(10, decimals);
+  const totalSeconds = Math.round(Math.abs(degrees) * 3600.0 * factor) / factor;
+  const wholeDegrees = Math.floor(totalSeconds / 3600.0);
+  const minutes = Math.floor((totalSeconds - wholeDegrees * 3600.0) / 60.0);
+  const seconds = totalSeconds - wholeDegrees * 3600.0 - minutes * 60.0;
+
+  const secondsLength = decimals > 0 ? decimals + 3 : 2;
+  return `${wholeDegrees
+    .toString()
+    .padStart(degreesLength, "0")}°${minutes
+    .toString()
+    .padStart(2, "0")}'${seconds
+    .toFixed(decimals)
+    .padStart(secondsLength, "0")}"${hemisphere}`;
+}
+
+/**
+ * Formats a position as degrees, minutes and seconds for display, such as <code>40°02'19.8"N 075°35'52.0"W</code>.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @param {number} [decimals=1] The number of decimal places of the seconds.
+ * @returns {string} The latitude and longitude.
+ */
+DegreesMinutesSeconds.format = function (cartographic, decimals) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  decimals = defaultValue(decimals, 1);
+  const latitude = CesiumMath.toDegrees(cartographic.latitude);
+  const longitude = CesiumMath.toDegrees(
+    CesiumMath.negativePiToPi(cartographic.longitude)
+  );
+  return `${formatAngle(latitude, "N", "S", 2, decimals)} ${formatAngle(
+    longitude,
+    "E",
+    "W",
+    3,
+    decimals
+  )}`;
+};
+
+const tokenRegex = /\s*(?:([NSEW])|([-+]?\d+(?:\.\d+)?)\s*(°|º|''|['′’"″”:])?)\s*,?/iy;
+
+function isDegreeMark(mark) {
+  return mark === "°" || mark === "º";
+}
+
+function isMinuteMark(mark) {
+  return mark === "'" || mark === "′" || mark === "’";
+}
+
+// Splits the text into angles, each of up to three numbers with an optional hemisphere before or after them
+function tokenize(text) {
+  const angles = [];
+  let angle;
+  tokenRegex.lastIndex = 0;
+  while (tokenRegex.lastIndex < text.length) {
+    const match = tokenRegex.exec(text);
+    if (!defined(match)) {
+      return undefined;
+    }
+
+    if (defined(match[1])) {
+      const hemisphere = match[1].toUpperCase();
+      if (
+        defined(angle) &&
+        angle.numbers.length > 0 &&
+        !defined(angle.hemisphere)
+      ) {
+        angle.hemisphere = hemisphere;
+        angle = undefined;
+      } else if (defined(angle) && angle.numbers.length === 0) {
+        return undefined;
+      } else {
+        angle = {
+          hemisphere: hemisphere,
+          numbers: [],
+          marks: [],
+        };
+        angles.push(angle);
+      }
+      continue;
+    }
+
+    const mark = defaultValue(match[3], "");
+    if (
+      !defined(angle) ||
+      angle.numbers.length === 3 ||
+      (isDegreeMark(mark) && angle.numbers.length > 0)
+    ) {
+      angle = {
+        hemisphere: undefined,
+        numbers: [],
+        marks: [],
+      };
+      angles.push(angle);
+    }
+    angle.numbers.push(match[2]);
+    angle.marks.push(mark);
+  }
+  return angles;
+}
+
+// The angle in degrees, or undefined if its numbers and marks are not valid
+function computeDegrees(angle) {
+  const numbers = angle.numbers;
+  const marks = angle.marks;
+  if (numbers.length === 0) {
+    return undefined;
+  }
+
+  let sign = 1.0;
+  let degrees = 0.0;
+  for (let i = 0; i < numbers.length; ++i) {
+    const mark = marks[i];
+    if (
+      (i === 0 && isMinuteMark(mark)) ||
+      (i > 0 && isDegreeMark(mark)) ||
+      (i > 0 && /^[-+]/.test(numbers[i])) ||
+      (i < numbers.length - 1 && numbers[i].indexOf(".") !== -1)
+    ) {
+      return undefined;
+    }
+
+    let value = parseFloat(numbers[i]);
+    if (i === 0) {
+      sign = value < 0.0 || numbers[i][0] === "-" ? -1.0 : 1.0;
+      value = Math.abs(value);
+    } else if (value >= 60.0) {
+      return undefined;
+    }
+    degrees += value / Math.pow(60.0, i);
+  }
+
+  const hemisphere = angle.hemisphere;
+  if (defined(hemisphere)) {
+    if (sign < 0.0) {
+      return undefined;
+    }
+    if (hemisphere === "S" || hemisphere === "W") {
+      sign = -1.0;
+    }
+  }
+  return sign * degrees;
+}
+
+/**
+ * Parses a latitude and longitude in degrees, minutes and seconds, or in degrees and decimal minutes, to a
+ * position. The angles are either both followed or preceded by their hemispheres, in any order, such as
+ * <code>40°02'19.8"N 75°35'52.0"W</code>, <code>W 75 35 52 N 40 2 19.8</code> or <code>40:02:19.8N, 075:35:52W</code>,
+ * or are both signed with the latitude first, such as <code>-33°52'10" 151°12'30"</code>.
+ *
+ * @param {string} text The latitude and longitude.
+ * @param {Cartographic} [result] The object onto which to store the result.
+ * @returns {Cartographic|undefined} The position, with a height of zero, or <code>undefined</code> if the text is not a valid latitude and longitude.
+ */
+DegreesMinutesSeconds.parse = function (text, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("text", text);
+  //>>includeEnd('debug');
+
+  const angles = tokenize(text.trim());
+  if (!defined(angles) || angles.length !== 2) {
+    return undefined;
+  }
+
+  const first = angles[0];
+  const second = angles[1];
+  if (defined(first.hemisphere) !== defined(second.hemisphere)) {
+    return undefined;
+  }
+
+  let latitudeAngle = first;
+  let longitudeAngle = second;
+  if (defined(first.hemisphere)) {
+    const firstIsLatitude =
+      first.hemisphere === "N" || first.hemisphere === "S";
+    const secondIsLatitude =
+      second.hemisphere === "N" || second.hemisphere === "S";
+    if (firstIsLatitude === secondIsLatitude) {
+      return undefined;
+    }
+    if (!firstIsLatitude) {
+      latitudeAngle = second;
+      longitudeAngle = first;
+    }
+  }
+
+  const latitude = computeDegrees(latitudeAngle);
+  const longitude = computeDegrees(longitudeAngle);
+  if (
+    !defined(latitude) ||
+    !defined(longitude) ||
+    Math.abs(latitude) > 90.0 ||
+    Math.abs(longitude) > 180.0
+  ) {
+    return undefined;
+  }
+
+  return Cartographic.fromDegrees(longitude, latitude, 0.0, result);
+};
+export default DegreesMinutesSeconds;
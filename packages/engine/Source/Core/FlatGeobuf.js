@@ -0,0 +1,1056 @@
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import fetchByteRange from "./fetchByteRange.js";
+import getStringFromTypedArray from "./getStringFromTypedArray.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+import Resource from "./Resource.js";
+import RuntimeError from "./RuntimeError.js";
+import WebMercatorProjection from "./WebMercatorProjection.js";
+
+// The magic bytes "fgb", the major version 3, "fgb" and the patch version
+const MAGIC_BYTES = [0x66, 0x67, 0x62, 0x03, 0x66, 0x67, 0x62];
+const MAGIC_LENGTH = 8;
+
+// Enough for the header of most files, so that it is read with a single request
+const INITIAL_FETCH_LENGTH = 65536;
+
+// Each node of the index is a bounding box of four doubles and a 64-bit offset
+const NODE_ITEM_BYTE_LENGTH = 40;
+
+// Ranges of the index or the features that are closer than this are read with a single request
+const MAXIMUM_GAP_LENGTH = 65536;
+
+const WEB_MERCATOR_RADIUS = 6378137.0;
+const webMercatorCodes = [3857, 900913, 3785, 102100, 102113];
+
+/**
+ * The geometry types of FlatGeobuf.
+ *
+ * @private
+ */
+const GeometryType = {
+  UNKNOWN: 0,
+  POINT: 1,
+  LINE_STRING: 2,
+  POLYGON: 3,
+  MULTI_POINT: 4,
+  MULTI_LINE_STRING: 5,
+  MULTI_POLYGON: 6,
+  GEOMETRY_COLLECTION: 7,
+};
+
+/**
+ * The column types of FlatGeobuf.
+ *
+ * @private
+ */
+const ColumnType = {
+  BYTE: 0,
+  UBYTE: 1,
+  BOOL: 2,
+  SHORT: 3,
+  USHORT: 4,
+  INT: 5,
+  UINT: 6,
+  LONG: 7,
+  ULONG: 8,
+  FLOAT: 9,
+  DOUBLE: 10,
+  STRING: 11,
+  JSON: 12,
+  DATETIME: 13,
+  BINARY: 14,
+};
+
+/**
+ * A FlatGeobuf file that is read with HTTP range requests.
+ * <p>
+ * The packed Hilbert R-tree of the file is used to find the features that intersect a rectangle, so that only
+ * those features and the parts of the index that lead to them are read.  Files with the
+ * <code>EPSG:4326</code> or <code>EPSG:3857</code> coordinate reference systems are supported, and
+ * the features are returned as GeoJSON features with longitudes and latitudes in degrees.
+ * </p>
+ * <div class="notice">
+ * To construct a FlatGeobuf, call {@link FlatGeobuf.fromUrl}. Do not call the constructor directly.
+ * </div>
+ *
+ * @alias FlatGeobuf
+ * @constructor
+ *
+ * @param {object} [options] Object with the following properties:
+ * @param {number} [options.maximumCachedNodes=1024] The number of blocks of index nodes above the leaves to keep in memory.
+ *
+ * @see {@link https://flatgeobuf.org/|FlatGeobuf}
+ *
+ * @private
+ */
+function FlatGeobuf(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._resource = undefined;
+  this._buffer = undefined;
+  this._header = undefined;
+  this._indexOffset = 0;
+  this._indexByteLength = 0;
+  this._levelBounds = undefined;
+  this._isWebMercator = false;
+  this._nodeCache = new Map();
+  this._maximumCachedNodes = defaultValue(options.maximumCachedNodes, 1024);
+}
+
+Object.defineProperties(FlatGeobuf.prototype, {
+  /**
+   * Gets the name of the dataset.
+   * @memberof FlatGeobuf.prototype
+   * @type {string|undefined}
+   * @readonly
+   */
+  name: {
+    get: function () {
+      return this._header.name;
+    },
+  },
+
+  /**
+   * Gets the title of the dataset.
+   * @memberof FlatGeobuf.prototype
+   * @type {string|undefined}
+   * @readonly
+   */
+  title: {
+    get: function () {
+      return this._header.title;
+    },
+  },
+
+  /**
+   * Gets the description of the dataset.
+   * @memberof FlatGeobuf.prototype
+   * @type {string|undefined}
+   * @readonly
+   */
+  description: {
+    get: function () {
+      return this._header.description;
+    },
+  },
+
+  /**
+   * Gets the number of features in the file.
+   * @memberof FlatGeobuf.prototype
+   * @type {number}
+   * @readonly
+   */
+  featuresLength: {
+    get: function () {
+      return this._header.featuresCount;
+    },
+  },
+
+  /**
+   * Gets whether the file has a spatial index.  Without an index, all features must be read.
+   * @memberof FlatGeobuf.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasIndex: {
+    get: function () {
+      return defined(this._levelBounds);
+    },
+  },
+
+  /**
+   * Gets the extent of the features, or undefined if the file does not have an envelope.
+   * @memberof FlatGeobuf.prototype
+   * @type {Rectangle|undefined}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      const envelope = this._header.envelope;
+      if (!defined(envelope) || envelope.length < 4) {
+        return undefined;
+      }
+      const southwest = toDegrees(this, envelope[0], envelope[1]);
+      const northeast = toDegrees(this, envelope[2], envelope[3]);
+      return Rectangle.fromDegrees(
+        southwest[0],
+        southwest[1],
+        northeast[0],
+        northeast[1]
+      );
+    },
+  },
+});
+
+function toDegrees(file, x, y) {
+  if (!file._isWebMercator) {
+    return [x, y];
+  }
+  return [
+    CesiumMath.toDegrees(x / WEB_MERCATOR_RADIUS),
+    CesiumMath.toDegrees(
+      WebMercatorProjection.mercatorAngleToGeodeticLatitude(
+        y / WEB_MERCATOR_RADIUS
+      )
+    ),
+  ];
+}
+
+function fromRadians(file, longitude, latitude) {
+  if (!file._isWebMercator) {
+    return [CesiumMath.toDegrees(longitude), CesiumMath.toDegrees(latitude)];
+  }
+  return [
+    longitude * WEB_MERCATOR_RADIUS,
+    WebMercatorProjection.geodeticLatitudeToMercatorAngle(latitude) *
+      WEB_MERCATOR_RADIUS,
+  ];
+}
+
+/**
+ * Gets the boxes in the coordinates of the file that cover a rectangle, which is split in two when it
+ * crosses the antimeridian.
+ *
+ * @private
+ */
+function getBoxes(file, rectangle) {
+  const southwest = fromRadians(file, rectangle.west, rectangle.south);
+  const northeast = fromRadians(file, rectangle.east, rectangle.north);
+  if (rectangle.west <= rectangle.east) {
+    return [[southwest[0], southwest[1], northeast[0], northeast[1]]];
+  }
+
+  const maximum = fromRadians(file, Math.PI, 0.0)[0];
+  return [
+    [southwest[0], southwest[1], maximum, northeast[1]],
+    [-maximum, southwest[1], northeast[0], northeast[1]],
+  ];
+}
+
+function intersects(boxes, minX, minY, maxX, maxY) {
+  for (let i = 0; i < boxes.length; ++i) {
+    const box = boxes[i];
+    if (minX <= box[2] && maxX >= box[0] && minY <= box[3] && maxY >= box[1]) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// FlatBuffers tables, see https://flatbuffers.dev/flatbuffers_internals.html
+
+function readTable(view, position) {
+  const vtable = position - view.getInt32(position, true);
+  return {
+    view: view,
+    position: position,
+    vtable: vtable,
+    vtableLength: view.getUint16(vtable, true),
+  };
+}
+
+function readRootTable(view) {
+  return readTable(view, view.getUint32(0, true));
+}
+
+function getFieldPosition(table, field) {
+  const vtableOffset = 4 + field * 2;
+  if (vtableOffset >= table.vtableLength) {
+    return undefined;
+  }
+  const offset = table.view.getUint16(table.vtable + vtableOffset, true);
+  return offset === 0 ? undefined : table.position + offset;
+}
+
+function readIndirect(view, position) {
+  return position + view.getUint32(position, true);
+}
+
+function readUint8Field(table, field, fallback) {
+  const position = getFieldPosition(table, field);
+  return defined(position) ? table.view.getUint8(position) : fallback;
+}
+
+function readUint16Field(table, field, fallback) {
+  const position = getFieldPosition(table, field);
+  return defined(position) ? table.view.getUint16(position, true) : fallback;
+}
+
+function readInt32Field(table, field, fallback) {
+  const position = getFieldPosition(table, field);
+  return defined(position) ? table.view.getInt32(position, true) : fallback;
+}
+
+function readUint64(view, position) {
+  return (
+    view.getUint32(position, true) +
+    view.getUint32(position + 4, true) * 4294967296
+  );
+}
+
+function readUint64Field(table, field, fallback) {
+  const position = getFieldPosition(table, field);
+  return defined(position) ? readUint64(table.view, position) : fallback;
+}
+
+function readVectorField(table, field) {
+  const position = getFieldPosition(table, field);
+  if (!defined(position)) {
+    return undefined;
+  }
+  const vector = readIndirect(table.view, position);
+  return {
+    position: vector + 4,
+    length: table.view.getUint32(vector, true),
+  };
+}
+
+function readString(view, position, length) {
+  return getStringFromTypedArray(
+    new Uint8Array(view.buffer, view.byteOffset + position, length)
+  );
+}
+
+function readStringField(table, field) {
+  const vector = readVectorField(table, field);
+  if (!defined(vector)) {
+    return undefined;
+  }
+  return readString(table.view, vector.position, vector.length);
+}
+
+function readTableField(table, field) {
+  const position = getFieldPosition(table, field);
+  if (!defined(position)) {
+    return undefined;
+  }
+  return readTable(table.view, readIndirect(table.view, position));
+}
+
+function readTableVectorField(table, field) {
+  const vector = readVectorField(table, field);
+  if (!defined(vector)) {
+    return undefined;
+  }
+  const tables = new Array(vector.length);
+  for (let i = 0; i < vector.length; ++i) {
+    tables[i] = readTable(
+      table.view,
+      readIndirect(table.view, vector.position + i * 4)
+    );
+  }
+  return tables;
+}
+
+function readDoubleVectorField(table, field) {
+  const vector = readVectorField(table, field);
+  if (!defined(vector)) {
+    return undefined;
+  }
+  // The vector may not be aligned within the array buffer, so it is copied
+  const values = new Float64Array(vector.length);
+  for (let i = 0; i < vector.length; ++i) {
+    values[i] = table.view.getFloat64(vector.position + i * 8, true);
+  }
+  return values;
+}
+
+function readUint32VectorField(table, field) {
+  const vector = readVectorField(table, field);
+  if (!defined(vector)) {
+    return undefined;
+  }
+  const values = new Uint32Array(vector.length);
+  for (let i = 0; i < vector.length; ++i) {
+    values[i] = table.view.getUint32(vector.position + i * 4, true);
+  }
+  return values;
+}
+
+function parseColumns(tables) {
+  if (!defined(tables)) {
+    return undefined;
+  }
+  return tables.map(function (table) {
+    return {
+      name: readStringField(table, 0),
+      type: readUint8Field(table, 1, ColumnType.BYTE),
+    };
+  });
+}
+
+function parseHeader(view) {
+  const table = readRootTable(view);
+  const crsTable = readTableField(table, 10);
+  let crs;
+  if (defined(crsTable)) {
+    crs = {
+      org: readStringField(crsTable, 0),
+      code: readInt32Field(crsTable, 1, 0),
+    };
+  }
+
+  return {
+    name: readStringField(table, 0),
+    envelope: readDoubleVectorField(table, 1),
+    geometryType: readUint8Field(table, 2, GeometryType.UNKNOWN),
+    hasZ: readUint8Field(table, 3, 0) !== 0,
+    columns: parseColumns(readTableVectorField(table, 7)),
+    featuresCount: readUint64Field(table, 8, 0),
+    indexNodeSize: readUint16Field(table, 9, 16),
+    crs: crs,
+    title: readStringField(table, 11),
+    description: readStringField(table, 12),
+  };
+}
+
+/**
+ * Computes the range of node indices of each level of the packed Hilbert R-tree. The first level is
+ * the leaves, which are stored last, and the last level is the root.
+ *
+ * @private
+ */
+function computeLevelBounds(featuresCount, nodeSize) {
+  const levelNodeCounts = [featuresCount];
+  let count = featuresCount;
+  let nodeCount = count;
+  do {
+    count = Math.ceil(count / nodeSize);
+    nodeCount += count;
+    levelNodeCounts.push(count);
+  } while (count !== 1);
+
+  const levelBounds = [];
+  let end = nodeCount;
+  for (let i = 0; i < levelNodeCounts.length; ++i) {
+    levelBounds.push({
+      start: end - levelNodeCounts[i],
+      end: end,
+    });
+    end -= levelNodeCounts[i];
+  }
+  return levelBounds;
+}
+
+function fetchRange(file, offset, length) {
+  if (defined(file._buffer)) {
+    return Promise.resolve(readBuffer(file._buffer, offset, length));
+  }
+
+  return fetchByteRange(file._resource, offset, length).then(function (range) {
+    const buffer = range.buffer;
+    // A response longer than the range is the whole file, which is kept for later reads
+    if (buffer.byteLength > length) {
+      file._buffer = buffer;
+    }
+    return readBuffer(buffer, offset - range.offset, length);
+  });
+}
+
+function readBuffer(buffer, offset, length) {
+  const end = Math.min(offset + length, buffer.byteLength);
+  return new DataView(buffer, offset, Math.max(end - offset, 0));
+}
+
+/**
+ * Reads the index nodes in a range. Nodes above the leaves are cached, because every search reads them.
+ *
+ * @private
+ */
+function readNodes(file, start, end, isLeaf) {
+  const cache = file._nodeCache;
+  const key = `${start}-${end}`;
+  if (!isLeaf) {
+    const promise = cache.get(key);
+    if (defined(promise)) {
+      // Move the nodes to the end of the cache, so that the least recently used nodes are removed first
+      cache.delete(key);
+      cache.set(key, promise);
+      return promise;
+    }
+  }
+
+  const promise = fetchRange(
+    file,
+    file._indexOffset + start * NODE_ITEM_BYTE_LENGTH,
+    (end - start) * NODE_ITEM_BYTE_LENGTH
+  );
+  if (!isLeaf) {
+    promise.catch(function () {
+      cache.delete(key);
+    });
+    cache.set(key, promise);
+    if (cache.size > file._maximumCachedNodes) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+  return promise;
+}
+
+/**
+ * Groups sorted ranges that are close to each other, so that each group is read with one request.
+ *
+ * @private
+ */
+function groupRanges(ranges, maximumGap) {
+  const groups = [];
+  let group;
+  for (let i = 0; i < ranges.length; ++i) {
+    const range = ranges[i];
+    if (defined(group) && range.start - group.end <= maximumGap) {
+      group.end = Math.max(group.end, range.end);
+      group.ranges.push(range);
+    } else {
+      group = {
+        start: range.start,
+        end: range.end,
+        ranges: [range],
+      };
+      groups.push(group);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Finds the features whose bounding boxes intersect a rectangle, using the spatial index of the file.
+ *
+ * @param {Rectangle} rectangle The rectangle, in radians.
+ * @param {number} [maximumFeatures=Number.POSITIVE_INFINITY] The maximum number of features to find.
+ * @returns {Promise<FlatGeobuf.FeatureReference[]>} A promise that resolves to references to the features, sorted by
+ *          their position in the file, which can be passed to {@link FlatGeobuf#readFeatures}.
+ *
+ * @exception {DeveloperError} The file does not have a spatial index.
+ */
+FlatGeobuf.prototype.search = async function (rectangle, maximumFeatures) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("rectangle", rectangle);
+  if (!this.hasIndex) {
+    throw new DeveloperError("The file does not have a spatial index.");
+  }
+  //>>includeEnd('debug');
+
+  maximumFeatures = defaultValue(maximumFeatures, Number.POSITIVE_INFINITY);
+  const boxes = getBoxes(this, rectangle);
+  const levelBounds = this._levelBounds;
+  const nodeSize = this._header.indexNodeSize;
+  const nodeGap = Math.floor(MAXIMUM_GAP_LENGTH / NODE_ITEM_BYTE_LENGTH);
+
+  const results = [];
+  let nodeIndices = [0];
+  for (let level = levelBounds.length - 1; level >= 0; --level) {
+    const isLeaf = level === 0;
+    const levelEnd = levelBounds[level].end;
+    const ranges = nodeIndices
+      .sort(function (a, b) {
+        return a - b;
+      })
+      .map(function (nodeIndex) {
+        return {
+          start: nodeIndex,
+          end: Math.min(nodeIndex + nodeSize, levelEnd),
+        };
+      });
+    // Leaves are read as a whole group, so that the offset of the next feature is known
+    const groups = isLeaf ? groupRanges(ranges, nodeGap) : ranges;
+    const views = await Promise.all(
+      groups.map((group) => readNodes(this, group.start, group.end, isLeaf))
+    );
+
+    const nextNodeIndices = [];
+    for (let i = 0; i < groups.length; ++i) {
+      const group = groups[i];
+      const view = views[i];
+      const groupRanges = defaultValue(group.ranges, [group]);
+      for (let j = 0; j < groupRanges.length; ++j) {
+        const range = groupRanges[j];
+        for (let node = range.start; node < range.end; ++node) {
+          const position = (node - group.start) * NODE_ITEM_BYTE_LENGTH;
+          if (
+            !intersects(
+              boxes,
+              view.getFloat64(position, true),
+              view.getFloat64(position + 8, true),
+              view.getFloat64(position + 16, true),
+              view.getFloat64(position + 24, true)
+            )
+          ) {
+            continue;
+          }
+
+          const offset = readUint64(view, position + 32);
+          if (!isLeaf) {
+            nextNodeIndices.push(offset);
+            continue;
+          }
+
+          const index = node - levelBounds[0].start;
+          let length;
+          if (node + 1 < group.end) {
+            length =
+              readUint64(view, position + NODE_ITEM_BYTE_LENGTH + 32) - offset;
+          }
+          results.push({
+            index: index,
+            offset: offset,
+            length: length,
+          });
+          if (results.length >= maximumFeatures) {
+            return results;
+          }
+        }
+      }
+    }
+    nodeIndices = nextNodeIndices;
+  }
+
+  return results;
+};
+
+async function readFeatureLengths(file, references) {
+  const featuresOffset = file._indexOffset + file._indexByteLength;
+  const promises = [];
+  for (let i = 0; i < references.length; ++i) {
+    const reference = references[i];
+    if (defined(reference.length)) {
+      continue;
+    }
+    promises.push(
+      fetchRange(file, featuresOffset + reference.offset, 4).then(function (
+        view
+      ) {
+        reference.length = view.getUint32(0, true) + 4;
+      })
+    );
+  }
+  await Promise.all(promises);
+}
+
+/**
+ * Reads features found by {@link FlatGeobuf#search}.
+ *
+ * @param {FlatGeobuf.FeatureReference[]} references The references to the features, sorted by their position in the file.
+ * @returns {Promise<object[]>} A promise that resolves to the features, as GeoJSON features with the index of the feature as the id.
+ *          Features with geometry types other than those of GeoJSON are skipped.
+ */
+FlatGeobuf.prototype.readFeatures = async function (references) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("references", references);
+  //>>includeEnd('debug');
+
+  await readFeatureLengths(this, references);
+
+  const featuresOffset = this._indexOffset + this._indexByteLength;
+  const groups = groupRanges(
+    references.map(function (reference) {
+      return {
+        start: reference.offset,
+        end: reference.offset + reference.length,
+        reference: reference,
+      };
+    }),
+    MAXIMUM_GAP_LENGTH
+  );
+  const views = await Promise.all(
+    groups.map((group) =>
+      fetchRange(this, featuresOffset + group.start, group.end - group.start)
+    )
+  );
+
+  const features = [];
+  for (let i = 0; i < groups.length; ++i) {
+    const group = groups[i];
+    const view = views[i];
+    for (let j = 0; j < group.ranges.length; ++j) {
+      const range = group.ranges[j];
+      const feature = parseFeature(
+        this,
+        view,
+        range.start - group.start,
+        range.reference.index
+      );
+      if (defined(feature)) {
+        features.push(feature);
+      }
+    }
+  }
+  return features;
+};
+
+/**
+ * Reads all features of the file.
+ *
+ * @returns {Promise<object[]>} A promise that resolves to the features, as GeoJSON features with the index of the feature as the id.
+ *          Features with geometry types other than those of GeoJSON are skipped.
+ */
+FlatGeobuf.prototype.readAllFeatures = async function () {
+  const featuresOffset = this._indexOffset + this._indexByteLength;
+  let view;
+  if (defined(this._buffer)) {
+    view = readBuffer(
+      this._buffer,
+      featuresOffset,
+      this._buffer.byteLength - featuresOffset
+    );
+  } else {
+    const range = await fetchByteRange(
+      this._resource,
+      featuresOffset,
+      undefined,
+      {
+        isWholeFile: function (buffer) {
+          return (
+            buffer.byteLength > featuresOffset &&
+            isFlatGeobuf(new Uint8Array(buffer, 0, MAGIC_LENGTH))
+          );
+        },
+      }
+    );
+    const begin = featuresOffset - range.offset;
+    view = readBuffer(range.buffer, begin, range.buffer.byteLength - begin);
+  }
+
+  const features = [];
+  let offset = 0;
+  let index = 0;
+  while (offset + 4 <= view.byteLength) {
+    const length = view.getUint32(offset, true);
+    const feature = parseFeature(this, view, offset, index);
+    if (defined(feature)) {
+      features.push(feature);
+    }
+    offset += length + 4;
+    ++index;
+  }
+  return features;
+};
+
+function parseFeature(file, view, offset, index) {
+  const length = view.getUint32(offset, true);
+  const featureView = new DataView(
+    view.buffer,
+    view.byteOffset + offset + 4,
+    length
+  );
+  const table = readRootTable(featureView);
+  const header = file._header;
+
+  const geometryTable = readTableField(table, 0);
+  if (!defined(geometryTable)) {
+    return undefined;
+  }
+  const geometry = parseGeometry(
+    file,
+    geometryTable,
+    header.geometryType,
+    header.hasZ
+  );
+  if (!defined(geometry)) {
+    return undefined;
+  }
+
+  const columns = defaultValue(
+    parseColumns(readTableVectorField(table, 2)),
+    header.columns
+  );
+  return {
+    type: "Feature",
+    id: index,
+    geometry: geometry,
+    properties: parseProperties(table, columns),
+  };
+}
+
+function readCoordinates(file, xy, z, start, end) {
+  const coordinates = new Array(end - start);
+  for (let i = start; i < end; ++i) {
+    const coordinate = toDegrees(file, xy[i * 2], xy[i * 2 + 1]);
+    if (defined(z)) {
+      coordinate.push(z[i]);
+    }
+    coordinates[i - start] = coordinate;
+  }
+  return coordinates;
+}
+
+function readParts(file, xy, z, ends) {
+  const count = xy.length / 2;
+  if (!defined(ends) || ends.length === 0) {
+    return [readCoordinates(file, xy, z, 0, count)];
+  }
+
+  const parts = new Array(ends.length);
+  let start = 0;
+  for (let i = 0; i < ends.length; ++i) {
+    parts[i] = readCoordinates(file, xy, z, start, ends[i]);
+    start = ends[i];
+  }
+  return parts;
+}
+
+function parseGeometry(file, table, type, hasZ) {
+  if (type === GeometryType.UNKNOWN) {
+    type = readUint8Field(table, 6, GeometryType.UNKNOWN);
+  }
+
+  if (
+    type === GeometryType.MULTI_POLYGON ||
+    type === GeometryType.GEOMETRY_COLLECTION
+  ) {
+    const parts = defaultValue(readTableVectorField(table, 7), []);
+    if (type === GeometryType.MULTI_POLYGON) {
+      return {
+        type: "MultiPolygon",
+        coordinates: parts.map(function (part) {
+          return parseGeometry(
+            file,
+            part,
+            GeometryType.POLYGON,
+            hasZ
+          ).coordinates;
+        }),
+      };
+    }
+
+    const geometries = [];
+    for (let i = 0; i < parts.length; ++i) {
+      const geometry = parseGeometry(
+        file,
+        parts[i],
+        GeometryType.UNKNOWN,
+        hasZ
+      );
+      if (defined(geometry)) {
+        geometries.push(geometry);
+      }
+    }
+    return {
+      type: "GeometryCollection",
+      geometries: geometries,
+    };
+  }
+
+  const xy = defaultValue(readDoubleVectorField(table, 1), new Float64Array());
+  const z = hasZ ? readDoubleVectorField(table, 2) : undefined;
+  const count = xy.length / 2;
+
+  switch (type) {
+    case GeometryType.POINT:
+      return {
+        type: "Point",
+        coordinates: readCoordinates(file, xy, z, 0, Math.min(count, 1))[0],
+      };
+    case GeometryType.MULTI_POINT:
+      return {
+        type: "MultiPoint",
+        coordinates: readCoordinates(file, xy, z, 0, count),
+      };
+    case GeometryType.LINE_STRING:
+      return {
+        type: "LineString",
+        coordinates: readCoordinates(file, xy, z, 0, count),
+      };
+    case GeometryType.MULTI_LINE_STRING:
+      return {
+        type: "MultiLineString",
+        coordinates: readParts(file, xy, z, readUint32VectorField(table, 0)),
+      };
+    case GeometryType.POLYGON:
+      return {
+        type: "Polygon",
+        coordinates: readParts(file, xy, z, readUint32VectorField(table, 0)),
+      };
+    default:
+      // Curves, surfaces, triangles and TINs have no GeoJSON equivalent
+      return undefined;
+  }
+}
+
+function parseProperties(table, columns) {
+  const properties = {};
+  const vector = readVectorField(table, 1);
+  if (!defined(vector) || !defined(columns)) {
+    return properties;
+  }
+
+  const view = table.view;
+  let offset = vector.position;
+  const end = vector.position + vector.length;
+  while (offset + 2 <= end) {
+    const column = columns[view.getUint16(offset, true)];
+    offset += 2;
+    if (!defined(column)) {
+      throw new RuntimeError("Invalid FlatGeobuf property column.");
+    }
+
+    let value;
+    switch (column.type) {
+      case ColumnType.BYTE:
+        value = view.getInt8(offset);
+        offset += 1;
+        break;
+      case ColumnType.UBYTE:
+        value = view.getUint8(offset);
+        offset += 1;
+        break;
+      case ColumnType.BOOL:
+        value = view.getUint8(offset) !== 0;
+        offset += 1;
+        break;
+      case ColumnType.SHORT:
+        value = view.getInt16(offset, true);
+        offset += 2;
+        break;
+      case ColumnType.USHORT:
+        value = view.getUint16(offset, true);
+        offset += 2;
+        break;
+      case ColumnType.INT:
+        value = view.getInt32(offset, true);
+        offset += 4;
+        break;
+      case ColumnType.UINT:
+        value = view.getUint32(offset, true);
+        offset += 4;
+        break;
+      case ColumnType.LONG:
+        value =
+          view.getUint32(offset, true) +
+          view.getInt32(offset + 4, true) * 4294967296;
+        offset += 8;
+        break;
+      case ColumnType.ULONG:
+        value = readUint64(view, offset);
+        offset += 8;
+        break;
+      case ColumnType.FLOAT:
+        value = view.getFloat32(offset, true);
+        offset += 4;
+        break;
+      case ColumnType.DOUBLE:
+        value = view.getFloat64(offset, true);
+        offset += 8;
+        break;
+      default: {
+        // Strings, JSON, date times and binary values are prefixed with their length
+        const length = view.getUint32(offset, true);
+        offset += 4;
+        if (column.type === ColumnType.BINARY) {
+          value = new Uint8Array(
+            view.buffer,
+            view.byteOffset + offset,
+            length
+          ).slice();
+        } else {
+          value = readString(view, offset, length);
+          if (column.type === ColumnType.JSON) {
+            value = JSON.parse(value);
+          }
+        }
+        offset += length;
+      }
+    }
+    properties[column.name] = value;
+  }
+  return properties;
+}
+
+function isFlatGeobuf(bytes) {
+  if (bytes.length < MAGIC_LENGTH) {
+    return false;
+  }
+  for (let i = 0; i < MAGIC_BYTES.length; ++i) {
+    if (bytes[i] !== MAGIC_BYTES[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Creates a FlatGeobuf by reading the header of the file at the specified url.
+ *
+ * @param {Resource|string} url The url of the file.
+ * @param {object} [options] Object with the following properties:
+ * @param {number} [options.maximumCachedNodes=1024] The number of blocks of index nodes above the leaves to keep in memory.
+ * @returns {Promise<FlatGeobuf>} A promise that resolves to the created file.
+ *
+ * @exception {RuntimeError} The file is not a FlatGeobuf file.
+ * @exception {RuntimeError} Unsupported coordinate reference system.
+ */
+FlatGeobuf.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  const file = new FlatGeobuf(options);
+  file._resource = Resource.createIfNeeded(url);
+
+  let view = await fetchRange(file, 0, INITIAL_FETCH_LENGTH);
+  if (
+    view.byteLength < MAGIC_LENGTH + 4 ||
+    !isFlatGeobuf(new Uint8Array(view.buffer, view.byteOffset, MAGIC_LENGTH))
+  ) {
+    throw new RuntimeError("The file is not a FlatGeobuf file.");
+  }
+
+  // Small files are read with the first request
+  if (view.byteLength < INITIAL_FETCH_LENGTH && !defined(file._buffer)) {
+    file._buffer = view.buffer.slice(
+      view.byteOffset,
+      view.byteOffset + view.byteLength
+    );
+  }
+
+  const headerLength = view.getUint32(MAGIC_LENGTH, true);
+  const headerOffset = MAGIC_LENGTH + 4;
+  if (headerOffset + headerLength > view.byteLength) {
+    view = await fetchRange(file, 0, headerOffset + headerLength);
+  }
+  const header = parseHeader(
+    new DataView(view.buffer, view.byteOffset + headerOffset, headerLength)
+  );
+  file._header = header;
+
+  const crs = header.crs;
+  if (defined(crs) && crs.code !== 0 && crs.code !== 4326) {
+    if (webMercatorCodes.indexOf(crs.code) === -1) {
+      throw new RuntimeError(
+        `Unsupported coordinate reference system ${defaultValue(
+          crs.org,
+          "EPSG"
+        )}:${crs.code}. Only EPSG:4326 and EPSG:3857 are supported.`
+      );
+    }
+    file._isWebMercator = true;
+  }
+
+  file._indexOffset = headerOffset + headerLength;
+  const nodeSize = header.indexNodeSize;
+  if (nodeSize > 0 && header.featuresCount > 0) {
+    const levelBounds = computeLevelBounds(
+      header.featuresCount,
+      Math.min(Math.max(nodeSize, 2), 65535)
+    );
+    file._levelBounds = levelBounds;
+    file._indexByteLength = levelBounds[0].end * NODE_ITEM_BYTE_LENGTH;
+  }
+
+  return file;
+};
+
+/**
+ * A reference to a feature found by {@link FlatGeobuf#search}.
+ *
+ * @typedef {object} FlatGeobuf.FeatureReference
+ * @property {number} index The index of the feature in the file.
+ * @property {number} offset The offset of the feature from the start of the features, in bytes.
+ * @property {number|undefined} length The length of the feature in bytes, if it is known.
+ * @private
+ */
+
+export default FlatGeobuf;
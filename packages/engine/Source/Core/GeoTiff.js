@@ -0,0 +1,988 @@
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import fetchByteRange from "./fetchByteRange.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+import Request from "./Request.js";
+import resampleGeoTiffTiles from "./resampleGeoTiffTiles.js";
+import Resource from "./Resource.js";
+import RuntimeError from "./RuntimeError.js";
+import TaskProcessor from "./TaskProcessor.js";
+import WebMercatorProjection from "./WebMercatorProjection.js";
+
+// TIFF tags, see https://www.awaresystems.be/imaging/tiff/tifftags.html
+const Tag = {
+  NEW_SUBFILE_TYPE: 254,
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  PHOTOMETRIC_INTERPRETATION: 262,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PLANAR_CONFIGURATION: 284,
+  PREDICTOR: 317,
+  COLOR_MAP: 320,
+  TILE_WIDTH: 322,
+  TILE_LENGTH: 323,
+  TILE_OFFSETS: 324,
+  TILE_BYTE_COUNTS: 325,
+  SAMPLE_FORMAT: 339,
+  JPEG_TABLES: 347,
+  MODEL_PIXEL_SCALE: 33550,
+  MODEL_TIEPOINT: 33922,
+  MODEL_TRANSFORMATION: 34264,
+  GEO_KEY_DIRECTORY: 34735,
+  GDAL_NODATA: 42113,
+};
+
+// GeoTIFF keys, see http://docs.opengeospatial.org/is/19-008r4/19-008r4.html
+const GeoKey = {
+  MODEL_TYPE: 1024,
+  RASTER_TYPE: 1025,
+  GEOGRAPHIC_TYPE: 2048,
+  PROJECTED_CS_TYPE: 3072,
+};
+
+const WEB_MERCATOR_RADIUS = 6378137.0;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const RASTER_PIXEL_IS_POINT = 2;
+const USER_DEFINED = 32767;
+
+// Codes used for the spherical mercator projection before EPSG:3857 was assigned
+const webMercatorCodes = [3857, 900913, 3785, 102100, 102113];
+
+// The size, in bytes, of each TIFF field type
+const fieldTypeSizes = {
+  1: 1, // BYTE
+  2: 1, // ASCII
+  3: 2, // SHORT
+  4: 4, // LONG
+  5: 8, // RATIONAL
+  6: 1, // SBYTE
+  7: 1, // UNDEFINED
+  8: 2, // SSHORT
+  9: 4, // SLONG
+  10: 8, // SRATIONAL
+  11: 4, // FLOAT
+  12: 8, // DOUBLE
+  13: 4, // IFD
+  16: 8, // LONG8
+  17: 8, // SLONG8
+  18: 8, // IFD8
+};
+
+// The tile index can be very large for big images, so it is only read when tiles are requested
+const deferredTags = [
+  Tag.TILE_OFFSETS,
+  Tag.TILE_BYTE_COUNTS,
+  Tag.STRIP_OFFSETS,
+  Tag.STRIP_BYTE_COUNTS,
+];
+
+function readUint64(dataView, byteOffset, littleEndian) {
+  const low = dataView.getUint32(
+    byteOffset + (littleEndian ? 0 : 4),
+    littleEndian
+  );
+  const high = dataView.getUint32(
+    byteOffset + (littleEndian ? 4 : 0),
+    littleEndian
+  );
+  // Offsets beyond 2^53 bytes cannot be represented, but are not expected in practice
+  return high * 4294967296 + low;
+}
+
+function readValue(dataView, byteOffset, type, littleEndian) {
+  switch (type) {
+    case 1:
+    case 2:
+    case 7:
+      return dataView.getUint8(byteOffset);
+    case 6:
+      return dataView.getInt8(byteOffset);
+    case 3:
+      return dataView.getUint16(byteOffset, littleEndian);
+    case 8:
+      return dataView.getInt16(byteOffset, littleEndian);
+    case 4:
+    case 13:
+      return dataView.getUint32(byteOffset, littleEndian);
+    case 9:
+      return dataView.getInt32(byteOffset, littleEndian);
+    case 5:
+      return (
+        dataView.getUint32(byteOffset, littleEndian) /
+        dataView.getUint32(byteOffset + 4, littleEndian)
+      );
+    case 10:
+      return (
+        dataView.getInt32(byteOffset, littleEndian) /
+        dataView.getInt32(byteOffset + 4, littleEndian)
+      );
+    case 11:
+      return dataView.getFloat32(byteOffset, littleEndian);
+    case 12:
+      return dataView.getFloat64(byteOffset, littleEndian);
+    case 16:
+    case 18:
+      return readUint64(dataView, byteOffset, littleEndian);
+    case 17: {
+      const low = dataView.getUint32(
+        byteOffset + (littleEndian ? 0 : 4),
+        littleEndian
+      );
+      const high = dataView.getInt32(
+        byteOffset + (littleEndian ? 4 : 0),
+        littleEndian
+      );
+      return high * 4294967296 + low;
+    }
+    default:
+      throw new RuntimeError(`Unsupported TIFF field type: ${type}`);
+  }
+}
+
+function readValues(dataView, byteOffset, type, count, littleEndian) {
+  const size = fieldTypeSizes[type];
+  if (type === 2) {
+    let string = "";
+    for (let i = 0; i < count; ++i) {
+      const code = dataView.getUint8(byteOffset + i);
+      if (code === 0) {
+        break;
+      }
+      string += String.fromCharCode(code);
+    }
+    return string;
+  }
+
+  const values = new Array(count);
+  for (let i = 0; i < count; ++i) {
+    values[i] = readValue(dataView, byteOffset + i * size, type, littleEndian);
+  }
+  return values;
+}
+
+/**
+ * Reads byte ranges of a file with HTTP range requests, keeping the blocks that were read so
+ * the header and image file directories can be parsed without further requests.
+ *
+ * @private
+ */
+function RangeReader(resource, blockSize) {
+  this._resource = resource;
+  this._blockSize = blockSize;
+  this._blocks = [];
+}
+
+RangeReader.prototype.fetch = function (offset, length, request) {
+  return fetchByteRange(this._resource, offset, length, {
+    request: request,
+  });
+};
+
+RangeReader.prototype.read = async function (offset, length) {
+  const blocks = this._blocks;
+  for (let i = 0; i < blocks.length; ++i) {
+    const block = blocks[i];
+    if (
+      offset >= block.offset &&
+      offset + length <= block.offset + block.buffer.byteLength
+    ) {
+      return new DataView(block.buffer, offset - block.offset, length);
+    }
+  }
+
+  const block = await this.fetch(
+    offset,
+    Math.max(length, this._blockSize),
+    new Request({
+      throttle: false,
+    })
+  );
+  blocks.push(block);
+
+  if (
+    offset < block.offset ||
+    offset + length > block.offset + block.buffer.byteLength
+  ) {
+    throw new RuntimeError("Unexpected end of GeoTIFF data.");
+  }
+  return new DataView(block.buffer, offset - block.offset, length);
+};
+
+/**
+ * A single image, the full resolution image or one of its overviews, in a GeoTIFF.
+ *
+ * @private
+ */
+function GeoTiffImage(tags, littleEndian) {
+  this._tags = tags;
+
+  const bitsPerSample = defaultValue(tags[Tag.BITS_PER_SAMPLE], [1]);
+  const sampleFormat = defaultValue(tags[Tag.SAMPLE_FORMAT], [1]);
+
+  this.width = tags[Tag.IMAGE_WIDTH][0];
+  this.height = tags[Tag.IMAGE_LENGTH][0];
+  this.tileWidth = defined(tags[Tag.TILE_WIDTH])
+    ? tags[Tag.TILE_WIDTH][0]
+    : undefined;
+  this.tileHeight = defined(tags[Tag.TILE_LENGTH])
+    ? tags[Tag.TILE_LENGTH][0]
+    : undefined;
+  this.samplesPerPixel = defined(tags[Tag.SAMPLES_PER_PIXEL])
+    ? tags[Tag.SAMPLES_PER_PIXEL][0]
+    : 1;
+  this.bitsPerSample = bitsPerSample[0];
+  this.sampleFormat = sampleFormat[0];
+  this.compression = defined(tags[Tag.COMPRESSION])
+    ? tags[Tag.COMPRESSION][0]
+    : 1;
+  this.predictor = defined(tags[Tag.PREDICTOR]) ? tags[Tag.PREDICTOR][0] : 1;
+  this.photometricInterpretation = defined(tags[Tag.PHOTOMETRIC_INTERPRETATION])
+    ? tags[Tag.PHOTOMETRIC_INTERPRETATION][0]
+    : 1;
+  this.planarConfiguration = defined(tags[Tag.PLANAR_CONFIGURATION])
+    ? tags[Tag.PLANAR_CONFIGURATION][0]
+    : 1;
+  this.subfileType = defined(tags[Tag.NEW_SUBFILE_TYPE])
+    ? tags[Tag.NEW_SUBFILE_TYPE][0]
+    : 0;
+  this.colorMap = tags[Tag.COLOR_MAP];
+  this.jpegTables = defined(tags[Tag.JPEG_TABLES])
+    ? new Uint8Array(tags[Tag.JPEG_TABLES])
+    : undefined;
+  this.littleEndian = littleEndian;
+
+  const noData = tags[Tag.GDAL_NODATA];
+  this.noData = defined(noData) ? parseFloat(noData) : undefined;
+
+  if (defined(this.tileWidth)) {
+    this.tilesAcross = Math.ceil(this.width / this.tileWidth);
+    this.tilesDown = Math.ceil(this.height / this.tileHeight);
+  }
+
+  this._tileIndex = undefined;
+  this._tileIndexPromise = undefined;
+}
+
+/**
+ * Gets the properties of the image needed to decode its tiles in a web worker.
+ *
+ * @returns {object} The layout of the image.
+ */
+GeoTiffImage.prototype.getDecodeOptions = function () {
+  return {
+    width: this.width,
+    height: this.height,
+    tileWidth: this.tileWidth,
+    tileHeight: this.tileHeight,
+    tilesAcross: this.tilesAcross,
+    tilesDown: this.tilesDown,
+    samplesPerPixel: this.samplesPerPixel,
+    bitsPerSample: this.bitsPerSample,
+    sampleFormat: this.sampleFormat,
+    compression: this.compression,
+    predictor: this.predictor,
+    photometricInterpretation: this.photometricInterpretation,
+    littleEndian: this.littleEndian,
+    jpegTables: this.jpegTables,
+    colorMap: this.colorMap,
+    noData: this.noData,
+  };
+};
+
+/**
+ * Reads the offsets and byte counts of the tiles of the image.
+ *
+ * @param {RangeReader} reader The reader for the file.
+ * @returns {Promise<TileIndex>} A promise that resolves to the offsets and byte counts of the tiles.
+ */
+GeoTiffImage.prototype.loadTileIndex = function (reader) {
+  if (defined(this._tileIndexPromise)) {
+    return this._tileIndexPromise;
+  }
+
+  const tags = this._tags;
+  const littleEndian = this.littleEndian;
+  function readDeferred(value) {
+    if (Array.isArray(value)) {
+      return Promise.resolve(value);
+    }
+    const size = fieldTypeSizes[value.type];
+    return reader
+      .read(value.offset, value.count * size)
+      .then(function (dataView) {
+        return readValues(dataView, 0, value.type, value.count, littleEndian);
+      });
+  }
+
+  const that = this;
+  this._tileIndexPromise = Promise.all([
+    readDeferred(tags[Tag.TILE_OFFSETS]),
+    readDeferred(tags[Tag.TILE_BYTE_COUNTS]),
+  ])
+    .then(function (results) {
+      that._tileIndex = {
+        offsets: results[0],
+        byteCounts: results[1],
+      };
+      return that._tileIndex;
+    })
+    .catch(function (error) {
+      // Allow the tile index to be requested again
+      that._tileIndexPromise = undefined;
+      return Promise.reject(error);
+    });
+  return this._tileIndexPromise;
+};
+
+function parseGeoKeys(directory) {
+  const geoKeys = {};
+  if (!defined(directory)) {
+    return geoKeys;
+  }
+
+  const numberOfKeys = directory[3];
+  for (let i = 0; i < numberOfKeys; ++i) {
+    const index = 4 + i * 4;
+    const keyId = directory[index];
+    const location = directory[index + 1];
+    // Only keys with values stored in the directory itself are needed
+    if (location === 0) {
+      geoKeys[keyId] = directory[index + 3];
+    }
+  }
+  return geoKeys;
+}
+
+function getEpsgCode(geoKeys) {
+  const projected = geoKeys[GeoKey.PROJECTED_CS_TYPE];
+  if (defined(projected)) {
+    return webMercatorCodes.indexOf(projected) !== -1 ? 3857 : projected;
+  }
+
+  const geographic = geoKeys[GeoKey.GEOGRAPHIC_TYPE];
+  if (
+    geoKeys[GeoKey.MODEL_TYPE] === MODEL_TYPE_GEOGRAPHIC &&
+    (!defined(geographic) || geographic === USER_DEFINED)
+  ) {
+    return 4326;
+  }
+  return geographic;
+}
+
+/**
+ * A Cloud Optimized GeoTIFF that is read with HTTP range requests.  When the file is opened,
+ * only the header and the image file directories are read.  Tiles are read on demand.
+ *
+ * @alias GeoTiff
+ * @constructor
+ *
+ * @param {object} options Object with the following properties:
+ * @param {Resource} options.resource The resource of the file.
+ * @param {RangeReader} options.reader The reader used to read the header of the file.
+ * @param {GeoTiffImage[]} options.images The full resolution image followed by its overviews, from finest to coarsest.
+ * @param {object} options.geoKeys The GeoTIFF keys of the full resolution image.
+ * @param {number[]} options.origin The coordinates of the upper left corner of the image.
+ * @param {number[]} options.resolution The size of a pixel of the full resolution image along each axis.
+ *
+ * @see GeoTiff.fromUrl
+ *
+ * @private
+ */
+function GeoTiff(options) {
+  this._resource = options.resource;
+  this._reader = options.reader;
+
+  /**
+   * The full resolution image followed by its overviews, from finest to coarsest.
+   * @type {GeoTiffImage[]}
+   */
+  this.images = options.images;
+
+  /**
+   * The EPSG code of the coordinate reference system of the image.
+   * @type {number}
+   */
+  this.epsgCode = getEpsgCode(options.geoKeys);
+
+  /**
+   * The coordinates of the upper left corner of the image, in the units of the coordinate reference system.
+   * @type {number[]}
+   */
+  this.origin = options.origin;
+
+  /**
+   * The width and height of a pixel of the full resolution image, in the units of the coordinate reference system.
+   * @type {number[]}
+   */
+  this.resolution = options.resolution;
+}
+
+/**
+ * Gets the extent of the image in the units of its coordinate reference system.
+ *
+ * @returns {{west: number, south: number, east: number, north: number}} The extent.
+ */
+GeoTiff.prototype.getExtent = function () {
+  const image = this.images[0];
+  const west = this.origin[0];
+  const north = this.origin[1];
+  return {
+    west: west,
+    south: north - image.height * this.resolution[1],
+    east: west + image.width * this.resolution[0],
+    north: north,
+  };
+};
+
+/**
+ * Gets the extent of the image as a rectangle in radians.
+ *
+ * @param {Rectangle} [result] The object onto which to store the result.
+ * @returns {Rectangle} The rectangle.
+ */
+GeoTiff.prototype.getRectangle = function (result) {
+  const extent = this.getExtent();
+  const epsgCode = this.epsgCode;
+  const convertCoordinate = resampleGeoTiffTiles.convertCoordinate;
+  return Rectangle.fromDegrees(
+    convertCoordinate(extent.west, true, epsgCode, 4326),
+    convertCoordinate(extent.south, false, epsgCode, 4326),
+    convertCoordinate(extent.east, true, epsgCode, 4326),
+    convertCoordinate(extent.north, false, epsgCode, 4326),
+    result
+  );
+};
+
+/**
+ * Gets the level of a tiling scheme at which the pixels of a tile are no larger than the pixels of the
+ * full resolution image.
+ *
+ * @param {TilingScheme} tilingScheme The tiling scheme.
+ * @param {number} tileWidth The width of a tile in pixels.
+ * @returns {number} The level.
+ */
+GeoTiff.prototype.getMaximumLevel = function (tilingScheme, tileWidth) {
+  // Compare the widths of pixels in radians of longitude
+  const resolution =
+    this.epsgCode === 3857
+      ? this.resolution[0] / WEB_MERCATOR_RADIUS
+      : CesiumMath.toRadians(this.resolution[0]);
+  const levelZeroResolution =
+    tilingScheme.rectangle.width /
+    (tilingScheme.getNumberOfXTilesAtLevel(0) * tileWidth);
+  return Math.max(
+    Math.ceil(
+      Math.log2(levelZeroResolution / resolution) - CesiumMath.EPSILON5
+    ),
+    0
+  );
+};
+
+/**
+ * Gets the width and height of a pixel of an image.
+ *
+ * @param {GeoTiffImage} image The full resolution image or one of its overviews.
+ * @returns {number[]} The width and height of a pixel, in the units of the coordinate reference system.
+ */
+GeoTiff.prototype.getResolution = function (image) {
+  const fullImage = this.images[0];
+  return [
+    (this.resolution[0] * fullImage.width) / image.width,
+    (this.resolution[1] * fullImage.height) / image.height,
+  ];
+};
+
+// Tiles closer together than this, in bytes, are read with a single request
+const MAXIMUM_RANGE_GAP = 16384;
+
+function createRanges(tileIndex, tileIndices) {
+  const tiles = [];
+  for (let i = 0; i < tileIndices.length; ++i) {
+    const index = tileIndices[i];
+    const length = tileIndex.byteCounts[index];
+    // Sparse files omit tiles that are entirely empty
+    if (defined(length) && length > 0) {
+      tiles.push({
+        index: i,
+        offset: tileIndex.offsets[index],
+        length: length,
+      });
+    }
+  }
+  tiles.sort(function (a, b) {
+    return a.offset - b.offset;
+  });
+
+  const ranges = [];
+  let range;
+  for (let i = 0; i < tiles.length; ++i) {
+    const tile = tiles[i];
+    if (
+      defined(range) &&
+      tile.offset >= range.offset + range.length &&
+      tile.offset - (range.offset + range.length) <= MAXIMUM_RANGE_GAP
+    ) {
+      range.length = tile.offset + tile.length - range.offset;
+      range.tiles.push(tile);
+      continue;
+    }
+
+    range = {
+      offset: tile.offset,
+      length: tile.length,
+      tiles: [tile],
+    };
+    ranges.push(range);
+  }
+  return ranges;
+}
+
+function fetchTiles(reader, tileIndex, tileIndices, request) {
+  const ranges = createRanges(tileIndex, tileIndices);
+  const results = new Array(tileIndices.length);
+  if (ranges.length === 0) {
+    return Promise.resolve(results);
+  }
+
+  const promises = [];
+  for (let i = 0; i < ranges.length; ++i) {
+    const range = ranges[i];
+    // Only the first request is throttled, so that the rest are not cancelled
+    const promise = reader.fetch(
+      range.offset,
+      range.length,
+      i === 0
+        ? request
+        : new Request({
+            throttle: false,
+          })
+    );
+    if (!defined(promise)) {
+      return undefined;
+    }
+
+    promises.push(
+      promise.then(function (block) {
+        const tiles = range.tiles;
+        for (let j = 0; j < tiles.length; ++j) {
+          const tile = tiles[j];
+          const begin = tile.offset - block.offset;
+          results[tile.index] = block.buffer.slice(begin, begin + tile.length);
+        }
+      })
+    );
+  }
+
+  return Promise.all(promises).then(function () {
+    return results;
+  });
+}
+
+/**
+ * Reads the compressed data of tiles of an image.  Tiles stored close to each other in the file are read
+ * with a single range request.
+ *
+ * @param {GeoTiffImage} image The image containing the tiles.
+ * @param {number[]} tileIndices The indices of the tiles, in row-major order.
+ * @param {Request} [request] The request object. Intended for internal use only.
+ * @returns {Promise<Array<ArrayBuffer|undefined>>|undefined} A promise for the data of each tile, which is undefined for
+ *          sparse tiles that are not stored in the file, or undefined if the request was throttled.
+ */
+GeoTiff.prototype.requestTiles = function (image, tileIndices, request) {
+  const reader = this._reader;
+  if (defined(image._tileIndex)) {
+    return fetchTiles(reader, image._tileIndex, tileIndices, request);
+  }
+
+  // The tile index is read once per image, after which requests for tiles can be throttled
+  return image.loadTileIndex(reader).then(function (tileIndex) {
+    return fetchTiles(
+      reader,
+      tileIndex,
+      tileIndices,
+      new Request({
+        throttle: false,
+      })
+    );
+  });
+};
+
+/**
+ * Gets the coarsest image with pixels no larger than the given resolution, or the full resolution image
+ * if there is none.
+ *
+ * @param {number} resolution The width of a pixel, in the units of the coordinate reference system.
+ * @returns {GeoTiffImage} The image.
+ */
+GeoTiff.prototype.getImageForResolution = function (resolution) {
+  const images = this.images;
+  for (let i = images.length - 1; i > 0; --i) {
+    if (
+      this.getResolution(images[i])[0] <=
+      resolution * (1.0 + CesiumMath.EPSILON5)
+    ) {
+      return images[i];
+    }
+  }
+  return images[0];
+};
+
+const taskProcessor = new TaskProcessor("decodeGeoTiff");
+const scratchNativeRectangle = new Rectangle();
+
+/**
+ * Reads the tiles of the GeoTIFF covering a tile of a {@link TilingScheme}, then decodes and resamples them
+ * in a web worker.  The overview with a resolution closest to the resolution of the target tile is used.
+ *
+ * @param {object} options Object with the following properties:
+ * @param {TilingScheme} options.tilingScheme The tiling scheme of the target tile.
+ * @param {Rectangle} options.rectangle The rectangle of the target tile, in radians.
+ * @param {number} options.width The width of the target tile in pixels.
+ * @param {number} options.height The height of the target tile in pixels.
+ * @param {string} options.output <code>"rgba"</code> for colors or <code>"height"</code> for heights.
+ * @param {Request} [options.request] The request object. Intended for internal use only.
+ * @returns {Promise<Uint8ClampedArray|Float32Array>|undefined} A promise for the RGBA colors or heights of the target tile, or undefined if
+ *          the request was throttled.
+ */
+GeoTiff.prototype.requestResampledTile = function (options) {
+  const tilingScheme = options.tilingScheme;
+  const width = options.width;
+  const height = options.height;
+  const targetEpsgCode =
+    tilingScheme.projection instanceof WebMercatorProjection ? 3857 : 4326;
+  const sourceEpsgCode = this.epsgCode;
+
+  // Native rectangles of geographic tiling schemes are in degrees and web mercator tiling schemes are in meters
+  const nativeRectangle = tilingScheme.rectangleToNativeRectangle(
+    options.rectangle,
+    scratchNativeRectangle
+  );
+  const target = {
+    epsgCode: targetEpsgCode,
+    width: width,
+    height: height,
+    west: nativeRectangle.west,
+    south: nativeRectangle.south,
+    east: nativeRectangle.east,
+    north: nativeRectangle.north,
+  };
+
+  const convertCoordinate = resampleGeoTiffTiles.convertCoordinate;
+  const west = convertCoordinate(
+    target.west,
+    true,
+    targetEpsgCode,
+    sourceEpsgCode
+  );
+  const east = convertCoordinate(
+    target.east,
+    true,
+    targetEpsgCode,
+    sourceEpsgCode
+  );
+  const south = convertCoordinate(
+    target.south,
+    false,
+    targetEpsgCode,
+    sourceEpsgCode
+  );
+  const north = convertCoordinate(
+    target.north,
+    false,
+    targetEpsgCode,
+    sourceEpsgCode
+  );
+
+  const image = this.getImageForResolution((east - west) / width);
+  const resolution = this.getResolution(image);
+  const origin = this.origin;
+
+  // Include a margin of one pixel for interpolation
+  const x0 = Math.max(Math.floor((west - origin[0]) / resolution[0]) - 1, 0);
+  const x1 = Math.min(
+    Math.ceil((east - origin[0]) / resolution[0]) + 1,
+    image.width
+  );
+  const y0 = Math.max(Math.floor((origin[1] - north) / resolution[1]) - 1, 0);
+  const y1 = Math.min(
+    Math.ceil((origin[1] - south) / resolution[1]) + 1,
+    image.height
+  );
+
+  const tiles = [];
+  const tileIndices = [];
+  if (x0 < x1 && y0 < y1) {
+    const firstColumn = Math.floor(x0 / image.tileWidth);
+    const lastColumn = Math.floor((x1 - 1) / image.tileWidth);
+    const firstRow = Math.floor(y0 / image.tileHeight);
+    const lastRow = Math.floor((y1 - 1) / image.tileHeight);
+    for (let row = firstRow; row <= lastRow; ++row) {
+      for (let column = firstColumn; column <= lastColumn; ++column) {
+        tiles.push({
+          column: column,
+          row: row,
+        });
+        tileIndices.push(row * image.tilesAcross + column);
+      }
+    }
+  }
+
+  const promise =
+    tileIndices.length > 0
+      ? this.requestTiles(image, tileIndices, options.request)
+      : Promise.resolve([]);
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const parameters = {
+    image: image.getDecodeOptions(),
+    source: {
+      epsgCode: sourceEpsgCode,
+      west: origin[0],
+      north: origin[1],
+      resolutionX: resolution[0],
+      resolutionY: resolution[1],
+    },
+    target: target,
+    output: options.output,
+  };
+
+  return promise.then(function (buffers) {
+    const transferableObjects = [];
+    for (let i = 0; i < tiles.length; ++i) {
+      const buffer = buffers[i];
+      tiles[i].buffer = buffer;
+      if (defined(buffer)) {
+        transferableObjects.push(buffer);
+      }
+    }
+    parameters.tiles = tiles;
+    return taskProcessor.scheduleTask(parameters, transferableObjects);
+  });
+};
+
+/**
+ * Opens a Cloud Optimized GeoTIFF, reading its header and image file directories.
+ *
+ * @param {Resource|string} url The url of the file.
+ * @param {object} [options] Object with the following properties:
+ * @param {number} [options.headerSize=65536] The number of bytes to read with the first request.  It should contain
+ *        the header and image file directories of the file to avoid further requests.
+ * @returns {Promise<GeoTiff>} A promise that resolves to the opened file.
+ *
+ * @exception {RuntimeError} The file is not a TIFF file.
+ * @exception {RuntimeError} The file is not tiled.
+ * @exception {RuntimeError} The file is not georeferenced.
+ * @exception {RuntimeError} Unsupported GeoTIFF coordinate reference system. Only EPSG:4326 and EPSG:3857 are supported.
+ */
+GeoTiff.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const resource = Resource.createIfNeeded(url);
+  const reader = new RangeReader(
+    resource,
+    defaultValue(options.headerSize, 65536)
+  );
+
+  let dataView = await reader.read(0, 16);
+  const byteOrder = dataView.getUint16(0, false);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+    throw new RuntimeError("The file is not a TIFF file.");
+  }
+  const littleEndian = byteOrder === 0x4949;
+
+  const version = dataView.getUint16(2, littleEndian);
+  let bigTiff;
+  let ifdOffset;
+  if (version === 42) {
+    bigTiff = false;
+    ifdOffset = dataView.getUint32(4, littleEndian);
+  } else if (version === 43) {
+    bigTiff = true;
+    ifdOffset = readUint64(dataView, 8, littleEndian);
+  } else {
+    throw new RuntimeError("The file is not a TIFF file.");
+  }
+
+  const countSize = bigTiff ? 8 : 2;
+  const entrySize = bigTiff ? 20 : 12;
+  const offsetSize = bigTiff ? 8 : 4;
+
+  const images = [];
+  while (ifdOffset !== 0) {
+    dataView = await reader.read(ifdOffset, countSize);
+    const entryCount = bigTiff
+      ? readUint64(dataView, 0, littleEndian)
+      : dataView.getUint16(0, littleEndian);
+
+    const ifdLength = entryCount * entrySize + offsetSize;
+    dataView = await reader.read(ifdOffset + countSize, ifdLength);
+
+    const tags = {};
+    for (let i = 0; i < entryCount; ++i) {
+      const entryOffset = i * entrySize;
+      const tag = dataView.getUint16(entryOffset, littleEndian);
+      const type = dataView.getUint16(entryOffset + 2, littleEndian);
+      const count = bigTiff
+        ? readUint64(dataView, entryOffset + 4, littleEndian)
+        : dataView.getUint32(entryOffset + 4, littleEndian);
+      const valueOffset = entryOffset + (bigTiff ? 12 : 8);
+
+      const size = fieldTypeSizes[type];
+      if (!defined(size)) {
+        // Skip tags with unknown types
+        continue;
+      }
+
+      if (size * count <= offsetSize) {
+        tags[tag] = readValues(
+          dataView,
+          valueOffset,
+          type,
+          count,
+          littleEndian
+        );
+        continue;
+      }
+
+      const offset = bigTiff
+        ? readUint64(dataView, valueOffset, littleEndian)
+        : dataView.getUint32(valueOffset, littleEndian);
+      if (deferredTags.indexOf(tag) !== -1) {
+        tags[tag] = {
+          type: type,
+          count: count,
+          offset: offset,
+        };
+      } else {
+        const valueView = await reader.read(offset, size * count);
+        tags[tag] = readValues(valueView, 0, type, count, littleEndian);
+      }
+    }
+
+    ifdOffset = bigTiff
+      ? readUint64(dataView, ifdLength - offsetSize, littleEndian)
+      : dataView.getUint32(ifdLength - offsetSize, littleEndian);
+
+    images.push(new GeoTiffImage(tags, littleEndian));
+  }
+
+  // Skip transparency masks, which are stored as separate images
+  const fullImage = images[0];
+  const overviews = images.slice(1).filter(function (image) {
+    return (image.subfileType & 4) === 0;
+  });
+  overviews.sort(function (a, b) {
+    return b.width - a.width;
+  });
+
+  const allImages = [fullImage].concat(overviews);
+  for (let i = 0; i < allImages.length; ++i) {
+    if (!defined(allImages[i].tileWidth)) {
+      throw new RuntimeError(
+        "The file is not tiled.  Only tiled GeoTIFFs, such as Cloud Optimized GeoTIFFs, are supported."
+      );
+    }
+  }
+
+  if (fullImage.planarConfiguration !== 1) {
+    throw new RuntimeError(
+      "Only GeoTIFFs with interleaved samples are supported."
+    );
+  }
+  if (
+    fullImage.photometricInterpretation === GeoTiff.Photometric.YCBCR &&
+    fullImage.compression !== GeoTiff.Compression.JPEG
+  ) {
+    throw new RuntimeError(
+      "YCbCr GeoTIFFs are only supported with JPEG compression."
+    );
+  }
+
+  const fullTags = fullImage._tags;
+  const geoKeys = parseGeoKeys(fullTags[Tag.GEO_KEY_DIRECTORY]);
+
+  let origin;
+  let resolution;
+  const transformation = fullTags[Tag.MODEL_TRANSFORMATION];
+  const pixelScale = fullTags[Tag.MODEL_PIXEL_SCALE];
+  const tiepoint = fullTags[Tag.MODEL_TIEPOINT];
+  if (defined(transformation)) {
+    if (transformation[1] !== 0.0 || transformation[4] !== 0.0) {
+      throw new RuntimeError("Rotated GeoTIFFs are not supported.");
+    }
+    origin = [transformation[3], transformation[7]];
+    resolution = [transformation[0], -transformation[5]];
+  } else if (defined(pixelScale) && defined(tiepoint)) {
+    resolution = [pixelScale[0], pixelScale[1]];
+    origin = [
+      tiepoint[3] - tiepoint[0] * resolution[0],
+      tiepoint[4] + tiepoint[1] * resolution[1],
+    ];
+  } else {
+    throw new RuntimeError("The file is not georeferenced.");
+  }
+
+  // Coordinates refer to pixel centers rather than corners
+  if (geoKeys[GeoKey.RASTER_TYPE] === RASTER_PIXEL_IS_POINT) {
+    origin[0] -= resolution[0] * 0.5;
+    origin[1] += resolution[1] * 0.5;
+  }
+
+  const epsgCode = getEpsgCode(geoKeys);
+  if (epsgCode !== 4326 && epsgCode !== 3857) {
+    throw new RuntimeError(
+      "Unsupported GeoTIFF coordinate reference system. Only EPSG:4326 and EPSG:3857 are supported."
+    );
+  }
+
+  return new GeoTiff({
+    resource: resource,
+    reader: reader,
+    images: allImages,
+    geoKeys: geoKeys,
+    origin: origin,
+    resolution: resolution,
+  });
+};
+
+/**
+ * The supported TIFF compression schemes.
+ *
+ * @private
+ */
+GeoTiff.Compression = Object.freeze({
+  NONE: 1,
+  LZW: 5,
+  JPEG: 7,
+  DEFLATE: 8,
+  PACKBITS: 32773,
+  ADOBE_DEFLATE: 32946,
+});
+
+/**
+ * The TIFF photometric interpretations.
+ *
+ * @private
+ */
+GeoTiff.Photometric = Object.freeze({
+  WHITE_IS_ZERO: 0,
+  BLACK_IS_ZERO: 1,
+  RGB: 2,
+  PALETTE: 3,
+  YCBCR: 6,
+});
+
+export default GeoTiff;
@@ -0,0 +1,370 @@
+import Check from "./Check.js";
+import Credit from "./Credit.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import Event from "./Event.js";
+import GeographicTilingScheme from "./GeographicTilingScheme.js";
+import GeoTiff from "./GeoTiff.js";
+import HeightmapTerrainData from "./HeightmapTerrainData.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+import TerrainProvider from "./TerrainProvider.js";
+import TileAvailability from "./TileAvailability.js";
+
+/**
+ * @typedef {object} GeoTiffTerrainProvider.ConstructorOptions
+ *
+ * Initialization options for the GeoTiffTerrainProvider constructor
+ *
+ * @property {Credit|string} [credit] A credit for the data source, which is displayed on the canvas.
+ * @property {TilingScheme} [tilingScheme] The tiling scheme specifying how the ellipsoidal surface is broken into tiles.  If not
+ *                 specified, a {@link GeographicTilingScheme} is used.
+ * @property {Ellipsoid} [ellipsoid] The ellipsoid.  If the tilingScheme is specified,
+ *                    this parameter is ignored and the tiling scheme's ellipsoid is used instead. If neither
+ *                    parameter is specified, the WGS84 ellipsoid is used.
+ * @property {number} [heightmapSize=65] The width and height, in samples, of the height map of each tile.
+ * @property {number} [maximumLevel] The maximum level for which terrain is read from the file.  If not specified, the level
+ *                 at which the samples of a tile match the pixels of the full resolution image is used.
+ * @property {number} [headerSize=65536] The number of bytes to read with the first request.  It should contain the header and
+ *                 image file directories of the file to avoid further requests.
+ */
+
+/**
+ * <div class="notice">
+ * To construct a GeoTiffTerrainProvider, call {@link GeoTiffTerrainProvider.fromUrl}. Do not call the constructor directly.
+ * </div>
+ *
+ * A {@link TerrainProvider} that produces terrain geometry by tessellating height maps resampled from the first band of
+ * a Cloud Optimized GeoTIFF digital elevation model.  Only the tiles of the overview closest to the resolution of each
+ * requested tile are read, using HTTP range requests, so the server must support the <code>Range</code> header.
+ * Heights are in meters above the ellipsoid, and pixels equal to the GDAL no data value are ignored.  Outside the
+ * image, the terrain is at height zero.
+ *
+ * @alias GeoTiffTerrainProvider
+ * @constructor
+ *
+ * @param {GeoTiffTerrainProvider.ConstructorOptions} [options] An object describing initialization options
+ *
+ * @example
+ * const terrainProvider = await Cesium.GeoTiffTerrainProvider.fromUrl(
+ *   "https://example.com/elevation/dem.tif"
+ * );
+ * viewer.terrainProvider = terrainProvider;
+ *
+ * @see TerrainProvider
+ * @see GeoTiffImageryProvider
+ * @see {@link https://www.cogeo.org/|Cloud Optimized GeoTIFF}
+ */
+function GeoTiffTerrainProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._geoTiff = undefined;
+  this._tilingScheme = options.tilingScheme;
+  this._heightmapSize = defaultValue(options.heightmapSize, 65);
+  this._maximumLevel = options.maximumLevel;
+  this._rectangle = undefined;
+  this._availability = undefined;
+  this._levelZeroMaximumGeometricError = undefined;
+
+  let credit = options.credit;
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._errorEvent = new Event();
+}
+
+Object.defineProperties(GeoTiffTerrainProvider.prototype, {
+  /**
+   * Gets an event that is raised when the terrain provider encounters an asynchronous error.  By subscribing
+   * to the event, you will be notified of the error and can potentially recover from it.  Event listeners
+   * are passed an instance of {@link TileProviderError}.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * Gets the credit to display when this terrain provider is active.  Typically this is used to credit
+   * the source of the terrain.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * Gets the tiling scheme used by this provider.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, covered by the elevation model.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the provider includes a water mask.  The water mask
+   * indicates which areas of the globe are water rather than land, so they can be rendered
+   * as a reflective surface with animated waves.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasWaterMask: {
+    get: function () {
+      return false;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the requested tiles include vertex normals.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasVertexNormals: {
+    get: function () {
+      return false;
+    },
+  },
+
+  /**
+   * Gets an object that can be used to determine availability of terrain from this provider, such as
+   * at points and in rectangles.  Tiles are available up to the maximum level within the extent of the image.
+   * @memberof GeoTiffTerrainProvider.prototype
+   * @type {TileAvailability}
+   * @readonly
+   */
+  availability: {
+    get: function () {
+      return this._availability;
+    },
+  },
+});
+
+function createAvailability(tilingScheme, rectangle, maximumLevel) {
+  const availability = new TileAvailability(tilingScheme, maximumLevel + 1);
+
+  // The root tiles are always available so that the globe is complete
+  availability.addAvailableTileRange(
+    0,
+    0,
+    0,
+    tilingScheme.getNumberOfXTilesAtLevel(0) - 1,
+    tilingScheme.getNumberOfYTilesAtLevel(0) - 1
+  );
+
+  // Move the corners inside the rectangle so that edges on tile boundaries do not include neighboring tiles
+  const northwest = Rectangle.northwest(rectangle);
+  northwest.longitude += CesiumMath.EPSILON10;
+  northwest.latitude -= CesiumMath.EPSILON10;
+  const southeast = Rectangle.southeast(rectangle);
+  southeast.longitude -= CesiumMath.EPSILON10;
+  southeast.latitude += CesiumMath.EPSILON10;
+  for (let level = 1; level <= maximumLevel; ++level) {
+    const start = tilingScheme.positionToTileXY(northwest, level);
+    const end = tilingScheme.positionToTileXY(southeast, level);
+    if (defined(start) && defined(end)) {
+      availability.addAvailableTileRange(level, start.x, start.y, end.x, end.y);
+    }
+  }
+  return availability;
+}
+
+/**
+ * Creates a {@link TerrainProvider} that produces terrain geometry by tessellating height maps resampled
+ * from a Cloud Optimized GeoTIFF.  Only the header and image file directories of the file are read before the
+ * provider is created.
+ *
+ * @param {Resource|string} url The url of the GeoTIFF.
+ * @param {GeoTiffTerrainProvider.ConstructorOptions} [options] An object describing initialization options.
+ * @returns {Promise<GeoTiffTerrainProvider>} A promise that resolves to the created provider.
+ *
+ * @example
+ * const terrainProvider = await Cesium.GeoTiffTerrainProvider.fromUrl(
+ *   "https://example.com/elevation/dem.tif",
+ *   {
+ *     credit: "Elevation courtesy of Example County",
+ *   }
+ * );
+ * viewer.terrainProvider = terrainProvider;
+ *
+ * @exception {RuntimeError} The file is not a TIFF file.
+ * @exception {RuntimeError} The file is not tiled.
+ * @exception {RuntimeError} The file is not georeferenced.
+ * @exception {RuntimeError} Unsupported GeoTIFF coordinate reference system. Only EPSG:4326 and EPSG:3857 are supported.
+ */
+GeoTiffTerrainProvider.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const geoTiff = await GeoTiff.fromUrl(url, {
+    headerSize: options.headerSize,
+  });
+
+  const provider = new GeoTiffTerrainProvider(options);
+  provider._geoTiff = geoTiff;
+
+  const tilingScheme = defaultValue(
+    options.tilingScheme,
+    new GeographicTilingScheme({ ellipsoid: options.ellipsoid })
+  );
+  provider._tilingScheme = tilingScheme;
+
+  const heightmapSize = provider._heightmapSize;
+  const maximumLevel = defaultValue(
+    options.maximumLevel,
+    geoTiff.getMaximumLevel(tilingScheme, heightmapSize - 1)
+  );
+  provider._maximumLevel = maximumLevel;
+
+  const rectangle = geoTiff.getRectangle();
+  provider._rectangle = rectangle;
+  provider._availability = createAvailability(
+    tilingScheme,
+    rectangle,
+    maximumLevel
+  );
+  provider._levelZeroMaximumGeometricError = TerrainProvider.getEstimatedLevelZeroGeometricErrorForAHeightmap(
+    tilingScheme.ellipsoid,
+    heightmapSize,
+    tilingScheme.getNumberOfXTilesAtLevel(0)
+  );
+
+  return provider;
+};
+
+const scratchRectangle = new Rectangle();
+
+/**
+ * Requests the geometry for a given tile. The result includes terrain
+ * data and indicates which child tiles are available.
+ *
+ * @param {number} x The X coordinate of the tile for which to request geometry.
+ * @param {number} y The Y coordinate of the tile for which to request geometry.
+ * @param {number} level The level of the tile for which to request geometry.
+ * @param {Request} [request] The request object. Intended for internal use only.
+ * @returns {Promise<TerrainData>|undefined} A promise for the requested geometry.  If this method
+ *          returns undefined instead of a promise, it is an indication that too many requests are already
+ *          pending and the request will be retried later.
+ */
+GeoTiffTerrainProvider.prototype.requestTileGeometry = function (
+  x,
+  y,
+  level,
+  request
+) {
+  const heightmapSize = this._heightmapSize;
+  const childTileMask = this._availability.computeChildMaskForTile(level, x, y);
+
+  const tileRectangle = this._tilingScheme.tileXYToRectangle(x, y, level);
+  if (
+    !defined(
+      Rectangle.intersection(tileRectangle, this._rectangle, scratchRectangle)
+    )
+  ) {
+    // Avoid requests for root tiles outside the image
+    return Promise.resolve(
+      new HeightmapTerrainData({
+        buffer: new Float32Array(heightmapSize * heightmapSize),
+        width: heightmapSize,
+        height: heightmapSize,
+        childTileMask: childTileMask,
+      })
+    );
+  }
+
+  const promise = this._geoTiff.requestResampledTile({
+    tilingScheme: this._tilingScheme,
+    rectangle: tileRectangle,
+    width: heightmapSize,
+    height: heightmapSize,
+    output: "height",
+    request: request,
+  });
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  return promise.then(function (heights) {
+    return new HeightmapTerrainData({
+      buffer: heights,
+      width: heightmapSize,
+      height: heightmapSize,
+      childTileMask: childTileMask,
+      structure: {
+        elementMultiplier: 1.0,
+      },
+    });
+  });
+};
+
+/**
+ * Gets the maximum geometric error allowed in a tile at a given level.
+ *
+ * @param {number} level The tile level for which to get the maximum geometric error.
+ * @returns {number} The maximum geometric error.
+ */
+GeoTiffTerrainProvider.prototype.getLevelMaximumGeometricError = function (
+  level
+) {
+  return this._levelZeroMaximumGeometricError / (1 << level);
+};
+
+/**
+ * Determines whether data for a tile is available to be loaded.
+ *
+ * @param {number} x The X coordinate of the tile for which to request geometry.
+ * @param {number} y The Y coordinate of the tile for which to request geometry.
+ * @param {number} level The level of the tile for which to request geometry.
+ * @returns {boolean|undefined} Undefined if not supported, otherwise true or false.
+ */
+GeoTiffTerrainProvider.prototype.getTileDataAvailable = function (x, y, level) {
+  return this._availability.isTileAvailable(level, x, y);
+};
+
+/**
+ * Makes sure we load availability data for a tile
+ *
+ * @param {number} x The X coordinate of the tile for which to request geometry.
+ * @param {number} y The Y coordinate of the tile for which to request geometry.
+ * @param {number} level The level of the tile for which to request geometry.
+ * @returns {undefined} Availability is known when the provider is created, so this always returns undefined.
+ */
+GeoTiffTerrainProvider.prototype.loadTileDataAvailability = function (
+  x,
+  y,
+  level
+) {
+  return undefined;
+};
+
+export default GeoTiffTerrainProvider;
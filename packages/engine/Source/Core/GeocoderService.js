@@ -18,6 +18,8 @@ import DeveloperError from "./DeveloperError.js";
  * @see BingMapsGeocoderService
  * @see PeliasGeocoderService
  * @see OpenCageGeocoderService
+ * @see NominatimGeocoderService
+ * @see PhotonGeocoderService
  */
 function GeocoderService() {
   DeveloperError.throwInstantiationError();
@@ -57,4 +59,16 @@ GeocoderService.getCreditsFromResult = function (geocoderResult) {
  * @returns {Promise<GeocoderService.Result[]>}
  */
 GeocoderService.prototype.geocode = DeveloperError.throwInstantiationError;
+
+/**
+ * Finds the addresses or places at a position, nearest first. Reverse geocoding is optional, and services that do not
+ * support it leave this function undefined. When the {@link Viewer} has a <code>reverseGeocoderService</code>,
+ * picking the globe selects the first result so it is shown in the InfoBox.
+ *
+ * @function
+ *
+ * @param {Cartographic} position The position to find addresses or places at.
+ * @returns {Promise<GeocoderService.Result[]>}
+ */
+GeocoderService.prototype.reverseGeocode = undefined;
 export default GeocoderService;
@@ -0,0 +1,288 @@
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import CesiumMath from "./Math.js";
+import Resource from "./Resource.js";
+import RuntimeError from "./RuntimeError.js";
+
+/**
+ * A model of the geoid, the surface of mean sea level, as a global grid of the heights of the geoid above the
+ * WGS84 ellipsoid, such as the grids of the Earth Gravitational Models EGM96 and EGM2008. The heights of
+ * {@link Cartographic} positions in Cesium are above the ellipsoid, and the geoid converts them to and from
+ * orthometric heights, the heights above mean sea level, by interpolating the grid bilinearly.
+ * <p>
+ * The rows of the grid are from north to south, with the first row at latitude 90 degrees and the last row at
+ * latitude -90 degrees. The columns are from west to east, with the first column at longitude 0 degrees and the
+ * last column one spacing west of longitude 360 degrees.
+ * </p>
+ * This object is normally not instantiated directly, use {@link Geoid.fromUrl}.
+ *
+ * @alias Geoid
+ * @constructor
+ *
+ * @param {object} options Object with the following properties:
+ * @param {Int16Array|Uint16Array|Float32Array|number[]} options.heights The values of the grid, row by row.
+ * @param {number} options.width The number of columns of the grid.
+ * @param {number} options.height The number of rows of the grid.
+ * @param {number} [options.scale=1.0] The scale of the values, so that a height in meters is <code>offset + scale * value</code>.
+ * @param {number} [options.offset=0.0] The offset of the values in meters.
+ *
+ * @see Geoid.fromUrl
+ * @see OrthometricPositionProperty
+ */
+function Geoid(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const heights = options.heights;
+  const width = options.width;
+  const height = options.height;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.heights", heights);
+  Check.typeOf.number.greaterThanOrEquals("options.width", width, 2);
+  Check.typeOf.number.greaterThanOrEquals("options.height", height, 2);
+  if (heights.length !== width * height) {
+    throw new DeveloperError(
+      "options.heights must have options.width * options.height values."
+    );
+  }
+  //>>includeEnd('debug');
+
+  this._heights = heights;
+  this._width = width;
+  this._height = height;
+  this._scale = defaultValue(options.scale, 1.0);
+  this._offset = defaultValue(options.offset, 0.0);
+}
+
+Object.defineProperties(Geoid.prototype, {
+  /**
+   * Gets the number of columns of the grid.
+   * @memberof Geoid.prototype
+   * @type {number}
+   * @readonly
+   */
+  width: {
+    get: function () {
+      return this._width;
+    },
+  },
+
+  /**
+   * Gets the number of rows of the grid.
+   * @memberof Geoid.prototype
+   * @type {number}
+   * @readonly
+   */
+  height: {
+    get: function () {
+      return this._height;
+    },
+  },
+});
+
+function readPgmToken(bytes, header) {
+  let token = "";
+  while (header.position < bytes.length) {
+    if (bytes[header.position] === 35) {
+      // Comments starting with "#" hold the offset and scale of the values
+      let comment = "";
+      while (header.position < bytes.length && bytes[header.position] !== 10) {
+        comment += String.fromCharCode(bytes[header.position++]);
+      }
+      const match = /^#\s*(Offset|Scale)\s+(\S+)/.exec(comment);
+      if (defined(match)) {
+        header[match[1].toLowerCase()] = parseFloat(match[2]);
+      }
+      continue;
+    }
+    const character = String.fromCharCode(bytes[header.position++]);
+    if (/\s/.test(character)) {
+      if (token.length > 0) {
+        return token;
+      }
+    } else {
+      token += character;
+    }
+  }
+  return token;
+}
+
+// A PGM image of GeographicLib, such as egm2008-5.pgm, with big-endian 16-bit values
+function parsePgm(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const header = {
+    position: 0,
+    offset: 0.0,
+    scale: 1.0,
+  };
+  readPgmToken(bytes, header);
+  const width = parseInt(readPgmToken(bytes, header), 10);
+  const height = parseInt(readPgmToken(bytes, header), 10);
+  const maximumValue = parseInt(readPgmToken(bytes, header), 10);
+  const byteLength = width * height * 2;
+  if (maximumValue !== 65535 || header.position + byteLength > bytes.length) {
+    throw new RuntimeError("The geoid grid is not a 16-bit PGM image.");
+  }
+
+  const dataView = new DataView(buffer, header.position, byteLength);
+  const heights = new Uint16Array(width * height);
+  for (let i = 0; i < heights.length; ++i) {
+    heights[i] = dataView.getUint16(i * 2, false);
+  }
+  return new Geoid({
+    heights: heights,
+    width: width,
+    height: height,
+    scale: header.scale,
+    offset: header.offset,
+  });
+}
+
+// A grid of big-endian 16-bit integers in centimeters, such as WW15MGH.DAC, with one more row than half its columns
+function parseGrid(buffer) {
+  const count = buffer.byteLength / 2;
+  const width = Math.sqrt(1.0 + 2.0 * count) - 1.0;
+  if (width % 2 !== 0 || width < 2) {
+    throw new RuntimeError(
+      "The geoid grid must have one more row than half its columns."
+    );
+  }
+  const height = width / 2 + 1;
+
+  const dataView = new DataView(buffer);
+  const heights = new Int16Array(count);
+  for (let i = 0; i < count; ++i) {
+    heights[i] = dataView.getInt16(i * 2, false);
+  }
+  return new Geoid({
+    heights: heights,
+    width: width,
+    height: height,
+    scale: 0.01,
+  });
+}
+
+/**
+ * Creates a geoid from a grid file. The file can be either
+ * <ul>
+ * <li>a PGM image of GeographicLib, such as <code>egm96-15.pgm</code> or <code>egm2008-5.pgm</code>, or</li>
+ * <li>a grid of big-endian 16-bit integers in centimeters, such as <code>WW15MGH.DAC</code> of the EGM96 15 minute grid of the National Geospatial-Intelligence Agency.</li>
+ * </ul>
+ * The grid files are not distributed with Cesium. Download one, for example from
+ * {@link https://geographiclib.sourceforge.io/C++/doc/geoid.html|GeographicLib}, and serve it with the application.
+ *
+ * @param {Resource|string} url The URL of the grid file.
+ * @returns {Promise<Geoid>} A promise that resolves to the geoid.
+ *
+ * @exception {RuntimeError} The geoid grid is not a 16-bit PGM image.
+ * @exception {RuntimeError} The geoid grid must have one more row than half its columns.
+ *
+ * @example
+ * // The EGM96 grid of GeographicLib, served by the application
+ * const geoid = await Cesium.Geoid.fromUrl("geoids/egm96-15.pgm");
+ * const position = Cesium.Cartographic.fromDegrees(-75.59777, 40.03883, 100.0);
+ * const orthometric = geoid.ellipsoidalToOrthometric(position);
+ */
+Geoid.fromUrl = async function (url) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  const resource = Resource.createIfNeeded(url);
+  const buffer = await resource.fetchArrayBuffer();
+  const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+  if (bytes[0] === 0x50 && bytes[1] === 0x35) {
+    // "P5"
+    return parsePgm(buffer);
+  }
+  return parseGrid(buffer);
+};
+
+function getValue(geoid, column, row) {
+  return geoid._heights[row * geoid._width + column];
+}
+
+/**
+ * Gets the height of the geoid above the ellipsoid, the geoid undulation, at a position.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @returns {number} The height of the geoid above the ellipsoid in meters.
+ */
+Geoid.prototype.getHeight = function (cartographic) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  const width = this._width;
+  const height = this._height;
+
+  const x =
+    (CesiumMath.zeroToTwoPi(cartographic.longitude) / CesiumMath.TWO_PI) *
+    width;
+  const y =
+    ((CesiumMath.PI_OVER_TWO -
+      CesiumMath.clamp(
+        cartographic.latitude,
+        -CesiumMath.PI_OVER_TWO,
+        CesiumMath.PI_OVER_TWO
+      )) /
+      CesiumMath.PI) *
+    (height - 1);
+
+  const west = Math.floor(x) % width;
+  const east = (west + 1) % width;
+  const north = Math.min(Math.floor(y), height - 2);
+  const south = north + 1;
+  const u = x - Math.floor(x);
+  const v = y - north;
+
+  const value =
+    (1.0 - v) *
+      ((1.0 - u) * getValue(this, west, north) +
+        u * getValue(this, east, north)) +
+    v *
+      ((1.0 - u) * getValue(this, west, south) +
+        u * getValue(this, east, south));
+  return this._offset + this._scale * value;
+};
+
+/**
+ * Converts a position with a height above the ellipsoid to a position with an orthometric height, the height
+ * above the geoid.
+ *
+ * @param {Cartographic} cartographic The position with a height above the ellipsoid.
+ * @param {Cartographic} [result] The object onto which to store the result.
+ * @returns {Cartographic} The position with an orthometric height.
+ */
+Geoid.prototype.ellipsoidalToOrthometric = function (cartographic, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  const height = cartographic.height - this.getHeight(cartographic);
+  result = Cartographic.clone(cartographic, result);
+  result.height = height;
+  return result;
+};
+
+/**
+ * Converts a position with an orthometric height, the height above the geoid, to a position with a height above
+ * the ellipsoid.
+ *
+ * @param {Cartographic} cartographic The position with an orthometric height.
+ * @param {Cartographic} [result] The object onto which to store the result.
+ * @returns {Cartographic} The position with a height above the ellipsoid.
+ */
+Geoid.prototype.orthometricToEllipsoidal = function (cartographic, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  const height = cartographic.height + this.getHeight(cartographic);
+  result = Cartographic.clone(cartographic, result);
+  result.height = height;
+  return result;
+};
+export default Geoid;
@@ -0,0 +1,343 @@
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import Ellipsoid from "./Ellipsoid.js";
+import CesiumMath from "./Math.js";
+
+/**
+ * The Lambert Conformal Conic projection, which is conformal and accurate near one or two standard parallels,
+ * such as the projections of many national and regional grids in the mid latitudes. The projection is computed
+ * with the ellipsoidal equations of Snyder, "Map Projections: A Working Manual".
+ * <p>
+ * Used as the <code>mapProjection</code> of a {@link Scene}, the globe in 2D and Columbus view is placed by
+ * projecting the corners of its tiles, which only approximates projections whose meridians are not parallel
+ * straight lines.
+ * </p>
+ *
+ * @alias LambertConformalConicProjection
+ * @constructor
+ *
+ * @param {object} [options] Object with the following properties:
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @param {number} [options.centralMeridian=0.0] The longitude of the central meridian in radians.
+ * @param {number} [options.latitudeOfOrigin=0.0] The latitude in radians where the northing is the false northing.
+ * @param {number} [options.standardParallel1=options.latitudeOfOrigin] The latitude in radians of the first standard parallel.
+ * @param {number} [options.standardParallel2=options.standardParallel1] The latitude in radians of the second standard parallel.
+ * @param {number} [options.scaleFactor=1.0] The scale factor on the standard parallels.
+ * @param {number} [options.falseEasting=0.0] The easting of the central meridian in meters.
+ * @param {number} [options.falseNorthing=0.0] The northing of the latitude of origin in meters.
+ *
+ * @see ProjectionRegistry
+ *
+ * @example
+ * // RGF93 / Lambert-93, EPSG:2154
+ * const projection = new Cesium.LambertConformalConicProjection({
+ *   ellipsoid: new Cesium.Ellipsoid(6378137.0, 6378137.0, 6356752.314140356),
+ *   centralMeridian: Cesium.Math.toRadians(3.0),
+ *   latitudeOfOrigin: Cesium.Math.toRadians(46.5),
+ *   standardParallel1: Cesium.Math.toRadians(49.0),
+ *   standardParallel2: Cesium.Math.toRadians(44.0),
+ *   falseEasting: 700000.0,
+ *   falseNorthing: 6600000.0,
+ * });
+ */
+function LambertConformalConicProjection(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  this._centralMeridian = defaultValue(options.centralMeridian, 0.0);
+  this._latitudeOfOrigin = defaultValue(options.latitudeOfOrigin, 0.0);
+  this._standardParallel1 = defaultValue(
+    options.standardParallel1,
+    this._latitudeOfOrigin
+  );
+  this._standardParallel2 = defaultValue(
+    options.standardParallel2,
+    this._standardParallel1
+  );
+  this._scaleFactor = defaultValue(options.scaleFactor, 1.0);
+  this._falseEasting = defaultValue(options.falseEasting, 0.0);
+  this._falseNorthing = defaultValue(options.falseNorthing, 0.0);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThan(
+    "options.scaleFactor",
+    this._scaleFactor,
+    0.0
+  );
+  if (
+    Math.abs(this._standardParallel1 + this._standardParallel2) <
+    CesiumMath.EPSILON10
+  ) {
+    throw new DeveloperError(
+      "The standard parallels must not be on opposite sides of the equator at the same distance from it."
+    );
+  }
+  //>>includeEnd('debug');
+
+  const radii = this._ellipsoid.radii;
+  this._semimajorAxis = radii.x;
+  this._eccentricity = Math.sqrt(
+    1.0 - (radii.z * radii.z) / (radii.x * radii.x)
+  );
+
+  const m1 = computeM(this, this._standardParallel1);
+  const t1 = computeT(this, this._standardParallel1);
+  let n;
+  if (
+    Math.abs(this._standardParallel1 - this._standardParallel2) <
+    CesiumMath.EPSILON10
+  ) {
+    n = Math.sin(this._standardParallel1);
+  } else {
+    const m2 = computeM(this, this._standardParallel2);
+    const t2 = computeT(this, this._standardParallel2);
+    n = (Math.log(m1) - Math.log(m2)) / (Math.log(t1) - Math.log(t2));
+  }
+
+  this._n = n;
+  this._radiusFactor =
+    this._semimajorAxis * this._scaleFactor * (m1 / (n * Math.pow(t1, n)));
+  this._originRadius = computeRadius(this, this._latitudeOfOrigin);
+}
+
+Object.defineProperties(LambertConformalConicProjection.prototype, {
+  /**
+   * Gets the {@link Ellipsoid}.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * Gets the longitude of the central meridian in radians.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  centralMeridian: {
+    get: function () {
+      return this._centralMeridian;
+    },
+  },
+
+  /**
+   * Gets the latitude in radians where the northing is the false northing.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  latitudeOfOrigin: {
+    get: function () {
+      return this._latitudeOfOrigin;
+    },
+  },
+
+  /**
+   * Gets the latitude in radians of the first standard parallel.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  standardParallel1: {
+    get: function () {
+      return this._standardParallel1;
+    },
+  },
+
+  /**
+   * Gets the latitude in radians of the second standard parallel.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  standardParallel2: {
+    get: function () {
+      return this._standardParallel2;
+    },
+  },
+
+  /**
+   * Gets the scale factor on the standard parallels.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  scaleFactor: {
+    get: function () {
+      return this._scaleFactor;
+    },
+  },
+
+  /**
+   * Gets the easting of the central meridian in meters.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  falseEasting: {
+    get: function () {
+      return this._falseEasting;
+    },
+  },
+
+  /**
+   * Gets the northing of the latitude of origin in meters.
+   *
+   * @memberof LambertConformalConicProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  falseNorthing: {
+    get: function () {
+      return this._falseNorthing;
+    },
+  },
+});
+
+function computeM(projection, latitude) {
+  const e = projection._eccentricity;
+  const sinLatitude = Math.sin(latitude);
+  return (
+    Math.cos(latitude) / Math.sqrt(1.0 - e * e * sinLatitude * sinLatitude)
+  );
+}
+
+function computeT(projection, latitude) {
+  const e = projection._eccentricity;
+  const eSinLatitude = e * Math.sin(latitude);
+  return (
+    Math.tan(CesiumMath.PI_OVER_FOUR - latitude * 0.5) /
+    Math.pow((1.0 - eSinLatitude) / (1.0 + eSinLatitude), e * 0.5)
+  );
+}
+
+// The distance from the apex of the cone, at the pole nearer to the standard parallels, which is negative when the
+// apex is at the south pole
+function computeRadius(projection, latitude) {
+  return (
+    projection._radiusFactor *
+    Math.pow(computeT(projection, latitude), projection._n)
+  );
+}
+
+/**
+ * Projects a {@link Cartographic}, in radians, to easting, northing and height in meters, which are returned
+ * in the X, Y and Z coordinates of a {@link Cartesian3}.
+ *
+ * @param {Cartographic} cartographic The cartographic coordinates in radians.
+ * @param {Cartesian3} [result] The instance to which to copy the result, or undefined if a
+ *        new instance should be created.
+ * @returns {Cartesian3} The easting, northing and height in meters.
+ */
+LambertConformalConicProjection.prototype.project = function (
+  cartographic,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  const radius = computeRadius(this, cartographic.latitude);
+  const theta =
+    this._n *
+    CesiumMath.negativePiToPi(cartographic.longitude - this._centralMeridian);
+
+  const x = this._falseEasting + radius * Math.sin(theta);
+  const y = this._falseNorthing + this._originRadius - radius * Math.cos(theta);
+  const z = cartographic.height;
+
+  if (!defined(result)) {
+    return new Cartesian3(x, y, z);
+  }
+
+  result.x = x;
+  result.y = y;
+  result.z = z;
+  return result;
+};
+
+/**
+ * Unprojects easting, northing and height in meters, in the X, Y and Z coordinates of a {@link Cartesian3},
+ * to a {@link Cartographic} in radians.
+ *
+ * @param {Cartesian3} cartesian The easting, northing and height in meters.
+ * @param {Cartographic} [result] The instance to which to copy the result, or undefined if a
+ *        new instance should be created.
+ * @returns {Cartographic} The cartographic coordinates in radians.
+ */
+LambertConformalConicProjection.prototype.unproject = function (
+  cartesian,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartesian", cartesian);
+  //>>includeEnd('debug');
+
+  const n = this._n;
+  const sign = Math.sign(n);
+  const x = sign * (cartesian.x - this._falseEasting);
+  const y = sign * (this._originRadius - (cartesian.y - this._falseNorthing));
+  const radius = Math.sqrt(x * x + y * y);
+
+  const longitude = CesiumMath.negativePiToPi(
+    this._centralMeridian + Math.atan2(x, y) / n
+  );
+  let latitude;
+  if (radius === 0.0) {
+    latitude = sign * CesiumMath.PI_OVER_TWO;
+  } else {
+    // The latitude is found by fixed-point iteration, which converges quickly
+    const e = this._eccentricity;
+    const t = Math.pow(radius / Math.abs(this._radiusFactor), 1.0 / n);
+    latitude = CesiumMath.PI_OVER_TWO - 2.0 * Math.atan(t);
+    for (let i = 0; i < 15; ++i) {
+      const eSinLatitude = e * Math.sin(latitude);
+      const next =
+        CesiumMath.PI_OVER_TWO -
+        2.0 *
+          Math.atan(
+            t * Math.pow((1.0 - eSinLatitude) / (1.0 + eSinLatitude), e * 0.5)
+          );
+      const difference = Math.abs(next - latitude);
+      latitude = next;
+      if (difference < CesiumMath.EPSILON12) {
+        break;
+      }
+    }
+  }
+  const height = defaultValue(cartesian.z, 0.0);
+
+  if (!defined(result)) {
+    return new Cartographic(longitude, latitude, height);
+  }
+
+  result.longitude = longitude;
+  result.latitude = latitude;
+  result.height = height;
+  return result;
+};
+export default LambertConformalConicProjection;
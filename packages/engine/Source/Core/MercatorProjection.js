@@ -0,0 +1,216 @@
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import Ellipsoid from "./Ellipsoid.js";
+import CesiumMath from "./Math.js";
+import WebMercatorProjection from "./WebMercatorProjection.js";
+
+/**
+ * The Mercator projection with the ellipsoidal equations, such as World Mercator, EPSG:3395. Unlike the
+ * {@link WebMercatorProjection}, the projection accounts for the flattening of the ellipsoid. Latitudes are
+ * clamped to {@link WebMercatorProjection.MaximumLatitude}.
+ *
+ * @alias MercatorProjection
+ * @constructor
+ *
+ * @param {object} [options] Object with the following properties:
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @param {number} [options.centralMeridian=0.0] The longitude of the central meridian in radians.
+ * @param {number} [options.scaleFactor=1.0] The scale factor on the equator.
+ * @param {number} [options.falseEasting=0.0] The easting of the central meridian in meters.
+ * @param {number} [options.falseNorthing=0.0] The northing of the equator in meters.
+ *
+ * @see WebMercatorProjection
+ * @see ProjectionRegistry
+ */
+function MercatorProjection(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  this._centralMeridian = defaultValue(options.centralMeridian, 0.0);
+  this._scaleFactor = defaultValue(options.scaleFactor, 1.0);
+  this._falseEasting = defaultValue(options.falseEasting, 0.0);
+  this._falseNorthing = defaultValue(options.falseNorthing, 0.0);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThan(
+    "options.scaleFactor",
+    this._scaleFactor,
+    0.0
+  );
+  //>>includeEnd('debug');
+
+  const radii = this._ellipsoid.radii;
+  this._eccentricity = Math.sqrt(
+    1.0 - (radii.z * radii.z) / (radii.x * radii.x)
+  );
+  this._scaledSemimajorAxis = radii.x * this._scaleFactor;
+}
+
+Object.defineProperties(MercatorProjection.prototype, {
+  /**
+   * Gets the {@link Ellipsoid}.
+   *
+   * @memberof MercatorProjection.prototype
+   *
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * Gets the longitude of the central meridian in radians.
+   *
+   * @memberof MercatorProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  centralMeridian: {
+    get: function () {
+      return this._centralMeridian;
+    },
+  },
+
+  /**
+   * Gets the scale factor on the equator.
+   *
+   * @memberof MercatorProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  scaleFactor: {
+    get: function () {
+      return this._scaleFactor;
+    },
+  },
+
+  /**
+   * Gets the easting of the central meridian in meters.
+   *
+   * @memberof MercatorProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  falseEasting: {
+    get: function () {
+      return this._falseEasting;
+    },
+  },
+
+  /**
+   * Gets the northing of the equator in meters.
+   *
+   * @memberof MercatorProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  falseNorthing: {
+    get: function () {
+      return this._falseNorthing;
+    },
+  },
+});
+
+/**
+ * Projects a {@link Cartographic}, in radians, to easting, northing and height in meters, which are returned
+ * in the X, Y and Z coordinates of a {@link Cartesian3}.
+ *
+ * @param {Cartographic} cartographic The cartographic coordinates in radians.
+ * @param {Cartesian3} [result] The instance to which to copy the result, or undefined if a
+ *        new instance should be created.
+ * @returns {Cartesian3} The easting, northing and height in meters.
+ */
+MercatorProjection.prototype.project = function (cartographic, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  const e = this._eccentricity;
+  const latitude = CesiumMath.clamp(
+    cartographic.latitude,
+    -WebMercatorProjection.MaximumLatitude,
+    WebMercatorProjection.MaximumLatitude
+  );
+  const eSinLatitude = e * Math.sin(latitude);
+  const isometricLatitude =
+    Math.log(Math.tan(CesiumMath.PI_OVER_FOUR + latitude * 0.5)) -
+    e * Math.log((1.0 + eSinLatitude) / (1.0 - eSinLatitude)) * 0.5;
+
+  const x =
+    this._falseEasting +
+    this._scaledSemimajorAxis *
+      CesiumMath.negativePiToPi(cartographic.longitude - this._centralMeridian);
+  const y = this._falseNorthing + this._scaledSemimajorAxis * isometricLatitude;
+  const z = cartographic.height;
+
+  if (!defined(result)) {
+    return new Cartesian3(x, y, z);
+  }
+
+  result.x = x;
+  result.y = y;
+  result.z = z;
+  return result;
+};
+
+/**
+ * Unprojects easting, northing and height in meters, in the X, Y and Z coordinates of a {@link Cartesian3},
+ * to a {@link Cartographic} in radians.
+ *
+ * @param {Cartesian3} cartesian The easting, northing and height in meters.
+ * @param {Cartographic} [result] The instance to which to copy the result, or undefined if a
+ *        new instance should be created.
+ * @returns {Cartographic} The cartographic coordinates in radians.
+ */
+MercatorProjection.prototype.unproject = function (cartesian, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartesian", cartesian);
+  //>>includeEnd('debug');
+
+  const e = this._eccentricity;
+  const longitude = CesiumMath.negativePiToPi(
+    this._centralMeridian +
+      (cartesian.x - this._falseEasting) / this._scaledSemimajorAxis
+  );
+
+  // The latitude is found by fixed-point iteration, which converges quickly
+  const t = Math.exp(
+    -(cartesian.y - this._falseNorthing) / this._scaledSemimajorAxis
+  );
+  let latitude = CesiumMath.PI_OVER_TWO - 2.0 * Math.atan(t);
+  for (let i = 0; i < 15; ++i) {
+    const eSinLatitude = e * Math.sin(latitude);
+    const next =
+      CesiumMath.PI_OVER_TWO -
+      2.0 *
+        Math.atan(
+          t * Math.pow((1.0 - eSinLatitude) / (1.0 + eSinLatitude), e * 0.5)
+        );
+    const difference = Math.abs(next - latitude);
+    latitude = next;
+    if (difference < CesiumMath.EPSILON12) {
+      break;
+    }
+  }
+  const height = defaultValue(cartesian.z, 0.0);
+
+  if (!defined(result)) {
+    return new Cartographic(longitude, latitude, height);
+  }
+
+  result.longitude = longitude;
+  result.latitude = latitude;
+  result.height = height;
+  return result;
+};
+export default MercatorProjection;
@@ -0,0 +1,169 @@
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import CesiumMath from "./Math.js";
+import TransverseMercatorProjection from "./TransverseMercatorProjection.js";
+import Utm from "./Utm.js";
+
+/**
+ * Functions for converting positions to and from references of the Military Grid Reference System (MGRS) on the
+ * WGS84 ellipsoid, such as <code>18S UJ 23480 06470</code>, which are also references of the United States
+ * National Grid (USNG). A reference is made of a UTM zone, a latitude band, the letters of a square of
+ * 100 kilometers and an easting and northing within the square with up to five digits each.
+ * <p>
+ * References are only defined between latitudes -80 and 84 degrees, outside of the polar regions of the
+ * Universal Polar Stereographic grid.
+ * </p>
+ *
+ * @namespace Mgrs
+ *
+ * @see Utm
+ */
+const Mgrs = {};
+
+const bandLetters = "CDEFGHJKLMNPQRSTUVWX";
+const columnLetters = ["ABCDEFGH", "JKLMNPQR", "STUVWXYZ"];
+const rowLetters = "ABCDEFGHJKLMNPQRSTUV";
+const squareSize = 100000.0;
+
+// Even zones start their rows five letters later
+function computeRowOffset(zone) {
+  return zone % 2 === 0 ? 5 : 0;
+}
+
+function formatDigits(value, precision) {
+  const digits = Math.floor(value / Math.pow(10, 5 - precision));
+  return digits.toString().padStart(precision, "0");
+}
+
+const scratchUtm = {};
+
+/**
+ * Formats a position as an MGRS reference for display, such as <code>18S UJ 23480 06470</code>. The reference
+ * is of the square containing the position with the size of the precision.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @param {number} [precision=5] The number of digits of the easting and northing, from 0 for a square of 100 kilometers to 5 for a square of 1 meter.
+ * @returns {string|undefined} The reference, or <code>undefined</code> if the position is in a polar region.
+ *
+ * @example
+ * const reference = Cesium.Mgrs.format(Cesium.Cartographic.fromDegrees(-77.0352, 38.8895), 4);
+ * // reference === "18S UJ 2348 0648"
+ */
+Mgrs.format = function (cartographic, precision) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  precision = defaultValue(precision, 5);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThanOrEquals("precision", precision, 0);
+  Check.typeOf.number.lessThanOrEquals("precision", precision, 5);
+  //>>includeEnd('debug');
+
+  const band = Utm.computeLatitudeBand(cartographic);
+  if (!defined(band)) {
+    return undefined;
+  }
+
+  const utm = Utm.fromCartographic(cartographic, scratchUtm);
+  const zone = utm.zone;
+  const column = Math.floor(utm.easting / squareSize);
+  const row = Math.floor(utm.northing / squareSize);
+  const square =
+    columnLetters[(zone - 1) % 3][column - 1] +
+    rowLetters[(row + computeRowOffset(zone)) % 20];
+
+  let reference = `${zone}${band} ${square}`;
+  if (precision > 0) {
+    reference += ` ${formatDigits(
+      utm.easting - column * squareSize,
+      precision
+    )} ${formatDigits(utm.northing - row * squareSize, precision)}`;
+  }
+  return reference;
+};
+
+const mgrsRegex = /^\s*(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])\s*([A-HJ-NP-V])\s*(\d*)\s*(\d*)\s*$/i;
+const scratchCartographic = new Cartographic();
+
+/**
+ * Parses an MGRS or USNG reference, such as <code>18S UJ 23480 06470</code> or <code>18SUJ2348006470</code>, to
+ * the position at the center of its square.
+ *
+ * @param {string} text The reference.
+ * @param {Cartographic} [result] The object onto which to store the result.
+ * @returns {Cartographic|undefined} The position, or <code>undefined</code> if the text is not a valid reference.
+ */
+Mgrs.parse = function (text, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("text", text);
+  //>>includeEnd('debug');
+
+  const match = mgrsRegex.exec(text);
+  if (!defined(match)) {
+    return undefined;
+  }
+
+  const zone = parseInt(match[1], 10);
+  if (zone < 1 || zone > 60) {
+    return undefined;
+  }
+
+  const band = match[2].toUpperCase();
+  const column = columnLetters[(zone - 1) % 3].indexOf(match[3].toUpperCase());
+  const row = rowLetters.indexOf(match[4].toUpperCase());
+
+  // The digits of the easting and northing are either separated or split in half
+  let eastingDigits = match[5];
+  let northingDigits = match[6];
+  if (northingDigits.length === 0) {
+    const length = eastingDigits.length / 2;
+    northingDigits = eastingDigits.substring(length);
+    eastingDigits = eastingDigits.substring(0, length);
+  }
+  const precision = eastingDigits.length;
+  if (column === -1 || precision > 5 || northingDigits.length !== precision) {
+    return undefined;
+  }
+
+  const size = Math.pow(10, 5 - precision);
+  const offset = precision > 0 ? parseInt(eastingDigits, 10) * size : 0.0;
+  const easting = (column + 1) * squareSize + offset + size * 0.5;
+  const southernHemisphere = band < "N";
+
+  // The rows repeat every 2000 kilometers, so the northing is the first repetition of the row that
+  // reaches the southern edge of the band, which is southernmost on the central meridian
+  const bandSouth = CesiumMath.toRadians(
+    bandLetters.indexOf(band) * 8.0 - 80.0
+  );
+  const centralMeridian = CesiumMath.toRadians(zone * 6.0 - 183.0);
+  const minimumNorthing = TransverseMercatorProjection.fromUtmZone(
+    zone,
+    southernHemisphere
+  ).project(
+    Cartographic.fromRadians(
+      centralMeridian,
+      bandSouth,
+      0.0,
+      scratchCartographic
+    )
+  ).y;
+  let northing = ((row - computeRowOffset(zone) + 20) % 20) * squareSize;
+  while (northing + squareSize <= minimumNorthing) {
+    northing += 20 * squareSize;
+  }
+  northing +=
+    (precision > 0 ? parseInt(northingDigits, 10) * size : 0.0) + size * 0.5;
+
+  return Utm.toCartographic(
+    zone,
+    southernHemisphere,
+    easting,
+    northing,
+    result
+  );
+};
+export default Mgrs;
@@ -0,0 +1,182 @@
+import Cartesian3 from "./Cartesian3.js";
+import Check from "./Check.js";
+import combine from "./combine.js";
+import Credit from "./Credit.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import GeocodeType from "./GeocodeType.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+import Resource from "./Resource.js";
+
+function getDestination(resultObject) {
+  // The bounding box is [south, north, west, east] in degrees, as strings
+  const boundingBox = resultObject.boundingbox;
+  if (defined(boundingBox)) {
+    return Rectangle.fromDegrees(
+      parseFloat(boundingBox[2]),
+      parseFloat(boundingBox[0]),
+      parseFloat(boundingBox[3]),
+      parseFloat(boundingBox[1])
+    );
+  }
+
+  return Cartesian3.fromDegrees(
+    parseFloat(resultObject.lon),
+    parseFloat(resultObject.lat)
+  );
+}
+
+function createResult(resultObject) {
+  return {
+    displayName: resultObject.display_name,
+    destination: getDestination(resultObject),
+  };
+}
+
+/**
+ * Provides geocoding and reverse geocoding via a {@link https://nominatim.org/|Nominatim} server.
+ * <p>
+ * Autocomplete queries are sent to the search endpoint with the partial input. The public server at
+ * https://nominatim.openstreetmap.org does not allow autocomplete, so set <code>viewer.geocoder.viewModel.autoComplete</code>
+ * to <code>false</code> when using it, and follow its {@link https://operations.osmfoundation.org/policies/nominatim/|usage policy}.
+ * </p>
+ * @alias NominatimGeocoderService
+ * @constructor
+ *
+ * @param {Resource|string} url The endpoint to the Nominatim server.
+ * @param {object} [params] Additional query parameters sent with each request (See https://nominatim.org/release-docs/latest/api/Search/), such as:
+ * @param {string} [params.countrycodes] Limits results to a comma-separated list of ISO 3166-1 alpha 2 country codes.
+ * @param {string} [params.viewbox] The preferred area to find results in, as <code>west,south,east,north</code> in degrees.
+ * @param {number} [params.limit] The maximum number of results.
+ * @param {string} [params.email] An email address to identify the requests by, which the usage policy of the public server asks for.
+ *
+ * @example
+ * // Configure a Viewer to use a self-hosted Nominatim server for search and for addresses of picked positions
+ * const nominatim = new Cesium.NominatimGeocoderService("https://nominatim.example.com/", {
+ *   countrycodes: "de,at,ch",
+ * });
+ * const viewer = new Cesium.Viewer("cesiumContainer", {
+ *   geocoder: nominatim,
+ *   reverseGeocoderService: nominatim,
+ * });
+ */
+function NominatimGeocoderService(url, params) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  if (defined(params)) {
+    Check.typeOf.object("params", params);
+  }
+  //>>includeEnd('debug');
+
+  this._url = Resource.createIfNeeded(url);
+  this._url.appendForwardSlash();
+  this._params = defaultValue(params, {});
+  this._credit = new Credit(
+    `Geodata copyright <a href="https://www.openstreetmap.org/">OpenStreetMap</a> contributors`,
+    false
+  );
+}
+
+Object.defineProperties(NominatimGeocoderService.prototype, {
+  /**
+   * The Resource used to access the Nominatim endpoint.
+   * @type {Resource}
+   * @memberof NominatimGeocoderService.prototype
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._url;
+    },
+  },
+  /**
+   * Additional query parameters sent to Nominatim with each request.
+   * @type {object}
+   * @memberof NominatimGeocoderService.prototype
+   * @readonly
+   */
+  params: {
+    get: function () {
+      return this._params;
+    },
+  },
+  /**
+   * Gets the credit to display after a geocode is performed. Typically this is used to credit
+   * the geocoder service.
+   * @memberof NominatimGeocoderService.prototype
+   * @type {Credit|undefined}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+});
+
+/**
+ * @function
+ *
+ * @param {string} query The query to be sent to the geocoder service
+ * @param {GeocodeType} [type=GeocodeType.SEARCH] The type of geocode to perform.
+ * @returns {Promise<GeocoderService.Result[]>}
+ */
+NominatimGeocoderService.prototype.geocode = async function (query, type) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("query", query);
+  //>>includeEnd('debug');
+
+  const queryParameters = combine(
+    {
+      q: query,
+      format: "jsonv2",
+    },
+    this._params
+  );
+  if (type === GeocodeType.AUTOCOMPLETE && !defined(queryParameters.limit)) {
+    queryParameters.limit = 5;
+  }
+
+  const resource = this._url.getDerivedResource({
+    url: "search",
+    queryParameters: queryParameters,
+  });
+  return resource.fetchJson().then(function (results) {
+    return results.map(createResult);
+  });
+};
+
+/**
+ * Finds the address or place at a position.
+ *
+ * @function
+ *
+ * @param {Cartographic} position The position to find the address or place at.
+ * @returns {Promise<GeocoderService.Result[]>} A promise that resolves to the address or place at the position, or to an empty array when there is none.
+ */
+NominatimGeocoderService.prototype.reverseGeocode = async function (position) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("position", position);
+  //>>includeEnd('debug');
+
+  const resource = this._url.getDerivedResource({
+    url: "reverse",
+    queryParameters: combine(
+      {
+        lat: CesiumMath.toDegrees(position.latitude),
+        lon: CesiumMath.toDegrees(position.longitude),
+        format: "jsonv2",
+      },
+      this._params
+    ),
+  });
+  return resource.fetchJson().then(function (result) {
+    // Positions without an address, such as in the ocean, return an error message
+    if (!defined(result) || defined(result.error)) {
+      return [];
+    }
+    return [createResult(result)];
+  });
+};
+export default NominatimGeocoderService;
@@ -0,0 +1,647 @@
+import pako from "pako/lib/inflate.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import fetchByteRange from "./fetchByteRange.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+import Request from "./Request.js";
+import RequestScheduler from "./RequestScheduler.js";
+import Resource from "./Resource.js";
+import RuntimeError from "./RuntimeError.js";
+
+const HEADER_LENGTH = 127;
+
+// The specification recommends reading the first 16 KiB of the archive, which contains the header and root directory
+const INITIAL_FETCH_LENGTH = 16384;
+
+// Leaf directories may be nested up to three levels below the root directory
+const MAXIMUM_DIRECTORY_DEPTH = 4;
+
+// Tile IDs of levels above 26 cannot be represented exactly in a double
+const MAXIMUM_LEVEL = 26;
+
+/**
+ * A PMTiles archive, a single file containing a pyramid of tiles that is read with HTTP range requests.
+ * Directories of the archive are cached, so that most tiles are read with a single request.
+ * <p>
+ * Tiles are addressed by level, X and Y coordinates in the {@link WebMercatorTilingScheme}.  Version 3
+ * archives with uncompressed or gzip compressed directories and tiles are supported.
+ * </p>
+ * <div class="notice">
+ * To construct a PMTilesArchive, call {@link PMTilesArchive.fromUrl}. Do not call the constructor directly.
+ * </div>
+ *
+ * @alias PMTilesArchive
+ * @constructor
+ *
+ * @param {object} [options] Object with the following properties:
+ * @param {number} [options.maximumCachedDirectories=64] The number of leaf directories to keep in memory.
+ *
+ * @see PMTilesImageryProvider
+ * @see PMTilesResource
+ * @see {@link https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md|PMTiles Specification}
+ */
+function PMTilesArchive(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._resource = undefined;
+  this._header = undefined;
+  this._metadata = undefined;
+  this._rootDirectory = undefined;
+  this._directoryCache = new Map();
+  this._maximumCachedDirectories = defaultValue(
+    options.maximumCachedDirectories,
+    64
+  );
+}
+
+const mimeTypes = {
+  1: "application/vnd.mapbox-vector-tile",
+  2: "image/png",
+  3: "image/jpeg",
+  4: "image/webp",
+  5: "image/avif",
+};
+
+Object.defineProperties(PMTilesArchive.prototype, {
+  /**
+   * Gets the URL of the archive.
+   * @memberof PMTilesArchive.prototype
+   * @type {string}
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._resource.url;
+    },
+  },
+
+  /**
+   * Gets the type of the tiles in the archive.
+   * @memberof PMTilesArchive.prototype
+   * @type {PMTilesArchive.TileType}
+   * @readonly
+   */
+  tileType: {
+    get: function () {
+      return this._header.tileType;
+    },
+  },
+
+  /**
+   * Gets the media type of the tiles in the archive, or undefined if the type of the tiles is unknown.
+   * @memberof PMTilesArchive.prototype
+   * @type {string|undefined}
+   * @readonly
+   */
+  mimeType: {
+    get: function () {
+      return mimeTypes[this._header.tileType];
+    },
+  },
+
+  /**
+   * Gets the minimum level of the tiles in the archive.
+   * @memberof PMTilesArchive.prototype
+   * @type {number}
+   * @readonly
+   */
+  minimumLevel: {
+    get: function () {
+      return this._header.minimumLevel;
+    },
+  },
+
+  /**
+   * Gets the maximum level of the tiles in the archive.
+   * @memberof PMTilesArchive.prototype
+   * @type {number}
+   * @readonly
+   */
+  maximumLevel: {
+    get: function () {
+      return this._header.maximumLevel;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, covered by the tiles in the archive.
+   * @memberof PMTilesArchive.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._header.rectangle;
+    },
+  },
+
+  /**
+   * Gets the position at which the archive should initially be viewed.
+   * @memberof PMTilesArchive.prototype
+   * @type {Cartographic}
+   * @readonly
+   */
+  center: {
+    get: function () {
+      return this._header.center;
+    },
+  },
+
+  /**
+   * Gets the level at which the archive should initially be viewed.
+   * @memberof PMTilesArchive.prototype
+   * @type {number}
+   * @readonly
+   */
+  centerLevel: {
+    get: function () {
+      return this._header.centerLevel;
+    },
+  },
+
+  /**
+   * Gets the JSON metadata of the archive, such as its name, attribution and, for vector tiles, its layers.
+   * @memberof PMTilesArchive.prototype
+   * @type {object}
+   * @readonly
+   */
+  metadata: {
+    get: function () {
+      return this._metadata;
+    },
+  },
+});
+
+function readUint64(dataView, offset) {
+  const low = dataView.getUint32(offset, true);
+  const high = dataView.getUint32(offset + 4, true);
+  return high * 4294967296 + low;
+}
+
+function readCoordinate(dataView, offset) {
+  return CesiumMath.toRadians(dataView.getInt32(offset, true) / 1e7);
+}
+
+function parseHeader(dataView) {
+  const magic = String.fromCharCode.apply(
+    null,
+    new Uint8Array(dataView.buffer, dataView.byteOffset, 7)
+  );
+  if (magic !== "PMTiles") {
+    throw new RuntimeError("The file is not a PMTiles archive.");
+  }
+
+  const version = dataView.getUint8(7);
+  if (version !== 3) {
+    throw new RuntimeError(
+      `Unsupported PMTiles version: ${version}.  Only version 3 is supported.`
+    );
+  }
+
+  return {
+    rootDirectoryOffset: readUint64(dataView, 8),
+    rootDirectoryLength: readUint64(dataView, 16),
+    metadataOffset: readUint64(dataView, 24),
+    metadataLength: readUint64(dataView, 32),
+    leafDirectoryOffset: readUint64(dataView, 40),
+    tileDataOffset: readUint64(dataView, 56),
+    internalCompression: dataView.getUint8(97),
+    tileCompression: dataView.getUint8(98),
+    tileType: dataView.getUint8(99),
+    minimumLevel: dataView.getUint8(100),
+    maximumLevel: dataView.getUint8(101),
+    rectangle: new Rectangle(
+      readCoordinate(dataView, 102),
+      readCoordinate(dataView, 106),
+      readCoordinate(dataView, 110),
+      readCoordinate(dataView, 114)
+    ),
+    centerLevel: dataView.getUint8(118),
+    center: new Cartographic(
+      readCoordinate(dataView, 119),
+      readCoordinate(dataView, 123)
+    ),
+  };
+}
+
+function decompress(bytes, compression) {
+  switch (compression) {
+    case PMTilesArchive.Compression.UNKNOWN:
+    case PMTilesArchive.Compression.NONE:
+      return bytes;
+    case PMTilesArchive.Compression.GZIP:
+      return pako.inflate(bytes);
+    default:
+      throw new RuntimeError(`Unsupported PMTiles compression: ${compression}`);
+  }
+}
+
+function readVarint(state) {
+  const bytes = state.bytes;
+  let value = 0;
+  let multiplier = 1;
+  let byte;
+  do {
+    if (state.position >= bytes.length) {
+      throw new RuntimeError("Unexpected end of PMTiles directory.");
+    }
+    byte = bytes[state.position++];
+    // Multiply rather than shift so that values above 32 bits are exact
+    value += (byte & 0x7f) * multiplier;
+    multiplier *= 128;
+  } while (byte & 0x80);
+  return value;
+}
+
+/**
+ * Parses a directory, where each column of entries is stored consecutively as varints.
+ *
+ * @private
+ */
+function parseDirectory(bytes) {
+  const state = {
+    bytes: bytes,
+    position: 0,
+  };
+
+  const length = readVarint(state);
+  const entries = new Array(length);
+
+  let tileId = 0;
+  for (let i = 0; i < length; ++i) {
+    tileId += readVarint(state);
+    entries[i] = {
+      tileId: tileId,
+      runLength: 0,
+      length: 0,
+      offset: 0,
+    };
+  }
+  for (let i = 0; i < length; ++i) {
+    entries[i].runLength = readVarint(state);
+  }
+  for (let i = 0; i < length; ++i) {
+    entries[i].length = readVarint(state);
+  }
+  for (let i = 0; i < length; ++i) {
+    // Zero means the data immediately follows the data of the previous entry
+    const value = readVarint(state);
+    if (value === 0 && i > 0) {
+      entries[i].offset = entries[i - 1].offset + entries[i - 1].length;
+    } else {
+      entries[i].offset = value - 1;
+    }
+  }
+  return entries;
+}
+
+/**
+ * Finds the entry with the tile, or the leaf directory that may contain the tile.
+ *
+ * @private
+ */
+function findEntry(entries, tileId) {
+  let low = 0;
+  let high = entries.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const difference = tileId - entries[middle].tileId;
+    if (difference > 0) {
+      low = middle + 1;
+    } else if (difference < 0) {
+      high = middle - 1;
+    } else {
+      return entries[middle];
+    }
+  }
+
+  if (high >= 0) {
+    const entry = entries[high];
+    // Entries with a run length of zero point to leaf directories
+    if (entry.runLength === 0 || tileId - entry.tileId < entry.runLength) {
+      return entry;
+    }
+  }
+  return undefined;
+}
+
+function fetchRange(archive, offset, length) {
+  return fetchByteRange(archive._resource, offset, length).then(function (
+    range
+  ) {
+    const buffer = range.buffer;
+    const begin = offset - range.offset;
+    const end = Math.min(begin + length, buffer.byteLength);
+    // A range response ends early at the end of the archive, but the whole archive must contain the bytes
+    if (begin > 0 && end < begin + length) {
+      throw new RuntimeError(
+        `The PMTiles archive ends before the bytes ${offset} to ${
+          offset + length - 1
+        }.`
+      );
+    }
+    return new Uint8Array(buffer, begin, end - begin);
+  });
+}
+
+function getDirectory(archive, offset, length) {
+  const cache = archive._directoryCache;
+  let promise = cache.get(offset);
+  if (defined(promise)) {
+    // Move the directory to the end of the cache, so that the least recently used directory is removed first
+    cache.delete(offset);
+    cache.set(offset, promise);
+    return promise;
+  }
+
+  promise = fetchRange(archive, offset, length).then(function (bytes) {
+    return parseDirectory(
+      decompress(bytes, archive._header.internalCompression)
+    );
+  });
+  promise.catch(function () {
+    cache.delete(offset);
+  });
+
+  cache.set(offset, promise);
+  if (cache.size > archive._maximumCachedDirectories) {
+    cache.delete(cache.keys().next().value);
+  }
+  return promise;
+}
+
+async function requestTileData(archive, level, x, y) {
+  const header = archive._header;
+  if (level < header.minimumLevel || level > header.maximumLevel) {
+    return undefined;
+  }
+
+  const tileId = PMTilesArchive.getTileId(level, x, y);
+
+  let entries = archive._rootDirectory;
+  for (let depth = 0; depth < MAXIMUM_DIRECTORY_DEPTH; ++depth) {
+    const entry = findEntry(entries, tileId);
+    if (!defined(entry)) {
+      return undefined;
+    }
+
+    if (entry.runLength > 0) {
+      const bytes = await fetchRange(
+        archive,
+        header.tileDataOffset + entry.offset,
+        entry.length
+      );
+      return decompress(bytes, header.tileCompression);
+    }
+
+    entries = await getDirectory(
+      archive,
+      header.leafDirectoryOffset + entry.offset,
+      entry.length
+    );
+  }
+
+  throw new RuntimeError("The PMTiles archive has too many leaf directories.");
+}
+
+/**
+ * Creates a PMTilesArchive by reading the header, root directory and metadata of the archive at the specified url.
+ *
+ * @param {Resource|string} url The url of the archive.
+ * @param {object} [options] Object with the following properties:
+ * @param {number} [options.maximumCachedDirectories=64] The number of leaf directories to keep in memory.
+ * @returns {Promise<PMTilesArchive>} A promise that resolves to the created archive.
+ *
+ * @example
+ * const archive = await Cesium.PMTilesArchive.fromUrl("https://example.com/basemap.pmtiles");
+ * const tile = await archive.requestTile(0, 0, 0);
+ *
+ * @exception {RuntimeError} The file is not a PMTiles archive.
+ * @exception {RuntimeError} Unsupported PMTiles version.
+ * @exception {RuntimeError} Unsupported PMTiles compression.
+ */
+PMTilesArchive.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  const archive = new PMTilesArchive(options);
+  archive._resource = Resource.createIfNeeded(url);
+
+  const bytes = await fetchRange(archive, 0, INITIAL_FETCH_LENGTH);
+  if (bytes.length < HEADER_LENGTH) {
+    throw new RuntimeError("The file is not a PMTiles archive.");
+  }
+
+  const header = parseHeader(
+    new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  );
+  archive._header = header;
+
+  function read(offset, length) {
+    if (offset + length <= bytes.length) {
+      return Promise.resolve(bytes.subarray(offset, offset + length));
+    }
+    return fetchRange(archive, offset, length);
+  }
+
+  const compression = header.internalCompression;
+  const [rootDirectory, metadata] = await Promise.all([
+    read(header.rootDirectoryOffset, header.rootDirectoryLength),
+    header.metadataLength > 0
+      ? read(header.metadataOffset, header.metadataLength)
+      : undefined,
+  ]);
+
+  archive._rootDirectory = parseDirectory(
+    decompress(rootDirectory, compression)
+  );
+
+  archive._metadata = {};
+  if (defined(metadata)) {
+    archive._metadata = JSON.parse(
+      new TextDecoder().decode(decompress(metadata, compression))
+    );
+  }
+
+  return archive;
+};
+
+/**
+ * Requests the data of a tile.  Tiles compressed with gzip are decompressed.
+ *
+ * @param {number} level The level of the tile.
+ * @param {number} x The X coordinate of the tile, where 0 is the westernmost tile.
+ * @param {number} y The Y coordinate of the tile, where 0 is the northernmost tile.
+ * @param {Request} [request] The request object. Intended for internal use only.
+ * @returns {Promise<Uint8Array|undefined>|undefined} A promise that resolves to the data of the tile, or to undefined if the
+ *          archive does not contain the tile.  Returns undefined if <code>request.throttle</code> is true and the request
+ *          does not have high enough priority.
+ */
+PMTilesArchive.prototype.requestTile = function (level, x, y, request) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("level", level);
+  Check.typeOf.number("x", x);
+  Check.typeOf.number("y", y);
+  //>>includeEnd('debug');
+
+  if (!defined(request)) {
+    request = new Request();
+  }
+
+  const that = this;
+  request.url = this._resource.url;
+  request.requestFunction = function () {
+    return requestTileData(that, level, x, y);
+  };
+  return RequestScheduler.request(request);
+};
+
+const scratchPosition = [0, 0];
+
+/**
+ * Gets the ID of a tile, its position along the Hilbert curves through every level of the archive.
+ *
+ * @param {number} level The level of the tile.
+ * @param {number} x The X coordinate of the tile.
+ * @param {number} y The Y coordinate of the tile.
+ * @returns {number} The ID of the tile.
+ *
+ * @private
+ */
+PMTilesArchive.getTileId = function (level, x, y) {
+  const size = Math.pow(2, level);
+  //>>includeStart('debug', pragmas.debug);
+  if (level > MAXIMUM_LEVEL) {
+    throw new DeveloperError(`level must be at most ${MAXIMUM_LEVEL}.`);
+  }
+  if (x < 0 || x >= size || y < 0 || y >= size) {
+    throw new DeveloperError("x and y must be within the level.");
+  }
+  //>>includeEnd('debug');
+
+  // Tiles of all lower levels precede the tiles of the level
+  let id = (Math.pow(4, level) - 1) / 3;
+
+  const position = scratchPosition;
+  position[0] = x;
+  position[1] = y;
+  for (let s = size / 2; s >= 1; s /= 2) {
+    const rx = (position[0] & s) > 0 ? 1 : 0;
+    const ry = (position[1] & s) > 0 ? 1 : 0;
+    id += s * s * ((3 * rx) ^ ry);
+
+    // Rotate the quadrant
+    if (ry === 0) {
+      if (rx === 1) {
+        position[0] = s - 1 - position[0];
+        position[1] = s - 1 - position[1];
+      }
+      const t = position[0];
+      position[0] = position[1];
+      position[1] = t;
+    }
+  }
+  return id;
+};
+
+/**
+ * The type of the tiles in a {@link PMTilesArchive}.
+ *
+ * @enum {number}
+ */
+PMTilesArchive.TileType = {
+  /**
+   * The type of the tiles is unknown.
+   *
+   * @type {number}
+   * @constant
+   */
+  UNKNOWN: 0,
+  /**
+   * Mapbox Vector Tiles.
+   *
+   * @type {number}
+   * @constant
+   */
+  MVT: 1,
+  /**
+   * PNG images.
+   *
+   * @type {number}
+   * @constant
+   */
+  PNG: 2,
+  /**
+   * JPEG images.
+   *
+   * @type {number}
+   * @constant
+   */
+  JPEG: 3,
+  /**
+   * WebP images.
+   *
+   * @type {number}
+   * @constant
+   */
+  WEBP: 4,
+  /**
+   * AVIF images.
+   *
+   * @type {number}
+   * @constant
+   */
+  AVIF: 5,
+};
+Object.freeze(PMTilesArchive.TileType);
+
+/**
+ * The compression of the directories and tiles in a {@link PMTilesArchive}.
+ *
+ * @enum {number}
+ */
+PMTilesArchive.Compression = {
+  /**
+   * The compression is unknown.
+   *
+   * @type {number}
+   * @constant
+   */
+  UNKNOWN: 0,
+  /**
+   * No compression.
+   *
+   * @type {number}
+   * @constant
+   */
+  NONE: 1,
+  /**
+   * gzip compression.
+   *
+   * @type {number}
+   * @constant
+   */
+  GZIP: 2,
+  /**
+   * Brotli compression, which is not supported.
+   *
+   * @type {number}
+   * @constant
+   */
+  BROTLI: 3,
+  /**
+   * Zstandard compression, which is not supported.
+   *
+   * @type {number}
+   * @constant
+   */
+  ZSTD: 4,
+};
+Object.freeze(PMTilesArchive.Compression);
+
+export default PMTilesArchive;
@@ -0,0 +1,256 @@
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import getStringFromTypedArray from "./getStringFromTypedArray.js";
+import loadImageFromTypedArray from "./loadImageFromTypedArray.js";
+import RequestErrorEvent from "./RequestErrorEvent.js";
+import RequestState from "./RequestState.js";
+import Resource from "./Resource.js";
+
+/**
+ * A {@link Resource} that reads files whose URLs end with a template from a {@link PMTilesArchive}, rather than
+ * requesting them from a server.  Resources derived from it, such as the content of the tiles of a 3D Tiles tileset,
+ * read from the same archive, so a PMTilesResource can be used anywhere a Resource is accepted.
+ * Other URLs are requested as usual.
+ * <p>
+ * Files that are not in the archive fail to load with a {@link RequestErrorEvent} with a status code of 404.
+ * </p>
+ *
+ * @alias PMTilesResource
+ * @constructor
+ * @augments Resource
+ *
+ * @param {object} options An object with the following properties:
+ * @param {PMTilesArchive} options.archive The archive from which files are read.
+ * @param {string} [options.template="{z}/{x}/{y}"] The end of the URLs of the files in the archive. <code>{z}</code>
+ *        or <code>{level}</code>, <code>{x}</code> and <code>{y}</code> are the level and coordinates of the tile in the
+ *        archive.  Any file extension after the template is ignored.
+ * @param {string} [options.url] The url of the resource.  If not specified, the template appended to the url of the archive
+ *        is used, which suits providers that request tiles from a URL template.
+ * @param {object} [options.queryParameters] An object containing query parameters that will be sent when retrieving the resource.
+ * @param {object} [options.templateValues] Key/Value pairs that are used to replace template values (eg. {x}).
+ * @param {object} [options.headers={}] Additional HTTP headers that will be sent.
+ * @param {Proxy} [options.proxy] A proxy to be used when loading the resource.
+ * @param {Resource.RetryCallback} [options.retryCallback] The Function to call when a request for this resource fails. If it returns true, the request will be retried.
+ * @param {number} [options.retryAttempts=0] The number of times the retryCallback should be called before giving up.
+ *
+ * @example
+ * // Load a tileset whose tile content is stored in an archive next to the tileset JSON
+ * const archive = await Cesium.PMTilesArchive.fromUrl("https://example.com/city/content.pmtiles");
+ * const resource = new Cesium.PMTilesResource({
+ *   url: "https://example.com/city/tileset.json",
+ *   archive: archive,
+ *   template: "content/{level}/{x}/{y}.glb",
+ * });
+ * const tileset = await Cesium.Cesium3DTileset.fromUrl(resource);
+ * viewer.scene.primitives.add(tileset);
+ *
+ * @example
+ * // Draw the vector tiles of an archive
+ * const archive = await Cesium.PMTilesArchive.fromUrl("https://example.com/parcels.pmtiles");
+ * const provider = new Cesium.VectorTileImageryProvider({
+ *   url: new Cesium.PMTilesResource({
+ *     archive: archive,
+ *   }),
+ *   maximumNativeLevel: archive.maximumLevel,
+ * });
+ *
+ * @see PMTilesArchive
+ */
+function PMTilesResource(options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options", options);
+  Check.defined("options.archive", options.archive);
+  //>>includeEnd('debug');
+
+  const template = defaultValue(options.template, "{z}/{x}/{y}");
+  let url = options.url;
+  if (!defined(url)) {
+    url = `${options.archive._resource.getUrlComponent()}/${template}`;
+  }
+
+  Resource.call(this, {
+    url: url,
+    queryParameters: options.queryParameters,
+    templateValues: options.templateValues,
+    headers: options.headers,
+    proxy: options.proxy,
+    retryCallback: options.retryCallback,
+    retryAttempts: options.retryAttempts,
+    request: options.request,
+  });
+
+  this._archive = options.archive;
+  this._template = template;
+  this._templateRegex = createTemplateRegex(template);
+}
+
+if (defined(Object.create)) {
+  PMTilesResource.prototype = Object.create(Resource.prototype);
+  PMTilesResource.prototype.constructor = PMTilesResource;
+}
+
+Object.defineProperties(PMTilesResource.prototype, {
+  /**
+   * Gets the archive from which files are read.
+   *
+   * @memberof PMTilesResource.prototype
+   * @type {PMTilesArchive}
+   * @readonly
+   */
+  archive: {
+    get: function () {
+      return this._archive;
+    },
+  },
+
+  /**
+   * Gets the end of the URLs of the files in the archive.
+   *
+   * @memberof PMTilesResource.prototype
+   * @type {string}
+   * @readonly
+   */
+  template: {
+    get: function () {
+      return this._template;
+    },
+  },
+});
+
+function createTemplateRegex(template) {
+  const keys = [];
+  const pattern = template
+    .replace(/[.*+?^$(){}|[\]\\]/g, "\\$&")
+    .replace(/\\{(z|level|x|y)\\}/g, function (match, key) {
+      keys.push(key === "level" ? "z" : key);
+      return "(\\d+)";
+    });
+
+  //>>includeStart('debug', pragmas.debug);
+  if (
+    keys.indexOf("z") === -1 ||
+    keys.indexOf("x") === -1 ||
+    keys.indexOf("y") === -1
+  ) {
+    throw new DeveloperError(
+      "options.template must contain {z} or {level}, {x} and {y}."
+    );
+  }
+  //>>includeEnd('debug');
+
+  return {
+    regex: new RegExp(`(?:^|/)${pattern}(?:\\.[^/]*)?$`),
+    keys: keys,
+  };
+}
+
+function getTileCoordinates(resource) {
+  const templateRegex = resource._templateRegex;
+  const match = templateRegex.regex.exec(resource.getUrlComponent());
+  if (!defined(match)) {
+    return undefined;
+  }
+
+  const coordinates = {};
+  const keys = templateRegex.keys;
+  for (let i = 0; i < keys.length; ++i) {
+    coordinates[keys[i]] = parseInt(match[i + 1]);
+  }
+  return coordinates;
+}
+
+function getResponse(data, responseType, mimeType) {
+  switch (responseType) {
+    case "text":
+      return getStringFromTypedArray(data);
+    case "json":
+      return JSON.parse(getStringFromTypedArray(data));
+    case "blob":
+      return new Blob([data], {
+        type: defaultValue(mimeType, ""),
+      });
+    default:
+      if (data.byteOffset === 0 && data.byteLength === data.buffer.byteLength) {
+        return data.buffer;
+      }
+      return data.buffer.slice(
+        data.byteOffset,
+        data.byteOffset + data.byteLength
+      );
+  }
+}
+
+/** @inheritdoc */
+PMTilesResource.prototype.clone = function (result) {
+  if (!defined(result)) {
+    result = new PMTilesResource({
+      url: this._url,
+      archive: this._archive,
+      template: this._template,
+    });
+  }
+
+  result = Resource.prototype.clone.call(this, result);
+  result._archive = this._archive;
+  result._template = this._template;
+  result._templateRegex = this._templateRegex;
+
+  return result;
+};
+
+PMTilesResource.prototype.fetchImage = function (options) {
+  if (!defined(getTileCoordinates(this))) {
+    return Resource.prototype.fetchImage.call(this, options);
+  }
+
+  // Images in the archive are decoded from the data of the tile
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const promise = this.fetchArrayBuffer();
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const mimeType = defaultValue(this._archive.mimeType, "");
+  return promise.then(function (buffer) {
+    return loadImageFromTypedArray({
+      uint8Array: new Uint8Array(buffer),
+      format: mimeType,
+      flipY: options.flipY,
+      skipColorSpaceConversion: options.skipColorSpaceConversion,
+    });
+  });
+};
+
+PMTilesResource.prototype._makeRequest = function (options) {
+  const coordinates = getTileCoordinates(this);
+  if (!defined(coordinates) || options.method !== "GET") {
+    return Resource.prototype._makeRequest.call(this, options);
+  }
+
+  const request = this.request;
+  request.state = RequestState.UNISSUED;
+  request.deferred = undefined;
+
+  const archive = this._archive;
+  const promise = archive.requestTile(
+    coordinates.z,
+    coordinates.x,
+    coordinates.y,
+    request
+  );
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const responseType = options.responseType;
+  return promise.then(function (data) {
+    if (!defined(data)) {
+      return Promise.reject(new RequestErrorEvent(404));
+    }
+    return getResponse(data, responseType, archive.mimeType);
+  });
+};
+
+export default PMTilesResource;
@@ -0,0 +1,193 @@
+import Cartesian3 from "./Cartesian3.js";
+import Check from "./Check.js";
+import combine from "./combine.js";
+import Credit from "./Credit.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import GeocodeType from "./GeocodeType.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+import Resource from "./Resource.js";
+
+function getDisplayName(properties) {
+  let street = properties.street;
+  if (defined(street) && defined(properties.housenumber)) {
+    street = `${street} ${properties.housenumber}`;
+  }
+
+  const parts = [
+    properties.name,
+    street,
+    properties.city,
+    properties.state,
+    properties.country,
+  ];
+  const names = [];
+  for (let i = 0; i < parts.length; ++i) {
+    // Cities and countries are named by themselves and by the place they are in
+    if (defined(parts[i]) && names.indexOf(parts[i]) === -1) {
+      names.push(parts[i]);
+    }
+  }
+  return names.join(", ");
+}
+
+function createResults(featureCollection) {
+  return featureCollection.features.map(function (feature) {
+    let destination;
+    // The extent is [west, north, east, south] in degrees
+    const extent = feature.properties.extent;
+
+    if (defined(extent)) {
+      destination = Rectangle.fromDegrees(
+        extent[0],
+        extent[3],
+        extent[2],
+        extent[1]
+      );
+    } else {
+      const lon = feature.geometry.coordinates[0];
+      const lat = feature.geometry.coordinates[1];
+      destination = Cartesian3.fromDegrees(lon, lat);
+    }
+
+    return {
+      displayName: getDisplayName(feature.properties),
+      destination: destination,
+    };
+  });
+}
+
+/**
+ * Provides geocoding and reverse geocoding via a {@link https://github.com/komoot/photon|Photon} server, which is
+ * designed for searching as you type.
+ * @alias PhotonGeocoderService
+ * @constructor
+ *
+ * @param {Resource|string} url The endpoint to the Photon server.
+ * @param {object} [params] Additional query parameters sent with each request (See https://github.com/komoot/photon#search-api), such as:
+ * @param {string} [params.lang] The preferred language of the results.
+ * @param {number} [params.limit] The maximum number of results.
+ * @param {number} [params.lat] The latitude in degrees to prefer results near.
+ * @param {number} [params.lon] The longitude in degrees to prefer results near.
+ * @param {string} [params.bbox] The area to limit results to, as <code>west,south,east,north</code> in degrees.
+ *
+ * @example
+ * // Configure a Viewer to use a self-hosted Photon server for search and for addresses of picked positions
+ * const photon = new Cesium.PhotonGeocoderService("https://photon.example.com/", {
+ *   lang: "en",
+ * });
+ * const viewer = new Cesium.Viewer("cesiumContainer", {
+ *   geocoder: photon,
+ *   reverseGeocoderService: photon,
+ * });
+ */
+function PhotonGeocoderService(url, params) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  if (defined(params)) {
+    Check.typeOf.object("params", params);
+  }
+  //>>includeEnd('debug');
+
+  this._url = Resource.createIfNeeded(url);
+  this._url.appendForwardSlash();
+  this._params = defaultValue(params, {});
+  this._credit = new Credit(
+    `Geodata copyright <a href="https://www.openstreetmap.org/">OpenStreetMap</a> contributors`,
+    false
+  );
+}
+
+Object.defineProperties(PhotonGeocoderService.prototype, {
+  /**
+   * The Resource used to access the Photon endpoint.
+   * @type {Resource}
+   * @memberof PhotonGeocoderService.prototype
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._url;
+    },
+  },
+  /**
+   * Additional query parameters sent to Photon with each request.
+   * @type {object}
+   * @memberof PhotonGeocoderService.prototype
+   * @readonly
+   */
+  params: {
+    get: function () {
+      return this._params;
+    },
+  },
+  /**
+   * Gets the credit to display after a geocode is performed. Typically this is used to credit
+   * the geocoder service.
+   * @memberof PhotonGeocoderService.prototype
+   * @type {Credit|undefined}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+});
+
+/**
+ * @function
+ *
+ * @param {string} query The query to be sent to the geocoder service
+ * @param {GeocodeType} [type=GeocodeType.SEARCH] The type of geocode to perform.
+ * @returns {Promise<GeocoderService.Result[]>}
+ */
+PhotonGeocoderService.prototype.geocode = async function (query, type) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("query", query);
+  //>>includeEnd('debug');
+
+  const queryParameters = combine({ q: query }, this._params);
+  if (type === GeocodeType.AUTOCOMPLETE && !defined(queryParameters.limit)) {
+    queryParameters.limit = 5;
+  }
+
+  const resource = this._url.getDerivedResource({
+    url: "api",
+    queryParameters: queryParameters,
+  });
+  return resource.fetchJson().then(createResults);
+};
+
+/**
+ * Finds the addresses or places at a position, nearest first.
+ *
+ * @function
+ *
+ * @param {Cartographic} position The position to find addresses or places at.
+ * @returns {Promise<GeocoderService.Result[]>}
+ */
+PhotonGeocoderService.prototype.reverseGeocode = async function (position) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("position", position);
+  //>>includeEnd('debug');
+
+  // Parameters that bias search results toward a position would conflict with the position
+  const params = combine({}, this._params);
+  delete params.lat;
+  delete params.lon;
+
+  const resource = this._url.getDerivedResource({
+    url: "reverse",
+    queryParameters: combine(
+      {
+        lat: CesiumMath.toDegrees(position.latitude),
+        lon: CesiumMath.toDegrees(position.longitude),
+      },
+      params
+    ),
+  });
+  return resource.fetchJson().then(createResults);
+};
+export default PhotonGeocoderService;
@@ -1,4 +1,6 @@
+import Check from "./Check.js";
 import defined from "./defined.js";
+import PolygonPipeline from "./PolygonPipeline.js";
 
 /**
  * An hierarchy of linear rings which define a polygon and its holes.
@@ -22,4 +24,139 @@ function PolygonHierarchy(positions, holes) {
    */
   this.holes = defined(holes) ? holes : [];
 }
+
+function toHierarchies(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function computeBooleanOperation(operation, left, right, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("left", left);
+  Check.defined("right", right);
+  //>>includeEnd('debug');
+
+  const polygons = PolygonPipeline.computeBooleanOperation(
+    operation,
+    toHierarchies(left),
+    toHierarchies(right),
+    ellipsoid
+  );
+  return polygons.map(function (polygon) {
+    return new PolygonHierarchy(
+      polygon.positions,
+      polygon.holes.map(function (hole) {
+        return new PolygonHierarchy(hole);
+      })
+    );
+  });
+}
+
+/**
+ * Computes the union of polygons on an ellipsoid. The edges of the polygons are geodesics, as drawn by a
+ * {@link PolygonGeometry} with {@link ArcType.GEODESIC}, and all positions must be within one hemisphere.
+ * The resulting positions are on the surface of the ellipsoid.
+ *
+ * @param {PolygonHierarchy|PolygonHierarchy[]} left A polygon, or polygons that do not overlap each other.
+ * @param {PolygonHierarchy|PolygonHierarchy[]} right A polygon, or polygons that do not overlap each other.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {PolygonHierarchy[]} The polygons covering the area of either operand.
+ *
+ * @exception {RuntimeError} The positions of the polygons must be within a hemisphere.
+ *
+ * @example
+ * const union = Cesium.PolygonHierarchy.union(
+ *   new Cesium.PolygonHierarchy(Cesium.Cartesian3.fromDegreesArray([0, 0, 2, 0, 2, 2, 0, 2])),
+ *   new Cesium.PolygonHierarchy(Cesium.Cartesian3.fromDegreesArray([1, 1, 3, 1, 3, 3, 1, 3]))
+ * );
+ * viewer.entities.add({
+ *   polygon: {
+ *     hierarchy: union[0],
+ *     material: Cesium.Color.RED.withAlpha(0.5),
+ *   },
+ * });
+ */
+PolygonHierarchy.union = function (left, right, ellipsoid) {
+  return computeBooleanOperation(
+    PolygonPipeline.BooleanOperation.UNION,
+    left,
+    right,
+    ellipsoid
+  );
+};
+
+/**
+ * Computes the intersection of polygons on an ellipsoid. The edges of the polygons are geodesics, as drawn by a
+ * {@link PolygonGeometry} with {@link ArcType.GEODESIC}, and all positions must be within one hemisphere.
+ * The resulting positions are on the surface of the ellipsoid.
+ *
+ * @param {PolygonHierarchy|PolygonHierarchy[]} left A polygon, or polygons that do not overlap each other.
+ * @param {PolygonHierarchy|PolygonHierarchy[]} right A polygon, or polygons that do not overlap each other.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {PolygonHierarchy[]} The polygons covering the area of both operands, or an empty array if they do not overlap.
+ *
+ * @exception {RuntimeError} The positions of the polygons must be within a hemisphere.
+ */
+PolygonHierarchy.intersection = function (left, right, ellipsoid) {
+  return computeBooleanOperation(
+    PolygonPipeline.BooleanOperation.INTERSECTION,
+    left,
+    right,
+    ellipsoid
+  );
+};
+
+/**
+ * Subtracts polygons from other polygons on an ellipsoid. The edges of the polygons are geodesics, as drawn by a
+ * {@link PolygonGeometry} with {@link ArcType.GEODESIC}, and all positions must be within one hemisphere.
+ * The resulting positions are on the surface of the ellipsoid.
+ *
+ * @param {PolygonHierarchy|PolygonHierarchy[]} left A polygon, or polygons that do not overlap each other, to subtract from.
+ * @param {PolygonHierarchy|PolygonHierarchy[]} right A polygon, or polygons that do not overlap each other, to subtract.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {PolygonHierarchy[]} The polygons covering the area of the left operand outside the right operand.
+ *
+ * @exception {RuntimeError} The positions of the polygons must be within a hemisphere.
+ */
+PolygonHierarchy.difference = function (left, right, ellipsoid) {
+  return computeBooleanOperation(
+    PolygonPipeline.BooleanOperation.DIFFERENCE,
+    left,
+    right,
+    ellipsoid
+  );
+};
+
+/**
+ * Computes the area of a polygon on an ellipsoid, excluding its holes. The edges of the polygon are geodesics, as
+ * drawn by a {@link PolygonGeometry} with {@link ArcType.GEODESIC}.
+ *
+ * @param {PolygonHierarchy} hierarchy The polygon.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {number} The area in square meters.
+ *
+ * @example
+ * const hierarchy = new Cesium.PolygonHierarchy(
+ *   Cesium.Cartesian3.fromDegreesArray([-75.0, 40.0, -74.0, 40.0, -74.0, 41.0])
+ * );
+ * const squareKilometers = Cesium.PolygonHierarchy.computeArea(hierarchy) / 1.0e6;
+ */
+PolygonHierarchy.computeArea = function (hierarchy, ellipsoid) {
+  return PolygonPipeline.computeGeodesicArea(hierarchy, ellipsoid);
+};
+
+/**
+ * Determines if a position is inside a polygon on an ellipsoid, and not inside one of its holes. The edges of the
+ * polygon are geodesics, as drawn by a {@link PolygonGeometry} with {@link ArcType.GEODESIC}, and all positions must
+ * be within one hemisphere. The height of the position is ignored.
+ *
+ * @param {PolygonHierarchy} hierarchy The polygon.
+ * @param {Cartesian3} position The position.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {boolean} <code>true</code> if the position is inside the polygon, <code>false</code> otherwise.
+ *
+ * @exception {RuntimeError} The positions of the polygons must be within a hemisphere.
+ */
+PolygonHierarchy.contains = function (hierarchy, position, ellipsoid) {
+  return PolygonPipeline.containsPosition(hierarchy, position, ellipsoid);
+};
 export default PolygonHierarchy;
@@ -1,4 +1,5 @@
 import earcut from "earcut";
+import arrayRemoveDuplicates from "./arrayRemoveDuplicates.js";
 import Cartesian2 from "./Cartesian2.js";
 import Cartesian3 from "./Cartesian3.js";
 import Cartographic from "./Cartographic.js";
@@ -8,10 +9,12 @@ import defaultValue from "./defaultValue.js";
 import defined from "./defined.js";
 import Ellipsoid from "./Ellipsoid.js";
 import EllipsoidRhumbLine from "./EllipsoidRhumbLine.js";
+import EllipsoidTangentPlane from "./EllipsoidTangentPlane.js";
 import Geometry from "./Geometry.js";
 import GeometryAttribute from "./GeometryAttribute.js";
 import CesiumMath from "./Math.js";
 import PrimitiveType from "./PrimitiveType.js";
+import RuntimeError from "./RuntimeError.js";
 import WindingOrder from "./WindingOrder.js";
 
 const scaleToGeodeticHeightN = new Cartesian3();
@@ -582,6 +585,34 @@ PolygonPipeline.computeRhumbLineSubdivision = function (
   return new Geometry(geometryOptions);
 };
 
+/**
+ * Determines if a point is inside rings in a plane with the even-odd rule, so a point inside a hole of a polygon is
+ * outside, and a point inside a polygon within that hole is inside.
+ *
+ * @param {Cartesian2[][]} rings The rings, which are the outer boundaries and holes of polygons that do not overlap.
+ * @param {Cartesian2} point The point.
+ * @returns {boolean} <code>true</code> if the point is inside the rings.
+ *
+ * @private
+ */
+PolygonPipeline.isInsideRings2D = function (rings, point) {
+  let inside = false;
+  for (let i = 0; i < rings.length; ++i) {
+    const ring = rings[i];
+    for (let j = 0, k = ring.length - 1; j < ring.length; k = j++) {
+      const p0 = ring[j];
+      const p1 = ring[k];
+      if (
+        p0.y > point.y !== p1.y > point.y &&
+        point.x < ((p1.x - p0.x) * (point.y - p0.y)) / (p1.y - p0.y) + p0.x
+      ) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+};
+
 /**
  * Scales each position of a geometry's position attribute to a height, in place.
  *
@@ -630,4 +661,792 @@ PolygonPipeline.scaleToGeodeticHeight = function (
 
   return positions;
 };
+/**
+ * The boolean operations of {@link PolygonPipeline.computeBooleanOperation}.
+ *
+ * @private
+ */
+PolygonPipeline.BooleanOperation = Object.freeze({
+  UNION: 0,
+  INTERSECTION: 1,
+  DIFFERENCE: 2,
+});
+
+// Rings at an even depth of the hierarchies are outer boundaries, and rings at an odd depth are holes
+function flattenHierarchies(hierarchies, depth, rings) {
+  for (let i = 0; i < hierarchies.length; ++i) {
+    const hierarchy = hierarchies[i];
+    if (hierarchy.positions.length > 0) {
+      rings.push({
+        positions: hierarchy.positions,
+        depth: depth,
+      });
+    }
+    if (defined(hierarchy.holes)) {
+      flattenHierarchies(hierarchy.holes, depth + 1, rings);
+    }
+  }
+  return rings;
+}
+
+function createTangentPlane(rings, ellipsoid) {
+  let positions = [];
+  for (let i = 0; i < rings.length; ++i) {
+    positions = positions.concat(rings[i].positions);
+  }
+  return EllipsoidTangentPlane.fromPoints(positions, ellipsoid);
+}
+
+function isInFrontOfPlane(tangentPlane, position) {
+  // Positions are projected radially from the center of the ellipsoid, so they must be on the side of the plane
+  return Cartesian3.dot(position, tangentPlane.zAxis) > 0.0;
+}
+
+// The positions are projected radially from the center of the ellipsoid onto a plane tangent to it, which is a
+// gnomonic projection. The edges between positions, which are in planes through the center of the ellipsoid like
+// the edges of polygons with ArcType.GEODESIC, become straight lines.
+function projectRings(tangentPlane, rings) {
+  const projectedRings = [];
+  for (let i = 0; i < rings.length; ++i) {
+    const positions = rings[i].positions;
+    for (let j = 0; j < positions.length; ++j) {
+      if (!isInFrontOfPlane(tangentPlane, positions[j])) {
+        throw new RuntimeError(
+          "The positions of the polygons must be within a hemisphere."
+        );
+      }
+    }
+
+    const points = arrayRemoveDuplicates(
+      tangentPlane.projectPointsOntoPlane(positions),
+      Cartesian2.equalsEpsilon,
+      true
+    );
+    if (points.length < 3) {
+      continue;
+    }
+
+    // Outer boundaries are counter-clockwise and holes are clockwise, so the inside is always to the left
+    const counterClockwise = PolygonPipeline.computeArea2D(points) > 0.0;
+    if (counterClockwise !== (rings[i].depth % 2 === 0)) {
+      points.reverse();
+    }
+    projectedRings.push(points);
+  }
+  return projectedRings;
+}
+
+function addVertex(graph, point) {
+  const tolerance = graph.tolerance;
+  const key = `${Math.round(point.x / tolerance)},${Math.round(
+    point.y / tolerance
+  )}`;
+  let index = graph.indices.get(key);
+  if (!defined(index)) {
+    index = graph.points.length;
+    graph.points.push(Cartesian2.clone(point));
+    graph.indices.set(key, index);
+  }
+  return index;
+}
+
+function addRingEdges(graph, ring, edges) {
+  const indices = ring.map(function (point) {
+    return addVertex(graph, point);
+  });
+  for (let i = 0; i < indices.length; ++i) {
+    const start = indices[i];
+    const end = indices[(i + 1) % indices.length];
+    if (start !== end) {
+      edges.push({
+        start: start,
+        end: end,
+        splits: [],
+      });
+    }
+  }
+}
+
+function addSplit(edge, vertex, t) {
+  if (vertex !== edge.start && vertex !== edge.end) {
+    edge.splits.push({
+      t: t,
+      vertex: vertex,
+    });
+  }
+}
+
+const intersectR = new Cartesian2();
+const intersectS = new Cartesian2();
+const intersectAC = new Cartesian2();
+const intersectPoint = new Cartesian2();
+
+function intersectEdges(graph, e, f) {
+  const points = graph.points;
+  const tolerance = graph.tolerance;
+  const a = points[e.start];
+  const b = points[e.end];
+  const c = points[f.start];
+  const d = points[f.end];
+  if (
+    Math.max(a.x, b.x) + tolerance < Math.min(c.x, d.x) ||
+    Math.max(c.x, d.x) + tolerance < Math.min(a.x, b.x) ||
+    Math.max(a.y, b.y) + tolerance < Math.min(c.y, d.y) ||
+    Math.max(c.y, d.y) + tolerance < Math.min(a.y, b.y)
+  ) {
+    return;
+  }
+
+  const r = Cartesian2.subtract(b, a, intersectR);
+  const s = Cartesian2.subtract(d, c, intersectS);
+  const ac = Cartesian2.subtract(c, a, intersectAC);
+  const lengthR = Cartesian2.magnitude(r);
+  const lengthS = Cartesian2.magnitude(s);
+  const tTolerance = tolerance / lengthR;
+  const uTolerance = tolerance / lengthS;
+  const denominator = Cartesian2.cross(r, s);
+
+  if (Math.abs(denominator) > CesiumMath.EPSILON10 * lengthR * lengthS) {
+    const t = Cartesian2.cross(ac, s) / denominator;
+    const u = Cartesian2.cross(ac, r) / denominator;
+    if (
+      t < -tTolerance ||
+      t > 1.0 + tTolerance ||
+      u < -uTolerance ||
+      u > 1.0 + uTolerance
+    ) {
+      return;
+    }
+
+    // Intersections at the ends of the edges reuse their vertices
+    let vertex;
+    if (Math.abs(t) <= tTolerance) {
+      vertex = e.start;
+    } else if (Math.abs(t - 1.0) <= tTolerance) {
+      vertex = e.end;
+    } else if (Math.abs(u) <= uTolerance) {
+      vertex = f.start;
+    } else if (Math.abs(u - 1.0) <= uTolerance) {
+      vertex = f.end;
+    } else {
+      vertex = addVertex(
+        graph,
+        Cartesian2.add(
+          a,
+          Cartesian2.multiplyByScalar(r, t, intersectPoint),
+          intersectPoint
+        )
+      );
+    }
+    addSplit(e, vertex, t);
+    addSplit(f, vertex, u);
+    return;
+  }
+
+  // Parallel edges only intersect where they overlap on the same line
+  if (Math.abs(Cartesian2.cross(ac, r)) / lengthR > tolerance) {
+    return;
+  }
+  const rr = lengthR * lengthR;
+  const ss = lengthS * lengthS;
+  const vertices = [f.start, f.end, e.start, e.end];
+  for (let i = 0; i < 2; ++i) {
+    const t =
+      Cartesian2.dot(Cartesian2.subtract(points[vertices[i]], a, ac), r) / rr;
+    if (t > tTolerance && t < 1.0 - tTolerance) {
+      addSplit(e, vertices[i], t);
+    }
+    const u =
+      Cartesian2.dot(Cartesian2.subtract(points[vertices[i + 2]], c, ac), s) /
+      ss;
+    if (u > uTolerance && u < 1.0 - uTolerance) {
+      addSplit(f, vertices[i + 2], u);
+    }
+  }
+}
+
+function compareSplits(a, b) {
+  return a.t - b.t;
+}
+
+function splitEdges(edges) {
+  const result = [];
+  for (let i = 0; i < edges.length; ++i) {
+    const edge = edges[i];
+    edge.splits.sort(compareSplits);
+    let start = edge.start;
+    for (let j = 0; j < edge.splits.length; ++j) {
+      const vertex = edge.splits[j].vertex;
+      if (vertex !== start) {
+        result.push({ start: start, end: vertex });
+        start = vertex;
+      }
+    }
+    if (start !== edge.end) {
+      result.push({ start: start, end: edge.end });
+    }
+  }
+  return result;
+}
+
+function getEdgeKey(edge) {
+  return edge.start < edge.end
+    ? `${edge.start},${edge.end}`
+    : `${edge.end},${edge.start}`;
+}
+
+const midpointScratch = new Cartesian2();
+
+function computeMidpoint(left, right, result) {
+  result.x = (left.x + right.x) * 0.5;
+  result.y = (left.y + right.y) * 0.5;
+  return result;
+}
+
+function isEdgeInside(graph, edge, rings) {
+  const midpoint = computeMidpoint(
+    graph.points[edge.start],
+    graph.points[edge.end],
+    midpointScratch
+  );
+  return PolygonPipeline.isInsideRings2D(rings, midpoint);
+}
+
+// Selects the edges of the result, which are the edges of each polygon inside or outside the other polygon, and
+// the edges that the polygons share in the same or in opposite directions.
+function selectEdges(
+  graph,
+  leftEdges,
+  rightEdges,
+  leftRings,
+  rightRings,
+  operation
+) {
+  const BooleanOperation = PolygonPipeline.BooleanOperation;
+  const rightEdgesByKey = new Map();
+  for (let i = 0; i < rightEdges.length; ++i) {
+    rightEdgesByKey.set(getEdgeKey(rightEdges[i]), rightEdges[i]);
+  }
+
+  const edges = [];
+  const sharedEdges = new Set();
+  for (let i = 0; i < leftEdges.length; ++i) {
+    const edge = leftEdges[i];
+    const rightEdge = rightEdgesByKey.get(getEdgeKey(edge));
+    if (defined(rightEdge)) {
+      sharedEdges.add(rightEdge);
+      const sameDirection = rightEdge.start === edge.start;
+      if (sameDirection === (operation !== BooleanOperation.DIFFERENCE)) {
+        edges.push(edge);
+      }
+      continue;
+    }
+
+    const inside = isEdgeInside(graph, edge, rightRings);
+    if (inside === (operation === BooleanOperation.INTERSECTION)) {
+      edges.push(edge);
+    }
+  }
+
+  for (let i = 0; i < rightEdges.length; ++i) {
+    const edge = rightEdges[i];
+    if (sharedEdges.has(edge)) {
+      continue;
+    }
+
+    const inside = isEdgeInside(graph, edge, leftRings);
+    if (operation === BooleanOperation.UNION && !inside) {
+      edges.push(edge);
+    } else if (operation === BooleanOperation.INTERSECTION && inside) {
+      edges.push(edge);
+    } else if (operation === BooleanOperation.DIFFERENCE && inside) {
+      // The edges of the subtracted polygon become holes, so their direction is reversed
+      edges.push({ start: edge.end, end: edge.start });
+    }
+  }
+  return edges;
+}
+
+function computeTurn(points, from, vertex, to) {
+  const p0 = points[from];
+  const p1 = points[vertex];
+  const p2 = points[to];
+  const x0 = p1.x - p0.x;
+  const y0 = p1.y - p0.y;
+  const x1 = p2.x - p1.x;
+  const y1 = p2.y - p1.y;
+  return Math.atan2(x0 * y1 - y0 * x1, x0 * x1 + y0 * y1);
+}
+
+function linkEdges(graph, edges) {
+  const points = graph.points;
+  const outgoing = new Map();
+  for (let i = 0; i < edges.length; ++i) {
+    let list = outgoing.get(edges[i].start);
+    if (!defined(list)) {
+      list = [];
+      outgoing.set(edges[i].start, list);
+    }
+    list.push(i);
+  }
+
+  const used = new Uint8Array(edges.length);
+  const rings = [];
+  for (let i = 0; i < edges.length; ++i) {
+    if (used[i]) {
+      continue;
+    }
+
+    const ring = [];
+    let current = i;
+    let last;
+    while (defined(current)) {
+      used[current] = 1;
+      last = edges[current];
+      ring.push(last.start);
+
+      // Where several edges continue from a vertex, take the one turning furthest to the left
+      const candidates = outgoing.get(last.end);
+      let next;
+      let nextTurn = Number.NEGATIVE_INFINITY;
+      for (let j = 0; j < candidates.length; ++j) {
+        const candidate = candidates[j];
+        if (used[candidate]) {
+          continue;
+        }
+        const turn = computeTurn(
+          points,
+          last.start,
+          last.end,
+          edges[candidate].end
+        );
+        if (turn > nextTurn) {
+          next = candidate;
+          nextTurn = turn;
+        }
+      }
+      current = next;
+    }
+
+    if (last.end === ring[0]) {
+      splitRing(ring, rings);
+    }
+  }
+  return rings;
+}
+
+// Rings that touch themselves at a vertex are split into simple rings
+function splitRing(ring, rings) {
+  const stack = [];
+  const stackIndices = new Map();
+  for (let i = 0; i < ring.length; ++i) {
+    const vertex = ring[i];
+    const index = stackIndices.get(vertex);
+    if (defined(index)) {
+      const loop = stack.splice(index);
+      for (let j = 0; j < loop.length; ++j) {
+        stackIndices.delete(loop[j]);
+      }
+      rings.push(loop);
+    }
+    stackIndices.set(vertex, stack.length);
+    stack.push(vertex);
+  }
+  rings.push(stack);
+}
+
+// Vertices within a centimeter of the line through their neighbors are removed. Lines of constant latitude are not
+// geodesics, so polygons that share an edge along one leave a vertex where the edge ends that is barely off the line.
+const collinearTolerance = CesiumMath.EPSILON2;
+
+function removeCollinearVertices(graph, ring) {
+  const points = graph.points;
+  const tolerance = Math.max(graph.tolerance, collinearTolerance);
+  let i = 0;
+  while (ring.length >= 3 && i < ring.length) {
+    const p0 = points[ring[(i + ring.length - 1) % ring.length]];
+    const p1 = points[ring[i]];
+    const p2 = points[ring[(i + 1) % ring.length]];
+    const cross = (p1.x - p0.x) * (p2.y - p1.y) - (p1.y - p0.y) * (p2.x - p1.x);
+    if (Math.abs(cross) <= tolerance * Cartesian2.distance(p0, p2)) {
+      ring.splice(i, 1);
+      i = Math.max(i - 1, 0);
+    } else {
+      ++i;
+    }
+  }
+  return ring;
+}
+
+function createGraph(rings) {
+  let scale = 1.0;
+  for (let i = 0; i < rings.length; ++i) {
+    for (let j = 0; j < rings[i].length; ++j) {
+      const point = rings[i][j];
+      scale = Math.max(scale, Math.abs(point.x), Math.abs(point.y));
+    }
+  }
+
+  return {
+    points: [],
+    indices: new Map(),
+    tolerance: scale * CesiumMath.EPSILON10,
+  };
+}
+
+function assemblePolygons(graph, edges) {
+  const rings = linkEdges(graph, edges);
+
+  const outers = [];
+  const holes = [];
+  for (let i = 0; i < rings.length; ++i) {
+    const ring = removeCollinearVertices(graph, rings[i]);
+    if (ring.length < 3) {
+      continue;
+    }
+    const points = ring.map(function (index) {
+      return graph.points[index];
+    });
+    const area = PolygonPipeline.computeArea2D(points);
+    if (area > 0.0) {
+      outers.push({
+        points: points,
+        area: area,
+        holes: [],
+      });
+    } else if (area < 0.0) {
+      holes.push(points);
+    }
+  }
+
+  // Each hole belongs to the smallest outer boundary around it
+  for (let i = 0; i < holes.length; ++i) {
+    const hole = holes[i];
+    const point = computeMidpoint(hole[0], hole[1], midpointScratch);
+    let outer;
+    for (let j = 0; j < outers.length; ++j) {
+      if (
+        (!defined(outer) || outers[j].area < outer.area) &&
+        PolygonPipeline.isInsideRings2D([outers[j].points], point)
+      ) {
+        outer = outers[j];
+      }
+    }
+    if (defined(outer)) {
+      outer.holes.push(hole);
+    }
+  }
+  return outers;
+}
+
+function computeBooleanOperation2D(leftRings, rightRings, operation) {
+  const graph = createGraph(leftRings.concat(rightRings));
+  let leftEdges = [];
+  let rightEdges = [];
+  for (let i = 0; i < leftRings.length; ++i) {
+    addRingEdges(graph, leftRings[i], leftEdges);
+  }
+  for (let i = 0; i < rightRings.length; ++i) {
+    addRingEdges(graph, rightRings[i], rightEdges);
+  }
+
+  for (let i = 0; i < leftEdges.length; ++i) {
+    for (let j = 0; j < rightEdges.length; ++j) {
+      intersectEdges(graph, leftEdges[i], rightEdges[j]);
+    }
+  }
+  leftEdges = splitEdges(leftEdges);
+  rightEdges = splitEdges(rightEdges);
+
+  const edges = selectEdges(
+    graph,
+    leftEdges,
+    rightEdges,
+    leftRings,
+    rightRings,
+    operation
+  );
+  return assemblePolygons(graph, edges);
+}
+
+function computeWindingNumber(rings, point) {
+  let windingNumber = 0;
+  for (let i = 0; i < rings.length; ++i) {
+    const ring = rings[i];
+    for (let j = 0, k = ring.length - 1; j < ring.length; k = j++) {
+      const p0 = ring[k];
+      const p1 = ring[j];
+      const side =
+        (p1.x - p0.x) * (point.y - p0.y) - (point.x - p0.x) * (p1.y - p0.y);
+      if (p0.y <= point.y) {
+        if (p1.y > point.y && side > 0.0) {
+          ++windingNumber;
+        }
+      } else if (p1.y <= point.y && side < 0.0) {
+        --windingNumber;
+      }
+    }
+  }
+  return windingNumber;
+}
+
+const unionLeftScratch = new Cartesian2();
+const unionRightScratch = new Cartesian2();
+
+// The union of polygons that may overlap each other is bounded by the edges with the inside of a polygon to their
+// left and the outside of all polygons to their right
+function computeUnion2D(rings) {
+  const graph = createGraph(rings);
+  let edges = [];
+  for (let i = 0; i < rings.length; ++i) {
+    addRingEdges(graph, rings[i], edges);
+  }
+  for (let i = 0; i < edges.length; ++i) {
+    for (let j = i + 1; j < edges.length; ++j) {
+      intersectEdges(graph, edges[i], edges[j]);
+    }
+  }
+  edges = splitEdges(edges);
+
+  const points = graph.points;
+  const offset = 10.0 * graph.tolerance;
+  const selected = [];
+  const selectedKeys = new Set();
+  for (let i = 0; i < edges.length; ++i) {
+    const edge = edges[i];
+    const key = `${edge.start},${edge.end}`;
+    if (selectedKeys.has(key)) {
+      continue;
+    }
+
+    const start = points[edge.start];
+    const end = points[edge.end];
+    const length = Cartesian2.distance(start, end);
+    const normalX = (-(end.y - start.y) / length) * offset;
+    const normalY = ((end.x - start.x) / length) * offset;
+    const midpoint = computeMidpoint(start, end, midpointScratch);
+    unionLeftScratch.x = midpoint.x + normalX;
+    unionLeftScratch.y = midpoint.y + normalY;
+    unionRightScratch.x = midpoint.x - normalX;
+    unionRightScratch.y = midpoint.y - normalY;
+    if (
+      computeWindingNumber(rings, unionLeftScratch) > 0 &&
+      computeWindingNumber(rings, unionRightScratch) <= 0
+    ) {
+      selected.push(edge);
+      selectedKeys.add(key);
+    }
+  }
+  return assemblePolygons(graph, selected);
+}
+
+function unprojectPolygons(tangentPlane, polygons) {
+  return polygons.map(function (polygon) {
+    return {
+      positions: tangentPlane.projectPointsOntoEllipsoid(polygon.points),
+      holes: polygon.holes.map(function (hole) {
+        return tangentPlane.projectPointsOntoEllipsoid(hole);
+      }),
+    };
+  });
+}
+
+/**
+ * Computes the union, intersection or difference of polygons on an ellipsoid. The edges of the polygons follow
+ * the same paths on the ellipsoid as the edges of a {@link PolygonGeometry} with {@link ArcType.GEODESIC}.
+ *
+ * @param {PolygonPipeline.BooleanOperation} operation The operation.
+ * @param {PolygonHierarchy[]} left The polygons to compute the union or intersection with, or to subtract from. The polygons must not overlap each other.
+ * @param {PolygonHierarchy[]} right The other polygons. The polygons must not overlap each other.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {object[]} The resulting polygons, as objects with the <code>positions</code> of the outer boundary and an array of the positions of each of its <code>holes</code>, on the surface of the ellipsoid.
+ *
+ * @exception {RuntimeError} The positions of the polygons must be within a hemisphere.
+ */
+PolygonPipeline.computeBooleanOperation = function (
+  operation,
+  left,
+  right,
+  ellipsoid
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("operation", operation);
+  Check.defined("left", left);
+  Check.defined("right", right);
+  //>>includeEnd('debug');
+
+  ellipsoid = defaultValue(ellipsoid, Ellipsoid.WGS84);
+  const leftRings = flattenHierarchies(left, 0, []);
+  const rightRings = flattenHierarchies(right, 0, []);
+  if (leftRings.length === 0 && rightRings.length === 0) {
+    return [];
+  }
+
+  const tangentPlane = createTangentPlane(
+    leftRings.concat(rightRings),
+    ellipsoid
+  );
+  const polygons = computeBooleanOperation2D(
+    projectRings(tangentPlane, leftRings),
+    projectRings(tangentPlane, rightRings),
+    operation
+  );
+
+  return unprojectPolygons(tangentPlane, polygons);
+};
+
+/**
+ * Computes the union of polygons on an ellipsoid that may overlap each other. The edges of the polygons follow
+ * the same paths on the ellipsoid as the edges of a {@link PolygonGeometry} with {@link ArcType.GEODESIC}.
+ *
+ * @param {PolygonHierarchy[]} hierarchies The polygons.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {object[]} The resulting polygons, as objects with the <code>positions</code> of the outer boundary and an array of the positions of each of its <code>holes</code>, on the surface of the ellipsoid.
+ *
+ * @exception {RuntimeError} The positions of the polygons must be within a hemisphere.
+ */
+PolygonPipeline.computeUnion = function (hierarchies, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("hierarchies", hierarchies);
+  //>>includeEnd('debug');
+
+  ellipsoid = defaultValue(ellipsoid, Ellipsoid.WGS84);
+  const rings = flattenHierarchies(hierarchies, 0, []);
+  if (rings.length === 0) {
+    return [];
+  }
+
+  const tangentPlane = createTangentPlane(rings, ellipsoid);
+  const polygons = computeUnion2D(projectRings(tangentPlane, rings));
+  return unprojectPolygons(tangentPlane, polygons);
+};
+
+/**
+ * Determines if a position is inside a polygon on an ellipsoid, and not inside one of its holes.
+ *
+ * @param {PolygonHierarchy} hierarchy The polygon.
+ * @param {Cartesian3} position The position.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {boolean} <code>true</code> if the position is inside the polygon.
+ *
+ * @exception {RuntimeError} The positions of the polygons must be within a hemisphere.
+ */
+PolygonPipeline.containsPosition = function (hierarchy, position, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("hierarchy", hierarchy);
+  Check.typeOf.object("position", position);
+  //>>includeEnd('debug');
+
+  ellipsoid = defaultValue(ellipsoid, Ellipsoid.WGS84);
+  const rings = flattenHierarchies([hierarchy], 0, []);
+  if (rings.length === 0) {
+    return false;
+  }
+
+  const tangentPlane = createTangentPlane(rings, ellipsoid);
+  if (!isInFrontOfPlane(tangentPlane, position)) {
+    return false;
+  }
+  return PolygonPipeline.isInsideRings2D(
+    projectRings(tangentPlane, rings),
+    tangentPlane.projectPointOntoPlane(position, midpointScratch)
+  );
+};
+
+// The authalic latitude maps the ellipsoid to a sphere with the same area, preserving areas
+function computeAuthalicQ(sinLatitude, eccentricity) {
+  if (eccentricity === 0.0) {
+    return 2.0 * sinLatitude;
+  }
+  const e = eccentricity * sinLatitude;
+  return (
+    (1.0 - eccentricity * eccentricity) *
+    (sinLatitude / (1.0 - e * e) -
+      Math.log((1.0 - e) / (1.0 + e)) / (2.0 * eccentricity))
+  );
+}
+
+const areaCartographicScratch = new Cartographic();
+const areaV1Scratch = new Cartesian3();
+const areaV2Scratch = new Cartesian3();
+const areaCrossScratch = new Cartesian3();
+
+/**
+ * Computes the area of a polygon on an ellipsoid, excluding the area of its holes. The positions are mapped to the
+ * authalic sphere, which has the same area as the ellipsoid, and the area is the sum of the spherical excesses of a
+ * fan of triangles.
+ *
+ * @param {PolygonHierarchy} hierarchy The polygon.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {number} The area in square meters.
+ */
+PolygonPipeline.computeGeodesicArea = function (hierarchy, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("hierarchy", hierarchy);
+  //>>includeEnd('debug');
+
+  ellipsoid = defaultValue(ellipsoid, Ellipsoid.WGS84);
+  const a = ellipsoid.radii.x;
+  const b = ellipsoid.radii.z;
+  const eccentricity = a > b ? Math.sqrt(1.0 - (b * b) / (a * a)) : 0.0;
+  const qPole = computeAuthalicQ(1.0, eccentricity);
+  const radiusSquared = (a * a * qPole) / 2.0;
+
+  const rings = flattenHierarchies([hierarchy], 0, []);
+  let area = 0.0;
+  for (let i = 0; i < rings.length; ++i) {
+    const vectors = [];
+    const positions = rings[i].positions;
+    for (let j = 0; j < positions.length; ++j) {
+      const cartographic = ellipsoid.cartesianToCartographic(
+        positions[j],
+        areaCartographicScratch
+      );
+      if (!defined(cartographic)) {
+        continue;
+      }
+      const authalicLatitude = Math.asin(
+        CesiumMath.clamp(
+          computeAuthalicQ(Math.sin(cartographic.latitude), eccentricity) /
+            qPole,
+          -1.0,
+          1.0
+        )
+      );
+      const cosLatitude = Math.cos(authalicLatitude);
+      vectors.push(
+        new Cartesian3(
+          cosLatitude * Math.cos(cartographic.longitude),
+          cosLatitude * Math.sin(cartographic.longitude),
+          Math.sin(authalicLatitude)
+        )
+      );
+    }
+
+    let excess = 0.0;
+    const v0 = vectors[0];
+    for (let j = 1; j < vectors.length - 1; ++j) {
+      const v1 = Cartesian3.clone(vectors[j], areaV1Scratch);
+      const v2 = Cartesian3.clone(vectors[j + 1], areaV2Scratch);
+      const tripleProduct = Cartesian3.dot(
+        v0,
+        Cartesian3.cross(v1, v2, areaCrossScratch)
+      );
+      excess +=
+        2.0 *
+        Math.atan2(
+          tripleProduct,
+          1.0 +
+            Cartesian3.dot(v0, v1) +
+            Cartesian3.dot(v1, v2) +
+            Cartesian3.dot(v2, v0)
+        );
+    }
+
+    const ringArea = Math.abs(excess) * radiusSquared;
+    area += rings[i].depth % 2 === 0 ? ringArea : -ringArea;
+  }
+  return area;
+};
+
 export default PolygonPipeline;
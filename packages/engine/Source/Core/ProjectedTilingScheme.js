@@ -0,0 +1,442 @@
+import Cartesian2 from "./Cartesian2.js";
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+
+/**
+ * A tiling scheme for geometry referenced to any {@link MapProjection}, such as a
+ * {@link TransverseMercatorProjection} or a {@link LambertConformalConicProjection}, which tiles a rectangle of
+ * easting and northing in meters.
+ * <p>
+ * The cartographic rectangle of a tile bounds its projected rectangle, which is found by sampling the edges of the
+ * tile. Imagery in this tiling scheme is drawn over the cartographic rectangles of its tiles without being
+ * reprojected, so it is only placed accurately where the meridians of the projection are nearly parallel straight
+ * lines, such as near the central meridian of a {@link TransverseMercatorProjection}.
+ * </p>
+ *
+ * @alias ProjectedTilingScheme
+ * @constructor
+ *
+ * @param {object} options Object with the following properties:
+ * @param {MapProjection} options.projection The map projection of the tiles.
+ * @param {Cartesian2} options.rectangleSouthwestInMeters The southwest corner of the rectangle covered by the
+ *        tiling scheme, in meters.
+ * @param {Cartesian2} options.rectangleNortheastInMeters The northeast corner of the rectangle covered by the
+ *        tiling scheme, in meters.
+ * @param {Ellipsoid} [options.ellipsoid=options.projection.ellipsoid] The ellipsoid whose surface is being tiled.
+ * @param {number} [options.numberOfLevelZeroTilesX=1] The number of tiles in the X direction at level zero of
+ *        the tile tree.
+ * @param {number} [options.numberOfLevelZeroTilesY=1] The number of tiles in the Y direction at level zero of
+ *        the tile tree.
+ *
+ * @see ProjectionRegistry
+ *
+ * @example
+ * // Tiles of a WMTS in ETRS89 / UTM zone 32N, EPSG:25832
+ * const tilingScheme = new Cesium.ProjectedTilingScheme({
+ *   projection: Cesium.ProjectionRegistry.get("EPSG:25832"),
+ *   rectangleSouthwestInMeters: new Cesium.Cartesian2(-46133.17, 5048875.27),
+ *   rectangleNortheastInMeters: new Cesium.Cartesian2(1206211.10, 6301219.54),
+ * });
+ */
+function ProjectedTilingScheme(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.projection", options.projection);
+  Check.typeOf.object(
+    "options.rectangleSouthwestInMeters",
+    options.rectangleSouthwestInMeters
+  );
+  Check.typeOf.object(
+    "options.rectangleNortheastInMeters",
+    options.rectangleNortheastInMeters
+  );
+  //>>includeEnd('debug');
+
+  this._projection = options.projection;
+  this._ellipsoid = defaultValue(options.ellipsoid, this._projection.ellipsoid);
+  this._numberOfLevelZeroTilesX = defaultValue(
+    options.numberOfLevelZeroTilesX,
+    1
+  );
+  this._numberOfLevelZeroTilesY = defaultValue(
+    options.numberOfLevelZeroTilesY,
+    1
+  );
+  this._rectangleSouthwestInMeters = Cartesian2.clone(
+    options.rectangleSouthwestInMeters
+  );
+  this._rectangleNortheastInMeters = Cartesian2.clone(
+    options.rectangleNortheastInMeters
+  );
+  this._nativeRectangle = new Rectangle(
+    this._rectangleSouthwestInMeters.x,
+    this._rectangleSouthwestInMeters.y,
+    this._rectangleNortheastInMeters.x,
+    this._rectangleNortheastInMeters.y
+  );
+  this._rectangle = nativeRectangleToRectangle(
+    this._projection,
+    this._nativeRectangle,
+    new Rectangle()
+  );
+}
+
+Object.defineProperties(ProjectedTilingScheme.prototype, {
+  /**
+   * Gets the ellipsoid that is tiled by this tiling scheme.
+   * @memberof ProjectedTilingScheme.prototype
+   * @type {Ellipsoid}
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, covered by this tiling scheme.
+   * @memberof ProjectedTilingScheme.prototype
+   * @type {Rectangle}
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the map projection used by this tiling scheme.
+   * @memberof ProjectedTilingScheme.prototype
+   * @type {MapProjection}
+   */
+  projection: {
+    get: function () {
+      return this._projection;
+    },
+  },
+});
+
+// The number of points sampled along each edge of a rectangle when transforming it
+const samplesPerEdge = 8;
+
+const scratchCartesian = new Cartesian3();
+const scratchCartographic = new Cartographic();
+
+function nativeRectangleToRectangle(projection, nativeRectangle, result) {
+  let referenceLongitude;
+  let minimumLongitude = Number.POSITIVE_INFINITY;
+  let maximumLongitude = Number.NEGATIVE_INFINITY;
+  let south = Number.POSITIVE_INFINITY;
+  let north = Number.NEGATIVE_INFINITY;
+
+  const width = nativeRectangle.east - nativeRectangle.west;
+  const height = nativeRectangle.north - nativeRectangle.south;
+  for (let i = 0; i < samplesPerEdge * 4; ++i) {
+    const edge = Math.floor(i / samplesPerEdge);
+    const fraction = (i % samplesPerEdge) / samplesPerEdge;
+    let x = nativeRectangle.west;
+    let y = nativeRectangle.south;
+    if (edge === 0) {
+      x += fraction * width;
+    } else if (edge === 1) {
+      x += width;
+      y += fraction * height;
+    } else if (edge === 2) {
+      x += (1.0 - fraction) * width;
+      y += height;
+    } else {
+      y += (1.0 - fraction) * height;
+    }
+
+    const cartographic = projection.unproject(
+      Cartesian3.fromElements(x, y, 0.0, scratchCartesian),
+      scratchCartographic
+    );
+
+    // Longitudes are unwrapped around the first sample so that rectangles crossing the antimeridian are bounded
+    if (!defined(referenceLongitude)) {
+      referenceLongitude = cartographic.longitude;
+    }
+    const longitude = CesiumMath.negativePiToPi(
+      cartographic.longitude - referenceLongitude
+    );
+    minimumLongitude = Math.min(minimumLongitude, longitude);
+    maximumLongitude = Math.max(maximumLongitude, longitude);
+    south = Math.min(south, cartographic.latitude);
+    north = Math.max(north, cartographic.latitude);
+  }
+
+  let west = CesiumMath.negativePiToPi(referenceLongitude + minimumLongitude);
+  let east = CesiumMath.negativePiToPi(referenceLongitude + maximumLongitude);
+
+  // The meridians meet at a pole inside the rectangle
+  const northPole = Cartographic.fromRadians(
+    0.0,
+    CesiumMath.PI_OVER_TWO,
+    0.0,
+    scratchCartographic
+  );
+  if (containsNative(nativeRectangle, projection.project(northPole))) {
+    west = -CesiumMath.PI;
+    east = CesiumMath.PI;
+    north = CesiumMath.PI_OVER_TWO;
+  }
+  const southPole = Cartographic.fromRadians(
+    0.0,
+    -CesiumMath.PI_OVER_TWO,
+    0.0,
+    scratchCartographic
+  );
+  if (containsNative(nativeRectangle, projection.project(southPole))) {
+    west = -CesiumMath.PI;
+    east = CesiumMath.PI;
+    south = -CesiumMath.PI_OVER_TWO;
+  }
+
+  if (!defined(result)) {
+    return new Rectangle(west, south, east, north);
+  }
+
+  result.west = west;
+  result.south = south;
+  result.east = east;
+  result.north = north;
+  return result;
+}
+
+function containsNative(nativeRectangle, position) {
+  return (
+    position.x >= nativeRectangle.west &&
+    position.x <= nativeRectangle.east &&
+    position.y >= nativeRectangle.south &&
+    position.y <= nativeRectangle.north
+  );
+}
+
+/**
+ * Gets the total number of tiles in the X direction at a specified level-of-detail.
+ *
+ * @param {number} level The level-of-detail.
+ * @returns {number} The number of tiles in the X direction at the given level.
+ */
+ProjectedTilingScheme.prototype.getNumberOfXTilesAtLevel = function (level) {
+  return this._numberOfLevelZeroTilesX << level;
+};
+
+/**
+ * Gets the total number of tiles in the Y direction at a specified level-of-detail.
+ *
+ * @param {number} level The level-of-detail.
+ * @returns {number} The number of tiles in the Y direction at the given level.
+ */
+ProjectedTilingScheme.prototype.getNumberOfYTilesAtLevel = function (level) {
+  return this._numberOfLevelZeroTilesY << level;
+};
+
+/**
+ * Transforms a rectangle specified in geodetic radians to the native coordinate system
+ * of this tiling scheme.  The native rectangle bounds the projected edges of the rectangle.
+ *
+ * @param {Rectangle} rectangle The rectangle to transform.
+ * @param {Rectangle} [result] The instance to which to copy the result, or undefined if a new instance
+ *        should be created.
+ * @returns {Rectangle} The specified 'result', or a new object containing the native rectangle if 'result'
+ *          is undefined.
+ */
+ProjectedTilingScheme.prototype.rectangleToNativeRectangle = function (
+  rectangle,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("rectangle", rectangle);
+  //>>includeEnd('debug');
+
+  const projection = this._projection;
+  const width = rectangle.width;
+  const height = rectangle.height;
+
+  let west = Number.POSITIVE_INFINITY;
+  let south = Number.POSITIVE_INFINITY;
+  let east = Number.NEGATIVE_INFINITY;
+  let north = Number.NEGATIVE_INFINITY;
+  for (let i = 0; i < samplesPerEdge * 4; ++i) {
+    const edge = Math.floor(i / samplesPerEdge);
+    const fraction = (i % samplesPerEdge) / samplesPerEdge;
+    let longitude = rectangle.west;
+    let latitude = rectangle.south;
+    if (edge === 0) {
+      longitude += fraction * width;
+    } else if (edge === 1) {
+      longitude += width;
+      latitude += fraction * height;
+    } else if (edge === 2) {
+      longitude += (1.0 - fraction) * width;
+      latitude += height;
+    } else {
+      latitude += (1.0 - fraction) * height;
+    }
+
+    const position = projection.project(
+      Cartographic.fromRadians(
+        CesiumMath.negativePiToPi(longitude),
+        latitude,
+        0.0,
+        scratchCartographic
+      ),
+      scratchCartesian
+    );
+    west = Math.min(west, position.x);
+    south = Math.min(south, position.y);
+    east = Math.max(east, position.x);
+    north = Math.max(north, position.y);
+  }
+
+  if (!defined(result)) {
+    return new Rectangle(west, south, east, north);
+  }
+
+  result.west = west;
+  result.south = south;
+  result.east = east;
+  result.north = north;
+  return result;
+};
+
+/**
+ * Converts tile x, y coordinates and level to a rectangle expressed in the native coordinates
+ * of the tiling scheme.
+ *
+ * @param {number} x The integer x coordinate of the tile.
+ * @param {number} y The integer y coordinate of the tile.
+ * @param {number} level The tile level-of-detail.  Zero is the least detailed.
+ * @param {object} [result] The instance to which to copy the result, or undefined if a new instance
+ *        should be created.
+ * @returns {Rectangle} The specified 'result', or a new object containing the rectangle
+ *          if 'result' is undefined.
+ */
+ProjectedTilingScheme.prototype.tileXYToNativeRectangle = function (
+  x,
+  y,
+  level,
+  result
+) {
+  const xTiles = this.getNumberOfXTilesAtLevel(level);
+  const yTiles = this.getNumberOfYTilesAtLevel(level);
+
+  const xTileWidth =
+    (this._rectangleNortheastInMeters.x - this._rectangleSouthwestInMeters.x) /
+    xTiles;
+  const west = this._rectangleSouthwestInMeters.x + x * xTileWidth;
+  const east = this._rectangleSouthwestInMeters.x + (x + 1) * xTileWidth;
+
+  const yTileHeight =
+    (this._rectangleNortheastInMeters.y - this._rectangleSouthwestInMeters.y) /
+    yTiles;
+  const north = this._rectangleNortheastInMeters.y - y * yTileHeight;
+  const south = this._rectangleNortheastInMeters.y - (y + 1) * yTileHeight;
+
+  if (!defined(result)) {
+    return new Rectangle(west, south, east, north);
+  }
+
+  result.west = west;
+  result.south = south;
+  result.east = east;
+  result.north = north;
+  return result;
+};
+
+/**
+ * Converts tile x, y coordinates and level to a cartographic rectangle in radians.  The rectangle bounds
+ * the unprojected edges of the tile.
+ *
+ * @param {number} x The integer x coordinate of the tile.
+ * @param {number} y The integer y coordinate of the tile.
+ * @param {number} level The tile level-of-detail.  Zero is the least detailed.
+ * @param {object} [result] The instance to which to copy the result, or undefined if a new instance
+ *        should be created.
+ * @returns {Rectangle} The specified 'result', or a new object containing the rectangle
+ *          if 'result' is undefined.
+ */
+ProjectedTilingScheme.prototype.tileXYToRectangle = function (
+  x,
+  y,
+  level,
+  result
+) {
+  const nativeRectangle = this.tileXYToNativeRectangle(x, y, level, result);
+  return nativeRectangleToRectangle(
+    this._projection,
+    nativeRectangle,
+    nativeRectangle
+  );
+};
+
+/**
+ * Calculates the tile x, y coordinates of the tile containing
+ * a given cartographic position.
+ *
+ * @param {Cartographic} position The position.
+ * @param {number} level The tile level-of-detail.  Zero is the least detailed.
+ * @param {Cartesian2} [result] The instance to which to copy the result, or undefined if a new instance
+ *        should be created.
+ * @returns {Cartesian2} The specified 'result', or a new object containing the tile x, y coordinates
+ *          if 'result' is undefined.
+ */
+ProjectedTilingScheme.prototype.positionToTileXY = function (
+  position,
+  level,
+  result
+) {
+  if (!Rectangle.contains(this._rectangle, position)) {
+    // outside the bounds of the tiling scheme
+    return undefined;
+  }
+
+  const projectedPosition = this._projection.project(
+    position,
+    scratchCartesian
+  );
+  if (!containsNative(this._nativeRectangle, projectedPosition)) {
+    return undefined;
+  }
+
+  const xTiles = this.getNumberOfXTilesAtLevel(level);
+  const yTiles = this.getNumberOfYTilesAtLevel(level);
+
+  const overallWidth =
+    this._rectangleNortheastInMeters.x - this._rectangleSouthwestInMeters.x;
+  const xTileWidth = overallWidth / xTiles;
+  const overallHeight =
+    this._rectangleNortheastInMeters.y - this._rectangleSouthwestInMeters.y;
+  const yTileHeight = overallHeight / yTiles;
+
+  const distanceFromWest =
+    projectedPosition.x - this._rectangleSouthwestInMeters.x;
+  const distanceFromNorth =
+    this._rectangleNortheastInMeters.y - projectedPosition.y;
+
+  let xTileCoordinate = (distanceFromWest / xTileWidth) | 0;
+  if (xTileCoordinate >= xTiles) {
+    xTileCoordinate = xTiles - 1;
+  }
+  let yTileCoordinate = (distanceFromNorth / yTileHeight) | 0;
+  if (yTileCoordinate >= yTiles) {
+    yTileCoordinate = yTiles - 1;
+  }
+
+  if (!defined(result)) {
+    return new Cartesian2(xTileCoordinate, yTileCoordinate);
+  }
+
+  result.x = xTileCoordinate;
+  result.y = yTileCoordinate;
+  return result;
+};
+export default ProjectedTilingScheme;
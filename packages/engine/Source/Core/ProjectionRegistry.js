@@ -0,0 +1,363 @@
+import Check from "./Check.js";
+import defined from "./defined.js";
+import Ellipsoid from "./Ellipsoid.js";
+import GeographicProjection from "./GeographicProjection.js";
+import LambertConformalConicProjection from "./LambertConformalConicProjection.js";
+import CesiumMath from "./Math.js";
+import MercatorProjection from "./MercatorProjection.js";
+import RuntimeError from "./RuntimeError.js";
+import TransverseMercatorProjection from "./TransverseMercatorProjection.js";
+import WebMercatorProjection from "./WebMercatorProjection.js";
+
+// The semimajor axis and inverse flattening of the ellipsoids that can be named with +ellps
+const ellipsoids = {
+  WGS84: [6378137.0, 298.257223563],
+  GRS80: [6378137.0, 298.257222101],
+  intl: [6378388.0, 297.0],
+  bessel: [6377397.155, 299.1528128],
+  clrk66: [6378206.4, 294.9786982],
+  clrk80: [6378249.145, 293.4663],
+  airy: [6377563.396, 299.3249646],
+  krass: [6378245.0, 298.3],
+};
+
+// The ellipsoids of the datums that can be named with +datum. Datum shifts are not applied.
+const datums = {
+  WGS84: "WGS84",
+  NAD83: "GRS80",
+  NAD27: "clrk66",
+  OSGB36: "airy",
+  potsdam: "bessel",
+};
+
+const projections = new Map();
+
+/**
+ * A registry of the {@link MapProjection} of coordinate reference systems by name, such as <code>EPSG:32633</code>.
+ * Projections can be added from proj-style definitions like <code>+proj=utm +zone=33 +ellps=WGS84</code>, and
+ * projected coordinates of {@link GeoJsonDataSource} are converted with the projection of the name of their
+ * coordinate reference system.
+ * <p>
+ * The projection families <code>tmerc</code> and <code>utm</code> ({@link TransverseMercatorProjection}),
+ * <code>lcc</code> ({@link LambertConformalConicProjection}), <code>merc</code> ({@link MercatorProjection}) and
+ * <code>longlat</code> ({@link GeographicProjection}) are supported, with the ellipsoid given by <code>+ellps</code>,
+ * <code>+datum</code>, <code>+a</code>, <code>+b</code>, <code>+rf</code> or <code>+R</code>, and coordinates in meters.
+ * Datum shifts such as <code>+towgs84</code> and <code>+nadgrids</code> are not applied, so longitudes and latitudes
+ * are taken to be on the WGS84 datum.
+ * </p>
+ * <p>
+ * EPSG:4326, EPSG:3857 and the UTM zones of WGS84 (EPSG:32601 to EPSG:32660 and EPSG:32701 to EPSG:32760) and of
+ * ETRS89 (EPSG:25828 to EPSG:25838) are available without being added.
+ * </p>
+ *
+ * @namespace ProjectionRegistry
+ *
+ * @example
+ * // Load GeoJSON with coordinates in the French Lambert-93 grid
+ * Cesium.ProjectionRegistry.add(
+ *   "EPSG:2154",
+ *   "+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +units=m +no_defs"
+ * );
+ * const dataSource = await Cesium.GeoJsonDataSource.load("parcels.geojson");
+ */
+const ProjectionRegistry = {};
+
+function parseDefinition(definition) {
+  const parameters = {};
+  const tokens = definition.trim().split(/\s+/);
+  for (let i = 0; i < tokens.length; ++i) {
+    const token = tokens[i].replace(/^\+/, "");
+    if (token.length === 0) {
+      continue;
+    }
+    const separator = token.indexOf("=");
+    if (separator === -1) {
+      parameters[token] = true;
+    } else {
+      parameters[token.substring(0, separator)] = token.substring(
+        separator + 1
+      );
+    }
+  }
+  return parameters;
+}
+
+function getNumber(parameters, name, defaultNumber) {
+  const value = parameters[name];
+  if (!defined(value)) {
+    return defaultNumber;
+  }
+  const number = Number(value);
+  if (value === true || isNaN(number)) {
+    throw new RuntimeError(`Invalid value of +${name}: ${value}`);
+  }
+  return number;
+}
+
+function getAngle(parameters, name) {
+  return CesiumMath.toRadians(getNumber(parameters, name, 0.0));
+}
+
+function createEllipsoid(parameters) {
+  let semimajorAxis;
+  let semiminorAxis;
+  if (defined(parameters.R)) {
+    semimajorAxis = getNumber(parameters, "R");
+    semiminorAxis = semimajorAxis;
+  } else {
+    let name = parameters.ellps;
+    if (!defined(name) && defined(parameters.datum)) {
+      name = datums[parameters.datum];
+      if (!defined(name)) {
+        throw new RuntimeError(`Unsupported datum: ${parameters.datum}`);
+      }
+    }
+    name = defined(name) ? name : "WGS84";
+    const ellipsoid = ellipsoids[name];
+    if (!defined(ellipsoid)) {
+      throw new RuntimeError(`Unsupported ellipsoid: ${name}`);
+    }
+
+    semimajorAxis = getNumber(parameters, "a", ellipsoid[0]);
+    if (defined(parameters.b)) {
+      semiminorAxis = getNumber(parameters, "b");
+    } else {
+      let flattening = 1.0 / getNumber(parameters, "rf", ellipsoid[1]);
+      if (defined(parameters.f)) {
+        flattening = getNumber(parameters, "f");
+      } else if (defined(parameters.a) && !defined(parameters.rf)) {
+        // An ellipsoid given only by its semimajor axis is a sphere
+        flattening = 0.0;
+      }
+      semiminorAxis = semimajorAxis * (1.0 - flattening);
+    }
+  }
+
+  const wgs84 = Ellipsoid.WGS84.radii;
+  if (
+    CesiumMath.equalsEpsilon(semimajorAxis, wgs84.x, 0.0, 1.0e-6) &&
+    CesiumMath.equalsEpsilon(semiminorAxis, wgs84.z, 0.0, 1.0e-6)
+  ) {
+    return Ellipsoid.WGS84;
+  }
+  return new Ellipsoid(semimajorAxis, semimajorAxis, semiminorAxis);
+}
+
+function checkUnits(parameters) {
+  const units = parameters.units;
+  if (defined(units) && units !== "m") {
+    throw new RuntimeError(`Unsupported units: ${units}`);
+  }
+  if (getNumber(parameters, "to_meter", 1.0) !== 1.0) {
+    throw new RuntimeError(`Unsupported units: ${parameters.to_meter}`);
+  }
+  if (defined(parameters.axis) && parameters.axis !== "enu") {
+    throw new RuntimeError(`Unsupported axis order: ${parameters.axis}`);
+  }
+}
+
+function getCentralMeridian(parameters) {
+  let primeMeridian = 0.0;
+  if (defined(parameters.pm) && parameters.pm !== "greenwich") {
+    primeMeridian = getNumber(parameters, "pm");
+  }
+  return CesiumMath.toRadians(
+    getNumber(parameters, "lon_0", 0.0) + primeMeridian
+  );
+}
+
+/**
+ * Creates the {@link MapProjection} of a proj-style definition, such as
+ * <code>+proj=tmerc +lat_0=0 +lon_0=9 +k=0.9996 +x_0=500000 +y_0=0 +ellps=GRS80 +units=m</code>.
+ *
+ * @param {string} definition The definition.
+ * @returns {MapProjection} The projection.
+ *
+ * @exception {RuntimeError} Unsupported projection.
+ * @exception {RuntimeError} Unsupported ellipsoid, datum, units or axis order.
+ *
+ * @example
+ * const projection = Cesium.ProjectionRegistry.fromDefinition("+proj=utm +zone=32 +south +datum=WGS84");
+ * const position = projection.unproject(new Cesium.Cartesian3(500000.0, 7000000.0, 0.0));
+ */
+ProjectionRegistry.fromDefinition = function (definition) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("definition", definition);
+  //>>includeEnd('debug');
+
+  const parameters = parseDefinition(definition);
+  const ellipsoid = createEllipsoid(parameters);
+  checkUnits(parameters);
+
+  const falseEasting = getNumber(parameters, "x_0", 0.0);
+  const falseNorthing = getNumber(parameters, "y_0", 0.0);
+  const scaleFactor = getNumber(
+    parameters,
+    "k_0",
+    getNumber(parameters, "k", 1.0)
+  );
+
+  switch (parameters.proj) {
+    case "longlat":
+    case "latlong":
+    case "lonlat":
+    case "latlon":
+      return new GeographicProjection(ellipsoid);
+    case "utm": {
+      const zone = getNumber(parameters, "zone");
+      if (!defined(zone) || zone < 1 || zone > 60 || zone % 1 !== 0) {
+        throw new RuntimeError(`Invalid UTM zone: ${parameters.zone}`);
+      }
+      return TransverseMercatorProjection.fromUtmZone(
+        zone,
+        defined(parameters.south),
+        ellipsoid
+      );
+    }
+    case "tmerc":
+      return new TransverseMercatorProjection({
+        ellipsoid: ellipsoid,
+        centralMeridian: getCentralMeridian(parameters),
+        latitudeOfOrigin: getAngle(parameters, "lat_0"),
+        scaleFactor: scaleFactor,
+        falseEasting: falseEasting,
+        falseNorthing: falseNorthing,
+      });
+    case "lcc": {
+      const standardParallel1 = getAngle(parameters, "lat_1");
+      return new LambertConformalConicProjection({
+        ellipsoid: ellipsoid,
+        centralMeridian: getCentralMeridian(parameters),
+        latitudeOfOrigin: defined(parameters.lat_0)
+          ? getAngle(parameters, "lat_0")
+          : standardParallel1,
+        standardParallel1: standardParallel1,
+        standardParallel2: defined(parameters.lat_2)
+          ? getAngle(parameters, "lat_2")
+          : standardParallel1,
+        scaleFactor: scaleFactor,
+        falseEasting: falseEasting,
+        falseNorthing: falseNorthing,
+      });
+    }
+    case "merc": {
+      // The scale factor on the equator follows from the latitude of true scale
+      let mercatorScaleFactor = scaleFactor;
+      if (defined(parameters.lat_ts)) {
+        const latitude = getAngle(parameters, "lat_ts");
+        const radii = ellipsoid.radii;
+        const eccentricitySquared =
+          1.0 - (radii.z * radii.z) / (radii.x * radii.x);
+        const sinLatitude = Math.sin(latitude);
+        mercatorScaleFactor =
+          Math.cos(latitude) /
+          Math.sqrt(1.0 - eccentricitySquared * sinLatitude * sinLatitude);
+      }
+      return new MercatorProjection({
+        ellipsoid: ellipsoid,
+        centralMeridian: getCentralMeridian(parameters),
+        scaleFactor: mercatorScaleFactor,
+        falseEasting: falseEasting,
+        falseNorthing: falseNorthing,
+      });
+    }
+    default:
+      throw new RuntimeError(`Unsupported projection: ${parameters.proj}`);
+  }
+};
+
+// Names of EPSG codes as URNs and URLs are normalized to EPSG:<code>
+function normalizeName(name) {
+  const match = /^(?:urn:ogc:def:crs:EPSG:[^:]*:|https?:\/\/www\.opengis\.net\/def\/crs\/EPSG\/[^/]+\/|EPSG:)(\d+)$/i.exec(
+    name
+  );
+  return defined(match) ? `EPSG:${match[1]}` : name;
+}
+
+function createBuiltInProjection(name) {
+  const match = /^EPSG:(\d+)$/.exec(name);
+  if (!defined(match)) {
+    return undefined;
+  }
+
+  const code = parseInt(match[1], 10);
+  if (code === 4326) {
+    return new GeographicProjection();
+  }
+  if (code === 3857 || code === 900913) {
+    return new WebMercatorProjection();
+  }
+  if (code >= 32601 && code <= 32660) {
+    return TransverseMercatorProjection.fromUtmZone(code - 32600, false);
+  }
+  if (code >= 32701 && code <= 32760) {
+    return TransverseMercatorProjection.fromUtmZone(code - 32700, true);
+  }
+  if (code >= 25828 && code <= 25838) {
+    return ProjectionRegistry.fromDefinition(
+      `+proj=utm +zone=${code - 25800} +ellps=GRS80`
+    );
+  }
+  return undefined;
+}
+
+/**
+ * Adds the projection of a coordinate reference system, replacing any projection with the same name.
+ *
+ * @param {string} name The name, such as <code>EPSG:2154</code>. EPSG codes can also be found by URNs like <code>urn:ogc:def:crs:EPSG::2154</code>.
+ * @param {string|MapProjection} definition The proj-style definition of the projection, or the projection.
+ * @returns {MapProjection} The projection.
+ *
+ * @exception {RuntimeError} Unsupported projection.
+ * @exception {RuntimeError} Unsupported ellipsoid, datum, units or axis order.
+ */
+ProjectionRegistry.add = function (name, definition) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("name", name);
+  Check.defined("definition", definition);
+  //>>includeEnd('debug');
+
+  const projection =
+    typeof definition === "string"
+      ? ProjectionRegistry.fromDefinition(definition)
+      : definition;
+  projections.set(normalizeName(name), projection);
+  return projection;
+};
+
+/**
+ * Gets the projection of a coordinate reference system.
+ *
+ * @param {string} name The name, such as <code>EPSG:2154</code> or <code>urn:ogc:def:crs:EPSG::2154</code>.
+ * @returns {MapProjection|undefined} The projection, or <code>undefined</code> if there is no projection with the name.
+ */
+ProjectionRegistry.get = function (name) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("name", name);
+  //>>includeEnd('debug');
+
+  name = normalizeName(name);
+  let projection = projections.get(name);
+  if (!defined(projection)) {
+    projection = createBuiltInProjection(name);
+    if (defined(projection)) {
+      projections.set(name, projection);
+    }
+  }
+  return projection;
+};
+
+/**
+ * Removes the projection of a coordinate reference system.
+ *
+ * @param {string} name The name.
+ * @returns {boolean} <code>true</code> if the projection was removed, <code>false</code> if there was no projection with the name.
+ */
+ProjectionRegistry.remove = function (name) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("name", name);
+  //>>includeEnd('debug');
+
+  return projections.delete(normalizeName(name));
+};
+export default ProjectionRegistry;
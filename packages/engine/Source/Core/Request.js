@@ -133,6 +133,43 @@ function Request(options) {
    * @private
    */
   this.cancelled = false;
+
+  /**
+   * The time when the request became active, from {@link getTimestamp}.
+   *
+   * @type {number}
+   *
+   * @private
+   */
+  this.startTime = undefined;
+
+  /**
+   * The number of times the active request was retried because the server was busy.
+   *
+   * @type {number}
+   *
+   * @private
+   */
+  this.retryCount = 0;
+
+  /**
+   * Whether the request is retried when the server responds that it is busy. Requests of a {@link Resource} with
+   * a <code>retryCallback</code> are retried by the callback instead.
+   *
+   * @type {boolean}
+   *
+   * @private
+   */
+  this.retryOnBusyServer = true;
+
+  /**
+   * Whether the response of the active request was read from the {@link TileCache} instead of the server.
+   *
+   * @type {boolean}
+   *
+   * @private
+   */
+  this.servedFromCache = false;
 }
 
 /**
@@ -170,6 +207,9 @@ Request.prototype.clone = function (result) {
   result.state = RequestState.UNISSUED;
   result.deferred = undefined;
   result.cancelled = false;
+  result.startTime = undefined;
+  result.retryCount = 0;
+  result.servedFromCache = false;
 
   return result;
 };
@@ -1,9 +1,11 @@
 import Uri from "urijs";
 import Check from "./Check.js";
+import clone from "./clone.js";
 import defaultValue from "./defaultValue.js";
 import defer from "./defer.js";
 import defined from "./defined.js";
 import Event from "./Event.js";
+import getTimestamp from "./getTimestamp.js";
 import Heap from "./Heap.js";
 import isBlobUri from "./isBlobUri.js";
 import isDataUri from "./isDataUri.js";
@@ -21,6 +23,7 @@ const statistics = {
   numberOfFailedRequests: 0,
   numberOfActiveRequestsEver: 0,
   lastNumberOfActiveRequests: 0,
+  numberOfRetriedRequests: 0,
 };
 
 let priorityHeapLength = 20;
@@ -32,11 +35,15 @@ requestHeap.reserve(priorityHeapLength);
 
 const activeRequests = [];
 let numberOfActiveRequestsByServer = {};
+let bandwidthBudgetsByServer = {};
+let backoffTimesByServer = {};
+let statisticsByServer = {};
 
 const pageUri =
   typeof document !== "undefined" ? new Uri(document.location.href) : new Uri();
 
 const requestCompletedEvent = new Event();
+const requestStatisticsEvent = new Event();
 
 /**
  * The request scheduler is used to track and constrain the number of active requests in order to prioritize incoming requests. The ability
@@ -87,6 +94,61 @@ RequestScheduler.requestsByServer = {};
  */
 RequestScheduler.throttleRequests = true;
 
+/**
+ * A per server key list of bandwidth caps in bytes per second. Requests that are throttled by server are not issued
+ * while the responses received from the server in about the last second exceed its cap, so that streaming from
+ * one server does not use all of the bandwidth of the connection. Other requests do not observe this limit.
+ * @type {object}
+ *
+ * @example
+ * // Limit imagery tiles from a metered server to 2 MB per second
+ * RequestScheduler.bandwidthByServer["tiles.example.com:443"] = 2 * 1024 * 1024;
+ */
+RequestScheduler.bandwidthByServer = {};
+
+/**
+ * The maximum number of times a request is retried when the server responds that it is busy with status
+ * 429 (Too Many Requests) or 503 (Service Unavailable). The delay before each retry is the time given by the
+ * <code>Retry-After</code> header of the response, or doubles from {@link RequestScheduler.retryDelay} otherwise.
+ * Requests to the server that are throttled by server are not issued until the delay has passed. Requests of a
+ * {@link Resource} with a <code>retryCallback</code> are not retried here, as the callback retries them. Requests are
+ * not retried and servers are not backed off from when this is 0.
+ * @type {number}
+ * @default 0
+ *
+ * @example
+ * // Retry requests to busy servers up to 3 times
+ * Cesium.RequestScheduler.maximumRetries = 3;
+ */
+RequestScheduler.maximumRetries = 0;
+
+/**
+ * The delay in milliseconds before the first retry of a request that the server responded is busy, when the response
+ * has no <code>Retry-After</code> header. The delay doubles with each retry.
+ * @type {number}
+ * @default 1000
+ */
+RequestScheduler.retryDelay = 1000;
+
+/**
+ * The maximum delay in milliseconds before retrying a request that the server responded is busy. Requests are not
+ * retried when the <code>Retry-After</code> header of the response asks for a longer delay.
+ * @type {number}
+ * @default 60000
+ */
+RequestScheduler.maximumRetryDelay = 60000;
+
+/**
+ * A persistent cache of responses used by {@link Resource} requests, so that imagery, terrain and 3D Tiles can be
+ * loaded without a network connection. Responses are not cached when undefined.
+ * @type {TileCache|undefined}
+ * @default undefined
+ *
+ * @example
+ * Cesium.RequestScheduler.tileCache = new Cesium.TileCache();
+ */
+RequestScheduler.tileCache = undefined;
+
 /**
  * When true, log statistics to the console every frame
  * @type {boolean}
@@ -105,6 +167,23 @@ RequestScheduler.debugShowStatistics = false;
  */
 RequestScheduler.requestCompletedEvent = requestCompletedEvent;
 
+/**
+ * An event that's raised when an active request is received, fails or is cancelled. Event handlers are passed
+ * the {@link RequestScheduler.RequestStatistics} of the request, which can be grouped by server or by request type
+ * to show the cost of each source of data.
+ *
+ * @type {Event}
+ * @default Event()
+ *
+ * @example
+ * const bytesByType = {};
+ * Cesium.RequestScheduler.requestStatisticsEvent.addEventListener(function (statistics) {
+ *   bytesByType[statistics.type] =
+ *     Cesium.defaultValue(bytesByType[statistics.type], 0) + statistics.bytes;
+ * });
+ */
+RequestScheduler.requestStatisticsEvent = requestStatisticsEvent;
+
 Object.defineProperties(RequestScheduler, {
   /**
    * Returns the statistics used by the request scheduler.
@@ -173,9 +252,178 @@ RequestScheduler.serverHasOpenSlots = function (serverKey, desiredRequests) {
   const hasOpenSlotsServer =
     numberOfActiveRequestsByServer[serverKey] + desiredRequests <= maxRequests;
 
-  return hasOpenSlotsServer;
+  return (
+    hasOpenSlotsServer &&
+    !serverIsBackingOff(serverKey) &&
+    serverHasBandwidth(serverKey)
+  );
 };
 
+function serverIsBackingOff(serverKey) {
+  const backoffTime = backoffTimesByServer[serverKey];
+  return defined(backoffTime) && getTimestamp() < backoffTime;
+}
+
+// The bandwidth of each server is a budget of bytes that is spent by responses and refills at the bandwidth cap, up to
+// the bytes of one second.
+function updateBandwidthBudget(serverKey) {
+  const bandwidth = RequestScheduler.bandwidthByServer[serverKey];
+  if (!defined(bandwidth)) {
+    return undefined;
+  }
+
+  const time = getTimestamp();
+  let budget = bandwidthBudgetsByServer[serverKey];
+  if (!defined(budget)) {
+    budget = bandwidthBudgetsByServer[serverKey] = {
+      bytes: bandwidth,
+      time: time,
+    };
+  }
+  budget.bytes = Math.min(
+    budget.bytes + (bandwidth * (time - budget.time)) / 1000.0,
+    bandwidth
+  );
+  budget.time = time;
+  return budget;
+}
+
+function serverHasBandwidth(serverKey) {
+  const budget = updateBandwidthBudget(serverKey);
+  return !defined(budget) || budget.bytes > 0;
+}
+
+function getServerStatistics(serverKey) {
+  let serverStatistics = statisticsByServer[serverKey];
+  if (!defined(serverStatistics)) {
+    serverStatistics = statisticsByServer[serverKey] = {
+      numberOfReceivedRequests: 0,
+      numberOfFailedRequests: 0,
+      numberOfCancelledRequests: 0,
+      numberOfRetriedRequests: 0,
+      bytesReceived: 0,
+    };
+  }
+  return serverStatistics;
+}
+
+function getResponseSize(url, results) {
+  if (defined(results)) {
+    if (defined(results.byteLength)) {
+      return results.byteLength;
+    }
+    if (typeof results === "string") {
+      return results.length;
+    }
+    if (typeof Blob !== "undefined" && results instanceof Blob) {
+      return results.size;
+    }
+  }
+
+  // The sizes of images and other responses are only known from resource timing, when the server allows it
+  if (
+    typeof performance !== "undefined" &&
+    typeof performance.getEntriesByName === "function"
+  ) {
+    const entries = performance.getEntriesByName(url, "resource");
+    if (entries.length > 0) {
+      return defaultValue(entries[entries.length - 1].encodedBodySize, 0);
+    }
+  }
+  return 0;
+}
+
+function raiseStatisticsEvent(request, bytes, error) {
+  if (requestStatisticsEvent.numberOfListeners === 0) {
+    return;
+  }
+  requestStatisticsEvent.raiseEvent({
+    url: request.url,
+    serverKey: request.serverKey,
+    type: request.type,
+    state: request.state,
+    statusCode: defined(error) ? error.statusCode : undefined,
+    bytes: bytes,
+    duration: getTimestamp() - request.startTime,
+    retries: request.retryCount,
+  });
+}
+
+function getRetryAfter(error) {
+  const headers = error.responseHeaders;
+  if (!defined(headers)) {
+    return undefined;
+  }
+
+  for (const name in headers) {
+    if (headers.hasOwnProperty(name) && name.toLowerCase() === "retry-after") {
+      // The delay is either in seconds or an HTTP date
+      const value = headers[name];
+      const seconds = Number(value);
+      if (value !== "" && !isNaN(seconds)) {
+        return seconds * 1000.0;
+      }
+      const date = Date.parse(value);
+      if (!isNaN(date)) {
+        return Math.max(date - Date.now(), 0.0);
+      }
+    }
+  }
+  return undefined;
+}
+
+function getRetryDelay(request, error) {
+  if (
+    RequestScheduler.maximumRetries <= 0 ||
+    !defined(error) ||
+    (error.statusCode !== 429 && error.statusCode !== 503)
+  ) {
+    return undefined;
+  }
+
+  const retryAfter = getRetryAfter(error);
+  const delay = defined(retryAfter)
+    ? retryAfter
+    : Math.min(
+        RequestScheduler.retryDelay * Math.pow(2, request.retryCount),
+        RequestScheduler.maximumRetryDelay
+      );
+
+  // Requests throttled by server wait until the server is expected to be available again
+  const serverKey = request.serverKey;
+  backoffTimesByServer[serverKey] = Math.max(
+    defaultValue(backoffTimesByServer[serverKey], 0.0),
+    getTimestamp() + delay
+  );
+
+  if (
+    !request.retryOnBusyServer ||
+    request.retryCount >= RequestScheduler.maximumRetries ||
+    delay > RequestScheduler.maximumRetryDelay
+  ) {
+    return undefined;
+  }
+  return delay;
+}
+
+function retryRequest(request, delay) {
+  ++request.retryCount;
+  ++statistics.numberOfRetriedRequests;
+  ++getServerStatistics(request.serverKey).numberOfRetriedRequests;
+
+  // The request stays active while it waits, so it is still counted against the limits of its server
+  setTimeout(function () {
+    if (request.state !== RequestState.ACTIVE) {
+      // The request was cancelled while waiting
+      return;
+    }
+    request
+      .requestFunction()
+      .then(getRequestReceivedFunction(request))
+      .catch(getRequestFailedFunction(request));
+  }, delay);
+}
+
 /**
  * Check if the priority heap has open slots, regardless of which server they
  * are from. This is used in {@link Multiple3DTileContent} for determining when
@@ -207,13 +455,31 @@ function getRequestReceivedFunction(request) {
     }
     // explicitly set to undefined to ensure GC of request response data. See #8843
     const deferred = request.deferred;
+    const serverKey = request.serverKey;
 
     --statistics.numberOfActiveRequests;
-    --numberOfActiveRequestsByServer[request.serverKey];
+    --numberOfActiveRequestsByServer[serverKey];
     requestCompletedEvent.raiseEvent();
     request.state = RequestState.RECEIVED;
     request.deferred = undefined;
 
+    // Responses read from the tile cache did not come from the server
+    if (request.servedFromCache) {
+      raiseStatisticsEvent(request, 0);
+      deferred.resolve(results);
+      return;
+    }
+
+    const bytes = getResponseSize(request.url, results);
+    const serverStatistics = getServerStatistics(serverKey);
+    ++serverStatistics.numberOfReceivedRequests;
+    serverStatistics.bytesReceived += bytes;
+    const budget = updateBandwidthBudget(serverKey);
+    if (defined(budget)) {
+      budget.bytes -= bytes;
+    }
+    raiseStatisticsEvent(request, bytes);
+
     deferred.resolve(results);
   };
 }
@@ -224,11 +490,20 @@ function getRequestFailedFunction(request) {
       // If the data request comes back but the request is cancelled, ignore it.
       return;
     }
+
+    const retryDelay = getRetryDelay(request, error);
+    if (defined(retryDelay)) {
+      retryRequest(request, retryDelay);
+      return;
+    }
+
     ++statistics.numberOfFailedRequests;
     --statistics.numberOfActiveRequests;
     --numberOfActiveRequestsByServer[request.serverKey];
+    ++getServerStatistics(request.serverKey).numberOfFailedRequests;
     requestCompletedEvent.raiseEvent(error);
     request.state = RequestState.FAILED;
+    raiseStatisticsEvent(request, 0, error);
     request.deferred.reject(error);
   };
 }
@@ -236,6 +511,9 @@ function getRequestFailedFunction(request) {
 function startRequest(request) {
   const promise = issueRequest(request);
   request.state = RequestState.ACTIVE;
+  request.startTime = getTimestamp();
+  request.retryCount = 0;
+  request.servedFromCache = false;
   activeRequests.push(request);
   ++statistics.numberOfActiveRequests;
   ++statistics.numberOfActiveRequestsEver;
@@ -263,6 +541,8 @@ function cancelRequest(request) {
     --statistics.numberOfActiveRequests;
     --numberOfActiveRequestsByServer[request.serverKey];
     ++statistics.numberOfCancelledActiveRequests;
+    ++getServerStatistics(request.serverKey).numberOfCancelledRequests;
+    raiseStatisticsEvent(request, 0);
   }
 
   if (defined(request.cancelFunction)) {
@@ -371,6 +651,25 @@ RequestScheduler.getServerKey = function (url) {
   return serverKey;
 };
 
+/**
+ * Gets the statistics of the requests to a server since the application started, such as the number of bytes
+ * received, for showing what each server is costing.
+ *
+ * @param {string} serverKey The server key, such as <code>"tiles.example.com:443"</code>.
+ * @returns {RequestScheduler.ServerStatistics} The statistics of the requests to the server.
+ *
+ * @example
+ * const statistics = Cesium.RequestScheduler.getServerStatistics("tile.openstreetmap.org:443");
+ * console.log(`${statistics.bytesReceived / 1e6} MB received`);
+ */
+RequestScheduler.getServerStatistics = function (serverKey) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("serverKey", serverKey);
+  //>>includeEnd('debug');
+
+  return clone(getServerStatistics(serverKey));
+};
+
 /**
  * Issue a request. If request.throttle is false, the request is sent immediately. Otherwise the request will be
  * queued and sorted by priority before being sent.
@@ -471,6 +770,13 @@ function updateStatistics() {
       );
       statistics.numberOfFailedRequests = 0;
     }
+
+    if (statistics.numberOfRetriedRequests > 0) {
+      console.log(
+        `Number of retried requests: ${statistics.numberOfRetriedRequests}`
+      );
+      statistics.numberOfRetriedRequests = 0;
+    }
   }
 
   statistics.lastNumberOfActiveRequests = statistics.numberOfActiveRequests;
@@ -492,6 +798,9 @@ RequestScheduler.clearForSpecs = function () {
   }
   activeRequests.length = 0;
   numberOfActiveRequestsByServer = {};
+  bandwidthBudgetsByServer = {};
+  backoffTimesByServer = {};
+  statisticsByServer = {};
 
   // Clear stats
   statistics.numberOfAttemptedRequests = 0;
@@ -501,6 +810,7 @@ RequestScheduler.clearForSpecs = function () {
   statistics.numberOfFailedRequests = 0;
   statistics.numberOfActiveRequestsEver = 0;
   statistics.lastNumberOfActiveRequests = 0;
+  statistics.numberOfRetriedRequests = 0;
 };
 
 /**
@@ -518,4 +828,27 @@ RequestScheduler.numberOfActiveRequestsByServer = function (serverKey) {
  * @private
  */
 RequestScheduler.requestHeap = requestHeap;
+
+/**
+ * The statistics of a request, passed to {@link RequestScheduler.requestStatisticsEvent}.
+ * @typedef {object} RequestScheduler.RequestStatistics
+ * @property {string} url The URL of the request.
+ * @property {string} serverKey The key of the server of the request.
+ * @property {RequestType} type The type of the request.
+ * @property {RequestState} state The state of the request, which is <code>RECEIVED</code>, <code>FAILED</code> or <code>CANCELLED</code>.
+ * @property {number|undefined} statusCode The HTTP status code of a failed request, if the server responded.
+ * @property {number} bytes The size of the response in bytes, or 0 when it is not known or the response was read from the {@link TileCache}.
+ * @property {number} duration The time in milliseconds from when the request was issued until it finished, including retries.
+ * @property {number} retries The number of times the request was retried because the server was busy.
+ */
+
+/**
+ * The statistics of the requests to a server, returned by {@link RequestScheduler.getServerStatistics}.
+ * @typedef {object} RequestScheduler.ServerStatistics
+ * @property {number} numberOfReceivedRequests The number of requests that were received.
+ * @property {number} numberOfFailedRequests The number of requests that failed.
+ * @property {number} numberOfCancelledRequests The number of active requests that were cancelled.
+ * @property {number} numberOfRetriedRequests The number of retries of requests because the server was busy.
+ * @property {number} bytesReceived The size of the received responses in bytes, not counting responses of unknown size.
+ */
 export default RequestScheduler;
@@ -699,6 +699,14 @@ Resource.prototype.getDerivedResource = function (options) {
   return resource;
 };
 
+// Requests that the retryCallback may still retry are not also retried by the RequestScheduler when the server is busy
+function hasRetryAttempts(resource) {
+  return (
+    typeof resource.retryCallback === "function" &&
+    resource._retryCount < resource.retryAttempts
+  );
+}
+
 /**
  * Called when a resource fails to load. This will call the retryCallback function if defined until retryAttempts is reached.
  *
@@ -709,16 +717,14 @@ Resource.prototype.getDerivedResource = function (options) {
  * @private
  */
 Resource.prototype.retryOnError = function (error) {
-  const retryCallback = this.retryCallback;
-  if (
-    typeof retryCallback !== "function" ||
-    this._retryCount >= this.retryAttempts
-  ) {
+  if (!hasRetryAttempts(this)) {
     return Promise.resolve(false);
   }
 
   const that = this;
-  return Promise.resolve(retryCallback(this, error)).then(function (result) {
+  return Promise.resolve(this.retryCallback(this, error)).then(function (
+    result
+  ) {
     ++that._retryCount;
 
     return result;
@@ -907,16 +913,20 @@ Resource.prototype.fetchImage = function (options) {
   );
 
   checkAndResetRequest(this.request);
+  // Cached images are loaded as blobs so they can be stored
+  const tileCache = RequestScheduler.tileCache;
+  const cached = defined(tileCache) && tileCache._caches(this, "GET", "blob");
+
   // We try to load the image normally if
   // 1. Blobs aren't supported
   // 2. It's a data URI
   // 3. It's a blob URI
-  // 4. It doesn't have request headers and we preferBlob is false
+  // 4. It doesn't have request headers and we preferBlob is false, and it isn't cached
   if (
     !xhrBlobSupported ||
     this.isDataUri ||
     this.isBlobUri ||
-    (!this.hasHeaders && !preferBlob)
+    (!this.hasHeaders && !preferBlob && !cached)
   ) {
     return fetchImage({
       resource: this,
@@ -1014,6 +1024,7 @@ function fetchImage(options) {
 
   const request = resource.request;
   request.url = resource.url;
+  request.retryOnBusyServer = !hasRetryAttempts(resource);
   request.requestFunction = function () {
     let crossOrigin = false;
 
@@ -1293,6 +1304,7 @@ function fetchJsonp(resource, callbackParameterName, functionName) {
   const request = resource.request;
   const url = resource.url;
   request.url = url;
+  request.retryOnBusyServer = !hasRetryAttempts(resource);
   request.requestFunction = function () {
     const deferred = defer();
 
@@ -1365,6 +1377,7 @@ Resource.prototype._makeRequest = function (options) {
   const request = resource.request;
   const url = resource.url;
   request.url = url;
+  request.retryOnBusyServer = !hasRetryAttempts(resource);
 
   request.requestFunction = function () {
     const responseType = options.responseType;
@@ -1372,22 +1385,34 @@ Resource.prototype._makeRequest = function (options) {
     const overrideMimeType = options.overrideMimeType;
     const method = options.method;
     const data = options.data;
-    const deferred = defer();
-    const xhr = Resource._Implementations.loadWithXhr(
-      url,
-      responseType,
-      method,
-      data,
-      headers,
-      deferred,
-      overrideMimeType
-    );
-    if (defined(xhr) && defined(xhr.abort)) {
-      request.cancelFunction = function () {
-        xhr.abort();
-      };
+
+    function load() {
+      const deferred = defer();
+      const xhr = Resource._Implementations.loadWithXhr(
+        url,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred,
+        overrideMimeType
+      );
+      if (defined(xhr) && defined(xhr.abort)) {
+        request.cancelFunction = function () {
+          xhr.abort();
+        };
+      }
+      return deferred.promise;
     }
-    return deferred.promise;
+
+    const tileCache = RequestScheduler.tileCache;
+    if (
+      defined(tileCache) &&
+      tileCache._caches(resource, method, responseType)
+    ) {
+      return tileCache._fetch(request, responseType, load);
+    }
+    return load();
   };
 
   const promise = RequestScheduler.request(request);
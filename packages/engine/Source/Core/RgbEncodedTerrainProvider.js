@@ -0,0 +1,406 @@
+import Check from "./Check.js";
+import Credit from "./Credit.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import Event from "./Event.js";
+import HeightmapTerrainData from "./HeightmapTerrainData.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+import Resource from "./Resource.js";
+import RgbTerrainEncoding from "./RgbTerrainEncoding.js";
+import TaskProcessor from "./TaskProcessor.js";
+import TerrainProvider from "./TerrainProvider.js";
+import TileAvailability from "./TileAvailability.js";
+import WebMercatorTilingScheme from "./WebMercatorTilingScheme.js";
+
+/**
+ * @typedef {object} RgbEncodedTerrainProvider.ConstructorOptions
+ *
+ * Initialization options for the RgbEncodedTerrainProvider constructor
+ *
+ * @property {Resource|string} url The URL template of the PNG tiles.  The following placeholders are supported:
+ * <ul>
+ *     <li><code>{z}</code>: The level of the tile in the tiling scheme.  Level zero is the root of the quadtree pyramid.</li>
+ *     <li><code>{x}</code>: The tile X coordinate in the tiling scheme, where 0 is the Westernmost tile.</li>
+ *     <li><code>{y}</code>: The tile Y coordinate in the tiling scheme, where 0 is the Northernmost tile.</li>
+ *     <li><code>{reverseY}</code>: The tile Y coordinate in the tiling scheme, where 0 is the Southernmost tile.</li>
+ *     <li><code>{s}</code>: One of the available subdomains, used to overcome browser limits on the number of simultaneous requests per host.</li>
+ * </ul>
+ * @property {RgbTerrainEncoding} [encoding=RgbTerrainEncoding.MAPBOX] The encoding of the heights in the tiles.
+ * @property {string|string[]} [subdomains='abc'] The subdomains to use for the <code>{s}</code> placeholder in the URL template.
+ * @property {TilingScheme} [tilingScheme] The tiling scheme of the tiles.  If not specified, a {@link WebMercatorTilingScheme} is used.
+ * @property {Ellipsoid} [ellipsoid] The ellipsoid.  If the tilingScheme is specified,
+ *                    this parameter is ignored and the tiling scheme's ellipsoid is used instead. If neither
+ *                    parameter is specified, the WGS84 ellipsoid is used.
+ * @property {Rectangle} [rectangle] The rectangle, in radians, covered by the tiles.  Outside the rectangle, the terrain is at
+ *                 height zero and no tiles are requested.  If not specified, the rectangle of the tiling scheme is used.
+ * @property {number} [minimumLevel=0] The minimum level of the tiles.  Below this level, the terrain is at height zero and no
+ *                 tiles are requested.
+ * @property {number} [maximumLevel=15] The maximum level of the tiles.
+ * @property {number} [heightmapSize=65] The width and height, in samples, of the height map that each tile is resampled to.
+ * @property {boolean} [requestWaterMask=false] Whether to create a water mask for each tile from the heights, for rendering
+ *                 water with animated waves.
+ * @property {number} [waterHeight=0.0] The height, in meters, at or below which the terrain is water in the water mask.
+ * @property {Credit|string} [credit] A credit for the data source, which is displayed on the canvas.
+ */
+
+/**
+ * A {@link TerrainProvider} that produces terrain geometry from PNG tiles with heights encoded in the red, green and
+ * blue channels, such as Mapbox Terrain-RGB and Terrarium tiles.  Tiles are decoded in a web worker and resampled to
+ * height maps.  Transparent pixels have no data.
+ *
+ * @alias RgbEncodedTerrainProvider
+ * @constructor
+ *
+ * @param {RgbEncodedTerrainProvider.ConstructorOptions} options An object describing initialization options
+ *
+ * @example
+ * // Terrarium tiles
+ * viewer.terrainProvider = new Cesium.RgbEncodedTerrainProvider({
+ *   url: "https://example.com/terrarium/{z}/{x}/{y}.png",
+ *   encoding: Cesium.RgbTerrainEncoding.TERRARIUM,
+ *   requestWaterMask: true,
+ * });
+ *
+ * @example
+ * // Mapbox Terrain-RGB tiles
+ * viewer.terrainProvider = new Cesium.RgbEncodedTerrainProvider({
+ *   url: "https://api.mapbox.com/v4/mapbox.terrain-rgb/{z}/{x}/{y}.pngraw?access_token=<your access token>",
+ *   maximumLevel: 14,
+ *   credit: "© Mapbox",
+ * });
+ *
+ * @see TerrainProvider
+ * @see RgbTerrainEncoding
+ */
+function RgbEncodedTerrainProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.url", options.url);
+  //>>includeEnd('debug');
+
+  this._resource = Resource.createIfNeeded(options.url);
+  this._encoding = defaultValue(options.encoding, RgbTerrainEncoding.MAPBOX);
+
+  let subdomains = options.subdomains;
+  if (Array.isArray(subdomains)) {
+    subdomains = subdomains.slice();
+  } else if (defined(subdomains) && subdomains.length > 0) {
+    subdomains = subdomains.split("");
+  } else {
+    subdomains = ["a", "b", "c"];
+  }
+  this._subdomains = subdomains;
+
+  const tilingScheme = defaultValue(
+    options.tilingScheme,
+    new WebMercatorTilingScheme({ ellipsoid: options.ellipsoid })
+  );
+  this._tilingScheme = tilingScheme;
+  this._rectangle = defaultValue(options.rectangle, tilingScheme.rectangle);
+  this._minimumLevel = defaultValue(options.minimumLevel, 0);
+  this._maximumLevel = defaultValue(options.maximumLevel, 15);
+  this._heightmapSize = defaultValue(options.heightmapSize, 65);
+  this._requestWaterMask = defaultValue(options.requestWaterMask, false);
+  this._waterHeight = defaultValue(options.waterHeight, 0.0);
+
+  this._availability = createAvailability(
+    tilingScheme,
+    this._rectangle,
+    this._maximumLevel
+  );
+  this._levelZeroMaximumGeometricError = TerrainProvider.getEstimatedLevelZeroGeometricErrorForAHeightmap(
+    tilingScheme.ellipsoid,
+    this._heightmapSize,
+    tilingScheme.getNumberOfXTilesAtLevel(0)
+  );
+
+  let credit = options.credit;
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._errorEvent = new Event();
+}
+
+Object.defineProperties(RgbEncodedTerrainProvider.prototype, {
+  /**
+   * Gets an event that is raised when the terrain provider encounters an asynchronous error.  By subscribing
+   * to the event, you will be notified of the error and can potentially recover from it.  Event listeners
+   * are passed an instance of {@link TileProviderError}.
+   * @memberof RgbEncodedTerrainProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * Gets the credit to display when this terrain provider is active.  Typically this is used to credit
+   * the source of the terrain.
+   * @memberof RgbEncodedTerrainProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * Gets the tiling scheme used by this provider.
+   * @memberof RgbEncodedTerrainProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, covered by the tiles.
+   * @memberof RgbEncodedTerrainProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the encoding of the heights in the tiles.
+   * @memberof RgbEncodedTerrainProvider.prototype
+   * @type {RgbTerrainEncoding}
+   * @readonly
+   */
+  encoding: {
+    get: function () {
+      return this._encoding;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the provider includes a water mask.  The water mask
+   * indicates which areas of the globe are water rather than land, so they can be rendered
+   * as a reflective surface with animated waves.
+   * @memberof RgbEncodedTerrainProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasWaterMask: {
+    get: function () {
+      return this._requestWaterMask;
+    },
+  },
+
+  /**
+   * Boolean flag that indicates if a water mask is created for each tile from the heights.
+   * @memberof RgbEncodedTerrainProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  requestWaterMask: {
+    get: function () {
+      return this._requestWaterMask;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the requested tiles include vertex normals.
+   * @memberof RgbEncodedTerrainProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasVertexNormals: {
+    get: function () {
+      return false;
+    },
+  },
+
+  /**
+   * Gets an object that can be used to determine availability of terrain from this provider, such as
+   * at points and in rectangles.  Tiles are available up to the maximum level within the rectangle of the provider.
+   * @memberof RgbEncodedTerrainProvider.prototype
+   * @type {TileAvailability}
+   * @readonly
+   */
+  availability: {
+    get: function () {
+      return this._availability;
+    },
+  },
+});
+
+function createAvailability(tilingScheme, rectangle, maximumLevel) {
+  const availability = new TileAvailability(tilingScheme, maximumLevel + 1);
+
+  // The root tiles are always available so that the globe is complete
+  availability.addAvailableTileRange(
+    0,
+    0,
+    0,
+    tilingScheme.getNumberOfXTilesAtLevel(0) - 1,
+    tilingScheme.getNumberOfYTilesAtLevel(0) - 1
+  );
+
+  // Move the corners inside the rectangle so that edges on tile boundaries do not include neighboring tiles
+  const northwest = Rectangle.northwest(rectangle);
+  northwest.longitude += CesiumMath.EPSILON10;
+  northwest.latitude -= CesiumMath.EPSILON10;
+  const southeast = Rectangle.southeast(rectangle);
+  southeast.longitude -= CesiumMath.EPSILON10;
+  southeast.latitude += CesiumMath.EPSILON10;
+  for (let level = 1; level <= maximumLevel; ++level) {
+    const start = tilingScheme.positionToTileXY(northwest, level);
+    const end = tilingScheme.positionToTileXY(southeast, level);
+    if (defined(start) && defined(end)) {
+      availability.addAvailableTileRange(level, start.x, start.y, end.x, end.y);
+    }
+  }
+  return availability;
+}
+
+function createFlatTerrainData(provider, childTileMask) {
+  const heightmapSize = provider._heightmapSize;
+  return new HeightmapTerrainData({
+    buffer: new Float32Array(heightmapSize * heightmapSize),
+    width: heightmapSize,
+    height: heightmapSize,
+    childTileMask: childTileMask,
+  });
+}
+
+const taskProcessor = new TaskProcessor("decodeRgbEncodedTerrain");
+const scratchRectangle = new Rectangle();
+
+/**
+ * Requests the geometry for a given tile. The result includes terrain
+ * data and indicates which child tiles are available.
+ *
+ * @param {number} x The X coordinate of the tile for which to request geometry.
+ * @param {number} y The Y coordinate of the tile for which to request geometry.
+ * @param {number} level The level of the tile for which to request geometry.
+ * @param {Request} [request] The request object. Intended for internal use only.
+ * @returns {Promise<TerrainData>|undefined} A promise for the requested geometry.  If this method
+ *          returns undefined instead of a promise, it is an indication that too many requests are already
+ *          pending and the request will be retried later.
+ */
+RgbEncodedTerrainProvider.prototype.requestTileGeometry = function (
+  x,
+  y,
+  level,
+  request
+) {
+  const tilingScheme = this._tilingScheme;
+  const childTileMask = this._availability.computeChildMaskForTile(level, x, y);
+
+  const tileRectangle = tilingScheme.tileXYToRectangle(x, y, level);
+  if (
+    level < this._minimumLevel ||
+    !defined(
+      Rectangle.intersection(tileRectangle, this._rectangle, scratchRectangle)
+    )
+  ) {
+    // Avoid requests for tiles without data
+    return Promise.resolve(createFlatTerrainData(this, childTileMask));
+  }
+
+  const subdomains = this._subdomains;
+  const resource = this._resource.getDerivedResource({
+    templateValues: {
+      x: x,
+      y: y,
+      z: level,
+      reverseY: tilingScheme.getNumberOfYTilesAtLevel(level) - y - 1,
+      s: subdomains[(x + y + level) % subdomains.length],
+    },
+    request: request,
+  });
+
+  const promise = resource.fetchArrayBuffer();
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const heightmapSize = this._heightmapSize;
+  const parameters = {
+    encoding: this._encoding,
+    width: heightmapSize,
+    height: heightmapSize,
+    requestWaterMask: this._requestWaterMask,
+    waterHeight: this._waterHeight,
+  };
+  return promise
+    .then(function (buffer) {
+      parameters.buffer = buffer;
+      return taskProcessor.scheduleTask(parameters, [buffer]);
+    })
+    .then(function (result) {
+      return new HeightmapTerrainData({
+        buffer: result.heights,
+        width: heightmapSize,
+        height: heightmapSize,
+        childTileMask: childTileMask,
+        waterMask: result.waterMask,
+        structure: {
+          elementMultiplier: 1.0,
+        },
+      });
+    });
+};
+
+/**
+ * Gets the maximum geometric error allowed in a tile at a given level.
+ *
+ * @param {number} level The tile level for which to get the maximum geometric error.
+ * @returns {number} The maximum geometric error.
+ */
+RgbEncodedTerrainProvider.prototype.getLevelMaximumGeometricError = function (
+  level
+) {
+  return this._levelZeroMaximumGeometricError / (1 << level);
+};
+
+/**
+ * Determines whether data for a tile is available to be loaded.
+ *
+ * @param {number} x The X coordinate of the tile for which to request geometry.
+ * @param {number} y The Y coordinate of the tile for which to request geometry.
+ * @param {number} level The level of the tile for which to request geometry.
+ * @returns {boolean|undefined} Undefined if not supported, otherwise true or false.
+ */
+RgbEncodedTerrainProvider.prototype.getTileDataAvailable = function (
+  x,
+  y,
+  level
+) {
+  return this._availability.isTileAvailable(level, x, y);
+};
+
+/**
+ * Makes sure we load availability data for a tile
+ *
+ * @param {number} x The X coordinate of the tile for which to request geometry.
+ * @param {number} y The Y coordinate of the tile for which to request geometry.
+ * @param {number} level The level of the tile for which to request geometry.
+ * @returns {undefined} Availability is known when the provider is created, so this always returns undefined.
+ */
+RgbEncodedTerrainProvider.prototype.loadTileDataAvailability = function (
+  x,
+  y,
+  level
+) {
+  return undefined;
+};
+
+export default RgbEncodedTerrainProvider;
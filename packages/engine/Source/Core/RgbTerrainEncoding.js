@@ -0,0 +1,28 @@
+/**
+ * The encoding of heights in the red, green and blue channels of the tiles of a {@link RgbEncodedTerrainProvider}.
+ *
+ * @enum {number}
+ */
+const RgbTerrainEncoding = {
+  /**
+   * Mapbox Terrain-RGB, where the height in meters is
+   * <code>-10000 + (red * 256 * 256 + green * 256 + blue) * 0.1</code>.
+   *
+   * @type {number}
+   * @constant
+   *
+   * @see {@link https://docs.mapbox.com/data/tilesets/reference/mapbox-terrain-rgb-v1/|Mapbox Terrain-RGB}
+   */
+  MAPBOX: 0,
+
+  /**
+   * Terrarium, where the height in meters is <code>red * 256 + green + blue / 256 - 32768</code>.
+   *
+   * @type {number}
+   * @constant
+   *
+   * @see {@link https://github.com/tilezen/joerd/blob/master/docs/formats.md#terrarium|Terrarium}
+   */
+  TERRARIUM: 1,
+};
+export default Object.freeze(RgbTerrainEncoding);
@@ -0,0 +1,853 @@
+import Uri from "urijs";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import destroyObject from "./destroyObject.js";
+import DeveloperError from "./DeveloperError.js";
+import objectToQuery from "./objectToQuery.js";
+import oneTimeWarning from "./oneTimeWarning.js";
+import queryToObject from "./queryToObject.js";
+import Rectangle from "./Rectangle.js";
+import Request from "./Request.js";
+import RequestScheduler from "./RequestScheduler.js";
+import RequestType from "./RequestType.js";
+import RuntimeError from "./RuntimeError.js";
+
+const DATA_STORE = "data";
+const ENTRY_STORE = "entries";
+
+function requestToPromise(idbRequest) {
+  return new Promise(function (resolve, reject) {
+    idbRequest.onsuccess = function () {
+      resolve(idbRequest.result);
+    };
+    idbRequest.onerror = function () {
+      reject(idbRequest.error);
+    };
+  });
+}
+
+function transactionToPromise(transaction) {
+  return new Promise(function (resolve, reject) {
+    transaction.oncomplete = function () {
+      resolve();
+    };
+    transaction.onerror = transaction.onabort = function () {
+      reject(transaction.error);
+    };
+  });
+}
+
+// The responses are kept in one object store, and their sizes and access times in another, so that the
+// sizes can be summed and the least recently used responses found without reading the responses.
+async function openDatabase(tileCache) {
+  const openRequest = indexedDB.open(tileCache._name, 1);
+  openRequest.onupgradeneeded = function () {
+    const database = openRequest.result;
+    database.createObjectStore(DATA_STORE);
+    const entries = database.createObjectStore(ENTRY_STORE);
+    entries.createIndex("accessed", "accessed");
+  };
+  const database = await new Promise(function (resolve, reject) {
+    let blocked = false;
+    openRequest.onblocked = function () {
+      blocked = true;
+      reject(
+        new RuntimeError(
+          `The tile cache database ${tileCache._name} is blocked by another connection.`
+        )
+      );
+    };
+    requestToPromise(openRequest).then(function (database) {
+      if (blocked) {
+        database.close();
+        return;
+      }
+      resolve(database);
+    }, reject);
+  });
+
+  let size = 0;
+  let tileCount = 0;
+  const transaction = database.transaction(ENTRY_STORE, "readonly");
+  const cursorRequest = transaction.objectStore(ENTRY_STORE).openCursor();
+  cursorRequest.onsuccess = function () {
+    const cursor = cursorRequest.result;
+    if (defined(cursor)) {
+      size += cursor.value.size;
+      ++tileCount;
+      cursor.continue();
+    }
+  };
+  await transactionToPromise(transaction);
+
+  tileCache._size = size;
+  tileCache._tileCount = tileCount;
+  return database;
+}
+
+function computeSize(data) {
+  if (data instanceof ArrayBuffer) {
+    return data.byteLength;
+  }
+  if (typeof data === "string") {
+    return data.length * 2;
+  }
+  return data.size;
+}
+
+async function convertData(data, responseType) {
+  if (responseType === "blob") {
+    return data instanceof Blob ? data : new Blob([data]);
+  }
+
+  if (data instanceof Blob) {
+    data = await data.arrayBuffer();
+  }
+  if (responseType === "text") {
+    return typeof data === "string" ? data : new TextDecoder().decode(data);
+  }
+  return typeof data === "string"
+    ? new TextEncoder().encode(data).buffer
+    : data;
+}
+
+const cachedResponseTypes = ["arraybuffer", "blob", "text"];
+
+// Query parameters that hold credentials are not stored with the responses and do not change which response a URL has
+function getCacheKey(tileCache, url) {
+  const uri = new Uri(url);
+  const query = uri.query();
+  if (query.length === 0) {
+    return url;
+  }
+
+  const queryObject = queryToObject(query);
+  let removed = false;
+  for (const name in queryObject) {
+    if (
+      queryObject.hasOwnProperty(name) &&
+      tileCache._credentialParameters.indexOf(name.toLowerCase()) !== -1
+    ) {
+      delete queryObject[name];
+      removed = true;
+    }
+  }
+  if (!removed) {
+    return url;
+  }
+  uri.query(objectToQuery(queryObject));
+  return uri.toString();
+}
+
+function addTiles(tiles, tilingScheme, rectangle, level) {
+  const northwest = tilingScheme.positionToTileXY(
+    Rectangle.northwest(rectangle),
+    level
+  );
+  const southeast = tilingScheme.positionToTileXY(
+    Rectangle.southeast(rectangle),
+    level
+  );
+  if (!defined(northwest) || !defined(southeast)) {
+    return;
+  }
+
+  // The columns wrap around when the rectangle crosses the anti-meridian
+  const numberOfXTiles = tilingScheme.getNumberOfXTilesAtLevel(level);
+  const columns =
+    ((southeast.x - northwest.x + numberOfXTiles) % numberOfXTiles) + 1;
+  for (let y = northwest.y; y <= southeast.y; ++y) {
+    for (let i = 0; i < columns; ++i) {
+      tiles.push({
+        x: (northwest.x + i) % numberOfXTiles,
+        y: y,
+        level: level,
+      });
+    }
+  }
+}
+
+/**
+ * A persistent cache of imagery, terrain and 3D Tiles responses stored in the browser with IndexedDB, so that
+ * they can be loaded without a network connection.
+ * <p>
+ * The cache is used by all {@link Resource} requests once it is assigned to {@link RequestScheduler.tileCache}.
+ * Tile requests are served from the cache when it has them and are stored after they are loaded from the network.
+ * Requests of type {@link RequestType.OTHER}, such as for <code>layer.json</code> or <code>tileset.json</code> but
+ * also for geocoders and other APIs, are not cached unless they are added to <code>options.requestTypes</code>. They
+ * are then loaded from the network first and served from the cache when the network is not available, so that
+ * metadata and access tokens stay current. When {@link TileCache#offline} is <code>true</code>, requests are only
+ * served from the cache.
+ * </p>
+ * <p>
+ * Responses are stored by URL without the query parameters that hold credentials, which are
+ * <code>access_token</code> and <code>token</code> unless <code>options.credentialParameters</code> is given, so that
+ * tokens are not stored and a response is found again after its token changes. Other query parameters, such as
+ * <code>key</code> or <code>session</code>, are kept, as they may select the content of the response.
+ * </p>
+ * <p>
+ * When the responses exceed {@link TileCache#maximumSize}, the least recently used responses are removed. Browsers may
+ * also clear the storage of a site when the device is low on disk space, unless {@link TileCache#requestPersistentStorage}
+ * is granted.
+ * </p>
+ *
+ * @alias TileCache
+ * @constructor
+ *
+ * @param {object} [options] Object with the following properties:
+ * @param {string} [options.name="cesium-tile-cache"] The name of the IndexedDB database. Caches with the same name share their responses.
+ * @param {number} [options.maximumSize=536870912] The maximum size of the cached responses in bytes.
+ * @param {boolean} [options.offline=false] <code>true</code> if requests are only served from the cache.
+ * @param {RequestType[]} [options.requestTypes=[RequestType.TERRAIN, RequestType.IMAGERY, RequestType.TILES3D]] The types of requests that are cached.
+ * @param {string[]} [options.credentialParameters=["access_token", "token"]] The names of the query parameters, in any case, that hold credentials and are removed from the URLs of the stored responses.
+ *
+ * @exception {RuntimeError} IndexedDB is not supported.
+ *
+ * @example
+ * const tileCache = new Cesium.TileCache({
+ *   maximumSize: 2 * 1024 * 1024 * 1024,
+ * });
+ * Cesium.RequestScheduler.tileCache = tileCache;
+ *
+ * // Store the imagery of a work area before going into the field
+ * const failedTiles = await tileCache.seed(
+ *   imageryProvider,
+ *   Cesium.Rectangle.fromDegrees(-105.3, 39.9, -105.1, 40.1),
+ *   {
+ *     maximumLevel: 16,
+ *     progressCallback: function (loadedTiles, tileCount) {
+ *       console.log(`${loadedTiles} of ${tileCount} tiles loaded`);
+ *     },
+ *   }
+ * );
+ *
+ * // Later, without a connection
+ * tileCache.offline = true;
+ *
+ * @see RequestScheduler.tileCache
+ */
+function TileCache(options) {
+  if (!TileCache.isSupported()) {
+    throw new RuntimeError("IndexedDB is not supported.");
+  }
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const maximumSize = defaultValue(options.maximumSize, 536870912);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThanOrEquals(
+    "options.maximumSize",
+    maximumSize,
+    0
+  );
+  //>>includeEnd('debug');
+
+  this._name = defaultValue(options.name, "cesium-tile-cache");
+  this._maximumSize = maximumSize;
+  this._offline = defaultValue(options.offline, false);
+  this._requestTypes = defaultValue(options.requestTypes, [
+    RequestType.TERRAIN,
+    RequestType.IMAGERY,
+    RequestType.TILES3D,
+  ]).slice();
+  this._credentialParameters = defaultValue(options.credentialParameters, [
+    "access_token",
+    "token",
+  ]).map(function (name) {
+    return name.toLowerCase();
+  });
+  this._size = 0;
+  this._tileCount = 0;
+
+  // Access times of responses read since they were last written, keyed by URL
+  this._accessTimes = new Map();
+  this._accessTimesTimeout = undefined;
+
+  // Requests skip the cache and are loaded from the network when the database cannot be opened, such as
+  // when the browser does not allow storage for the site
+  const that = this;
+  this._databaseFailed = false;
+  this._databasePromise = openDatabase(this);
+  this._databasePromise.catch(function (error) {
+    that._databaseFailed = true;
+    oneTimeWarning(
+      `tile-cache-${that._name}`,
+      `The tile cache could not be opened and is not used: ${error}`
+    );
+  });
+}
+
+Object.defineProperties(TileCache.prototype, {
+  /**
+   * The name of the IndexedDB database.
+   * @memberof TileCache.prototype
+   * @type {string}
+   * @readonly
+   */
+  name: {
+    get: function () {
+      return this._name;
+    },
+  },
+
+  /**
+   * The maximum size of the cached responses in bytes. When the responses exceed it, the least recently
+   * used responses are removed.
+   * @memberof TileCache.prototype
+   * @type {number}
+   */
+  maximumSize: {
+    get: function () {
+      return this._maximumSize;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.typeOf.number.greaterThanOrEquals("value", value, 0);
+      //>>includeEnd('debug');
+
+      this._maximumSize = value;
+      trim(this, value).catch(function () {});
+    },
+  },
+
+  /**
+   * When <code>true</code>, requests are only served from the cache, and requests for responses that are not
+   * in the cache fail without using the network.
+   * @memberof TileCache.prototype
+   * @type {boolean}
+   */
+  offline: {
+    get: function () {
+      return this._offline;
+    },
+    set: function (value) {
+      this._offline = value;
+    },
+  },
+
+  /**
+   * The types of requests that are cached.
+   * @memberof TileCache.prototype
+   * @type {RequestType[]}
+   * @readonly
+   */
+  requestTypes: {
+    get: function () {
+      return this._requestTypes;
+    },
+  },
+});
+
+/**
+ * Returns <code>true</code> if the tile cache is supported, which requires IndexedDB.
+ *
+ * @returns {boolean} <code>true</code> if the tile cache is supported.
+ */
+TileCache.isSupported = function () {
+  return typeof indexedDB !== "undefined";
+};
+
+/**
+ * Gets a cached response.
+ *
+ * @param {string} url The URL of the response.
+ * @param {string} [responseType="arraybuffer"] The type of the response, which is <code>"arraybuffer"</code>, <code>"blob"</code> or <code>"text"</code>.
+ * @returns {Promise<ArrayBuffer|Blob|string|undefined>} A promise that resolves to the response, or to <code>undefined</code> if it is not in the cache.
+ */
+TileCache.prototype.get = async function (url, responseType) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("url", url);
+  //>>includeEnd('debug');
+
+  url = getCacheKey(this, url);
+  const database = await this._databasePromise;
+  const transaction = database.transaction(DATA_STORE, "readonly");
+  const dataPromise = requestToPromise(
+    transaction.objectStore(DATA_STORE).get(url)
+  );
+  await transactionToPromise(transaction);
+
+  const data = await dataPromise;
+  if (!defined(data)) {
+    return undefined;
+  }
+  recordAccess(this, url);
+  return convertData(data, defaultValue(responseType, "arraybuffer"));
+};
+
+// Readwrite transactions run one at a time, so reads only record their access times, which are written
+// together later or before the least recently used responses are removed
+const accessTimesDelay = 1000;
+
+function recordAccess(tileCache, url) {
+  tileCache._accessTimes.set(url, Date.now());
+  if (!defined(tileCache._accessTimesTimeout)) {
+    tileCache._accessTimesTimeout = setTimeout(function () {
+      tileCache._accessTimesTimeout = undefined;
+      writeAccessTimes(tileCache).catch(function () {});
+    }, accessTimesDelay);
+  }
+}
+
+async function writeAccessTimes(tileCache) {
+  const accessTimes = tileCache._accessTimes;
+  if (accessTimes.size === 0) {
+    return;
+  }
+  tileCache._accessTimes = new Map();
+
+  const database = await tileCache._databasePromise;
+  const transaction = database.transaction(ENTRY_STORE, "readwrite");
+  const entries = transaction.objectStore(ENTRY_STORE);
+  accessTimes.forEach(function (accessed, url) {
+    const entryRequest = entries.get(url);
+    entryRequest.onsuccess = function () {
+      const entry = entryRequest.result;
+      if (defined(entry) && entry.accessed < accessed) {
+        entry.accessed = accessed;
+        entries.put(entry, url);
+      }
+    };
+  });
+  return transactionToPromise(transaction);
+}
+
+/**
+ * Stores a response in the cache, removing the least recently used responses if the cache exceeds
+ * {@link TileCache#maximumSize}.
+ *
+ * @param {string} url The URL of the response.
+ * @param {ArrayBuffer|Blob|string} data The response.
+ * @returns {Promise<void>} A promise that resolves when the response is stored.
+ */
+TileCache.prototype.put = async function (url, data) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("url", url);
+  Check.defined("data", data);
+  //>>includeEnd('debug');
+
+  const size = computeSize(data);
+  if (size > this._maximumSize) {
+    return;
+  }
+
+  url = getCacheKey(this, url);
+
+  const database = await this._databasePromise;
+  const transaction = database.transaction(
+    [DATA_STORE, ENTRY_STORE],
+    "readwrite"
+  );
+  const entries = transaction.objectStore(ENTRY_STORE);
+  const entryRequest = entries.get(url);
+  let previousSize = 0;
+  let isNew = true;
+  entryRequest.onsuccess = function () {
+    if (defined(entryRequest.result)) {
+      previousSize = entryRequest.result.size;
+      isNew = false;
+    }
+    entries.put({ size: size, accessed: Date.now() }, url);
+  };
+  transaction.objectStore(DATA_STORE).put(data, url);
+
+  try {
+    await transactionToPromise(transaction);
+  } catch (error) {
+    if (defined(error) && error.name === "QuotaExceededError") {
+      // The browser has less storage for the site than the maximum size, so make room for later responses
+      await trim(this, this._size * 0.75);
+      return;
+    }
+    throw error;
+  }
+
+  this._size += size - previousSize;
+  if (isNew) {
+    ++this._tileCount;
+  }
+  return trim(this, this._maximumSize);
+};
+
+/**
+ * Removes a response from the cache.
+ *
+ * @param {string} url The URL of the response.
+ * @returns {Promise<boolean>} A promise that resolves to <code>true</code> if the response was removed, or <code>false</code> if it was not in the cache.
+ */
+TileCache.prototype.remove = async function (url) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("url", url);
+  //>>includeEnd('debug');
+
+  url = getCacheKey(this, url);
+  const database = await this._databasePromise;
+  const transaction = database.transaction(
+    [DATA_STORE, ENTRY_STORE],
+    "readwrite"
+  );
+  const removed = removeEntry(this, transaction, url);
+  await transactionToPromise(transaction);
+  return removed;
+};
+
+function removeEntry(tileCache, transaction, url) {
+  const entries = transaction.objectStore(ENTRY_STORE);
+  return new Promise(function (resolve) {
+    const entryRequest = entries.get(url);
+    entryRequest.onsuccess = function () {
+      const entry = entryRequest.result;
+      if (!defined(entry)) {
+        resolve(false);
+        return;
+      }
+      entries.delete(url);
+      transaction.objectStore(DATA_STORE).delete(url);
+      tileCache._size -= entry.size;
+      --tileCache._tileCount;
+      resolve(true);
+    };
+  });
+}
+
+async function trim(tileCache, size) {
+  if (tileCache._size <= size) {
+    return;
+  }
+
+  await writeAccessTimes(tileCache);
+  const database = await tileCache._databasePromise;
+  const transaction = database.transaction(
+    [DATA_STORE, ENTRY_STORE],
+    "readwrite"
+  );
+  const cursorRequest = transaction
+    .objectStore(ENTRY_STORE)
+    .index("accessed")
+    .openCursor();
+  cursorRequest.onsuccess = function () {
+    const cursor = cursorRequest.result;
+    if (!defined(cursor) || tileCache._size <= size) {
+      return;
+    }
+    transaction.objectStore(DATA_STORE).delete(cursor.primaryKey);
+    cursor.delete();
+    tileCache._size -= cursor.value.size;
+    --tileCache._tileCount;
+    cursor.continue();
+  };
+  return transactionToPromise(transaction);
+}
+
+/**
+ * Removes all responses from the cache.
+ *
+ * @returns {Promise<void>} A promise that resolves when the responses are removed.
+ */
+TileCache.prototype.clear = async function () {
+  const database = await this._databasePromise;
+  const transaction = database.transaction(
+    [DATA_STORE, ENTRY_STORE],
+    "readwrite"
+  );
+  transaction.objectStore(DATA_STORE).clear();
+  transaction.objectStore(ENTRY_STORE).clear();
+  await transactionToPromise(transaction);
+  this._accessTimes.clear();
+  this._size = 0;
+  this._tileCount = 0;
+};
+
+/**
+ * Gets the number and total size of the cached responses.
+ *
+ * @returns {Promise<TileCache.Statistics>} A promise that resolves to the statistics of the cache.
+ */
+TileCache.prototype.getStatistics = async function () {
+  await this._databasePromise;
+  return {
+    tileCount: this._tileCount,
+    size: this._size,
+  };
+};
+
+/**
+ * Asks the browser to keep the cache when the device is low on disk space. Browsers may prompt the user or
+ * decide based on how the site is used.
+ *
+ * @returns {Promise<boolean>} A promise that resolves to <code>true</code> if the storage is persistent.
+ */
+TileCache.prototype.requestPersistentStorage = async function () {
+  if (
+    typeof navigator === "undefined" ||
+    !defined(navigator.storage) ||
+    !defined(navigator.storage.persist)
+  ) {
+    return false;
+  }
+  return navigator.storage.persist();
+};
+
+/**
+ * Loads the tiles of an imagery or terrain provider in a rectangle at a range of levels, so that they are
+ * stored in the cache and can be loaded offline. The cache must be assigned to {@link RequestScheduler.tileCache}.
+ * <p>
+ * The number of tiles quadruples with each level, so the number of tiles passed to <code>options.progressCallback</code>
+ * should be checked before seeding large areas at detailed levels.
+ * </p>
+ *
+ * @param {ImageryProvider|TerrainProvider} provider The imagery or terrain provider.
+ * @param {Rectangle} rectangle The rectangle to load the tiles of.
+ * @param {object} options Object with the following properties:
+ * @param {number} options.maximumLevel The most detailed level to load.
+ * @param {number} [options.minimumLevel=0] The least detailed level to load.
+ * @param {number} [options.maximumRequests=6] The maximum number of tiles that are requested at the same time.
+ * @param {TileCache.ProgressCallback} [options.progressCallback] A function that is called after each tile is loaded.
+ * @returns {Promise<number>} A promise that resolves to the number of tiles that failed to load.
+ *
+ * @exception {DeveloperError} The tile cache must be assigned to RequestScheduler.tileCache.
+ * @exception {DeveloperError} The tile cache cannot be seeded while offline.
+ */
+TileCache.prototype.seed = async function (provider, rectangle, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("provider", provider);
+  Check.typeOf.object("rectangle", rectangle);
+  Check.typeOf.object("options", options);
+  Check.typeOf.number("options.maximumLevel", options.maximumLevel);
+  if (RequestScheduler.tileCache !== this) {
+    throw new DeveloperError(
+      "The tile cache must be assigned to RequestScheduler.tileCache."
+    );
+  }
+  if (this._offline) {
+    throw new DeveloperError("The tile cache cannot be seeded while offline.");
+  }
+  //>>includeEnd('debug');
+
+  const isTerrain = defined(provider.requestTileGeometry);
+  let minimumLevel = defaultValue(options.minimumLevel, 0);
+  let maximumLevel = options.maximumLevel;
+  if (!isTerrain) {
+    minimumLevel = Math.max(
+      minimumLevel,
+      defaultValue(provider.minimumLevel, 0)
+    );
+    maximumLevel = Math.min(
+      maximumLevel,
+      defaultValue(provider.maximumLevel, maximumLevel)
+    );
+  }
+
+  const tilingScheme = provider.tilingScheme;
+  const providerRectangle = defaultValue(
+    provider.rectangle,
+    tilingScheme.rectangle
+  );
+  const seedRectangle = Rectangle.intersection(rectangle, providerRectangle);
+
+  const tiles = [];
+  if (defined(seedRectangle)) {
+    for (let level = minimumLevel; level <= maximumLevel; ++level) {
+      addTiles(tiles, tilingScheme, seedRectangle, level);
+    }
+  }
+
+  const tileCount = tiles.length;
+  const progressCallback = options.progressCallback;
+  let loadedTiles = 0;
+  let failedTiles = 0;
+  let nextTile = 0;
+
+  async function loadTile(tile) {
+    if (
+      isTerrain &&
+      provider.getTileDataAvailable(tile.x, tile.y, tile.level) === false
+    ) {
+      return;
+    }
+
+    const request = new Request({
+      throttle: false,
+      type: isTerrain ? RequestType.TERRAIN : RequestType.IMAGERY,
+    });
+    try {
+      const promise = isTerrain
+        ? provider.requestTileGeometry(tile.x, tile.y, tile.level, request)
+        : provider.requestImage(tile.x, tile.y, tile.level, request);
+      await promise;
+    } catch (error) {
+      ++failedTiles;
+    }
+  }
+
+  async function loadTiles() {
+    while (nextTile < tileCount) {
+      await loadTile(tiles[nextTile++]);
+      ++loadedTiles;
+      if (defined(progressCallback)) {
+        progressCallback(loadedTiles, tileCount);
+      }
+    }
+  }
+
+  const maximumRequests = defaultValue(options.maximumRequests, 6);
+  const workers = [];
+  for (let i = 0; i < Math.min(maximumRequests, tileCount); ++i) {
+    workers.push(loadTiles());
+  }
+  await Promise.all(workers);
+
+  return failedTiles;
+};
+
+/**
+ * Returns <code>true</code> if requests for a resource are cached.
+ *
+ * @param {Resource} resource The resource.
+ * @param {string} method The HTTP method of the request.
+ * @param {string} responseType The type of the response.
+ * @returns {boolean} <code>true</code> if the requests are cached.
+ * @private
+ */
+TileCache.prototype._caches = function (resource, method, responseType) {
+  return (
+    !this._databaseFailed &&
+    method === "GET" &&
+    cachedResponseTypes.indexOf(responseType) !== -1 &&
+    !resource.isDataUri &&
+    !resource.isBlobUri &&
+    this._requestTypes.indexOf(resource.request.type) !== -1
+  );
+};
+
+/**
+ * Loads a response from the cache or from the network, depending on the type of request and whether the cache is offline.
+ *
+ * Responses read from the cache are marked on the request, so they are not counted against the bandwidth and
+ * statistics of the server.
+ *
+ * @param {Request} request The request. Its URL and type are used.
+ * @param {string} responseType The type of the response.
+ * @param {Function} load A function that loads the response from the network and returns a promise to it.
+ * @returns {Promise<ArrayBuffer|Blob|string>} A promise to the response.
+ * @private
+ */
+TileCache.prototype._fetch = function (request, responseType, load) {
+  const that = this;
+  const url = request.url;
+  const requestType = request.type;
+
+  function getCached() {
+    return that
+      .get(url, responseType)
+      .then(function (data) {
+        request.servedFromCache = defined(data);
+        return data;
+      })
+      .catch(function () {
+        // The response is loaded from the network when the cache cannot be read
+        return undefined;
+      });
+  }
+
+  function store(data) {
+    if (defined(data)) {
+      // The loaded buffer may be transferred to a web worker before it is stored
+      const copy = data instanceof ArrayBuffer ? data.slice(0) : data;
+      that.put(url, copy).catch(function () {});
+    }
+    return data;
+  }
+
+  if (this._offline) {
+    return getCached().then(function (data) {
+      if (!defined(data)) {
+        throw new RuntimeError(`${url} is not in the tile cache.`);
+      }
+      return data;
+    });
+  }
+
+  if (requestType === RequestType.OTHER) {
+    return load()
+      .then(store)
+      .catch(function (error) {
+        // Requests that fail without a status code could not reach the server
+        if (defined(error) && defined(error.statusCode)) {
+          throw error;
+        }
+        return getCached().then(function (data) {
+          if (!defined(data)) {
+            throw error;
+          }
+          return data;
+        });
+      });
+  }
+
+  return getCached().then(function (data) {
+    if (defined(data)) {
+      return data;
+    }
+    return load().then(store);
+  });
+};
+
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ * <br /><br />
+ * If this object was destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.
+ *
+ * @returns {boolean} True if this object was destroyed; otherwise, false.
+ *
+ * @see TileCache#destroy
+ */
+TileCache.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Closes the IndexedDB database. The cached responses are kept, and can be used by a new <code>TileCache</code>
+ * with the same name.
+ * <br /><br />
+ * Once an object is destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.  Therefore,
+ * assign the return value (<code>undefined</code>) to the object as done in the example.
+ *
+ * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+ *
+ * @example
+ * Cesium.RequestScheduler.tileCache = undefined;
+ * tileCache = tileCache && tileCache.destroy();
+ *
+ * @see TileCache#isDestroyed
+ */
+TileCache.prototype.destroy = function () {
+  clearTimeout(this._accessTimesTimeout);
+  const accessTimesWritten = writeAccessTimes(this).catch(function () {});
+  this._databasePromise
+    .then(function (database) {
+      return accessTimesWritten.then(function () {
+        database.close();
+      });
+    })
+    .catch(function () {});
+  return destroyObject(this);
+};
+
+/**
+ * The number and total size of the responses in a {@link TileCache}.
+ * @typedef {object} TileCache.Statistics
+ * @property {number} tileCount The number of cached responses.
+ * @property {number} size The total size of the cached responses in bytes.
+ */
+
+/**
+ * A function that is called as the tiles seeded with {@link TileCache#seed} are loaded.
+ * @callback TileCache.ProgressCallback
+ * @param {number} loadedTiles The number of tiles that have been loaded or failed to load.
+ * @param {number} tileCount The number of tiles to load.
+ */
+export default TileCache;
@@ -0,0 +1,328 @@
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import Ellipsoid from "./Ellipsoid.js";
+import CesiumMath from "./Math.js";
+
+function atanh(x) {
+  return 0.5 * Math.log((1.0 + x) / (1.0 - x));
+}
+
+/**
+ * The Transverse Mercator projection, which is conformal and accurate near its central meridian, such as
+ * the projections of the Universal Transverse Mercator (UTM) zones and of many national grids. The projection is
+ * computed with the series of Krüger to the third order of the flattening, which is accurate to a millimeter
+ * within about 3000 kilometers of the central meridian.
+ * <p>
+ * Used as the <code>mapProjection</code> of a {@link Scene}, the globe in 2D and Columbus view is placed by
+ * projecting the corners of its tiles, which only approximates projections whose meridians are not straight
+ * lines, and positions far from the central meridian cannot be projected.
+ * </p>
+ *
+ * @alias TransverseMercatorProjection
+ * @constructor
+ *
+ * @param {object} [options] Object with the following properties:
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @param {number} [options.centralMeridian=0.0] The longitude of the central meridian in radians.
+ * @param {number} [options.latitudeOfOrigin=0.0] The latitude in radians where the northing is the false northing.
+ * @param {number} [options.scaleFactor=1.0] The scale factor on the central meridian.
+ * @param {number} [options.falseEasting=0.0] The easting of the central meridian in meters.
+ * @param {number} [options.falseNorthing=0.0] The northing of the latitude of origin in meters.
+ *
+ * @see TransverseMercatorProjection.fromUtmZone
+ * @see ProjectionRegistry
+ *
+ * @example
+ * // The British National Grid
+ * const projection = new Cesium.TransverseMercatorProjection({
+ *   ellipsoid: new Cesium.Ellipsoid(6377563.396, 6377563.396, 6356256.909),
+ *   centralMeridian: Cesium.Math.toRadians(-2.0),
+ *   latitudeOfOrigin: Cesium.Math.toRadians(49.0),
+ *   scaleFactor: 0.9996012717,
+ *   falseEasting: 400000.0,
+ *   falseNorthing: -100000.0,
+ * });
+ */
+function TransverseMercatorProjection(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  this._centralMeridian = defaultValue(options.centralMeridian, 0.0);
+  this._latitudeOfOrigin = defaultValue(options.latitudeOfOrigin, 0.0);
+  this._scaleFactor = defaultValue(options.scaleFactor, 1.0);
+  this._falseEasting = defaultValue(options.falseEasting, 0.0);
+  this._falseNorthing = defaultValue(options.falseNorthing, 0.0);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThan(
+    "options.scaleFactor",
+    this._scaleFactor,
+    0.0
+  );
+  //>>includeEnd('debug');
+
+  const radii = this._ellipsoid.radii;
+  const flattening = (radii.x - radii.z) / radii.x;
+  const n = flattening / (2.0 - flattening);
+  const n2 = n * n;
+  const n3 = n2 * n;
+
+  this._eccentricity = Math.sqrt(flattening * (2.0 - flattening));
+  this._rectifyingRadius =
+    (radii.x / (1.0 + n)) * (1.0 + n2 / 4.0 + (n2 * n2) / 64.0);
+  this._alpha = [
+    n / 2.0 - (2.0 * n2) / 3.0 + (5.0 * n3) / 16.0,
+    (13.0 * n2) / 48.0 - (3.0 * n3) / 5.0,
+    (61.0 * n3) / 240.0,
+  ];
+  this._beta = [
+    n / 2.0 - (2.0 * n2) / 3.0 + (37.0 * n3) / 96.0,
+    n2 / 48.0 + n3 / 15.0,
+    (17.0 * n3) / 480.0,
+  ];
+  this._delta = [
+    2.0 * n - (2.0 * n2) / 3.0 - 2.0 * n3,
+    (7.0 * n2) / 3.0 - (8.0 * n3) / 5.0,
+    (56.0 * n3) / 15.0,
+  ];
+
+  // The distance along the central meridian from the equator to the latitude of origin
+  const conformalLatitude = Math.atan(
+    computeConformalTangent(this, this._latitudeOfOrigin)
+  );
+  let xi = conformalLatitude;
+  for (let j = 0; j < 3; ++j) {
+    xi += this._alpha[j] * Math.sin(2.0 * (j + 1) * conformalLatitude);
+  }
+  this._originArc = this._rectifyingRadius * xi;
+}
+
+Object.defineProperties(TransverseMercatorProjection.prototype, {
+  /**
+   * Gets the {@link Ellipsoid}.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * Gets the longitude of the central meridian in radians.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  centralMeridian: {
+    get: function () {
+      return this._centralMeridian;
+    },
+  },
+
+  /**
+   * Gets the latitude in radians where the northing is the false northing.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  latitudeOfOrigin: {
+    get: function () {
+      return this._latitudeOfOrigin;
+    },
+  },
+
+  /**
+   * Gets the scale factor on the central meridian.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  scaleFactor: {
+    get: function () {
+      return this._scaleFactor;
+    },
+  },
+
+  /**
+   * Gets the easting of the central meridian in meters.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  falseEasting: {
+    get: function () {
+      return this._falseEasting;
+    },
+  },
+
+  /**
+   * Gets the northing of the latitude of origin in meters.
+   *
+   * @memberof TransverseMercatorProjection.prototype
+   *
+   * @type {number}
+   * @readonly
+   */
+  falseNorthing: {
+    get: function () {
+      return this._falseNorthing;
+    },
+  },
+});
+
+// The tangent of the conformal latitude
+function computeConformalTangent(projection, latitude) {
+  const e = projection._eccentricity;
+  const sinLatitude = Math.sin(latitude);
+  return Math.sinh(atanh(sinLatitude) - e * atanh(e * sinLatitude));
+}
+
+/**
+ * Creates the projection of a Universal Transverse Mercator (UTM) zone.
+ *
+ * @param {number} zone The zone, from 1 to 60.
+ * @param {boolean} [southernHemisphere=false] <code>true</code> for the southern hemisphere, which has a false northing of 10000 kilometers.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {TransverseMercatorProjection} The projection of the zone.
+ *
+ * @example
+ * // WGS 84 / UTM zone 33N, EPSG:32633
+ * const projection = Cesium.TransverseMercatorProjection.fromUtmZone(33);
+ */
+TransverseMercatorProjection.fromUtmZone = function (
+  zone,
+  southernHemisphere,
+  ellipsoid
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThanOrEquals("zone", zone, 1);
+  Check.typeOf.number.lessThanOrEquals("zone", zone, 60);
+  //>>includeEnd('debug');
+
+  return new TransverseMercatorProjection({
+    ellipsoid: ellipsoid,
+    centralMeridian: CesiumMath.toRadians(zone * 6.0 - 183.0),
+    scaleFactor: 0.9996,
+    falseEasting: 500000.0,
+    falseNorthing: defaultValue(southernHemisphere, false) ? 10000000.0 : 0.0,
+  });
+};
+
+/**
+ * Projects a {@link Cartographic}, in radians, to easting, northing and height in meters, which are returned
+ * in the X, Y and Z coordinates of a {@link Cartesian3}.
+ *
+ * @param {Cartographic} cartographic The cartographic coordinates in radians.
+ * @param {Cartesian3} [result] The instance to which to copy the result, or undefined if a
+ *        new instance should be created.
+ * @returns {Cartesian3} The easting, northing and height in meters.
+ */
+TransverseMercatorProjection.prototype.project = function (
+  cartographic,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  const longitude = CesiumMath.negativePiToPi(
+    cartographic.longitude - this._centralMeridian
+  );
+  const t = computeConformalTangent(this, cartographic.latitude);
+  const xiPrime = Math.atan2(t, Math.cos(longitude));
+  const etaPrime = atanh(Math.sin(longitude) / Math.sqrt(1.0 + t * t));
+
+  let xi = xiPrime;
+  let eta = etaPrime;
+  for (let j = 0; j < 3; ++j) {
+    const k = 2.0 * (j + 1);
+    xi += this._alpha[j] * Math.sin(k * xiPrime) * Math.cosh(k * etaPrime);
+    eta += this._alpha[j] * Math.cos(k * xiPrime) * Math.sinh(k * etaPrime);
+  }
+
+  const scale = this._scaleFactor;
+  const x = this._falseEasting + scale * this._rectifyingRadius * eta;
+  const y =
+    this._falseNorthing +
+    scale * (this._rectifyingRadius * xi - this._originArc);
+  const z = cartographic.height;
+
+  if (!defined(result)) {
+    return new Cartesian3(x, y, z);
+  }
+
+  result.x = x;
+  result.y = y;
+  result.z = z;
+  return result;
+};
+
+/**
+ * Unprojects easting, northing and height in meters, in the X, Y and Z coordinates of a {@link Cartesian3},
+ * to a {@link Cartographic} in radians.
+ *
+ * @param {Cartesian3} cartesian The easting, northing and height in meters.
+ * @param {Cartographic} [result] The instance to which to copy the result, or undefined if a
+ *        new instance should be created.
+ * @returns {Cartographic} The cartographic coordinates in radians.
+ */
+TransverseMercatorProjection.prototype.unproject = function (
+  cartesian,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartesian", cartesian);
+  //>>includeEnd('debug');
+
+  const scaledRadius = this._scaleFactor * this._rectifyingRadius;
+  const xi =
+    (cartesian.y - this._falseNorthing) / scaledRadius +
+    this._originArc / this._rectifyingRadius;
+  const eta = (cartesian.x - this._falseEasting) / scaledRadius;
+
+  let xiPrime = xi;
+  let etaPrime = eta;
+  for (let j = 0; j < 3; ++j) {
+    const k = 2.0 * (j + 1);
+    xiPrime -= this._beta[j] * Math.sin(k * xi) * Math.cosh(k * eta);
+    etaPrime -= this._beta[j] * Math.cos(k * xi) * Math.sinh(k * eta);
+  }
+
+  const conformalLatitude = Math.asin(
+    CesiumMath.clamp(Math.sin(xiPrime) / Math.cosh(etaPrime), -1.0, 1.0)
+  );
+  let latitude = conformalLatitude;
+  for (let j = 0; j < 3; ++j) {
+    latitude += this._delta[j] * Math.sin(2.0 * (j + 1) * conformalLatitude);
+  }
+  const longitude = CesiumMath.negativePiToPi(
+    this._centralMeridian + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime))
+  );
+  const height = defaultValue(cartesian.z, 0.0);
+
+  if (!defined(result)) {
+    return new Cartographic(longitude, latitude, height);
+  }
+
+  result.longitude = longitude;
+  result.latitude = latitude;
+  result.height = height;
+  return result;
+};
+export default TransverseMercatorProjection;
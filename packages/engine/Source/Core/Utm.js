@@ -0,0 +1,232 @@
+import Cartesian3 from "./Cartesian3.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import CesiumMath from "./Math.js";
+import TransverseMercatorProjection from "./TransverseMercatorProjection.js";
+
+/**
+ * Functions for converting positions to and from Universal Transverse Mercator (UTM) coordinates on the WGS84
+ * ellipsoid: a zone from 1 to 60, a hemisphere and an easting and northing in meters.
+ *
+ * @namespace Utm
+ *
+ * @see Mgrs
+ * @see TransverseMercatorProjection.fromUtmZone
+ */
+const Utm = {};
+
+// The projections of the zones, created when they are first used
+const projections = [];
+
+function getProjection(zone, southernHemisphere) {
+  const index = (zone - 1) * 2 + (southernHemisphere ? 1 : 0);
+  let projection = projections[index];
+  if (!defined(projection)) {
+    projection = projections[index] = TransverseMercatorProjection.fromUtmZone(
+      zone,
+      southernHemisphere
+    );
+  }
+  return projection;
+}
+
+/**
+ * Computes the UTM zone of a position, including the exceptions of the zones of southwest Norway and Svalbard.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @returns {number} The zone, from 1 to 60.
+ */
+Utm.computeZone = function (cartographic) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  const longitude = CesiumMath.toDegrees(
+    CesiumMath.negativePiToPi(cartographic.longitude)
+  );
+  const latitude = CesiumMath.toDegrees(cartographic.latitude);
+
+  if (
+    latitude >= 56.0 &&
+    latitude < 64.0 &&
+    longitude >= 3.0 &&
+    longitude < 12.0
+  ) {
+    return 32;
+  }
+  if (
+    latitude >= 72.0 &&
+    latitude < 84.0 &&
+    longitude >= 0.0 &&
+    longitude < 42.0
+  ) {
+    if (longitude < 9.0) {
+      return 31;
+    }
+    if (longitude < 21.0) {
+      return 33;
+    }
+    if (longitude < 33.0) {
+      return 35;
+    }
+    return 37;
+  }
+  return (Math.floor((longitude + 180.0) / 6.0) % 60) + 1;
+};
+
+const bandLetters = "CDEFGHJKLMNPQRSTUVWX";
+
+/**
+ * Computes the latitude band of a position, the letter from <code>C</code> to <code>X</code> that follows the
+ * zone in UTM coordinates and MGRS references. Bands <code>C</code> to <code>M</code> are in the southern
+ * hemisphere and bands <code>N</code> to <code>X</code> are in the northern hemisphere.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @returns {string|undefined} The latitude band, or <code>undefined</code> if the latitude is below -80 or above 84 degrees.
+ */
+Utm.computeLatitudeBand = function (cartographic) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  const degrees = CesiumMath.toDegrees(cartographic.latitude);
+  if (degrees < -80.0 || degrees > 84.0) {
+    return undefined;
+  }
+  // Band X extends to 84 degrees
+  return bandLetters[Math.min(Math.floor((degrees + 80.0) / 8.0), 19)];
+};
+
+const scratchCartesian = new Cartesian3();
+
+/**
+ * Converts a position to UTM coordinates in its zone.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @param {object} [result] The object onto which to store the result.
+ * @returns {{zone: number, southernHemisphere: boolean, easting: number, northing: number}} The UTM coordinates, where the easting and northing are in meters.
+ *
+ * @example
+ * const utm = Cesium.Utm.fromCartographic(Cesium.Cartographic.fromDegrees(16.0, 50.0));
+ * // utm.zone === 33, utm.easting ≈ 571666.4, utm.northing ≈ 5539109.8
+ */
+Utm.fromCartographic = function (cartographic, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  const zone = Utm.computeZone(cartographic);
+  const southernHemisphere = cartographic.latitude < 0.0;
+  const projected = getProjection(zone, southernHemisphere).project(
+    cartographic,
+    scratchCartesian
+  );
+
+  if (!defined(result)) {
+    result = {};
+  }
+  result.zone = zone;
+  result.southernHemisphere = southernHemisphere;
+  result.easting = projected.x;
+  result.northing = projected.y;
+  return result;
+};
+
+/**
+ * Converts UTM coordinates to a position.
+ *
+ * @param {number} zone The zone, from 1 to 60.
+ * @param {boolean} southernHemisphere <code>true</code> if the northing is in the southern hemisphere.
+ * @param {number} easting The easting in meters.
+ * @param {number} northing The northing in meters.
+ * @param {Cartographic} [result] The object onto which to store the result.
+ * @returns {Cartographic} The position, with a height of zero.
+ */
+Utm.toCartographic = function (
+  zone,
+  southernHemisphere,
+  easting,
+  northing,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThanOrEquals("zone", zone, 1);
+  Check.typeOf.number.lessThanOrEquals("zone", zone, 60);
+  Check.typeOf.bool("southernHemisphere", southernHemisphere);
+  Check.typeOf.number("easting", easting);
+  Check.typeOf.number("northing", northing);
+  //>>includeEnd('debug');
+
+  return getProjection(zone, southernHemisphere).unproject(
+    Cartesian3.fromElements(easting, northing, 0.0, scratchCartesian),
+    result
+  );
+};
+
+const utmRegex = /^\s*(\d{1,2})\s*([C-HJ-NP-X])[\s,]*(\d+(?:\.\d+)?)\s*(?:m?E)?[\s,]+(\d+(?:\.\d+)?)\s*(?:m?N)?\s*$/i;
+
+/**
+ * Parses UTM coordinates such as <code>33U 571666 5539110</code> or <code>18S 323480mE 4306470mN</code> to a
+ * position. The zone is followed by its latitude band from <code>C</code> to <code>X</code>, which gives the
+ * hemisphere: bands <code>C</code> to <code>M</code> are southern and bands <code>N</code> to <code>X</code> are
+ * northern, so <code>S</code> is a northern band and not the southern hemisphere.
+ *
+ * @param {string} text The UTM coordinates.
+ * @param {Cartographic} [result] The object onto which to store the result.
+ * @returns {Cartographic|undefined} The position, or <code>undefined</code> if the text is not valid UTM coordinates.
+ */
+Utm.parse = function (text, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("text", text);
+  //>>includeEnd('debug');
+
+  const match = utmRegex.exec(text);
+  if (!defined(match)) {
+    return undefined;
+  }
+
+  const zone = parseInt(match[1], 10);
+  const letter = match[2].toUpperCase();
+  const easting = parseFloat(match[3]);
+  const northing = parseFloat(match[4]);
+  if (zone < 1 || zone > 60 || northing > 10000000.0) {
+    return undefined;
+  }
+
+  const southernHemisphere = letter < "N";
+  return Utm.toCartographic(
+    zone,
+    southernHemisphere,
+    easting,
+    northing,
+    result
+  );
+};
+
+const scratchUtm = {};
+
+/**
+ * Formats a position as UTM coordinates with its latitude band for display, such as
+ * <code>33U 571666 5539110</code>. Positions beyond the bands are given the southernmost or northernmost band.
+ *
+ * @param {Cartographic} cartographic The position.
+ * @param {number} [decimals=0] The number of decimal places of the easting and northing.
+ * @returns {string} The UTM coordinates.
+ */
+Utm.format = function (cartographic, decimals) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  decimals = defaultValue(decimals, 0);
+  const utm = Utm.fromCartographic(cartographic, scratchUtm);
+  const band = defaultValue(
+    Utm.computeLatitudeBand(cartographic),
+    utm.southernHemisphere ? "C" : "X"
+  );
+  return `${utm.zone}${band} ${utm.easting.toFixed(
+    decimals
+  )} ${utm.northing.toFixed(decimals)}`;
+};
+export default Utm;
@@ -0,0 +1,323 @@
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+
+// The edges crossed by the contour line segments of each marching squares case, where the corners of a cell are
+// numbered clockwise from the north west corner, and the edges are numbered 0: north, 1: east, 2: south and 3: west.
+// The saddle cases 5 and 10 depend on the average height of the cell and are handled separately.
+const caseSegments = [
+  [],
+  [3, 2],
+  [2, 1],
+  [3, 1],
+  [0, 1],
+  undefined,
+  [0, 2],
+  [3, 0],
+  [3, 0],
+  [0, 2],
+  undefined,
+  [0, 1],
+  [3, 1],
+  [1, 2],
+  [3, 2],
+  [],
+];
+
+function isValid(value) {
+  return defined(value) && !isNaN(value);
+}
+
+function computeLevels(heights, interval, base) {
+  let minimum = Number.POSITIVE_INFINITY;
+  let maximum = Number.NEGATIVE_INFINITY;
+  for (let i = 0; i < heights.length; ++i) {
+    const value = heights[i];
+    if (isValid(value)) {
+      minimum = Math.min(minimum, value);
+      maximum = Math.max(maximum, value);
+    }
+  }
+
+  const levels = [];
+  if (minimum > maximum) {
+    return levels;
+  }
+  const first = Math.ceil((minimum - base) / interval);
+  const last = Math.floor((maximum - base) / interval);
+  for (let i = first; i <= last; ++i) {
+    levels.push(base + i * interval);
+  }
+  return levels;
+}
+
+function addSegment(neighbors, key0, key1) {
+  let list = neighbors.get(key0);
+  if (!defined(list)) {
+    list = [];
+    neighbors.set(key0, list);
+  }
+  list.push(key1);
+
+  list = neighbors.get(key1);
+  if (!defined(list)) {
+    list = [];
+    neighbors.set(key1, list);
+  }
+  list.push(key0);
+}
+
+function findSegments(grid, level) {
+  const heights = grid.heights;
+  const width = grid.width;
+  const height = grid.height;
+  const verticalOffset = grid.verticalOffset;
+  const neighbors = new Map();
+  const edges = new Array(4);
+
+  for (let y = 0; y < height - 1; ++y) {
+    for (let x = 0; x < width - 1; ++x) {
+      const northWest = heights[y * width + x];
+      const northEast = heights[y * width + x + 1];
+      const southEast = heights[(y + 1) * width + x + 1];
+      const southWest = heights[(y + 1) * width + x];
+      if (
+        !isValid(northWest) ||
+        !isValid(northEast) ||
+        !isValid(southEast) ||
+        !isValid(southWest)
+      ) {
+        continue;
+      }
+
+      const index =
+        (northWest >= level ? 8 : 0) |
+        (northEast >= level ? 4 : 0) |
+        (southEast >= level ? 2 : 0) |
+        (southWest >= level ? 1 : 0);
+      if (index === 0 || index === 15) {
+        continue;
+      }
+
+      edges[0] = y * (width - 1) + x;
+      edges[1] = verticalOffset + y * width + x + 1;
+      edges[2] = (y + 1) * (width - 1) + x;
+      edges[3] = verticalOffset + y * width + x;
+
+      let segments = caseSegments[index];
+      if (!defined(segments)) {
+        // Saddle cells connect the corners above the level when the center of the cell is above it
+        const centerAbove =
+          (northWest + northEast + southEast + southWest) / 4.0 >= level;
+        if (index === 5) {
+          segments = centerAbove ? [3, 0, 1, 2] : [0, 1, 3, 2];
+        } else {
+          segments = centerAbove ? [0, 1, 3, 2] : [3, 0, 1, 2];
+        }
+      }
+
+      for (let i = 0; i < segments.length; i += 2) {
+        addSegment(neighbors, edges[segments[i]], edges[segments[i + 1]]);
+      }
+    }
+  }
+
+  return neighbors;
+}
+
+function computeEdgePosition(grid, key, level) {
+  const width = grid.width;
+  let x0;
+  let y0;
+  let x1;
+  let y1;
+  if (key < grid.verticalOffset) {
+    y0 = y1 = Math.floor(key / (width - 1));
+    x0 = key % (width - 1);
+    x1 = x0 + 1;
+  } else {
+    const vertical = key - grid.verticalOffset;
+    y0 = Math.floor(vertical / width);
+    y1 = y0 + 1;
+    x0 = x1 = vertical % width;
+  }
+
+  const height0 = grid.heights[y0 * width + x0];
+  const height1 = grid.heights[y1 * width + x1];
+  const t = (level - height0) / (height1 - height0);
+  const x = x0 + t * (x1 - x0);
+  const y = y0 + t * (y1 - y0);
+
+  let longitude = grid.west + x * grid.longitudeSpacing;
+  if (longitude > CesiumMath.PI) {
+    longitude -= CesiumMath.TWO_PI;
+  }
+  return new Cartographic(
+    longitude,
+    grid.north - y * grid.latitudeSpacing,
+    level
+  );
+}
+
+function traceLine(grid, neighbors, visited, start, level) {
+  const positions = [computeEdgePosition(grid, start, level)];
+  visited.add(start);
+
+  let current = start;
+  for (;;) {
+    const list = neighbors.get(current);
+    let next;
+    for (let i = 0; i < list.length; ++i) {
+      if (!visited.has(list[i])) {
+        next = list[i];
+        break;
+      }
+    }
+    if (!defined(next)) {
+      break;
+    }
+    visited.add(next);
+    positions.push(computeEdgePosition(grid, next, level));
+    current = next;
+  }
+  return positions;
+}
+
+// Lines at the height of a peak or a pit collapse to a point
+function isDegenerate(positions) {
+  for (let i = 1; i < positions.length; ++i) {
+    if (!Cartographic.equals(positions[0], positions[i])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function traceLines(grid, neighbors, level, lines) {
+  const visited = new Set();
+
+  // Lines that end at the edge of the grid or at cells without heights start at their ends
+  for (const [key, list] of neighbors) {
+    if (list.length === 1 && !visited.has(key)) {
+      const positions = traceLine(grid, neighbors, visited, key, level);
+      if (!isDegenerate(positions)) {
+        lines.push({
+          height: level,
+          positions: positions,
+          closed: false,
+        });
+      }
+    }
+  }
+
+  // The remaining lines are loops
+  for (const key of neighbors.keys()) {
+    if (!visited.has(key)) {
+      const positions = traceLine(grid, neighbors, visited, key, level);
+      if (isDegenerate(positions)) {
+        continue;
+      }
+      positions.push(Cartographic.clone(positions[0]));
+      lines.push({
+        height: level,
+        positions: positions,
+        closed: true,
+      });
+    }
+  }
+}
+
+/**
+ * Computes contour lines, also known as isolines, of a regular grid of heights, such as the heights of a
+ * {@link HeightmapTerrainData} or of terrain sampled with {@link sampleTerrainContours}. The lines are found with
+ * marching squares and the segments of each cell are joined into polylines.
+ *
+ * @function computeContourLines
+ *
+ * @param {object} options Object with the following properties:
+ * @param {number[]|Int16Array|Uint16Array|Float32Array|Float64Array} options.heights The heights in meters, in rows from north to south, with <code>NaN</code> or <code>undefined</code> where there is no height.
+ * @param {number} options.width The number of heights in each row.
+ * @param {number} options.height The number of rows.
+ * @param {Rectangle} options.rectangle The rectangle covered by the grid. The first and last heights of each row are on its west and east edges, and the first and last rows are on its north and south edges.
+ * @param {number} [options.interval] The difference in height between contour lines in meters. Either this or <code>options.levels</code> is required.
+ * @param {number} [options.base=0.0] The height of one of the contour lines, from which the others are spaced by <code>options.interval</code>.
+ * @param {number[]} [options.levels] The heights of the contour lines. Used instead of <code>options.interval</code> when defined.
+ * @returns {ContourLine[]} The contour lines, ordered by height.
+ *
+ * @exception {DeveloperError} options.interval or options.levels is required.
+ * @exception {DeveloperError} options.heights must have options.width times options.height heights.
+ *
+ * @example
+ * // A 3x3 grid with a hill in the middle
+ * const contourLines = Cesium.computeContourLines({
+ *   heights: [0.0, 0.0, 0.0, 0.0, 30.0, 0.0, 0.0, 0.0, 0.0],
+ *   width: 3,
+ *   height: 3,
+ *   rectangle: Cesium.Rectangle.fromDegrees(7.0, 46.0, 7.01, 46.01),
+ *   interval: 10.0,
+ * });
+ * // contourLines has closed lines around the hill at 10 and 20 meters
+ */
+function computeContourLines(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const heights = options.heights;
+  const width = options.width;
+  const height = options.height;
+  const rectangle = options.rectangle;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.heights", heights);
+  Check.typeOf.number.greaterThanOrEquals("options.width", width, 2);
+  Check.typeOf.number.greaterThanOrEquals("options.height", height, 2);
+  Check.typeOf.object("options.rectangle", rectangle);
+  if (!defined(options.interval) && !defined(options.levels)) {
+    throw new DeveloperError("options.interval or options.levels is required.");
+  }
+  if (defined(options.interval)) {
+    Check.typeOf.number.greaterThan("options.interval", options.interval, 0.0);
+  }
+  if (heights.length !== width * height) {
+    throw new DeveloperError(
+      "options.heights must have options.width times options.height heights."
+    );
+  }
+  //>>includeEnd('debug');
+
+  const levels = defined(options.levels)
+    ? options.levels.slice().sort(function (a, b) {
+        return a - b;
+      })
+    : computeLevels(heights, options.interval, defaultValue(options.base, 0.0));
+
+  const grid = {
+    heights: heights,
+    width: width,
+    height: height,
+    verticalOffset: height * (width - 1),
+    west: rectangle.west,
+    north: rectangle.north,
+    longitudeSpacing: Rectangle.computeWidth(rectangle) / (width - 1),
+    latitudeSpacing: Rectangle.computeHeight(rectangle) / (height - 1),
+  };
+
+  const lines = [];
+  for (let i = 0; i < levels.length; ++i) {
+    const neighbors = findSegments(grid, levels[i]);
+    traceLines(grid, neighbors, levels[i], lines);
+  }
+  return lines;
+}
+
+/**
+ * A contour line computed by {@link computeContourLines} or {@link sampleTerrainContours}.
+ * @typedef {object} ContourLine
+ * @property {number} height The height of the contour line in meters.
+ * @property {Cartographic[]} positions The positions of the line, with heights of the contour line. The first position of a closed line is repeated at its end.
+ * @property {boolean} closed <code>true</code> if the line is a loop; <code>false</code> if it ends at the edge of the grid or at heights that are not defined.
+ */
+
+export default computeContourLines;
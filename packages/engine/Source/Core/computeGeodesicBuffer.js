@@ -0,0 +1,383 @@
+import arrayRemoveDuplicates from "./arrayRemoveDuplicates.js";
+import Cartesian3 from "./Cartesian3.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import CornerType from "./CornerType.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import Ellipsoid from "./Ellipsoid.js";
+import EllipsoidGeodesic from "./EllipsoidGeodesic.js";
+import CesiumMath from "./Math.js";
+import PolygonHierarchy from "./PolygonHierarchy.js";
+import PolygonPipeline from "./PolygonPipeline.js";
+
+// The ratio of the length of a miter to the buffer distance beyond which corners are beveled, as in SVG
+const miterLimit = 4.0;
+
+const directionScratch = new Cartesian3();
+const eastScratch = new Cartesian3();
+const northScratch = new Cartesian3();
+const targetScratch = new Cartographic();
+const destinationScratch = new Cartographic();
+
+// EllipsoidGeodesic only solves for the geodesic between two positions, so the geodesic with a bearing is found
+// through a nearby position in that direction
+function computeDestination(context, origin, bearing, distance) {
+  const ellipsoid = context.ellipsoid;
+  const cosLatitude = Math.cos(origin.latitude);
+  const sinLatitude = Math.sin(origin.latitude);
+  const cosLongitude = Math.cos(origin.longitude);
+  const sinLongitude = Math.sin(origin.longitude);
+  const east = Cartesian3.fromElements(
+    -sinLongitude,
+    cosLongitude,
+    0.0,
+    eastScratch
+  );
+  const north = Cartesian3.fromElements(
+    -sinLatitude * cosLongitude,
+    -sinLatitude * sinLongitude,
+    cosLatitude,
+    northScratch
+  );
+
+  const direction = Cartesian3.add(
+    Cartesian3.multiplyByScalar(east, Math.sin(bearing), east),
+    Cartesian3.multiplyByScalar(north, Math.cos(bearing), north),
+    directionScratch
+  );
+  const target = Cartesian3.add(
+    ellipsoid.cartographicToCartesian(origin, eastScratch),
+    Cartesian3.multiplyByScalar(
+      direction,
+      context.directionOffset,
+      directionScratch
+    ),
+    directionScratch
+  );
+
+  const geodesic = context.geodesic;
+  geodesic.setEndPoints(
+    origin,
+    ellipsoid.cartesianToCartographic(target, targetScratch)
+  );
+  return ellipsoid.cartographicToCartesian(
+    geodesic.interpolateUsingSurfaceDistance(distance, destinationScratch)
+  );
+}
+
+function addArc(context, center, bearing, angle, points) {
+  const steps = Math.ceil(Math.abs(angle) / context.cornerGranularity);
+  for (let i = 1; i < steps; ++i) {
+    points.push(
+      computeDestination(
+        context,
+        center,
+        bearing + (angle * i) / steps,
+        context.distance
+      )
+    );
+  }
+}
+
+// The positions are subdivided along the geodesic between them, as the offsets to each side are not geodesics
+function computeSegment(context, start, end) {
+  const geodesic = context.segmentGeodesic;
+  geodesic.setEndPoints(start.cartographic, end.cartographic);
+  const length = geodesic.surfaceDistance;
+  const count = Math.max(Math.ceil(length / context.granularity), 1);
+
+  const samples = [start.cartographic];
+  const headings = [geodesic.startHeading];
+  for (let i = 1; i < count; ++i) {
+    const sample = geodesic.interpolateUsingSurfaceDistance(
+      (length * i) / count,
+      new Cartographic()
+    );
+    context.headingGeodesic.setEndPoints(sample, end.cartographic);
+    samples.push(sample);
+    headings.push(context.headingGeodesic.startHeading);
+  }
+  samples.push(end.cartographic);
+  headings.push(geodesic.endHeading);
+
+  const left = [];
+  const right = [];
+  for (let i = 0; i <= count; ++i) {
+    left.push(
+      computeDestination(
+        context,
+        samples[i],
+        headings[i] - CesiumMath.PI_OVER_TWO,
+        context.distance
+      )
+    );
+    right.push(
+      computeDestination(
+        context,
+        samples[i],
+        headings[i] + CesiumMath.PI_OVER_TWO,
+        context.distance
+      )
+    );
+  }
+
+  // The positions are part of the ring so that it shares edges with the corners
+  const ring = left.concat(end.cartesian, right.slice().reverse(), [
+    start.cartesian,
+  ]);
+  context.polygons.push(new PolygonHierarchy(ring));
+
+  return {
+    startHeading: headings[0],
+    endHeading: headings[count],
+    left: left,
+    right: right,
+  };
+}
+
+function addCorner(context, vertex, incoming, outgoing) {
+  const turn = CesiumMath.negativePiToPi(
+    outgoing.startHeading - incoming.endHeading
+  );
+  if (Math.abs(turn) < CesiumMath.EPSILON7) {
+    return;
+  }
+
+  // Headings are clockwise from north, so the outside of a turn to the right is on the left
+  let bearing;
+  let start;
+  let end;
+  if (turn > 0.0) {
+    bearing = incoming.endHeading - CesiumMath.PI_OVER_TWO;
+    start = incoming.left[incoming.left.length - 1];
+    end = outgoing.left[0];
+  } else {
+    bearing = incoming.endHeading + CesiumMath.PI_OVER_TWO;
+    start = incoming.right[incoming.right.length - 1];
+    end = outgoing.right[0];
+  }
+
+  const ring = [vertex.cartesian, start];
+  const cosHalfTurn = Math.cos(turn * 0.5);
+  if (context.cornerType === CornerType.ROUNDED) {
+    addArc(context, vertex.cartographic, bearing, turn, ring);
+  } else if (
+    context.cornerType === CornerType.MITERED &&
+    cosHalfTurn * miterLimit >= 1.0
+  ) {
+    ring.push(
+      computeDestination(
+        context,
+        vertex.cartographic,
+        bearing + turn * 0.5,
+        context.distance / cosHalfTurn
+      )
+    );
+  }
+  ring.push(end);
+  context.polygons.push(new PolygonHierarchy(ring));
+}
+
+function addCap(context, vertex, bearing, start, end) {
+  const ring = [vertex.cartesian, start];
+  addArc(context, vertex.cartographic, bearing, Math.PI, ring);
+  ring.push(end);
+  context.polygons.push(new PolygonHierarchy(ring));
+}
+
+function addCircle(context, vertex) {
+  const ring = [
+    computeDestination(context, vertex.cartographic, 0.0, context.distance),
+  ];
+  addArc(context, vertex.cartographic, 0.0, CesiumMath.TWO_PI, ring);
+  context.polygons.push(new PolygonHierarchy(ring));
+}
+
+function createVertices(context, positions, closed) {
+  const ellipsoid = context.ellipsoid;
+  const cartesians = arrayRemoveDuplicates(
+    positions,
+    Cartesian3.equalsEpsilon,
+    closed
+  );
+  return cartesians.map(function (position) {
+    const cartographic = ellipsoid.cartesianToCartographic(position);
+    cartographic.height = 0.0;
+    return {
+      cartographic: cartographic,
+      cartesian: ellipsoid.cartographicToCartesian(cartographic),
+    };
+  });
+}
+
+function addLine(context, positions, closed) {
+  const vertices = createVertices(context, positions, closed);
+  if (vertices.length === 1) {
+    addCircle(context, vertices[0]);
+    return;
+  }
+
+  const segmentCount = closed ? vertices.length : vertices.length - 1;
+  const segments = [];
+  for (let i = 0; i < segmentCount; ++i) {
+    segments.push(
+      computeSegment(context, vertices[i], vertices[(i + 1) % vertices.length])
+    );
+  }
+
+  for (let i = 1; i < segmentCount; ++i) {
+    addCorner(context, vertices[i], segments[i - 1], segments[i]);
+  }
+  if (closed) {
+    addCorner(context, vertices[0], segments[segmentCount - 1], segments[0]);
+  } else if (context.cornerType === CornerType.ROUNDED) {
+    const first = segments[0];
+    const last = segments[segmentCount - 1];
+    addCap(
+      context,
+      vertices[0],
+      first.startHeading + CesiumMath.PI_OVER_TWO,
+      first.right[0],
+      first.left[0]
+    );
+    addCap(
+      context,
+      vertices[vertices.length - 1],
+      last.endHeading - CesiumMath.PI_OVER_TWO,
+      last.left[last.left.length - 1],
+      last.right[last.right.length - 1]
+    );
+  }
+}
+
+function addRings(context, hierarchy) {
+  if (hierarchy.positions.length > 0) {
+    addLine(context, hierarchy.positions, true);
+  }
+  const holes = defaultValue(hierarchy.holes, []);
+  for (let i = 0; i < holes.length; ++i) {
+    addRings(context, holes[i]);
+  }
+}
+
+function createHierarchies(polygons) {
+  return polygons.map(function (polygon) {
+    return new PolygonHierarchy(
+      polygon.positions,
+      polygon.holes.map(function (hole) {
+        return new PolygonHierarchy(hole);
+      })
+    );
+  });
+}
+
+/**
+ * Computes the area within a distance of a position, a polyline or a polygon on an ellipsoid. Distances are
+ * measured along geodesics, and the edges of the resulting polygons are geodesics between positions at the
+ * distance, so they can be used as the hierarchy of a {@link PolygonGraphics} or {@link PolygonGeometry}.
+ * <p>
+ * A negative distance shrinks a polygon, and may split it into several polygons or remove it. The area of a
+ * position or a polyline with a negative distance is empty. All positions of the result must be within one
+ * hemisphere.
+ * </p>
+ *
+ * @function computeGeodesicBuffer
+ *
+ * @param {Cartesian3|Cartesian3[]|PolygonHierarchy} shape The position, the positions of the polyline, or the polygon, whose edges are geodesics.
+ * @param {number} distance The distance in meters.
+ * @param {object} [options] Object with the following properties:
+ * @param {CornerType} [options.cornerType=CornerType.ROUNDED] The style of the corners, which also determines whether the ends of a polyline are rounded or flat.
+ * @param {number} [options.granularity=CesiumMath.RADIANS_PER_DEGREE] The distance, in radians, between positions along the sides of the edges.
+ * @param {number} [options.cornerGranularity=CesiumMath.toRadians(5.0)] The angle, in radians, between positions of rounded corners, the ends of polylines and the circles around positions.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {PolygonHierarchy[]} The polygons covering the area, which are on the surface of the ellipsoid.
+ *
+ * @exception {RuntimeError} The positions of the polygons must be within a hemisphere.
+ *
+ * @example
+ * // A 500 meter corridor along a road, with flat ends
+ * const buffer = Cesium.computeGeodesicBuffer(
+ *   Cesium.Cartesian3.fromDegreesArray([-75.10, 39.57, -75.02, 39.60, -74.98, 39.66]),
+ *   500.0,
+ *   {
+ *     cornerType: Cesium.CornerType.MITERED,
+ *   }
+ * );
+ * for (const hierarchy of buffer) {
+ *   viewer.entities.add({
+ *     polygon: {
+ *       hierarchy: hierarchy,
+ *       material: Cesium.Color.ORANGE.withAlpha(0.5),
+ *     },
+ *   });
+ * }
+ *
+ * @example
+ * // The area of a polygon farther than 1 kilometer from its edges
+ * const inner = Cesium.computeGeodesicBuffer(hierarchy, -1000.0);
+ */
+function computeGeodesicBuffer(shape, distance, options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("shape", shape);
+  Check.typeOf.number("distance", distance);
+  //>>includeEnd('debug');
+
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  const isPolygon = defined(shape.positions);
+  if (!isPolygon && (distance <= 0.0 || shape.length === 0)) {
+    return [];
+  }
+  if (isPolygon && distance === 0.0) {
+    return createHierarchies(PolygonPipeline.computeUnion([shape], ellipsoid));
+  }
+
+  const context = {
+    ellipsoid: ellipsoid,
+    distance: Math.abs(distance),
+    cornerType: defaultValue(options.cornerType, CornerType.ROUNDED),
+    granularity:
+      defaultValue(options.granularity, CesiumMath.RADIANS_PER_DEGREE) *
+      ellipsoid.maximumRadius,
+    cornerGranularity: defaultValue(
+      options.cornerGranularity,
+      CesiumMath.toRadians(5.0)
+    ),
+    directionOffset: ellipsoid.maximumRadius * CesiumMath.EPSILON5,
+    geodesic: new EllipsoidGeodesic(undefined, undefined, ellipsoid),
+    segmentGeodesic: new EllipsoidGeodesic(undefined, undefined, ellipsoid),
+    headingGeodesic: new EllipsoidGeodesic(undefined, undefined, ellipsoid),
+    polygons: [],
+  };
+
+  if (!isPolygon) {
+    addLine(context, Array.isArray(shape) ? shape : [shape], false);
+    return createHierarchies(
+      PolygonPipeline.computeUnion(context.polygons, ellipsoid)
+    );
+  }
+
+  addRings(context, shape);
+  if (distance > 0.0) {
+    context.polygons.push(shape);
+    return createHierarchies(
+      PolygonPipeline.computeUnion(context.polygons, ellipsoid)
+    );
+  }
+
+  // Shrinking a polygon removes the area within the distance of its edges
+  const edgeBuffer = createHierarchies(
+    PolygonPipeline.computeUnion(context.polygons, ellipsoid)
+  );
+  return createHierarchies(
+    PolygonPipeline.computeBooleanOperation(
+      PolygonPipeline.BooleanOperation.DIFFERENCE,
+      [shape],
+      edgeBuffer,
+      ellipsoid
+    )
+  );
+}
+export default computeGeodesicBuffer;
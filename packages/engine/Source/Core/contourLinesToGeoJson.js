@@ -0,0 +1,50 @@
+import Check from "./Check.js";
+import CesiumMath from "./Math.js";
+
+/**
+ * Converts contour lines to a GeoJSON FeatureCollection with a LineString feature for each line. The height of each
+ * line is written as the <code>height</code> property of its feature and as the third coordinate of its positions.
+ *
+ * @function contourLinesToGeoJson
+ *
+ * @param {ContourLine[]} contourLines The contour lines computed by {@link computeContourLines} or {@link sampleTerrainContours}.
+ * @returns {object} A GeoJSON FeatureCollection that can be serialized with <code>JSON.stringify</code> or loaded with {@link GeoJsonDataSource.load}.
+ *
+ * @example
+ * const contourLines = await Cesium.sampleTerrainContours(terrainProvider, rectangle, {
+ *   interval: 10.0,
+ * });
+ * const json = JSON.stringify(Cesium.contourLinesToGeoJson(contourLines));
+ */
+function contourLinesToGeoJson(contourLines) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("contourLines", contourLines);
+  //>>includeEnd('debug');
+
+  const features = contourLines.map(function (contourLine) {
+    const coordinates = contourLine.positions.map(function (cartographic) {
+      return [
+        CesiumMath.toDegrees(cartographic.longitude),
+        CesiumMath.toDegrees(cartographic.latitude),
+        cartographic.height,
+      ];
+    });
+    return {
+      type: "Feature",
+      geometry: {
+        type: "LineString",
+        coordinates: coordinates,
+      },
+      properties: {
+        height: contourLine.height,
+      },
+    };
+  });
+
+  return {
+    type: "FeatureCollection",
+    features: features,
+  };
+}
+
+export default contourLinesToGeoJson;
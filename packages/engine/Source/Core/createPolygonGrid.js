@@ -0,0 +1,98 @@
+import Cartesian2 from "./Cartesian2.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import Ellipsoid from "./Ellipsoid.js";
+import EllipsoidTangentPlane from "./EllipsoidTangentPlane.js";
+import PolygonPipeline from "./PolygonPipeline.js";
+
+// The outer boundary is the first ring. With the even-odd rule, positions inside holes are outside the polygon, and
+// positions inside polygons within holes are inside it.
+function projectHierarchy(tangentPlane, hierarchy, rings) {
+  rings.push(tangentPlane.projectPointsOntoPlane(hierarchy.positions));
+  const holes = defaultValue(hierarchy.holes, []);
+  for (let i = 0; i < holes.length; ++i) {
+    projectHierarchy(tangentPlane, holes[i], rings);
+  }
+  return rings;
+}
+
+/**
+ * Places positions at the centers of the cells of a square grid on the plane tangent to the ellipsoid at a polygon,
+ * keeping the positions that are inside the polygon and outside its holes. Each position stands for the area of one cell,
+ * so sums over the positions approximate integrals over the polygon, such as volumes above or below a surface.
+ *
+ * @function
+ *
+ * @param {PolygonHierarchy} polygonHierarchy The polygon.
+ * @param {object} [options] Object with the following properties:
+ * @param {number} [options.spacing] The distance between positions in meters. The default places about <code>options.cellCount</code> cells in the rectangle around the polygon.
+ * @param {number} [options.cellCount=4096] The approximate number of cells in the rectangle around the polygon when <code>options.spacing</code> is undefined.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {{cartographics: Cartographic[], cellArea: number}} The positions inside the polygon, with heights of zero, and the area of each cell in square meters.
+ *
+ * @private
+ */
+function createPolygonGrid(polygonHierarchy, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("polygonHierarchy", polygonHierarchy);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  const cellCount = defaultValue(options.cellCount, 4096);
+
+  const tangentPlane = EllipsoidTangentPlane.fromPoints(
+    polygonHierarchy.positions,
+    ellipsoid
+  );
+  const rings = projectHierarchy(tangentPlane, polygonHierarchy, []);
+
+  let minimumX = Number.POSITIVE_INFINITY;
+  let minimumY = Number.POSITIVE_INFINITY;
+  let maximumX = Number.NEGATIVE_INFINITY;
+  let maximumY = Number.NEGATIVE_INFINITY;
+  const outer = rings[0];
+  for (let i = 0; i < outer.length; ++i) {
+    minimumX = Math.min(minimumX, outer[i].x);
+    minimumY = Math.min(minimumY, outer[i].y);
+    maximumX = Math.max(maximumX, outer[i].x);
+    maximumY = Math.max(maximumY, outer[i].y);
+  }
+
+  const width = maximumX - minimumX;
+  const height = maximumY - minimumY;
+  const spacing = defaultValue(
+    options.spacing,
+    Math.max(
+      Math.sqrt((width * height) / cellCount),
+      Math.max(width, height) / cellCount
+    )
+  );
+  const columns = Math.max(Math.ceil(width / spacing), 1);
+  const rows = Math.max(Math.ceil(height / spacing), 1);
+
+  const cartographics = [];
+  const point = new Cartesian2();
+  for (let row = 0; row < rows; ++row) {
+    for (let column = 0; column < columns; ++column) {
+      point.x = minimumX + (column + 0.5) * spacing;
+      point.y = minimumY + (row + 0.5) * spacing;
+      if (PolygonPipeline.isInsideRings2D(rings, point)) {
+        const cartographic = Cartographic.fromCartesian(
+          tangentPlane.projectPointOntoEllipsoid(point),
+          ellipsoid
+        );
+        cartographic.height = 0.0;
+        cartographics.push(cartographic);
+      }
+    }
+  }
+
+  return {
+    cartographics: cartographics,
+    cellArea: spacing * spacing,
+  };
+}
+
+export default createPolygonGrid;
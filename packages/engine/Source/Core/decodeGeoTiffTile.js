@@ -0,0 +1,366 @@
+import defined from "./defined.js";
+import RuntimeError from "./RuntimeError.js";
+import pako from "pako/lib/inflate.js";
+
+const LZW_CLEAR_CODE = 256;
+const LZW_END_OF_INFORMATION = 257;
+const LZW_MAXIMUM_CODE_LENGTH = 12;
+
+function decodeLzw(input, expectedLength) {
+  const output = new Uint8Array(expectedLength);
+  const tableSize = 1 << LZW_MAXIMUM_CODE_LENGTH;
+  const prefixes = new Int16Array(tableSize);
+  const suffixes = new Uint8Array(tableSize);
+  const firstBytes = new Uint8Array(tableSize);
+  const lengths = new Uint16Array(tableSize);
+  for (let i = 0; i < 256; ++i) {
+    prefixes[i] = -1;
+    suffixes[i] = i;
+    firstBytes[i] = i;
+    lengths[i] = 1;
+  }
+
+  const inputBitLength = input.length * 8;
+  let bitPosition = 0;
+  let codeLength = 9;
+  let nextCode = 258;
+  let previousCode = -1;
+  let outputPosition = 0;
+
+  function readCode() {
+    if (bitPosition + codeLength > inputBitLength) {
+      return LZW_END_OF_INFORMATION;
+    }
+    const byteIndex = bitPosition >>> 3;
+    const bits =
+      (input[byteIndex] << 16) |
+      ((byteIndex + 1 < input.length ? input[byteIndex + 1] : 0) << 8) |
+      (byteIndex + 2 < input.length ? input[byteIndex + 2] : 0);
+    const code =
+      (bits >>> (24 - (bitPosition & 7) - codeLength)) &
+      ((1 << codeLength) - 1);
+    bitPosition += codeLength;
+    return code;
+  }
+
+  function writeString(code) {
+    const length = lengths[code];
+    let position = outputPosition + length - 1;
+    while (code !== -1) {
+      if (position < output.length) {
+        output[position] = suffixes[code];
+      }
+      --position;
+      code = prefixes[code];
+    }
+    outputPosition += length;
+  }
+
+  function addString(prefix, suffix) {
+    if (nextCode >= tableSize) {
+      return;
+    }
+    prefixes[nextCode] = prefix;
+    suffixes[nextCode] = suffix;
+    firstBytes[nextCode] = firstBytes[prefix];
+    lengths[nextCode] = lengths[prefix] + 1;
+    ++nextCode;
+
+    // TIFF increases the code length one code earlier than GIF
+    if (
+      nextCode + 1 === 1 << codeLength &&
+      codeLength < LZW_MAXIMUM_CODE_LENGTH
+    ) {
+      ++codeLength;
+    }
+  }
+
+  while (outputPosition < expectedLength) {
+    const code = readCode();
+    if (code === LZW_END_OF_INFORMATION) {
+      break;
+    }
+
+    if (code === LZW_CLEAR_CODE) {
+      codeLength = 9;
+      nextCode = 258;
+      previousCode = -1;
+      continue;
+    }
+
+    if (previousCode === -1) {
+      writeString(code);
+    } else if (code < nextCode) {
+      writeString(code);
+      addString(previousCode, firstBytes[code]);
+    } else if (code === nextCode) {
+      addString(previousCode, firstBytes[previousCode]);
+      writeString(code);
+    } else {
+      throw new RuntimeError("Invalid LZW code in GeoTIFF tile.");
+    }
+    previousCode = code;
+  }
+
+  return output;
+}
+
+function decodePackBits(input, expectedLength) {
+  const output = new Uint8Array(expectedLength);
+  let inputPosition = 0;
+  let outputPosition = 0;
+  while (inputPosition < input.length && outputPosition < expectedLength) {
+    let header = input[inputPosition++];
+    if (header > 127) {
+      header -= 256;
+    }
+
+    if (header >= 0) {
+      const count = header + 1;
+      output.set(
+        input.subarray(inputPosition, inputPosition + count),
+        outputPosition
+      );
+      inputPosition += count;
+      outputPosition += count;
+    } else if (header !== -128) {
+      const count = 1 - header;
+      output.fill(
+        input[inputPosition++],
+        outputPosition,
+        outputPosition + count
+      );
+      outputPosition += count;
+    }
+  }
+  return output;
+}
+
+async function decodeJpeg(input, jpegTables) {
+  if (
+    typeof createImageBitmap === "undefined" ||
+    typeof OffscreenCanvas === "undefined"
+  ) {
+    throw new RuntimeError(
+      "JPEG compressed GeoTIFFs are not supported by this browser."
+    );
+  }
+
+  let bytes = input;
+  if (defined(jpegTables)) {
+    // The shared tables end with an end of image marker and the tile starts with a start of image marker
+    bytes = new Uint8Array(jpegTables.length - 2 + input.length - 2);
+    bytes.set(jpegTables.subarray(0, jpegTables.length - 2), 0);
+    bytes.set(input.subarray(2), jpegTables.length - 2);
+  }
+
+  const bitmap = await createImageBitmap(
+    new Blob([bytes], {
+      type: "image/jpeg",
+    })
+  );
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext("2d");
+  context.drawImage(bitmap, 0, 0);
+  const imageData = context.getImageData(0, 0, bitmap.width, bitmap.height);
+  return new Uint8Array(imageData.data.buffer);
+}
+
+function decompress(input, compression, expectedLength, jpegTables) {
+  switch (compression) {
+    case 1:
+      return input;
+    case 5:
+      return decodeLzw(input, expectedLength);
+    case 7:
+      return decodeJpeg(input, jpegTables);
+    case 8:
+    case 32946:
+      return pako.inflate(input);
+    case 32773:
+      return decodePackBits(input, expectedLength);
+    default:
+      throw new RuntimeError(`Unsupported GeoTIFF compression: ${compression}`);
+  }
+}
+
+function createSampleArray(sampleFormat, bitsPerSample, length) {
+  if (sampleFormat === 3) {
+    if (bitsPerSample === 32) {
+      return new Float32Array(length);
+    }
+    if (bitsPerSample === 64) {
+      return new Float64Array(length);
+    }
+  } else if (sampleFormat === 2) {
+    if (bitsPerSample === 8) {
+      return new Int8Array(length);
+    }
+    if (bitsPerSample === 16) {
+      return new Int16Array(length);
+    }
+    if (bitsPerSample === 32) {
+      return new Int32Array(length);
+    }
+  } else {
+    if (bitsPerSample === 8) {
+      return new Uint8Array(length);
+    }
+    if (bitsPerSample === 16) {
+      return new Uint16Array(length);
+    }
+    if (bitsPerSample === 32) {
+      return new Uint32Array(length);
+    }
+  }
+
+  throw new RuntimeError(
+    `Unsupported GeoTIFF sample format: ${bitsPerSample} bit samples of format ${sampleFormat}`
+  );
+}
+
+function readSamples(bytes, samples, bytesPerSample, littleEndian) {
+  if (bytesPerSample === 1) {
+    samples.set(bytes.subarray(0, samples.length));
+    return;
+  }
+
+  const dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const count = Math.min(
+    samples.length,
+    Math.floor(bytes.length / bytesPerSample)
+  );
+  let read;
+  if (samples instanceof Float32Array) {
+    read = dataView.getFloat32;
+  } else if (samples instanceof Float64Array) {
+    read = dataView.getFloat64;
+  } else if (samples instanceof Int16Array) {
+    read = dataView.getInt16;
+  } else if (samples instanceof Uint16Array) {
+    read = dataView.getUint16;
+  } else if (samples instanceof Int32Array) {
+    read = dataView.getInt32;
+  } else {
+    read = dataView.getUint32;
+  }
+
+  for (let i = 0; i < count; ++i) {
+    samples[i] = read.call(dataView, i * bytesPerSample, littleEndian);
+  }
+}
+
+function undoHorizontalDifferencing(samples, width, height, samplesPerPixel) {
+  const rowLength = width * samplesPerPixel;
+  for (let row = 0; row < height; ++row) {
+    const rowStart = row * rowLength;
+    for (let i = samplesPerPixel; i < rowLength; ++i) {
+      samples[rowStart + i] += samples[rowStart + i - samplesPerPixel];
+    }
+  }
+}
+
+function undoFloatingPointPredictor(
+  bytes,
+  width,
+  height,
+  samplesPerPixel,
+  bytesPerSample
+) {
+  const rowLength = width * samplesPerPixel * bytesPerSample;
+  const samplesPerRow = width * samplesPerPixel;
+  const output = new Uint8Array(bytes.length);
+  for (let row = 0; row < height; ++row) {
+    const rowStart = row * rowLength;
+    const rowBytes = bytes.subarray(rowStart, rowStart + rowLength);
+    for (let i = samplesPerPixel; i < rowLength; ++i) {
+      rowBytes[i] = (rowBytes[i] + rowBytes[i - samplesPerPixel]) & 0xff;
+    }
+
+    // The bytes of each sample are stored in separate planes, starting with the most significant byte
+    for (let i = 0; i < samplesPerRow; ++i) {
+      for (let b = 0; b < bytesPerSample; ++b) {
+        output[rowStart + i * bytesPerSample + b] =
+          rowBytes[(bytesPerSample - b - 1) * samplesPerRow + i];
+      }
+    }
+  }
+  return output;
+}
+
+/**
+ * Decodes a tile of a GeoTIFF image into an array of samples.  Samples are interleaved, so the samples
+ * of the pixel at (x, y) start at <code>(y * tileWidth + x) * samplesPerPixel</code>.
+ *
+ * @function decodeGeoTiffTile
+ *
+ * @param {Uint8Array} input The compressed tile.
+ * @param {object} image The layout of the image containing the tile.
+ * @param {number} image.tileWidth The width of the tile in pixels.
+ * @param {number} image.tileHeight The height of the tile in pixels.
+ * @param {number} image.samplesPerPixel The number of samples per pixel.
+ * @param {number} image.bitsPerSample The number of bits of each sample.
+ * @param {number} image.sampleFormat The TIFF sample format: 1 for unsigned integers, 2 for signed integers and 3 for floating point.
+ * @param {number} image.compression The TIFF compression scheme.
+ * @param {number} image.predictor The TIFF predictor.
+ * @param {boolean} image.littleEndian Whether the file is little endian.
+ * @param {Uint8Array} [image.jpegTables] The JPEG tables shared by the tiles of JPEG compressed images.
+ * @returns {Promise<{samples: TypedArray, samplesPerPixel: number}>} A promise that resolves to the samples of the tile. JPEG compressed tiles
+ *          are decoded to 8-bit RGBA samples.
+ *
+ * @exception {RuntimeError} Unsupported GeoTIFF compression.
+ * @exception {RuntimeError} Unsupported GeoTIFF sample format.
+ *
+ * @private
+ */
+async function decodeGeoTiffTile(input, image) {
+  const width = image.tileWidth;
+  const height = image.tileHeight;
+  const bitsPerSample = image.bitsPerSample;
+  const bytesPerSample = bitsPerSample / 8;
+  const samplesPerPixel = image.samplesPerPixel;
+
+  if (image.compression === 7) {
+    const rgba = await decodeJpeg(input, image.jpegTables);
+    return {
+      samples: rgba,
+      samplesPerPixel: 4,
+    };
+  }
+
+  const samples = createSampleArray(
+    image.sampleFormat,
+    bitsPerSample,
+    width * height * samplesPerPixel
+  );
+  let bytes = await decompress(
+    input,
+    image.compression,
+    samples.length * bytesPerSample
+  );
+
+  let littleEndian = image.littleEndian;
+  if (image.predictor === 3) {
+    bytes = undoFloatingPointPredictor(
+      bytes,
+      width,
+      height,
+      samplesPerPixel,
+      bytesPerSample
+    );
+    littleEndian = true;
+  }
+
+  readSamples(bytes, samples, bytesPerSample, littleEndian);
+
+  if (image.predictor === 2) {
+    undoHorizontalDifferencing(samples, width, height, samplesPerPixel);
+  }
+
+  return {
+    samples: samples,
+    samplesPerPixel: samplesPerPixel,
+  };
+}
+
+export default decodeGeoTiffTile;
@@ -0,0 +1,212 @@
+import defined from "./defined.js";
+import RuntimeError from "./RuntimeError.js";
+import pako from "pako/lib/inflate.js";
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// The number of samples per pixel of each color type
+const channelCounts = {
+  0: 1, // Grayscale
+  2: 3, // RGB
+  3: 1, // Palette
+  4: 2, // Grayscale and alpha
+  6: 4, // RGBA
+};
+
+function readChunkType(bytes, offset) {
+  return String.fromCharCode(
+    bytes[offset],
+    bytes[offset + 1],
+    bytes[offset + 2],
+    bytes[offset + 3]
+  );
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) {
+    return a;
+  }
+  return pb <= pc ? b : c;
+}
+
+function unfilter(data, width, height, bytesPerPixel) {
+  const rowLength = width * bytesPerPixel;
+  const output = new Uint8Array(rowLength * height);
+  let inputOffset = 0;
+  for (let y = 0; y < height; ++y) {
+    const filter = data[inputOffset++];
+    const row = y * rowLength;
+    const previousRow = row - rowLength;
+    for (let x = 0; x < rowLength; ++x) {
+      const value = data[inputOffset++];
+      const left = x >= bytesPerPixel ? output[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? output[previousRow + x] : 0;
+      const upLeft =
+        y > 0 && x >= bytesPerPixel
+          ? output[previousRow + x - bytesPerPixel]
+          : 0;
+
+      let predictor;
+      switch (filter) {
+        case 0:
+          predictor = 0;
+          break;
+        case 1:
+          predictor = left;
+          break;
+        case 2:
+          predictor = up;
+          break;
+        case 3:
+          predictor = (left + up) >>> 1;
+          break;
+        case 4:
+          predictor = paeth(left, up, upLeft);
+          break;
+        default:
+          throw new RuntimeError(`Invalid PNG filter type ${filter}.`);
+      }
+      output[row + x] = (value + predictor) & 0xff;
+    }
+  }
+  return output;
+}
+
+/**
+ * Decodes a non-interlaced PNG image with 8 bits per sample into RGBA pixels.  Unlike decoding with an
+ * <code>Image</code> or <code>ImageBitmap</code>, the exact values of the samples are kept, which is required
+ * for images that encode data such as heights, and it also works in web workers.
+ *
+ * @function
+ *
+ * @param {Uint8Array|ArrayBuffer} buffer The PNG file.
+ * @returns {{width: number, height: number, pixels: Uint8Array}} The width and height of the image, and its RGBA pixels
+ *          ordered from the top row down.
+ *
+ * @exception {RuntimeError} The image is not a PNG image.
+ * @exception {RuntimeError} Only PNG images with 8 bits per sample are supported.
+ * @exception {RuntimeError} Interlaced PNG images are not supported.
+ *
+ * @private
+ */
+function decodePng(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  for (let i = 0; i < PNG_SIGNATURE.length; ++i) {
+    if (bytes[i] !== PNG_SIGNATURE[i]) {
+      throw new RuntimeError("The image is not a PNG image.");
+    }
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let width;
+  let height;
+  let colorType;
+  let palette;
+  let transparency;
+  const dataChunks = [];
+  let dataLength = 0;
+
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = readChunkType(bytes, offset + 4);
+    const start = offset + 8;
+    if (type === "IHDR") {
+      width = view.getUint32(start);
+      height = view.getUint32(start + 4);
+      const bitDepth = bytes[start + 8];
+      colorType = bytes[start + 9];
+      const interlace = bytes[start + 12];
+      if (bitDepth !== 8 || !defined(channelCounts[colorType])) {
+        throw new RuntimeError(
+          "Only PNG images with 8 bits per sample are supported."
+        );
+      }
+      if (interlace !== 0) {
+        throw new RuntimeError("Interlaced PNG images are not supported.");
+      }
+    } else if (type === "PLTE") {
+      palette = bytes.subarray(start, start + length);
+    } else if (type === "tRNS") {
+      transparency = bytes.subarray(start, start + length);
+    } else if (type === "IDAT") {
+      dataChunks.push(bytes.subarray(start, start + length));
+      dataLength += length;
+    } else if (type === "IEND") {
+      break;
+    }
+    // Skip the chunk data and CRC
+    offset = start + length + 4;
+  }
+
+  if (
+    !defined(width) ||
+    dataChunks.length === 0 ||
+    (colorType === 3 && !defined(palette))
+  ) {
+    throw new RuntimeError("The image is not a PNG image.");
+  }
+
+  const compressed = new Uint8Array(dataLength);
+  let position = 0;
+  for (let i = 0; i < dataChunks.length; ++i) {
+    compressed.set(dataChunks[i], position);
+    position += dataChunks[i].length;
+  }
+
+  const channels = channelCounts[colorType];
+  const samples = unfilter(pako.inflate(compressed), width, height, channels);
+
+  const pixelCount = width * height;
+  const pixels = new Uint8Array(pixelCount * 4);
+  for (let i = 0; i < pixelCount; ++i) {
+    const source = i * channels;
+    const target = i * 4;
+    switch (colorType) {
+      case 0:
+        pixels[target] = pixels[target + 1] = pixels[target + 2] =
+          samples[source];
+        pixels[target + 3] = 255;
+        break;
+      case 2:
+        pixels[target] = samples[source];
+        pixels[target + 1] = samples[source + 1];
+        pixels[target + 2] = samples[source + 2];
+        pixels[target + 3] = 255;
+        break;
+      case 3: {
+        const index = samples[source];
+        pixels[target] = palette[index * 3];
+        pixels[target + 1] = palette[index * 3 + 1];
+        pixels[target + 2] = palette[index * 3 + 2];
+        pixels[target + 3] =
+          defined(transparency) && index < transparency.length
+            ? transparency[index]
+            : 255;
+        break;
+      }
+      case 4:
+        pixels[target] = pixels[target + 1] = pixels[target + 2] =
+          samples[source];
+        pixels[target + 3] = samples[source + 1];
+        break;
+      default:
+        pixels[target] = samples[source];
+        pixels[target + 1] = samples[source + 1];
+        pixels[target + 2] = samples[source + 2];
+        pixels[target + 3] = samples[source + 3];
+        break;
+    }
+  }
+
+  return {
+    width: width,
+    height: height,
+    pixels: pixels,
+  };
+}
+export default decodePng;
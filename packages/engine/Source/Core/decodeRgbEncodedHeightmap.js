@@ -0,0 +1,134 @@
+import decodePng from "./decodePng.js";
+import defaultValue from "./defaultValue.js";
+import RgbTerrainEncoding from "./RgbTerrainEncoding.js";
+
+const MAXIMUM_WATER_MASK_SIZE = 256;
+
+function decodeHeights(pixels, pixelCount, encoding) {
+  const heights = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; ++i) {
+    const red = pixels[i * 4];
+    const green = pixels[i * 4 + 1];
+    const blue = pixels[i * 4 + 2];
+    if (encoding === RgbTerrainEncoding.TERRARIUM) {
+      heights[i] = red * 256.0 + green + blue / 256.0 - 32768.0;
+    } else {
+      heights[i] = -10000.0 + (red * 65536.0 + green * 256.0 + blue) * 0.1;
+    }
+  }
+  return heights;
+}
+
+/**
+ * Decodes the heights of a PNG tile with heights encoded in the red, green and blue channels and resamples them
+ * into a height map.  The first and last rows and columns of pixels are at the edges of the tile, as are the first
+ * and last rows and columns of samples.  Transparent pixels have no data and are ignored.
+ *
+ * @function
+ *
+ * @param {object} parameters Object with the following properties:
+ * @param {ArrayBuffer} parameters.buffer The PNG file.
+ * @param {RgbTerrainEncoding} parameters.encoding The encoding of the heights.
+ * @param {number} parameters.width The width of the height map.
+ * @param {number} parameters.height The height of the height map.
+ * @param {boolean} [parameters.requestWaterMask=false] Whether to create a water mask.
+ * @param {number} [parameters.waterHeight=0.0] The height at or below which pixels are water in the water mask.
+ * @returns {{heights: Float32Array, waterMask: Uint8Array|undefined}} The heights, ordered from the northwest corner, and the water mask.
+ *
+ * @private
+ */
+function decodeRgbEncodedHeightmap(parameters) {
+  const image = decodePng(parameters.buffer);
+  const imageWidth = image.width;
+  const imageHeight = image.height;
+  const pixels = image.pixels;
+  const imageHeights = decodeHeights(
+    pixels,
+    imageWidth * imageHeight,
+    parameters.encoding
+  );
+
+  const width = parameters.width;
+  const height = parameters.height;
+  const heights = new Float32Array(width * height);
+  const xScale = (imageWidth - 1) / (width - 1);
+  const yScale = (imageHeight - 1) / (height - 1);
+  for (let j = 0; j < height; ++j) {
+    // The first and last rows of samples are exactly on the first and last rows of pixels, so adjacent tiles
+    // with the same edge pixels have the same heights along their edges
+    const v = j === height - 1 ? imageHeight - 1 : j * yScale;
+    const y0 = Math.floor(v);
+    const y1 = Math.min(y0 + 1, imageHeight - 1);
+    const ty = v - y0;
+    for (let i = 0; i < width; ++i) {
+      const u = i === width - 1 ? imageWidth - 1 : i * xScale;
+      const x0 = Math.floor(u);
+      const x1 = Math.min(x0 + 1, imageWidth - 1);
+      const tx = u - x0;
+
+      const index00 = y0 * imageWidth + x0;
+      const index10 = y0 * imageWidth + x1;
+      const index01 = y1 * imageWidth + x0;
+      const index11 = y1 * imageWidth + x1;
+      const weight00 = (1.0 - tx) * (1.0 - ty);
+      const weight10 = tx * (1.0 - ty);
+      const weight01 = (1.0 - tx) * ty;
+      const weight11 = tx * ty;
+
+      let sum = 0.0;
+      let weightSum = 0.0;
+      if (pixels[index00 * 4 + 3] !== 0) {
+        sum += imageHeights[index00] * weight00;
+        weightSum += weight00;
+      }
+      if (pixels[index10 * 4 + 3] !== 0) {
+        sum += imageHeights[index10] * weight10;
+        weightSum += weight10;
+      }
+      if (pixels[index01 * 4 + 3] !== 0) {
+        sum += imageHeights[index01] * weight01;
+        weightSum += weight01;
+      }
+      if (pixels[index11 * 4 + 3] !== 0) {
+        sum += imageHeights[index11] * weight11;
+        weightSum += weight11;
+      }
+      heights[j * width + i] = weightSum > 0.0 ? sum / weightSum : 0.0;
+    }
+  }
+
+  let waterMask;
+  if (parameters.requestWaterMask) {
+    const waterHeight = defaultValue(parameters.waterHeight, 0.0);
+    const size = Math.min(
+      Math.max(imageWidth, imageHeight),
+      MAXIMUM_WATER_MASK_SIZE
+    );
+    waterMask = new Uint8Array(size * size);
+    let waterCount = 0;
+    for (let j = 0; j < size; ++j) {
+      const y = Math.floor(((j + 0.5) / size) * imageHeight);
+      for (let i = 0; i < size; ++i) {
+        const x = Math.floor(((i + 0.5) / size) * imageWidth);
+        const index = y * imageWidth + x;
+        if (pixels[index * 4 + 3] !== 0 && imageHeights[index] <= waterHeight) {
+          waterMask[j * size + i] = 255;
+          ++waterCount;
+        }
+      }
+    }
+
+    // Tiles that are all land or all water use a single value
+    if (waterCount === 0) {
+      waterMask = new Uint8Array([0]);
+    } else if (waterCount === size * size) {
+      waterMask = new Uint8Array([255]);
+    }
+  }
+
+  return {
+    heights: heights,
+    waterMask: waterMask,
+  };
+}
+export default decodeRgbEncodedHeightmap;
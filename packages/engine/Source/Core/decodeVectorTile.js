@@ -0,0 +1,287 @@
+import Check from "./Check.js";
+import getStringFromTypedArray from "./getStringFromTypedArray.js";
+import RuntimeError from "./RuntimeError.js";
+
+// Protocol buffer wire types
+const VARINT = 0;
+const FIXED64 = 1;
+const LENGTH_DELIMITED = 2;
+const FIXED32 = 5;
+
+// Geometry commands, see https://github.com/mapbox/vector-tile-spec/tree/master/2.1#43-geometry-encoding
+const MOVE_TO = 1;
+const LINE_TO = 2;
+const CLOSE_PATH = 7;
+
+/**
+ * The geometry type of a feature in a Mapbox Vector Tile.
+ *
+ * @private
+ */
+const VectorTileGeometryType = {
+  UNKNOWN: 0,
+  POINT: 1,
+  LINESTRING: 2,
+  POLYGON: 3,
+};
+
+function PbfReader(uint8Array) {
+  this.buffer = uint8Array;
+  this.dataView = new DataView(
+    uint8Array.buffer,
+    uint8Array.byteOffset,
+    uint8Array.byteLength
+  );
+  this.position = 0;
+  this.length = uint8Array.length;
+}
+
+PbfReader.prototype.readVarint = function () {
+  const buffer = this.buffer;
+  let result = 0;
+  let shift = 0;
+  let byte;
+  do {
+    if (this.position >= this.length) {
+      throw new RuntimeError("Unexpected end of vector tile data.");
+    }
+    byte = buffer[this.position++];
+    // Use multiplication instead of bit shifts so values above 2^31 keep their precision
+    result += (byte & 0x7f) * Math.pow(2, shift);
+    shift += 7;
+  } while (byte & 0x80);
+  return result;
+};
+
+PbfReader.prototype.readSVarint = function () {
+  const value = this.readVarint();
+  return value % 2 === 1 ? (value + 1) / -2 : value / 2;
+};
+
+PbfReader.prototype.readFloat = function () {
+  const value = this.dataView.getFloat32(this.position, true);
+  this.position += 4;
+  return value;
+};
+
+PbfReader.prototype.readDouble = function () {
+  const value = this.dataView.getFloat64(this.position, true);
+  this.position += 8;
+  return value;
+};
+
+PbfReader.prototype.readString = function () {
+  const length = this.readVarint();
+  const value = getStringFromTypedArray(this.buffer, this.position, length);
+  this.position += length;
+  return value;
+};
+
+PbfReader.prototype.readPackedVarints = function () {
+  const end = this.readVarint() + this.position;
+  const values = [];
+  while (this.position < end) {
+    values.push(this.readVarint());
+  }
+  return values;
+};
+
+PbfReader.prototype.skip = function (wireType) {
+  if (wireType === VARINT) {
+    this.readVarint();
+  } else if (wireType === FIXED64) {
+    this.position += 8;
+  } else if (wireType === LENGTH_DELIMITED) {
+    this.position += this.readVarint();
+  } else if (wireType === FIXED32) {
+    this.position += 4;
+  } else {
+    throw new RuntimeError(`Unsupported wire type: ${wireType}`);
+  }
+};
+
+PbfReader.prototype.readMessage = function (readField, result) {
+  const end = this.readVarint() + this.position;
+  return this.readFields(readField, result, end);
+};
+
+PbfReader.prototype.readFields = function (readField, result, end) {
+  while (this.position < end) {
+    const key = this.readVarint();
+    const tag = Math.floor(key / 8);
+    const wireType = key & 0x7;
+    const startPosition = this.position;
+    readField(tag, wireType, result, this);
+    if (this.position === startPosition) {
+      this.skip(wireType);
+    }
+  }
+  return result;
+};
+
+function readTile(tag, wireType, tile, pbf) {
+  if (tag === 3) {
+    const layer = pbf.readMessage(readLayer, {
+      version: 1,
+      name: undefined,
+      extent: 4096,
+      keys: [],
+      values: [],
+      rawFeatures: [],
+    });
+    tile.layers.push(createLayer(layer));
+  }
+}
+
+function readLayer(tag, wireType, layer, pbf) {
+  if (tag === 15) {
+    layer.version = pbf.readVarint();
+  } else if (tag === 1) {
+    layer.name = pbf.readString();
+  } else if (tag === 5) {
+    layer.extent = pbf.readVarint();
+  } else if (tag === 3) {
+    layer.keys.push(pbf.readString());
+  } else if (tag === 4) {
+    layer.values.push(pbf.readMessage(readValue, { value: undefined }).value);
+  } else if (tag === 2) {
+    layer.rawFeatures.push(
+      pbf.readMessage(readFeature, {
+        id: undefined,
+        type: VectorTileGeometryType.UNKNOWN,
+        tags: [],
+        commands: [],
+      })
+    );
+  }
+}
+
+function readValue(tag, wireType, result, pbf) {
+  if (tag === 1) {
+    result.value = pbf.readString();
+  } else if (tag === 2) {
+    result.value = pbf.readFloat();
+  } else if (tag === 3) {
+    result.value = pbf.readDouble();
+  } else if (tag === 4 || tag === 5) {
+    result.value = pbf.readVarint();
+  } else if (tag === 6) {
+    result.value = pbf.readSVarint();
+  } else if (tag === 7) {
+    result.value = pbf.readVarint() !== 0;
+  }
+}
+
+function readFeature(tag, wireType, feature, pbf) {
+  if (tag === 1) {
+    feature.id = pbf.readVarint();
+  } else if (tag === 2) {
+    feature.tags = pbf.readPackedVarints();
+  } else if (tag === 3) {
+    feature.type = pbf.readVarint();
+  } else if (tag === 4) {
+    feature.commands = pbf.readPackedVarints();
+  }
+}
+
+function zigZagDecode(value) {
+  return (value >>> 1) ^ -(value & 1);
+}
+
+function decodeGeometry(commands, type) {
+  const parts = [];
+  let part;
+  let x = 0;
+  let y = 0;
+  let i = 0;
+  const length = commands.length;
+
+  while (i < length) {
+    const commandInteger = commands[i++];
+    const command = commandInteger & 0x7;
+    const count = commandInteger >> 3;
+
+    if (command === MOVE_TO || command === LINE_TO) {
+      for (let j = 0; j < count; ++j) {
+        x += zigZagDecode(commands[i++]);
+        y += zigZagDecode(commands[i++]);
+        if (type === VectorTileGeometryType.POINT) {
+          // Each point of a multi-point is its own part
+          parts.push([x, y]);
+          continue;
+        }
+        if (command === MOVE_TO) {
+          part = [];
+          parts.push(part);
+        }
+        part.push(x, y);
+      }
+    } else if (command === CLOSE_PATH) {
+      // Rings are implicitly closed by the renderer, so the first point is not repeated
+      part = undefined;
+    } else {
+      throw new RuntimeError(`Unknown geometry command: ${command}`);
+    }
+  }
+
+  return parts;
+}
+
+function createLayer(layer) {
+  const keys = layer.keys;
+  const values = layer.values;
+  const rawFeatures = layer.rawFeatures;
+  const features = new Array(rawFeatures.length);
+
+  for (let i = 0; i < rawFeatures.length; ++i) {
+    const rawFeature = rawFeatures[i];
+    const tags = rawFeature.tags;
+    const properties = {};
+    for (let j = 0; j < tags.length; j += 2) {
+      properties[keys[tags[j]]] = values[tags[j + 1]];
+    }
+
+    features[i] = {
+      id: rawFeature.id,
+      type: rawFeature.type,
+      properties: properties,
+      geometry: decodeGeometry(rawFeature.commands, rawFeature.type),
+    };
+  }
+
+  return {
+    name: layer.name,
+    version: layer.version,
+    extent: layer.extent,
+    features: features,
+  };
+}
+
+/**
+ * Decodes a Mapbox Vector Tile encoded as a protocol buffer.  The geometry of each feature
+ * is returned in tile coordinates as an array of parts, where each part is a flattened
+ * array of x, y values.  For points, each part is a single point; for linestrings, each part
+ * is a line; and for polygons, each part is a ring.
+ *
+ * @param {ArrayBuffer|Uint8Array} data The uncompressed vector tile.
+ * @returns {{layers: object[]}} The decoded layers, each with a <code>name</code>, an <code>extent</code> and its <code>features</code>.
+ *
+ * @exception {RuntimeError} Unexpected end of vector tile data.
+ *
+ * @see {@link https://github.com/mapbox/vector-tile-spec|Mapbox Vector Tile Specification}
+ *
+ * @private
+ */
+function decodeVectorTile(data) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("data", data);
+  //>>includeEnd('debug');
+
+  const uint8Array = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const pbf = new PbfReader(uint8Array);
+  return pbf.readFields(readTile, { layers: [] }, pbf.length);
+}
+
+decodeVectorTile.GeometryType = Object.freeze(VectorTileGeometryType);
+
+export default decodeVectorTile;
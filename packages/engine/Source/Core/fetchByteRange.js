@@ -0,0 +1,61 @@
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import Request from "./Request.js";
+
+/**
+ * Fetches a range of bytes of a file with an HTTP range request. Servers that do not support range
+ * requests respond with the whole file, so the result is the buffer that was received and the offset
+ * of its first byte in the file, which is 0 when the whole file was received.
+ *
+ * @function fetchByteRange
+ *
+ * @param {Resource} resource The resource of the file.
+ * @param {number} offset The offset of the first byte in the file.
+ * @param {number} [length] The number of bytes. When undefined, the bytes from the offset to the end of the file are fetched.
+ * @param {object} [options] Object with the following properties:
+ * @param {Request} [options.request] The request. The default is a request that is not throttled.
+ * @param {Function} [options.isWholeFile] A function that is called with the received buffer and returns <code>true</code> if it is the whole file. It is required when <code>length</code> is undefined, as the whole file cannot be told apart from the rest of the file by its length.
+ * @returns {Promise<fetchByteRange.ByteRange>|undefined} A promise that resolves to the received bytes, or <code>undefined</code> if the request is throttled.
+ *
+ * @private
+ */
+function fetchByteRange(resource, offset, length, options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const end = defined(length) ? offset + length - 1 : "";
+  const rangeResource = resource.getDerivedResource({
+    request: defaultValue(
+      options.request,
+      new Request({
+        throttle: false,
+      })
+    ),
+    headers: {
+      Range: `bytes=${offset}-${end}`,
+    },
+  });
+
+  const promise = rangeResource.fetchArrayBuffer();
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const isWholeFile = options.isWholeFile;
+  return promise.then(function (buffer) {
+    const wholeFile = defined(length)
+      ? buffer.byteLength > length
+      : defined(isWholeFile) && isWholeFile(buffer);
+    return {
+      offset: wholeFile ? 0 : offset,
+      buffer: buffer,
+    };
+  });
+}
+
+/**
+ * The bytes received by {@link fetchByteRange}.
+ * @typedef {object} fetchByteRange.ByteRange
+ * @property {number} offset The offset of the first byte of the buffer in the file.
+ * @property {ArrayBuffer} buffer The bytes.
+ * @private
+ */
+export default fetchByteRange;
@@ -0,0 +1,309 @@
+import decodeGeoTiffTile from "./decodeGeoTiffTile.js";
+import defined from "./defined.js";
+import RuntimeError from "./RuntimeError.js";
+
+const WEB_MERCATOR_RADIUS = 6378137.0;
+const MAXIMUM_MERCATOR_LATITUDE = 85.05112877980659;
+const DEGREES_PER_RADIAN = 180.0 / Math.PI;
+
+function longitudeToX(longitude) {
+  return (longitude / DEGREES_PER_RADIAN) * WEB_MERCATOR_RADIUS;
+}
+
+function latitudeToY(latitude) {
+  latitude = Math.max(
+    -MAXIMUM_MERCATOR_LATITUDE,
+    Math.min(MAXIMUM_MERCATOR_LATITUDE, latitude)
+  );
+  const sinLatitude = Math.sin(latitude / DEGREES_PER_RADIAN);
+  return (
+    0.5 *
+    WEB_MERCATOR_RADIUS *
+    Math.log((1.0 + sinLatitude) / (1.0 - sinLatitude))
+  );
+}
+
+function xToLongitude(x) {
+  return (x / WEB_MERCATOR_RADIUS) * DEGREES_PER_RADIAN;
+}
+
+function yToLatitude(y) {
+  return (
+    (Math.PI * 0.5 - 2.0 * Math.atan(Math.exp(-y / WEB_MERCATOR_RADIUS))) *
+    DEGREES_PER_RADIAN
+  );
+}
+
+/**
+ * Converts a coordinate along one axis between EPSG:4326, in degrees, and EPSG:3857, in meters.  Both
+ * coordinate reference systems are cylindrical, so each axis can be converted independently.
+ *
+ * @param {number} value The coordinate.
+ * @param {boolean} isX Whether the coordinate is a longitude or x coordinate, rather than a latitude or y coordinate.
+ * @param {number} fromEpsgCode The coordinate reference system of the coordinate.
+ * @param {number} toEpsgCode The coordinate reference system to convert to.
+ * @returns {number} The converted coordinate.
+ *
+ * @private
+ */
+function convertCoordinate(value, isX, fromEpsgCode, toEpsgCode) {
+  if (fromEpsgCode === toEpsgCode) {
+    return value;
+  }
+  if (toEpsgCode === 3857) {
+    return isX ? longitudeToX(value) : latitudeToY(value);
+  }
+  return isX ? xToLongitude(value) : yToLatitude(value);
+}
+
+function getTile(tiles, image, column, row) {
+  if (
+    column < 0 ||
+    row < 0 ||
+    column >= image.tilesAcross ||
+    row >= image.tilesDown
+  ) {
+    return undefined;
+  }
+  return tiles[row * image.tilesAcross + column];
+}
+
+function createPixelReader(tiles, image) {
+  const tileWidth = image.tileWidth;
+  const tileHeight = image.tileHeight;
+  return function (x, y, result) {
+    if (x < 0 || y < 0 || x >= image.width || y >= image.height) {
+      return undefined;
+    }
+
+    const column = Math.floor(x / tileWidth);
+    const row = Math.floor(y / tileHeight);
+    const tile = getTile(tiles, image, column, row);
+    if (!defined(tile)) {
+      return undefined;
+    }
+
+    const samplesPerPixel = tile.samplesPerPixel;
+    const index =
+      ((y - row * tileHeight) * tileWidth + (x - column * tileWidth)) *
+      samplesPerPixel;
+    for (let i = 0; i < samplesPerPixel; ++i) {
+      result[i] = tile.samples[index + i];
+    }
+    return result;
+  };
+}
+
+function toByte(value, bitsPerSample) {
+  if (bitsPerSample === 16) {
+    return value / 257;
+  }
+  return value;
+}
+
+function writeColor(image, samples, samplesPerPixel, isJpeg, output, offset) {
+  if (defined(image.noData) && samples[0] === image.noData) {
+    return;
+  }
+
+  const bitsPerSample = image.bitsPerSample;
+  if (isJpeg) {
+    output[offset] = samples[0];
+    output[offset + 1] = samples[1];
+    output[offset + 2] = samples[2];
+    output[offset + 3] = samples[3];
+    return;
+  }
+
+  const photometricInterpretation = image.photometricInterpretation;
+  if (photometricInterpretation === 3) {
+    const colorMap = image.colorMap;
+    const count = colorMap.length / 3;
+    const index = samples[0];
+    output[offset] = colorMap[index] >> 8;
+    output[offset + 1] = colorMap[count + index] >> 8;
+    output[offset + 2] = colorMap[2 * count + index] >> 8;
+    output[offset + 3] = 255;
+    return;
+  }
+
+  if (photometricInterpretation === 2 && samplesPerPixel >= 3) {
+    output[offset] = toByte(samples[0], bitsPerSample);
+    output[offset + 1] = toByte(samples[1], bitsPerSample);
+    output[offset + 2] = toByte(samples[2], bitsPerSample);
+    output[offset + 3] =
+      samplesPerPixel > 3 ? toByte(samples[3], bitsPerSample) : 255;
+    return;
+  }
+
+  let gray = toByte(samples[0], bitsPerSample);
+  if (photometricInterpretation === 0) {
+    gray = 255 - gray;
+  }
+  output[offset] = gray;
+  output[offset + 1] = gray;
+  output[offset + 2] = gray;
+  output[offset + 3] =
+    samplesPerPixel > 1 ? toByte(samples[1], bitsPerSample) : 255;
+}
+
+function resampleColors(readPixel, image, source, target, transform) {
+  const width = target.width;
+  const height = target.height;
+  const output = new Uint8ClampedArray(width * height * 4);
+  const samples = new Array(4);
+  const isJpeg = image.compression === 7;
+
+  const xs = new Int32Array(width);
+  for (let i = 0; i < width; ++i) {
+    const x = target.west + ((i + 0.5) * (target.east - target.west)) / width;
+    xs[i] = Math.floor((transform(x, true) - source.west) / source.resolutionX);
+  }
+
+  for (let j = 0; j < height; ++j) {
+    const y =
+      target.north - ((j + 0.5) * (target.north - target.south)) / height;
+    const sourceY = Math.floor(
+      (source.north - transform(y, false)) / source.resolutionY
+    );
+    for (let i = 0; i < width; ++i) {
+      const pixel = readPixel(xs[i], sourceY, samples);
+      if (defined(pixel)) {
+        writeColor(
+          image,
+          pixel,
+          image.samplesPerPixel,
+          isJpeg,
+          output,
+          (j * width + i) * 4
+        );
+      }
+    }
+  }
+
+  return output;
+}
+
+function resampleHeights(readPixel, image, source, target, transform) {
+  const width = target.width;
+  const height = target.height;
+  const output = new Float32Array(width * height);
+  const noData = image.noData;
+  const samples = new Array(4);
+
+  function readHeight(x, y) {
+    const pixel = readPixel(x, y, samples);
+    if (!defined(pixel)) {
+      return undefined;
+    }
+    const value = pixel[0];
+    if ((defined(noData) && value === noData) || isNaN(value)) {
+      return undefined;
+    }
+    return value;
+  }
+
+  // Heights are sampled at the edges of the tile so that adjacent tiles match
+  for (let j = 0; j < height; ++j) {
+    const y = target.north - (j * (target.north - target.south)) / (height - 1);
+    const sourceY =
+      (source.north - transform(y, false)) / source.resolutionY - 0.5;
+    const y0 = Math.floor(sourceY);
+    const fy = sourceY - y0;
+
+    for (let i = 0; i < width; ++i) {
+      const x = target.west + (i * (target.east - target.west)) / (width - 1);
+      const sourceX =
+        (transform(x, true) - source.west) / source.resolutionX - 0.5;
+      const x0 = Math.floor(sourceX);
+      const fx = sourceX - x0;
+
+      const neighbors = [
+        readHeight(x0, y0),
+        readHeight(x0 + 1, y0),
+        readHeight(x0, y0 + 1),
+        readHeight(x0 + 1, y0 + 1),
+      ];
+      const weights = [
+        (1.0 - fx) * (1.0 - fy),
+        fx * (1.0 - fy),
+        (1.0 - fx) * fy,
+        fx * fy,
+      ];
+
+      let sum = 0.0;
+      let totalWeight = 0.0;
+      for (let k = 0; k < 4; ++k) {
+        if (defined(neighbors[k])) {
+          sum += neighbors[k] * weights[k];
+          totalWeight += weights[k];
+        }
+      }
+
+      if (totalWeight > 0.0) {
+        output[j * width + i] = sum / totalWeight;
+      } else {
+        // Use the nearest valid height along the edges of the image
+        const nearest = readHeight(
+          Math.min(Math.max(Math.round(sourceX), 0), image.width - 1),
+          Math.min(Math.max(Math.round(sourceY), 0), image.height - 1)
+        );
+        output[j * width + i] = defined(nearest) ? nearest : 0.0;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Decodes tiles of a GeoTIFF image and resamples them to a tile of a {@link TilingScheme}, reprojecting
+ * between EPSG:4326 and EPSG:3857 when needed.
+ *
+ * @function resampleGeoTiffTiles
+ *
+ * @param {object} parameters An object with the following properties:
+ * @param {Array<{buffer: ArrayBuffer, column: number, row: number}>} parameters.tiles The compressed GeoTIFF tiles covering the target tile.
+ * @param {object} parameters.image The layout of the GeoTIFF image, see {@link decodeGeoTiffTile}.
+ * @param {object} parameters.source The georeferencing of the GeoTIFF image, with the <code>epsgCode</code> of its coordinate reference system,
+ *        the <code>west</code> and <code>north</code> coordinates of its upper left corner and the <code>resolutionX</code> and
+ *        <code>resolutionY</code> of its pixels.
+ * @param {object} parameters.target The target tile, with its <code>width</code> and <code>height</code> in pixels and its <code>west</code>,
+ *        <code>south</code>, <code>east</code> and <code>north</code> coordinates in the coordinate reference system given by its <code>epsgCode</code>.
+ * @param {string} parameters.output <code>"rgba"</code> to resample colors with nearest neighbor sampling at pixel centers, or
+ *        <code>"height"</code> to resample the first sample of each pixel with bilinear interpolation at the pixel corners.
+ * @returns {Promise<Uint8ClampedArray|Float32Array>} A promise that resolves to the RGBA colors or heights of the target tile.
+ *
+ * @private
+ */
+async function resampleGeoTiffTiles(parameters) {
+  const image = parameters.image;
+  const source = parameters.source;
+  const target = parameters.target;
+
+  const tiles = {};
+  const inputTiles = parameters.tiles;
+  for (let i = 0; i < inputTiles.length; ++i) {
+    const inputTile = inputTiles[i];
+    if (defined(inputTile.buffer)) {
+      tiles[
+        inputTile.row * image.tilesAcross + inputTile.column
+      ] = await decodeGeoTiffTile(new Uint8Array(inputTile.buffer), image);
+    }
+  }
+
+  const readPixel = createPixelReader(tiles, image);
+  function transform(value, isX) {
+    return convertCoordinate(value, isX, target.epsgCode, source.epsgCode);
+  }
+
+  if (parameters.output === "height") {
+    return resampleHeights(readPixel, image, source, target, transform);
+  } else if (parameters.output === "rgba") {
+    return resampleColors(readPixel, image, source, target, transform);
+  }
+  throw new RuntimeError(`Unknown output: ${parameters.output}`);
+}
+
+resampleGeoTiffTiles.convertCoordinate = convertCoordinate;
+export default resampleGeoTiffTiles;
@@ -11,7 +11,8 @@ import defined from "./defined.js";
  * or another error occurs, the height is set to undefined.  As is typical of the
  * {@link Cartographic} type, the supplied height is a height above the reference ellipsoid
  * (such as {@link Ellipsoid.WGS84}) rather than an altitude above mean sea level.  In other
- * words, it will not necessarily be 0.0 if sampled in the ocean. This function needs the
+ * words, it will not necessarily be 0.0 if sampled in the ocean, unless a {@link Geoid} is given to report
+ * altitudes above mean sea level. This function needs the
  * terrain level of detail as input, if you need to get the altitude of the terrain as precisely
  * as possible (i.e. with maximum level of detail) use {@link sampleTerrainMostDetailed}.
  *
@@ -21,9 +22,11 @@ import defined from "./defined.js";
  * @param {number} level The terrain level-of-detail from which to query terrain heights.
  * @param {Cartographic[]} positions The positions to update with terrain heights.
  * @param {boolean} [rejectOnTileFail=false] If true, for a failed terrain tile request the promise will be rejected. If false, returned heights will be undefined.
+ * @param {Geoid} [geoid] If defined, the heights are reported as orthometric heights, the heights above mean sea level given by the geoid, rather than heights above the ellipsoid.
  * @returns {Promise<Cartographic[]>} A promise that resolves to the provided list of positions when terrain the query has completed.
  *
  * @see sampleTerrainMostDetailed
+ * @see Geoid
  *
  * @example
  * // Query the terrain height of two Cartographic positions
@@ -42,12 +45,17 @@ import defined from "./defined.js";
  * } catch (error) {
  *   // A tile request error occurred.
  * }
+ *
+ * // To get the heights above mean sea level, pass a geoid. Its grid is served by the application.
+ * const geoid = await Cesium.Geoid.fromUrl("geoids/egm96-15.pgm");
+ * await Cesium.sampleTerrain(terrainProvider, 11, positions, false, geoid);
  */
 async function sampleTerrain(
   terrainProvider,
   level,
   positions,
-  rejectOnTileFail
+  rejectOnTileFail,
+  geoid
 ) {
   if (!defined(rejectOnTileFail)) {
     rejectOnTileFail = false;
@@ -59,7 +67,28 @@ async function sampleTerrain(
   Check.defined("positions", positions);
   //>>includeEnd('debug');
 
-  return doSampling(terrainProvider, level, positions, rejectOnTileFail);
+  await doSampling(terrainProvider, level, positions, rejectOnTileFail);
+  if (defined(geoid)) {
+    toOrthometricHeights(positions, geoid);
+  }
+  return positions;
+}
+
+/**
+ * Converts the heights of positions sampled from terrain to orthometric heights.
+ *
+ * @param {Cartographic[]} positions The positions, whose heights may be undefined.
+ * @param {Geoid} geoid The geoid.
+ *
+ * @private
+ */
+export function toOrthometricHeights(positions, geoid) {
+  for (let i = 0; i < positions.length; ++i) {
+    const position = positions[i];
+    if (defined(position.height)) {
+      geoid.ellipsoidalToOrthometric(position, position);
+    }
+  }
 }
 
 /**
@@ -0,0 +1,106 @@
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import combine from "./combine.js";
+import computeContourLines from "./computeContourLines.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+import sampleTerrain from "./sampleTerrain.js";
+import sampleTerrainMostDetailed from "./sampleTerrainMostDetailed.js";
+
+/**
+ * Computes contour lines of terrain in a rectangle. Terrain heights are sampled on a regular grid with
+ * {@link sampleTerrainMostDetailed}, or with {@link sampleTerrain} at <code>options.level</code>, and the contour lines
+ * of the grid are computed with {@link computeContourLines}. Unlike {@link createElevationBandMaterial}, which colors
+ * elevation bands on the globe, the result is data that can be shown as entities with
+ * {@link createContourLineEntities} or exported with {@link contourLinesToGeoJson}.
+ *
+ * @function sampleTerrainContours
+ *
+ * @param {TerrainProvider} terrainProvider The terrain provider to sample.
+ * @param {Rectangle} rectangle The rectangle to compute contour lines in.
+ * @param {object} options Object with the following properties:
+ * @param {number} [options.interval] The difference in height between contour lines in meters. Either this or <code>options.levels</code> is required.
+ * @param {number} [options.base=0.0] The height of one of the contour lines, from which the others are spaced by <code>options.interval</code>.
+ * @param {number[]} [options.levels] The heights of the contour lines. Used instead of <code>options.interval</code> when defined.
+ * @param {number} [options.width=128] The number of samples in each row of the grid, from the west to the east edge of the rectangle.
+ * @param {number} [options.height=128] The number of rows of the grid, from the north to the south edge of the rectangle.
+ * @param {number} [options.level] The terrain level-of-detail to sample. When undefined, the most detailed available tiles are sampled.
+ * @returns {Promise<ContourLine[]>} A promise that resolves to the contour lines, ordered by height.
+ *
+ * @exception {DeveloperError} options.interval or options.levels is required.
+ *
+ * @example
+ * const contourLines = await Cesium.sampleTerrainContours(
+ *   viewer.terrainProvider,
+ *   Cesium.Rectangle.fromDegrees(7.6, 45.9, 7.7, 46.0),
+ *   { interval: 50.0 }
+ * );
+ * const dataSource = new Cesium.CustomDataSource("Contours");
+ * Cesium.createContourLineEntities(contourLines).forEach(function (entity) {
+ *   dataSource.entities.add(entity);
+ * });
+ * viewer.dataSources.add(dataSource);
+ */
+async function sampleTerrainContours(terrainProvider, rectangle, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("terrainProvider", terrainProvider);
+  Check.typeOf.object("rectangle", rectangle);
+  Check.typeOf.object("options", options);
+  if (!defined(options.interval) && !defined(options.levels)) {
+    throw new DeveloperError("options.interval or options.levels is required.");
+  }
+  //>>includeEnd('debug');
+
+  const width = defaultValue(options.width, 128);
+  const height = defaultValue(options.height, 128);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThanOrEquals("options.width", width, 2);
+  Check.typeOf.number.greaterThanOrEquals("options.height", height, 2);
+  //>>includeEnd('debug');
+
+  const longitudeSpacing = Rectangle.computeWidth(rectangle) / (width - 1);
+  const latitudeSpacing = Rectangle.computeHeight(rectangle) / (height - 1);
+  const positions = new Array(width * height);
+  for (let y = 0; y < height; ++y) {
+    for (let x = 0; x < width; ++x) {
+      let longitude = rectangle.west + x * longitudeSpacing;
+      if (longitude > CesiumMath.PI) {
+        longitude -= CesiumMath.TWO_PI;
+      }
+      positions[y * width + x] = new Cartographic(
+        longitude,
+        rectangle.north - y * latitudeSpacing
+      );
+    }
+  }
+
+  if (defined(options.level)) {
+    await sampleTerrain(terrainProvider, options.level, positions);
+  } else {
+    await sampleTerrainMostDetailed(terrainProvider, positions);
+  }
+
+  const heights = new Float64Array(positions.length);
+  for (let i = 0; i < positions.length; ++i) {
+    const sampledHeight = positions[i].height;
+    heights[i] = defined(sampledHeight) ? sampledHeight : NaN;
+  }
+
+  return computeContourLines(
+    combine(
+      {
+        heights: heights,
+        width: width,
+        height: height,
+        rectangle: rectangle,
+      },
+      options
+    )
+  );
+}
+
+export default sampleTerrainContours;
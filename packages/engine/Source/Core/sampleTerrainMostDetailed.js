@@ -1,7 +1,7 @@
 import Cartesian2 from "./Cartesian2.js";
 import defined from "./defined.js";
 import DeveloperError from "./DeveloperError.js";
-import sampleTerrain from "./sampleTerrain.js";
+import sampleTerrain, { toOrthometricHeights } from "./sampleTerrain.js";
 
 const scratchCartesian2 = new Cartesian2();
 
@@ -13,6 +13,7 @@ const scratchCartesian2 = new Cartesian2();
  * @param {TerrainProvider} terrainProvider The terrain provider from which to query heights.
  * @param {Cartographic[]} positions The positions to update with terrain heights.
  * @param {boolean} [rejectOnTileFail=false] If true, for a failed terrain tile request the promise will be rejected. If false, returned heights will be undefined.
+ * @param {Geoid} [geoid] If defined, the heights are reported as orthometric heights, the heights above mean sea level given by the geoid, rather than heights above the ellipsoid.
  * @returns {Promise<Cartographic[]>} A promise that resolves to the provided list of positions when terrain the query has completed.  This
  *                                     promise will reject if the terrain provider's `availability` property is undefined.
  *
@@ -37,7 +38,8 @@ const scratchCartesian2 = new Cartesian2();
 async function sampleTerrainMostDetailed(
   terrainProvider,
   positions,
-  rejectOnTileFail
+  rejectOnTileFail,
+  geoid
 ) {
   if (!defined(rejectOnTileFail)) {
     rejectOnTileFail = false;
@@ -127,6 +129,9 @@ async function sampleTerrainMostDetailed(
     );
   }
 
+  if (defined(geoid)) {
+    toOrthometricHeights(positions, geoid);
+  }
   return positions;
 }
 export default sampleTerrainMostDetailed;
@@ -0,0 +1,120 @@
+import ArcType from "./ArcType.js";
+import Cartographic from "./Cartographic.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import DeveloperError from "./DeveloperError.js";
+import Ellipsoid from "./Ellipsoid.js";
+import EllipsoidGeodesic from "./EllipsoidGeodesic.js";
+import EllipsoidRhumbLine from "./EllipsoidRhumbLine.js";
+import CesiumMath from "./Math.js";
+import sampleTerrainMostDetailed from "./sampleTerrainMostDetailed.js";
+
+/**
+ * Samples the terrain heights along a path.  The samples are spaced evenly along the
+ * geodesics or rhumb lines between the positions of the path, so the sample at index <code>i</code>
+ * is at a surface distance of <code>i * totalDistance / (sampleCount - 1)</code> from the first position.
+ * The heights are queried with {@link sampleTerrainMostDetailed}.
+ *
+ * @function sampleTerrainProfile
+ *
+ * @param {TerrainProvider} terrainProvider The terrain provider from which to query heights.
+ * @param {Cartographic[]} positions The positions of the path.
+ * @param {object} [options] Object with the following properties:
+ * @param {number} [options.sampleCount=100] The number of samples, including the first and last positions of the path.
+ * @param {ArcType} [options.arcType=ArcType.GEODESIC] The type of line connecting the positions.  Must be {@link ArcType.GEODESIC} or {@link ArcType.RHUMB}.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid on which the positions lie.
+ * @param {boolean} [options.rejectOnTileFail=false] If true, for a failed terrain tile request the promise will be rejected. If false, returned heights will be undefined.
+ * @returns {Promise<Cartographic[]>} A promise that resolves to the samples with their terrain heights.  This
+ *                                     promise will reject if the terrain provider's <code>availability</code> property is undefined.
+ *
+ * @exception {DeveloperError} positions must contain at least two positions.
+ *
+ * @example
+ * const terrainProvider = await Cesium.createWorldTerrainAsync();
+ * const samples = await Cesium.sampleTerrainProfile(terrainProvider, [
+ *   Cesium.Cartographic.fromDegrees(86.9, 27.9),
+ *   Cesium.Cartographic.fromDegrees(87.0, 28.0)
+ * ], {
+ *   sampleCount: 200
+ * });
+ * const highest = Math.max(...samples.map((sample) => sample.height));
+ */
+async function sampleTerrainProfile(terrainProvider, positions, options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const sampleCount = defaultValue(options.sampleCount, 100);
+  const arcType = defaultValue(options.arcType, ArcType.GEODESIC);
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("terrainProvider", terrainProvider);
+  Check.defined("positions", positions);
+  Check.typeOf.number.greaterThanOrEquals(
+    "positions.length",
+    positions.length,
+    2
+  );
+  Check.typeOf.number.greaterThanOrEquals(
+    "options.sampleCount",
+    sampleCount,
+    2
+  );
+  if (arcType !== ArcType.GEODESIC && arcType !== ArcType.RHUMB) {
+    throw new DeveloperError(
+      "options.arcType must be ArcType.GEODESIC or ArcType.RHUMB."
+    );
+  }
+  //>>includeEnd('debug');
+
+  const lines = [];
+  let totalDistance = 0.0;
+  for (let i = 1; i < positions.length; ++i) {
+    const start = positions[i - 1];
+    const end = positions[i];
+    if (Cartographic.equalsEpsilon(start, end, CesiumMath.EPSILON12)) {
+      continue;
+    }
+
+    const line =
+      arcType === ArcType.RHUMB
+        ? new EllipsoidRhumbLine(start, end, ellipsoid)
+        : new EllipsoidGeodesic(start, end, ellipsoid);
+    lines.push(line);
+    totalDistance += line.surfaceDistance;
+  }
+
+  const samples = new Array(sampleCount);
+  const spacing = totalDistance / (sampleCount - 1);
+
+  let lineIndex = 0;
+  let lineStart = 0.0;
+  for (let i = 0; i < sampleCount; ++i) {
+    if (lines.length === 0) {
+      samples[i] = Cartographic.clone(positions[0]);
+      continue;
+    }
+
+    const distance = i * spacing;
+    while (
+      lineIndex < lines.length - 1 &&
+      distance > lineStart + lines[lineIndex].surfaceDistance
+    ) {
+      lineStart += lines[lineIndex].surfaceDistance;
+      ++lineIndex;
+    }
+
+    const line = lines[lineIndex];
+    const fraction = CesiumMath.clamp(
+      (distance - lineStart) / line.surfaceDistance,
+      0.0,
+      1.0
+    );
+    samples[i] = line.interpolateUsingFraction(fraction, new Cartographic());
+  }
+
+  return sampleTerrainMostDetailed(
+    terrainProvider,
+    samples,
+    options.rejectOnTileFail
+  );
+}
+export default sampleTerrainProfile;
@@ -0,0 +1,55 @@
+/**
+ * The kind of entity drawn or edited by an {@link EntityEditor}.
+ *
+ * @enum {number}
+ */
+const DrawingMode = {
+  /**
+   * A point with a single position.
+   *
+   * @type {number}
+   * @constant
+   */
+  POINT: 0,
+
+  /**
+   * A polyline with two or more positions.
+   *
+   * @type {number}
+   * @constant
+   */
+  POLYLINE: 1,
+
+  /**
+   * A polygon with three or more positions.
+   *
+   * @type {number}
+   * @constant
+   */
+  POLYGON: 2,
+
+  /**
+   * A rectangle between two opposite corners.
+   *
+   * @type {number}
+   * @constant
+   */
+  RECTANGLE: 3,
+
+  /**
+   * A circle with a center and a position on its edge.
+   *
+   * @type {number}
+   * @constant
+   */
+  CIRCLE: 4,
+
+  /**
+   * A corridor with two or more positions.
+   *
+   * @type {number}
+   * @constant
+   */
+  CORRIDOR: 5,
+};
+export default Object.freeze(DrawingMode);
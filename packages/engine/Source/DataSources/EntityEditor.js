@@ -0,0 +1,1130 @@
+import Cartesian2 from "../Core/Cartesian2.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import Event from "../Core/Event.js";
+import JulianDate from "../Core/JulianDate.js";
+import Matrix4 from "../Core/Matrix4.js";
+import PolygonHierarchy from "../Core/PolygonHierarchy.js";
+import Ray from "../Core/Ray.js";
+import Rectangle from "../Core/Rectangle.js";
+import ScreenSpaceEventHandler from "../Core/ScreenSpaceEventHandler.js";
+import ScreenSpaceEventType from "../Core/ScreenSpaceEventType.js";
+import Transforms from "../Core/Transforms.js";
+import PointPrimitiveCollection from "../Scene/PointPrimitiveCollection.js";
+import CallbackProperty from "./CallbackProperty.js";
+import DrawingMode from "./DrawingMode.js";
+import Entity from "./Entity.js";
+import Property from "./Property.js";
+
+/**
+ * Interactively draws and edits points, polylines, polygons, rectangles, circles and corridors as entities.
+ * <p>
+ * After {@link EntityEditor#draw} is called, a left click or tap adds a position picked with {@link Scene#pickPosition},
+ * so that positions snap to terrain and 3D Tiles, falling back to the globe and the ellipsoid.  A double click or right
+ * click completes the entity and adds it to the entity collection.  Points are completed with their first position,
+ * and rectangles and circles with their second.
+ * </p>
+ * <p>
+ * After {@link EntityEditor#edit} is called, the positions of the entity are shown as handles that are dragged to move them.
+ * For polylines, polygons and corridors, dragging the handle in the middle of a segment inserts a position, and a right
+ * click on a handle removes its position.  Changes are recorded and can be reverted with {@link EntityEditor#undo}.
+ * </p>
+ *
+ * @alias EntityEditor
+ * @constructor
+ *
+ * @param {object} options Object with the following properties:
+ * @param {Scene} options.scene The scene to draw and edit in.
+ * @param {EntityCollection} options.entities The collection that drawn entities are added to.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid used to compute rectangles and circles.
+ * @param {Color} [options.color=Color.YELLOW] The color of drawn points and polylines.
+ * @param {Color} [options.fillColor=Color.YELLOW.withAlpha(0.5)] The color of drawn polygons, rectangles, circles and corridors.
+ * @param {number} [options.corridorWidth=10.0] The width of drawn corridors, in meters.
+ * @param {boolean} [options.clampToGround=true] Whether drawn polylines are clamped to the ground and drawn polygons follow the terrain
+ *        instead of the heights of their positions.
+ *
+ * @example
+ * const editor = new Cesium.EntityEditor({
+ *   scene: viewer.scene,
+ *   entities: viewer.entities
+ * });
+ * editor.entityCreated.addEventListener(function (entity) {
+ *   editor.edit(entity);
+ * });
+ * editor.entityChanged.addEventListener(function (entity) {
+ *   console.log(`${entity.id} was changed`);
+ * });
+ * editor.draw(Cesium.DrawingMode.POLYGON);
+ */
+function EntityEditor(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const scene = options.scene;
+  const entities = options.entities;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.scene", scene);
+  Check.typeOf.object("options.entities", entities);
+  //>>includeEnd('debug');
+
+  this._scene = scene;
+  this._entities = entities;
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+
+  /**
+   * The color of drawn points and polylines.
+   *
+   * @type {Color}
+   * @default Color.YELLOW
+   */
+  this.color = Color.clone(defaultValue(options.color, Color.YELLOW));
+
+  /**
+   * The color of drawn polygons, rectangles, circles and corridors.
+   *
+   * @type {Color}
+   * @default Color.YELLOW.withAlpha(0.5)
+   */
+  this.fillColor = Color.clone(
+    defaultValue(options.fillColor, Color.YELLOW.withAlpha(0.5))
+  );
+
+  /**
+   * The width of drawn corridors, in meters.
+   *
+   * @type {number}
+   * @default 10.0
+   */
+  this.corridorWidth = defaultValue(options.corridorWidth, 10.0);
+
+  /**
+   * Whether drawn polylines are clamped to the ground and drawn polygons follow the terrain instead of the
+   * heights of their positions.
+   *
+   * @type {boolean}
+   * @default true
+   */
+  this.clampToGround = defaultValue(options.clampToGround, true);
+
+  this._mode = undefined;
+  this._entity = undefined;
+  this._positions = [];
+  this._floatingPosition = undefined;
+  this._lastClickPosition = undefined;
+  this._isDrawing = false;
+  this._handler = undefined;
+
+  this._dragIndex = undefined;
+  this._dragStartPositions = undefined;
+  this._enableInputs = undefined;
+
+  this._undoStack = [];
+  this._redoStack = [];
+
+  this._entityCreated = new Event();
+  this._entityChanged = new Event();
+
+  this._handles = scene.primitives.add(new PointPrimitiveCollection());
+}
+
+Object.defineProperties(EntityEditor.prototype, {
+  /**
+   * Gets the scene to draw and edit in.
+   * @memberof EntityEditor.prototype
+   *
+   * @type {Scene}
+   * @readonly
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+
+  /**
+   * Gets the collection that drawn entities are added to.
+   * @memberof EntityEditor.prototype
+   *
+   * @type {EntityCollection}
+   * @readonly
+   */
+  entities: {
+    get: function () {
+      return this._entities;
+    },
+  },
+
+  /**
+   * Gets the ellipsoid used to compute rectangles and circles.
+   * @memberof EntityEditor.prototype
+   *
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * Gets the kind of entity that is being drawn or edited, or <code>undefined</code> if there is none.
+   * @memberof EntityEditor.prototype
+   *
+   * @type {DrawingMode|undefined}
+   * @readonly
+   */
+  mode: {
+    get: function () {
+      return this._mode;
+    },
+  },
+
+  /**
+   * Gets the entity that is being drawn or edited, or <code>undefined</code> if there is none.  An entity that
+   * is being drawn is not created until its first position is added.
+   * @memberof EntityEditor.prototype
+   *
+   * @type {Entity|undefined}
+   * @readonly
+   */
+  entity: {
+    get: function () {
+      return this._entity;
+    },
+  },
+
+  /**
+   * Gets the positions of the entity that is being drawn or edited.  The positions of a circle are its center
+   * and a position on its edge, and those of a rectangle are two opposite corners.
+   * @memberof EntityEditor.prototype
+   *
+   * @type {Cartesian3[]}
+   * @readonly
+   */
+  positions: {
+    get: function () {
+      return this._positions;
+    },
+  },
+
+  /**
+   * Gets whether an entity is being drawn.
+   * @memberof EntityEditor.prototype
+   *
+   * @type {boolean}
+   * @readonly
+   */
+  isDrawing: {
+    get: function () {
+      return this._isDrawing;
+    },
+  },
+
+  /**
+   * Gets whether an entity is being edited.
+   * @memberof EntityEditor.prototype
+   *
+   * @type {boolean}
+   * @readonly
+   */
+  isEditing: {
+    get: function () {
+      return !this._isDrawing && defined(this._entity);
+    },
+  },
+
+  /**
+   * Gets whether there is a change that can be reverted with {@link EntityEditor#undo}.
+   * @memberof EntityEditor.prototype
+   *
+   * @type {boolean}
+   * @readonly
+   */
+  canUndo: {
+    get: function () {
+      return this._undoStack.length > 0;
+    },
+  },
+
+  /**
+   * Gets whether there is a reverted change that can be applied again with {@link EntityEditor#redo}.
+   * @memberof EntityEditor.prototype
+   *
+   * @type {boolean}
+   * @readonly
+   */
+  canRedo: {
+    get: function () {
+      return this._redoStack.length > 0;
+    },
+  },
+
+  /**
+   * Gets the event that is raised with the new entity when drawing it is completed.
+   * @memberof EntityEditor.prototype
+   *
+   * @type {Event}
+   * @readonly
+   */
+  entityCreated: {
+    get: function () {
+      return this._entityCreated;
+    },
+  },
+
+  /**
+   * Gets the event that is raised with the changed entity when its positions are edited, or when a change
+   * is reverted or applied again.  When the creation of an entity is reverted, the entity is removed from
+   * the entity collection before the event is raised.
+   * @memberof EntityEditor.prototype
+   *
+   * @type {Event}
+   * @readonly
+   */
+  entityChanged: {
+    get: function () {
+      return this._entityChanged;
+    },
+  },
+});
+
+/**
+ * Starts drawing a new entity with the mouse or touch.  Any current drawing or editing is stopped first.
+ *
+ * @param {DrawingMode} mode The kind of entity to draw.
+ */
+EntityEditor.prototype.draw = function (mode) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("mode", mode);
+  //>>includeEnd('debug');
+
+  this.stop();
+  this._mode = mode;
+  this._isDrawing = true;
+
+  const that = this;
+  const handler = new ScreenSpaceEventHandler(this._scene.canvas);
+  handler.setInputAction(function (movement) {
+    // The second click of a double click is at the same position
+    if (Cartesian2.equals(movement.position, that._lastClickPosition)) {
+      return;
+    }
+    const position = pickPosition(that, movement.position);
+    if (defined(position)) {
+      that._lastClickPosition = Cartesian2.clone(movement.position);
+      that.addPosition(position);
+    }
+  }, ScreenSpaceEventType.LEFT_CLICK);
+  handler.setInputAction(function (movement) {
+    if (that._positions.length === 0) {
+      return;
+    }
+    that._floatingPosition = pickPosition(that, movement.endPosition);
+    that._scene.requestRender();
+  }, ScreenSpaceEventType.MOUSE_MOVE);
+  const finish = function () {
+    that.finish();
+  };
+  handler.setInputAction(finish, ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+  handler.setInputAction(finish, ScreenSpaceEventType.RIGHT_CLICK);
+  this._handler = handler;
+};
+
+/**
+ * Adds a position to the entity that is being drawn, creating the entity with its first position.
+ * Drawing a point is completed with its first position, and drawing a rectangle or circle with its second.
+ *
+ * @param {Cartesian3} position The position to add.
+ *
+ * @exception {DeveloperError} An entity is not being drawn.
+ */
+EntityEditor.prototype.addPosition = function (position) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("position", position);
+  if (!this._isDrawing) {
+    throw new DeveloperError("An entity is not being drawn.");
+  }
+  //>>includeEnd('debug');
+
+  this._positions.push(Cartesian3.clone(position));
+  if (!defined(this._entity)) {
+    this._entity = createEntity(this, this._mode);
+    setGraphics(this, this._entity, this._mode);
+    this._entities.add(this._entity);
+  }
+
+  if (this._positions.length >= getMaximumPositionCount(this._mode)) {
+    this.finish();
+    return;
+  }
+  updateHandles(this);
+};
+
+/**
+ * Completes the entity that is being drawn.  The entity is removed if it does not have enough positions.
+ *
+ * @returns {Entity|undefined} The new entity, or <code>undefined</code> if an entity was not created.
+ */
+EntityEditor.prototype.finish = function () {
+  if (!this._isDrawing) {
+    return undefined;
+  }
+
+  const entity = this._entity;
+  const mode = this._mode;
+  const positions = this._positions;
+  this._isDrawing = false;
+  this._floatingPosition = undefined;
+  this.stop();
+
+  if (!defined(entity)) {
+    return undefined;
+  }
+
+  if (positions.length < getMinimumPositionCount(mode)) {
+    this._entities.remove(entity);
+    return undefined;
+  }
+
+  setGraphics(this, entity, mode, positions);
+  record(this, entity, mode, undefined, positions);
+  this._entityCreated.raiseEvent(entity);
+  return entity;
+};
+
+/**
+ * Starts editing an entity with the mouse or touch.  Any current drawing or editing is stopped first.
+ *
+ * @param {Entity} entity The entity to edit.  It is edited as a polygon, polyline, corridor, rectangle, circle
+ *        or point, in this order, depending on its graphics.  An ellipse is edited as a circle.
+ * @param {JulianDate} [time=JulianDate.now()] The time at which the positions of the entity are read.
+ *
+ * @exception {DeveloperError} The entity does not have graphics that can be edited.
+ */
+EntityEditor.prototype.edit = function (entity, time) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("entity", entity);
+  //>>includeEnd('debug');
+
+  const mode = getDrawingMode(entity);
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(mode)) {
+    throw new DeveloperError(
+      "The entity does not have graphics that can be edited."
+    );
+  }
+  //>>includeEnd('debug');
+
+  this.stop();
+  time = defaultValue(time, JulianDate.now());
+  this._mode = mode;
+  this._entity = entity;
+  this._positions = readPositions(this, entity, mode, time);
+
+  const that = this;
+  const scene = this._scene;
+  const handler = new ScreenSpaceEventHandler(scene.canvas);
+  handler.setInputAction(function (movement) {
+    const handle = pickHandle(that, movement.position);
+    if (!defined(handle)) {
+      return;
+    }
+
+    that._dragStartPositions = clonePositions(that._positions);
+    let index = handle.index;
+    if (handle.isMidpoint) {
+      index = index + 1;
+      that._positions.splice(index, 0, Cartesian3.clone(handle.position));
+    }
+    that._dragIndex = index;
+    setGraphics(that, that._entity, that._mode);
+    updateHandles(that);
+
+    const cameraController = scene.screenSpaceCameraController;
+    that._enableInputs = cameraController.enableInputs;
+    cameraController.enableInputs = false;
+  }, ScreenSpaceEventType.LEFT_DOWN);
+  handler.setInputAction(function (movement) {
+    if (!defined(that._dragIndex)) {
+      return;
+    }
+    const position = pickPosition(that, movement.endPosition);
+    if (defined(position)) {
+      setPosition(that, that._dragIndex, position);
+      updateHandles(that);
+    }
+  }, ScreenSpaceEventType.MOUSE_MOVE);
+  handler.setInputAction(function () {
+    endDrag(that);
+  }, ScreenSpaceEventType.LEFT_UP);
+  handler.setInputAction(function (movement) {
+    const handle = pickHandle(that, movement.position);
+    if (
+      defined(handle) &&
+      !handle.isMidpoint &&
+      canInsertPositions(that._mode) &&
+      that._positions.length > getMinimumPositionCount(that._mode)
+    ) {
+      that.removePosition(handle.index);
+    }
+  }, ScreenSpaceEventType.RIGHT_CLICK);
+  this._handler = handler;
+
+  updateHandles(this);
+};
+
+/**
+ * Moves a position of the entity that is being edited.  Moving the center of a circle moves the whole circle.
+ *
+ * @param {number} index The index of the position.
+ * @param {Cartesian3} position The new position.
+ *
+ * @exception {DeveloperError} An entity is not being edited.
+ */
+EntityEditor.prototype.movePosition = function (index, position) {
+  //>>includeStart('debug', pragmas.debug);
+  checkEditing(this);
+  Check.typeOf.number.greaterThanOrEquals("index", index, 0);
+  Check.typeOf.number.lessThan("index", index, this._positions.length);
+  Check.typeOf.object("position", position);
+  //>>includeEnd('debug');
+
+  const before = clonePositions(this._positions);
+  setPosition(this, index, position);
+  commit(this, before);
+};
+
+/**
+ * Inserts a position into the polyline, polygon or corridor that is being edited.
+ *
+ * @param {number} index The index at which the position is inserted.
+ * @param {Cartesian3} position The position to insert.
+ *
+ * @exception {DeveloperError} An entity is not being edited.
+ * @exception {DeveloperError} Positions can only be inserted into polylines, polygons and corridors.
+ */
+EntityEditor.prototype.insertPosition = function (index, position) {
+  //>>includeStart('debug', pragmas.debug);
+  checkEditing(this);
+  if (!canInsertPositions(this._mode)) {
+    throw new DeveloperError(
+      "Positions can only be inserted into polylines, polygons and corridors."
+    );
+  }
+  Check.typeOf.number.greaterThanOrEquals("index", index, 0);
+  Check.typeOf.number.lessThanOrEquals("index", index, this._positions.length);
+  Check.typeOf.object("position", position);
+  //>>includeEnd('debug');
+
+  const before = clonePositions(this._positions);
+  this._positions.splice(index, 0, Cartesian3.clone(position));
+  commit(this, before);
+};
+
+/**
+ * Removes a position from the polyline, polygon or corridor that is being edited.  A position is not removed
+ * when a polyline or corridor would have less than two positions, or a polygon less than three.
+ *
+ * @param {number} index The index of the position.
+ * @returns {boolean} <code>true</code> if the position was removed, <code>false</code> otherwise.
+ *
+ * @exception {DeveloperError} An entity is not being edited.
+ * @exception {DeveloperError} Positions can only be removed from polylines, polygons and corridors.
+ */
+EntityEditor.prototype.removePosition = function (index) {
+  //>>includeStart('debug', pragmas.debug);
+  checkEditing(this);
+  if (!canInsertPositions(this._mode)) {
+    throw new DeveloperError(
+      "Positions can only be removed from polylines, polygons and corridors."
+    );
+  }
+  Check.typeOf.number.greaterThanOrEquals("index", index, 0);
+  Check.typeOf.number.lessThan("index", index, this._positions.length);
+  //>>includeEnd('debug');
+
+  if (this._positions.length <= getMinimumPositionCount(this._mode)) {
+    return false;
+  }
+
+  const before = clonePositions(this._positions);
+  this._positions.splice(index, 1);
+  commit(this, before);
+  return true;
+};
+
+/**
+ * Stops drawing or editing.  An entity that is being drawn is completed with {@link EntityEditor#finish}.
+ */
+EntityEditor.prototype.stop = function () {
+  if (this._isDrawing) {
+    this.finish();
+    return;
+  }
+
+  endDrag(this);
+  if (defined(this._handler)) {
+    this._handler = this._handler.destroy();
+  }
+  this._mode = undefined;
+  this._entity = undefined;
+  this._positions = [];
+  this._lastClickPosition = undefined;
+  updateHandles(this);
+};
+
+/**
+ * Reverts the last change.  While an entity is being drawn, the last position that was added is removed instead.
+ */
+EntityEditor.prototype.undo = function () {
+  if (this._isDrawing) {
+    this._positions.pop();
+    if (this._positions.length === 0 && defined(this._entity)) {
+      this._entities.remove(this._entity);
+      this._entity = undefined;
+    }
+    updateHandles(this);
+    return;
+  }
+
+  endDrag(this);
+  const change = this._undoStack.pop();
+  if (defined(change)) {
+    this._redoStack.push(change);
+    applyChange(this, change, change.before);
+  }
+};
+
+/**
+ * Applies the last reverted change again.
+ */
+EntityEditor.prototype.redo = function () {
+  if (this._isDrawing) {
+    return;
+  }
+
+  endDrag(this);
+  const change = this._redoStack.pop();
+  if (defined(change)) {
+    this._undoStack.push(change);
+    applyChange(this, change, change.after);
+  }
+};
+
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ * <br /><br />
+ * If this object was destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.
+ *
+ * @returns {boolean} <code>true</code> if this object was destroyed; otherwise, <code>false</code>.
+ *
+ * @see EntityEditor#destroy
+ */
+EntityEditor.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Stops drawing or editing and removes the handles from the scene.
+ * <br /><br />
+ * Once an object is destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.  Therefore,
+ * assign the return value (<code>undefined</code>) to the object as done in the example.
+ *
+ * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+ *
+ * @example
+ * editor = editor && editor.destroy();
+ *
+ * @see EntityEditor#isDestroyed
+ */
+EntityEditor.prototype.destroy = function () {
+  this.stop();
+  const primitives = this._scene.primitives;
+  if (!primitives.isDestroyed()) {
+    primitives.remove(this._handles);
+  }
+  return destroyObject(this);
+};
+
+//>>includeStart('debug', pragmas.debug);
+function checkEditing(editor) {
+  if (!editor.isEditing) {
+    throw new DeveloperError("An entity is not being edited.");
+  }
+}
+//>>includeEnd('debug');
+
+const scratchPickRay = new Ray();
+
+function pickPosition(editor, windowPosition) {
+  const scene = editor._scene;
+  if (scene.pickPositionSupported) {
+    const position = scene.pickPosition(windowPosition);
+    if (defined(position)) {
+      return position;
+    }
+  }
+
+  const globe = scene.globe;
+  if (defined(globe)) {
+    const ray = scene.camera.getPickRay(windowPosition, scratchPickRay);
+    const position = defined(ray) ? globe.pick(ray, scene) : undefined;
+    if (defined(position)) {
+      return position;
+    }
+  }
+
+  return scene.camera.pickEllipsoid(windowPosition, editor._ellipsoid);
+}
+
+function pickHandle(editor, windowPosition) {
+  const picked = editor._scene.pick(windowPosition);
+  if (defined(picked) && picked.collection === editor._handles) {
+    return picked.id;
+  }
+  return undefined;
+}
+
+function getMinimumPositionCount(mode) {
+  switch (mode) {
+    case DrawingMode.POINT:
+      return 1;
+    case DrawingMode.POLYGON:
+      return 3;
+    default:
+      return 2;
+  }
+}
+
+function getMaximumPositionCount(mode) {
+  switch (mode) {
+    case DrawingMode.POINT:
+      return 1;
+    case DrawingMode.RECTANGLE:
+    case DrawingMode.CIRCLE:
+      return 2;
+    default:
+      return Number.POSITIVE_INFINITY;
+  }
+}
+
+function canInsertPositions(mode) {
+  return (
+    mode === DrawingMode.POLYLINE ||
+    mode === DrawingMode.POLYGON ||
+    mode === DrawingMode.CORRIDOR
+  );
+}
+
+function getDrawingMode(entity) {
+  if (defined(entity.polygon)) {
+    return DrawingMode.POLYGON;
+  }
+  if (defined(entity.polyline)) {
+    return DrawingMode.POLYLINE;
+  }
+  if (defined(entity.corridor)) {
+    return DrawingMode.CORRIDOR;
+  }
+  if (defined(entity.rectangle)) {
+    return DrawingMode.RECTANGLE;
+  }
+  if (defined(entity.position)) {
+    return defined(entity.ellipse) ? DrawingMode.CIRCLE : DrawingMode.POINT;
+  }
+  return undefined;
+}
+
+function clonePositions(positions) {
+  return positions.map(function (position) {
+    return Cartesian3.clone(position);
+  });
+}
+
+function createEntity(editor, mode) {
+  switch (mode) {
+    case DrawingMode.POINT:
+      return new Entity({
+        point: {
+          pixelSize: 10.0,
+          color: editor.color,
+        },
+      });
+    case DrawingMode.POLYLINE:
+      return new Entity({
+        polyline: {
+          width: 3.0,
+          material: editor.color,
+          clampToGround: editor.clampToGround,
+        },
+      });
+    case DrawingMode.POLYGON:
+      return new Entity({
+        polygon: {
+          material: editor.fillColor,
+          perPositionHeight: !editor.clampToGround,
+        },
+      });
+    case DrawingMode.RECTANGLE:
+      return new Entity({
+        rectangle: {
+          material: editor.fillColor,
+        },
+      });
+    case DrawingMode.CIRCLE:
+      return new Entity({
+        ellipse: {
+          material: editor.fillColor,
+        },
+      });
+    case DrawingMode.CORRIDOR:
+      return new Entity({
+        corridor: {
+          width: editor.corridorWidth,
+          material: editor.fillColor,
+        },
+      });
+    //>>includeStart('debug', pragmas.debug);
+    default:
+      throw new DeveloperError("mode must be a DrawingMode.");
+    //>>includeEnd('debug');
+  }
+}
+
+function computeCenter(positions) {
+  return Cartesian3.clone(positions[0]);
+}
+
+function computePolyline(positions) {
+  return positions.length >= 2 ? clonePositions(positions) : undefined;
+}
+
+function computeRectangle(editor, positions) {
+  if (positions.length < 2) {
+    return undefined;
+  }
+  const rectangle = Rectangle.fromCartesianArray(positions, editor._ellipsoid);
+  if (
+    rectangle.east === rectangle.west ||
+    rectangle.north === rectangle.south
+  ) {
+    return undefined;
+  }
+  return rectangle;
+}
+
+function computeRadius(positions) {
+  if (positions.length < 2) {
+    return undefined;
+  }
+  const radius = Cartesian3.distance(positions[0], positions[1]);
+  return radius > 0.0 ? radius : undefined;
+}
+
+function getHoles(entity) {
+  const hierarchy = Property.getValueOrUndefined(
+    entity.polygon.hierarchy,
+    JulianDate.now()
+  );
+  return defined(hierarchy) && !Array.isArray(hierarchy)
+    ? hierarchy.holes
+    : undefined;
+}
+
+// Sets the graphics of the entity from the positions.  Without positions, the graphics follow the
+// positions of the editor until they are set again, so that they change while drawing or dragging.
+function setGraphics(editor, entity, mode, positions) {
+  function createProperty(compute) {
+    if (defined(positions)) {
+      return compute(positions);
+    }
+    return new CallbackProperty(function () {
+      const current = editor._positions;
+      const floatingPosition = editor._floatingPosition;
+      return compute(
+        editor._isDrawing && defined(floatingPosition)
+          ? current.concat(floatingPosition)
+          : current
+      );
+    }, false);
+  }
+
+  switch (mode) {
+    case DrawingMode.POINT:
+      entity.position = createProperty(computeCenter);
+      break;
+    case DrawingMode.POLYLINE:
+      entity.polyline.positions = createProperty(computePolyline);
+      break;
+    case DrawingMode.POLYGON: {
+      const holes = getHoles(entity);
+      entity.polygon.hierarchy = createProperty(function (positions) {
+        return positions.length >= 3
+          ? new PolygonHierarchy(clonePositions(positions), holes)
+          : undefined;
+      });
+      break;
+    }
+    case DrawingMode.RECTANGLE:
+      entity.rectangle.coordinates = createProperty(function (positions) {
+        return computeRectangle(editor, positions);
+      });
+      break;
+    case DrawingMode.CIRCLE: {
+      entity.position = createProperty(computeCenter);
+      const radius = createProperty(computeRadius);
+      entity.ellipse.semiMajorAxis = radius;
+      entity.ellipse.semiMinorAxis = radius;
+      break;
+    }
+    case DrawingMode.CORRIDOR:
+      entity.corridor.positions = createProperty(computePolyline);
+      break;
+  }
+}
+
+const scratchEastNorthUp = new Matrix4();
+const scratchEdge = new Cartesian3();
+
+function readPositions(editor, entity, mode, time) {
+  let positions;
+  switch (mode) {
+    case DrawingMode.POINT:
+      positions = [Property.getValueOrUndefined(entity.position, time)];
+      break;
+    case DrawingMode.POLYLINE:
+      positions = Property.getValueOrUndefined(entity.polyline.positions, time);
+      break;
+    case DrawingMode.POLYGON: {
+      const hierarchy = Property.getValueOrUndefined(
+        entity.polygon.hierarchy,
+        time
+      );
+      positions =
+        defined(hierarchy) && !Array.isArray(hierarchy)
+          ? hierarchy.positions
+          : hierarchy;
+      break;
+    }
+    case DrawingMode.RECTANGLE: {
+      const rectangle = Property.getValueOrUndefined(
+        entity.rectangle.coordinates,
+        time
+      );
+      if (defined(rectangle)) {
+        positions = [
+          Cartesian3.fromRadians(
+            rectangle.west,
+            rectangle.south,
+            0.0,
+            editor._ellipsoid
+          ),
+          Cartesian3.fromRadians(
+            rectangle.east,
+            rectangle.north,
+            0.0,
+            editor._ellipsoid
+          ),
+        ];
+      }
+      break;
+    }
+    case DrawingMode.CIRCLE: {
+      const center = Property.getValueOrUndefined(entity.position, time);
+      const radius = Property.getValueOrUndefined(
+        entity.ellipse.semiMajorAxis,
+        time
+      );
+      if (defined(center) && defined(radius)) {
+        const eastNorthUp = Transforms.eastNorthUpToFixedFrame(
+          center,
+          editor._ellipsoid,
+          scratchEastNorthUp
+        );
+        const edge = Matrix4.multiplyByPoint(
+          eastNorthUp,
+          Cartesian3.fromElements(radius, 0.0, 0.0, scratchEdge),
+          new Cartesian3()
+        );
+        positions = [center, edge];
+      }
+      break;
+    }
+    case DrawingMode.CORRIDOR:
+      positions = Property.getValueOrUndefined(entity.corridor.positions, time);
+      break;
+  }
+
+  if (!defined(positions)) {
+    return [];
+  }
+  return clonePositions(
+    positions.filter(function (position) {
+      return defined(position);
+    })
+  );
+}
+
+const scratchTranslation = new Cartesian3();
+
+function setPosition(editor, index, position) {
+  const positions = editor._positions;
+  // Moving the center of a circle moves its edge too, so that the radius is kept
+  if (editor._mode === DrawingMode.CIRCLE && index === 0) {
+    const translation = Cartesian3.subtract(
+      position,
+      positions[0],
+      scratchTranslation
+    );
+    Cartesian3.add(positions[1], translation, positions[1]);
+  }
+  positions[index] = Cartesian3.clone(position, positions[index]);
+}
+
+const scratchMidpoint = new Cartesian3();
+
+function computeMidpoint(editor, start, end) {
+  const ellipsoid = editor._ellipsoid;
+  const midpoint = Cartesian3.midpoint(start, end, scratchMidpoint);
+  const cartographic = ellipsoid.cartesianToCartographic(midpoint);
+  if (!defined(cartographic)) {
+    return Cartesian3.clone(midpoint);
+  }
+  const startHeight = ellipsoid.cartesianToCartographic(start).height;
+  const endHeight = ellipsoid.cartesianToCartographic(end).height;
+  cartographic.height = (startHeight + endHeight) * 0.5;
+  return ellipsoid.cartographicToCartesian(cartographic);
+}
+
+function updateHandles(editor) {
+  const handles = editor._handles;
+  handles.removeAll();
+
+  const positions = editor._positions;
+  const length = positions.length;
+  for (let i = 0; i < length; ++i) {
+    handles.add({
+      position: positions[i],
+      pixelSize: 10.0,
+      color: Color.WHITE,
+      outlineColor: Color.BLACK,
+      outlineWidth: 2.0,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      // The dragged handle is hidden so that it is not picked under the cursor
+      show: i !== editor._dragIndex,
+      id: {
+        index: i,
+        isMidpoint: false,
+        position: positions[i],
+      },
+    });
+  }
+
+  if (!editor._isDrawing && canInsertPositions(editor._mode)) {
+    const segmentCount =
+      editor._mode === DrawingMode.POLYGON && length >= 3 ? length : length - 1;
+    for (let i = 0; i < segmentCount; ++i) {
+      const midpoint = computeMidpoint(
+        editor,
+        positions[i],
+        positions[(i + 1) % length]
+      );
+      handles.add({
+        position: midpoint,
+        pixelSize: 7.0,
+        color: Color.WHITE.withAlpha(0.6),
+        outlineColor: Color.BLACK,
+        outlineWidth: 1.0,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+        show: !defined(editor._dragIndex),
+        id: {
+          index: i,
+          isMidpoint: true,
+          position: midpoint,
+        },
+      });
+    }
+  }
+
+  editor._scene.requestRender();
+}
+
+function positionsEqual(left, right) {
+  if (left.length !== right.length) {
+    return false;
+  }
+  for (let i = 0; i < left.length; ++i) {
+    if (!Cartesian3.equals(left[i], right[i])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function record(editor, entity, mode, before, after) {
+  editor._undoStack.push({
+    entity: entity,
+    mode: mode,
+    before: defined(before) ? clonePositions(before) : undefined,
+    after: defined(after) ? clonePositions(after) : undefined,
+  });
+  editor._redoStack.length = 0;
+}
+
+// Sets the graphics of the edited entity from its positions, and records the change from the positions before it
+function commit(editor, before) {
+  const entity = editor._entity;
+  const positions = editor._positions;
+  setGraphics(editor, entity, editor._mode, positions);
+  updateHandles(editor);
+  if (positionsEqual(before, positions)) {
+    return;
+  }
+  record(editor, entity, editor._mode, before, positions);
+  editor._entityChanged.raiseEvent(entity);
+}
+
+function endDrag(editor) {
+  if (!defined(editor._dragIndex)) {
+    return;
+  }
+
+  editor._scene.screenSpaceCameraController.enableInputs = editor._enableInputs;
+  const before = editor._dragStartPositions;
+  editor._dragIndex = undefined;
+  editor._dragStartPositions = undefined;
+  editor._enableInputs = undefined;
+  commit(editor, before);
+}
+
+function applyChange(editor, change, positions) {
+  const entity = change.entity;
+  const entities = editor._entities;
+  if (!defined(positions)) {
+    if (editor._entity === entity) {
+      editor.stop();
+    }
+    entities.remove(entity);
+  } else {
+    positions = clonePositions(positions);
+    setGraphics(editor, entity, change.mode, positions);
+    if (!entities.contains(entity)) {
+      entities.add(entity);
+    }
+    if (editor._entity === entity) {
+      editor._positions = positions;
+      updateHandles(editor);
+    }
+  }
+  editor._entityChanged.raiseEvent(entity);
+}
+
+export default EntityEditor;
@@ -0,0 +1,507 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import Credit from "../Core/Credit.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Event from "../Core/Event.js";
+import FlatGeobuf from "../Core/FlatGeobuf.js";
+import getFilenameFromUri from "../Core/getFilenameFromUri.js";
+import CesiumMath from "../Core/Math.js";
+import Rectangle from "../Core/Rectangle.js";
+import Resource from "../Core/Resource.js";
+import DataSource from "./DataSource.js";
+import EntityCluster from "./EntityCluster.js";
+import EntityCollection from "./EntityCollection.js";
+import GeoJsonDataSource from "./GeoJsonDataSource.js";
+
+/**
+ * @typedef {object} FlatGeobufDataSource.ConstructorOptions
+ *
+ * Initialization options for the FlatGeobufDataSource constructor
+ *
+ * @property {string} [name] The name of this data source.  If undefined, a name will be taken from the file.
+ * @property {Camera} [camera] The camera whose view determines which features are loaded.  If undefined, the features
+ *           are loaded once, up to <code>maximumFeatures</code>.
+ * @property {number} [maximumFeatures=10000] The maximum number of features that are loaded for a view.
+ * @property {GeoJsonDataSource.describe} [describe=GeoJsonDataSource.defaultDescribeProperty] A function which returns a Property object (or just a string).
+ * @property {number} [markerSize=GeoJsonDataSource.markerSize] The default size of the map pin created for each point, in pixels.
+ * @property {string} [markerSymbol=GeoJsonDataSource.markerSymbol] The default symbol of the map pin created for each point.
+ * @property {Color} [markerColor=GeoJsonDataSource.markerColor] The default color of the map pin created for each point.
+ * @property {Color} [stroke=GeoJsonDataSource.stroke] The default color of polylines and polygon outlines.
+ * @property {number} [strokeWidth=GeoJsonDataSource.strokeWidth] The default width of polylines and polygon outlines.
+ * @property {Color} [fill=GeoJsonDataSource.fill] The default color for polygon interiors.
+ * @property {boolean} [clampToGround=GeoJsonDataSource.clampToGround] true if we want the geometry features (polygons or linestrings) clamped to the ground.
+ * @property {Credit|string} [credit] A credit for the data source, which is displayed on the canvas.
+ */
+
+/**
+ * @typedef {object} FlatGeobufDataSource.LoadOptions
+ *
+ * Initialization options for the <code>load</code> method.  The styling options are the same as those of
+ * {@link GeoJsonDataSource#load}.
+ *
+ * @property {GeoJsonDataSource.describe} [describe=GeoJsonDataSource.defaultDescribeProperty] A function which returns a Property object (or just a string).
+ * @property {number} [markerSize=GeoJsonDataSource.markerSize] The default size of the map pin created for each point, in pixels.
+ * @property {string} [markerSymbol=GeoJsonDataSource.markerSymbol] The default symbol of the map pin created for each point.
+ * @property {Color} [markerColor=GeoJsonDataSource.markerColor] The default color of the map pin created for each point.
+ * @property {Color} [stroke=GeoJsonDataSource.stroke] The default color of polylines and polygon outlines.
+ * @property {number} [strokeWidth=GeoJsonDataSource.strokeWidth] The default width of polylines and polygon outlines.
+ * @property {Color} [fill=GeoJsonDataSource.fill] The default color for polygon interiors.
+ * @property {boolean} [clampToGround=GeoJsonDataSource.clampToGround] true if we want the geometry features (polygons or linestrings) clamped to the ground.
+ * @property {Credit|string} [credit] A credit for the data source, which is displayed on the canvas.
+ */
+
+/**
+ * A {@link DataSource} which streams the features of a {@link https://flatgeobuf.org/|FlatGeobuf} file.
+ * <p>
+ * The packed Hilbert R-tree index of the file is used to read only the features that intersect the view of the
+ * camera, with HTTP range requests, so the server must support the <code>Range</code> header.  Whenever the camera
+ * stops moving, entities are created for the features that came into view and removed for the features that left
+ * it.  Features are styled the same way as by {@link GeoJsonDataSource}, including
+ * {@link https://github.com/mapbox/simplestyle-spec|simplestyle-spec} properties.
+ * </p>
+ * <p>
+ * Files without an index are read completely when they are loaded.  Files with the <code>EPSG:4326</code> or
+ * <code>EPSG:3857</code> coordinate reference systems are supported.
+ * </p>
+ *
+ * @alias FlatGeobufDataSource
+ * @constructor
+ *
+ * @param {FlatGeobufDataSource.ConstructorOptions} [options] Object describing initialization options
+ *
+ * @example
+ * const viewer = new Cesium.Viewer("cesiumContainer");
+ * viewer.dataSources.add(Cesium.FlatGeobufDataSource.load("https://example.com/parcels.fgb", {
+ *   camera: viewer.scene.camera,
+ *   stroke: Cesium.Color.HOTPINK,
+ *   fill: Cesium.Color.PINK.withAlpha(0.5),
+ *   clampToGround: true,
+ * }));
+ */
+function FlatGeobufDataSource(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._name = options.name;
+  this._changed = new Event();
+  this._error = new Event();
+  this._isLoading = false;
+  this._loading = new Event();
+  this._entityCollection = new EntityCollection(this);
+  this._entityCluster = new EntityCluster();
+  this._credit = undefined;
+
+  /**
+   * The camera whose view determines which features are loaded.
+   *
+   * @type {Camera|undefined}
+   */
+  this.camera = options.camera;
+
+  /**
+   * The maximum number of features that are loaded for a view.  When more features intersect the view, only the
+   * first features in the file are loaded.
+   *
+   * @type {number}
+   * @default 10000
+   */
+  this.maximumFeatures = defaultValue(options.maximumFeatures, 10000);
+
+  this._file = undefined;
+  this._loadOptions = undefined;
+  // Converts the GeoJSON features read from the file to entities with the styling options
+  this._geoJsonDataSource = new GeoJsonDataSource();
+  // The entities of each loaded feature, by the index of the feature in the file
+  this._featureEntities = new Map();
+
+  this._lastCameraView = {
+    position: new Cartesian3(),
+    direction: new Cartesian3(),
+    up: new Cartesian3(),
+  };
+  this._cameraMoved = false;
+  this._updating = false;
+}
+
+/**
+ * Creates a Promise to a new instance loaded with the provided FlatGeobuf file.
+ *
+ * @param {Resource|string} url The url of the FlatGeobuf file.
+ * @param {FlatGeobufDataSource.ConstructorOptions} [options] An object specifying configuration options
+ *
+ * @returns {Promise<FlatGeobufDataSource>} A promise that will resolve when the features in the view of the camera are loaded.
+ */
+FlatGeobufDataSource.load = function (url, options) {
+  return new FlatGeobufDataSource(options).load(url, options);
+};
+
+Object.defineProperties(FlatGeobufDataSource.prototype, {
+  /**
+   * Gets or sets a human-readable name for this instance.
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {string}
+   */
+  name: {
+    get: function () {
+      return this._name;
+    },
+    set: function (value) {
+      if (this._name !== value) {
+        this._name = value;
+        this._changed.raiseEvent(this);
+      }
+    },
+  },
+  /**
+   * This DataSource only defines static data, therefore this property is always undefined.
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {DataSourceClock}
+   */
+  clock: {
+    value: undefined,
+    writable: false,
+  },
+  /**
+   * Gets the collection of {@link Entity} instances.
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {EntityCollection}
+   */
+  entities: {
+    get: function () {
+      return this._entityCollection;
+    },
+  },
+  /**
+   * Gets a value indicating if the data source is currently loading data.
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {boolean}
+   */
+  isLoading: {
+    get: function () {
+      return this._isLoading;
+    },
+  },
+  /**
+   * Gets an event that will be raised when the underlying data changes.
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {Event}
+   */
+  changedEvent: {
+    get: function () {
+      return this._changed;
+    },
+  },
+  /**
+   * Gets an event that will be raised if an error is encountered during processing.
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {Event}
+   */
+  errorEvent: {
+    get: function () {
+      return this._error;
+    },
+  },
+  /**
+   * Gets an event that will be raised when the data source either starts or stops loading.
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {Event}
+   */
+  loadingEvent: {
+    get: function () {
+      return this._loading;
+    },
+  },
+  /**
+   * Gets whether or not this data source should be displayed.
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {boolean}
+   */
+  show: {
+    get: function () {
+      return this._entityCollection.show;
+    },
+    set: function (value) {
+      this._entityCollection.show = value;
+    },
+  },
+  /**
+   * Gets or sets the clustering options for this data source. This object can be shared between multiple data sources.
+   *
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {EntityCluster}
+   */
+  clustering: {
+    get: function () {
+      return this._entityCluster;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      if (!defined(value)) {
+        throw new DeveloperError("value must be defined.");
+      }
+      //>>includeEnd('debug');
+      this._entityCluster = value;
+    },
+  },
+  /**
+   * Gets the credit that will be displayed for the data source
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {Credit}
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+  /**
+   * Gets the number of features in the file, of which only those in the view of the camera are loaded.
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {number}
+   * @readonly
+   */
+  featuresLength: {
+    get: function () {
+      return defined(this._file) ? this._file.featuresLength : 0;
+    },
+  },
+});
+
+/**
+ * Asynchronously loads the provided FlatGeobuf file, replacing any existing data.
+ *
+ * @param {Resource|string} url The url of the FlatGeobuf file.
+ * @param {FlatGeobufDataSource.LoadOptions} [options] An object specifying configuration options
+ *
+ * @returns {Promise<FlatGeobufDataSource>} A promise that will resolve when the features in the view of the camera are loaded.
+ *
+ * @exception {RuntimeError} The file is not a FlatGeobuf file.
+ * @exception {RuntimeError} Unsupported coordinate reference system.
+ */
+FlatGeobufDataSource.prototype.load = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  DataSource.setLoading(this, true);
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  // User specified credit
+  let credit = options.credit;
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._loadOptions = {
+    describe: options.describe,
+    markerSize: options.markerSize,
+    markerSymbol: options.markerSymbol,
+    markerColor: options.markerColor,
+    stroke: options.stroke,
+    strokeWidth: options.strokeWidth,
+    fill: options.fill,
+    clampToGround: options.clampToGround,
+  };
+
+  try {
+    const resource = Resource.createIfNeeded(url);
+    const file = await FlatGeobuf.fromUrl(resource);
+    this._file = file;
+
+    const name = defaultValue(
+      defaultValue(file.title, file.name),
+      getFilenameFromUri(resource.getUrlComponent())
+    );
+    if (!defined(this._name) && defined(name)) {
+      this._name = name;
+      this._changed.raiseEvent(this);
+    }
+
+    this._entityCollection.removeAll();
+    this._featureEntities.clear();
+
+    if (!file.hasIndex) {
+      const features = await file.readAllFeatures();
+      await addFeatures(this, file, features);
+    } else {
+      const camera = this.camera;
+      let rectangle = Rectangle.MAX_VALUE;
+      if (defined(camera)) {
+        saveCameraView(this, camera);
+        rectangle = camera.computeViewRectangle();
+      }
+      if (defined(rectangle)) {
+        await loadRectangle(this, file, rectangle);
+      }
+    }
+
+    DataSource.setLoading(this, false);
+    return this;
+  } catch (error) {
+    DataSource.setLoading(this, false);
+    this._error.raiseEvent(this, error);
+    throw error;
+  }
+};
+
+function saveCameraView(dataSource, camera) {
+  const lastCameraView = dataSource._lastCameraView;
+  Cartesian3.clone(camera.positionWC, lastCameraView.position);
+  Cartesian3.clone(camera.directionWC, lastCameraView.direction);
+  Cartesian3.clone(camera.upWC, lastCameraView.up);
+}
+
+function cameraViewChanged(dataSource, camera) {
+  const lastCameraView = dataSource._lastCameraView;
+  return !(
+    camera.positionWC.equalsEpsilon(
+      lastCameraView.position,
+      CesiumMath.EPSILON7
+    ) &&
+    camera.directionWC.equalsEpsilon(
+      lastCameraView.direction,
+      CesiumMath.EPSILON7
+    ) &&
+    camera.upWC.equalsEpsilon(lastCameraView.up, CesiumMath.EPSILON7)
+  );
+}
+
+/**
+ * Creates entities for the features with the styling options of the last load.
+ *
+ * @private
+ */
+async function addFeatures(dataSource, file, features) {
+  if (features.length === 0) {
+    return;
+  }
+
+  const geoJsonDataSource = dataSource._geoJsonDataSource;
+  await geoJsonDataSource.load(
+    {
+      type: "FeatureCollection",
+      features: features,
+    },
+    dataSource._loadOptions
+  );
+
+  const converted = geoJsonDataSource.entities.values.slice();
+  geoJsonDataSource.entities.removeAll();
+
+  // The file was replaced while the features were read
+  if (file !== dataSource._file) {
+    return;
+  }
+
+  const entities = dataSource._entityCollection;
+  const featureEntities = dataSource._featureEntities;
+  entities.suspendEvents();
+  for (let i = 0; i < converted.length; ++i) {
+    const entity = converted[i];
+    // The id of each entity is the index of its feature, with a suffix such as _2 for the parts of multi geometries
+    const index = parseInt(entity.id, 10);
+    let list = featureEntities.get(index);
+    if (!defined(list)) {
+      list = [];
+      featureEntities.set(index, list);
+    }
+    list.push(entity);
+    entities.add(entity);
+  }
+  entities.resumeEvents();
+}
+
+/**
+ * Loads the features that intersect a rectangle and removes the entities of the features that do not.
+ *
+ * @private
+ */
+async function loadRectangle(dataSource, file, rectangle) {
+  const references = await file.search(rectangle, dataSource.maximumFeatures);
+  if (file !== dataSource._file) {
+    return;
+  }
+
+  const featureEntities = dataSource._featureEntities;
+  const visible = new Set();
+  const newReferences = [];
+  for (let i = 0; i < references.length; ++i) {
+    const reference = references[i];
+    visible.add(reference.index);
+    if (!featureEntities.has(reference.index)) {
+      newReferences.push(reference);
+    }
+  }
+
+  const features = await file.readFeatures(newReferences);
+  if (file !== dataSource._file) {
+    return;
+  }
+  await addFeatures(dataSource, file, features);
+
+  // Remove the features that left the view only after the new features were added, so that shared features do not flicker
+  const entities = dataSource._entityCollection;
+  entities.suspendEvents();
+  for (const [index, list] of featureEntities) {
+    if (visible.has(index)) {
+      continue;
+    }
+    for (let i = 0; i < list.length; ++i) {
+      entities.remove(list[i]);
+    }
+    featureEntities.delete(index);
+  }
+  entities.resumeEvents();
+}
+
+function updateView(dataSource) {
+  const camera = dataSource.camera;
+  const file = dataSource._file;
+  dataSource._cameraMoved = false;
+
+  const rectangle = camera.computeViewRectangle();
+  if (!defined(rectangle)) {
+    return;
+  }
+
+  dataSource._updating = true;
+  DataSource.setLoading(dataSource, true);
+  loadRectangle(dataSource, file, rectangle)
+    .catch(function (error) {
+      dataSource._error.raiseEvent(dataSource, error);
+    })
+    .finally(function () {
+      dataSource._updating = false;
+      DataSource.setLoading(dataSource, false);
+    });
+}
+
+/**
+ * Loads the features in the view of the camera once the camera stops moving.  This is called by
+ * {@link DataSourceDisplay} once a frame.
+ *
+ * @param {JulianDate} time The simulation time.
+ * @returns {boolean} True if this data source is ready to be displayed at the provided time, false otherwise.
+ */
+FlatGeobufDataSource.prototype.update = function (time) {
+  const camera = this.camera;
+  const file = this._file;
+  if (!defined(camera) || !defined(file) || !file.hasIndex) {
+    return true;
+  }
+
+  if (cameraViewChanged(this, camera)) {
+    saveCameraView(this, camera);
+    this._cameraMoved = true;
+    return true;
+  }
+
+  // The camera stopped moving
+  if (this._cameraMoved && !this._updating && !this._isLoading) {
+    updateView(this);
+  }
+  return true;
+};
+
+export default FlatGeobufDataSource;
@@ -1,5 +1,6 @@
 import ArcType from "../Core/ArcType.js";
 import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
 import Color from "../Core/Color.js";
 import createGuid from "../Core/createGuid.js";
 import Credit from "../Core/Credit.js";
@@ -7,9 +8,11 @@ import defaultValue from "../Core/defaultValue.js";
 import defined from "../Core/defined.js";
 import DeveloperError from "../Core/DeveloperError.js";
 import Event from "../Core/Event.js";
+import GeographicProjection from "../Core/GeographicProjection.js";
 import getFilenameFromUri from "../Core/getFilenameFromUri.js";
 import PinBuilder from "../Core/PinBuilder.js";
 import PolygonHierarchy from "../Core/PolygonHierarchy.js";
+import ProjectionRegistry from "../Core/ProjectionRegistry.js";
 import Resource from "../Core/Resource.js";
 import RuntimeError from "../Core/RuntimeError.js";
 import HeightReference from "../Scene/HeightReference.js";
@@ -36,6 +39,41 @@ const crsNames = {
   "urn:ogc:def:crs:EPSG::4326": defaultCrsFunction,
 };
 
+const scratchProjected = new Cartesian3();
+const scratchCartographic = new Cartographic();
+
+function createProjectedCrsFunction(projection) {
+  if (projection instanceof GeographicProjection) {
+    return defaultCrsFunction;
+  }
+  return function (coordinates) {
+    const projected = Cartesian3.fromElements(
+      coordinates[0],
+      coordinates[1],
+      defaultValue(coordinates[2], 0.0),
+      scratchProjected
+    );
+    const cartographic = projection.unproject(projected, scratchCartographic);
+    return Cartesian3.fromRadians(
+      cartographic.longitude,
+      cartographic.latitude,
+      cartographic.height
+    );
+  };
+}
+
+// Names missing from crsNames are looked up in the ProjectionRegistry
+function getCrsFunction(name) {
+  let crsFunction = crsNames[name];
+  if (!defined(crsFunction) && typeof name === "string") {
+    const projection = ProjectionRegistry.get(name);
+    if (defined(projection)) {
+      crsFunction = createProjectedCrsFunction(projection);
+    }
+  }
+  return crsFunction;
+}
+
 const crsLinkHrefs = {};
 const crsLinkTypes = {};
 let defaultMarkerSize = 48;
@@ -721,7 +759,8 @@ Object.defineProperties(GeoJsonDataSource, {
    * Gets an object that maps the name of a crs to a callback function which takes a GeoJSON coordinate
    * and transforms it into a WGS84 Earth-fixed Cartesian.  Older versions of GeoJSON which
    * supported the EPSG type can be added to this list as well, by specifying the complete EPSG name,
-   * for example 'EPSG:4326'.
+   * for example 'EPSG:4326'.  Names that are not in this list are looked up in the {@link ProjectionRegistry},
+   * so coordinates in any projection added to it are unprojected.
    * @memberof GeoJsonDataSource
    * @type {object}
    */
@@ -1009,7 +1048,7 @@ function load(that, geoJson, options, sourceUri, clear) {
 
     const properties = crs.properties;
     if (crs.type === "name") {
-      crsFunction = crsNames[properties.name];
+      crsFunction = getCrsFunction(properties.name);
       if (!defined(crsFunction)) {
         throw new RuntimeError(`Unknown crs name: ${properties.name}`);
       }
@@ -1027,7 +1066,7 @@ function load(that, geoJson, options, sourceUri, clear) {
 
       crsFunction = handler(properties);
     } else if (crs.type === "EPSG") {
-      crsFunction = crsNames[`EPSG:${properties.code}`];
+      crsFunction = getCrsFunction(`EPSG:${properties.code}`);
       if (!defined(crsFunction)) {
         throw new RuntimeError(`Unknown crs EPSG code: ${properties.code}`);
       }
@@ -0,0 +1,219 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import Event from "../Core/Event.js";
+import ReferenceFrame from "../Core/ReferenceFrame.js";
+import PositionProperty from "./PositionProperty.js";
+import Property from "./Property.js";
+
+/**
+ * A {@link PositionProperty} whose value is the position of another {@link PositionProperty} with its height
+ * interpreted as an orthometric height, the height above mean sea level given by a {@link Geoid}, rather than
+ * the height above the ellipsoid. Use it as the position of an entity to place survey data with heights above
+ * mean sea level.
+ *
+ * @alias OrthometricPositionProperty
+ * @constructor
+ *
+ * @param {PositionProperty} [position] The position property whose heights are orthometric.
+ * @param {Geoid} [geoid] The geoid.
+ *
+ * @example
+ * // The geoid grid is served by the application, see Geoid.fromUrl
+ * const geoid = await Cesium.Geoid.fromUrl("geoids/egm96-15.pgm");
+ * const entity = viewer.entities.add({
+ *   position: new Cesium.OrthometricPositionProperty(
+ *     new Cesium.ConstantPositionProperty(Cesium.Cartesian3.fromDegrees(-75.59777, 40.03883, 120.0)),
+ *     geoid
+ *   ),
+ *   point: {
+ *     pixelSize: 10,
+ *   },
+ * });
+ */
+function OrthometricPositionProperty(position, geoid) {
+  this._position = undefined;
+  this._subscription = undefined;
+  this._geoid = undefined;
+  this._definitionChanged = new Event();
+
+  this.position = position;
+  this.geoid = geoid;
+}
+
+Object.defineProperties(OrthometricPositionProperty.prototype, {
+  /**
+   * Gets a value indicating if this property is constant.
+   * @memberof OrthometricPositionProperty.prototype
+   *
+   * @type {boolean}
+   * @readonly
+   */
+  isConstant: {
+    get: function () {
+      return Property.isConstant(this._position);
+    },
+  },
+  /**
+   * Gets the event that is raised whenever the definition of this property changes.
+   * @memberof OrthometricPositionProperty.prototype
+   *
+   * @type {Event}
+   * @readonly
+   */
+  definitionChanged: {
+    get: function () {
+      return this._definitionChanged;
+    },
+  },
+  /**
+   * Gets the reference frame in which the position is defined.
+   * @memberof OrthometricPositionProperty.prototype
+   * @type {ReferenceFrame}
+   * @default ReferenceFrame.FIXED;
+   */
+  referenceFrame: {
+    get: function () {
+      return ReferenceFrame.FIXED;
+    },
+  },
+  /**
+   * Gets or sets the position property whose heights are orthometric.
+   * @memberof OrthometricPositionProperty.prototype
+   *
+   * @type {PositionProperty|undefined}
+   */
+  position: {
+    get: function () {
+      return this._position;
+    },
+    set: function (value) {
+      const oldValue = this._position;
+      if (oldValue !== value) {
+        if (defined(oldValue)) {
+          this._subscription();
+        }
+
+        this._position = value;
+
+        if (defined(value)) {
+          this._subscription = value.definitionChanged.addEventListener(
+            function () {
+              this._definitionChanged.raiseEvent(this);
+            },
+            this
+          );
+        }
+
+        this._definitionChanged.raiseEvent(this);
+      }
+    },
+  },
+  /**
+   * Gets or sets the geoid that gives the height of mean sea level.
+   * @memberof OrthometricPositionProperty.prototype
+   *
+   * @type {Geoid|undefined}
+   */
+  geoid: {
+    get: function () {
+      return this._geoid;
+    },
+    set: function (value) {
+      if (this._geoid === value) {
+        return;
+      }
+
+      this._geoid = value;
+      this._definitionChanged.raiseEvent(this);
+    },
+  },
+});
+
+const scratchCartesian = new Cartesian3();
+const scratchCartographic = new Cartographic();
+
+/**
+ * Gets the value of the property at the provided time in the fixed frame.
+ *
+ * @param {JulianDate} time The time for which to retrieve the value.
+ * @param {Cartesian3} [result] The object to store the value into, if omitted, a new instance is created and returned.
+ * @returns {Cartesian3 | undefined} The modified result parameter or a new instance if the result parameter was not supplied.
+ */
+OrthometricPositionProperty.prototype.getValue = function (time, result) {
+  return this.getValueInReferenceFrame(time, ReferenceFrame.FIXED, result);
+};
+
+/**
+ * Gets the value of the property at the provided time and in the provided reference frame.
+ *
+ * @param {JulianDate} time The time for which to retrieve the value.
+ * @param {ReferenceFrame} referenceFrame The desired referenceFrame of the result.
+ * @param {Cartesian3} [result] The object to store the value into, if omitted, a new instance is created and returned.
+ * @returns {Cartesian3 | undefined} The modified result parameter or a new instance if the result parameter was not supplied.
+ */
+OrthometricPositionProperty.prototype.getValueInReferenceFrame = function (
+  time,
+  referenceFrame,
+  result
+) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(time)) {
+    throw new DeveloperError("time is required.");
+  }
+  if (!defined(referenceFrame)) {
+    throw new DeveloperError("referenceFrame is required.");
+  }
+  //>>includeEnd('debug');
+
+  if (!defined(this._position)) {
+    return undefined;
+  }
+
+  const position = this._position.getValueInReferenceFrame(
+    time,
+    ReferenceFrame.FIXED,
+    scratchCartesian
+  );
+  if (!defined(position)) {
+    return undefined;
+  }
+
+  let value = position;
+  const cartographic = Cartographic.fromCartesian(
+    position,
+    Ellipsoid.WGS84,
+    scratchCartographic
+  );
+  if (defined(this._geoid) && defined(cartographic)) {
+    this._geoid.orthometricToEllipsoidal(cartographic, cartographic);
+    value = Cartographic.toCartesian(cartographic, Ellipsoid.WGS84, position);
+  }
+
+  return PositionProperty.convertToReferenceFrame(
+    time,
+    value,
+    ReferenceFrame.FIXED,
+    referenceFrame,
+    result
+  );
+};
+
+/**
+ * Compares this property to the provided property and returns
+ * <code>true</code> if they are equal, <code>false</code> otherwise.
+ *
+ * @param {Property} [other] The other property.
+ * @returns {boolean} <code>true</code> if left and right are equal, <code>false</code> otherwise.
+ */
+OrthometricPositionProperty.prototype.equals = function (other) {
+  return (
+    this === other ||
+    (other instanceof OrthometricPositionProperty &&
+      Property.equals(this._position, other._position) &&
+      this._geoid === other._geoid)
+  );
+};
+export default OrthometricPositionProperty;
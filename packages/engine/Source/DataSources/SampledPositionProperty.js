@@ -307,6 +307,31 @@ SampledPositionProperty.prototype.removeSamples = function (timeInterval) {
   this._property.removeSamples(timeInterval);
 };
 
+/**
+ * Gets the time of the first sample after the provided time.
+ *
+ * @param {JulianDate} time The time.
+ * @param {JulianDate} [result] The object to store the time into.
+ * @returns {JulianDate|undefined} The modified result parameter or a new instance if the result parameter was not supplied, or undefined if there is no sample after the time.
+ */
+SampledPositionProperty.prototype.getNextSampleTime = function (time, result) {
+  return this._property.getNextSampleTime(time, result);
+};
+
+/**
+ * Gets the time of the last sample before the provided time.
+ *
+ * @param {JulianDate} time The time.
+ * @param {JulianDate} [result] The object to store the time into.
+ * @returns {JulianDate|undefined} The modified result parameter or a new instance if the result parameter was not supplied, or undefined if there is no sample before the time.
+ */
+SampledPositionProperty.prototype.getPreviousSampleTime = function (
+  time,
+  result
+) {
+  return this._property.getPreviousSampleTime(time, result);
+};
+
 /**
  * Compares this property to the provided property and returns
  * <code>true</code> if they are equal, <code>false</code> otherwise.
@@ -755,6 +755,48 @@ SampledProperty.prototype.removeSamples = function (timeInterval) {
   removeSamples(this, startIndex, stopIndex - startIndex);
 };
 
+/**
+ * Gets the time of the first sample after the provided time.
+ *
+ * @param {JulianDate} time The time.
+ * @param {JulianDate} [result] The object to store the time into.
+ * @returns {JulianDate|undefined} The modified result parameter or a new instance if the result parameter was not supplied, or undefined if there is no sample after the time.
+ */
+SampledProperty.prototype.getNextSampleTime = function (time, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("time", time);
+  //>>includeEnd('debug');
+
+  const times = this._times;
+  let index = binarySearch(times, time, JulianDate.compare);
+  index = index < 0 ? ~index : index + 1;
+  if (index >= times.length) {
+    return undefined;
+  }
+  return JulianDate.clone(times[index], result);
+};
+
+/**
+ * Gets the time of the last sample before the provided time.
+ *
+ * @param {JulianDate} time The time.
+ * @param {JulianDate} [result] The object to store the time into.
+ * @returns {JulianDate|undefined} The modified result parameter or a new instance if the result parameter was not supplied, or undefined if there is no sample before the time.
+ */
+SampledProperty.prototype.getPreviousSampleTime = function (time, result) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("time", time);
+  //>>includeEnd('debug');
+
+  const times = this._times;
+  let index = binarySearch(times, time, JulianDate.compare);
+  index = index < 0 ? ~index - 1 : index - 1;
+  if (index < 0) {
+    return undefined;
+  }
+  return JulianDate.clone(times[index], result);
+};
+
 /**
  * Compares this property to the provided property and returns
  * <code>true</code> if they are equal, <code>false</code> otherwise.
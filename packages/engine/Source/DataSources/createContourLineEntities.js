@@ -0,0 +1,95 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import HeightReference from "../Scene/HeightReference.js";
+import Entity from "./Entity.js";
+
+function defaultLabelText(height) {
+  return `${height} m`;
+}
+
+/**
+ * Creates a labeled polyline entity for each contour line. The height of each line is stored as the
+ * <code>height</code> property in {@link Entity#properties}, so it is available when the line is picked, and the
+ * label is placed at the middle position of the line.
+ *
+ * @function createContourLineEntities
+ *
+ * @param {ContourLine[]} contourLines The contour lines computed by {@link computeContourLines} or {@link sampleTerrainContours}.
+ * @param {object} [options] Object with the following properties:
+ * @param {MaterialProperty|Color} [options.material=Color.WHITE] The material of the polylines.
+ * @param {number} [options.width=2.0] The width of the polylines in pixels.
+ * @param {boolean} [options.clampToGround=true] <code>true</code> if the polylines and labels are clamped to the ground; <code>false</code> if they are at the heights of the contour lines.
+ * @param {boolean} [options.labels=true] <code>true</code> if each line has a label with its height.
+ * @param {Function} [options.labelText] A function that takes the height of a contour line in meters and returns the text of its label. The default is the height followed by " m".
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {Entity[]} An entity for each contour line.
+ *
+ * @example
+ * const contourLines = await Cesium.sampleTerrainContours(viewer.terrainProvider, rectangle, {
+ *   interval: 100.0,
+ * });
+ * const entities = Cesium.createContourLineEntities(contourLines, {
+ *   material: Cesium.Color.ORANGE,
+ *   labelText: function (height) {
+ *     return `${(height * 3.28084).toFixed(0)} ft`;
+ *   },
+ * });
+ * entities.forEach(function (entity) {
+ *   viewer.entities.add(entity);
+ * });
+ *
+ * @see exportGeoJson
+ */
+function createContourLineEntities(contourLines, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("contourLines", contourLines);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const material = defaultValue(options.material, Color.WHITE);
+  const width = defaultValue(options.width, 2.0);
+  const clampToGround = defaultValue(options.clampToGround, true);
+  const labels = defaultValue(options.labels, true);
+  const labelText = defaultValue(options.labelText, defaultLabelText);
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+
+  return contourLines.map(function (contourLine) {
+    const cartographics = contourLine.positions;
+    const positions = cartographics.map(function (cartographic) {
+      return Cartesian3.fromRadians(
+        cartographic.longitude,
+        cartographic.latitude,
+        cartographic.height,
+        ellipsoid
+      );
+    });
+
+    const text = labelText(contourLine.height);
+    return new Entity({
+      name: text,
+      position: Cartesian3.clone(positions[Math.floor(positions.length / 2)]),
+      polyline: {
+        positions: positions,
+        width: width,
+        material: material,
+        clampToGround: clampToGround,
+      },
+      label: labels
+        ? {
+            text: text,
+            heightReference: clampToGround
+              ? HeightReference.CLAMP_TO_GROUND
+              : HeightReference.NONE,
+          }
+        : undefined,
+      properties: {
+        height: contourLine.height,
+      },
+    });
+  });
+}
+
+export default createContourLineEntities;
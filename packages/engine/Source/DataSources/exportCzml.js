@@ -0,0 +1,1246 @@
+import ArcType from "../Core/ArcType.js";
+import Cartesian2 from "../Core/Cartesian2.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Color from "../Core/Color.js";
+import CornerType from "../Core/CornerType.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import ExtrapolationType from "../Core/ExtrapolationType.js";
+import HermitePolynomialApproximation from "../Core/HermitePolynomialApproximation.js";
+import Iso8601 from "../Core/Iso8601.js";
+import JulianDate from "../Core/JulianDate.js";
+import LagrangePolynomialApproximation from "../Core/LagrangePolynomialApproximation.js";
+import LinearApproximation from "../Core/LinearApproximation.js";
+import Quaternion from "../Core/Quaternion.js";
+import ReferenceFrame from "../Core/ReferenceFrame.js";
+import Resource from "../Core/Resource.js";
+import TimeInterval from "../Core/TimeInterval.js";
+import TimeIntervalCollection from "../Core/TimeIntervalCollection.js";
+import ClassificationType from "../Scene/ClassificationType.js";
+import ColorBlendMode from "../Scene/ColorBlendMode.js";
+import HeightReference from "../Scene/HeightReference.js";
+import HorizontalOrigin from "../Scene/HorizontalOrigin.js";
+import LabelStyle from "../Scene/LabelStyle.js";
+import ShadowMode from "../Scene/ShadowMode.js";
+import VerticalOrigin from "../Scene/VerticalOrigin.js";
+import CheckerboardMaterialProperty from "./CheckerboardMaterialProperty.js";
+import ColorMaterialProperty from "./ColorMaterialProperty.js";
+import CompositeMaterialProperty from "./CompositeMaterialProperty.js";
+import CompositePositionProperty from "./CompositePositionProperty.js";
+import CompositeProperty from "./CompositeProperty.js";
+import ConstantPositionProperty from "./ConstantPositionProperty.js";
+import GridMaterialProperty from "./GridMaterialProperty.js";
+import ImageMaterialProperty from "./ImageMaterialProperty.js";
+import PolylineArrowMaterialProperty from "./PolylineArrowMaterialProperty.js";
+import PolylineDashMaterialProperty from "./PolylineDashMaterialProperty.js";
+import PolylineGlowMaterialProperty from "./PolylineGlowMaterialProperty.js";
+import PolylineOutlineMaterialProperty from "./PolylineOutlineMaterialProperty.js";
+import ReferenceProperty from "./ReferenceProperty.js";
+import SampledPositionProperty from "./SampledPositionProperty.js";
+import SampledProperty from "./SampledProperty.js";
+import StripeMaterialProperty from "./StripeMaterialProperty.js";
+import StripeOrientation from "./StripeOrientation.js";
+import TimeIntervalCollectionPositionProperty from "./TimeIntervalCollectionPositionProperty.js";
+import TimeIntervalCollectionProperty from "./TimeIntervalCollectionProperty.js";
+
+//
+// Each CZML value type is described by the key it is written under and a function
+// that converts a Cesium value to its CZML representation. Interpolatable types can
+// be written as samples.
+//
+function identity(value) {
+  return value;
+}
+
+function writeCartesian2(value) {
+  return [value.x, value.y];
+}
+
+function writeCartesian3(value) {
+  return [value.x, value.y, value.z];
+}
+
+function writeCartesian3Array(positions) {
+  const result = [];
+  for (let i = 0; i < positions.length; ++i) {
+    const position = positions[i];
+    result.push(position.x, position.y, position.z);
+  }
+  return result;
+}
+
+function writeCartesian2Array(positions) {
+  const result = [];
+  for (let i = 0; i < positions.length; ++i) {
+    result.push(positions[i].x, positions[i].y);
+  }
+  return result;
+}
+
+function writeUri(value) {
+  if (typeof value === "string") {
+    return value;
+  }
+  if (value instanceof Resource) {
+    return value.url;
+  }
+  if (typeof HTMLCanvasElement !== "undefined") {
+    if (value instanceof HTMLCanvasElement) {
+      return value.toDataURL();
+    }
+  }
+  return value.src;
+}
+
+function getEnumName(enumeration, value) {
+  for (const name in enumeration) {
+    if (enumeration.hasOwnProperty(name) && enumeration[name] === value) {
+      return name;
+    }
+  }
+  return undefined;
+}
+
+function createEnumType(key, enumeration) {
+  return {
+    key: key,
+    write: function (value) {
+      return getEnumName(enumeration, value);
+    },
+  };
+}
+
+const CzmlBoolean = { key: "boolean", write: identity };
+const CzmlNumber = { key: "number", write: identity, interpolatable: true };
+const CzmlString = { key: "string", write: identity };
+const CzmlObject = { key: "object", write: identity };
+const CzmlArray = {
+  key: "array",
+  write: function (value) {
+    return value.slice();
+  },
+};
+const CzmlDate = {
+  key: "date",
+  write: function (value) {
+    return JulianDate.toIso8601(value);
+  },
+};
+const CzmlUri = { key: "uri", write: writeUri };
+const CzmlCartesian2 = {
+  key: "cartesian2",
+  write: writeCartesian2,
+  interpolatable: true,
+};
+const CzmlCartesian3 = {
+  key: "cartesian",
+  write: writeCartesian3,
+  interpolatable: true,
+};
+const CzmlUnitCartesian3 = {
+  key: "unitCartesian",
+  write: writeCartesian3,
+  interpolatable: true,
+};
+const CzmlColor = {
+  key: "rgbaf",
+  write: function (value) {
+    return [value.red, value.green, value.blue, value.alpha];
+  },
+  interpolatable: true,
+};
+const CzmlQuaternion = {
+  key: "unitQuaternion",
+  write: function (value) {
+    return [value.x, value.y, value.z, value.w];
+  },
+  interpolatable: true,
+};
+const CzmlNearFarScalar = {
+  key: "nearFarScalar",
+  write: function (value) {
+    return [value.near, value.nearValue, value.far, value.farValue];
+  },
+  interpolatable: true,
+};
+const CzmlDistanceDisplayCondition = {
+  key: "distanceDisplayCondition",
+  write: function (value) {
+    return [value.near, value.far];
+  },
+};
+const CzmlBoundingRectangle = {
+  key: "boundingRectangle",
+  write: function (value) {
+    return [value.x, value.y, value.width, value.height];
+  },
+};
+const CzmlRectangle = {
+  key: "wsen",
+  write: function (value) {
+    return [value.west, value.south, value.east, value.north];
+  },
+};
+const CzmlPositions = { key: "cartesian", write: writeCartesian3Array };
+const CzmlShape = { key: "cartesian2", write: writeCartesian2Array };
+
+const CzmlArcType = createEnumType("arcType", ArcType);
+const CzmlClassificationType = createEnumType(
+  "classificationType",
+  ClassificationType
+);
+const CzmlColorBlendMode = createEnumType("colorBlendMode", ColorBlendMode);
+const CzmlCornerType = createEnumType("cornerType", CornerType);
+const CzmlHeightReference = createEnumType("heightReference", HeightReference);
+const CzmlHorizontalOrigin = createEnumType(
+  "horizontalOrigin",
+  HorizontalOrigin
+);
+const CzmlLabelStyle = createEnumType("labelStyle", LabelStyle);
+const CzmlShadowMode = createEnumType("shadowMode", ShadowMode);
+const CzmlStripeOrientation = createEnumType(
+  "stripeOrientation",
+  StripeOrientation
+);
+const CzmlVerticalOrigin = createEnumType("verticalOrigin", VerticalOrigin);
+
+// Placeholder type for properties holding a MaterialProperty
+const CzmlMaterial = {};
+
+const graphicsTypes = {
+  billboard: {
+    show: CzmlBoolean,
+    image: CzmlUri,
+    scale: CzmlNumber,
+    pixelOffset: CzmlCartesian2,
+    eyeOffset: CzmlCartesian3,
+    horizontalOrigin: CzmlHorizontalOrigin,
+    verticalOrigin: CzmlVerticalOrigin,
+    heightReference: CzmlHeightReference,
+    color: CzmlColor,
+    rotation: CzmlNumber,
+    alignedAxis: CzmlUnitCartesian3,
+    sizeInMeters: CzmlBoolean,
+    width: CzmlNumber,
+    height: CzmlNumber,
+    scaleByDistance: CzmlNearFarScalar,
+    translucencyByDistance: CzmlNearFarScalar,
+    pixelOffsetScaleByDistance: CzmlNearFarScalar,
+    imageSubRegion: CzmlBoundingRectangle,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+    disableDepthTestDistance: CzmlNumber,
+  },
+  box: {
+    show: CzmlBoolean,
+    dimensions: CzmlCartesian3,
+    heightReference: CzmlHeightReference,
+    fill: CzmlBoolean,
+    material: CzmlMaterial,
+    outline: CzmlBoolean,
+    outlineColor: CzmlColor,
+    outlineWidth: CzmlNumber,
+    shadows: CzmlShadowMode,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+  },
+  corridor: {
+    show: CzmlBoolean,
+    positions: CzmlPositions,
+    width: CzmlNumber,
+    height: CzmlNumber,
+    heightReference: CzmlHeightReference,
+    extrudedHeight: CzmlNumber,
+    extrudedHeightReference: CzmlHeightReference,
+    cornerType: CzmlCornerType,
+    granularity: CzmlNumber,
+    fill: CzmlBoolean,
+    material: CzmlMaterial,
+    outline: CzmlBoolean,
+    outlineColor: CzmlColor,
+    outlineWidth: CzmlNumber,
+    shadows: CzmlShadowMode,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+    classificationType: CzmlClassificationType,
+    zIndex: CzmlNumber,
+  },
+  cylinder: {
+    show: CzmlBoolean,
+    length: CzmlNumber,
+    topRadius: CzmlNumber,
+    bottomRadius: CzmlNumber,
+    heightReference: CzmlHeightReference,
+    fill: CzmlBoolean,
+    material: CzmlMaterial,
+    outline: CzmlBoolean,
+    outlineColor: CzmlColor,
+    outlineWidth: CzmlNumber,
+    numberOfVerticalLines: CzmlNumber,
+    slices: CzmlNumber,
+    shadows: CzmlShadowMode,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+  },
+  ellipse: {
+    show: CzmlBoolean,
+    semiMajorAxis: CzmlNumber,
+    semiMinorAxis: CzmlNumber,
+    height: CzmlNumber,
+    heightReference: CzmlHeightReference,
+    extrudedHeight: CzmlNumber,
+    extrudedHeightReference: CzmlHeightReference,
+    rotation: CzmlNumber,
+    stRotation: CzmlNumber,
+    granularity: CzmlNumber,
+    fill: CzmlBoolean,
+    material: CzmlMaterial,
+    outline: CzmlBoolean,
+    outlineColor: CzmlColor,
+    outlineWidth: CzmlNumber,
+    numberOfVerticalLines: CzmlNumber,
+    shadows: CzmlShadowMode,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+    classificationType: CzmlClassificationType,
+    zIndex: CzmlNumber,
+  },
+  ellipsoid: {
+    show: CzmlBoolean,
+    radii: CzmlCartesian3,
+    innerRadii: CzmlCartesian3,
+    minimumClock: CzmlNumber,
+    maximumClock: CzmlNumber,
+    minimumCone: CzmlNumber,
+    maximumCone: CzmlNumber,
+    heightReference: CzmlHeightReference,
+    fill: CzmlBoolean,
+    material: CzmlMaterial,
+    outline: CzmlBoolean,
+    outlineColor: CzmlColor,
+    outlineWidth: CzmlNumber,
+    stackPartitions: CzmlNumber,
+    slicePartitions: CzmlNumber,
+    subdivisions: CzmlNumber,
+    shadows: CzmlShadowMode,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+  },
+  label: {
+    show: CzmlBoolean,
+    text: CzmlString,
+    font: CzmlString,
+    style: CzmlLabelStyle,
+    scale: CzmlNumber,
+    showBackground: CzmlBoolean,
+    backgroundColor: CzmlColor,
+    backgroundPadding: CzmlCartesian2,
+    pixelOffset: CzmlCartesian2,
+    eyeOffset: CzmlCartesian3,
+    horizontalOrigin: CzmlHorizontalOrigin,
+    verticalOrigin: CzmlVerticalOrigin,
+    heightReference: CzmlHeightReference,
+    fillColor: CzmlColor,
+    outlineColor: CzmlColor,
+    outlineWidth: CzmlNumber,
+    translucencyByDistance: CzmlNearFarScalar,
+    pixelOffsetScaleByDistance: CzmlNearFarScalar,
+    scaleByDistance: CzmlNearFarScalar,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+    disableDepthTestDistance: CzmlNumber,
+  },
+  model: {
+    show: CzmlBoolean,
+    uri: CzmlUri,
+    scale: CzmlNumber,
+    minimumPixelSize: CzmlNumber,
+    maximumScale: CzmlNumber,
+    incrementallyLoadTextures: CzmlBoolean,
+    runAnimations: CzmlBoolean,
+    clampAnimations: CzmlBoolean,
+    shadows: CzmlShadowMode,
+    heightReference: CzmlHeightReference,
+    silhouetteColor: CzmlColor,
+    silhouetteSize: CzmlNumber,
+    color: CzmlColor,
+    colorBlendMode: CzmlColorBlendMode,
+    colorBlendAmount: CzmlNumber,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+  },
+  path: {
+    show: CzmlBoolean,
+    leadTime: CzmlNumber,
+    trailTime: CzmlNumber,
+    width: CzmlNumber,
+    resolution: CzmlNumber,
+    material: CzmlMaterial,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+  },
+  point: {
+    show: CzmlBoolean,
+    pixelSize: CzmlNumber,
+    heightReference: CzmlHeightReference,
+    color: CzmlColor,
+    outlineColor: CzmlColor,
+    outlineWidth: CzmlNumber,
+    scaleByDistance: CzmlNearFarScalar,
+    translucencyByDistance: CzmlNearFarScalar,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+    disableDepthTestDistance: CzmlNumber,
+  },
+  polygon: {
+    show: CzmlBoolean,
+    height: CzmlNumber,
+    heightReference: CzmlHeightReference,
+    extrudedHeight: CzmlNumber,
+    extrudedHeightReference: CzmlHeightReference,
+    stRotation: CzmlNumber,
+    granularity: CzmlNumber,
+    fill: CzmlBoolean,
+    material: CzmlMaterial,
+    outline: CzmlBoolean,
+    outlineColor: CzmlColor,
+    outlineWidth: CzmlNumber,
+    perPositionHeight: CzmlBoolean,
+    closeTop: CzmlBoolean,
+    closeBottom: CzmlBoolean,
+    arcType: CzmlArcType,
+    shadows: CzmlShadowMode,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+    classificationType: CzmlClassificationType,
+    zIndex: CzmlNumber,
+  },
+  polyline: {
+    show: CzmlBoolean,
+    positions: CzmlPositions,
+    width: CzmlNumber,
+    granularity: CzmlNumber,
+    material: CzmlMaterial,
+    depthFailMaterial: CzmlMaterial,
+    arcType: CzmlArcType,
+    clampToGround: CzmlBoolean,
+    shadows: CzmlShadowMode,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+    classificationType: CzmlClassificationType,
+    zIndex: CzmlNumber,
+  },
+  polylineVolume: {
+    show: CzmlBoolean,
+    positions: CzmlPositions,
+    shape: CzmlShape,
+    cornerType: CzmlCornerType,
+    fill: CzmlBoolean,
+    material: CzmlMaterial,
+    outline: CzmlBoolean,
+    outlineColor: CzmlColor,
+    outlineWidth: CzmlNumber,
+    granularity: CzmlNumber,
+    shadows: CzmlShadowMode,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+  },
+  rectangle: {
+    show: CzmlBoolean,
+    coordinates: CzmlRectangle,
+    height: CzmlNumber,
+    heightReference: CzmlHeightReference,
+    extrudedHeight: CzmlNumber,
+    extrudedHeightReference: CzmlHeightReference,
+    rotation: CzmlNumber,
+    stRotation: CzmlNumber,
+    granularity: CzmlNumber,
+    fill: CzmlBoolean,
+    material: CzmlMaterial,
+    outline: CzmlBoolean,
+    outlineColor: CzmlColor,
+    outlineWidth: CzmlNumber,
+    shadows: CzmlShadowMode,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+    classificationType: CzmlClassificationType,
+    zIndex: CzmlNumber,
+  },
+  tileset: {
+    show: CzmlBoolean,
+    uri: CzmlUri,
+    maximumScreenSpaceError: CzmlNumber,
+  },
+  wall: {
+    show: CzmlBoolean,
+    positions: CzmlPositions,
+    minimumHeights: CzmlArray,
+    maximumHeights: CzmlArray,
+    granularity: CzmlNumber,
+    fill: CzmlBoolean,
+    material: CzmlMaterial,
+    outline: CzmlBoolean,
+    outlineColor: CzmlColor,
+    outlineWidth: CzmlNumber,
+    shadows: CzmlShadowMode,
+    distanceDisplayCondition: CzmlDistanceDisplayCondition,
+  },
+};
+
+const materialTypes = [
+  {
+    type: ColorMaterialProperty,
+    name: "solidColor",
+    properties: {
+      color: CzmlColor,
+    },
+  },
+  {
+    type: ImageMaterialProperty,
+    name: "image",
+    properties: {
+      image: CzmlUri,
+      repeat: CzmlCartesian2,
+      color: CzmlColor,
+      transparent: CzmlBoolean,
+    },
+  },
+  {
+    type: GridMaterialProperty,
+    name: "grid",
+    properties: {
+      color: CzmlColor,
+      cellAlpha: CzmlNumber,
+      lineCount: CzmlCartesian2,
+      lineThickness: CzmlCartesian2,
+      lineOffset: CzmlCartesian2,
+    },
+  },
+  {
+    type: StripeMaterialProperty,
+    name: "stripe",
+    properties: {
+      orientation: CzmlStripeOrientation,
+      evenColor: CzmlColor,
+      oddColor: CzmlColor,
+      offset: CzmlNumber,
+      repeat: CzmlNumber,
+    },
+  },
+  {
+    type: CheckerboardMaterialProperty,
+    name: "checkerboard",
+    properties: {
+      evenColor: CzmlColor,
+      oddColor: CzmlColor,
+      repeat: CzmlCartesian2,
+    },
+  },
+  {
+    type: PolylineOutlineMaterialProperty,
+    name: "polylineOutline",
+    properties: {
+      color: CzmlColor,
+      outlineColor: CzmlColor,
+      outlineWidth: CzmlNumber,
+    },
+  },
+  {
+    type: PolylineGlowMaterialProperty,
+    name: "polylineGlow",
+    properties: {
+      color: CzmlColor,
+      glowPower: CzmlNumber,
+      taperPower: CzmlNumber,
+    },
+  },
+  {
+    type: PolylineArrowMaterialProperty,
+    name: "polylineArrow",
+    properties: {
+      color: CzmlColor,
+    },
+  },
+  {
+    type: PolylineDashMaterialProperty,
+    name: "polylineDash",
+    properties: {
+      color: CzmlColor,
+      gapColor: CzmlColor,
+      dashLength: CzmlNumber,
+      dashPattern: CzmlNumber,
+    },
+  },
+];
+
+const interpolationAlgorithms = [
+  { algorithm: LinearApproximation, name: "LINEAR" },
+  { algorithm: LagrangePolynomialApproximation, name: "LAGRANGE" },
+  { algorithm: HermitePolynomialApproximation, name: "HERMITE" },
+];
+
+/**
+ * Exports an EntityCollection as an array of CZML packets. The first packet is the document packet, followed by a
+ * packet for every entity in the collection. {@link SampledProperty} and {@link SampledPositionProperty} instances
+ * are written as CZML samples, while {@link TimeIntervalCollectionProperty}, {@link CompositeProperty} and
+ * {@link CompositeMaterialProperty} instances are written as CZML intervals. Other time-dynamic properties
+ * that can be interpolated are sampled over the entity's availability using options.sampleDuration; the rest are
+ * exported with their values at options.time. Canvas images are exported as data URIs.
+ *
+ * @function exportCzml
+ *
+ * @param {object} options An object with the following properties:
+ * @param {EntityCollection} options.entities The EntityCollection to export as CZML.
+ * @param {JulianDate} [options.time=entities.computeAvailability().start] The time value to use to get properties that are not sampled.
+ * @param {TimeInterval} [options.defaultAvailability=entities.computeAvailability()] The interval that will be sampled if an entity doesn't have an availability.
+ * @param {number} [options.sampleDuration=60] The number of seconds between samples of time-dynamic properties that are not already sampled.
+ *
+ * @returns {object[]} An array of CZML packets that can be serialized with <code>JSON.stringify</code> or loaded with {@link CzmlDataSource.load}.
+ *
+ * @example
+ * const czml = Cesium.exportCzml({
+ *   entities: viewer.entities
+ * });
+ * const json = JSON.stringify(czml);
+ */
+function exportCzml(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const entities = options.entities;
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(entities)) {
+    throw new DeveloperError("entities is required.");
+  }
+  //>>includeEnd('debug');
+
+  const state = exportCzml._createState(options);
+
+  const packets = [
+    {
+      id: "document",
+      version: "1.0",
+    },
+  ];
+
+  const values = entities.values;
+  for (let i = 0; i < values.length; ++i) {
+    packets.push(createPacket(state, values[i]));
+  }
+
+  return packets;
+}
+
+exportCzml._createState = function (options) {
+  const entities = options.entities;
+
+  // Use the start time as the default because just in case they define
+  //  properties with an interval even if they don't change.
+  const entityAvailability = entities.computeAvailability();
+  const time = defined(options.time) ? options.time : entityAvailability.start;
+
+  const sampleDuration = defaultValue(options.sampleDuration, 60);
+  const defaultAvailability = defaultValue(
+    options.defaultAvailability,
+    entityAvailability
+  );
+
+  // Properties can only be sampled over a finite interval, so fall back to
+  //  the value at the export time otherwise.
+  let availability;
+  if (
+    !JulianDate.equals(defaultAvailability.start, Iso8601.MINIMUM_VALUE) &&
+    !JulianDate.equals(defaultAvailability.stop, Iso8601.MAXIMUM_VALUE)
+  ) {
+    availability = new TimeIntervalCollection([defaultAvailability]);
+  }
+
+  return {
+    time: time,
+    sampleDuration: sampleDuration,
+    defaultAvailability: availability,
+    availability: availability,
+  };
+};
+
+function createPacket(state, entity) {
+  const packet = {
+    id: entity.id,
+  };
+
+  if (defined(entity.name)) {
+    packet.name = entity.name;
+  }
+
+  if (defined(entity.parent)) {
+    packet.parent = entity.parent.id;
+  }
+
+  const availability = entity.availability;
+  state.availability = state.defaultAvailability;
+  if (defined(availability) && availability.length > 0) {
+    const intervals = [];
+    for (let i = 0; i < availability.length; ++i) {
+      intervals.push(TimeInterval.toIso8601(availability.get(i)));
+    }
+    packet.availability = intervals.length === 1 ? intervals[0] : intervals;
+    state.availability = availability;
+  }
+
+  if (!entity.show) {
+    packet.show = false;
+  }
+
+  setPacketValue(
+    packet,
+    "description",
+    writeProperty(state, entity.description, CzmlString)
+  );
+  setPacketValue(packet, "position", writePosition(state, entity.position));
+  setPacketValue(
+    packet,
+    "orientation",
+    writeProperty(state, entity.orientation, CzmlQuaternion)
+  );
+  setPacketValue(
+    packet,
+    "viewFrom",
+    writeProperty(state, entity.viewFrom, CzmlCartesian3)
+  );
+
+  if (defined(entity.properties)) {
+    packet.properties = writePropertyBag(state, entity.properties);
+  }
+
+  for (const graphicsName in graphicsTypes) {
+    if (graphicsTypes.hasOwnProperty(graphicsName)) {
+      const graphics = entity[graphicsName];
+      if (defined(graphics)) {
+        packet[graphicsName] = writeProperties(
+          state,
+          graphics,
+          graphicsTypes[graphicsName]
+        );
+      }
+    }
+  }
+
+  const polygon = entity.polygon;
+  if (defined(polygon)) {
+    writePolygonHierarchy(state, polygon.hierarchy, packet.polygon);
+  }
+
+  const model = entity.model;
+  if (defined(model)) {
+    writeModelNodes(state, model, packet.model);
+  }
+
+  return packet;
+}
+
+function setPacketValue(packet, name, value) {
+  if (defined(value)) {
+    packet[name] = value;
+  }
+}
+
+function writeProperties(state, object, types) {
+  const result = {};
+  for (const name in types) {
+    if (types.hasOwnProperty(name)) {
+      const type = types[name];
+      const property = object[name];
+      const value =
+        type === CzmlMaterial
+          ? writeMaterial(state, property)
+          : writeProperty(state, property, type);
+      setPacketValue(result, name, value);
+    }
+  }
+  return result;
+}
+
+function writeValue(type, value) {
+  if (!defined(value)) {
+    return undefined;
+  }
+
+  const written = type.write(value);
+  if (!defined(written)) {
+    return undefined;
+  }
+
+  const result = {};
+  result[type.key] = written;
+  return result;
+}
+
+function writeProperty(state, property, type) {
+  if (!defined(property)) {
+    return undefined;
+  }
+
+  if (property instanceof ReferenceProperty) {
+    return {
+      reference: getReferenceString(property),
+    };
+  }
+
+  if (property instanceof SampledProperty) {
+    return writeSampledProperty(property, type);
+  }
+
+  if (property instanceof TimeIntervalCollectionProperty) {
+    return writeIntervals(property.intervals, function (data) {
+      return writeValue(type, data);
+    });
+  }
+
+  if (property instanceof CompositeProperty) {
+    return writeIntervals(property.intervals, function (data) {
+      return writeProperty(state, data, type);
+    });
+  }
+
+  if (!property.isConstant && type.interpolatable) {
+    const sampled = sampleProperty(state, type, function (time) {
+      return property.getValue(time);
+    });
+    if (defined(sampled)) {
+      return sampled;
+    }
+  }
+
+  return writeValue(type, property.getValue(state.time));
+}
+
+function writeIntervals(intervals, writeData) {
+  const result = [];
+  for (let i = 0; i < intervals.length; ++i) {
+    const interval = intervals.get(i);
+    let packets = writeData(interval.data);
+    if (!defined(packets)) {
+      continue;
+    }
+
+    if (!Array.isArray(packets)) {
+      packets = [packets];
+    }
+
+    for (let j = 0; j < packets.length; ++j) {
+      const packet = packets[j];
+      let packetInterval = interval;
+      if (defined(packet.interval)) {
+        packetInterval = TimeInterval.intersect(
+          interval,
+          TimeInterval.fromIso8601({
+            iso8601: packet.interval,
+          })
+        );
+        if (packetInterval.isEmpty) {
+          continue;
+        }
+      }
+      packet.interval = TimeInterval.toIso8601(packetInterval);
+      result.push(packet);
+    }
+  }
+
+  return result.length > 0 ? result : undefined;
+}
+
+function writeSampledProperty(property, type) {
+  const times = property._times;
+  if (times.length === 0) {
+    return undefined;
+  }
+
+  // Read the stored samples so they are not altered by interpolation
+  const innerType = property._innerType;
+  const packedLength = property._packedLength;
+  const packedValues = property._values;
+
+  const epoch = times[0];
+  const values = [];
+  for (let i = 0; i < times.length; ++i) {
+    const value = innerType.unpack(packedValues, i * packedLength);
+    values.push(JulianDate.secondsDifference(times[i], epoch));
+    values.push.apply(values, [].concat(type.write(value)));
+  }
+
+  const result = {
+    epoch: JulianDate.toIso8601(epoch),
+  };
+  result[type.key] = values;
+  writeInterpolationOptions(property, result);
+  return result;
+}
+
+function writeInterpolationOptions(property, result) {
+  const interpolationAlgorithm = property.interpolationAlgorithm;
+  for (let i = 0; i < interpolationAlgorithms.length; ++i) {
+    if (interpolationAlgorithms[i].algorithm === interpolationAlgorithm) {
+      result.interpolationAlgorithm = interpolationAlgorithms[i].name;
+    }
+  }
+  result.interpolationDegree = property.interpolationDegree;
+
+  if (property.forwardExtrapolationType !== ExtrapolationType.NONE) {
+    result.forwardExtrapolationType = getEnumName(
+      ExtrapolationType,
+      property.forwardExtrapolationType
+    );
+  }
+  if (property.forwardExtrapolationDuration !== 0) {
+    result.forwardExtrapolationDuration = property.forwardExtrapolationDuration;
+  }
+  if (property.backwardExtrapolationType !== ExtrapolationType.NONE) {
+    result.backwardExtrapolationType = getEnumName(
+      ExtrapolationType,
+      property.backwardExtrapolationType
+    );
+  }
+  if (property.backwardExtrapolationDuration !== 0) {
+    result.backwardExtrapolationDuration =
+      property.backwardExtrapolationDuration;
+  }
+}
+
+const scratchJulianDate = new JulianDate();
+
+function sampleProperty(state, type, getValue) {
+  const intervals = state.availability;
+  if (!defined(intervals)) {
+    return undefined;
+  }
+
+  const duration = state.sampleDuration;
+  const result = [];
+  for (let i = 0; i < intervals.length; ++i) {
+    const interval = intervals.get(i);
+    const values = [];
+    let epoch;
+
+    const addSample = function (time) {
+      const value = getValue(time);
+      if (!defined(value)) {
+        return;
+      }
+      if (!defined(epoch)) {
+        epoch = JulianDate.clone(time);
+      }
+      values.push(JulianDate.secondsDifference(time, epoch));
+      values.push.apply(values, [].concat(type.write(value)));
+    };
+
+    interval.start.clone(scratchJulianDate);
+    if (!interval.isStartIncluded) {
+      JulianDate.addSeconds(scratchJulianDate, duration, scratchJulianDate);
+    }
+
+    const stopDate = interval.stop;
+    while (JulianDate.lessThan(scratchJulianDate, stopDate)) {
+      addSample(scratchJulianDate);
+      JulianDate.addSeconds(scratchJulianDate, duration, scratchJulianDate);
+    }
+
+    if (interval.isStopIncluded) {
+      addSample(stopDate);
+    }
+
+    if (defined(epoch)) {
+      const packet = {
+        epoch: JulianDate.toIso8601(epoch),
+      };
+      packet[type.key] = values;
+      if (intervals.length > 1) {
+        packet.interval = TimeInterval.toIso8601(interval);
+      }
+      result.push(packet);
+    }
+  }
+
+  if (result.length === 0) {
+    return undefined;
+  }
+  return result.length === 1 ? result[0] : result;
+}
+
+function getReferenceString(referenceProperty) {
+  const escape = function (value) {
+    return value.replace(/([\\#.])/g, "\\$1");
+  };
+  return `${escape(
+    referenceProperty.targetId
+  )}#${referenceProperty.targetPropertyNames.map(escape).join(".")}`;
+}
+
+function getPositionValue(property, time, referenceFrame) {
+  // Positions can also be defined by a property that is not a PositionProperty, like a CallbackProperty
+  return defined(property.getValueInReferenceFrame)
+    ? property.getValueInReferenceFrame(time, referenceFrame)
+    : property.getValue(time);
+}
+
+function writeConstantPosition(state, property, referenceFrame) {
+  const position = getPositionValue(property, state.time, referenceFrame);
+  if (!defined(position)) {
+    return undefined;
+  }
+
+  const result = writeValue(CzmlCartesian3, position);
+  if (referenceFrame === ReferenceFrame.INERTIAL) {
+    result.referenceFrame = "INERTIAL";
+  }
+  return result;
+}
+
+function writePosition(state, property) {
+  if (!defined(property)) {
+    return undefined;
+  }
+
+  if (property instanceof ReferenceProperty) {
+    return {
+      reference: getReferenceString(property),
+    };
+  }
+
+  const referenceFrame = property.referenceFrame;
+
+  if (property instanceof SampledPositionProperty) {
+    const sampledProperty = property._property;
+    const times = sampledProperty._times;
+    if (times.length === 0) {
+      return undefined;
+    }
+
+    const packedLength = sampledProperty._packedLength;
+    const packedValues = sampledProperty._values;
+    const epoch = times[0];
+    const values = [];
+    for (let i = 0; i < times.length; ++i) {
+      const index = i * packedLength;
+      values.push(
+        JulianDate.secondsDifference(times[i], epoch),
+        packedValues[index],
+        packedValues[index + 1],
+        packedValues[index + 2]
+      );
+    }
+
+    const result = {
+      epoch: JulianDate.toIso8601(epoch),
+      cartesian: values,
+    };
+    if (referenceFrame === ReferenceFrame.INERTIAL) {
+      result.referenceFrame = "INERTIAL";
+    }
+    writeInterpolationOptions(property, result);
+    return result;
+  }
+
+  if (property instanceof TimeIntervalCollectionPositionProperty) {
+    return writeIntervals(property.intervals, function (data) {
+      const result = writeValue(CzmlCartesian3, data);
+      if (defined(result) && referenceFrame === ReferenceFrame.INERTIAL) {
+        result.referenceFrame = "INERTIAL";
+      }
+      return result;
+    });
+  }
+
+  if (property instanceof CompositePositionProperty) {
+    return writeIntervals(property.intervals, function (data) {
+      return writePosition(state, data);
+    });
+  }
+
+  // Constant positions in the inertial frame are not constant in the fixed frame
+  if (!property.isConstant && !(property instanceof ConstantPositionProperty)) {
+    const sampled = sampleProperty(state, CzmlCartesian3, function (time) {
+      return getPositionValue(property, time, ReferenceFrame.FIXED);
+    });
+    if (defined(sampled)) {
+      return sampled;
+    }
+    return writeConstantPosition(state, property, ReferenceFrame.FIXED);
+  }
+
+  return writeConstantPosition(
+    state,
+    property,
+    defaultValue(referenceFrame, ReferenceFrame.FIXED)
+  );
+}
+
+function writeMaterial(state, materialProperty) {
+  if (!defined(materialProperty)) {
+    return undefined;
+  }
+
+  if (materialProperty instanceof CompositeMaterialProperty) {
+    return writeIntervals(materialProperty.intervals, function (data) {
+      return writeMaterial(state, data);
+    });
+  }
+
+  for (let i = 0; i < materialTypes.length; ++i) {
+    const materialType = materialTypes[i];
+    if (materialProperty instanceof materialType.type) {
+      const result = {};
+      result[materialType.name] = writeProperties(
+        state,
+        materialProperty,
+        materialType.properties
+      );
+      return result;
+    }
+  }
+
+  // Custom materials have no CZML representation
+  return undefined;
+}
+
+function getHierarchyPositions(hierarchy) {
+  // Legacy polygons can be defined by an array of positions
+  return Array.isArray(hierarchy) ? hierarchy : hierarchy.positions;
+}
+
+function getHierarchyHoles(hierarchy) {
+  const holes = [];
+  if (Array.isArray(hierarchy) || !defined(hierarchy.holes)) {
+    return holes;
+  }
+
+  // CZML holes cannot have holes of their own, so flatten them
+  const stack = hierarchy.holes.slice();
+  while (stack.length > 0) {
+    const hole = stack.shift();
+    holes.push(hole.positions);
+    if (defined(hole.holes)) {
+      stack.push.apply(stack, hole.holes);
+    }
+  }
+  return holes;
+}
+
+const CzmlHierarchyPositions = {
+  key: "cartesian",
+  write: function (hierarchy) {
+    return writeCartesian3Array(getHierarchyPositions(hierarchy));
+  },
+};
+
+const CzmlHierarchyHoles = {
+  key: "cartesian",
+  write: function (hierarchy) {
+    const holes = getHierarchyHoles(hierarchy);
+    return holes.length > 0 ? holes.map(writeCartesian3Array) : undefined;
+  },
+};
+
+function writePolygonHierarchy(state, hierarchyProperty, packet) {
+  setPacketValue(
+    packet,
+    "positions",
+    writeProperty(state, hierarchyProperty, CzmlHierarchyPositions)
+  );
+  setPacketValue(
+    packet,
+    "holes",
+    writeProperty(state, hierarchyProperty, CzmlHierarchyHoles)
+  );
+}
+
+function writeModelNodes(state, modelGraphics, packet) {
+  const nodeTransformations = modelGraphics.nodeTransformations;
+  if (defined(nodeTransformations)) {
+    const nodes = {};
+    const nodeNames = nodeTransformations.propertyNames;
+    for (let i = 0; i < nodeNames.length; ++i) {
+      const nodeName = nodeNames[i];
+      nodes[nodeName] = writeProperties(state, nodeTransformations[nodeName], {
+        translation: CzmlCartesian3,
+        rotation: CzmlQuaternion,
+        scale: CzmlCartesian3,
+      });
+    }
+    packet.nodeTransformations = nodes;
+  }
+
+  const articulations = modelGraphics.articulations;
+  if (defined(articulations)) {
+    const stages = {};
+    const stageNames = articulations.propertyNames;
+    for (let i = 0; i < stageNames.length; ++i) {
+      const stageName = stageNames[i];
+      setPacketValue(
+        stages,
+        stageName,
+        writeProperty(state, articulations[stageName], CzmlNumber)
+      );
+    }
+    packet.articulations = stages;
+  }
+}
+
+function getValueType(value) {
+  if (typeof value === "boolean") {
+    return CzmlBoolean;
+  } else if (typeof value === "number") {
+    return CzmlNumber;
+  } else if (typeof value === "string") {
+    return CzmlString;
+  } else if (value instanceof JulianDate) {
+    return CzmlDate;
+  } else if (Array.isArray(value)) {
+    return CzmlArray;
+  }
+
+  if (value instanceof Cartesian2) {
+    return CzmlCartesian2;
+  } else if (value instanceof Cartesian3) {
+    return CzmlCartesian3;
+  } else if (value instanceof Color) {
+    return CzmlColor;
+  } else if (value instanceof Quaternion) {
+    return CzmlQuaternion;
+  }
+  return CzmlObject;
+}
+
+// Gets a representative value of a property, even if it is not defined at the export time
+function getFirstValue(property, time) {
+  if (property instanceof SampledProperty) {
+    return property._times.length > 0
+      ? property._innerType.unpack(property._values, 0)
+      : undefined;
+  }
+
+  const intervals = property.intervals;
+  if (
+    (property instanceof TimeIntervalCollectionProperty ||
+      property instanceof CompositeProperty) &&
+    intervals.length > 0 &&
+    !defined(property.getValue(time))
+  ) {
+    const data = intervals.get(0).data;
+    return property instanceof CompositeProperty
+      ? getFirstValue(data, intervals.get(0).start)
+      : data;
+  }
+
+  return property.getValue(time);
+}
+
+function writePropertyBag(state, propertyBag) {
+  const result = {};
+  const propertyNames = propertyBag.propertyNames;
+  for (let i = 0; i < propertyNames.length; ++i) {
+    const name = propertyNames[i];
+    const property = propertyBag[name];
+    if (!defined(property)) {
+      continue;
+    }
+
+    // The CZML type of a custom property is inferred from its value
+    const value = getFirstValue(property, state.time);
+    if (defined(value)) {
+      setPacketValue(
+        result,
+        name,
+        writeProperty(state, property, getValueType(value))
+      );
+    }
+  }
+  return result;
+}
+
+export default exportCzml;
@@ -0,0 +1,408 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import JulianDate from "../Core/JulianDate.js";
+import CesiumMath from "../Core/Math.js";
+import Rectangle from "../Core/Rectangle.js";
+import ConstantProperty from "./ConstantProperty.js";
+
+//
+// Gets the value of properties at the export time
+//
+function ValueGetter(time) {
+  this._time = time;
+}
+
+ValueGetter.prototype.get = function (property, defaultVal, result) {
+  let value;
+  if (defined(property)) {
+    value = defined(property.getValue)
+      ? property.getValue(this._time, result)
+      : property;
+  }
+
+  return defaultValue(value, defaultVal);
+};
+
+ValueGetter.prototype.getColor = function (materialProperty) {
+  // Materials other than a solid color, like a polyline outline, usually still have a primary color
+  if (!defined(materialProperty) || !defined(materialProperty.color)) {
+    return undefined;
+  }
+
+  return this.get(materialProperty.color);
+};
+
+/**
+ * Exports an EntityCollection as a GeoJSON FeatureCollection. Each entity becomes a Feature with the entity id as its
+ * id. Points, billboards, labels and models are exported as Point geometries, polylines, corridors and walls as
+ * LineString geometries, and polygons and rectangles as Polygon geometries. Entities with more than one graphics type
+ * are exported with a GeometryCollection, and entities without any geometry have a null geometry.
+ * <p>
+ * Feature properties are the values of the entity's {@link PropertyBag} at options.time. The entity name and
+ * description, along with the colors and widths of points, polylines and polygons, are written as
+ * {@link https://github.com/mapbox/simplestyle-spec|simplestyle-spec} properties so they are restored when the output
+ * is loaded with {@link GeoJsonDataSource}. Since GeoJSON is not time-dynamic, all values are taken at options.time.
+ * </p>
+ *
+ * @function exportGeoJson
+ *
+ * @param {object} options An object with the following properties:
+ * @param {EntityCollection} options.entities The EntityCollection to export as GeoJSON.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid used to convert positions to longitude, latitude and height.
+ * @param {JulianDate} [options.time=entities.computeAvailability().start] The time value to use to get properties.
+ *
+ * @returns {object} A GeoJSON FeatureCollection that can be serialized with <code>JSON.stringify</code> or loaded with {@link GeoJsonDataSource.load}.
+ *
+ * @example
+ * const geoJson = Cesium.exportGeoJson({
+ *   entities: dataSource.entities
+ * });
+ * const json = JSON.stringify(geoJson);
+ */
+function exportGeoJson(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const entities = options.entities;
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(entities)) {
+    throw new DeveloperError("entities is required.");
+  }
+  //>>includeEnd('debug');
+
+  const time = defined(options.time)
+    ? options.time
+    : entities.computeAvailability().start;
+
+  const state = {
+    ellipsoid: defaultValue(options.ellipsoid, Ellipsoid.WGS84),
+    time: time,
+    valueGetter: new ValueGetter(time),
+  };
+
+  const features = entities.values.map(function (entity) {
+    return createFeature(state, entity);
+  });
+
+  return {
+    type: "FeatureCollection",
+    features: features,
+  };
+}
+
+function createFeature(state, entity) {
+  const properties = {};
+  writeProperties(state, entity, properties);
+
+  const geometries = [];
+  const point = createPoint(state, entity, properties);
+  if (defined(point)) {
+    geometries.push(point);
+  }
+
+  createLineStrings(state, entity, geometries, properties);
+  createPolygons(state, entity, geometries, properties);
+
+  let geometry = null;
+  if (geometries.length === 1) {
+    geometry = geometries[0];
+  } else if (geometries.length > 1) {
+    geometry = {
+      type: "GeometryCollection",
+      geometries: geometries,
+    };
+  }
+
+  return {
+    type: "Feature",
+    id: entity.id,
+    geometry: geometry,
+    properties: properties,
+  };
+}
+
+function writeProperties(state, entity, properties) {
+  const valueGetter = state.valueGetter;
+  const propertyBag = entity.properties;
+  if (defined(propertyBag)) {
+    const propertyNames = propertyBag.propertyNames;
+    for (let i = 0; i < propertyNames.length; ++i) {
+      const name = propertyNames[i];
+      const value = valueGetter.get(propertyBag[name]);
+      if (defined(value)) {
+        properties[name] = toJsonValue(value);
+      }
+    }
+  }
+
+  if (defined(entity.name) && !defined(properties.title)) {
+    properties.title = entity.name;
+  }
+
+  // Descriptions generated from the properties, like the ones GeoJsonDataSource creates, are not exported
+  const description = entity.description;
+  if (
+    description instanceof ConstantProperty &&
+    !defined(properties.description)
+  ) {
+    const value = valueGetter.get(description);
+    if (defined(value)) {
+      properties.description = value;
+    }
+  }
+}
+
+function toJsonValue(value) {
+  if (value instanceof JulianDate) {
+    return JulianDate.toIso8601(value);
+  }
+  if (value instanceof Color) {
+    return value.toCssColorString();
+  }
+  return value;
+}
+
+function writeColor(properties, colorName, opacityName, color) {
+  if (!defined(color)) {
+    return;
+  }
+
+  properties[colorName] = Color.fromAlpha(color, 1.0).toCssHexString();
+  if (defined(opacityName)) {
+    properties[opacityName] = color.alpha;
+  }
+}
+
+function createPoint(state, entity, properties) {
+  const valueGetter = state.valueGetter;
+  const position = valueGetter.get(entity.position);
+  if (!defined(position)) {
+    return undefined;
+  }
+
+  // Entities with lines or polygons only have a position to place a label or similar, so skip it unless it is displayed
+  const hasPointGraphics =
+    defined(entity.point) ||
+    defined(entity.billboard) ||
+    defined(entity.label) ||
+    defined(entity.model);
+  const hasOtherGraphics =
+    defined(entity.polyline) ||
+    defined(entity.polygon) ||
+    defined(entity.rectangle) ||
+    defined(entity.corridor) ||
+    defined(entity.wall);
+  if (!hasPointGraphics && hasOtherGraphics) {
+    return undefined;
+  }
+
+  const pointGraphics = entity.point;
+  if (defined(pointGraphics)) {
+    writeColor(
+      properties,
+      "marker-color",
+      undefined,
+      valueGetter.get(pointGraphics.color)
+    );
+  }
+
+  return {
+    type: "Point",
+    coordinates: getCoordinates(state, [position])[0],
+  };
+}
+
+function createLineStrings(state, entity, geometries, properties) {
+  const valueGetter = state.valueGetter;
+
+  const polyline = entity.polyline;
+  if (defined(polyline)) {
+    const positions = valueGetter.get(polyline.positions);
+    if (defined(positions) && positions.length > 1) {
+      geometries.push({
+        type: "LineString",
+        coordinates: getCoordinates(state, positions),
+      });
+
+      writeColor(
+        properties,
+        "stroke",
+        "stroke-opacity",
+        valueGetter.getColor(polyline.material)
+      );
+      const width = valueGetter.get(polyline.width);
+      if (defined(width)) {
+        properties["stroke-width"] = width;
+      }
+    }
+  }
+
+  const others = [entity.corridor, entity.wall];
+  for (let i = 0; i < others.length; ++i) {
+    const graphics = others[i];
+    if (defined(graphics)) {
+      const positions = valueGetter.get(graphics.positions);
+      if (defined(positions) && positions.length > 1) {
+        geometries.push({
+          type: "LineString",
+          coordinates: getCoordinates(state, positions),
+        });
+      }
+    }
+  }
+}
+
+function createPolygons(state, entity, geometries, properties) {
+  const valueGetter = state.valueGetter;
+
+  const polygon = entity.polygon;
+  if (defined(polygon)) {
+    const hierarchy = valueGetter.get(polygon.hierarchy);
+    if (defined(hierarchy)) {
+      const polygons = [];
+      getPolygonCoordinates(state, hierarchy, polygons);
+      if (polygons.length === 1) {
+        geometries.push({
+          type: "Polygon",
+          coordinates: polygons[0],
+        });
+      } else if (polygons.length > 1) {
+        geometries.push({
+          type: "MultiPolygon",
+          coordinates: polygons,
+        });
+      }
+      writePolygonStyle(state, polygon, properties);
+    }
+  }
+
+  const rectangle = entity.rectangle;
+  if (defined(rectangle)) {
+    const coordinates = valueGetter.get(rectangle.coordinates);
+    if (defined(coordinates)) {
+      const height = valueGetter.get(rectangle.height, 0.0);
+      const corners = [
+        Rectangle.southwest(coordinates),
+        Rectangle.southeast(coordinates),
+        Rectangle.northeast(coordinates),
+        Rectangle.northwest(coordinates),
+      ].map(function (corner) {
+        corner.height = height;
+        return Cartographic.toCartesian(corner, state.ellipsoid);
+      });
+
+      geometries.push({
+        type: "Polygon",
+        coordinates: [getLinearRing(state, corners)],
+      });
+      writePolygonStyle(state, rectangle, properties);
+    }
+  }
+}
+
+function writePolygonStyle(state, graphics, properties) {
+  const valueGetter = state.valueGetter;
+  writeColor(
+    properties,
+    "fill",
+    "fill-opacity",
+    valueGetter.getColor(graphics.material)
+  );
+
+  if (valueGetter.get(graphics.outline, false)) {
+    writeColor(
+      properties,
+      "stroke",
+      "stroke-opacity",
+      valueGetter.get(graphics.outlineColor)
+    );
+    const width = valueGetter.get(graphics.outlineWidth);
+    if (defined(width)) {
+      properties["stroke-width"] = width;
+    }
+  }
+}
+
+function getPolygonCoordinates(state, hierarchy, polygons) {
+  // Legacy polygons can be defined by an array of positions
+  if (Array.isArray(hierarchy)) {
+    polygons.push([getLinearRing(state, hierarchy)]);
+    return;
+  }
+
+  const rings = [getLinearRing(state, hierarchy.positions)];
+  polygons.push(rings);
+
+  const holes = defaultValue(hierarchy.holes, []);
+  for (let i = 0; i < holes.length; ++i) {
+    const hole = holes[i];
+    rings.push(getLinearRing(state, hole.positions));
+
+    // Holes within a hole are separate polygons in GeoJSON
+    const islands = defaultValue(hole.holes, []);
+    for (let j = 0; j < islands.length; ++j) {
+      getPolygonCoordinates(state, islands[j], polygons);
+    }
+  }
+}
+
+function getLinearRing(state, positions) {
+  const coordinates = getCoordinates(state, positions);
+
+  if (coordinates.length === 0) {
+    return coordinates;
+  }
+
+  // GeoJSON rings are explicitly closed
+  const first = coordinates[0];
+  const last = coordinates[coordinates.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    coordinates.push(first.slice());
+  }
+  return coordinates;
+}
+
+const scratchCartographic = new Cartographic();
+
+function getCoordinates(state, positions) {
+  const ellipsoid = state.ellipsoid;
+  const coordinates = [];
+  let hasHeights = false;
+  for (let i = 0; i < positions.length; ++i) {
+    const position = positions[i];
+    if (!(position instanceof Cartesian3)) {
+      continue;
+    }
+
+    const cartographic = ellipsoid.cartesianToCartographic(
+      position,
+      scratchCartographic
+    );
+    if (!defined(cartographic)) {
+      continue;
+    }
+
+    coordinates.push([
+      CesiumMath.toDegrees(cartographic.longitude),
+      CesiumMath.toDegrees(cartographic.latitude),
+      cartographic.height,
+    ]);
+    hasHeights =
+      hasHeights || Math.abs(cartographic.height) > CesiumMath.EPSILON3;
+  }
+
+  // Only write heights when they are meaningful, since GeoJsonDataSource uses them to
+  //  decide if polygons have per-position heights
+  if (!hasHeights) {
+    for (let i = 0; i < coordinates.length; ++i) {
+      coordinates[i].length = 2;
+    }
+  }
+  return coordinates;
+}
+
+export default exportGeoJson;
@@ -10,7 +10,8 @@ const Pass = {
   // Commands are executed in order by pass up to the translucent pass.
   // Translucent geometry needs special handling (sorting/OIT). The compute pass
   // is executed first and the overlay pass is executed last. Both are not sorted
-  // by frustum.
+  // by frustum. New passes are added at the end so that the values of existing passes,
+  // which custom shaders compare to the 'czm_pass' constants, do not change.
   ENVIRONMENT: 0,
   COMPUTE: 1,
   GLOBE: 2,
@@ -22,6 +23,7 @@ const Pass = {
   TRANSLUCENT: 8,
   VOXELS: 9,
   OVERLAY: 10,
-  NUMBER_OF_PASSES: 11,
+  GAUSSIAN_SPLATS: 11,
+  NUMBER_OF_PASSES: 12,
 };
 export default Object.freeze(Pass);
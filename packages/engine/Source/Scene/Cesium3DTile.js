@@ -1332,7 +1332,10 @@ function requestSingleContent(tile) {
  * @private
  */
 async function makeContent(tile, arrayBuffer) {
-  const preprocessed = preprocess3DTileContent(arrayBuffer);
+  const preprocessed = preprocess3DTileContent(
+    arrayBuffer,
+    tile._contentResource
+  );
 
   // Vector and Geometry tile rendering do not support the skip LOD optimization.
   const tileset = tile._tileset;
@@ -1,5 +1,8 @@
 import Composite3DTileContent from "./Composite3DTileContent.js";
+import GaussianSplat3DTileContent from "./GaussianSplat3DTileContent.js";
+import GaussianSplatParser from "./GaussianSplatParser.js";
 import Geometry3DTileContent from "./Geometry3DTileContent.js";
+import parseGlb from "./GltfPipeline/parseGlb.js";
 import Implicit3DTileContent from "./Implicit3DTileContent.js";
 import Model3DTileContent from "./Model/Model3DTileContent.js";
 import Tileset3DTileContent from "./Tileset3DTileContent.js";
@@ -92,11 +95,36 @@ const Cesium3DTileContentFactory = {
     const dataView = new DataView(arrayBuffer, byteOffset);
     const byteLength = dataView.getUint32(8, true);
     const glb = new Uint8Array(arrayBuffer, byteOffset, byteLength);
+    const gltf = parseGlb(glb);
+    if (GaussianSplatParser.hasGaussianSplats(gltf)) {
+      return GaussianSplat3DTileContent.fromGltf(tileset, tile, resource, gltf);
+    }
     return Model3DTileContent.fromGltf(tileset, tile, resource, glb);
   },
   gltf: function (tileset, tile, resource, json) {
+    if (GaussianSplatParser.hasGaussianSplats(json)) {
+      return GaussianSplat3DTileContent.fromGltf(tileset, tile, resource, json);
+    }
     return Model3DTileContent.fromGltf(tileset, tile, resource, json);
   },
+  splat: function (tileset, tile, resource, arrayBuffer, byteOffset) {
+    return GaussianSplat3DTileContent.fromSplat(
+      tileset,
+      tile,
+      resource,
+      arrayBuffer,
+      byteOffset
+    );
+  },
+  ply: function (tileset, tile, resource, arrayBuffer, byteOffset) {
+    return GaussianSplat3DTileContent.fromPly(
+      tileset,
+      tile,
+      resource,
+      arrayBuffer,
+      byteOffset
+    );
+  },
   geoJson: function (tileset, tile, resource, json) {
     return Model3DTileContent.fromGeoJson(tileset, tile, resource, json);
   },
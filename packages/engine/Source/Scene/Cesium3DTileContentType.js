@@ -150,6 +150,26 @@ const Cesium3DTileContentType = {
    * @experimental This feature is using part of the 3D Tiles spec that is not final and is subject to change without Cesium's standard deprecation policy.
    */
   VOXEL_JSON: "voxelJson",
+  /**
+   * Gaussian splats in the <code>.splat</code> format, with 32 bytes per splat. This is a
+   * binary format without a magic number, so it is identified by the file extension.
+   *
+   * @type {string}
+   * @constant
+   * @private
+   * @experimental This feature is not final and is subject to change without Cesium's standard deprecation policy.
+   */
+  GAUSSIAN_SPLAT: "splat",
+  /**
+   * Gaussian splats in the binary PLY format written by 3D Gaussian Splatting training
+   * tools. The magic number is <code>ply</code> followed by a line break.
+   *
+   * @type {string}
+   * @constant
+   * @private
+   * @experimental This feature is not final and is subject to change without Cesium's standard deprecation policy.
+   */
+  GAUSSIAN_SPLAT_PLY: "ply",
 };
 
 /**
@@ -170,6 +190,8 @@ Cesium3DTileContentType.isBinaryFormat = function (contentType) {
     case Cesium3DTileContentType.IMPLICIT_SUBTREE:
     case Cesium3DTileContentType.VOXEL_BINARY:
     case Cesium3DTileContentType.GLTF_BINARY:
+    case Cesium3DTileContentType.GAUSSIAN_SPLAT:
+    case Cesium3DTileContentType.GAUSSIAN_SPLAT_PLY:
       return true;
     default:
       return false;
@@ -0,0 +1,396 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import combine from "../Core/combine.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import GeometryInstance from "../Core/GeometryInstance.js";
+import CesiumMath from "../Core/Math.js";
+import PolygonGeometry from "../Core/PolygonGeometry.js";
+import PolygonHierarchy from "../Core/PolygonHierarchy.js";
+import sampleTerrainMostDetailed from "../Core/sampleTerrainMostDetailed.js";
+import WallGeometry from "../Core/WallGeometry.js";
+import ClippingPolygon from "./ClippingPolygon.js";
+import Material from "./Material.js";
+import MaterialAppearance from "./MaterialAppearance.js";
+import Primitive from "./Primitive.js";
+
+/**
+ * The walls and bottom of an excavation in the terrain or 3D Tiles. The walls go down from the surface along the
+ * boundary of the excavation to its bottom, which is flat. Add the {@link ExcavationPrimitive#clippingPolygon} to the
+ * {@link ClippingPolygonCollection} of the globe or a tileset to hide the surface inside the excavation, so that the
+ * walls and bottom are visible through it.
+ * <p>
+ * The heights of the positions are the heights of the surface along the boundary, which are the heights of the tops
+ * of the walls. Use {@link ExcavationPrimitive.fromTerrainAsync} to sample them from terrain.
+ * </p>
+ *
+ * @alias ExcavationPrimitive
+ * @constructor
+ *
+ * @param {object} options Object with the following properties:
+ * @param {Cartesian3[]} options.positions The boundary of the excavation, on the surface.
+ * @param {number} [options.depth=10.0] The depth of the bottom below the lowest position of the boundary, in meters.
+ * @param {number} [options.bottomHeight] The height of the bottom above the ellipsoid in meters, used instead of <code>options.depth</code>.
+ * @param {Material} [options.wallMaterial] The material of the walls.
+ * @param {Material} [options.bottomMaterial] The material of the bottom.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @param {number} [options.granularity=CesiumMath.RADIANS_PER_DEGREE] The distance, in radians, between each latitude and longitude of the walls and bottom.
+ * @param {boolean} [options.show=true] Determines if this primitive will be shown.
+ * @param {object} [options.id] A user-defined object to return when the excavation is picked with {@link Scene#pick}.
+ *
+ * @example
+ * const excavation = await Cesium.ExcavationPrimitive.fromTerrainAsync(viewer.terrainProvider, {
+ *   positions: Cesium.Cartesian3.fromDegreesArray([
+ *     -105.0, 40.0, -104.999, 40.0, -104.999, 40.001, -105.0, 40.001,
+ *   ]),
+ *   depth: 25.0,
+ * });
+ * viewer.scene.primitives.add(excavation);
+ * viewer.scene.globe.clippingPolygons = new Cesium.ClippingPolygonCollection({
+ *   polygons: [excavation.clippingPolygon],
+ * });
+ *
+ * @see computeCutAndFillVolumes
+ */
+function ExcavationPrimitive(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const positions = options.positions;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.positions", positions);
+  Check.typeOf.number.greaterThanOrEquals(
+    "options.positions.length",
+    positions.length,
+    3
+  );
+  //>>includeEnd('debug');
+
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  const surfaceHeights = positions.map(function (position) {
+    return Cartographic.fromCartesian(position, ellipsoid).height;
+  });
+
+  let bottomHeight = options.bottomHeight;
+  if (!defined(bottomHeight)) {
+    bottomHeight =
+      Math.min.apply(null, surfaceHeights) - defaultValue(options.depth, 10.0);
+  }
+
+  this._positions = positions.slice();
+  this._surfaceHeights = surfaceHeights;
+  this._bottomHeight = bottomHeight;
+  this._ellipsoid = ellipsoid;
+  this._granularity = defaultValue(
+    options.granularity,
+    CesiumMath.RADIANS_PER_DEGREE
+  );
+  this._clippingPolygon = new ClippingPolygon({
+    positions: positions,
+    ellipsoid: ellipsoid,
+  });
+
+  /**
+   * Determines if this primitive will be shown.
+   *
+   * @type {boolean}
+   * @default true
+   */
+  this.show = defaultValue(options.show, true);
+
+  /**
+   * User-defined value returned when the excavation is picked.
+   *
+   * @type {*}
+   * @default undefined
+   *
+   * @see Scene#pick
+   */
+  this.id = options.id;
+  this._id = undefined;
+
+  this._wallAppearance = new MaterialAppearance({
+    material: defaultValue(
+      options.wallMaterial,
+      Material.fromType(Material.ColorType, {
+        color: new Color(0.55, 0.45, 0.35, 1.0),
+      })
+    ),
+    translucent: false,
+    faceForward: true,
+  });
+  this._bottomAppearance = new MaterialAppearance({
+    material: defaultValue(
+      options.bottomMaterial,
+      Material.fromType(Material.ColorType, {
+        color: new Color(0.45, 0.37, 0.28, 1.0),
+      })
+    ),
+    translucent: false,
+    faceForward: true,
+  });
+
+  this._wallPrimitive = undefined;
+  this._bottomPrimitive = undefined;
+}
+
+Object.defineProperties(ExcavationPrimitive.prototype, {
+  /**
+   * Gets the boundary of the excavation.
+   *
+   * @memberof ExcavationPrimitive.prototype
+   * @type {Cartesian3[]}
+   * @readonly
+   */
+  positions: {
+    get: function () {
+      return this._positions;
+    },
+  },
+
+  /**
+   * Gets the height of the bottom of the excavation above the ellipsoid in meters.
+   *
+   * @memberof ExcavationPrimitive.prototype
+   * @type {number}
+   * @readonly
+   */
+  bottomHeight: {
+    get: function () {
+      return this._bottomHeight;
+    },
+  },
+
+  /**
+   * Gets the clipping polygon that hides the surface inside the excavation when added to
+   * a {@link ClippingPolygonCollection}.
+   *
+   * @memberof ExcavationPrimitive.prototype
+   * @type {ClippingPolygon}
+   * @readonly
+   */
+  clippingPolygon: {
+    get: function () {
+      return this._clippingPolygon;
+    },
+  },
+
+  /**
+   * Gets or sets the material of the walls.
+   *
+   * @memberof ExcavationPrimitive.prototype
+   * @type {Material}
+   */
+  wallMaterial: {
+    get: function () {
+      return this._wallAppearance.material;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.typeOf.object("value", value);
+      //>>includeEnd('debug');
+
+      this._wallAppearance.material = value;
+    },
+  },
+
+  /**
+   * Gets or sets the material of the bottom.
+   *
+   * @memberof ExcavationPrimitive.prototype
+   * @type {Material}
+   */
+  bottomMaterial: {
+    get: function () {
+      return this._bottomAppearance.material;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.typeOf.object("value", value);
+      //>>includeEnd('debug');
+
+      this._bottomAppearance.material = value;
+    },
+  },
+});
+
+function densify(positions, ellipsoid, sampleDistance) {
+  const result = [];
+  const length = positions.length;
+  for (let i = 0; i < length; ++i) {
+    const start = positions[i];
+    const end = positions[(i + 1) % length];
+    const count = CesiumMath.clamp(
+      Math.ceil(Cartesian3.distance(start, end) / sampleDistance),
+      1,
+      1024
+    );
+    for (let j = 0; j < count; ++j) {
+      const position = Cartesian3.lerp(start, end, j / count, new Cartesian3());
+      result.push(
+        ellipsoid.cartesianToCartographic(
+          ellipsoid.scaleToGeodeticSurface(position, position)
+        )
+      );
+    }
+  }
+  return result;
+}
+
+/**
+ * Creates an excavation whose walls go down from the terrain. The boundary is divided into segments of about
+ * <code>options.sampleDistance</code> meters, and the heights of the terrain at the ends of the segments, sampled with
+ * {@link sampleTerrainMostDetailed}, are the heights of the tops of the walls.
+ *
+ * @param {TerrainProvider} terrainProvider The terrain provider to sample, which must have tile availability.
+ * @param {object} options The options of the {@link ExcavationPrimitive} constructor, and the following properties:
+ * @param {number} [options.sampleDistance=10.0] The distance between terrain samples along the boundary in meters.
+ * @returns {Promise<ExcavationPrimitive>} A promise that resolves to the excavation.
+ */
+ExcavationPrimitive.fromTerrainAsync = async function (
+  terrainProvider,
+  options
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("terrainProvider", terrainProvider);
+  Check.typeOf.object("options", options);
+  Check.typeOf.object("options.positions", options.positions);
+  //>>includeEnd('debug');
+
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  const cartographics = densify(
+    options.positions,
+    ellipsoid,
+    defaultValue(options.sampleDistance, 10.0)
+  );
+  await sampleTerrainMostDetailed(terrainProvider, cartographics);
+
+  const positions = cartographics.map(function (cartographic) {
+    return Cartesian3.fromRadians(
+      cartographic.longitude,
+      cartographic.latitude,
+      defaultValue(cartographic.height, 0.0),
+      ellipsoid
+    );
+  });
+
+  return new ExcavationPrimitive(
+    combine(
+      {
+        positions: positions,
+      },
+      options
+    )
+  );
+};
+
+function createPrimitives(excavation) {
+  const ellipsoid = excavation._ellipsoid;
+  const granularity = excavation._granularity;
+  const bottomHeight = excavation._bottomHeight;
+
+  // Close the walls by returning to the first position
+  const positions = excavation._positions.concat(excavation._positions[0]);
+  const maximumHeights = excavation._surfaceHeights.concat(
+    excavation._surfaceHeights[0]
+  );
+  const minimumHeights = maximumHeights.map(function () {
+    return bottomHeight;
+  });
+
+  excavation._wallPrimitive = new Primitive({
+    geometryInstances: new GeometryInstance({
+      geometry: new WallGeometry({
+        positions: positions,
+        maximumHeights: maximumHeights,
+        minimumHeights: minimumHeights,
+        granularity: granularity,
+        ellipsoid: ellipsoid,
+        vertexFormat: MaterialAppearance.MaterialSupport.TEXTURED.vertexFormat,
+      }),
+      id: excavation.id,
+      pickPrimitive: excavation,
+    }),
+    appearance: excavation._wallAppearance,
+    asynchronous: false,
+  });
+
+  excavation._bottomPrimitive = new Primitive({
+    geometryInstances: new GeometryInstance({
+      geometry: new PolygonGeometry({
+        polygonHierarchy: new PolygonHierarchy(excavation._positions),
+        height: bottomHeight,
+        granularity: granularity,
+        ellipsoid: ellipsoid,
+        vertexFormat: MaterialAppearance.MaterialSupport.TEXTURED.vertexFormat,
+      }),
+      id: excavation.id,
+      pickPrimitive: excavation,
+    }),
+    appearance: excavation._bottomAppearance,
+    asynchronous: false,
+  });
+}
+
+/**
+ * @private
+ */
+ExcavationPrimitive.prototype.update = function (frameState) {
+  if (!this.show) {
+    return;
+  }
+
+  if (!defined(this._wallPrimitive) || this._id !== this.id) {
+    this._id = this.id;
+    this._wallPrimitive = this._wallPrimitive && this._wallPrimitive.destroy();
+    this._bottomPrimitive =
+      this._bottomPrimitive && this._bottomPrimitive.destroy();
+    createPrimitives(this);
+  }
+
+  this._wallPrimitive.update(frameState);
+  this._bottomPrimitive.update(frameState);
+};
+
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ * <p>
+ * If this object was destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.
+ * </p>
+ *
+ * @returns {boolean} <code>true</code> if this object was destroyed; otherwise, <code>false</code>.
+ *
+ * @see ExcavationPrimitive#destroy
+ */
+ExcavationPrimitive.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the WebGL resources held by this object.  Destroying an object allows for deterministic
+ * release of WebGL resources, instead of relying on the garbage collector to destroy this object.
+ * <p>
+ * Once an object is destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.  Therefore,
+ * assign the return value (<code>undefined</code>) to the object as done in the example.
+ * </p>
+ *
+ * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+ *
+ * @example
+ * excavation = excavation && excavation.destroy();
+ *
+ * @see ExcavationPrimitive#isDestroyed
+ */
+ExcavationPrimitive.prototype.destroy = function () {
+  this._wallPrimitive = this._wallPrimitive && this._wallPrimitive.destroy();
+  this._bottomPrimitive =
+    this._bottomPrimitive && this._bottomPrimitive.destroy();
+  return destroyObject(this);
+};
+
+export default ExcavationPrimitive;
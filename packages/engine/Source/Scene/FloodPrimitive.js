@@ -0,0 +1,412 @@
+import BoundingSphere from "../Core/BoundingSphere.js";
+import buildModuleUrl from "../Core/buildModuleUrl.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import createPolygonGrid from "../Core/createPolygonGrid.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import GeometryInstance from "../Core/GeometryInstance.js";
+import JulianDate from "../Core/JulianDate.js";
+import CesiumMath from "../Core/Math.js";
+import Matrix4 from "../Core/Matrix4.js";
+import PolygonGeometry from "../Core/PolygonGeometry.js";
+import PolygonHierarchy from "../Core/PolygonHierarchy.js";
+import sampleTerrainMostDetailed from "../Core/sampleTerrainMostDetailed.js";
+import EllipsoidSurfaceAppearance from "./EllipsoidSurfaceAppearance.js";
+import Material from "./Material.js";
+import Primitive from "./Primitive.js";
+import SceneMode from "./SceneMode.js";
+
+/**
+ * A water surface that fills a polygon up to a water level, for visualizing floods. The surface is flat at the
+ * water level and is hidden where terrain and other geometry is above it, so only the flooded parts of the
+ * polygon are visible. The water level can be a number or a {@link Property} that changes over time, such as
+ * a {@link SampledProperty} of a hydrograph.
+ *
+ * @alias FloodPrimitive
+ * @constructor
+ *
+ * @param {object} options Object with the following properties:
+ * @param {PolygonHierarchy|Cartesian3[]} options.polygonHierarchy The polygon to flood, or the positions of its outer boundary.
+ * @param {number|Property} [options.height=0.0] The height of the water level above the ellipsoid in meters.
+ * @param {Material} [options.material] The material of the water surface. The default is an animated {@link Material.WaterType} material.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid the water level is relative to.
+ * @param {number} [options.granularity=CesiumMath.RADIANS_PER_DEGREE] The distance, in radians, between each latitude and longitude of the water surface.
+ * @param {boolean} [options.show=true] Determines if this primitive will be shown.
+ * @param {object} [options.id] A user-defined object to return when the water surface is picked with {@link Scene#pick}.
+ *
+ * @example
+ * const waterLevel = new Cesium.SampledProperty(Number);
+ * waterLevel.addSample(Cesium.JulianDate.fromIso8601("2024-06-01T00:00:00Z"), 102.0);
+ * waterLevel.addSample(Cesium.JulianDate.fromIso8601("2024-06-02T00:00:00Z"), 106.5);
+ *
+ * const flood = viewer.scene.primitives.add(new Cesium.FloodPrimitive({
+ *   polygonHierarchy: Cesium.Cartesian3.fromDegreesArray([
+ *     7.58, 47.55, 7.62, 47.55, 7.62, 47.58, 7.58, 47.58,
+ *   ]),
+ *   height: waterLevel,
+ * }));
+ *
+ * const result = await flood.computeFloodedAreaAndVolume(viewer.terrainProvider, {
+ *   time: viewer.clock.currentTime,
+ * });
+ * console.log(`${result.area} m², ${result.volume} m³`);
+ *
+ * @see sampleTerrainMostDetailed
+ */
+function FloodPrimitive(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  let polygonHierarchy = options.polygonHierarchy;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.polygonHierarchy", polygonHierarchy);
+  //>>includeEnd('debug');
+
+  if (Array.isArray(polygonHierarchy)) {
+    polygonHierarchy = new PolygonHierarchy(polygonHierarchy);
+  }
+
+  //>>includeStart('debug', pragmas.debug);
+  if (polygonHierarchy.positions.length < 3) {
+    throw new DeveloperError(
+      "options.polygonHierarchy must have at least three positions."
+    );
+  }
+  //>>includeEnd('debug');
+
+  this._polygonHierarchy = polygonHierarchy;
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  this._granularity = defaultValue(
+    options.granularity,
+    CesiumMath.RADIANS_PER_DEGREE
+  );
+
+  /**
+   * The height of the water level above the ellipsoid in meters, or a {@link Property} with the height at each time.
+   *
+   * @type {number|Property}
+   * @default 0.0
+   */
+  this.height = defaultValue(options.height, 0.0);
+
+  /**
+   * Determines if this primitive will be shown.
+   *
+   * @type {boolean}
+   * @default true
+   */
+  this.show = defaultValue(options.show, true);
+
+  /**
+   * User-defined value returned when the water surface is picked.
+   *
+   * @type {*}
+   * @default undefined
+   *
+   * @see Scene#pick
+   */
+  this.id = options.id;
+  this._id = undefined;
+
+  let material = options.material;
+  if (!defined(material)) {
+    material = Material.fromType(Material.WaterType, {
+      baseWaterColor: new Color(0.25, 0.35, 0.45, 0.75),
+      normalMap: buildModuleUrl("Assets/Textures/waterNormals.jpg"),
+      frequency: 1000.0,
+      animationSpeed: 0.02,
+      amplitude: 5.0,
+    });
+  }
+
+  this._appearance = new EllipsoidSurfaceAppearance({
+    material: material,
+  });
+  this._currentHeight = undefined;
+  this._primitive = undefined;
+  this._terrainSamples = undefined;
+
+  // The water surface is built once at a reference height and moved to the water level along the surface
+  // normal at the center of the polygon, so a changing water level does not rebuild the geometry
+  this._referenceHeight = undefined;
+  this._normal = this._ellipsoid.geodeticSurfaceNormal(
+    BoundingSphere.fromPoints(polygonHierarchy.positions).center,
+    new Cartesian3()
+  );
+}
+
+Object.defineProperties(FloodPrimitive.prototype, {
+  /**
+   * Gets the polygon that is flooded.
+   *
+   * @memberof FloodPrimitive.prototype
+   * @type {PolygonHierarchy}
+   * @readonly
+   */
+  polygonHierarchy: {
+    get: function () {
+      return this._polygonHierarchy;
+    },
+  },
+
+  /**
+   * Gets the ellipsoid the water level is relative to.
+   *
+   * @memberof FloodPrimitive.prototype
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * Gets or sets the material of the water surface.
+   *
+   * @memberof FloodPrimitive.prototype
+   * @type {Material}
+   */
+  material: {
+    get: function () {
+      return this._appearance.material;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.typeOf.object("value", value);
+      //>>includeEnd('debug');
+
+      this._appearance.material = value;
+    },
+  },
+
+  /**
+   * Gets the height of the water level in the last rendered frame, or undefined if the primitive has not been rendered.
+   *
+   * @memberof FloodPrimitive.prototype
+   * @type {number|undefined}
+   * @readonly
+   */
+  currentHeight: {
+    get: function () {
+      return this._currentHeight;
+    },
+  },
+});
+
+function getHeight(flood, time) {
+  const height = flood.height;
+  if (typeof height === "number") {
+    return height;
+  }
+  return height.getValue(time);
+}
+
+const scratchOffset = new Cartesian3();
+
+/**
+ * @private
+ */
+FloodPrimitive.prototype.update = function (frameState) {
+  if (!this.show) {
+    return;
+  }
+
+  const height = getHeight(this, frameState.time);
+  if (!defined(height)) {
+    return;
+  }
+
+  // Primitive.modelMatrix is only supported in 3D, so the other modes rebuild the surface at the water level
+  const moveWithModelMatrix = frameState.mode === SceneMode.SCENE3D;
+  if (
+    !defined(this._primitive) ||
+    this._id !== this.id ||
+    (!moveWithModelMatrix &&
+      frameState.mode !== SceneMode.SCENE2D &&
+      this._referenceHeight !== height)
+  ) {
+    this._referenceHeight = height;
+    this._id = this.id;
+
+    if (defined(this._primitive)) {
+      this._primitive.destroy();
+    }
+
+    this._primitive = new Primitive({
+      geometryInstances: new GeometryInstance({
+        geometry: new PolygonGeometry({
+          polygonHierarchy: this._polygonHierarchy,
+          height: height,
+          ellipsoid: this._ellipsoid,
+          granularity: this._granularity,
+          vertexFormat: EllipsoidSurfaceAppearance.VERTEX_FORMAT,
+        }),
+        id: this.id,
+        pickPrimitive: this,
+      }),
+      appearance: this._appearance,
+      asynchronous: false,
+    });
+  }
+
+  const modelMatrix = this._primitive.modelMatrix;
+  if (moveWithModelMatrix) {
+    const offset = Cartesian3.multiplyByScalar(
+      this._normal,
+      height - this._referenceHeight,
+      scratchOffset
+    );
+    Matrix4.fromTranslation(offset, modelMatrix);
+  } else {
+    Matrix4.clone(Matrix4.IDENTITY, modelMatrix);
+  }
+  this._currentHeight = height;
+
+  this._primitive.update(frameState);
+};
+
+function createTerrainSamples(flood, terrainProvider, sampleSpacing) {
+  const grid = createPolygonGrid(flood._polygonHierarchy, {
+    spacing: sampleSpacing,
+    ellipsoid: flood._ellipsoid,
+  });
+  return sampleTerrainMostDetailed(terrainProvider, grid.cartographics).then(
+    function (positions) {
+      return {
+        terrainProvider: terrainProvider,
+        sampleSpacing: sampleSpacing,
+        cellArea: grid.cellArea,
+        positions: positions,
+      };
+    }
+  );
+}
+
+/**
+ * Computes the area of the polygon under water and the volume of the water above the terrain. The terrain is
+ * sampled with {@link sampleTerrainMostDetailed} at the centers of the cells of a square grid covering the polygon,
+ * and each cell below the water level adds its area and the volume of water above its sample. The samples are
+ * kept, so computing the area and volume again with the same terrain provider and sample spacing, such as for
+ * other water levels, does not sample the terrain again.
+ *
+ * @param {TerrainProvider} terrainProvider The terrain provider to sample, which must have tile availability.
+ * @param {object} [options] Object with the following properties:
+ * @param {number} [options.height] The height of the water level above the ellipsoid in meters. The default is the height of the water level at <code>options.time</code>.
+ * @param {JulianDate} [options.time=JulianDate.now()] The time to evaluate the water level at when it is a {@link Property}.
+ * @param {number} [options.sampleSpacing] The distance between terrain samples in meters. The default places about 4096 samples in the rectangle around the polygon.
+ * @returns {Promise<FloodPrimitive.FloodedAreaAndVolume>} A promise that resolves to the flooded area and the volume of water.
+ *
+ * @exception {DeveloperError} The water level is undefined at the time.
+ */
+FloodPrimitive.prototype.computeFloodedAreaAndVolume = async function (
+  terrainProvider,
+  options
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("terrainProvider", terrainProvider);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  let height = options.height;
+  if (!defined(height)) {
+    height = getHeight(this, defaultValue(options.time, JulianDate.now()));
+  }
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(height)) {
+    throw new DeveloperError("The water level is undefined at the time.");
+  }
+  //>>includeEnd('debug');
+
+  let samples = this._terrainSamples;
+  if (
+    !defined(samples) ||
+    samples.terrainProvider !== terrainProvider ||
+    samples.sampleSpacing !== options.sampleSpacing
+  ) {
+    samples = await createTerrainSamples(
+      this,
+      terrainProvider,
+      options.sampleSpacing
+    );
+    this._terrainSamples = samples;
+  }
+
+  const positions = samples.positions;
+  let floodedCount = 0;
+  let totalDepth = 0.0;
+  let maximumDepth = 0.0;
+  for (let i = 0; i < positions.length; ++i) {
+    const terrainHeight = positions[i].height;
+    if (!defined(terrainHeight) || terrainHeight >= height) {
+      continue;
+    }
+    const depth = height - terrainHeight;
+    floodedCount++;
+    totalDepth += depth;
+    maximumDepth = Math.max(maximumDepth, depth);
+  }
+
+  return {
+    height: height,
+    area: floodedCount * samples.cellArea,
+    volume: totalDepth * samples.cellArea,
+    maximumDepth: maximumDepth,
+    sampleCount: positions.length,
+  };
+};
+
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ * <p>
+ * If this object was destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.
+ * </p>
+ *
+ * @returns {boolean} <code>true</code> if this object was destroyed; otherwise, <code>false</code>.
+ *
+ * @see FloodPrimitive#destroy
+ */
+FloodPrimitive.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the WebGL resources held by this object.  Destroying an object allows for deterministic
+ * release of WebGL resources, instead of relying on the garbage collector to destroy this object.
+ * <p>
+ * Once an object is destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.  Therefore,
+ * assign the return value (<code>undefined</code>) to the object as done in the example.
+ * </p>
+ *
+ * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+ *
+ * @example
+ * flood = flood && flood.destroy();
+ *
+ * @see FloodPrimitive#isDestroyed
+ */
+FloodPrimitive.prototype.destroy = function () {
+  this._primitive = this._primitive && this._primitive.destroy();
+  return destroyObject(this);
+};
+
+/**
+ * The flooded area and volume of water computed by {@link FloodPrimitive#computeFloodedAreaAndVolume}.
+ * @typedef {object} FloodPrimitive.FloodedAreaAndVolume
+ * @property {number} height The height of the water level above the ellipsoid in meters.
+ * @property {number} area The area below the water level in square meters.
+ * @property {number} volume The volume of water above the terrain in cubic meters.
+ * @property {number} maximumDepth The largest depth of water above a terrain sample in meters.
+ * @property {number} sampleCount The number of terrain samples inside the polygon.
+ */
+
+export default FloodPrimitive;
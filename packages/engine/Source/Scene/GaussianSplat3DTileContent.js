@@ -0,0 +1,319 @@
+import Axis from "./Axis.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import Matrix4 from "../Core/Matrix4.js";
+import GaussianSplatParser from "./GaussianSplatParser.js";
+import GaussianSplatPrimitive from "./GaussianSplatPrimitive.js";
+import addDefaults from "./GltfPipeline/addDefaults.js";
+import addPipelineExtras from "./GltfPipeline/addPipelineExtras.js";
+import ModelUtility from "./Model/ModelUtility.js";
+
+/**
+ * Represents the contents of a tile with Gaussian splats in a
+ * {@link https://github.com/CesiumGS/3d-tiles/tree/main/specification|3D Tiles} tileset.
+ * The splats are loaded from a <code>.splat</code> file, a binary PLY file, or a glTF that uses the
+ * <code>KHR_gaussian_splatting</code> extension.
+ * <p>
+ * Implements the {@link Cesium3DTileContent} interface.
+ * </p>
+ * This object is normally not instantiated directly, use {@link GaussianSplat3DTileContent.fromSplat},
+ * {@link GaussianSplat3DTileContent.fromPly}, or {@link GaussianSplat3DTileContent.fromGltf}.
+ *
+ * @alias GaussianSplat3DTileContent
+ * @constructor
+ * @private
+ * @experimental This feature is not final and is subject to change without Cesium's standard deprecation policy.
+ */
+function GaussianSplat3DTileContent(tileset, tile, resource, splats, axis) {
+  this._tileset = tileset;
+  this._tile = tile;
+  this._resource = resource;
+
+  this._primitive = new GaussianSplatPrimitive({
+    splats: splats,
+    modelMatrix: tile.computedTransform,
+    pickObject: {
+      content: this,
+      primitive: tileset,
+    },
+  });
+  this._axisCorrectionMatrix = Matrix4.clone(axis);
+
+  this._metadata = undefined;
+  this._group = undefined;
+  this._ready = false;
+
+  this.featurePropertiesDirty = false;
+}
+
+Object.defineProperties(GaussianSplat3DTileContent.prototype, {
+  featuresLength: {
+    get: function () {
+      return 0;
+    },
+  },
+
+  pointsLength: {
+    get: function () {
+      return this._primitive.length;
+    },
+  },
+
+  trianglesLength: {
+    get: function () {
+      return 0;
+    },
+  },
+
+  geometryByteLength: {
+    get: function () {
+      return this._primitive.geometryByteLength;
+    },
+  },
+
+  texturesByteLength: {
+    get: function () {
+      return this._primitive.texturesByteLength;
+    },
+  },
+
+  batchTableByteLength: {
+    get: function () {
+      return 0;
+    },
+  },
+
+  innerContents: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * Returns true when the tile's content is ready to render; otherwise false
+   *
+   * @memberof GaussianSplat3DTileContent.prototype
+   *
+   * @type {boolean}
+   * @readonly
+   * @private
+   */
+  ready: {
+    get: function () {
+      return this._ready;
+    },
+  },
+
+  tileset: {
+    get: function () {
+      return this._tileset;
+    },
+  },
+
+  tile: {
+    get: function () {
+      return this._tile;
+    },
+  },
+
+  url: {
+    get: function () {
+      return this._resource.getUrlComponent(true);
+    },
+  },
+
+  batchTable: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  metadata: {
+    get: function () {
+      return this._metadata;
+    },
+    set: function (value) {
+      this._metadata = value;
+    },
+  },
+
+  group: {
+    get: function () {
+      return this._group;
+    },
+    set: function (value) {
+      this._group = value;
+    },
+  },
+});
+
+GaussianSplat3DTileContent.prototype.hasProperty = function (batchId, name) {
+  return false;
+};
+
+GaussianSplat3DTileContent.prototype.getFeature = function (batchId) {
+  return undefined;
+};
+
+GaussianSplat3DTileContent.prototype.applyDebugSettings = function (
+  enabled,
+  color
+) {
+  this._primitive.color = Color.clone(
+    enabled ? color : Color.WHITE,
+    this._primitive.color
+  );
+};
+
+GaussianSplat3DTileContent.prototype.applyStyle = function (style) {
+  this._primitive.style = style;
+};
+
+GaussianSplat3DTileContent.prototype.update = function (tileset, frameState) {
+  const primitive = this._primitive;
+  Matrix4.multiplyTransformation(
+    this._tile.computedTransform,
+    this._axisCorrectionMatrix,
+    primitive.modelMatrix
+  );
+  primitive.update(frameState);
+
+  this._ready = primitive.ready;
+};
+
+/**
+ * Find an intersection between a ray and the splats of the tile. The ray must be given in world coordinates.
+ *
+ * @param {Ray} ray The ray to test for intersection.
+ * @param {FrameState} frameState The frame state.
+ * @param {Cartesian3|undefined} [result] The intersection or <code>undefined</code> if none was found.
+ * @returns {Cartesian3|undefined} The intersection or <code>undefined</code> if none was found.
+ *
+ * @private
+ */
+GaussianSplat3DTileContent.prototype.pick = function (ray, frameState, result) {
+  if (!this._ready) {
+    return undefined;
+  }
+
+  return this._primitive.pick(ray, result);
+};
+
+GaussianSplat3DTileContent.prototype.isDestroyed = function () {
+  return false;
+};
+
+GaussianSplat3DTileContent.prototype.destroy = function () {
+  this._primitive = this._primitive && this._primitive.destroy();
+  return destroyObject(this);
+};
+
+/**
+ * Creates the content of a tile from a <code>.splat</code> file.
+ *
+ * @param {Cesium3DTileset} tileset The tileset that the tile belongs to.
+ * @param {Cesium3DTile} tile The tile.
+ * @param {Resource} resource The resource of the content.
+ * @param {ArrayBuffer} arrayBuffer The array buffer of the content.
+ * @param {number} [byteOffset=0] The byte offset of the content in the array buffer.
+ * @returns {Promise<GaussianSplat3DTileContent>} A promise that resolves to the content.
+ *
+ * @private
+ */
+GaussianSplat3DTileContent.fromSplat = async function (
+  tileset,
+  tile,
+  resource,
+  arrayBuffer,
+  byteOffset
+) {
+  const splats = GaussianSplatParser.parseSplat(arrayBuffer, byteOffset);
+  return new GaussianSplat3DTileContent(
+    tileset,
+    tile,
+    resource,
+    splats,
+    Matrix4.IDENTITY
+  );
+};
+
+/**
+ * Creates the content of a tile from a binary PLY file with Gaussian splats.
+ *
+ * @param {Cesium3DTileset} tileset The tileset that the tile belongs to.
+ * @param {Cesium3DTile} tile The tile.
+ * @param {Resource} resource The resource of the content.
+ * @param {ArrayBuffer} arrayBuffer The array buffer of the content.
+ * @param {number} [byteOffset=0] The byte offset of the content in the array buffer.
+ * @returns {Promise<GaussianSplat3DTileContent>} A promise that resolves to the content.
+ *
+ * @private
+ */
+GaussianSplat3DTileContent.fromPly = async function (
+  tileset,
+  tile,
+  resource,
+  arrayBuffer,
+  byteOffset
+) {
+  const splats = GaussianSplatParser.parsePly(arrayBuffer, byteOffset);
+  return new GaussianSplat3DTileContent(
+    tileset,
+    tile,
+    resource,
+    splats,
+    Matrix4.IDENTITY
+  );
+};
+
+/**
+ * Creates the content of a tile from a glTF that uses the <code>KHR_gaussian_splatting</code> extension.
+ * Like other glTF content, the splats are rotated from the up axis of the tileset's models to Z-up.
+ *
+ * @param {Cesium3DTileset} tileset The tileset that the tile belongs to.
+ * @param {Cesium3DTile} tile The tile.
+ * @param {Resource} resource The resource of the content, which external buffers are relative to.
+ * @param {object} gltf The glTF JSON. For a glb, the binary chunk must be in the <code>extras._pipeline.source</code> of the first buffer, as done by <code>parseGlb</code>.
+ * @returns {Promise<GaussianSplat3DTileContent>} A promise that resolves to the content.
+ *
+ * @private
+ */
+GaussianSplat3DTileContent.fromGltf = async function (
+  tileset,
+  tile,
+  resource,
+  gltf
+) {
+  addPipelineExtras(gltf);
+  addDefaults(gltf);
+
+  const buffers = defaultValue(gltf.buffers, []);
+  const promises = [];
+  for (let i = 0; i < buffers.length; ++i) {
+    const buffer = buffers[i];
+    if (defined(buffer.extras._pipeline.source) || !defined(buffer.uri)) {
+      continue;
+    }
+    const bufferResource = resource.getDerivedResource({
+      url: buffer.uri,
+    });
+    promises.push(
+      bufferResource.fetchArrayBuffer().then(function (arrayBuffer) {
+        buffer.extras._pipeline.source = new Uint8Array(arrayBuffer);
+      })
+    );
+  }
+  await Promise.all(promises);
+
+  const splats = GaussianSplatParser.parseGltf(gltf);
+  const axis = ModelUtility.getAxisCorrectionMatrix(
+    defaultValue(tileset._modelUpAxis, Axis.Y),
+    defaultValue(tileset._modelForwardAxis, Axis.Z),
+    new Matrix4()
+  );
+  return new GaussianSplat3DTileContent(tileset, tile, resource, splats, axis);
+};
+
+export default GaussianSplat3DTileContent;
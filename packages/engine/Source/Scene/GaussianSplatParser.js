@@ -0,0 +1,678 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import ComponentDatatype from "../Core/ComponentDatatype.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import getStringFromTypedArray from "../Core/getStringFromTypedArray.js";
+import Matrix3 from "../Core/Matrix3.js";
+import Matrix4 from "../Core/Matrix4.js";
+import Quaternion from "../Core/Quaternion.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import readAccessorPacked from "./GltfPipeline/readAccessorPacked.js";
+
+/**
+ * Handles parsing of Gaussian splats from <code>.splat</code> files, binary PLY files
+ * and glTF with the <code>KHR_gaussian_splatting</code> extension.
+ * <p>
+ * All formats are parsed to the same representation: the position, the 3D covariance
+ * and the color and opacity of each splat. The covariance is stored as the six unique
+ * elements of the symmetric matrix, in the order <code>xx, xy, xz, yy, yz, zz</code>.
+ * </p>
+ *
+ * @namespace GaussianSplatParser
+ * @private
+ */
+const GaussianSplatParser = {};
+
+/**
+ * The name of the glTF extension for Gaussian splats.
+ *
+ * @type {string}
+ * @constant
+ * @private
+ */
+GaussianSplatParser.EXTENSION_NAME = "KHR_gaussian_splatting";
+
+const splatByteLength = 32;
+
+// The zeroth order spherical harmonic coefficient
+const SH_C0 = 0.28209479177387814;
+
+const scratchScale = new Cartesian3();
+const scratchRotation = new Quaternion();
+
+/**
+ * Parses splats from the <code>.splat</code> format. Each splat is 32 bytes: the position
+ * and scale as three 32-bit floats each, the color and opacity as four unsigned bytes and the
+ * rotation quaternion as four unsigned bytes in the order <code>w, x, y, z</code>, mapped from
+ * [-1, 1] to [0, 255].
+ *
+ * @param {ArrayBuffer} arrayBuffer The array buffer containing the splats.
+ * @param {number} [byteOffset=0] The byte offset of the beginning of the splats in the array buffer.
+ * @returns {object} An object containing a parsed representation of the splats.
+ *
+ * @exception {RuntimeError} The byte length of a .splat file must be a multiple of 32.
+ *
+ * @private
+ */
+GaussianSplatParser.parseSplat = function (arrayBuffer, byteOffset) {
+  byteOffset = defaultValue(byteOffset, 0);
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("arrayBuffer", arrayBuffer);
+  //>>includeEnd('debug');
+
+  const byteLength = arrayBuffer.byteLength - byteOffset;
+  if (byteLength % splatByteLength !== 0) {
+    throw new RuntimeError(
+      `The byte length of a .splat file must be a multiple of ${splatByteLength}.`
+    );
+  }
+
+  const length = byteLength / splatByteLength;
+  const result = createSplats(length);
+  const view = new DataView(arrayBuffer, byteOffset);
+  const bytes = new Uint8Array(arrayBuffer, byteOffset);
+
+  const scale = scratchScale;
+  const rotation = scratchRotation;
+  for (let i = 0; i < length; ++i) {
+    const offset = i * splatByteLength;
+    result.positions[i * 3] = view.getFloat32(offset, true);
+    result.positions[i * 3 + 1] = view.getFloat32(offset + 4, true);
+    result.positions[i * 3 + 2] = view.getFloat32(offset + 8, true);
+
+    scale.x = view.getFloat32(offset + 12, true);
+    scale.y = view.getFloat32(offset + 16, true);
+    scale.z = view.getFloat32(offset + 20, true);
+
+    result.colors[i * 4] = bytes[offset + 24];
+    result.colors[i * 4 + 1] = bytes[offset + 25];
+    result.colors[i * 4 + 2] = bytes[offset + 26];
+    result.colors[i * 4 + 3] = bytes[offset + 27];
+
+    rotation.w = (bytes[offset + 28] - 128) / 128;
+    rotation.x = (bytes[offset + 29] - 128) / 128;
+    rotation.y = (bytes[offset + 30] - 128) / 128;
+    rotation.z = (bytes[offset + 31] - 128) / 128;
+
+    computeCovariance(scale, rotation, result.covariances, i);
+  }
+
+  return result;
+};
+
+const plyTypes = {
+  char: { byteLength: 1, read: DataView.prototype.getInt8 },
+  int8: { byteLength: 1, read: DataView.prototype.getInt8 },
+  uchar: { byteLength: 1, read: DataView.prototype.getUint8 },
+  uint8: { byteLength: 1, read: DataView.prototype.getUint8 },
+  short: { byteLength: 2, read: DataView.prototype.getInt16 },
+  int16: { byteLength: 2, read: DataView.prototype.getInt16 },
+  ushort: { byteLength: 2, read: DataView.prototype.getUint16 },
+  uint16: { byteLength: 2, read: DataView.prototype.getUint16 },
+  int: { byteLength: 4, read: DataView.prototype.getInt32 },
+  int32: { byteLength: 4, read: DataView.prototype.getInt32 },
+  uint: { byteLength: 4, read: DataView.prototype.getUint32 },
+  uint32: { byteLength: 4, read: DataView.prototype.getUint32 },
+  float: { byteLength: 4, read: DataView.prototype.getFloat32 },
+  float32: { byteLength: 4, read: DataView.prototype.getFloat32 },
+  double: { byteLength: 8, read: DataView.prototype.getFloat64 },
+  float64: { byteLength: 8, read: DataView.prototype.getFloat64 },
+};
+
+/**
+ * Parses splats from a binary little-endian PLY file as written by 3D Gaussian Splatting
+ * training tools. The <code>vertex</code> element must have the <code>x</code>, <code>y</code>,
+ * <code>z</code> and the log-space <code>scale_0</code>, <code>scale_1</code> and
+ * <code>scale_2</code> properties. The rotation is read from <code>rot_0</code> to
+ * <code>rot_3</code> in the order <code>w, x, y, z</code>, the color from the zeroth order
+ * spherical harmonic coefficients <code>f_dc_0</code> to <code>f_dc_2</code> or from
+ * <code>red</code>, <code>green</code> and <code>blue</code>, and the opacity from the
+ * logit-space <code>opacity</code> or from <code>alpha</code>. Higher order spherical harmonics
+ * are ignored.
+ *
+ * @param {ArrayBuffer} arrayBuffer The array buffer containing the PLY file.
+ * @param {number} [byteOffset=0] The byte offset of the beginning of the PLY file in the array buffer.
+ * @returns {object} An object containing a parsed representation of the splats.
+ *
+ * @exception {RuntimeError} Invalid PLY header.
+ * @exception {RuntimeError} Only binary_little_endian PLY files are supported.
+ * @exception {RuntimeError} PLY files must have a vertex element.
+ * @exception {RuntimeError} The PLY vertex element must have the x, y, z, scale_0, scale_1 and scale_2 properties.
+ *
+ * @private
+ */
+GaussianSplatParser.parsePly = function (arrayBuffer, byteOffset) {
+  byteOffset = defaultValue(byteOffset, 0);
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("arrayBuffer", arrayBuffer);
+  //>>includeEnd('debug');
+
+  const bytes = new Uint8Array(arrayBuffer, byteOffset);
+  const header = parsePlyHeader(bytes);
+  if (header.format !== "binary_little_endian") {
+    throw new RuntimeError(
+      `Only binary_little_endian PLY files are supported. The format is ${header.format}.`
+    );
+  }
+
+  // Skip the elements before the vertices
+  const elements = header.elements;
+  let vertexElement;
+  let elementByteOffset = header.byteLength;
+  for (let i = 0; i < elements.length; ++i) {
+    const element = elements[i];
+    if (element.name === "vertex") {
+      vertexElement = element;
+      break;
+    }
+    if (!defined(element.byteLength)) {
+      throw new RuntimeError(
+        "PLY elements with list properties before the vertex element are not supported."
+      );
+    }
+    elementByteOffset += element.count * element.byteLength;
+  }
+
+  if (!defined(vertexElement)) {
+    throw new RuntimeError("PLY files must have a vertex element.");
+  }
+  if (!defined(vertexElement.byteLength)) {
+    throw new RuntimeError(
+      "The PLY vertex element must not have list properties."
+    );
+  }
+
+  const properties = vertexElement.properties;
+  const x = properties.x;
+  const y = properties.y;
+  const z = properties.z;
+  const scale0 = properties.scale_0;
+  const scale1 = properties.scale_1;
+  const scale2 = properties.scale_2;
+  if (
+    !defined(x) ||
+    !defined(y) ||
+    !defined(z) ||
+    !defined(scale0) ||
+    !defined(scale1) ||
+    !defined(scale2)
+  ) {
+    throw new RuntimeError(
+      "The PLY vertex element must have the x, y, z, scale_0, scale_1 and scale_2 properties."
+    );
+  }
+
+  const hasRotation =
+    defined(properties.rot_0) &&
+    defined(properties.rot_1) &&
+    defined(properties.rot_2) &&
+    defined(properties.rot_3);
+  const hasHarmonics =
+    defined(properties.f_dc_0) &&
+    defined(properties.f_dc_1) &&
+    defined(properties.f_dc_2);
+  const hasRgb =
+    defined(properties.red) &&
+    defined(properties.green) &&
+    defined(properties.blue);
+
+  const length = vertexElement.count;
+  const vertexByteLength = vertexElement.byteLength;
+  if (
+    elementByteOffset + length * vertexByteLength >
+    arrayBuffer.byteLength - byteOffset
+  ) {
+    throw new RuntimeError("The PLY file is too short for its vertex count.");
+  }
+
+  const result = createSplats(length);
+  const view = new DataView(arrayBuffer, byteOffset);
+
+  const scale = scratchScale;
+  const rotation = scratchRotation;
+  for (let i = 0; i < length; ++i) {
+    const offset = elementByteOffset + i * vertexByteLength;
+
+    result.positions[i * 3] = readPlyProperty(view, offset, x);
+    result.positions[i * 3 + 1] = readPlyProperty(view, offset, y);
+    result.positions[i * 3 + 2] = readPlyProperty(view, offset, z);
+
+    scale.x = Math.exp(readPlyProperty(view, offset, scale0));
+    scale.y = Math.exp(readPlyProperty(view, offset, scale1));
+    scale.z = Math.exp(readPlyProperty(view, offset, scale2));
+
+    if (hasRotation) {
+      rotation.w = readPlyProperty(view, offset, properties.rot_0);
+      rotation.x = readPlyProperty(view, offset, properties.rot_1);
+      rotation.y = readPlyProperty(view, offset, properties.rot_2);
+      rotation.z = readPlyProperty(view, offset, properties.rot_3);
+    } else {
+      Quaternion.clone(Quaternion.IDENTITY, rotation);
+    }
+
+    let red = 1.0;
+    let green = 1.0;
+    let blue = 1.0;
+    if (hasHarmonics) {
+      red = 0.5 + SH_C0 * readPlyProperty(view, offset, properties.f_dc_0);
+      green = 0.5 + SH_C0 * readPlyProperty(view, offset, properties.f_dc_1);
+      blue = 0.5 + SH_C0 * readPlyProperty(view, offset, properties.f_dc_2);
+    } else if (hasRgb) {
+      red = readPlyProperty(view, offset, properties.red) / 255.0;
+      green = readPlyProperty(view, offset, properties.green) / 255.0;
+      blue = readPlyProperty(view, offset, properties.blue) / 255.0;
+    }
+
+    let alpha = 1.0;
+    if (defined(properties.opacity)) {
+      alpha =
+        1.0 /
+        (1.0 + Math.exp(-readPlyProperty(view, offset, properties.opacity)));
+    } else if (defined(properties.alpha)) {
+      alpha = readPlyProperty(view, offset, properties.alpha) / 255.0;
+    }
+
+    result.colors[i * 4] = toByte(red);
+    result.colors[i * 4 + 1] = toByte(green);
+    result.colors[i * 4 + 2] = toByte(blue);
+    result.colors[i * 4 + 3] = toByte(alpha);
+
+    computeCovariance(scale, rotation, result.covariances, i);
+  }
+
+  return result;
+};
+
+/**
+ * Returns whether a glTF uses the <code>KHR_gaussian_splatting</code> extension.
+ *
+ * @param {object} gltf The glTF JSON.
+ * @returns {boolean} <code>true</code> if the glTF contains Gaussian splats.
+ *
+ * @private
+ */
+GaussianSplatParser.hasGaussianSplats = function (gltf) {
+  const extensionsUsed = gltf.extensionsUsed;
+  return (
+    defined(extensionsUsed) &&
+    extensionsUsed.indexOf(GaussianSplatParser.EXTENSION_NAME) !== -1
+  );
+};
+
+/**
+ * Parses splats from the mesh primitives of a glTF that have the
+ * <code>KHR_gaussian_splatting</code> extension. Each splat is a point of the primitive, with
+ * the <code>POSITION</code>, <code>COLOR_0</code>, <code>KHR_gaussian_splatting:SCALE</code> and
+ * <code>KHR_gaussian_splatting:ROTATION</code> attributes. The scale is linear and the rotation
+ * is a unit quaternion in the order <code>x, y, z, w</code>. The alpha of the color is the opacity.
+ * The node transforms of the default scene are applied to the splats.
+ *
+ * @param {object} gltf The glTF JSON, where each buffer has its data in <code>extras._pipeline.source</code>.
+ * @returns {object} An object containing a parsed representation of the splats.
+ *
+ * @exception {RuntimeError} Gaussian splat primitives must have the POSITION, KHR_gaussian_splatting:SCALE and KHR_gaussian_splatting:ROTATION attributes.
+ *
+ * @private
+ */
+GaussianSplatParser.parseGltf = function (gltf) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("gltf", gltf);
+  //>>includeEnd('debug');
+
+  const primitives = [];
+  const nodes = defaultValue(gltf.nodes, []);
+  const scenes = gltf.scenes;
+  if (defined(scenes) && scenes.length > 0) {
+    const scene = scenes[defaultValue(gltf.scene, 0)];
+    const sceneNodes = defaultValue(scene.nodes, []);
+    for (let i = 0; i < sceneNodes.length; ++i) {
+      collectPrimitives(
+        gltf,
+        nodes,
+        sceneNodes[i],
+        Matrix4.IDENTITY,
+        primitives
+      );
+    }
+  } else {
+    // Without a scene, the meshes are not transformed
+    const meshes = defaultValue(gltf.meshes, []);
+    for (let i = 0; i < meshes.length; ++i) {
+      addMeshPrimitives(meshes[i], Matrix4.IDENTITY, primitives);
+    }
+  }
+
+  let length = 0;
+  const parsedPrimitives = primitives.map(function (primitive) {
+    const parsed = parseGltfPrimitive(gltf, primitive.primitive);
+    length += parsed.length;
+    return {
+      splats: parsed,
+      transform: primitive.transform,
+    };
+  });
+
+  const result = createSplats(length);
+  let offset = 0;
+  for (let i = 0; i < parsedPrimitives.length; ++i) {
+    const parsed = parsedPrimitives[i];
+    transformSplats(parsed.splats, parsed.transform, result, offset);
+    offset += parsed.splats.length;
+  }
+
+  return result;
+};
+
+function createSplats(length) {
+  return {
+    length: length,
+    positions: new Float32Array(length * 3),
+    covariances: new Float32Array(length * 6),
+    colors: new Uint8Array(length * 4),
+  };
+}
+
+function toByte(value) {
+  return Math.round(Math.min(Math.max(value, 0.0), 1.0) * 255.0);
+}
+
+const scratchRotationMatrix = new Matrix3();
+const scratchTransposeMatrix = new Matrix3();
+
+/**
+ * Computes the 3D covariance of a splat, R * S * transpose(R * S), where R is the rotation
+ * and S is the scale, and stores its unique elements.
+ *
+ * @private
+ */
+function computeCovariance(scale, rotation, covariances, index) {
+  // Quantized and unnormalized quaternions are common, so always normalize
+  const magnitude = Quaternion.magnitude(rotation);
+  if (magnitude === 0.0) {
+    Quaternion.clone(Quaternion.IDENTITY, rotation);
+  } else {
+    Quaternion.divideByScalar(rotation, magnitude, rotation);
+  }
+
+  const matrix = Matrix3.fromQuaternion(rotation, scratchRotationMatrix);
+  Matrix3.multiplyByScale(matrix, scale, matrix);
+  const transpose = Matrix3.transpose(matrix, scratchTransposeMatrix);
+  Matrix3.multiply(matrix, transpose, matrix);
+  storeCovariance(matrix, covariances, index);
+}
+
+function storeCovariance(matrix, covariances, index) {
+  const offset = index * 6;
+  covariances[offset] = matrix[Matrix3.COLUMN0ROW0];
+  covariances[offset + 1] = matrix[Matrix3.COLUMN1ROW0];
+  covariances[offset + 2] = matrix[Matrix3.COLUMN2ROW0];
+  covariances[offset + 3] = matrix[Matrix3.COLUMN1ROW1];
+  covariances[offset + 4] = matrix[Matrix3.COLUMN2ROW1];
+  covariances[offset + 5] = matrix[Matrix3.COLUMN2ROW2];
+}
+
+function parsePlyHeader(bytes) {
+  const magic = getStringFromTypedArray(bytes, 0, Math.min(bytes.length, 3));
+  if (magic !== "ply") {
+    throw new RuntimeError("Invalid PLY header.");
+  }
+
+  // Find the line break after end_header
+  const endHeader = "end_header";
+  let headerByteLength;
+  const length = bytes.length;
+  for (let i = 0; i < length - endHeader.length; ++i) {
+    let found = true;
+    for (let j = 0; j < endHeader.length; ++j) {
+      if (bytes[i + j] !== endHeader.charCodeAt(j)) {
+        found = false;
+        break;
+      }
+    }
+    if (found) {
+      let end = i + endHeader.length;
+      while (end < length && bytes[end] !== 10) {
+        ++end;
+      }
+      headerByteLength = end + 1;
+      break;
+    }
+  }
+
+  if (!defined(headerByteLength)) {
+    throw new RuntimeError("Invalid PLY header.");
+  }
+
+  const lines = getStringFromTypedArray(bytes, 0, headerByteLength).split(
+    /\r?\n/
+  );
+
+  let format;
+  const elements = [];
+  let element;
+  for (let i = 1; i < lines.length; ++i) {
+    const tokens = lines[i].trim().split(/\s+/);
+    const keyword = tokens[0];
+    if (keyword === "format") {
+      format = tokens[1];
+    } else if (keyword === "element") {
+      element = {
+        name: tokens[1],
+        count: parseInt(tokens[2], 10),
+        byteLength: 0,
+        properties: {},
+      };
+      elements.push(element);
+    } else if (keyword === "property") {
+      if (!defined(element)) {
+        throw new RuntimeError("Invalid PLY header.");
+      }
+      if (tokens[1] === "list") {
+        // The byte length of elements with lists varies
+        element.byteLength = undefined;
+        continue;
+      }
+      const type = plyTypes[tokens[1]];
+      if (!defined(type)) {
+        throw new RuntimeError(`Unsupported PLY property type: ${tokens[1]}.`);
+      }
+      if (defined(element.byteLength)) {
+        element.properties[tokens[2]] = {
+          byteOffset: element.byteLength,
+          read: type.read,
+        };
+        element.byteLength += type.byteLength;
+      }
+    }
+  }
+
+  return {
+    format: format,
+    elements: elements,
+    byteLength: headerByteLength,
+  };
+}
+
+function readPlyProperty(view, offset, property) {
+  return property.read.call(view, offset + property.byteOffset, true);
+}
+
+function collectPrimitives(gltf, nodes, nodeId, parentTransform, primitives) {
+  const node = nodes[nodeId];
+  const transform = Matrix4.multiplyTransformation(
+    parentTransform,
+    getNodeTransform(node),
+    new Matrix4()
+  );
+
+  if (defined(node.mesh)) {
+    addMeshPrimitives(gltf.meshes[node.mesh], transform, primitives);
+  }
+
+  const children = defaultValue(node.children, []);
+  for (let i = 0; i < children.length; ++i) {
+    collectPrimitives(gltf, nodes, children[i], transform, primitives);
+  }
+}
+
+function getNodeTransform(node) {
+  if (defined(node.matrix)) {
+    return Matrix4.fromColumnMajorArray(node.matrix);
+  }
+
+  const translation = defined(node.translation)
+    ? Cartesian3.unpack(node.translation)
+    : Cartesian3.ZERO;
+  const rotation = defined(node.rotation)
+    ? Quaternion.unpack(node.rotation)
+    : Quaternion.IDENTITY;
+  const scale = defined(node.scale)
+    ? Cartesian3.unpack(node.scale)
+    : new Cartesian3(1.0, 1.0, 1.0);
+  return Matrix4.fromTranslationQuaternionRotationScale(
+    translation,
+    rotation,
+    scale
+  );
+}
+
+function addMeshPrimitives(mesh, transform, primitives) {
+  const meshPrimitives = mesh.primitives;
+  for (let i = 0; i < meshPrimitives.length; ++i) {
+    const primitive = meshPrimitives[i];
+    if (
+      defined(primitive.extensions) &&
+      defined(primitive.extensions[GaussianSplatParser.EXTENSION_NAME])
+    ) {
+      primitives.push({
+        primitive: primitive,
+        transform: transform,
+      });
+    }
+  }
+}
+
+function parseGltfPrimitive(gltf, primitive) {
+  const attributes = primitive.attributes;
+  const positionId = attributes.POSITION;
+  const scaleId = attributes[`${GaussianSplatParser.EXTENSION_NAME}:SCALE`];
+  const rotationId =
+    attributes[`${GaussianSplatParser.EXTENSION_NAME}:ROTATION`];
+  if (!defined(positionId) || !defined(scaleId) || !defined(rotationId)) {
+    throw new RuntimeError(
+      `Gaussian splat primitives must have the POSITION, ${GaussianSplatParser.EXTENSION_NAME}:SCALE and ${GaussianSplatParser.EXTENSION_NAME}:ROTATION attributes.`
+    );
+  }
+
+  const positions = readAccessor(gltf, positionId);
+  const scales = readAccessor(gltf, scaleId);
+  const rotations = readAccessor(gltf, rotationId);
+  const colorId = attributes.COLOR_0;
+  const colors = defined(colorId) ? readAccessor(gltf, colorId) : undefined;
+  const colorComponents = defined(colorId)
+    ? gltf.accessors[colorId].type === "VEC3"
+      ? 3
+      : 4
+    : 0;
+
+  const length = gltf.accessors[positionId].count;
+  const result = createSplats(length);
+  result.positions.set(positions);
+
+  const scale = scratchScale;
+  const rotation = scratchRotation;
+  for (let i = 0; i < length; ++i) {
+    Cartesian3.unpack(scales, i * 3, scale);
+    Quaternion.unpack(rotations, i * 4, rotation);
+    computeCovariance(scale, rotation, result.covariances, i);
+
+    for (let j = 0; j < 4; ++j) {
+      const value = j < colorComponents ? colors[i * colorComponents + j] : 1.0;
+      result.colors[i * 4 + j] = toByte(value);
+    }
+  }
+
+  return result;
+}
+
+function readAccessor(gltf, accessorId) {
+  const accessor = gltf.accessors[accessorId];
+  const values = readAccessorPacked(gltf, accessor);
+  if (!accessor.normalized) {
+    return values;
+  }
+
+  let divisor;
+  switch (accessor.componentType) {
+    case ComponentDatatype.BYTE:
+      divisor = 127.0;
+      break;
+    case ComponentDatatype.UNSIGNED_BYTE:
+      divisor = 255.0;
+      break;
+    case ComponentDatatype.SHORT:
+      divisor = 32767.0;
+      break;
+    case ComponentDatatype.UNSIGNED_SHORT:
+      divisor = 65535.0;
+      break;
+    default:
+      return values;
+  }
+
+  for (let i = 0; i < values.length; ++i) {
+    values[i] = Math.max(values[i] / divisor, -1.0);
+  }
+  return values;
+}
+
+const scratchPosition = new Cartesian3();
+const scratchCovariance = new Matrix3();
+const scratchLinear = new Matrix3();
+const scratchLinearTranspose = new Matrix3();
+
+/**
+ * Copies splats into the result with a transform applied. Positions are transformed as points
+ * and the covariance C is transformed to L * C * transpose(L), where L is the linear part of the transform.
+ *
+ * @private
+ */
+function transformSplats(splats, transform, result, offset) {
+  const length = splats.length;
+  result.colors.set(splats.colors, offset * 4);
+
+  if (Matrix4.equals(transform, Matrix4.IDENTITY)) {
+    result.positions.set(splats.positions, offset * 3);
+    result.covariances.set(splats.covariances, offset * 6);
+    return;
+  }
+
+  const linear = Matrix4.getMatrix3(transform, scratchLinear);
+  const linearTranspose = Matrix3.transpose(linear, scratchLinearTranspose);
+  const covariance = scratchCovariance;
+  const position = scratchPosition;
+  for (let i = 0; i < length; ++i) {
+    Cartesian3.unpack(splats.positions, i * 3, position);
+    Matrix4.multiplyByPoint(transform, position, position);
+    Cartesian3.pack(position, result.positions, (offset + i) * 3);
+
+    // The covariance is symmetric, so the element order does not matter
+    const c = splats.covariances;
+    const j = i * 6;
+    covariance[0] = c[j];
+    covariance[1] = c[j + 1];
+    covariance[2] = c[j + 2];
+    covariance[3] = c[j + 1];
+    covariance[4] = c[j + 3];
+    covariance[5] = c[j + 4];
+    covariance[6] = c[j + 2];
+    covariance[7] = c[j + 4];
+    covariance[8] = c[j + 5];
+    Matrix3.multiply(linear, covariance, covariance);
+    Matrix3.multiply(covariance, linearTranspose, covariance);
+    storeCovariance(covariance, result.covariances, offset + i);
+  }
+}
+
+export default GaussianSplatParser;
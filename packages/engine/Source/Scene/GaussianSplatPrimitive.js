@@ -0,0 +1,754 @@
+import BoundingSphere from "../Core/BoundingSphere.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import ComponentDatatype from "../Core/ComponentDatatype.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import IndexDatatype from "../Core/IndexDatatype.js";
+import CesiumMath from "../Core/Math.js";
+import Matrix4 from "../Core/Matrix4.js";
+import PixelFormat from "../Core/PixelFormat.js";
+import PrimitiveType from "../Core/PrimitiveType.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import Buffer from "../Renderer/Buffer.js";
+import BufferUsage from "../Renderer/BufferUsage.js";
+import ComputeCommand from "../Renderer/ComputeCommand.js";
+import ContextLimits from "../Renderer/ContextLimits.js";
+import DrawCommand from "../Renderer/DrawCommand.js";
+import Pass from "../Renderer/Pass.js";
+import PixelDatatype from "../Renderer/PixelDatatype.js";
+import RenderState from "../Renderer/RenderState.js";
+import Sampler from "../Renderer/Sampler.js";
+import ShaderProgram from "../Renderer/ShaderProgram.js";
+import ShaderSource from "../Renderer/ShaderSource.js";
+import Texture from "../Renderer/Texture.js";
+import VertexArray from "../Renderer/VertexArray.js";
+import GaussianSplatDepthFS from "../Shaders/GaussianSplatDepthFS.js";
+import GaussianSplatFS from "../Shaders/GaussianSplatFS.js";
+import GaussianSplatSortFS from "../Shaders/GaussianSplatSortFS.js";
+import GaussianSplatVS from "../Shaders/GaussianSplatVS.js";
+import ViewportQuadVS from "../Shaders/ViewportQuadVS.js";
+import BlendingState from "./BlendingState.js";
+import SceneMode from "./SceneMode.js";
+
+/**
+ * Renders Gaussian splats parsed by {@link GaussianSplatParser}.
+ * <p>
+ * The splats are stored in textures. Whenever the view of the splats changes, the depths of the
+ * splats are written to a texture and sorted on the GPU with a bitonic sort, which runs as a series
+ * of compute commands. The splats are then drawn back to front as instanced quads in the
+ * {@link Pass.GAUSSIAN_SPLATS} pass, which blends them in order instead of with order independent
+ * translucency.
+ * </p>
+ * <p>
+ * Requires WebGL 2 and the <code>EXT_color_buffer_float</code> extension.
+ * </p>
+ *
+ * @alias GaussianSplatPrimitive
+ * @constructor
+ *
+ * @param {object} options Object with the following properties:
+ * @param {object} options.splats The splats returned by {@link GaussianSplatParser}.
+ * @param {Matrix4} [options.modelMatrix=Matrix4.IDENTITY] The transform from the coordinates of the splats to world coordinates.
+ * @param {object} [options.pickObject] The object returned when a splat is picked.
+ * @param {Cesium3DTileStyle} [options.style] The style that sets the color and show of each splat.
+ *
+ * @private
+ */
+function GaussianSplatPrimitive(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.splats", options.splats);
+  //>>includeEnd('debug');
+
+  const splats = options.splats;
+
+  /**
+   * Whether to draw the splats.
+   *
+   * @type {boolean}
+   * @default true
+   */
+  this.show = true;
+
+  /**
+   * The transform from the coordinates of the splats to world coordinates.
+   *
+   * @type {Matrix4}
+   * @default Matrix4.IDENTITY
+   */
+  this.modelMatrix = Matrix4.clone(
+    defaultValue(options.modelMatrix, Matrix4.IDENTITY)
+  );
+
+  /**
+   * A color that is multiplied with the color of every splat.
+   *
+   * @type {Color}
+   * @default Color.WHITE
+   */
+  this.color = Color.clone(Color.WHITE);
+
+  this._splats = splats;
+  this._length = splats.length;
+  this._pickObject = options.pickObject;
+  this._style = options.style;
+  this._styleDirty = true;
+
+  this._localBoundingSphere = BoundingSphere.fromVertices(splats.positions);
+  this._boundingSphere = new BoundingSphere();
+  this._modelMatrix = new Matrix4();
+
+  this._ready = false;
+  this._textures = undefined;
+  this._sortTextures = undefined;
+  this._sortedTexture = undefined;
+  this._vertexArray = undefined;
+  this._depthShaderProgram = undefined;
+  this._sortShaderProgram = undefined;
+  this._sortCommands = undefined;
+  this._drawCommand = undefined;
+  this._pickId = undefined;
+
+  // The model-view matrix of the last sort, and of the sort that was last submitted
+  this._sorted = false;
+  this._sortModelView = new Matrix4();
+  this._pendingModelView = new Matrix4();
+
+  this._geometryByteLength = 0;
+  this._texturesByteLength = 0;
+}
+
+Object.defineProperties(GaussianSplatPrimitive.prototype, {
+  /**
+   * The number of splats.
+   *
+   * @memberof GaussianSplatPrimitive.prototype
+   * @type {number}
+   * @readonly
+   */
+  length: {
+    get: function () {
+      return this._length;
+    },
+  },
+
+  /**
+   * Whether the resources of the splats have been created.
+   *
+   * @memberof GaussianSplatPrimitive.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  ready: {
+    get: function () {
+      return this._ready;
+    },
+  },
+
+  /**
+   * The bounding sphere of the splats in world coordinates.
+   *
+   * @memberof GaussianSplatPrimitive.prototype
+   * @type {BoundingSphere}
+   * @readonly
+   */
+  boundingSphere: {
+    get: function () {
+      updateModelMatrix(this);
+      return this._boundingSphere;
+    },
+  },
+
+  /**
+   * The style that sets the color and show of each splat. Only the <code>color</code> and
+   * <code>show</code> expressions are applied, and they are evaluated on the GPU, with the
+   * <code>${POSITION}</code>, <code>${POSITION_ABSOLUTE}</code> and <code>${COLOR}</code>
+   * built-in variables.
+   *
+   * @memberof GaussianSplatPrimitive.prototype
+   * @type {Cesium3DTileStyle|undefined}
+   */
+  style: {
+    get: function () {
+      return this._style;
+    },
+    set: function (value) {
+      this._style = value;
+      this._styleDirty = true;
+    },
+  },
+
+  /**
+   * The size of the vertex and index buffers in bytes.
+   *
+   * @memberof GaussianSplatPrimitive.prototype
+   * @type {number}
+   * @readonly
+   */
+  geometryByteLength: {
+    get: function () {
+      return this._geometryByteLength;
+    },
+  },
+
+  /**
+   * The size of the textures in bytes.
+   *
+   * @memberof GaussianSplatPrimitive.prototype
+   * @type {number}
+   * @readonly
+   */
+  texturesByteLength: {
+    get: function () {
+      return this._texturesByteLength;
+    },
+  },
+});
+
+function updateModelMatrix(primitive) {
+  if (Matrix4.equals(primitive.modelMatrix, primitive._modelMatrix)) {
+    return;
+  }
+
+  Matrix4.clone(primitive.modelMatrix, primitive._modelMatrix);
+  BoundingSphere.transform(
+    primitive._localBoundingSphere,
+    primitive._modelMatrix,
+    primitive._boundingSphere
+  );
+  primitive._sorted = false;
+}
+
+function createDataTexture(primitive, context, width, height, options) {
+  const texture = new Texture({
+    context: context,
+    pixelFormat: options.pixelFormat,
+    pixelDatatype: options.pixelDatatype,
+    source: {
+      width: width,
+      height: height,
+      arrayBufferView: options.arrayBufferView,
+    },
+    sampler: Sampler.NEAREST,
+    flipY: false,
+  });
+  primitive._texturesByteLength += texture.sizeInBytes;
+  return texture;
+}
+
+function padArray(array, length) {
+  if (array.length === length) {
+    return array;
+  }
+  const result = new array.constructor(length);
+  result.set(array);
+  return result;
+}
+
+function createTextures(primitive, context, width) {
+  const splats = primitive._splats;
+  const length = Math.max(primitive._length, 1);
+  const height = Math.ceil(length / width);
+  const texelCount = width * height;
+
+  const covariances = splats.covariances;
+  const covariances0 = new Float32Array(texelCount * 3);
+  const covariances1 = new Float32Array(texelCount * 3);
+  for (let i = 0; i < primitive._length; ++i) {
+    covariances0[i * 3] = covariances[i * 6];
+    covariances0[i * 3 + 1] = covariances[i * 6 + 1];
+    covariances0[i * 3 + 2] = covariances[i * 6 + 2];
+    covariances1[i * 3] = covariances[i * 6 + 3];
+    covariances1[i * 3 + 1] = covariances[i * 6 + 4];
+    covariances1[i * 3 + 2] = covariances[i * 6 + 5];
+  }
+
+  return {
+    position: createDataTexture(primitive, context, width, height, {
+      pixelFormat: PixelFormat.RGB,
+      pixelDatatype: PixelDatatype.FLOAT,
+      arrayBufferView: padArray(splats.positions, texelCount * 3),
+    }),
+    covariance0: createDataTexture(primitive, context, width, height, {
+      pixelFormat: PixelFormat.RGB,
+      pixelDatatype: PixelDatatype.FLOAT,
+      arrayBufferView: covariances0,
+    }),
+    covariance1: createDataTexture(primitive, context, width, height, {
+      pixelFormat: PixelFormat.RGB,
+      pixelDatatype: PixelDatatype.FLOAT,
+      arrayBufferView: covariances1,
+    }),
+    color: createDataTexture(primitive, context, width, height, {
+      pixelFormat: PixelFormat.RGBA,
+      pixelDatatype: PixelDatatype.UNSIGNED_BYTE,
+      arrayBufferView: padArray(splats.colors, texelCount * 4),
+    }),
+  };
+}
+
+function createSortTexture(primitive, context, width, height) {
+  const texture = new Texture({
+    context: context,
+    width: width,
+    height: height,
+    pixelFormat: PixelFormat.RGBA,
+    pixelDatatype: PixelDatatype.FLOAT,
+    sampler: Sampler.NEAREST,
+    flipY: false,
+  });
+  primitive._texturesByteLength += texture.sizeInBytes;
+  return texture;
+}
+
+const viewportQuadAttributeLocations = {
+  position: 0,
+  textureCoordinates: 1,
+};
+
+/**
+ * Creates the compute commands that write the depths of the splats and sort them. The bitonic
+ * sort needs log2(n) * (log2(n) + 1) / 2 steps for n, the number of splats rounded up to a power
+ * of two. Each step reads the result of the previous step, so the steps alternate between two textures.
+ *
+ * @private
+ */
+function createSortCommands(primitive, context, sortTextures) {
+  const textureCount = sortTextures[0].width * sortTextures[0].height;
+  const textures = primitive._textures;
+
+  primitive._depthShaderProgram = ShaderProgram.fromCache({
+    context: context,
+    vertexShaderSource: ViewportQuadVS,
+    fragmentShaderSource: GaussianSplatDepthFS,
+    attributeLocations: viewportQuadAttributeLocations,
+  });
+  primitive._sortShaderProgram = ShaderProgram.fromCache({
+    context: context,
+    vertexShaderSource: ViewportQuadVS,
+    fragmentShaderSource: GaussianSplatSortFS,
+    attributeLocations: viewportQuadAttributeLocations,
+  });
+
+  const commands = [
+    new ComputeCommand({
+      shaderProgram: primitive._depthShaderProgram,
+      outputTexture: sortTextures[0],
+      uniformMap: {
+        u_positionTexture: function () {
+          return textures.position;
+        },
+        u_modelView: function () {
+          return primitive._pendingModelView;
+        },
+        u_length: function () {
+          return primitive._length;
+        },
+      },
+      persists: true,
+      owner: primitive,
+    }),
+  ];
+
+  let step = 0;
+  for (let stage = 2; stage <= textureCount; stage *= 2) {
+    for (let distance = stage / 2; distance >= 1; distance /= 2) {
+      commands.push(
+        createSortStepCommand(
+          primitive,
+          sortTextures[step % 2],
+          sortTextures[(step + 1) % 2],
+          stage,
+          distance
+        )
+      );
+      ++step;
+    }
+  }
+
+  const lastCommand = commands[commands.length - 1];
+  lastCommand.postExecute = function () {
+    // The sort is only complete once the commands were executed
+    Matrix4.clone(primitive._pendingModelView, primitive._sortModelView);
+    primitive._sorted = true;
+  };
+
+  primitive._sortedTexture = sortTextures[step % 2];
+  return commands;
+}
+
+function createSortStepCommand(primitive, input, output, stage, distance) {
+  return new ComputeCommand({
+    shaderProgram: primitive._sortShaderProgram,
+    outputTexture: output,
+    uniformMap: {
+      u_sortTexture: function () {
+        return input;
+      },
+      u_stage: function () {
+        return stage;
+      },
+      u_step: function () {
+        return distance;
+      },
+    },
+    persists: true,
+    owner: primitive,
+  });
+}
+
+function createVertexArray(primitive, context) {
+  // The corners of each quad, where the Gaussian falls to exp(-4)
+  const vertexBuffer = Buffer.createVertexBuffer({
+    context: context,
+    typedArray: new Float32Array([-2.0, -2.0, 2.0, -2.0, 2.0, 2.0, -2.0, 2.0]),
+    usage: BufferUsage.STATIC_DRAW,
+  });
+  const indexBuffer = Buffer.createIndexBuffer({
+    context: context,
+    typedArray: new Uint16Array([0, 1, 2, 0, 2, 3]),
+    usage: BufferUsage.STATIC_DRAW,
+    indexDatatype: IndexDatatype.UNSIGNED_SHORT,
+  });
+  primitive._geometryByteLength =
+    vertexBuffer.sizeInBytes + indexBuffer.sizeInBytes;
+
+  return new VertexArray({
+    context: context,
+    attributes: [
+      {
+        index: 0,
+        vertexBuffer: vertexBuffer,
+        componentsPerAttribute: 2,
+        componentDatatype: ComponentDatatype.FLOAT,
+      },
+    ],
+    indexBuffer: indexBuffer,
+  });
+}
+
+const styleFunctionParameters = "vec3 positionMC, vec3 positionWC, vec4 color";
+
+const styleVariableSubstitutionMap = {
+  POSITION: "positionMC",
+  POSITION_ABSOLUTE: "positionWC",
+  COLOR: "color",
+};
+
+function createShaderProgram(primitive, context) {
+  const defines = [];
+  const sources = [];
+
+  const style = primitive._style;
+  if (defined(style)) {
+    const shaderState = {
+      translucent: false,
+    };
+    const colorStyleFunction = style.getColorShaderFunction(
+      `getColorFromStyle(${styleFunctionParameters})`,
+      styleVariableSubstitutionMap,
+      shaderState
+    );
+    const showStyleFunction = style.getShowShaderFunction(
+      `getShowFromStyle(${styleFunctionParameters})`,
+      styleVariableSubstitutionMap,
+      shaderState
+    );
+    if (defined(colorStyleFunction)) {
+      defines.push("HAS_STYLE_COLOR");
+      sources.push(colorStyleFunction);
+    }
+    if (defined(showStyleFunction)) {
+      defines.push("HAS_STYLE_SHOW");
+      sources.push(showStyleFunction);
+    }
+  }
+  sources.push(GaussianSplatVS);
+
+  return ShaderProgram.fromCache({
+    context: context,
+    vertexShaderSource: new ShaderSource({
+      defines: defines,
+      sources: sources,
+    }),
+    fragmentShaderSource: GaussianSplatFS,
+    attributeLocations: {
+      a_corner: 0,
+    },
+  });
+}
+
+function createDrawCommand(primitive, context) {
+  const textures = primitive._textures;
+  const uniformMap = {
+    u_sortTexture: function () {
+      return primitive._sortedTexture;
+    },
+    u_positionTexture: function () {
+      return textures.position;
+    },
+    u_covarianceTexture0: function () {
+      return textures.covariance0;
+    },
+    u_covarianceTexture1: function () {
+      return textures.covariance1;
+    },
+    u_colorTexture: function () {
+      return textures.color;
+    },
+    u_color: function () {
+      return primitive.color;
+    },
+  };
+
+  let pickId;
+  if (defined(primitive._pickObject)) {
+    primitive._pickId = context.createPickId(primitive._pickObject);
+    uniformMap.czm_pickColor = function () {
+      return primitive._pickId.color;
+    };
+    pickId = "czm_pickColor";
+  }
+
+  return new DrawCommand({
+    boundingVolume: primitive._boundingSphere,
+    modelMatrix: primitive._modelMatrix,
+    primitiveType: PrimitiveType.TRIANGLES,
+    vertexArray: primitive._vertexArray,
+    renderState: RenderState.fromCache({
+      depthTest: {
+        enabled: true,
+      },
+      depthMask: false,
+      blending: BlendingState.PRE_MULTIPLIED_ALPHA_BLEND,
+    }),
+    uniformMap: uniformMap,
+    instanceCount: primitive._length,
+    pass: Pass.GAUSSIAN_SPLATS,
+    pickId: pickId,
+    owner: primitive,
+  });
+}
+
+function createResources(primitive, context) {
+  if (!context.webgl2 || !context.colorBufferFloat) {
+    throw new RuntimeError(
+      "Gaussian splats require WebGL 2 and the EXT_color_buffer_float extension."
+    );
+  }
+
+  // The sort needs a power of two number of texels
+  const textureCount = CesiumMath.nextPowerOfTwo(
+    Math.max(primitive._length, 1)
+  );
+  const exponent = Math.round(CesiumMath.log2(textureCount));
+  const width = Math.pow(2, Math.ceil(exponent / 2));
+  const height = textureCount / width;
+  if (width > ContextLimits.maximumTextureSize) {
+    throw new RuntimeError(
+      `The number of splats, ${primitive._length}, exceeds the maximum texture size.`
+    );
+  }
+
+  primitive._textures = createTextures(primitive, context, width);
+  const sortTextures = [
+    createSortTexture(primitive, context, width, height),
+    createSortTexture(primitive, context, width, height),
+  ];
+  primitive._sortTextures = sortTextures;
+  primitive._sortCommands = createSortCommands(
+    primitive,
+    context,
+    sortTextures
+  );
+  primitive._vertexArray = createVertexArray(primitive, context);
+  primitive._drawCommand = createDrawCommand(primitive, context);
+
+  // The splats are on the GPU, so release them, except the positions which are used for picking
+  primitive._splats = {
+    positions: primitive._splats.positions,
+    covariances: primitive._splats.covariances,
+  };
+}
+
+const scratchModelView = new Matrix4();
+
+/**
+ * Called when {@link Viewer} or {@link CesiumWidget} render the scene to
+ * get the draw commands needed to render this primitive.
+ * <p>
+ * Do not call this function directly.  This is documented just to
+ * list the exceptions that may be propagated when the scene is rendered:
+ * </p>
+ *
+ * @exception {RuntimeError} Gaussian splats require WebGL 2 and the EXT_color_buffer_float extension.
+ */
+GaussianSplatPrimitive.prototype.update = function (frameState) {
+  const context = frameState.context;
+  updateModelMatrix(this);
+
+  if (!this._ready) {
+    createResources(this, context);
+    this._ready = true;
+    return;
+  }
+
+  if (
+    !this.show ||
+    this._length === 0 ||
+    frameState.mode !== SceneMode.SCENE3D
+  ) {
+    return;
+  }
+
+  const drawCommand = this._drawCommand;
+  if (this._styleDirty) {
+    drawCommand.shaderProgram =
+      drawCommand.shaderProgram && drawCommand.shaderProgram.destroy();
+    drawCommand.shaderProgram = createShaderProgram(this, context);
+    this._styleDirty = false;
+  }
+
+  const passes = frameState.passes;
+  const commandList = frameState.commandList;
+  let sorting = false;
+  if (passes.render) {
+    const modelView = Matrix4.multiplyTransformation(
+      frameState.camera.viewMatrix,
+      this._modelMatrix,
+      scratchModelView
+    );
+    if (
+      !this._sorted ||
+      !Matrix4.equalsEpsilon(
+        modelView,
+        this._sortModelView,
+        CesiumMath.EPSILON6
+      )
+    ) {
+      Matrix4.clone(modelView, this._pendingModelView);
+      const sortCommands = this._sortCommands;
+      for (let i = 0; i < sortCommands.length; ++i) {
+        commandList.push(sortCommands[i]);
+      }
+      sorting = true;
+    }
+  }
+
+  // Compute commands are executed before draw commands, so the splats are sorted before they are drawn
+  if ((passes.render || passes.pick) && (this._sorted || sorting)) {
+    commandList.push(drawCommand);
+  }
+};
+
+const scratchInverse = new Matrix4();
+const scratchOrigin = new Cartesian3();
+const scratchDirection = new Cartesian3();
+const scratchPosition = new Cartesian3();
+const scratchDifference = new Cartesian3();
+
+/**
+ * Finds the closest splat that a ray intersects. Each splat is treated as a sphere with a radius of
+ * two standard deviations along its largest axis.
+ *
+ * @param {Ray} ray The ray to test for intersection.
+ * @param {Cartesian3} [result] The object onto which to store the result.
+ * @returns {Cartesian3|undefined} The intersection in world coordinates, or <code>undefined</code> if no splat was intersected.
+ */
+GaussianSplatPrimitive.prototype.pick = function (ray, result) {
+  updateModelMatrix(this);
+  const inverse = Matrix4.inverse(this._modelMatrix, scratchInverse);
+  const origin = Matrix4.multiplyByPoint(inverse, ray.origin, scratchOrigin);
+  const direction = Matrix4.multiplyByPointAsVector(
+    inverse,
+    ray.direction,
+    scratchDirection
+  );
+  const directionMagnitudeSquared = Cartesian3.magnitudeSquared(direction);
+
+  const positions = this._splats.positions;
+  const covariances = this._splats.covariances;
+  const length = this._length;
+  let closest = Number.POSITIVE_INFINITY;
+  for (let i = 0; i < length; ++i) {
+    const position = Cartesian3.unpack(positions, i * 3, scratchPosition);
+    const difference = Cartesian3.subtract(position, origin, scratchDifference);
+    const t = Cartesian3.dot(difference, direction) / directionMagnitudeSquared;
+    if (t < 0.0 || t >= closest) {
+      continue;
+    }
+
+    const variance = Math.max(
+      covariances[i * 6],
+      covariances[i * 6 + 3],
+      covariances[i * 6 + 5]
+    );
+    const distanceSquared =
+      Cartesian3.magnitudeSquared(difference) -
+      t * t * directionMagnitudeSquared;
+    if (distanceSquared <= 4.0 * variance) {
+      closest = t;
+    }
+  }
+
+  if (closest === Number.POSITIVE_INFINITY) {
+    return undefined;
+  }
+
+  if (!defined(result)) {
+    result = new Cartesian3();
+  }
+  Cartesian3.multiplyByScalar(direction, closest, result);
+  Cartesian3.add(origin, result, result);
+  return Matrix4.multiplyByPoint(this._modelMatrix, result, result);
+};
+
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ *
+ * @returns {boolean} <code>true</code> if this object was destroyed; otherwise, <code>false</code>.
+ */
+GaussianSplatPrimitive.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the WebGL resources held by this object.
+ *
+ * @returns {undefined}
+ */
+GaussianSplatPrimitive.prototype.destroy = function () {
+  const textures = this._textures;
+  if (defined(textures)) {
+    textures.position.destroy();
+    textures.covariance0.destroy();
+    textures.covariance1.destroy();
+    textures.color.destroy();
+  }
+
+  const sortTextures = this._sortTextures;
+  if (defined(sortTextures)) {
+    sortTextures[0].destroy();
+    sortTextures[1].destroy();
+  }
+
+  this._depthShaderProgram =
+    this._depthShaderProgram && this._depthShaderProgram.destroy();
+  this._sortShaderProgram =
+    this._sortShaderProgram && this._sortShaderProgram.destroy();
+  this._vertexArray = this._vertexArray && this._vertexArray.destroy();
+  this._pickId = this._pickId && this._pickId.destroy();
+
+  const drawCommand = this._drawCommand;
+  if (defined(drawCommand) && defined(drawCommand.shaderProgram)) {
+    drawCommand.shaderProgram.destroy();
+  }
+
+  return destroyObject(this);
+};
+
+export default GaussianSplatPrimitive;
@@ -0,0 +1,386 @@
+import Check from "../Core/Check.js";
+import Credit from "../Core/Credit.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import Event from "../Core/Event.js";
+import GeographicTilingScheme from "../Core/GeographicTilingScheme.js";
+import GeoTiff from "../Core/GeoTiff.js";
+import Rectangle from "../Core/Rectangle.js";
+import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
+
+/**
+ * @typedef {object} GeoTiffImageryProvider.ConstructorOptions
+ *
+ * Initialization options for the GeoTiffImageryProvider constructor
+ *
+ * @property {Credit|string} [credit] A credit for the data source, which is displayed on the canvas.
+ * @property {number} [minimumLevel=0] The minimum level-of-detail supported by the imagery provider.
+ * @property {number} [maximumLevel] The maximum level-of-detail supported by the imagery provider.  If not specified, the level
+ *                 at which the pixels of a tile match the pixels of the full resolution image is used.
+ * @property {Rectangle} [rectangle] The rectangle, in radians, covered by the image.  If not specified, the extent of the image is used.
+ * @property {TilingScheme} [tilingScheme] The tiling scheme specifying how the ellipsoidal surface is broken into tiles.  If not
+ *                 specified, a {@link GeographicTilingScheme} is used for EPSG:4326 images and a {@link WebMercatorTilingScheme}
+ *                 for EPSG:3857 images.
+ * @property {Ellipsoid} [ellipsoid] The ellipsoid.  If the tilingScheme is specified,
+ *                    this parameter is ignored and the tiling scheme's ellipsoid is used instead. If neither
+ *                    parameter is specified, the WGS84 ellipsoid is used.
+ * @property {number} [tileWidth=256] Pixel width of image tiles.
+ * @property {number} [tileHeight=256] Pixel height of image tiles.
+ * @property {number} [headerSize=65536] The number of bytes to read with the first request.  It should contain the header and
+ *                 image file directories of the file to avoid further requests.
+ */
+
+/**
+ * <div class="notice">
+ * To construct a GeoTiffImageryProvider, call {@link GeoTiffImageryProvider.fromUrl}. Do not call the constructor directly.
+ * </div>
+ *
+ * Provides imagery from a Cloud Optimized GeoTIFF.  Only the tiles of the overview closest to the resolution of each
+ * requested tile are read, using HTTP range requests, so the server must support the <code>Range</code> header.
+ * Tiles are decoded and reprojected to the tiling scheme in a web worker.
+ * <p>
+ * Images in EPSG:4326 or EPSG:3857 with uncompressed, LZW, deflate, PackBits or JPEG compressed tiles are supported.
+ * RGB, RGBA, grayscale and palette images are drawn with their own colors, and pixels equal to the GDAL no data value
+ * are transparent.
+ * </p>
+ *
+ * @alias GeoTiffImageryProvider
+ * @constructor
+ *
+ * @param {GeoTiffImageryProvider.ConstructorOptions} [options] Object describing initialization options
+ *
+ * @example
+ * const provider = await Cesium.GeoTiffImageryProvider.fromUrl(
+ *   "https://example.com/imagery/orthophoto.tif"
+ * );
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @see GeoTiffTerrainProvider
+ * @see {@link https://www.cogeo.org/|Cloud Optimized GeoTIFF}
+ */
+function GeoTiffImageryProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._errorEvent = new Event();
+
+  this._geoTiff = undefined;
+  this._tileWidth = defaultValue(options.tileWidth, 256);
+  this._tileHeight = defaultValue(options.tileHeight, 256);
+  this._minimumLevel = defaultValue(options.minimumLevel, 0);
+  this._maximumLevel = options.maximumLevel;
+  this._tilingScheme = options.tilingScheme;
+  this._rectangle = options.rectangle;
+
+  let credit = options.credit;
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._defaultAlpha = undefined;
+  this._defaultNightAlpha = undefined;
+  this._defaultDayAlpha = undefined;
+  this._defaultBrightness = undefined;
+  this._defaultContrast = undefined;
+  this._defaultHue = undefined;
+  this._defaultSaturation = undefined;
+  this._defaultGamma = undefined;
+  this._defaultMinificationFilter = undefined;
+  this._defaultMagnificationFilter = undefined;
+}
+
+Object.defineProperties(GeoTiffImageryProvider.prototype, {
+  /**
+   * Gets the URL of the GeoTIFF.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {string}
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._geoTiff._resource.url;
+    },
+  },
+
+  /**
+   * Gets the proxy used by this provider.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Proxy}
+   * @readonly
+   * @default undefined
+   */
+  proxy: {
+    get: function () {
+      return this._geoTiff._resource.proxy;
+    },
+  },
+
+  /**
+   * Gets the width of each tile, in pixels.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   * @default 256
+   */
+  tileWidth: {
+    get: function () {
+      return this._tileWidth;
+    },
+  },
+
+  /**
+   * Gets the height of each tile, in pixels.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   * @default 256
+   */
+  tileHeight: {
+    get: function () {
+      return this._tileHeight;
+    },
+  },
+
+  /**
+   * Gets the maximum level-of-detail that can be requested.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {number|undefined}
+   * @readonly
+   */
+  maximumLevel: {
+    get: function () {
+      return this._maximumLevel;
+    },
+  },
+
+  /**
+   * Gets the minimum level-of-detail that can be requested.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   * @default 0
+   */
+  minimumLevel: {
+    get: function () {
+      return this._minimumLevel;
+    },
+  },
+
+  /**
+   * Gets the tiling scheme used by this provider.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, of the imagery provided by this instance.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the tile discard policy.  Tiles outside the image are transparent, so no tiles are discarded.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {TileDiscardPolicy}
+   * @readonly
+   * @default undefined
+   */
+  tileDiscardPolicy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * Gets an event that is raised when the imagery provider encounters an asynchronous error.  By subscribing
+   * to the event, you will be notified of the error and can potentially recover from it.  Event listeners
+   * are passed an instance of {@link TileProviderError}.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * Gets the credit to display when this imagery provider is active.  Typically this is used to credit
+   * the source of the imagery.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {Credit}
+   * @readonly
+   * @default undefined
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the images provided by this imagery provider
+   * include an alpha channel.  Areas outside the image and no data pixels are transparent, so this is always true.
+   * @memberof GeoTiffImageryProvider.prototype
+   * @type {boolean}
+   * @readonly
+   * @default true
+   */
+  hasAlphaChannel: {
+    get: function () {
+      return true;
+    },
+  },
+});
+
+/**
+ * Creates a provider for a Cloud Optimized GeoTIFF.  Only the header and image file directories of the file are read
+ * before the provider is created.
+ *
+ * @param {Resource|string} url The url of the GeoTIFF.
+ * @param {GeoTiffImageryProvider.ConstructorOptions} [options] Object describing initialization options.
+ * @returns {Promise<GeoTiffImageryProvider>} A promise that resolves to the created provider.
+ *
+ * @example
+ * const provider = await Cesium.GeoTiffImageryProvider.fromUrl(
+ *   "https://example.com/imagery/orthophoto.tif",
+ *   {
+ *     credit: "Orthophoto courtesy of Example County",
+ *   }
+ * );
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @exception {RuntimeError} The file is not a TIFF file.
+ * @exception {RuntimeError} The file is not tiled.
+ * @exception {RuntimeError} The file is not georeferenced.
+ * @exception {RuntimeError} Unsupported GeoTIFF coordinate reference system. Only EPSG:4326 and EPSG:3857 are supported.
+ */
+GeoTiffImageryProvider.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const geoTiff = await GeoTiff.fromUrl(url, {
+    headerSize: options.headerSize,
+  });
+
+  const provider = new GeoTiffImageryProvider(options);
+  provider._geoTiff = geoTiff;
+
+  let tilingScheme = options.tilingScheme;
+  if (!defined(tilingScheme)) {
+    tilingScheme =
+      geoTiff.epsgCode === 3857
+        ? new WebMercatorTilingScheme({ ellipsoid: options.ellipsoid })
+        : new GeographicTilingScheme({ ellipsoid: options.ellipsoid });
+  }
+  provider._tilingScheme = tilingScheme;
+
+  const rectangle = defaultValue(options.rectangle, geoTiff.getRectangle());
+  provider._rectangle = Rectangle.intersection(
+    rectangle,
+    tilingScheme.rectangle
+  );
+
+  if (!defined(options.maximumLevel)) {
+    provider._maximumLevel = geoTiff.getMaximumLevel(
+      tilingScheme,
+      provider._tileWidth
+    );
+  }
+
+  return provider;
+};
+
+/**
+ * Gets the credits to be displayed when a given tile is displayed.
+ *
+ * @param {number} x The tile X coordinate.
+ * @param {number} y The tile Y coordinate.
+ * @param {number} level The tile level;
+ * @returns {Credit[]} The credits to be displayed when the tile is displayed.
+ */
+GeoTiffImageryProvider.prototype.getTileCredits = function (x, y, level) {
+  return undefined;
+};
+
+/**
+ * Requests the image for a given tile.
+ *
+ * @param {number} x The tile X coordinate.
+ * @param {number} y The tile Y coordinate.
+ * @param {number} level The tile level.
+ * @param {Request} [request] The request object. Intended for internal use only.
+ * @returns {Promise<HTMLCanvasElement>|undefined} A promise for the image that will resolve when the image is available, or
+ *          undefined if there are too many active requests to the server, and the request should be retried later.
+ */
+GeoTiffImageryProvider.prototype.requestImage = function (
+  x,
+  y,
+  level,
+  request
+) {
+  const width = this._tileWidth;
+  const height = this._tileHeight;
+  const promise = this._geoTiff.requestResampledTile({
+    tilingScheme: this._tilingScheme,
+    rectangle: this._tilingScheme.tileXYToRectangle(x, y, level),
+    width: width,
+    height: height,
+    output: "rgba",
+    request: request,
+  });
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  return promise.then(function (rgba) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext("2d");
+    const imageData = context.createImageData(width, height);
+    imageData.data.set(rgba);
+    context.putImageData(imageData, 0, 0);
+    return canvas;
+  });
+};
+
+/**
+ * Picking features is not currently supported by this imagery provider, so this function simply returns
+ * undefined.
+ *
+ * @param {number} x The tile X coordinate.
+ * @param {number} y The tile Y coordinate.
+ * @param {number} level The tile level.
+ * @param {number} longitude The longitude at which to pick features.
+ * @param {number} latitude  The latitude at which to pick features.
+ * @return {undefined} Undefined since picking is not supported.
+ */
+GeoTiffImageryProvider.prototype.pickFeatures = function (
+  x,
+  y,
+  level,
+  longitude,
+  latitude
+) {
+  return undefined;
+};
+
+export default GeoTiffImageryProvider;
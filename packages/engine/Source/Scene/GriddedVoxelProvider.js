@@ -0,0 +1,452 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import Matrix4 from "../Core/Matrix4.js";
+import Rectangle from "../Core/Rectangle.js";
+import TimeIntervalCollection from "../Core/TimeIntervalCollection.js";
+import MetadataComponentType from "./MetadataComponentType.js";
+import MetadataType from "./MetadataType.js";
+import VoxelBoxShape from "./VoxelBoxShape.js";
+import VoxelShapeType from "./VoxelShapeType.js";
+
+/**
+ * @typedef {object} GriddedVoxelProvider.Property
+ *
+ * A property of the voxels of a {@link GriddedVoxelProvider}.
+ *
+ * @property {string} name The name of the property, which is used to access it in custom shaders.
+ * @property {Uint8Array|Int8Array|Uint16Array|Int16Array|Uint32Array|Int32Array|Float32Array|Float64Array|Array} values The values of the property, or an array of values for each time step.
+ *           The values of each voxel are ordered by X, then Y, then Z, with the components of vector values interleaved.
+ *           <code>Uint8Array</code> values are kept as unsigned bytes, and all other values are converted to 32-bit floats.
+ * @property {MetadataType} [type=MetadataType.SCALAR] The type of the property: a scalar or a vector with up to four components.
+ * @property {number|number[]} [minimumValue] The minimum value of each component.  If not specified, it is computed from the values.
+ * @property {number|number[]} [maximumValue] The maximum value of each component.  If not specified, it is computed from the values.
+ */
+
+/**
+ * @typedef {object} GriddedVoxelProvider.ConstructorOptions
+ *
+ * Initialization options for the GriddedVoxelProvider constructor
+ *
+ * @property {Cartesian3} gridDimensions The number of voxels of the grid along the X, Y and Z axes.  For ellipsoid shapes,
+ *           the axes are the longitude, latitude and height, from west, south and the minimum height.
+ * @property {GriddedVoxelProvider.Property[]} properties The properties of the voxels.
+ * @property {VoxelShapeType} [shape=VoxelShapeType.ELLIPSOID] The shape of the grid: {@link VoxelShapeType.ELLIPSOID} or {@link VoxelShapeType.BOX}.
+ * @property {Rectangle} [rectangle=Rectangle.MAX_VALUE] The rectangle, in radians, covered by an ellipsoid grid.
+ * @property {number} [minimumHeight=0.0] The height of the bottom of an ellipsoid grid.
+ * @property {number} [maximumHeight=10000.0] The height of the top of an ellipsoid grid.
+ * @property {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid of an ellipsoid grid.
+ * @property {OrientedBoundingBox} [orientedBoundingBox] The box covered by a box grid, in the coordinates of the model matrix.  Required for box grids.
+ * @property {Matrix4} [modelMatrix=Matrix4.IDENTITY] The transform from the coordinates of the oriented bounding box of a box grid to world coordinates.
+ * @property {JulianDate[]} [times] The times of the time steps, in increasing order.  If specified, the values of each property are an array with
+ *           values for each time, and the voxels are interpolated between the time steps according to the clock of the {@link VoxelPrimitive}.
+ * @property {Cartesian3} [tileDimensions] The number of voxels of each tile.  Tiles at the lowest level of detail cover the whole grid, and
+ *           each level of detail divides the tiles of the level above into eight, until the tiles are as detailed as the grid.  By default,
+ *           tiles have up to 32 voxels along each axis.
+ */
+
+/**
+ * A {@link VoxelProvider} for gridded data held in typed arrays, such as scientific rasters read from NetCDF or Zarr files.
+ * The grid is divided into a tree of tiles with decreasing levels of detail, and data with a time dimension is animated
+ * between the time steps.
+ * <p>
+ * Implements the {@link VoxelProvider} interface.
+ * </p>
+ *
+ * @alias GriddedVoxelProvider
+ * @constructor
+ * @augments VoxelProvider
+ *
+ * @param {GriddedVoxelProvider.ConstructorOptions} options Object describing initialization options
+ *
+ * @exception {DeveloperError} Only ellipsoid and box shapes are supported.
+ * @exception {DeveloperError} options.orientedBoundingBox is required for box shapes.
+ * @exception {DeveloperError} The values of each property must have one array for each time.
+ * @exception {DeveloperError} The length of the values of each property must match the grid dimensions.
+ *
+ * @example
+ * // Air temperature on a 360 x 180 x 20 grid covering the globe from the ground to 20 km, with 24 hourly time steps.
+ * const start = Cesium.JulianDate.fromIso8601("2024-06-01T00:00:00Z");
+ * const times = [];
+ * for (let i = 0; i < 24; i++) {
+ *   times.push(Cesium.JulianDate.addHours(start, i, new Cesium.JulianDate()));
+ * }
+ * const provider = new Cesium.GriddedVoxelProvider({
+ *   gridDimensions: new Cesium.Cartesian3(360, 180, 20),
+ *   rectangle: Cesium.Rectangle.MAX_VALUE,
+ *   maximumHeight: 20000.0,
+ *   times: times,
+ *   properties: [
+ *     {
+ *       name: "temperature",
+ *       values: hourlyTemperatures, // An array of 24 Float32Arrays
+ *     },
+ *   ],
+ * });
+ * const voxelPrimitive = viewer.scene.primitives.add(
+ *   new Cesium.VoxelPrimitive({
+ *     provider: provider,
+ *     clock: viewer.clock,
+ *   })
+ * );
+ *
+ * @see VoxelProvider
+ * @see VoxelPrimitive
+ * @see VoxelShapeType
+ *
+ * @experimental This feature is not final and is subject to change without Cesium's standard deprecation policy.
+ */
+function GriddedVoxelProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const gridDimensions = options.gridDimensions;
+  const properties = options.properties;
+  const shape = defaultValue(options.shape, VoxelShapeType.ELLIPSOID);
+  const times = options.times;
+  const keyframeCount = defined(times) ? times.length : 1;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.gridDimensions", gridDimensions);
+  Check.typeOf.object("options.properties", properties);
+  if (shape !== VoxelShapeType.ELLIPSOID && shape !== VoxelShapeType.BOX) {
+    throw new DeveloperError("Only ellipsoid and box shapes are supported.");
+  }
+  if (shape === VoxelShapeType.BOX && !defined(options.orientedBoundingBox)) {
+    throw new DeveloperError(
+      "options.orientedBoundingBox is required for box shapes."
+    );
+  }
+  validateProperties(properties, gridDimensions, times);
+  //>>includeEnd('debug');
+
+  const tileDimensions = defined(options.tileDimensions)
+    ? Cartesian3.clone(options.tileDimensions)
+    : new Cartesian3(
+        Math.min(gridDimensions.x, 32),
+        Math.min(gridDimensions.y, 32),
+        Math.min(gridDimensions.z, 32)
+      );
+  const maximumLevel = Math.max(
+    getLevelCount(gridDimensions.x, tileDimensions.x),
+    getLevelCount(gridDimensions.y, tileDimensions.y),
+    getLevelCount(gridDimensions.z, tileDimensions.z)
+  );
+
+  let tileCount = 0;
+  for (let level = 0; level <= maximumLevel; level++) {
+    tileCount += Math.pow(8, level);
+  }
+
+  if (shape === VoxelShapeType.ELLIPSOID) {
+    const rectangle = defaultValue(options.rectangle, Rectangle.MAX_VALUE);
+    const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+
+    /** @inheritdoc */
+    this.shapeTransform = Matrix4.fromScale(ellipsoid.radii);
+
+    /** @inheritdoc */
+    this.globalTransform = Matrix4.clone(Matrix4.IDENTITY);
+
+    /** @inheritdoc */
+    this.minBounds = new Cartesian3(
+      rectangle.west,
+      rectangle.south,
+      defaultValue(options.minimumHeight, 0.0)
+    );
+
+    /** @inheritdoc */
+    this.maxBounds = new Cartesian3(
+      rectangle.east,
+      rectangle.north,
+      defaultValue(options.maximumHeight, 10000.0)
+    );
+  } else {
+    const orientedBoundingBox = options.orientedBoundingBox;
+
+    /** @inheritdoc */
+    this.shapeTransform = Matrix4.fromRotationTranslation(
+      orientedBoundingBox.halfAxes,
+      orientedBoundingBox.center
+    );
+
+    /** @inheritdoc */
+    this.globalTransform = Matrix4.clone(
+      defaultValue(options.modelMatrix, Matrix4.IDENTITY)
+    );
+
+    /** @inheritdoc */
+    this.minBounds = Cartesian3.clone(VoxelBoxShape.DefaultMinBounds);
+
+    /** @inheritdoc */
+    this.maxBounds = Cartesian3.clone(VoxelBoxShape.DefaultMaxBounds);
+  }
+
+  /** @inheritdoc */
+  this.shape = shape;
+
+  /** @inheritdoc */
+  this.dimensions = tileDimensions;
+
+  /** @inheritdoc */
+  this.paddingBefore = undefined;
+
+  /** @inheritdoc */
+  this.paddingAfter = undefined;
+
+  /** @inheritdoc */
+  this.names = properties.map(function (property) {
+    return property.name;
+  });
+
+  /** @inheritdoc */
+  this.types = properties.map(function (property) {
+    return defaultValue(property.type, MetadataType.SCALAR);
+  });
+
+  /** @inheritdoc */
+  this.componentTypes = properties.map(function (property) {
+    return getKeyframeValues(property, 0) instanceof Uint8Array
+      ? MetadataComponentType.UINT8
+      : MetadataComponentType.FLOAT32;
+  });
+
+  /** @inheritdoc */
+  this.minimumValues = undefined;
+
+  /** @inheritdoc */
+  this.maximumValues = undefined;
+
+  /** @inheritdoc */
+  this.maximumTileCount = tileCount * keyframeCount;
+
+  /** @inheritdoc */
+  this.keyframeCount = keyframeCount;
+
+  /** @inheritdoc */
+  this.timeIntervalCollection =
+    keyframeCount > 1
+      ? TimeIntervalCollection.fromJulianDateArray({
+          julianDates: times,
+        })
+      : undefined;
+
+  this._gridDimensions = Cartesian3.clone(gridDimensions);
+  this._maximumLevel = maximumLevel;
+  this._properties = properties;
+
+  computeStatistics(this, properties);
+}
+
+Object.defineProperties(GriddedVoxelProvider.prototype, {
+  /**
+   * Gets the number of voxels of the grid along the X, Y and Z axes.
+   *
+   * @memberof GriddedVoxelProvider.prototype
+   * @type {Cartesian3}
+   * @readonly
+   */
+  gridDimensions: {
+    get: function () {
+      return this._gridDimensions;
+    },
+  },
+
+  /**
+   * Gets the maximum level of detail of the tiles.  Tiles at this level are as detailed as the grid.
+   *
+   * @memberof GriddedVoxelProvider.prototype
+   * @type {number}
+   * @readonly
+   */
+  maximumLevel: {
+    get: function () {
+      return this._maximumLevel;
+    },
+  },
+});
+
+function getLevelCount(gridDimension, tileDimension) {
+  return Math.max(Math.ceil(Math.log2(gridDimension / tileDimension)), 0);
+}
+
+function getKeyframeValues(property, keyframe) {
+  const values = property.values;
+  return Array.isArray(values) ? values[keyframe] : values;
+}
+
+//>>includeStart('debug', pragmas.debug);
+function validateProperties(properties, gridDimensions, times) {
+  const voxelCount = gridDimensions.x * gridDimensions.y * gridDimensions.z;
+  const keyframeCount = defined(times) ? times.length : 1;
+  for (let i = 0; i < properties.length; i++) {
+    const property = properties[i];
+    Check.typeOf.string("property.name", property.name);
+    Check.defined("property.values", property.values);
+
+    const values = property.values;
+    const isArray = Array.isArray(values);
+    if (
+      (defined(times) && (!isArray || values.length !== keyframeCount)) ||
+      (!defined(times) && isArray && values.length !== 1)
+    ) {
+      throw new DeveloperError(
+        "The values of each property must have one array for each time."
+      );
+    }
+
+    const componentCount = MetadataType.getComponentCount(
+      defaultValue(property.type, MetadataType.SCALAR)
+    );
+    for (let k = 0; k < keyframeCount; k++) {
+      if (
+        getKeyframeValues(property, k).length !==
+        voxelCount * componentCount
+      ) {
+        throw new DeveloperError(
+          "The length of the values of each property must match the grid dimensions."
+        );
+      }
+    }
+  }
+}
+//>>includeEnd('debug');
+
+function toComponentArray(value, componentCount) {
+  if (!defined(value)) {
+    return undefined;
+  }
+  const values = Array.isArray(value) ? value : [value];
+  return Array.from({ length: componentCount }, function (v, i) {
+    return values[i];
+  });
+}
+
+function computeStatistics(provider, properties) {
+  const keyframeCount = provider.keyframeCount;
+  const minimumValues = new Array(properties.length);
+  const maximumValues = new Array(properties.length);
+  for (let i = 0; i < properties.length; i++) {
+    const property = properties[i];
+    const componentCount = MetadataType.getComponentCount(provider.types[i]);
+    let minimum = toComponentArray(property.minimumValue, componentCount);
+    let maximum = toComponentArray(property.maximumValue, componentCount);
+    if (!defined(minimum) || !defined(maximum)) {
+      const computedMinimum = new Array(componentCount).fill(
+        Number.POSITIVE_INFINITY
+      );
+      const computedMaximum = new Array(componentCount).fill(
+        Number.NEGATIVE_INFINITY
+      );
+      for (let k = 0; k < keyframeCount; k++) {
+        const values = getKeyframeValues(property, k);
+        for (let j = 0; j < values.length; j++) {
+          const value = values[j];
+          // NaN values have no data
+          if (value === value) {
+            const c = j % componentCount;
+            computedMinimum[c] = Math.min(computedMinimum[c], value);
+            computedMaximum[c] = Math.max(computedMaximum[c], value);
+          }
+        }
+      }
+      minimum = defaultValue(minimum, computedMinimum);
+      maximum = defaultValue(maximum, computedMaximum);
+    }
+    minimumValues[i] = minimum;
+    maximumValues[i] = maximum;
+  }
+  provider.minimumValues = minimumValues;
+  provider.maximumValues = maximumValues;
+}
+
+/** @inheritdoc */
+GriddedVoxelProvider.prototype.requestData = function (options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const tileLevel = defaultValue(options.tileLevel, 0);
+  const tileX = defaultValue(options.tileX, 0);
+  const tileY = defaultValue(options.tileY, 0);
+  const tileZ = defaultValue(options.tileZ, 0);
+  const keyframe = defaultValue(options.keyframe, 0);
+
+  const tileCountAtLevel = 1 << tileLevel;
+  if (
+    tileLevel > this._maximumLevel ||
+    keyframe < 0 ||
+    keyframe >= this.keyframeCount ||
+    tileX >= tileCountAtLevel ||
+    tileY >= tileCountAtLevel ||
+    tileZ >= tileCountAtLevel
+  ) {
+    return Promise.resolve(undefined);
+  }
+
+  const gridDimensions = this._gridDimensions;
+  const tileDimensions = this.dimensions;
+
+  // Sample the grid cell nearest to the center of each voxel of the tile
+  const xIndices = getGridIndices(
+    tileX,
+    tileCountAtLevel,
+    tileDimensions.x,
+    gridDimensions.x
+  );
+  const yIndices = getGridIndices(
+    tileY,
+    tileCountAtLevel,
+    tileDimensions.y,
+    gridDimensions.y
+  );
+  const zIndices = getGridIndices(
+    tileZ,
+    tileCountAtLevel,
+    tileDimensions.z,
+    gridDimensions.z
+  );
+
+  const properties = this._properties;
+  const result = new Array(properties.length);
+  for (let i = 0; i < properties.length; i++) {
+    const componentCount = MetadataType.getComponentCount(this.types[i]);
+    const values = getKeyframeValues(properties[i], keyframe);
+    const length =
+      xIndices.length * yIndices.length * zIndices.length * componentCount;
+    const data =
+      this.componentTypes[i] === MetadataComponentType.UINT8
+        ? new Uint8Array(length)
+        : new Float32Array(length);
+
+    let offset = 0;
+    for (let z = 0; z < zIndices.length; z++) {
+      const zOffset = zIndices[z] * gridDimensions.y;
+      for (let y = 0; y < yIndices.length; y++) {
+        const yOffset = (zOffset + yIndices[y]) * gridDimensions.x;
+        for (let x = 0; x < xIndices.length; x++) {
+          const gridOffset = (yOffset + xIndices[x]) * componentCount;
+          for (let c = 0; c < componentCount; c++) {
+            data[offset++] = values[gridOffset + c];
+          }
+        }
+      }
+    }
+    result[i] = data;
+  }
+
+  return Promise.resolve(result);
+};
+
+function getGridIndices(tile, tileCount, tileDimension, gridDimension) {
+  const indices = new Array(tileDimension);
+  for (let i = 0; i < tileDimension; i++) {
+    const position = (tile + (i + 0.5) / tileDimension) / tileCount;
+    indices[i] = Math.min(
+      Math.floor(position * gridDimension),
+      gridDimension - 1
+    );
+  }
+  return indices;
+}
+
+export default GriddedVoxelProvider;
@@ -0,0 +1,967 @@
+import BoundingRectangle from "../Core/BoundingRectangle.js";
+import Cartesian2 from "../Core/Cartesian2.js";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import combine from "../Core/combine.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import GeometryInstance from "../Core/GeometryInstance.js";
+import IndexDatatype from "../Core/IndexDatatype.js";
+import JulianDate from "../Core/JulianDate.js";
+import CesiumMath from "../Core/Math.js";
+import PixelFormat from "../Core/PixelFormat.js";
+import PrimitiveType from "../Core/PrimitiveType.js";
+import Rectangle from "../Core/Rectangle.js";
+import RectangleGeometry from "../Core/RectangleGeometry.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import Buffer from "../Renderer/Buffer.js";
+import BufferUsage from "../Renderer/BufferUsage.js";
+import ClearCommand from "../Renderer/ClearCommand.js";
+import ContextLimits from "../Renderer/ContextLimits.js";
+import DrawCommand from "../Renderer/DrawCommand.js";
+import Framebuffer from "../Renderer/Framebuffer.js";
+import PixelDatatype from "../Renderer/PixelDatatype.js";
+import RenderState from "../Renderer/RenderState.js";
+import Sampler from "../Renderer/Sampler.js";
+import ShaderProgram from "../Renderer/ShaderProgram.js";
+import Texture from "../Renderer/Texture.js";
+import VertexArray from "../Renderer/VertexArray.js";
+import HeatmapColorizeFS from "../Shaders/HeatmapColorizeFS.js";
+import HeatmapDensityFS from "../Shaders/HeatmapDensityFS.js";
+import HeatmapDensityVS from "../Shaders/HeatmapDensityVS.js";
+import HeatmapMaximumFS from "../Shaders/HeatmapMaximumFS.js";
+import BlendingState from "./BlendingState.js";
+import ClassificationType from "./ClassificationType.js";
+import EllipsoidSurfaceAppearance from "./EllipsoidSurfaceAppearance.js";
+import GroundPrimitive from "./GroundPrimitive.js";
+import Material from "./Material.js";
+
+const attributeLocations = {
+  corner: 0,
+  center: 1,
+  halfSizeAndWeight: 2,
+};
+
+/**
+ * A heatmap of the density of weighted points, draped on terrain and 3D Tiles. Each point spreads its weight over a
+ * Gaussian kernel with a radius in meters, the kernels are summed into a density texture on the GPU, and the density
+ * is colored with a color ramp from zero to the maximum density.
+ *
+ * @alias HeatmapPrimitive
+ * @constructor
+ *
+ * @param {object} options Object with the following properties:
+ * @param {Cartesian3[]|number[]|Float32Array|Float64Array} options.positions The positions of the points, or an array of longitude and latitude pairs in degrees.
+ * @param {number[]|Float32Array|Float64Array} [options.weights] The weight of each point. When undefined, each point has a weight of one.
+ * @param {number} [options.radius=1000.0] The radius of the kernel around each point in meters.
+ * @param {Color[]} [options.colorRamp=HeatmapPrimitive.DEFAULT_COLOR_RAMP] The colors from zero density to the maximum density, evenly spaced. Use a transparent first color so areas without points are not covered.
+ * @param {number} [options.maximumDensity] The density shown with the last color of the ramp. When undefined, the largest density of the heatmap is used.
+ * @param {Rectangle} [options.rectangle] The rectangle covered by the heatmap. When undefined, the rectangle around the points extended by the radius is used.
+ * @param {number} [options.resolution=1024] The width or height of the density texture in pixels, whichever is larger, limited by the maximum texture size.
+ * @param {ClassificationType} [options.classificationType=ClassificationType.BOTH] Determines whether terrain, 3D Tiles or both will be covered.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @param {boolean} [options.show=true] Determines if this primitive will be shown.
+ *
+ * @exception {DeveloperError} options.weights must have one weight for each position.
+ * @exception {DeveloperError} options.colorRamp must have at least two colors.
+ *
+ * @example
+ * // A heatmap of earthquakes weighted by magnitude
+ * const heatmap = viewer.scene.primitives.add(new Cesium.HeatmapPrimitive({
+ *   positions: [-122.27, 37.8, -121.89, 37.34, -118.24, 34.05],
+ *   weights: [4.1, 3.2, 5.0],
+ *   radius: 50000.0,
+ * }));
+ *
+ * @example
+ * // A heatmap of the entities in a data source
+ * const dataSource = await Cesium.GeoJsonDataSource.load("incidents.geojson");
+ * const heatmap = viewer.scene.primitives.add(
+ *   Cesium.HeatmapPrimitive.fromEntities(dataSource.entities, {
+ *     weight: "severity",
+ *     radius: 250.0,
+ *     colorRamp: [
+ *       new Cesium.Color(1.0, 1.0, 0.0, 0.0),
+ *       Cesium.Color.YELLOW,
+ *       Cesium.Color.RED,
+ *     ],
+ *   })
+ * );
+ *
+ * @see HeatmapPrimitive.isSupported
+ */
+function HeatmapPrimitive(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.positions", options.positions);
+  //>>includeEnd('debug');
+
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  this._radius = defaultValue(options.radius, 1000.0);
+  this._maximumDensity = options.maximumDensity;
+  this._resolution = defaultValue(options.resolution, 1024);
+  this._classificationType = defaultValue(
+    options.classificationType,
+    ClassificationType.BOTH
+  );
+  this._rectangleOption = Rectangle.clone(options.rectangle);
+
+  const colorRamp = defaultValue(
+    options.colorRamp,
+    HeatmapPrimitive.DEFAULT_COLOR_RAMP
+  );
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThan("options.radius", this._radius, 0.0);
+  if (colorRamp.length < 2) {
+    throw new DeveloperError(
+      "options.colorRamp must have at least two colors."
+    );
+  }
+  //>>includeEnd('debug');
+
+  this._colorRamp = colorRamp.slice();
+
+  /**
+   * Determines if this primitive will be shown.
+   *
+   * @type {boolean}
+   * @default true
+   */
+  this.show = defaultValue(options.show, true);
+
+  this._coordinates = undefined;
+  this._weights = undefined;
+  this._pointCount = 0;
+  this._rectangle = undefined;
+
+  this._material = Material.fromType(Material.ImageType);
+  this._appearance = new EllipsoidSurfaceAppearance({
+    material: this._material,
+    aboveGround: false,
+  });
+  this._groundPrimitive = undefined;
+
+  this._densityTexture = undefined;
+  this._densityFramebuffer = undefined;
+  this._maximumTextures = [];
+  this._maximumFramebuffers = [];
+  this._colorTexture = undefined;
+  this._colorFramebuffer = undefined;
+  this._colorRampTexture = undefined;
+  this._vertexArray = undefined;
+  this._clearCommand = undefined;
+  this._densityCommand = undefined;
+  this._maximumCommands = [];
+  this._colorizeCommand = undefined;
+
+  this._resourcesDirty = true;
+  this._densityDirty = true;
+  this._colorRampDirty = true;
+  this._colorizeDirty = true;
+
+  this.setPositions(options.positions, options.weights);
+}
+
+Object.defineProperties(HeatmapPrimitive.prototype, {
+  /**
+   * Gets the ellipsoid.
+   *
+   * @memberof HeatmapPrimitive.prototype
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * Gets the number of points in the heatmap.
+   *
+   * @memberof HeatmapPrimitive.prototype
+   * @type {number}
+   * @readonly
+   */
+  pointCount: {
+    get: function () {
+      return this._pointCount;
+    },
+  },
+
+  /**
+   * Gets the rectangle covered by the heatmap, or undefined if the heatmap has no points.
+   *
+   * @memberof HeatmapPrimitive.prototype
+   * @type {Rectangle|undefined}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the width or height of the density texture in pixels, whichever is larger.
+   *
+   * @memberof HeatmapPrimitive.prototype
+   * @type {number}
+   * @readonly
+   */
+  resolution: {
+    get: function () {
+      return this._resolution;
+    },
+  },
+
+  /**
+   * Gets whether terrain, 3D Tiles or both are covered by the heatmap.
+   *
+   * @memberof HeatmapPrimitive.prototype
+   * @type {ClassificationType}
+   * @readonly
+   */
+  classificationType: {
+    get: function () {
+      return this._classificationType;
+    },
+  },
+
+  /**
+   * Gets or sets the radius of the kernel around each point in meters.
+   *
+   * @memberof HeatmapPrimitive.prototype
+   * @type {number}
+   * @default 1000.0
+   */
+  radius: {
+    get: function () {
+      return this._radius;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.typeOf.number.greaterThan("value", value, 0.0);
+      //>>includeEnd('debug');
+
+      if (this._radius !== value) {
+        this._radius = value;
+        this._densityDirty = true;
+        updateRectangle(this);
+      }
+    },
+  },
+
+  /**
+   * Gets or sets the colors from zero density to the maximum density, evenly spaced.
+   *
+   * @memberof HeatmapPrimitive.prototype
+   * @type {Color[]}
+   * @default HeatmapPrimitive.DEFAULT_COLOR_RAMP
+   */
+  colorRamp: {
+    get: function () {
+      return this._colorRamp;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.defined("value", value);
+      if (value.length < 2) {
+        throw new DeveloperError("colorRamp must have at least two colors.");
+      }
+      //>>includeEnd('debug');
+
+      this._colorRamp = value.slice();
+      this._colorRampDirty = true;
+    },
+  },
+
+  /**
+   * Gets or sets the density shown with the last color of the ramp. When undefined, the largest density of the heatmap is used.
+   *
+   * @memberof HeatmapPrimitive.prototype
+   * @type {number|undefined}
+   * @default undefined
+   */
+  maximumDensity: {
+    get: function () {
+      return this._maximumDensity;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      if (defined(value)) {
+        Check.typeOf.number.greaterThan("value", value, 0.0);
+      }
+      //>>includeEnd('debug');
+
+      if (this._maximumDensity !== value) {
+        this._maximumDensity = value;
+        this._colorizeDirty = true;
+      }
+    },
+  },
+});
+
+/**
+ * The default color ramp, from transparent blue through blue, cyan, lime and yellow to red.
+ *
+ * @type {Color[]}
+ * @constant
+ */
+HeatmapPrimitive.DEFAULT_COLOR_RAMP = Object.freeze([
+  Object.freeze(new Color(0.0, 0.0, 1.0, 0.0)),
+  Color.BLUE,
+  Color.CYAN,
+  Color.LIME,
+  Color.YELLOW,
+  Color.RED,
+]);
+
+/**
+ * Determines if heatmaps are supported, which requires ground primitives and blending into floating-point textures.
+ *
+ * @param {Scene} scene The scene.
+ * @returns {boolean} <code>true</code> if heatmaps are supported; otherwise, returns <code>false</code>.
+ */
+HeatmapPrimitive.isSupported = function (scene) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("scene", scene);
+  //>>includeEnd('debug');
+
+  return (
+    GroundPrimitive.isSupported(scene) &&
+    defined(getDensityPixelDatatype(scene.context))
+  );
+};
+
+/**
+ * Creates a heatmap of the positions of entities at a time. Entities that are not showing or have no position at
+ * the time are skipped.
+ *
+ * @param {EntityCollection|Entity[]} entities The entities.
+ * @param {object} [options] The options of the {@link HeatmapPrimitive} constructor, except for the positions and weights, with the following additional properties:
+ * @param {JulianDate} [options.time=JulianDate.now()] The time to evaluate the positions and weights of the entities at.
+ * @param {string|Function} [options.weight] The name of a property in {@link Entity#properties} with the weight of each entity,
+ *        or a function that takes an entity and the time and returns its weight. When undefined, each entity has a weight of one.
+ * @returns {HeatmapPrimitive} The heatmap.
+ *
+ * @example
+ * const heatmap = Cesium.HeatmapPrimitive.fromEntities(viewer.entities, {
+ *   time: viewer.clock.currentTime,
+ *   weight: function (entity, time) {
+ *     return entity.properties.population.getValue(time) / 1000.0;
+ *   },
+ * });
+ */
+HeatmapPrimitive.fromEntities = function (entities, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("entities", entities);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const time = defaultValue(options.time, JulianDate.now());
+  const weight = options.weight;
+  const values = Array.isArray(entities) ? entities : entities.values;
+
+  const positions = [];
+  const weights = [];
+  for (let i = 0; i < values.length; ++i) {
+    const entity = values[i];
+    if (!entity.isShowing || !defined(entity.position)) {
+      continue;
+    }
+    const position = entity.position.getValue(time);
+    if (!defined(position)) {
+      continue;
+    }
+    positions.push(position);
+    weights.push(getEntityWeight(entity, weight, time));
+  }
+
+  return new HeatmapPrimitive(
+    combine(
+      {
+        positions: positions,
+        weights: weights,
+      },
+      options
+    )
+  );
+};
+
+function getEntityWeight(entity, weight, time) {
+  if (!defined(weight)) {
+    return 1.0;
+  }
+  if (typeof weight === "function") {
+    return defaultValue(weight(entity, time), 0.0);
+  }
+  const properties = entity.properties;
+  const property = defined(properties) ? properties[weight] : undefined;
+  const value = defined(property) ? property.getValue(time) : undefined;
+  return typeof value === "number" ? value : 0.0;
+}
+
+/**
+ * Replaces the points of the heatmap.
+ *
+ * @param {Cartesian3[]|number[]|Float32Array|Float64Array} positions The positions of the points, or an array of longitude and latitude pairs in degrees.
+ * @param {number[]|Float32Array|Float64Array} [weights] The weight of each point. When undefined, each point has a weight of one.
+ *
+ * @exception {DeveloperError} weights must have one weight for each position.
+ */
+HeatmapPrimitive.prototype.setPositions = function (positions, weights) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("positions", positions);
+  //>>includeEnd('debug');
+
+  const coordinates = getCoordinates(positions, this._ellipsoid);
+  const pointCount = coordinates.length / 2;
+
+  //>>includeStart('debug', pragmas.debug);
+  if (defined(weights) && weights.length !== pointCount) {
+    throw new DeveloperError("weights must have one weight for each position.");
+  }
+  //>>includeEnd('debug');
+
+  this._coordinates = coordinates;
+  this._weights = weights;
+  this._pointCount = pointCount;
+  this._densityDirty = true;
+  updateRectangle(this);
+};
+
+const scratchCartographic = new Cartographic();
+
+function getCoordinates(positions, ellipsoid) {
+  let coordinates;
+  if (positions.length > 0 && typeof positions[0] === "number") {
+    //>>includeStart('debug', pragmas.debug);
+    if (positions.length % 2 !== 0) {
+      throw new DeveloperError(
+        "positions must have a longitude and a latitude for each position."
+      );
+    }
+    //>>includeEnd('debug');
+
+    coordinates = new Float64Array(positions.length);
+    for (let i = 0; i < positions.length; ++i) {
+      coordinates[i] = CesiumMath.toRadians(positions[i]);
+    }
+    return coordinates;
+  }
+
+  coordinates = new Float64Array(positions.length * 2);
+  for (let i = 0; i < positions.length; ++i) {
+    const cartographic = ellipsoid.cartesianToCartographic(
+      positions[i],
+      scratchCartographic
+    );
+    coordinates[i * 2] = cartographic.longitude;
+    coordinates[i * 2 + 1] = cartographic.latitude;
+  }
+  return coordinates;
+}
+
+function computeRectangle(heatmap) {
+  const coordinates = heatmap._coordinates;
+  if (heatmap._pointCount === 0) {
+    return undefined;
+  }
+
+  let west = Number.POSITIVE_INFINITY;
+  let south = Number.POSITIVE_INFINITY;
+  let east = Number.NEGATIVE_INFINITY;
+  let north = Number.NEGATIVE_INFINITY;
+  for (let i = 0; i < coordinates.length; i += 2) {
+    west = Math.min(west, coordinates[i]);
+    east = Math.max(east, coordinates[i]);
+    south = Math.min(south, coordinates[i + 1]);
+    north = Math.max(north, coordinates[i + 1]);
+  }
+
+  // Extend the rectangle so the kernels of the points on its edges are not cut off
+  const radius = heatmap._radius / heatmap._ellipsoid.maximumRadius;
+  south = Math.max(south - radius, -CesiumMath.PI_OVER_TWO);
+  north = Math.min(north + radius, CesiumMath.PI_OVER_TWO);
+  const cosine = Math.cos(Math.max(Math.abs(south), Math.abs(north)));
+  const longitudeRadius =
+    cosine > CesiumMath.EPSILON6 ? radius / cosine : CesiumMath.PI;
+  west = Math.max(west - longitudeRadius, -CesiumMath.PI);
+  east = Math.min(east + longitudeRadius, CesiumMath.PI);
+
+  return new Rectangle(west, south, east, north);
+}
+
+function updateRectangle(heatmap) {
+  const rectangle = defined(heatmap._rectangleOption)
+    ? heatmap._rectangleOption
+    : computeRectangle(heatmap);
+  if (!Rectangle.equals(rectangle, heatmap._rectangle)) {
+    heatmap._rectangle = rectangle;
+    heatmap._resourcesDirty = true;
+  }
+}
+
+function getDensityPixelDatatype(context) {
+  // Blending into half-float color buffers is allowed, blending into float color buffers requires EXT_float_blend
+  if (context.halfFloatingPointTexture && context.colorBufferHalfFloat) {
+    return PixelDatatype.HALF_FLOAT;
+  }
+  if (
+    context.floatingPointTexture &&
+    context.colorBufferFloat &&
+    context.floatBlend
+  ) {
+    return PixelDatatype.FLOAT;
+  }
+  return undefined;
+}
+
+function computeTextureDimensions(heatmap) {
+  const rectangle = heatmap._rectangle;
+  const maximumRadius = heatmap._ellipsoid.maximumRadius;
+  const latitude = Rectangle.center(rectangle, scratchCartographic).latitude;
+  const widthInMeters =
+    Rectangle.computeWidth(rectangle) * maximumRadius * Math.cos(latitude);
+  const heightInMeters = Rectangle.computeHeight(rectangle) * maximumRadius;
+
+  const resolution = Math.min(
+    heatmap._resolution,
+    ContextLimits.maximumTextureSize
+  );
+  if (widthInMeters >= heightInMeters) {
+    return new Cartesian2(
+      resolution,
+      Math.max(Math.round((resolution * heightInMeters) / widthInMeters), 1)
+    );
+  }
+  return new Cartesian2(
+    Math.max(Math.round((resolution * widthInMeters) / heightInMeters), 1),
+    resolution
+  );
+}
+
+function createMaximumUniformMap(texture) {
+  const dimensions = new Cartesian2(texture.width, texture.height);
+  return {
+    u_texture: function () {
+      return texture;
+    },
+    u_textureDimensions: function () {
+      return dimensions;
+    },
+  };
+}
+
+function createColorizeUniformMap(heatmap, maximumTexture) {
+  return {
+    u_densityTexture: function () {
+      return heatmap._densityTexture;
+    },
+    u_maximumTexture: function () {
+      return maximumTexture;
+    },
+    u_colorRampTexture: function () {
+      return heatmap._colorRampTexture;
+    },
+    u_colorRampLength: function () {
+      return heatmap._colorRampTexture.width;
+    },
+    u_maximumDensity: function () {
+      return defaultValue(heatmap._maximumDensity, 0.0);
+    },
+  };
+}
+
+function createResources(heatmap, context) {
+  const dimensions = computeTextureDimensions(heatmap);
+  const width = dimensions.x;
+  const height = dimensions.y;
+  const pixelDatatype = getDensityPixelDatatype(context);
+
+  const densityTexture = new Texture({
+    context: context,
+    width: width,
+    height: height,
+    pixelFormat: PixelFormat.RGBA,
+    pixelDatatype: pixelDatatype,
+    sampler: Sampler.NEAREST,
+  });
+  const densityFramebuffer = new Framebuffer({
+    context: context,
+    colorTextures: [densityTexture],
+    destroyAttachments: false,
+  });
+  heatmap._densityTexture = densityTexture;
+  heatmap._densityFramebuffer = densityFramebuffer;
+
+  heatmap._clearCommand = new ClearCommand({
+    color: new Color(0.0, 0.0, 0.0, 0.0),
+    framebuffer: densityFramebuffer,
+    owner: heatmap,
+  });
+  heatmap._densityCommand = new DrawCommand({
+    primitiveType: PrimitiveType.TRIANGLES,
+    shaderProgram: ShaderProgram.fromCache({
+      context: context,
+      vertexShaderSource: HeatmapDensityVS,
+      fragmentShaderSource: HeatmapDensityFS,
+      attributeLocations: attributeLocations,
+    }),
+    renderState: RenderState.fromCache({
+      viewport: new BoundingRectangle(0, 0, width, height),
+      blending: BlendingState.ADDITIVE_BLEND,
+    }),
+    framebuffer: densityFramebuffer,
+    owner: heatmap,
+  });
+
+  // Reduce the density texture to a single pixel with the maximum density without reading it back
+  let source = densityTexture;
+  while (source.width > 1 || source.height > 1) {
+    const target = new Texture({
+      context: context,
+      width: Math.ceil(source.width / 4),
+      height: Math.ceil(source.height / 4),
+      pixelFormat: PixelFormat.RGBA,
+      pixelDatatype: pixelDatatype,
+      sampler: Sampler.NEAREST,
+    });
+    const framebuffer = new Framebuffer({
+      context: context,
+      colorTextures: [target],
+      destroyAttachments: false,
+    });
+    heatmap._maximumTextures.push(target);
+    heatmap._maximumFramebuffers.push(framebuffer);
+    heatmap._maximumCommands.push(
+      context.createViewportQuadCommand(HeatmapMaximumFS, {
+        framebuffer: framebuffer,
+        renderState: RenderState.fromCache({
+          viewport: new BoundingRectangle(0, 0, target.width, target.height),
+        }),
+        uniformMap: createMaximumUniformMap(source),
+        owner: heatmap,
+      })
+    );
+    source = target;
+  }
+
+  const colorTexture = new Texture({
+    context: context,
+    width: width,
+    height: height,
+    pixelFormat: PixelFormat.RGBA,
+    pixelDatatype: PixelDatatype.UNSIGNED_BYTE,
+  });
+  const colorFramebuffer = new Framebuffer({
+    context: context,
+    colorTextures: [colorTexture],
+    destroyAttachments: false,
+  });
+  heatmap._colorTexture = colorTexture;
+  heatmap._colorFramebuffer = colorFramebuffer;
+  heatmap._colorizeCommand = context.createViewportQuadCommand(
+    HeatmapColorizeFS,
+    {
+      framebuffer: colorFramebuffer,
+      renderState: RenderState.fromCache({
+        viewport: new BoundingRectangle(0, 0, width, height),
+      }),
+      uniformMap: createColorizeUniformMap(heatmap, source),
+      owner: heatmap,
+    }
+  );
+
+  // The material owns the color texture once it is assigned, and destroys the previous one
+  heatmap._material.uniforms.image = colorTexture;
+  heatmap._material.update(context);
+
+  heatmap._groundPrimitive = new GroundPrimitive({
+    geometryInstances: new GeometryInstance({
+      geometry: new RectangleGeometry({
+        rectangle: heatmap._rectangle,
+        ellipsoid: heatmap._ellipsoid,
+        vertexFormat: EllipsoidSurfaceAppearance.VERTEX_FORMAT,
+      }),
+    }),
+    appearance: heatmap._appearance,
+    classificationType: heatmap._classificationType,
+  });
+}
+
+function destroyResources(heatmap) {
+  heatmap._groundPrimitive =
+    heatmap._groundPrimitive && heatmap._groundPrimitive.destroy();
+  heatmap._densityTexture =
+    heatmap._densityTexture && heatmap._densityTexture.destroy();
+  heatmap._densityFramebuffer =
+    heatmap._densityFramebuffer && heatmap._densityFramebuffer.destroy();
+  heatmap._colorFramebuffer =
+    heatmap._colorFramebuffer && heatmap._colorFramebuffer.destroy();
+  heatmap._colorTexture = undefined;
+
+  const maximumTextures = heatmap._maximumTextures;
+  const maximumFramebuffers = heatmap._maximumFramebuffers;
+  const maximumCommands = heatmap._maximumCommands;
+  for (let i = 0; i < maximumTextures.length; ++i) {
+    maximumTextures[i].destroy();
+    maximumFramebuffers[i].destroy();
+    maximumCommands[i].shaderProgram.destroy();
+  }
+  maximumTextures.length = 0;
+  maximumFramebuffers.length = 0;
+  maximumCommands.length = 0;
+
+  if (defined(heatmap._densityCommand)) {
+    heatmap._densityCommand.shaderProgram.destroy();
+    heatmap._densityCommand = undefined;
+  }
+  if (defined(heatmap._colorizeCommand)) {
+    heatmap._colorizeCommand.shaderProgram.destroy();
+    heatmap._colorizeCommand = undefined;
+  }
+  heatmap._clearCommand = undefined;
+}
+
+const quadCorners = new Float32Array([-1, -1, 1, -1, 1, 1, -1, 1]);
+const quadIndices = new Uint16Array([0, 1, 2, 0, 2, 3]);
+const triangleCorners = [-1, -1, 1, -1, 1, 1, -1, -1, 1, 1, -1, 1];
+const pointComponents = 5;
+
+function createVertexArray(heatmap, context) {
+  const coordinates = heatmap._coordinates;
+  const weights = heatmap._weights;
+  const pointCount = heatmap._pointCount;
+  const rectangle = heatmap._rectangle;
+  const west = rectangle.west;
+  const south = rectangle.south;
+  const width = Rectangle.computeWidth(rectangle);
+  const height = Rectangle.computeHeight(rectangle);
+  const radius = heatmap._radius / heatmap._ellipsoid.maximumRadius;
+
+  // Keep kernels at least a pixel wide so that points are not lost between pixels
+  const minimumHalfWidth = 1.0 / heatmap._densityTexture.width;
+  const minimumHalfHeight = 1.0 / heatmap._densityTexture.height;
+  const halfHeight = Math.max(radius / height, minimumHalfHeight);
+
+  // Without instancing, the values of each point are repeated for the six vertices of its quad
+  const instanced = context.instancedArrays;
+  const verticesPerPoint = instanced ? 1 : 6;
+  const pointValues = new Float32Array(
+    pointCount * verticesPerPoint * pointComponents
+  );
+
+  let index = 0;
+  for (let i = 0; i < pointCount; ++i) {
+    let longitude = coordinates[i * 2] - west;
+    if (longitude < 0.0) {
+      longitude += CesiumMath.TWO_PI;
+    }
+    const latitude = coordinates[i * 2 + 1];
+    const u = longitude / width;
+    const v = (latitude - south) / height;
+    const cosine = Math.max(Math.cos(latitude), CesiumMath.EPSILON6);
+    const halfWidth = Math.max(radius / cosine / width, minimumHalfWidth);
+    const weight = defined(weights) ? weights[i] : 1.0;
+    for (let j = 0; j < verticesPerPoint; ++j) {
+      pointValues[index++] = u;
+      pointValues[index++] = v;
+      pointValues[index++] = halfWidth;
+      pointValues[index++] = halfHeight;
+      pointValues[index++] = weight;
+    }
+  }
+
+  let corners = quadCorners;
+  let indexBuffer;
+  if (instanced) {
+    indexBuffer = Buffer.createIndexBuffer({
+      context: context,
+      typedArray: quadIndices,
+      usage: BufferUsage.STATIC_DRAW,
+      indexDatatype: IndexDatatype.UNSIGNED_SHORT,
+    });
+  } else {
+    corners = new Float32Array(pointCount * triangleCorners.length);
+    for (let i = 0; i < corners.length; ++i) {
+      corners[i] = triangleCorners[i % triangleCorners.length];
+    }
+  }
+
+  const pointBuffer = Buffer.createVertexBuffer({
+    context: context,
+    typedArray: pointValues,
+    usage: BufferUsage.STATIC_DRAW,
+  });
+  const instanceDivisor = instanced ? 1 : 0;
+  const strideInBytes = pointComponents * Float32Array.BYTES_PER_ELEMENT;
+
+  return new VertexArray({
+    context: context,
+    attributes: [
+      {
+        index: attributeLocations.corner,
+        vertexBuffer: Buffer.createVertexBuffer({
+          context: context,
+          typedArray: corners,
+          usage: BufferUsage.STATIC_DRAW,
+        }),
+        componentsPerAttribute: 2,
+      },
+      {
+        index: attributeLocations.center,
+        vertexBuffer: pointBuffer,
+        componentsPerAttribute: 2,
+        offsetInBytes: 0,
+        strideInBytes: strideInBytes,
+        instanceDivisor: instanceDivisor,
+      },
+      {
+        index: attributeLocations.halfSizeAndWeight,
+        vertexBuffer: pointBuffer,
+        componentsPerAttribute: 3,
+        offsetInBytes: 2 * Float32Array.BYTES_PER_ELEMENT,
+        strideInBytes: strideInBytes,
+        instanceDivisor: instanceDivisor,
+      },
+    ],
+    indexBuffer: indexBuffer,
+  });
+}
+
+function createColorRampTexture(context, colorRamp) {
+  const length = colorRamp.length;
+  const values = new Uint8Array(length * 4);
+  for (let i = 0; i < length; ++i) {
+    const color = colorRamp[i];
+    values[i * 4] = Color.floatToByte(color.red);
+    values[i * 4 + 1] = Color.floatToByte(color.green);
+    values[i * 4 + 2] = Color.floatToByte(color.blue);
+    values[i * 4 + 3] = Color.floatToByte(color.alpha);
+  }
+  return new Texture({
+    context: context,
+    pixelFormat: PixelFormat.RGBA,
+    pixelDatatype: PixelDatatype.UNSIGNED_BYTE,
+    flipY: false,
+    source: {
+      width: length,
+      height: 1,
+      arrayBufferView: values,
+    },
+  });
+}
+
+function renderDensity(heatmap, context) {
+  heatmap._vertexArray = heatmap._vertexArray && heatmap._vertexArray.destroy();
+  heatmap._clearCommand.execute(context);
+
+  if (heatmap._pointCount > 0) {
+    heatmap._vertexArray = createVertexArray(heatmap, context);
+    const densityCommand = heatmap._densityCommand;
+    densityCommand.vertexArray = heatmap._vertexArray;
+    if (context.instancedArrays) {
+      densityCommand.instanceCount = heatmap._pointCount;
+    }
+    densityCommand.execute(context);
+  }
+
+  const maximumCommands = heatmap._maximumCommands;
+  for (let i = 0; i < maximumCommands.length; ++i) {
+    maximumCommands[i].execute(context);
+  }
+}
+
+/**
+ * @private
+ */
+HeatmapPrimitive.prototype.update = function (frameState) {
+  if (!this.show || !defined(this._rectangle)) {
+    return;
+  }
+
+  const context = frameState.context;
+  if (!defined(getDensityPixelDatatype(context))) {
+    throw new RuntimeError(
+      "Heatmaps require blending into floating-point textures, which is not supported. See HeatmapPrimitive.isSupported."
+    );
+  }
+
+  if (this._resourcesDirty) {
+    destroyResources(this);
+    createResources(this, context);
+    this._resourcesDirty = false;
+    this._densityDirty = true;
+  }
+
+  if (this._densityDirty) {
+    renderDensity(this, context);
+    this._densityDirty = false;
+    this._colorizeDirty = true;
+  }
+
+  if (this._colorRampDirty) {
+    this._colorRampTexture =
+      this._colorRampTexture && this._colorRampTexture.destroy();
+    this._colorRampTexture = createColorRampTexture(context, this._colorRamp);
+    this._colorRampDirty = false;
+    this._colorizeDirty = true;
+  }
+
+  if (this._colorizeDirty) {
+    this._colorizeCommand.execute(context);
+    this._colorizeDirty = false;
+  }
+
+  this._groundPrimitive.update(frameState);
+};
+
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ * <p>
+ * If this object was destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.
+ * </p>
+ *
+ * @returns {boolean} <code>true</code> if this object was destroyed; otherwise, <code>false</code>.
+ *
+ * @see HeatmapPrimitive#destroy
+ */
+HeatmapPrimitive.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the WebGL resources held by this object.  Destroying an object allows for deterministic
+ * release of WebGL resources, instead of relying on the garbage collector to destroy this object.
+ * <p>
+ * Once an object is destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.  Therefore,
+ * assign the return value (<code>undefined</code>) to the object as done in the example.
+ * </p>
+ *
+ * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+ *
+ * @example
+ * heatmap = heatmap && heatmap.destroy();
+ *
+ * @see HeatmapPrimitive#isDestroyed
+ */
+HeatmapPrimitive.prototype.destroy = function () {
+  destroyResources(this);
+  this._vertexArray = this._vertexArray && this._vertexArray.destroy();
+  this._colorRampTexture =
+    this._colorRampTexture && this._colorRampTexture.destroy();
+  this._material = this._material && this._material.destroy();
+  return destroyObject(this);
+};
+
+export default HeatmapPrimitive;
@@ -0,0 +1,894 @@
+import ArcType from "../Core/ArcType.js";
+import Cartesian2 from "../Core/Cartesian2.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import EllipsoidGeodesic from "../Core/EllipsoidGeodesic.js";
+import EllipsoidRhumbLine from "../Core/EllipsoidRhumbLine.js";
+import Event from "../Core/Event.js";
+import CesiumMath from "../Core/Math.js";
+import PolygonHierarchy from "../Core/PolygonHierarchy.js";
+import PolylinePipeline from "../Core/PolylinePipeline.js";
+import Ray from "../Core/Ray.js";
+import sampleTerrainProfile from "../Core/sampleTerrainProfile.js";
+import ScreenSpaceEventHandler from "../Core/ScreenSpaceEventHandler.js";
+import ScreenSpaceEventType from "../Core/ScreenSpaceEventType.js";
+import LabelCollection from "./LabelCollection.js";
+import Material from "./Material.js";
+import MeasurementType from "./MeasurementType.js";
+import PointPrimitiveCollection from "./PointPrimitiveCollection.js";
+import PolylineCollection from "./PolylineCollection.js";
+import PrimitiveCollection from "./PrimitiveCollection.js";
+import VerticalOrigin from "./VerticalOrigin.js";
+
+/**
+ * The values of a measurement taken by a {@link MeasurementTool}.
+ *
+ * @typedef {object} MeasurementTool.Measurement
+ *
+ * @property {MeasurementType} type The kind of measurement.
+ * @property {Cartesian3[]} positions The measured positions.
+ * @property {number} distance The ground distance along the positions, in meters.  For {@link MeasurementType.AREA}
+ *           this is the perimeter of the polygon, and for {@link MeasurementType.HEIGHT} the horizontal distance between the points.
+ * @property {number[]} segmentDistances The ground distance of each segment, in meters.
+ * @property {Array<number|undefined>} bearings The bearing at the start of each segment, in radians clockwise from north.  The
+ *           bearing of a segment without length is undefined.
+ * @property {number} [area] The surface area of the polygon, in square meters.  Only defined for {@link MeasurementType.AREA}.
+ * @property {number} [height] The height of the second point above the first, in meters.  Only defined for {@link MeasurementType.HEIGHT}.
+ * @property {Cartographic[]} [profile] The terrain heights sampled at an even spacing along the positions with {@link sampleTerrainProfile}.
+ *           Only defined for a completed {@link MeasurementType.PROFILE} when the terrain provider has tile availability.
+ */
+
+/**
+ * Interactively measures ground distances and bearings, surface areas, heights and terrain profiles in a scene.
+ * After {@link MeasurementTool#start} is called, a left click picks a position with {@link Scene#pickPosition},
+ * falling back to the globe and the ellipsoid, and the measurement is completed with a double or right click.
+ * The measurement is drawn with live labels while the mouse moves.
+ *
+ * @alias MeasurementTool
+ * @constructor
+ *
+ * @param {object} options Object with the following properties:
+ * @param {Scene} options.scene The scene to measure in.
+ * @param {MeasurementType} [options.type=MeasurementType.DISTANCE] The kind of measurement.
+ * @param {ArcType} [options.arcType=ArcType.GEODESIC] The type of line between the positions, either {@link ArcType.GEODESIC} for an {@link EllipsoidGeodesic} or {@link ArcType.RHUMB} for an {@link EllipsoidRhumbLine}.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid used for the measurements.
+ * @param {Color} [options.color=Color.YELLOW] The color of the lines and points.
+ * @param {number} [options.profileSampleCount=100] The number of terrain samples taken for {@link MeasurementType.PROFILE}.
+ * @param {MeasurementTool.FormatCallback} [options.formatDistance=MeasurementTool.formatDistance] Formats distances and heights for the labels.
+ * @param {MeasurementTool.FormatCallback} [options.formatArea=MeasurementTool.formatArea] Formats areas for the labels.
+ * @param {MeasurementTool.FormatCallback} [options.formatBearing=MeasurementTool.formatBearing] Formats bearings for the labels.
+ *
+ * @exception {DeveloperError} options.arcType must be ArcType.GEODESIC or ArcType.RHUMB.
+ *
+ * @example
+ * const measurementTool = new Cesium.MeasurementTool({
+ *   scene: viewer.scene,
+ *   type: Cesium.MeasurementType.AREA
+ * });
+ * measurementTool.measurementCompleted.addEventListener(function (measurement) {
+ *   console.log(`${measurement.area} square meters`);
+ * });
+ * measurementTool.start();
+ */
+function MeasurementTool(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const scene = options.scene;
+  const arcType = defaultValue(options.arcType, ArcType.GEODESIC);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.scene", scene);
+  checkArcType(arcType);
+  //>>includeEnd('debug');
+
+  this._scene = scene;
+  this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+  this._type = defaultValue(options.type, MeasurementType.DISTANCE);
+  this._arcType = arcType;
+
+  /**
+   * The color of the lines and points.  Changes are drawn with the next update of the measurement.
+   *
+   * @type {Color}
+   * @default Color.YELLOW
+   */
+  this.color = Color.clone(defaultValue(options.color, Color.YELLOW));
+
+  /**
+   * The number of terrain samples taken for {@link MeasurementType.PROFILE}.
+   *
+   * @type {number}
+   * @default 100
+   */
+  this.profileSampleCount = defaultValue(options.profileSampleCount, 100);
+
+  /**
+   * Formats distances and heights for the labels.
+   *
+   * @type {MeasurementTool.FormatCallback}
+   * @default MeasurementTool.formatDistance
+   */
+  this.formatDistance = defaultValue(
+    options.formatDistance,
+    MeasurementTool.formatDistance
+  );
+
+  /**
+   * Formats areas for the labels.
+   *
+   * @type {MeasurementTool.FormatCallback}
+   * @default MeasurementTool.formatArea
+   */
+  this.formatArea = defaultValue(
+    options.formatArea,
+    MeasurementTool.formatArea
+  );
+
+  /**
+   * Formats bearings for the labels.
+   *
+   * @type {MeasurementTool.FormatCallback}
+   * @default MeasurementTool.formatBearing
+   */
+  this.formatBearing = defaultValue(
+    options.formatBearing,
+    MeasurementTool.formatBearing
+  );
+
+  this._positions = [];
+  this._floatingPosition = undefined;
+  this._measurement = undefined;
+  this._handler = undefined;
+  this._lastClickPosition = undefined;
+
+  this._measurementChanged = new Event();
+  this._measurementCompleted = new Event();
+
+  this._primitives = scene.primitives.add(new PrimitiveCollection());
+  this._polylines = this._primitives.add(new PolylineCollection());
+  this._points = this._primitives.add(new PointPrimitiveCollection());
+  this._labels = this._primitives.add(new LabelCollection());
+}
+
+Object.defineProperties(MeasurementTool.prototype, {
+  /**
+   * Gets the scene being measured.
+   * @memberof MeasurementTool.prototype
+   * @type {Scene}
+   * @readonly
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+
+  /**
+   * Gets the ellipsoid used for the measurements.
+   * @memberof MeasurementTool.prototype
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * Gets or sets the kind of measurement.  Setting the type clears the current measurement.
+   * @memberof MeasurementTool.prototype
+   * @type {MeasurementType}
+   */
+  type: {
+    get: function () {
+      return this._type;
+    },
+    set: function (value) {
+      if (value !== this._type) {
+        this.clear();
+        this._type = value;
+      }
+    },
+  },
+
+  /**
+   * Gets or sets the type of line between the positions, either {@link ArcType.GEODESIC} or {@link ArcType.RHUMB}.
+   * @memberof MeasurementTool.prototype
+   * @type {ArcType}
+   */
+  arcType: {
+    get: function () {
+      return this._arcType;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      checkArcType(value);
+      //>>includeEnd('debug');
+
+      if (value !== this._arcType) {
+        this._arcType = value;
+        update(this);
+      }
+    },
+  },
+
+  /**
+   * Gets whether the tool is picking positions from the mouse.
+   * @memberof MeasurementTool.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  active: {
+    get: function () {
+      return defined(this._handler);
+    },
+  },
+
+  /**
+   * Gets the positions of the current measurement.
+   * @memberof MeasurementTool.prototype
+   * @type {Cartesian3[]}
+   * @readonly
+   */
+  positions: {
+    get: function () {
+      return this._positions;
+    },
+  },
+
+  /**
+   * Gets the current measurement, including the position under the mouse while the tool is active, or
+   * <code>undefined</code> if there are not enough positions to measure.
+   * @memberof MeasurementTool.prototype
+   * @type {MeasurementTool.Measurement|undefined}
+   * @readonly
+   */
+  measurement: {
+    get: function () {
+      return this._measurement;
+    },
+  },
+
+  /**
+   * Gets an event that is raised with the current {@link MeasurementTool.Measurement} whenever it changes.
+   * @memberof MeasurementTool.prototype
+   * @type {Event}
+   * @readonly
+   */
+  measurementChanged: {
+    get: function () {
+      return this._measurementChanged;
+    },
+  },
+
+  /**
+   * Gets an event that is raised with the {@link MeasurementTool.Measurement} when a measurement is completed.
+   * @memberof MeasurementTool.prototype
+   * @type {Event}
+   * @readonly
+   */
+  measurementCompleted: {
+    get: function () {
+      return this._measurementCompleted;
+    },
+  },
+});
+
+/**
+ * Clears the current measurement and starts picking positions from the mouse.
+ */
+MeasurementTool.prototype.start = function () {
+  this.clear();
+
+  const that = this;
+  const handler = new ScreenSpaceEventHandler(this._scene.canvas);
+  handler.setInputAction(function (movement) {
+    // The second click of a double click is at the same position
+    if (Cartesian2.equals(movement.position, that._lastClickPosition)) {
+      return;
+    }
+    const position = pickPosition(that, movement.position);
+    if (defined(position)) {
+      that._lastClickPosition = Cartesian2.clone(movement.position);
+      that.addPosition(position);
+    }
+  }, ScreenSpaceEventType.LEFT_CLICK);
+  handler.setInputAction(function (movement) {
+    if (that._positions.length === 0) {
+      return;
+    }
+    that._floatingPosition = pickPosition(that, movement.endPosition);
+    update(that);
+  }, ScreenSpaceEventType.MOUSE_MOVE);
+  const finish = function () {
+    that.finish();
+  };
+  handler.setInputAction(finish, ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+  handler.setInputAction(finish, ScreenSpaceEventType.RIGHT_CLICK);
+  this._handler = handler;
+};
+
+/**
+ * Adds a position to the current measurement.  A {@link MeasurementType.HEIGHT} measurement is completed
+ * when its second position is added.
+ *
+ * @param {Cartesian3} position The position to add.
+ */
+MeasurementTool.prototype.addPosition = function (position) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("position", position);
+  //>>includeEnd('debug');
+
+  this._positions.push(Cartesian3.clone(position));
+  if (this._type === MeasurementType.HEIGHT && this._positions.length === 2) {
+    this.finish();
+    return;
+  }
+  update(this);
+};
+
+/**
+ * Stops picking positions from the mouse and completes the current measurement.  For {@link MeasurementType.PROFILE}
+ * the terrain heights are sampled before the measurement is completed.
+ *
+ * @returns {Promise<MeasurementTool.Measurement|undefined>} A promise that resolves to the completed measurement, or
+ *          <code>undefined</code> if there are not enough positions to measure.
+ */
+MeasurementTool.prototype.finish = async function () {
+  if (defined(this._handler)) {
+    this._handler = this._handler.destroy();
+  }
+  this._floatingPosition = undefined;
+  this._lastClickPosition = undefined;
+
+  const positions = this._positions;
+  const measurement = update(this);
+  if (!defined(measurement)) {
+    return undefined;
+  }
+
+  const globe = this._scene.globe;
+  if (
+    measurement.type === MeasurementType.PROFILE &&
+    defined(globe) &&
+    defined(globe.terrainProvider.availability)
+  ) {
+    const ellipsoid = this._ellipsoid;
+    measurement.profile = await sampleTerrainProfile(
+      globe.terrainProvider,
+      positions.map(function (position) {
+        return ellipsoid.cartesianToCartographic(position);
+      }),
+      {
+        sampleCount: this.profileSampleCount,
+        arcType: this._arcType,
+        ellipsoid: ellipsoid,
+      }
+    );
+
+    // The measurement was cleared while the terrain was sampled
+    if (this.isDestroyed() || positions !== this._positions) {
+      return undefined;
+    }
+  }
+
+  this._measurementCompleted.raiseEvent(measurement);
+  return measurement;
+};
+
+/**
+ * Stops picking positions from the mouse and removes the current measurement.
+ */
+MeasurementTool.prototype.clear = function () {
+  if (defined(this._handler)) {
+    this._handler = this._handler.destroy();
+  }
+  this._positions = [];
+  this._floatingPosition = undefined;
+  this._lastClickPosition = undefined;
+  this._measurement = undefined;
+  this._polylines.removeAll();
+  this._points.removeAll();
+  this._labels.removeAll();
+  this._scene.requestRender();
+};
+
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ * <br /><br />
+ * If this object was destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.
+ *
+ * @returns {boolean} <code>true</code> if this object was destroyed; otherwise, <code>false</code>.
+ *
+ * @see MeasurementTool#destroy
+ */
+MeasurementTool.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the WebGL resources held by this object and stops picking positions from the mouse.
+ * <br /><br />
+ * Once an object is destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.  Therefore,
+ * assign the return value (<code>undefined</code>) to the object as done in the example.
+ *
+ * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+ *
+ * @see MeasurementTool#isDestroyed
+ *
+ * @example
+ * measurementTool = measurementTool && measurementTool.destroy();
+ */
+MeasurementTool.prototype.destroy = function () {
+  if (defined(this._handler)) {
+    this._handler.destroy();
+  }
+  const primitives = this._scene.primitives;
+  if (!primitives.isDestroyed()) {
+    primitives.remove(this._primitives);
+  }
+  return destroyObject(this);
+};
+
+const scratchCartographicA = new Cartographic();
+const scratchCartographicB = new Cartographic();
+
+/**
+ * Computes the ground distance between two positions.
+ *
+ * @param {Cartesian3} start The first position.
+ * @param {Cartesian3} end The second position.
+ * @param {ArcType} [arcType=ArcType.GEODESIC] The type of line between the positions, either {@link ArcType.GEODESIC} or {@link ArcType.RHUMB}.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid on which the distance is measured.
+ * @returns {number} The distance along the surface of the ellipsoid, in meters.
+ */
+MeasurementTool.computeSurfaceDistance = function (
+  start,
+  end,
+  arcType,
+  ellipsoid
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("start", start);
+  Check.typeOf.object("end", end);
+  //>>includeEnd('debug');
+
+  const line = createLine(
+    start,
+    end,
+    defaultValue(arcType, ArcType.GEODESIC),
+    defaultValue(ellipsoid, Ellipsoid.WGS84)
+  );
+  return defined(line) ? line.surfaceDistance : 0.0;
+};
+
+/**
+ * Computes the bearing at the start of the line between two positions.
+ *
+ * @param {Cartesian3} start The first position.
+ * @param {Cartesian3} end The second position.
+ * @param {ArcType} [arcType=ArcType.GEODESIC] The type of line between the positions, either {@link ArcType.GEODESIC} or {@link ArcType.RHUMB}.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid on which the bearing is measured.
+ * @returns {number|undefined} The bearing in the range [0, 2 * PI), in radians clockwise from north, or
+ *          <code>undefined</code> if the positions are at the same longitude and latitude.
+ */
+MeasurementTool.computeBearing = function (start, end, arcType, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("start", start);
+  Check.typeOf.object("end", end);
+  //>>includeEnd('debug');
+
+  arcType = defaultValue(arcType, ArcType.GEODESIC);
+  const line = createLine(
+    start,
+    end,
+    arcType,
+    defaultValue(ellipsoid, Ellipsoid.WGS84)
+  );
+  if (!defined(line)) {
+    return undefined;
+  }
+  const heading = arcType === ArcType.RHUMB ? line.heading : line.startHeading;
+  return CesiumMath.zeroToTwoPi(heading);
+};
+
+/**
+ * Computes the surface area of a polygon on the ellipsoid with {@link PolygonHierarchy.computeArea}, so the heights
+ * of the positions are ignored.  Rhumb lines are approximated by geodesics between positions one degree apart
+ * along them.
+ *
+ * @param {Cartesian3[]} positions The positions of the polygon.
+ * @param {ArcType} [arcType=ArcType.GEODESIC] The type of line between the positions, either {@link ArcType.GEODESIC} or {@link ArcType.RHUMB}.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid on which the area is measured.
+ * @returns {number} The area in square meters.
+ */
+MeasurementTool.computeSurfaceArea = function (positions, arcType, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("positions", positions);
+  Check.typeOf.number.greaterThanOrEquals(
+    "positions.length",
+    positions.length,
+    3
+  );
+  //>>includeEnd('debug');
+
+  ellipsoid = defaultValue(ellipsoid, Ellipsoid.WGS84);
+  if (arcType === ArcType.RHUMB) {
+    positions = PolylinePipeline.generateCartesianRhumbArc({
+      positions: positions.concat(positions[0]),
+      ellipsoid: ellipsoid,
+    });
+    // The last position closes the polygon
+    positions.pop();
+  }
+  return PolygonHierarchy.computeArea(
+    new PolygonHierarchy(positions),
+    ellipsoid
+  );
+};
+
+/**
+ * Computes the vertical height between two positions.
+ *
+ * @param {Cartesian3} start The first position.
+ * @param {Cartesian3} end The second position.
+ * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid on which the heights are measured.
+ * @returns {number} The height of the second position above the first, in meters.  The height is negative if the second position is lower.
+ */
+MeasurementTool.computeHeight = function (start, end, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("start", start);
+  Check.typeOf.object("end", end);
+  //>>includeEnd('debug');
+
+  ellipsoid = defaultValue(ellipsoid, Ellipsoid.WGS84);
+  return (
+    ellipsoid.cartesianToCartographic(end, scratchCartographicB).height -
+    ellipsoid.cartesianToCartographic(start, scratchCartographicA).height
+  );
+};
+
+/**
+ * Formats a distance in meters, or in kilometers from 1000 meters.
+ *
+ * @param {number} distance The distance in meters.
+ * @returns {string} The formatted distance.
+ */
+MeasurementTool.formatDistance = function (distance) {
+  if (Math.abs(distance) >= 1000.0) {
+    return `${(distance / 1000.0).toFixed(2)} km`;
+  }
+  return `${distance.toFixed(2)} m`;
+};
+
+/**
+ * Formats an area in square meters, or in square kilometers from 1000000 square meters.
+ *
+ * @param {number} area The area in square meters.
+ * @returns {string} The formatted area.
+ */
+MeasurementTool.formatArea = function (area) {
+  if (area >= 1000000.0) {
+    return `${(area / 1000000.0).toFixed(2)} km²`;
+  }
+  return `${area.toFixed(2)} m²`;
+};
+
+/**
+ * Formats a bearing in degrees.
+ *
+ * @param {number} bearing The bearing in radians.
+ * @returns {string} The formatted bearing.
+ */
+MeasurementTool.formatBearing = function (bearing) {
+  return `${CesiumMath.toDegrees(bearing).toFixed(1)}°`;
+};
+
+/**
+ * A function that formats a value for the labels of a {@link MeasurementTool}.
+ * @callback MeasurementTool.FormatCallback
+ *
+ * @param {number} value The value in meters, square meters or radians.
+ * @returns {string} The text of the label.
+ */
+
+//>>includeStart('debug', pragmas.debug);
+function checkArcType(arcType) {
+  if (arcType !== ArcType.GEODESIC && arcType !== ArcType.RHUMB) {
+    throw new DeveloperError(
+      "arcType must be ArcType.GEODESIC or ArcType.RHUMB."
+    );
+  }
+}
+//>>includeEnd('debug');
+
+function createLine(start, end, arcType, ellipsoid) {
+  const startCartographic = ellipsoid.cartesianToCartographic(
+    start,
+    scratchCartographicA
+  );
+  const endCartographic = ellipsoid.cartesianToCartographic(
+    end,
+    scratchCartographicB
+  );
+  if (
+    Cartographic.equalsEpsilon(
+      startCartographic,
+      endCartographic,
+      CesiumMath.EPSILON12
+    )
+  ) {
+    return undefined;
+  }
+  return arcType === ArcType.RHUMB
+    ? new EllipsoidRhumbLine(startCartographic, endCartographic, ellipsoid)
+    : new EllipsoidGeodesic(startCartographic, endCartographic, ellipsoid);
+}
+
+const scratchPickRay = new Ray();
+
+function pickPosition(tool, windowPosition) {
+  const scene = tool._scene;
+  if (scene.pickPositionSupported) {
+    const position = scene.pickPosition(windowPosition);
+    if (defined(position)) {
+      return position;
+    }
+  }
+
+  const globe = scene.globe;
+  if (defined(globe)) {
+    const ray = scene.camera.getPickRay(windowPosition, scratchPickRay);
+    const position = defined(ray) ? globe.pick(ray, scene) : undefined;
+    if (defined(position)) {
+      return position;
+    }
+  }
+
+  return scene.camera.pickEllipsoid(windowPosition, tool._ellipsoid);
+}
+
+function getMinimumPositionCount(type) {
+  return type === MeasurementType.AREA ? 3 : 2;
+}
+
+function computeMeasurement(tool, positions) {
+  const type = tool._type;
+  if (positions.length < getMinimumPositionCount(type)) {
+    return undefined;
+  }
+
+  const arcType = tool._arcType;
+  const ellipsoid = tool._ellipsoid;
+  const measurement = {
+    type: type,
+    positions: positions.slice(),
+    distance: 0.0,
+    segmentDistances: [],
+    bearings: [],
+  };
+
+  const vertices =
+    type === MeasurementType.AREA ? positions.concat(positions[0]) : positions;
+  for (let i = 1; i < vertices.length; ++i) {
+    const distance = MeasurementTool.computeSurfaceDistance(
+      vertices[i - 1],
+      vertices[i],
+      arcType,
+      ellipsoid
+    );
+    measurement.segmentDistances.push(distance);
+    measurement.bearings.push(
+      MeasurementTool.computeBearing(
+        vertices[i - 1],
+        vertices[i],
+        arcType,
+        ellipsoid
+      )
+    );
+    measurement.distance += distance;
+  }
+
+  if (type === MeasurementType.AREA) {
+    measurement.area = MeasurementTool.computeSurfaceArea(
+      positions,
+      arcType,
+      ellipsoid
+    );
+  } else if (type === MeasurementType.HEIGHT) {
+    measurement.height = MeasurementTool.computeHeight(
+      positions[0],
+      positions[1],
+      ellipsoid
+    );
+  }
+
+  return measurement;
+}
+
+const labelPixelOffset = new Cartesian2(0.0, -10.0);
+
+function addLabel(tool, position, text) {
+  tool._labels.add({
+    position: position,
+    text: text,
+    font: "14px sans-serif",
+    showBackground: true,
+    verticalOrigin: VerticalOrigin.BOTTOM,
+    pixelOffset: labelPixelOffset,
+    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+  });
+}
+
+function createMaterial(tool) {
+  return Material.fromType(Material.ColorType, {
+    color: tool.color,
+  });
+}
+
+function addLine(tool, positions) {
+  const arcType = tool._arcType;
+  const ellipsoid = tool._ellipsoid;
+  const heights = positions.map(function (position) {
+    return ellipsoid.cartesianToCartographic(
+      position,
+      scratchCartographicA
+    ).height;
+  });
+  const options = {
+    positions: positions,
+    height: heights,
+    ellipsoid: ellipsoid,
+  };
+  tool._polylines.add({
+    positions:
+      arcType === ArcType.RHUMB
+        ? PolylinePipeline.generateCartesianRhumbArc(options)
+        : PolylinePipeline.generateCartesianArc(options),
+    width: 2.0,
+    material: createMaterial(tool),
+  });
+}
+
+function computeMidpoint(tool, start, end) {
+  const ellipsoid = tool._ellipsoid;
+  const line = createLine(start, end, tool._arcType, ellipsoid);
+  if (!defined(line)) {
+    return Cartesian3.clone(start);
+  }
+  const midpoint = line.interpolateUsingFraction(0.5, scratchCartographicA);
+  midpoint.height =
+    0.5 *
+    (ellipsoid.cartesianToCartographic(start, scratchCartographicB).height +
+      ellipsoid.cartesianToCartographic(end, scratchCartographicB).height);
+  return ellipsoid.cartographicToCartesian(midpoint);
+}
+
+function computeLabelPosition(tool, positions) {
+  const ellipsoid = tool._ellipsoid;
+  let height = Number.NEGATIVE_INFINITY;
+  const center = new Cartesian3();
+  for (let i = 0; i < positions.length; ++i) {
+    Cartesian3.add(center, positions[i], center);
+    height = Math.max(
+      height,
+      ellipsoid.cartesianToCartographic(positions[i], scratchCartographicA)
+        .height
+    );
+  }
+  Cartesian3.divideByScalar(center, positions.length, center);
+  const cartographic = ellipsoid.cartesianToCartographic(
+    center,
+    scratchCartographicA
+  );
+  cartographic.height = height;
+  return ellipsoid.cartographicToCartesian(cartographic);
+}
+
+function updateGraphics(tool, positions) {
+  const measurement = tool._measurement;
+  const polylines = tool._polylines;
+  const points = tool._points;
+  tool._labels.removeAll();
+  polylines.removeAll();
+  points.removeAll();
+
+  for (let i = 0; i < positions.length; ++i) {
+    points.add({
+      position: positions[i],
+      color: tool.color,
+      pixelSize: 8.0,
+      outlineColor: Color.WHITE,
+      outlineWidth: 1.0,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    });
+  }
+
+  tool._scene.requestRender();
+  if (positions.length < 2) {
+    return;
+  }
+
+  const type = tool._type;
+  if (type === MeasurementType.HEIGHT) {
+    const ellipsoid = tool._ellipsoid;
+    const height = measurement.height;
+    const lower = height >= 0.0 ? positions[0] : positions[1];
+    const upper = height >= 0.0 ? positions[1] : positions[0];
+
+    // The vertical leg rises from the lower position to the height of the upper one
+    const corner = ellipsoid.cartesianToCartographic(lower);
+    corner.height = ellipsoid.cartesianToCartographic(
+      upper,
+      scratchCartographicA
+    ).height;
+    const cornerPosition = ellipsoid.cartographicToCartesian(corner);
+
+    addLine(tool, positions);
+    polylines.add({
+      positions: [lower, cornerPosition, upper],
+      width: 1.0,
+      material: createMaterial(tool),
+    });
+    addLabel(
+      tool,
+      Cartesian3.midpoint(lower, cornerPosition, new Cartesian3()),
+      tool.formatDistance(Math.abs(height))
+    );
+    return;
+  }
+
+  const vertices =
+    type === MeasurementType.AREA && positions.length > 2
+      ? positions.concat(positions[0])
+      : positions;
+  addLine(tool, vertices);
+
+  if (type === MeasurementType.AREA) {
+    if (defined(measurement)) {
+      addLabel(
+        tool,
+        computeLabelPosition(tool, positions),
+        tool.formatArea(measurement.area)
+      );
+    }
+    return;
+  }
+
+  for (let i = 1; i < positions.length; ++i) {
+    const bearing = measurement.bearings[i - 1];
+    let text = tool.formatDistance(measurement.segmentDistances[i - 1]);
+    if (defined(bearing)) {
+      text += `, ${tool.formatBearing(bearing)}`;
+    }
+    addLabel(tool, computeMidpoint(tool, positions[i - 1], positions[i]), text);
+  }
+  if (positions.length > 2) {
+    addLabel(
+      tool,
+      positions[positions.length - 1],
+      tool.formatDistance(measurement.distance)
+    );
+  }
+}
+
+function update(tool) {
+  const positions = defined(tool._floatingPosition)
+    ? tool._positions.concat(tool._floatingPosition)
+    : tool._positions;
+  tool._measurement = computeMeasurement(tool, positions);
+  updateGraphics(tool, positions);
+  tool._measurementChanged.raiseEvent(tool._measurement);
+  return tool._measurement;
+}
+
+export default MeasurementTool;
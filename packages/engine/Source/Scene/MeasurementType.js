@@ -0,0 +1,39 @@
+/**
+ * The kind of measurement taken by a {@link MeasurementTool}.
+ *
+ * @enum {number}
+ */
+const MeasurementType = {
+  /**
+   * The ground distance along a polyline, with the bearing of each segment.
+   *
+   * @type {number}
+   * @constant
+   */
+  DISTANCE: 0,
+
+  /**
+   * The surface area of a polygon.
+   *
+   * @type {number}
+   * @constant
+   */
+  AREA: 1,
+
+  /**
+   * The vertical height between two points.
+   *
+   * @type {number}
+   * @constant
+   */
+  HEIGHT: 2,
+
+  /**
+   * The ground distance along a polyline and the terrain heights sampled along it.
+   *
+   * @type {number}
+   * @constant
+   */
+  PROFILE: 3,
+};
+export default Object.freeze(MeasurementType);
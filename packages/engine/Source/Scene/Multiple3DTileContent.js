@@ -515,7 +515,8 @@ async function createInnerContent(multipleContents, arrayBuffer, index) {
   }
 
   try {
-    const preprocessed = preprocess3DTileContent(arrayBuffer);
+    const resource = multipleContents._innerContentResources[index];
+    const preprocessed = preprocess3DTileContent(arrayBuffer, resource);
 
     if (preprocessed.contentType === Cesium3DTileContentType.EXTERNAL_TILESET) {
       throw new RuntimeError(
@@ -529,7 +530,6 @@ async function createInnerContent(multipleContents, arrayBuffer, index) {
       preprocessed.contentType === Cesium3DTileContentType.VECTOR;
 
     const tileset = multipleContents._tileset;
-    const resource = multipleContents._innerContentResources[index];
     const tile = multipleContents._tile;
 
     let content;
@@ -0,0 +1,400 @@
+import Check from "../Core/Check.js";
+import Credit from "../Core/Credit.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import Event from "../Core/Event.js";
+import loadImageFromTypedArray from "../Core/loadImageFromTypedArray.js";
+import PMTilesArchive from "../Core/PMTilesArchive.js";
+import Rectangle from "../Core/Rectangle.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
+import DiscardEmptyTileImagePolicy from "./DiscardEmptyTileImagePolicy.js";
+
+/**
+ * @typedef {object} PMTilesImageryProvider.ConstructorOptions
+ *
+ * Initialization options for the PMTilesImageryProvider constructor
+ *
+ * @property {Credit|string} [credit] A credit for the data source, which is displayed on the canvas.  If not specified, the
+ *                 <code>attribution</code> of the archive metadata is used.
+ * @property {number} [minimumLevel=0] The minimum level-of-detail supported by the imagery provider.  Take care when specifying
+ *                 this that the number of tiles at the minimum level is small, such as four or less.  A larger number is likely
+ *                 to result in rendering problems.
+ * @property {number} [maximumLevel] The maximum level-of-detail supported by the imagery provider.  If not specified, the
+ *                 maximum level of the archive is used.
+ * @property {Rectangle} [rectangle] The rectangle, in radians, covered by the image.  If not specified, the bounds of the archive are used.
+ * @property {Ellipsoid} [ellipsoid] The ellipsoid.  If not specified, the WGS84 ellipsoid is used.
+ * @property {number} [tileWidth=256] Pixel width of image tiles.
+ * @property {number} [tileHeight=256] Pixel height of image tiles.
+ * @property {TileDiscardPolicy} [tileDiscardPolicy] The policy that determines if a tile is invalid and should be discarded.
+ *                 By default, a {@link DiscardEmptyTileImagePolicy} is used, which discards tiles missing from the archive.
+ * @property {number} [maximumCachedDirectories=64] The number of leaf directories of the archive to keep in memory.
+ */
+
+/**
+ * <div class="notice">
+ * To construct a PMTilesImageryProvider, call {@link PMTilesImageryProvider.fromUrl}. Do not call the constructor directly.
+ * </div>
+ *
+ * Provides imagery from a PMTiles archive of PNG, JPEG, WebP or AVIF tiles.  The archive is a single file that is
+ * read with HTTP range requests, so the server must support the <code>Range</code> header.
+ * <p>
+ * Archives of vector tiles can be drawn with a {@link VectorTileImageryProvider} that requests tiles with a {@link PMTilesResource}.
+ * </p>
+ *
+ * @alias PMTilesImageryProvider
+ * @constructor
+ *
+ * @param {PMTilesImageryProvider.ConstructorOptions} [options] Object describing initialization options
+ *
+ * @example
+ * const provider = await Cesium.PMTilesImageryProvider.fromUrl(
+ *   "https://example.com/imagery/satellite.pmtiles"
+ * );
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @see PMTilesArchive
+ * @see UrlTemplateImageryProvider
+ * @see {@link https://github.com/protomaps/PMTiles|PMTiles}
+ */
+function PMTilesImageryProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._errorEvent = new Event();
+
+  this._archive = undefined;
+  this._tilingScheme = new WebMercatorTilingScheme({
+    ellipsoid: options.ellipsoid,
+  });
+  this._tileWidth = defaultValue(options.tileWidth, 256);
+  this._tileHeight = defaultValue(options.tileHeight, 256);
+  this._minimumLevel = defaultValue(options.minimumLevel, 0);
+  this._maximumLevel = options.maximumLevel;
+  this._rectangle = options.rectangle;
+
+  this._tileDiscardPolicy = options.tileDiscardPolicy;
+  if (!defined(this._tileDiscardPolicy)) {
+    this._tileDiscardPolicy = new DiscardEmptyTileImagePolicy();
+  }
+
+  let credit = options.credit;
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._defaultAlpha = undefined;
+  this._defaultNightAlpha = undefined;
+  this._defaultDayAlpha = undefined;
+  this._defaultBrightness = undefined;
+  this._defaultContrast = undefined;
+  this._defaultHue = undefined;
+  this._defaultSaturation = undefined;
+  this._defaultGamma = undefined;
+  this._defaultMinificationFilter = undefined;
+  this._defaultMagnificationFilter = undefined;
+}
+
+Object.defineProperties(PMTilesImageryProvider.prototype, {
+  /**
+   * Gets the URL of the archive.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {string}
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._archive.url;
+    },
+  },
+
+  /**
+   * Gets the proxy used by this provider.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {Proxy}
+   * @readonly
+   * @default undefined
+   */
+  proxy: {
+    get: function () {
+      return this._archive._resource.proxy;
+    },
+  },
+
+  /**
+   * Gets the archive from which tiles are read.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {PMTilesArchive}
+   * @readonly
+   */
+  archive: {
+    get: function () {
+      return this._archive;
+    },
+  },
+
+  /**
+   * Gets the width of each tile, in pixels.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   * @default 256
+   */
+  tileWidth: {
+    get: function () {
+      return this._tileWidth;
+    },
+  },
+
+  /**
+   * Gets the height of each tile, in pixels.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   * @default 256
+   */
+  tileHeight: {
+    get: function () {
+      return this._tileHeight;
+    },
+  },
+
+  /**
+   * Gets the maximum level-of-detail that can be requested.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {number|undefined}
+   * @readonly
+   */
+  maximumLevel: {
+    get: function () {
+      return this._maximumLevel;
+    },
+  },
+
+  /**
+   * Gets the minimum level-of-detail that can be requested.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   * @default 0
+   */
+  minimumLevel: {
+    get: function () {
+      return this._minimumLevel;
+    },
+  },
+
+  /**
+   * Gets the tiling scheme used by this provider.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, of the imagery provided by this instance.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the tile discard policy.  If not undefined, the discard policy is responsible
+   * for filtering out "missing" tiles via its shouldDiscardImage function.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {TileDiscardPolicy}
+   * @readonly
+   */
+  tileDiscardPolicy: {
+    get: function () {
+      return this._tileDiscardPolicy;
+    },
+  },
+
+  /**
+   * Gets an event that is raised when the imagery provider encounters an asynchronous error.  By subscribing
+   * to the event, you will be notified of the error and can potentially recover from it.  Event listeners
+   * are passed an instance of {@link TileProviderError}.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * Gets the credit to display when this imagery provider is active.  Typically this is used to credit
+   * the source of the imagery.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the images provided by this imagery provider
+   * include an alpha channel.  PNG, WebP and AVIF tiles may be transparent, so this is false only for JPEG tiles.
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasAlphaChannel: {
+    get: function () {
+      return this._archive.tileType !== PMTilesArchive.TileType.JPEG;
+    },
+  },
+});
+
+const supportedTileTypes = [
+  PMTilesArchive.TileType.PNG,
+  PMTilesArchive.TileType.JPEG,
+  PMTilesArchive.TileType.WEBP,
+  PMTilesArchive.TileType.AVIF,
+];
+
+/**
+ * Creates a provider for a PMTiles archive.  Only the header, root directory and metadata of the archive are read
+ * before the provider is created.
+ *
+ * @param {Resource|string} url The url of the archive.
+ * @param {PMTilesImageryProvider.ConstructorOptions} [options] Object describing initialization options.
+ * @returns {Promise<PMTilesImageryProvider>} A promise that resolves to the created provider.
+ *
+ * @example
+ * const provider = await Cesium.PMTilesImageryProvider.fromUrl(
+ *   "https://example.com/imagery/satellite.pmtiles",
+ *   {
+ *     maximumLevel: 14,
+ *   }
+ * );
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @exception {RuntimeError} The file is not a PMTiles archive.
+ * @exception {RuntimeError} Unsupported PMTiles version.
+ * @exception {RuntimeError} The PMTiles archive does not contain images.
+ */
+PMTilesImageryProvider.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const archive = await PMTilesArchive.fromUrl(url, {
+    maximumCachedDirectories: options.maximumCachedDirectories,
+  });
+
+  if (supportedTileTypes.indexOf(archive.tileType) === -1) {
+    throw new RuntimeError(
+      `The PMTiles archive does not contain images.  Its tile type is ${archive.tileType}.`
+    );
+  }
+
+  const provider = new PMTilesImageryProvider(options);
+  provider._archive = archive;
+
+  const rectangle = defaultValue(options.rectangle, archive.rectangle);
+  provider._rectangle = Rectangle.intersection(
+    rectangle,
+    provider._tilingScheme.rectangle
+  );
+
+  if (!defined(options.maximumLevel)) {
+    provider._maximumLevel = archive.maximumLevel;
+  }
+
+  const attribution = archive.metadata.attribution;
+  if (!defined(provider._credit) && typeof attribution === "string") {
+    provider._credit = new Credit(attribution);
+  }
+
+  return provider;
+};
+
+/**
+ * Gets the credits to be displayed when a given tile is displayed.
+ *
+ * @param {number} x The tile X coordinate.
+ * @param {number} y The tile Y coordinate.
+ * @param {number} level The tile level;
+ * @returns {Credit[]} The credits to be displayed when the tile is displayed.
+ */
+PMTilesImageryProvider.prototype.getTileCredits = function (x, y, level) {
+  return undefined;
+};
+
+/**
+ * Requests the image for a given tile.
+ *
+ * @param {number} x The tile X coordinate.
+ * @param {number} y The tile Y coordinate.
+ * @param {number} level The tile level.
+ * @param {Request} [request] The request object. Intended for internal use only.
+ * @returns {Promise<ImageryTypes>|undefined} A promise for the image that will resolve when the image is available, or
+ *          undefined if there are too many active requests to the server, and the request should be retried later.
+ */
+PMTilesImageryProvider.prototype.requestImage = function (
+  x,
+  y,
+  level,
+  request
+) {
+  const archive = this._archive;
+  const promise = archive.requestTile(level, x, y, request);
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  return promise.then(function (data) {
+    // Tiles missing from the archive are discarded by the default tile discard policy
+    if (!defined(data)) {
+      return DiscardEmptyTileImagePolicy.EMPTY_IMAGE;
+    }
+
+    return loadImageFromTypedArray({
+      uint8Array: data,
+      format: archive.mimeType,
+      flipY: true,
+    });
+  });
+};
+
+/**
+ * Picking features is not currently supported by this imagery provider, so this function simply returns
+ * undefined.
+ *
+ * @param {number} x The tile X coordinate.
+ * @param {number} y The tile Y coordinate.
+ * @param {number} level The tile level.
+ * @param {number} longitude The longitude at which to pick features.
+ * @param {number} latitude  The latitude at which to pick features.
+ * @return {undefined} Undefined since picking is not supported.
+ */
+PMTilesImageryProvider.prototype.pickFeatures = function (
+  x,
+  y,
+  level,
+  longitude,
+  latitude
+) {
+  return undefined;
+};
+
+export default PMTilesImageryProvider;
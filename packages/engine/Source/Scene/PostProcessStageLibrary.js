@@ -1,8 +1,13 @@
 import buildModuleUrl from "../Core/buildModuleUrl.js";
 import Color from "../Core/Color.js";
 import createGuid from "../Core/createGuid.js";
+import Cartesian4 from "../Core/Cartesian4.js";
+import CesiumMath from "../Core/Math.js";
+import defaultValue from "../Core/defaultValue.js";
 import defined from "../Core/defined.js";
 import Ellipsoid from "../Core/Ellipsoid.js";
+import JulianDate from "../Core/JulianDate.js";
+import Rectangle from "../Core/Rectangle.js";
 import AcesTonemapping from "../Shaders/PostProcessStages/AcesTonemappingStage.js";
 import AmbientOcclusionGenerate from "../Shaders/PostProcessStages/AmbientOcclusionGenerate.js";
 import AmbientOcclusionModulate from "../Shaders/PostProcessStages/AmbientOcclusionModulate.js";
@@ -21,8 +26,10 @@ import ModifiedReinhardTonemapping from "../Shaders/PostProcessStages/ModifiedRe
 import NightVision from "../Shaders/PostProcessStages/NightVision.js";
 import ReinhardTonemapping from "../Shaders/PostProcessStages/ReinhardTonemapping.js";
 import Silhouette from "../Shaders/PostProcessStages/Silhouette.js";
+import VolumetricClouds from "../Shaders/PostProcessStages/VolumetricClouds.js";
 import FXAA3_11 from "../Shaders/FXAA3_11.js";
 import AutoExposure from "./AutoExposure.js";
+import createEquirectangularImage from "./createEquirectangularImage.js";
 import PostProcessStage from "./PostProcessStage.js";
 import PostProcessStageComposite from "./PostProcessStageComposite.js";
 import PostProcessStageSampleMode from "./PostProcessStageSampleMode.js";
@@ -835,4 +842,131 @@ PostProcessStageLibrary.createLensFlareStage = function () {
     },
   });
 };
+
+function createSolidCanvas(color) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 1;
+  canvas.height = 1;
+  const context = canvas.getContext("2d");
+  context.fillStyle = color;
+  context.fillRect(0, 0, 1, 1);
+  return canvas;
+}
+
+function rectangleToCartesian4(rectangle) {
+  return new Cartesian4(
+    rectangle.west,
+    rectangle.south,
+    rectangle.east,
+    rectangle.north
+  );
+}
+
+/**
+ * Creates a post-process stage that ray marches a global layer of volumetric clouds between two heights above the ellipsoid.
+ * The amount of cloud at each location is read from a coverage texture, which can be an image of cloud cover such as
+ * satellite weather imagery, and is shaped by noise that moves with the wind as the clock advances. Clouds are lit by the
+ * scene light with the same atmosphere scattering as {@link SkyAtmosphere} and the ground atmosphere, and cast shadows onto
+ * the globe and other opaque geometry.
+ * <p>
+ * This stage has the following uniforms: <code>coverageTexture</code>, <code>coverageRectangle</code>, <code>coverage</code>,
+ * <code>cloudBase</code>, <code>cloudTop</code>, <code>density</code>, <code>noiseScale</code>, <code>windSpeed</code>,
+ * <code>windDirection</code>, <code>shadowStrength</code>, and <code>time</code>.
+ * <ul>
+ * <li><code>coverageTexture</code> is the texture sampled for the amount of cloud, using the luminance multiplied by the alpha of each pixel.
+ * When no texture or imagery provider is given, the whole globe is covered.</li>
+ * <li><code>coverageRectangle</code> is a {@link Cartesian4} with the west, south, east, and north edges, in radians, of the area covered by the coverage
+ * texture, which uses a geographic projection. There are no clouds outside of it. The default value covers the whole globe.</li>
+ * <li><code>coverage</code> is a scalar from 0.0 to 1.0 multiplied by the coverage texture. The default value is <code>0.5</code>.</li>
+ * <li><code>cloudBase</code> is the height of the bottom of the cloud layer in meters. The default value is <code>1500.0</code>.</li>
+ * <li><code>cloudTop</code> is the height of the top of the cloud layer in meters. The default value is <code>6000.0</code>.</li>
+ * <li><code>density</code> is the extinction coefficient of the thickest clouds per meter. The default value is <code>0.002</code>.</li>
+ * <li><code>noiseScale</code> is the size of the noise shaping the clouds in meters. The default value is <code>20000.0</code>.</li>
+ * <li><code>windSpeed</code> is the speed the clouds move in meters per second. The default value is <code>15.0</code>.</li>
+ * <li><code>windDirection</code> is the direction the clouds move toward, in radians clockwise from north. The default value is <code>0.0</code>.</li>
+ * <li><code>shadowStrength</code> is a scalar from 0.0 to 1.0 for how much the clouds darken the surface below them. The default value is <code>0.6</code>.</li>
+ * <li><code>time</code> is the time the wind has moved the clouds for, in seconds. By default it is the number of seconds between the current time
+ * of <code>options.clock</code> and its current time when the stage was created, or <code>0.0</code> without a clock.</li>
+ * </ul>
+ * </p>
+ *
+ * @param {object} [options] Object with the following properties:
+ * @param {string|HTMLCanvasElement|HTMLImageElement|ImageBitmap} [options.coverageTexture] The coverage texture, or the url of an image for it.
+ * @param {Rectangle} [options.coverageRectangle=Rectangle.MAX_VALUE] The area covered by the coverage texture.
+ * @param {ImageryProvider} [options.imageryProvider] An imagery provider whose tiles are drawn into the coverage texture, used instead of <code>options.coverageTexture</code>.
+ * The area covered is the rectangle of its tiling scheme. There are no clouds until the tiles have loaded.
+ * @param {number} [options.imageryLevel=2] The level of the imagery provider's tiles to draw, clamped to the levels of the imagery provider.
+ * @param {Clock} [options.clock] The clock whose current time drives the wind.
+ * @return {PostProcessStage} A post-process stage that renders volumetric clouds.
+ *
+ * @example
+ * const clouds = Cesium.PostProcessStageLibrary.createVolumetricCloudsStage({
+ *   imageryProvider: cloudCoverImageryProvider,
+ *   clock: viewer.clock,
+ * });
+ * clouds.uniforms.windSpeed = 25.0;
+ * clouds.uniforms.windDirection = Cesium.Math.toRadians(270.0);
+ * viewer.scene.postProcessStages.add(clouds);
+ */
+PostProcessStageLibrary.createVolumetricCloudsStage = function (options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const clock = options.clock;
+  const imageryProvider = options.imageryProvider;
+
+  let coverageTexture = options.coverageTexture;
+  let coverageRectangle = defaultValue(
+    options.coverageRectangle,
+    Rectangle.MAX_VALUE
+  );
+  if (defined(imageryProvider)) {
+    coverageTexture = createSolidCanvas("black");
+    coverageRectangle = imageryProvider.tilingScheme.rectangle;
+  } else if (!defined(coverageTexture)) {
+    coverageTexture = createSolidCanvas("white");
+  }
+
+  const epoch = defined(clock)
+    ? JulianDate.clone(clock.currentTime)
+    : undefined;
+
+  const stage = new PostProcessStage({
+    name: "czm_volumetric_clouds",
+    fragmentShader: VolumetricClouds,
+    uniforms: {
+      coverageTexture: coverageTexture,
+      coverageRectangle: rectangleToCartesian4(coverageRectangle),
+      coverage: 0.5,
+      cloudBase: 1500.0,
+      cloudTop: 6000.0,
+      density: 0.002,
+      noiseScale: 20000.0,
+      windSpeed: 15.0,
+      windDirection: 0.0,
+      shadowStrength: 0.6,
+      time: function () {
+        if (!defined(clock)) {
+          return 0.0;
+        }
+        return JulianDate.secondsDifference(clock.currentTime, epoch);
+      },
+    },
+  });
+
+  if (defined(imageryProvider)) {
+    const level = CesiumMath.clamp(
+      defaultValue(options.imageryLevel, 2),
+      defaultValue(imageryProvider.minimumLevel, 0),
+      defaultValue(imageryProvider.maximumLevel, Number.POSITIVE_INFINITY)
+    );
+    createEquirectangularImage(imageryProvider, level).then(function (result) {
+      stage.uniforms.coverageTexture = result.canvas;
+      stage.uniforms.coverageRectangle = rectangleToCartesian4(
+        result.rectangle
+      );
+    });
+  }
+
+  return stage;
+};
+
 export default PostProcessStageLibrary;
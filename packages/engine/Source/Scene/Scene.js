@@ -2282,6 +2282,23 @@ function executeVoxelCommands(scene, executeFunction, passState, commands) {
   }
 }
 
+function executeGaussianSplatCommands(
+  scene,
+  executeFunction,
+  passState,
+  commands
+) {
+  const context = scene.context;
+
+  // Each command sorts its own splats, so only the commands need to be sorted back to front
+  mergeSort(commands, backToFront, scene.camera.positionWC);
+
+  const length = commands.length;
+  for (let i = 0; i < length; ++i) {
+    executeFunction(commands[i], scene, context, passState);
+  }
+}
+
 const scratchPerspectiveFrustum = new PerspectiveFrustum();
 const scratchPerspectiveOffCenterFrustum = new PerspectiveOffCenterFrustum();
 const scratchOrthographicFrustum = new OrthographicFrustum();
@@ -2648,6 +2665,11 @@ function executeCommands(scene, passState) {
       invertClassification = scene._invertClassification;
     }
 
+    uniformState.updatePass(Pass.GAUSSIAN_SPLATS);
+    commands = frustumCommands.commands[Pass.GAUSSIAN_SPLATS];
+    commands.length = frustumCommands.indices[Pass.GAUSSIAN_SPLATS];
+    executeGaussianSplatCommands(scene, executeCommand, passState, commands);
+
     uniformState.updatePass(Pass.TRANSLUCENT);
     commands = frustumCommands.commands[Pass.TRANSLUCENT];
     commands.length = frustumCommands.indices[Pass.TRANSLUCENT];
@@ -2751,6 +2773,13 @@ function executeCommands(scene, passState) {
       executeIdCommand(commands[j], scene, context, passState);
     }
 
+    uniformState.updatePass(Pass.GAUSSIAN_SPLATS);
+    commands = frustumCommands.commands[Pass.GAUSSIAN_SPLATS];
+    length = frustumCommands.indices[Pass.GAUSSIAN_SPLATS];
+    for (j = 0; j < length; ++j) {
+      executeIdCommand(commands[j], scene, context, passState);
+    }
+
     uniformState.updatePass(Pass.TRANSLUCENT);
     commands = frustumCommands.commands[Pass.TRANSLUCENT];
     length = frustumCommands.indices[Pass.TRANSLUCENT];
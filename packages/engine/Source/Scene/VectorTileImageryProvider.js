@@ -0,0 +1,1095 @@
+import Cartesian2 from "../Core/Cartesian2.js";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import Credit from "../Core/Credit.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import Event from "../Core/Event.js";
+import Rectangle from "../Core/Rectangle.js";
+import Resource from "../Core/Resource.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import TaskProcessor from "../Core/TaskProcessor.js";
+import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
+import ImageryLayerFeatureInfo from "./ImageryLayerFeatureInfo.js";
+import VectorTileStyle from "./VectorTileStyle.js";
+
+const GeometryType = VectorTileStyle.GeometryType;
+
+const decodeTaskProcessor = new TaskProcessor("decodeVectorTilePacket");
+
+/**
+ * @typedef {object} VectorTileImageryProvider.ConstructorOptions
+ *
+ * Initialization options for the VectorTileImageryProvider constructor
+ *
+ * @property {Resource|string} url The URL template to use to request vector tiles.  It has the following keywords:
+ * <ul>
+ *     <li><code>{z}</code>: The level of the tile in the tiling scheme.  Level zero is the root of the quadtree pyramid.</li>
+ *     <li><code>{x}</code>: The tile X coordinate in the tiling scheme, where 0 is the Westernmost tile.</li>
+ *     <li><code>{y}</code>: The tile Y coordinate in the tiling scheme, where 0 is the Northernmost tile.</li>
+ *     <li><code>{reverseY}</code>: The tile Y coordinate in the tiling scheme, where 0 is the Southernmost tile.</li>
+ * </ul>
+ * @property {object} [style] A Mapbox GL style JSON object used to draw the tiles.  If not specified, every feature is drawn in white.
+ * @property {string} [source] The name of the source in the style that references the tiles.  If not specified, the first
+ *                 <code>vector</code> source in the style is used.
+ * @property {Credit|string} [credit] A credit for the data source, which is displayed on the canvas.
+ * @property {number} [minimumLevel=0] The minimum level-of-detail supported by the imagery provider.
+ * @property {number} [maximumLevel] The maximum level-of-detail supported by the imagery provider, or undefined if there is no limit.
+ * @property {number} [maximumNativeLevel] The maximum level-of-detail for which vector tiles exist on the server.  Tiles requested
+ *                 above this level are drawn at full resolution from the geometry of their ancestor at this level.  If not specified,
+ *                 the <code>maxzoom</code> of the style source, or else <code>maximumLevel</code>, is used.
+ * @property {Rectangle} [rectangle=Rectangle.MAX_VALUE] The rectangle, in radians, covered by the tiles.
+ * @property {TilingScheme} [tilingScheme=WebMercatorTilingScheme] The tiling scheme specifying how the ellipsoidal
+ * surface is broken into tiles.
+ * @property {Ellipsoid} [ellipsoid] The ellipsoid.  If the tilingScheme is specified,
+ *                    this parameter is ignored and the tiling scheme's ellipsoid is used instead. If neither
+ *                    parameter is specified, the WGS84 ellipsoid is used.
+ * @property {number} [tileWidth=256] Pixel width of the drawn image tiles.
+ * @property {number} [tileHeight=256] Pixel height of the drawn image tiles.
+ * @property {boolean} [enablePickFeatures=true] If true, {@link VectorTileImageryProvider#pickFeatures} will return the
+ *                 features drawn at the picked location.
+ * @property {number} [pickTolerance=3] The distance, in pixels, within which a line or circle is considered picked.
+ * @property {number} [maximumCachedTiles=64] The number of decoded tiles to keep in memory for picking and overzoomed drawing.
+ */
+
+/**
+ * Provides imagery by requesting Mapbox Vector Tiles and drawing them on the client according to a Mapbox GL style.
+ * Tiles are decoded in a web worker.  <code>background</code>, <code>fill</code>, <code>line</code> and
+ * <code>circle</code> style layers are drawn; other layer types, such as <code>symbol</code>, are ignored.
+ *
+ * @alias VectorTileImageryProvider
+ * @constructor
+ *
+ * @param {VectorTileImageryProvider.ConstructorOptions} options Object describing initialization options
+ *
+ * @example
+ * const provider = new Cesium.VectorTileImageryProvider({
+ *   url: "https://example.com/tiles/{z}/{x}/{y}.pbf",
+ *   maximumNativeLevel: 14,
+ *   style: {
+ *     version: 8,
+ *     sources: {
+ *       parcels: { type: "vector" },
+ *     },
+ *     layers: [
+ *       {
+ *         id: "parcel-fill",
+ *         type: "fill",
+ *         source: "parcels",
+ *         "source-layer": "parcels",
+ *         paint: { "fill-color": "#088", "fill-opacity": 0.5 },
+ *       },
+ *     ],
+ *   },
+ * });
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @see VectorTileImageryProvider.fromUrl
+ * @see UrlTemplateImageryProvider
+ * @see {@link https://github.com/mapbox/vector-tile-spec|Mapbox Vector Tile Specification}
+ * @see {@link https://docs.mapbox.com/style-spec/|Mapbox Style Specification}
+ */
+function VectorTileImageryProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.url", options.url);
+  //>>includeEnd('debug');
+
+  this._errorEvent = new Event();
+
+  this._resource = Resource.createIfNeeded(options.url);
+  this._style = new VectorTileStyle(options.style, options.source);
+
+  const source = defaultValue(this._style.source, defaultValue.EMPTY_OBJECT);
+
+  this._tileWidth = defaultValue(options.tileWidth, 256);
+  this._tileHeight = defaultValue(options.tileHeight, 256);
+  this._minimumLevel = defaultValue(options.minimumLevel, 0);
+  this._maximumLevel = options.maximumLevel;
+  this._maximumNativeLevel = defaultValue(
+    options.maximumNativeLevel,
+    defaultValue(source.maxzoom, options.maximumLevel)
+  );
+  this._tilingScheme = defaultValue(
+    options.tilingScheme,
+    new WebMercatorTilingScheme({ ellipsoid: options.ellipsoid })
+  );
+
+  this._rectangle = defaultValue(
+    options.rectangle,
+    this._tilingScheme.rectangle
+  );
+  this._rectangle = Rectangle.intersection(
+    this._rectangle,
+    this._tilingScheme.rectangle
+  );
+
+  let credit = options.credit;
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._pickTolerance = defaultValue(options.pickTolerance, 3.0);
+  this._maximumCachedTiles = defaultValue(options.maximumCachedTiles, 64);
+  this._tileCache = new Map();
+  this._pendingTiles = {};
+
+  this._defaultAlpha = undefined;
+  this._defaultNightAlpha = undefined;
+  this._defaultDayAlpha = undefined;
+  this._defaultBrightness = undefined;
+  this._defaultContrast = undefined;
+  this._defaultHue = undefined;
+  this._defaultSaturation = undefined;
+  this._defaultGamma = undefined;
+  this._defaultMinificationFilter = undefined;
+  this._defaultMagnificationFilter = undefined;
+
+  /**
+   * Gets or sets a value indicating whether feature picking is enabled.  If true, {@link VectorTileImageryProvider#pickFeatures}
+   * returns the features drawn at the picked location.  If false, {@link VectorTileImageryProvider#pickFeatures} will
+   * immediately return undefined (indicating no pickable features).
+   * @type {boolean}
+   * @default true
+   */
+  this.enablePickFeatures = defaultValue(options.enablePickFeatures, true);
+}
+
+Object.defineProperties(VectorTileImageryProvider.prototype, {
+  /**
+   * Gets the URL template used to request vector tiles.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {string}
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._resource.url;
+    },
+  },
+
+  /**
+   * Gets the proxy used by this provider.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {Proxy}
+   * @readonly
+   * @default undefined
+   */
+  proxy: {
+    get: function () {
+      return this._resource.proxy;
+    },
+  },
+
+  /**
+   * Gets the width of each tile, in pixels.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   * @default 256
+   */
+  tileWidth: {
+    get: function () {
+      return this._tileWidth;
+    },
+  },
+
+  /**
+   * Gets the height of each tile, in pixels.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   * @default 256
+   */
+  tileHeight: {
+    get: function () {
+      return this._tileHeight;
+    },
+  },
+
+  /**
+   * Gets the maximum level-of-detail that can be requested, or undefined if there is no limit.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {number|undefined}
+   * @readonly
+   * @default undefined
+   */
+  maximumLevel: {
+    get: function () {
+      return this._maximumLevel;
+    },
+  },
+
+  /**
+   * Gets the maximum level-of-detail for which vector tiles exist on the server, or undefined if
+   * tiles exist at every level.  Tiles above this level are drawn from the geometry of their ancestors.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {number|undefined}
+   * @readonly
+   */
+  maximumNativeLevel: {
+    get: function () {
+      return this._maximumNativeLevel;
+    },
+  },
+
+  /**
+   * Gets the minimum level-of-detail that can be requested.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   * @default 0
+   */
+  minimumLevel: {
+    get: function () {
+      return this._minimumLevel;
+    },
+  },
+
+  /**
+   * Gets the tiling scheme used by this provider.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   * @default new WebMercatorTilingScheme()
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * Gets the rectangle, in radians, of the imagery provided by this instance.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   * @default tilingScheme.rectangle
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * Gets the tile discard policy.  Vector tiles are drawn on the client, so no tiles are discarded.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {TileDiscardPolicy}
+   * @readonly
+   * @default undefined
+   */
+  tileDiscardPolicy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * Gets an event that is raised when the imagery provider encounters an asynchronous error.  By subscribing
+   * to the event, you will be notified of the error and can potentially recover from it.  Event listeners
+   * are passed an instance of {@link TileProviderError}.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * Gets the credit to display when this imagery provider is active.  Typically this is used to credit
+   * the source of the imagery.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {Credit}
+   * @readonly
+   * @default undefined
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * Gets a value indicating whether or not the images provided by this imagery provider
+   * include an alpha channel.  Tiles are drawn on a transparent canvas, so this is always true.
+   * @memberof VectorTileImageryProvider.prototype
+   * @type {boolean}
+   * @readonly
+   * @default true
+   */
+  hasAlphaChannel: {
+    get: function () {
+      return true;
+    },
+  },
+});
+
+/**
+ * Creates a provider from a Mapbox GL style JSON.  The tile URL template, level range and attribution are read from
+ * a <code>vector</code> source in the style, which may reference its tiles directly or through a TileJSON url.
+ *
+ * @param {Resource|string} url The url of the Mapbox GL style JSON.
+ * @param {VectorTileImageryProvider.ConstructorOptions} [options] Object describing initialization options.  Options
+ *        specified here take precedence over values read from the style.
+ * @returns {Promise<VectorTileImageryProvider>} A promise that resolves to the created provider.
+ *
+ * @example
+ * const provider = await Cesium.VectorTileImageryProvider.fromUrl(
+ *   "https://example.com/styles/basemap.json"
+ * );
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @exception {RuntimeError} The style does not contain a vector source.
+ * @exception {RuntimeError} The vector source does not define any tile urls.
+ */
+VectorTileImageryProvider.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const styleResource = Resource.createIfNeeded(url);
+  const style = await styleResource.fetchJson();
+
+  const sourceName = defaultValue(
+    options.source,
+    VectorTileStyle.getDefaultSourceName(style)
+  );
+  let source = defined(style.sources) ? style.sources[sourceName] : undefined;
+  if (!defined(source) || source.type !== "vector") {
+    throw new RuntimeError("The style does not contain a vector source.");
+  }
+
+  let sourceResource = styleResource;
+  if (!defined(source.tiles) && defined(source.url)) {
+    sourceResource = styleResource.getDerivedResource({
+      url: source.url,
+    });
+    const tileJson = await sourceResource.fetchJson();
+    source = Object.assign({}, tileJson, source);
+  }
+
+  if (!defined(source.tiles) || source.tiles.length === 0) {
+    throw new RuntimeError("The vector source does not define any tile urls.");
+  }
+
+  const providerOptions = Object.assign(
+    {
+      minimumLevel: source.minzoom,
+      maximumNativeLevel: source.maxzoom,
+      credit: source.attribution,
+    },
+    options
+  );
+  providerOptions.url = defaultValue(
+    options.url,
+    sourceResource.getDerivedResource({
+      url: source.tiles[0],
+    })
+  );
+  providerOptions.style = style;
+  providerOptions.source = sourceName;
+
+  return new VectorTileImageryProvider(providerOptions);
+};
+
+/**
+ * Gets the credits to be displayed when a given tile is displayed.
+ *
+ * @param {number} x The tile X coordinate.
+ * @param {number} y The tile Y coordinate.
+ * @param {number} level The tile level;
+ * @returns {Credit[]} The credits to be displayed when the tile is displayed.
+ */
+VectorTileImageryProvider.prototype.getTileCredits = function (x, y, level) {
+  return undefined;
+};
+
+/**
+ * Requests the image for a given tile.
+ *
+ * @param {number} x The tile X coordinate.
+ * @param {number} y The tile Y coordinate.
+ * @param {number} level The tile level.
+ * @param {Request} [request] The request object. Intended for internal use only.
+ * @returns {Promise<HTMLCanvasElement>|undefined} A promise for the image that will resolve when the image is available, or
+ *          undefined if there are too many active requests to the server, and the request should be retried later.
+ */
+VectorTileImageryProvider.prototype.requestImage = function (
+  x,
+  y,
+  level,
+  request
+) {
+  const nativeTile = getNativeTile(this, x, y, level);
+  const promise = requestVectorTile(this, nativeTile, request);
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const that = this;
+  return promise.then(function (vectorTile) {
+    return drawTile(that, vectorTile, nativeTile, level);
+  });
+};
+
+/**
+ * Asynchronously determines what features, if any, are drawn at a given longitude and latitude within
+ * a tile.
+ *
+ * @param {number} x The tile X coordinate.
+ * @param {number} y The tile Y coordinate.
+ * @param {number} level The tile level.
+ * @param {number} longitude The longitude at which to pick features.
+ * @param {number} latitude  The latitude at which to pick features.
+ * @return {Promise<ImageryLayerFeatureInfo[]>|undefined} A promise for the picked features that will resolve when the asynchronous
+ *                   picking completes.  The resolved value is an array of {@link ImageryLayerFeatureInfo}
+ *                   instances, topmost first.  The array may be empty if no features are found at the given location.
+ *                   It may also be undefined if picking is disabled.
+ */
+VectorTileImageryProvider.prototype.pickFeatures = function (
+  x,
+  y,
+  level,
+  longitude,
+  latitude
+) {
+  if (!this.enablePickFeatures) {
+    return undefined;
+  }
+
+  const nativeTile = getNativeTile(this, x, y, level);
+  const promise = requestVectorTile(this, nativeTile);
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const that = this;
+  return promise.then(function (vectorTile) {
+    return pickTile(that, vectorTile, nativeTile, level, longitude, latitude);
+  });
+};
+
+function getNativeTile(provider, x, y, level) {
+  const maximumNativeLevel = provider._maximumNativeLevel;
+  let levelDifference = 0;
+  if (defined(maximumNativeLevel) && level > maximumNativeLevel) {
+    levelDifference = level - maximumNativeLevel;
+  }
+
+  const scale = 1 << levelDifference;
+  const nativeX = x >> levelDifference;
+  const nativeY = y >> levelDifference;
+  return {
+    x: nativeX,
+    y: nativeY,
+    level: level - levelDifference,
+    // The position of the requested tile within the native tile, in units of the requested tile
+    scale: scale,
+    offsetX: x - nativeX * scale,
+    offsetY: y - nativeY * scale,
+  };
+}
+
+function buildTileResource(provider, x, y, level, request) {
+  const reverseY =
+    provider._tilingScheme.getNumberOfYTilesAtLevel(level) - y - 1;
+  return provider._resource.getDerivedResource({
+    request: request,
+    templateValues: {
+      x: x,
+      y: y,
+      z: level,
+      reverseY: reverseY,
+    },
+  });
+}
+
+const emptyVectorTile = Object.freeze({ layers: [] });
+
+function requestVectorTile(provider, nativeTile, request) {
+  const key = `${nativeTile.level}/${nativeTile.x}/${nativeTile.y}`;
+
+  const tileCache = provider._tileCache;
+  const cached = tileCache.get(key);
+  if (defined(cached)) {
+    // Re-insert to mark the tile as most recently used
+    tileCache.delete(key);
+    tileCache.set(key, cached);
+    return Promise.resolve(cached);
+  }
+
+  const pendingTiles = provider._pendingTiles;
+  if (defined(pendingTiles[key])) {
+    return pendingTiles[key];
+  }
+
+  const resource = buildTileResource(
+    provider,
+    nativeTile.x,
+    nativeTile.y,
+    nativeTile.level,
+    request
+  );
+  const fetchPromise = resource.fetchArrayBuffer();
+  if (!defined(fetchPromise)) {
+    return undefined;
+  }
+
+  const promise = fetchPromise
+    .then(function (buffer) {
+      // Servers may respond with no content where a tile has no features
+      if (!defined(buffer) || buffer.byteLength === 0) {
+        return emptyVectorTile;
+      }
+      return decodeTaskProcessor.scheduleTask(
+        {
+          buffer: buffer,
+        },
+        [buffer]
+      );
+    })
+    .then(function (vectorTile) {
+      delete pendingTiles[key];
+      tileCache.set(key, vectorTile);
+      if (tileCache.size > provider._maximumCachedTiles) {
+        tileCache.delete(tileCache.keys().next().value);
+      }
+      return vectorTile;
+    })
+    .catch(function (error) {
+      delete pendingTiles[key];
+      return Promise.reject(error);
+    });
+
+  pendingTiles[key] = promise;
+  return promise;
+}
+
+// Style layers without a source layer, such as those of the default style, apply to every layer in the tile
+function getTileLayers(vectorTile, styleLayer) {
+  const name = styleLayer["source-layer"];
+  if (!defined(name)) {
+    return vectorTile.layers;
+  }
+  return vectorTile.layers.filter(function (tileLayer) {
+    return tileLayer.name === name;
+  });
+}
+
+// Computes the transform from the coordinates of a tile layer to pixels in the requested tile
+function computeTransform(provider, tileLayer, nativeTile, result) {
+  const scale = nativeTile.scale / tileLayer.extent;
+  result.scaleX = scale * provider._tileWidth;
+  result.scaleY = scale * provider._tileHeight;
+  result.offsetX = -nativeTile.offsetX * provider._tileWidth;
+  result.offsetY = -nativeTile.offsetY * provider._tileHeight;
+  return result;
+}
+
+const scratchTransform = {
+  scaleX: 1.0,
+  scaleY: 1.0,
+  offsetX: 0.0,
+  offsetY: 0.0,
+};
+
+function tracePath(context, geometry, transform, closePath) {
+  context.beginPath();
+  for (let i = 0; i < geometry.length; ++i) {
+    const part = geometry[i];
+    for (let j = 0; j < part.length; j += 2) {
+      const px = part[j] * transform.scaleX + transform.offsetX;
+      const py = part[j + 1] * transform.scaleY + transform.offsetY;
+      if (j === 0) {
+        context.moveTo(px, py);
+      } else {
+        context.lineTo(px, py);
+      }
+    }
+    if (closePath) {
+      context.closePath();
+    }
+  }
+}
+
+const scratchColor = new Color();
+
+function getCssColor(layer, name, feature, zoom, defaultColor, opacityName) {
+  const color = VectorTileStyle.getColor(
+    layer,
+    name,
+    feature,
+    zoom,
+    defaultColor,
+    scratchColor
+  );
+  if (!defined(color)) {
+    return undefined;
+  }
+  color.alpha *= VectorTileStyle.getProperty(
+    layer,
+    "paint",
+    opacityName,
+    feature,
+    zoom,
+    1.0
+  );
+  return color.toCssColorString();
+}
+
+function drawFill(context, layer, feature, zoom, transform) {
+  if (feature.type !== GeometryType.POLYGON) {
+    return;
+  }
+
+  tracePath(context, feature.geometry, transform, true);
+
+  context.fillStyle = getCssColor(
+    layer,
+    "fill-color",
+    feature,
+    zoom,
+    "#000000",
+    "fill-opacity"
+  );
+  context.fill("evenodd");
+
+  const outlineColor = getCssColor(
+    layer,
+    "fill-outline-color",
+    feature,
+    zoom,
+    undefined,
+    "fill-opacity"
+  );
+  if (defined(outlineColor)) {
+    context.lineWidth = 1.0;
+    context.strokeStyle = outlineColor;
+    context.stroke();
+  }
+}
+
+function drawLine(context, layer, feature, zoom, transform) {
+  if (feature.type === GeometryType.POINT) {
+    return;
+  }
+
+  const lineWidth = VectorTileStyle.getProperty(
+    layer,
+    "paint",
+    "line-width",
+    feature,
+    zoom,
+    1.0
+  );
+  if (lineWidth <= 0.0) {
+    return;
+  }
+
+  tracePath(
+    context,
+    feature.geometry,
+    transform,
+    feature.type === GeometryType.POLYGON
+  );
+
+  const dashArray = VectorTileStyle.getProperty(
+    layer,
+    "paint",
+    "line-dasharray",
+    feature,
+    zoom
+  );
+  context.setLineDash(
+    Array.isArray(dashArray)
+      ? dashArray.map(function (length) {
+          return length * lineWidth;
+        })
+      : []
+  );
+
+  context.lineWidth = lineWidth;
+  context.lineCap = VectorTileStyle.getProperty(
+    layer,
+    "layout",
+    "line-cap",
+    feature,
+    zoom,
+    "butt"
+  );
+  context.lineJoin = VectorTileStyle.getProperty(
+    layer,
+    "layout",
+    "line-join",
+    feature,
+    zoom,
+    "miter"
+  );
+  context.strokeStyle = getCssColor(
+    layer,
+    "line-color",
+    feature,
+    zoom,
+    "#000000",
+    "line-opacity"
+  );
+  context.stroke();
+  context.setLineDash([]);
+}
+
+function drawCircle(context, layer, feature, zoom, transform) {
+  if (feature.type !== GeometryType.POINT) {
+    return;
+  }
+
+  const radius = VectorTileStyle.getProperty(
+    layer,
+    "paint",
+    "circle-radius",
+    feature,
+    zoom,
+    5.0
+  );
+  const strokeWidth = VectorTileStyle.getProperty(
+    layer,
+    "paint",
+    "circle-stroke-width",
+    feature,
+    zoom,
+    0.0
+  );
+  const fillStyle = getCssColor(
+    layer,
+    "circle-color",
+    feature,
+    zoom,
+    "#000000",
+    "circle-opacity"
+  );
+  const strokeStyle = getCssColor(
+    layer,
+    "circle-stroke-color",
+    feature,
+    zoom,
+    "#000000",
+    "circle-stroke-opacity"
+  );
+
+  const geometry = feature.geometry;
+  for (let i = 0; i < geometry.length; ++i) {
+    const point = geometry[i];
+    const px = point[0] * transform.scaleX + transform.offsetX;
+    const py = point[1] * transform.scaleY + transform.offsetY;
+
+    context.beginPath();
+    context.arc(px, py, radius, 0.0, 2.0 * Math.PI);
+    context.fillStyle = fillStyle;
+    context.fill();
+    if (strokeWidth > 0.0) {
+      context.lineWidth = strokeWidth;
+      context.strokeStyle = strokeStyle;
+      context.stroke();
+    }
+  }
+}
+
+const drawFunctions = {
+  fill: drawFill,
+  line: drawLine,
+  circle: drawCircle,
+};
+
+function drawTile(provider, vectorTile, nativeTile, level) {
+  const canvas = document.createElement("canvas");
+  canvas.width = provider._tileWidth;
+  canvas.height = provider._tileHeight;
+  const context = canvas.getContext("2d");
+
+  const layers = provider._style.layers;
+  for (let i = 0; i < layers.length; ++i) {
+    const layer = layers[i];
+    if (!VectorTileStyle.isVisibleAtZoom(layer, level)) {
+      continue;
+    }
+
+    if (layer.type === "background") {
+      context.fillStyle = getCssColor(
+        layer,
+        "background-color",
+        undefined,
+        level,
+        "#000000",
+        "background-opacity"
+      );
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      continue;
+    }
+
+    const draw = drawFunctions[layer.type];
+    const tileLayers = getTileLayers(vectorTile, layer);
+    for (let j = 0; j < tileLayers.length; ++j) {
+      const tileLayer = tileLayers[j];
+      const transform = computeTransform(
+        provider,
+        tileLayer,
+        nativeTile,
+        scratchTransform
+      );
+      const features = tileLayer.features;
+      for (let k = 0; k < features.length; ++k) {
+        const feature = features[k];
+        if (VectorTileStyle.filter(layer, feature, level)) {
+          draw(context, layer, feature, level, transform);
+        }
+      }
+    }
+  }
+
+  return canvas;
+}
+
+function distanceSquaredToSegment(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  let t = 0.0;
+  if (lengthSquared > 0.0) {
+    t = ((px - ax) * dx + (py - ay) * dy) / lengthSquared;
+    t = Math.max(0.0, Math.min(1.0, t));
+  }
+  const cx = ax + t * dx - px;
+  const cy = ay + t * dy - py;
+  return cx * cx + cy * cy;
+}
+
+function hitLine(geometry, transform, px, py, tolerance, closed) {
+  const toleranceSquared = tolerance * tolerance;
+  for (let i = 0; i < geometry.length; ++i) {
+    const part = geometry[i];
+    const length = part.length;
+    const end = closed ? length : length - 2;
+    for (let j = 0; j < end; j += 2) {
+      const k = (j + 2) % length;
+      const distanceSquared = distanceSquaredToSegment(
+        px,
+        py,
+        part[j] * transform.scaleX + transform.offsetX,
+        part[j + 1] * transform.scaleY + transform.offsetY,
+        part[k] * transform.scaleX + transform.offsetX,
+        part[k + 1] * transform.scaleY + transform.offsetY
+      );
+      if (distanceSquared <= toleranceSquared) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// Even-odd point-in-polygon test across all rings, matching how fills are drawn
+function hitPolygon(geometry, transform, px, py) {
+  let inside = false;
+  for (let i = 0; i < geometry.length; ++i) {
+    const ring = geometry[i];
+    const length = ring.length;
+    for (let j = 0, k = length - 2; j < length; k = j, j += 2) {
+      const xj = ring[j] * transform.scaleX + transform.offsetX;
+      const yj = ring[j + 1] * transform.scaleY + transform.offsetY;
+      const xk = ring[k] * transform.scaleX + transform.offsetX;
+      const yk = ring[k + 1] * transform.scaleY + transform.offsetY;
+      if (
+        yj > py !== yk > py &&
+        px < ((xk - xj) * (py - yj)) / (yk - yj) + xj
+      ) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+}
+
+function hitCircle(geometry, transform, px, py, radius) {
+  const radiusSquared = radius * radius;
+  for (let i = 0; i < geometry.length; ++i) {
+    const point = geometry[i];
+    const dx = point[0] * transform.scaleX + transform.offsetX - px;
+    const dy = point[1] * transform.scaleY + transform.offsetY - py;
+    if (dx * dx + dy * dy <= radiusSquared) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function hitFeature(provider, layer, feature, level, transform, px, py) {
+  const tolerance = provider._pickTolerance;
+  const geometry = feature.geometry;
+
+  if (layer.type === "fill") {
+    return (
+      feature.type === GeometryType.POLYGON &&
+      hitPolygon(geometry, transform, px, py)
+    );
+  }
+
+  if (layer.type === "line") {
+    if (feature.type === GeometryType.POINT) {
+      return false;
+    }
+    const lineWidth = VectorTileStyle.getProperty(
+      layer,
+      "paint",
+      "line-width",
+      feature,
+      level,
+      1.0
+    );
+    return hitLine(
+      geometry,
+      transform,
+      px,
+      py,
+      lineWidth * 0.5 + tolerance,
+      feature.type === GeometryType.POLYGON
+    );
+  }
+
+  if (layer.type === "circle") {
+    if (feature.type !== GeometryType.POINT) {
+      return false;
+    }
+    const radius =
+      VectorTileStyle.getProperty(
+        layer,
+        "paint",
+        "circle-radius",
+        feature,
+        level,
+        5.0
+      ) +
+      VectorTileStyle.getProperty(
+        layer,
+        "paint",
+        "circle-stroke-width",
+        feature,
+        level,
+        0.0
+      );
+    return hitCircle(geometry, transform, px, py, radius + tolerance);
+  }
+
+  return false;
+}
+
+const scratchCartographic = new Cartographic();
+const scratchRectangle = new Rectangle();
+const scratchPixel = new Cartesian2();
+
+function computePickedPixel(provider, nativeTile, level, longitude, latitude) {
+  const tilingScheme = provider._tilingScheme;
+  const x = nativeTile.x * nativeTile.scale + nativeTile.offsetX;
+  const y = nativeTile.y * nativeTile.scale + nativeTile.offsetY;
+  const rectangle = tilingScheme.tileXYToNativeRectangle(
+    x,
+    y,
+    level,
+    scratchRectangle
+  );
+  const projected = tilingScheme.projection.project(
+    Cartographic.fromRadians(longitude, latitude, 0.0, scratchCartographic)
+  );
+
+  scratchPixel.x =
+    (provider._tileWidth * (projected.x - rectangle.west)) / rectangle.width;
+  scratchPixel.y =
+    (provider._tileHeight * (rectangle.north - projected.y)) / rectangle.height;
+  return scratchPixel;
+}
+
+function pickTile(
+  provider,
+  vectorTile,
+  nativeTile,
+  level,
+  longitude,
+  latitude
+) {
+  const pixel = computePickedPixel(
+    provider,
+    nativeTile,
+    level,
+    longitude,
+    latitude
+  );
+
+  const featureInfos = [];
+  const pickedFeatures = [];
+
+  // Style layers are drawn bottom to top, so visit them in reverse to return the topmost features first
+  const layers = provider._style.layers;
+  for (let i = layers.length - 1; i >= 0; --i) {
+    const layer = layers[i];
+    if (
+      layer.type === "background" ||
+      !VectorTileStyle.isVisibleAtZoom(layer, level)
+    ) {
+      continue;
+    }
+
+    const tileLayers = getTileLayers(vectorTile, layer);
+    for (let j = 0; j < tileLayers.length; ++j) {
+      const tileLayer = tileLayers[j];
+      const transform = computeTransform(
+        provider,
+        tileLayer,
+        nativeTile,
+        scratchTransform
+      );
+      const features = tileLayer.features;
+      for (let k = 0; k < features.length; ++k) {
+        const feature = features[k];
+        if (
+          pickedFeatures.indexOf(feature) !== -1 ||
+          !VectorTileStyle.filter(layer, feature, level) ||
+          !hitFeature(
+            provider,
+            layer,
+            feature,
+            level,
+            transform,
+            pixel.x,
+            pixel.y
+          )
+        ) {
+          continue;
+        }
+
+        pickedFeatures.push(feature);
+
+        const featureInfo = new ImageryLayerFeatureInfo();
+        featureInfo.data = {
+          id: feature.id,
+          layer: tileLayer.name,
+          properties: feature.properties,
+        };
+        featureInfo.configureNameFromProperties(feature.properties);
+        featureInfo.configureDescriptionFromProperties(feature.properties);
+        featureInfo.position = Cartographic.fromRadians(longitude, latitude);
+        featureInfos.push(featureInfo);
+      }
+    }
+  }
+
+  return featureInfos;
+}
+
+export default VectorTileImageryProvider;
@@ -0,0 +1,723 @@
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import decodeVectorTile from "../Core/decodeVectorTile.js";
+import CesiumMath from "../Core/Math.js";
+
+const GeometryType = decodeVectorTile.GeometryType;
+
+const geometryTypeNames = ["Unknown", "Point", "LineString", "Polygon"];
+
+const supportedLayerTypes = ["background", "fill", "line", "circle"];
+
+const defaultStyleLayers = [
+  {
+    id: "default-fill",
+    type: "fill",
+    filter: ["==", "$type", "Polygon"],
+    paint: {
+      "fill-color": "rgba(255, 255, 255, 0.4)",
+      "fill-outline-color": "#ffffff",
+    },
+  },
+  {
+    id: "default-line",
+    type: "line",
+    filter: ["==", "$type", "LineString"],
+    paint: {
+      "line-color": "#ffffff",
+      "line-width": 1.0,
+    },
+  },
+  {
+    id: "default-circle",
+    type: "circle",
+    filter: ["==", "$type", "Point"],
+    paint: {
+      "circle-color": "#ffffff",
+      "circle-radius": 3.0,
+    },
+  },
+];
+
+/**
+ * A subset of the Mapbox GL style specification used to rasterize vector tiles on the client.
+ * <code>background</code>, <code>fill</code>, <code>line</code> and <code>circle</code> layers are
+ * supported, along with legacy filters, zoom and property functions, and the commonly used expressions.
+ * Layers of other types, such as <code>symbol</code>, are ignored.
+ *
+ * @alias VectorTileStyle
+ * @constructor
+ *
+ * @param {object} [style] A Mapbox GL style JSON object.  If undefined, every feature is drawn in white.
+ * @param {string} [sourceName] The name of the source in the style whose layers are used.  If undefined, the first
+ *                 <code>vector</code> source in the style is used.
+ *
+ * @see {@link https://docs.mapbox.com/style-spec/|Mapbox Style Specification}
+ *
+ * @private
+ */
+function VectorTileStyle(style, sourceName) {
+  let styleLayers;
+  if (defined(style)) {
+    //>>includeStart('debug', pragmas.debug);
+    Check.typeOf.object("style.layers", style.layers);
+    //>>includeEnd('debug');
+
+    styleLayers = style.layers;
+    if (!defined(sourceName)) {
+      sourceName = VectorTileStyle.getDefaultSourceName(style);
+    }
+  } else {
+    styleLayers = defaultStyleLayers;
+  }
+
+  const layers = [];
+  for (let i = 0; i < styleLayers.length; ++i) {
+    const layer = styleLayers[i];
+    if (supportedLayerTypes.indexOf(layer.type) === -1) {
+      continue;
+    }
+    if (defined(layer.layout) && layer.layout.visibility === "none") {
+      continue;
+    }
+    if (
+      layer.type !== "background" &&
+      defined(style) &&
+      defined(layer.source) &&
+      layer.source !== sourceName
+    ) {
+      continue;
+    }
+    layers.push(layer);
+  }
+
+  this._style = style;
+  this._sourceName = sourceName;
+  this._layers = layers;
+}
+
+Object.defineProperties(VectorTileStyle.prototype, {
+  /**
+   * The supported style layers drawn from the source, in draw order.
+   * @memberof VectorTileStyle.prototype
+   * @type {object[]}
+   * @readonly
+   */
+  layers: {
+    get: function () {
+      return this._layers;
+    },
+  },
+
+  /**
+   * The name of the source in the style whose layers are drawn.
+   * @memberof VectorTileStyle.prototype
+   * @type {string|undefined}
+   * @readonly
+   */
+  sourceName: {
+    get: function () {
+      return this._sourceName;
+    },
+  },
+
+  /**
+   * The source definition in the style whose layers are drawn.
+   * @memberof VectorTileStyle.prototype
+   * @type {object|undefined}
+   * @readonly
+   */
+  source: {
+    get: function () {
+      const style = this._style;
+      if (!defined(style) || !defined(style.sources)) {
+        return undefined;
+      }
+      return style.sources[this._sourceName];
+    },
+  },
+});
+
+/**
+ * Gets the name of the first <code>vector</code> source in a style.
+ *
+ * @param {object} style A Mapbox GL style JSON object.
+ * @returns {string|undefined} The name of the source, or undefined if the style has no vector source.
+ */
+VectorTileStyle.getDefaultSourceName = function (style) {
+  const sources = defaultValue(style.sources, defaultValue.EMPTY_OBJECT);
+  for (const name in sources) {
+    if (sources.hasOwnProperty(name) && sources[name].type === "vector") {
+      return name;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Determines if a style layer is visible at a zoom level.
+ *
+ * @param {object} layer The style layer.
+ * @param {number} zoom The zoom level.
+ * @returns {boolean} <code>true</code> if the layer should be drawn at the zoom level.
+ */
+VectorTileStyle.isVisibleAtZoom = function (layer, zoom) {
+  return (
+    zoom >= defaultValue(layer.minzoom, 0) &&
+    zoom < defaultValue(layer.maxzoom, Number.POSITIVE_INFINITY)
+  );
+};
+
+/**
+ * Determines if a feature passes the filter of a style layer.
+ *
+ * @param {object} layer The style layer.
+ * @param {object} feature The decoded feature.
+ * @param {number} zoom The zoom level.
+ * @returns {boolean} <code>true</code> if the feature should be drawn by the layer.
+ */
+VectorTileStyle.filter = function (layer, feature, zoom) {
+  const filter = layer.filter;
+  if (!defined(filter)) {
+    return true;
+  }
+  if (isExpressionFilter(filter)) {
+    return evaluateExpression(filter, feature, zoom) === true;
+  }
+  return evaluateLegacyFilter(filter, feature);
+};
+
+/**
+ * Evaluates a paint or layout property of a style layer for a feature.
+ *
+ * @param {object} layer The style layer.
+ * @param {string} group Either <code>"paint"</code> or <code>"layout"</code>.
+ * @param {string} name The name of the property, for example <code>"fill-color"</code>.
+ * @param {object|undefined} feature The decoded feature, or undefined for properties that do not depend on a feature.
+ * @param {number} zoom The zoom level.
+ * @param {*} [defaultPropertyValue] The value to use when the property is not defined.
+ * @returns {*} The value of the property.
+ */
+VectorTileStyle.getProperty = function (
+  layer,
+  group,
+  name,
+  feature,
+  zoom,
+  defaultPropertyValue
+) {
+  const properties = layer[group];
+  if (!defined(properties) || !defined(properties[name])) {
+    return defaultPropertyValue;
+  }
+  const value = evaluateValue(properties[name], feature, zoom);
+  return defaultValue(value, defaultPropertyValue);
+};
+
+/**
+ * Evaluates a color property of a style layer for a feature.
+ *
+ * @param {object} layer The style layer.
+ * @param {string} name The name of the property, for example <code>"fill-color"</code>.
+ * @param {object|undefined} feature The decoded feature.
+ * @param {number} zoom The zoom level.
+ * @param {string} [defaultColor] The CSS color to use when the property is not defined.
+ * @param {Color} [result] The object onto which to store the result.
+ * @returns {Color|undefined} The color, or undefined if the property is not defined and there is no default.
+ */
+VectorTileStyle.getColor = function (
+  layer,
+  name,
+  feature,
+  zoom,
+  defaultColor,
+  result
+) {
+  const value = VectorTileStyle.getProperty(
+    layer,
+    "paint",
+    name,
+    feature,
+    zoom,
+    defaultColor
+  );
+  const color = toColor(value);
+  if (!defined(color)) {
+    return undefined;
+  }
+  return Color.clone(color, result);
+};
+
+function toColor(value) {
+  if (value instanceof Color) {
+    return value;
+  }
+  if (typeof value === "string") {
+    return Color.fromCssColorString(value);
+  }
+  return undefined;
+}
+
+function getFeatureValue(feature, key) {
+  if (key === "$type") {
+    return geometryTypeNames[feature.type];
+  }
+  if (key === "$id") {
+    return feature.id;
+  }
+  return feature.properties[key];
+}
+
+// Legacy filters share operators with expressions, so use the same heuristic as Mapbox GL to tell them apart
+function isExpressionFilter(filter) {
+  if (filter === true || filter === false) {
+    return true;
+  }
+  if (!Array.isArray(filter) || filter.length === 0) {
+    return false;
+  }
+
+  switch (filter[0]) {
+    case "has":
+      return filter.length >= 2 && filter[1] !== "$id" && filter[1] !== "$type";
+    case "in":
+      return (
+        filter.length >= 3 &&
+        (typeof filter[1] !== "string" || Array.isArray(filter[2]))
+      );
+    case "!in":
+    case "!has":
+    case "none":
+      return false;
+    case "==":
+    case "!=":
+    case ">":
+    case ">=":
+    case "<":
+    case "<=":
+      return (
+        filter.length !== 3 ||
+        Array.isArray(filter[1]) ||
+        Array.isArray(filter[2])
+      );
+    case "any":
+    case "all":
+      for (let i = 1; i < filter.length; ++i) {
+        const child = filter[i];
+        if (!isExpressionFilter(child) && typeof child !== "boolean") {
+          return false;
+        }
+      }
+      return true;
+    default:
+      return true;
+  }
+}
+
+function evaluateLegacyFilter(filter, feature) {
+  const operator = filter[0];
+  let i;
+
+  switch (operator) {
+    case "all":
+      for (i = 1; i < filter.length; ++i) {
+        if (!evaluateLegacyFilter(filter[i], feature)) {
+          return false;
+        }
+      }
+      return true;
+    case "any":
+      for (i = 1; i < filter.length; ++i) {
+        if (evaluateLegacyFilter(filter[i], feature)) {
+          return true;
+        }
+      }
+      return false;
+    case "none":
+      for (i = 1; i < filter.length; ++i) {
+        if (evaluateLegacyFilter(filter[i], feature)) {
+          return false;
+        }
+      }
+      return true;
+    case "has":
+      return defined(getFeatureValue(feature, filter[1]));
+    case "!has":
+      return !defined(getFeatureValue(feature, filter[1]));
+    case "in":
+      return filter.indexOf(getFeatureValue(feature, filter[1]), 2) !== -1;
+    case "!in":
+      return filter.indexOf(getFeatureValue(feature, filter[1]), 2) === -1;
+    default:
+      return compare(operator, getFeatureValue(feature, filter[1]), filter[2]);
+  }
+}
+
+function compare(operator, a, b) {
+  switch (operator) {
+    case "==":
+      return a === b;
+    case "!=":
+      return a !== b;
+  }
+
+  // Ordering comparisons are false when the types differ, as in Mapbox GL
+  if (!defined(a) || !defined(b) || typeof a !== typeof b) {
+    return false;
+  }
+
+  switch (operator) {
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+  }
+  return false;
+}
+
+function evaluateValue(value, feature, zoom) {
+  if (Array.isArray(value)) {
+    if (typeof value[0] === "string") {
+      return evaluateExpression(value, feature, zoom);
+    }
+    // Plain arrays, such as line-dasharray
+    return value;
+  }
+  if (defined(value) && typeof value === "object" && defined(value.stops)) {
+    return evaluateFunction(value, feature, zoom);
+  }
+  return value;
+}
+
+function interpolationFactor(base, input, lower, upper) {
+  const difference = upper - lower;
+  if (difference === 0) {
+    return 0;
+  }
+  const progress = input - lower;
+  if (base === 1) {
+    return progress / difference;
+  }
+  return (Math.pow(base, progress) - 1) / (Math.pow(base, difference) - 1);
+}
+
+const scratchLowerColor = new Color();
+const scratchUpperColor = new Color();
+
+function interpolate(lower, upper, t) {
+  if (typeof lower === "number" && typeof upper === "number") {
+    return CesiumMath.lerp(lower, upper, t);
+  }
+
+  const lowerColor = toColor(lower);
+  const upperColor = toColor(upper);
+  if (defined(lowerColor) && defined(upperColor)) {
+    return Color.lerp(
+      Color.clone(lowerColor, scratchLowerColor),
+      Color.clone(upperColor, scratchUpperColor),
+      t,
+      new Color()
+    );
+  }
+
+  // Values that cannot be interpolated, such as arrays or strings, step instead
+  return t < 1.0 ? lower : upper;
+}
+
+function interpolateStops(stops, input, base) {
+  const length = stops.length;
+  if (input <= stops[0][0]) {
+    return stops[0][1];
+  }
+  if (input >= stops[length - 1][0]) {
+    return stops[length - 1][1];
+  }
+
+  for (let i = 1; i < length; ++i) {
+    if (input < stops[i][0]) {
+      const lower = stops[i - 1];
+      const upper = stops[i];
+      const t = interpolationFactor(base, input, lower[0], upper[0]);
+      return interpolate(lower[1], upper[1], t);
+    }
+  }
+  return stops[length - 1][1];
+}
+
+function stepStops(stops, input) {
+  let output = stops[0][1];
+  for (let i = 0; i < stops.length; ++i) {
+    if (input < stops[i][0]) {
+      break;
+    }
+    output = stops[i][1];
+  }
+  return output;
+}
+
+function evaluateFunction(fn, feature, zoom) {
+  const stops = fn.stops;
+  const isPropertyFunction = defined(fn.property);
+
+  let input = zoom;
+  if (isPropertyFunction) {
+    if (!defined(feature)) {
+      return fn.default;
+    }
+    input = feature.properties[fn.property];
+  }
+
+  let type = fn.type;
+  if (!defined(type)) {
+    const output = stops.length > 0 ? stops[0][1] : undefined;
+    type =
+      typeof output === "number" || defined(toColor(output))
+        ? "exponential"
+        : "interval";
+  }
+
+  if (type === "identity") {
+    return defaultValue(input, fn.default);
+  }
+
+  if (type === "categorical") {
+    for (let i = 0; i < stops.length; ++i) {
+      if (stops[i][0] === input) {
+        return stops[i][1];
+      }
+    }
+    return fn.default;
+  }
+
+  if (typeof input !== "number" || stops.length === 0) {
+    return fn.default;
+  }
+
+  if (type === "interval") {
+    return stepStops(stops, input);
+  }
+  return interpolateStops(stops, input, defaultValue(fn.base, 1.0));
+}
+
+function evaluateArguments(expression, feature, zoom) {
+  const values = new Array(expression.length - 1);
+  for (let i = 1; i < expression.length; ++i) {
+    values[i - 1] = evaluateExpression(expression[i], feature, zoom);
+  }
+  return values;
+}
+
+function evaluateExpression(expression, feature, zoom) {
+  if (!Array.isArray(expression)) {
+    return expression;
+  }
+
+  const operator = expression[0];
+  let i;
+  let input;
+  let values;
+
+  switch (operator) {
+    case "literal":
+      return expression[1];
+    case "get":
+      return defined(feature)
+        ? feature.properties[evaluateExpression(expression[1], feature, zoom)]
+        : undefined;
+    case "has":
+      return (
+        defined(feature) &&
+        defined(
+          feature.properties[evaluateExpression(expression[1], feature, zoom)]
+        )
+      );
+    case "id":
+      return defined(feature) ? feature.id : undefined;
+    case "geometry-type":
+      return defined(feature) ? geometryTypeNames[feature.type] : undefined;
+    case "zoom":
+      return zoom;
+    case "!":
+      return !evaluateExpression(expression[1], feature, zoom);
+    case "all":
+      for (i = 1; i < expression.length; ++i) {
+        if (evaluateExpression(expression[i], feature, zoom) !== true) {
+          return false;
+        }
+      }
+      return true;
+    case "any":
+      for (i = 1; i < expression.length; ++i) {
+        if (evaluateExpression(expression[i], feature, zoom) === true) {
+          return true;
+        }
+      }
+      return false;
+    case "==":
+    case "!=":
+    case "<":
+    case "<=":
+    case ">":
+    case ">=":
+      return compare(
+        operator,
+        evaluateExpression(expression[1], feature, zoom),
+        evaluateExpression(expression[2], feature, zoom)
+      );
+    case "in": {
+      const needle = evaluateExpression(expression[1], feature, zoom);
+      const haystack = evaluateExpression(expression[2], feature, zoom);
+      if (!defined(haystack)) {
+        return false;
+      }
+      return haystack.indexOf(needle) !== -1;
+    }
+    case "match":
+      input = evaluateExpression(expression[1], feature, zoom);
+      for (i = 2; i < expression.length - 1; i += 2) {
+        const labels = expression[i];
+        if (
+          labels === input ||
+          (Array.isArray(labels) && labels.indexOf(input) !== -1)
+        ) {
+          return evaluateExpression(expression[i + 1], feature, zoom);
+        }
+      }
+      return evaluateExpression(
+        expression[expression.length - 1],
+        feature,
+        zoom
+      );
+    case "case":
+      for (i = 1; i < expression.length - 1; i += 2) {
+        if (evaluateExpression(expression[i], feature, zoom) === true) {
+          return evaluateExpression(expression[i + 1], feature, zoom);
+        }
+      }
+      return evaluateExpression(
+        expression[expression.length - 1],
+        feature,
+        zoom
+      );
+    case "coalesce":
+      for (i = 1; i < expression.length; ++i) {
+        const value = evaluateExpression(expression[i], feature, zoom);
+        if (defined(value) && value !== null) {
+          return value;
+        }
+      }
+      return undefined;
+    case "interpolate": {
+      const interpolation = expression[1];
+      const base = interpolation[0] === "exponential" ? interpolation[1] : 1.0;
+      input = evaluateExpression(expression[2], feature, zoom);
+      const stops = [];
+      for (i = 3; i < expression.length; i += 2) {
+        stops.push([
+          expression[i],
+          evaluateExpression(expression[i + 1], feature, zoom),
+        ]);
+      }
+      return interpolateStops(stops, input, base);
+    }
+    case "step": {
+      input = evaluateExpression(expression[1], feature, zoom);
+      const stops = [
+        [
+          Number.NEGATIVE_INFINITY,
+          evaluateExpression(expression[2], feature, zoom),
+        ],
+      ];
+      for (i = 3; i < expression.length; i += 2) {
+        stops.push([
+          expression[i],
+          evaluateExpression(expression[i + 1], feature, zoom),
+        ]);
+      }
+      return stepStops(stops, input);
+    }
+    case "to-number":
+      values = evaluateArguments(expression, feature, zoom);
+      for (i = 0; i < values.length; ++i) {
+        const number = Number(values[i]);
+        if (defined(values[i]) && values[i] !== null && !isNaN(number)) {
+          return number;
+        }
+      }
+      return 0;
+    case "to-string":
+      input = evaluateExpression(expression[1], feature, zoom);
+      return defined(input) && input !== null ? String(input) : "";
+    case "to-boolean":
+      return Boolean(evaluateExpression(expression[1], feature, zoom));
+    case "to-color":
+      return toColor(evaluateExpression(expression[1], feature, zoom));
+    case "number":
+    case "string":
+    case "boolean":
+      return evaluateExpression(expression[1], feature, zoom);
+    case "concat":
+      return evaluateArguments(expression, feature, zoom).join("");
+    case "downcase":
+      return String(
+        evaluateExpression(expression[1], feature, zoom)
+      ).toLowerCase();
+    case "upcase":
+      return String(
+        evaluateExpression(expression[1], feature, zoom)
+      ).toUpperCase();
+    case "rgb":
+    case "rgba":
+      values = evaluateArguments(expression, feature, zoom);
+      return Color.fromBytes(
+        values[0],
+        values[1],
+        values[2],
+        Math.round(defaultValue(values[3], 1.0) * 255)
+      );
+    case "+":
+      values = evaluateArguments(expression, feature, zoom);
+      return values.reduce(function (sum, value) {
+        return sum + value;
+      }, 0);
+    case "*":
+      values = evaluateArguments(expression, feature, zoom);
+      return values.reduce(function (product, value) {
+        return product * value;
+      }, 1);
+    case "-":
+      values = evaluateArguments(expression, feature, zoom);
+      return values.length === 1 ? -values[0] : values[0] - values[1];
+    case "/":
+      values = evaluateArguments(expression, feature, zoom);
+      return values[0] / values[1];
+    case "%":
+      values = evaluateArguments(expression, feature, zoom);
+      return values[0] % values[1];
+    case "^":
+      values = evaluateArguments(expression, feature, zoom);
+      return Math.pow(values[0], values[1]);
+    case "min":
+      return Math.min.apply(null, evaluateArguments(expression, feature, zoom));
+    case "max":
+      return Math.max.apply(null, evaluateArguments(expression, feature, zoom));
+    default:
+      // Unsupported expressions evaluate to undefined so the property default is used
+      return undefined;
+  }
+}
+
+/**
+ * The geometry type of each decoded feature.
+ * @type {object}
+ * @constant
+ */
+VectorTileStyle.GeometryType = GeometryType;
+
+export default VectorTileStyle;
@@ -0,0 +1,393 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import CesiumMath from "../Core/Math.js";
+import Matrix4 from "../Core/Matrix4.js";
+import PerspectiveFrustum from "../Core/PerspectiveFrustum.js";
+import ViewshedStage from "../Shaders/PostProcessStages/ViewshedStage.js";
+import Camera from "./Camera.js";
+import DebugCameraPrimitive from "./DebugCameraPrimitive.js";
+import PostProcessStage from "./PostProcessStage.js";
+import SceneMode from "./SceneMode.js";
+import ShadowMap from "./ShadowMap.js";
+
+/**
+ * A visibility analysis from an observer.  The areas within the view of the observer that can be seen from the observer
+ * are shaded with {@link Viewshed#visibleColor}, and the areas that are hidden behind terrain, 3D Tiles or other primitives
+ * are shaded with {@link Viewshed#occludedColor}.
+ * <p>
+ * The view of the observer is rendered to a shadow map that is not used for shadows, so only primitives that cast shadows occlude
+ * the view.  Terrain only occludes the view when {@link Globe#shadows} is {@link ShadowMode.ENABLED} or {@link ShadowMode.CAST_ONLY}.
+ * The viewshed is only shown in 3D.
+ * </p>
+ *
+ * @alias Viewshed
+ * @constructor
+ *
+ * @param {object} options Object with the following properties:
+ * @param {Scene} options.scene The scene that the viewshed is shown in.
+ * @param {Cartesian3} options.position The position of the observer.
+ * @param {number} [options.heading=0.0] The heading of the center of the view, in radians.
+ * @param {number} [options.pitch=0.0] The pitch of the center of the view, in radians.
+ * @param {number} [options.horizontalAngle=CesiumMath.PI_OVER_TWO] The horizontal angle of the view, in radians.
+ * @param {number} [options.verticalAngle=CesiumMath.PI_OVER_THREE] The vertical angle of the view, in radians.
+ * @param {number} [options.distance=1000.0] The distance from the observer that is analyzed, in meters.
+ * @param {Color} [options.visibleColor=Color.LIME.withAlpha(0.5)] The color of the areas that can be seen from the observer.
+ * @param {Color} [options.occludedColor=Color.RED.withAlpha(0.5)] The color of the areas that are hidden from the observer.
+ * @param {number} [options.size=2048] The width and height, in pixels, of the shadow map that the view of the observer is rendered to.
+ * @param {boolean} [options.show=true] Determines if the viewshed will be shown.
+ * @param {boolean} [options.debugShowFrustum=false] For debugging only. Determines if the view frustum of the observer is shown.
+ *
+ * @example
+ * viewer.scene.globe.shadows = Cesium.ShadowMode.ENABLED;
+ * const viewshed = viewer.scene.primitives.add(new Cesium.Viewshed({
+ *   scene: viewer.scene,
+ *   position: Cesium.Cartesian3.fromDegrees(-112.1, 36.1, 2500.0),
+ *   heading: Cesium.Math.toRadians(45.0),
+ *   pitch: Cesium.Math.toRadians(-10.0),
+ *   distance: 5000.0
+ * }));
+ */
+function Viewshed(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const scene = options.scene;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.scene", scene);
+  Check.typeOf.object("options.position", options.position);
+  //>>includeEnd('debug');
+
+  this._scene = scene;
+
+  /**
+   * Determines if the viewshed will be shown.
+   *
+   * @type {boolean}
+   * @default true
+   */
+  this.show = defaultValue(options.show, true);
+
+  /**
+   * The position of the observer.
+   *
+   * @type {Cartesian3}
+   */
+  this.position = Cartesian3.clone(options.position);
+
+  /**
+   * The heading of the center of the view, in radians.
+   *
+   * @type {number}
+   * @default 0.0
+   */
+  this.heading = defaultValue(options.heading, 0.0);
+
+  /**
+   * The pitch of the center of the view, in radians.
+   *
+   * @type {number}
+   * @default 0.0
+   */
+  this.pitch = defaultValue(options.pitch, 0.0);
+
+  /**
+   * The horizontal angle of the view, in radians.  It must be greater than zero and less than pi.
+   *
+   * @type {number}
+   * @default CesiumMath.PI_OVER_TWO
+   */
+  this.horizontalAngle = defaultValue(
+    options.horizontalAngle,
+    CesiumMath.PI_OVER_TWO
+  );
+
+  /**
+   * The vertical angle of the view, in radians.  It must be greater than zero and less than pi.
+   *
+   * @type {number}
+   * @default CesiumMath.PI_OVER_THREE
+   */
+  this.verticalAngle = defaultValue(
+    options.verticalAngle,
+    CesiumMath.PI_OVER_THREE
+  );
+
+  /**
+   * The distance from the observer that is analyzed, in meters.
+   *
+   * @type {number}
+   * @default 1000.0
+   */
+  this.distance = defaultValue(options.distance, 1000.0);
+
+  /**
+   * The color of the areas that can be seen from the observer.
+   *
+   * @type {Color}
+   * @default Color.LIME.withAlpha(0.5)
+   */
+  this.visibleColor = Color.clone(
+    defaultValue(options.visibleColor, Color.LIME.withAlpha(0.5))
+  );
+
+  /**
+   * The color of the areas that are hidden from the observer.
+   *
+   * @type {Color}
+   * @default Color.RED.withAlpha(0.5)
+   */
+  this.occludedColor = Color.clone(
+    defaultValue(options.occludedColor, Color.RED.withAlpha(0.5))
+  );
+
+  /**
+   * This property is for debugging only; it is not for production use nor is it optimized.
+   * <p>
+   * Determines if the view frustum of the observer is shown.
+   * </p>
+   *
+   * @type {boolean}
+   * @default false
+   */
+  this.debugShowFrustum = defaultValue(options.debugShowFrustum, false);
+
+  this._size = defaultValue(options.size, 2048);
+
+  const camera = new Camera(scene);
+  camera.frustum = new PerspectiveFrustum();
+  this._camera = camera;
+
+  this._shadowMap = undefined;
+  this._stage = undefined;
+  this._debugFrustum = undefined;
+  this._observerPositionEC = new Cartesian3();
+}
+
+Object.defineProperties(Viewshed.prototype, {
+  /**
+   * Gets the scene that the viewshed is shown in.
+   * @memberof Viewshed.prototype
+   *
+   * @type {Scene}
+   * @readonly
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+
+  /**
+   * Gets the camera that represents the view of the observer.
+   * @memberof Viewshed.prototype
+   *
+   * @type {Camera}
+   * @readonly
+   */
+  camera: {
+    get: function () {
+      return this._camera;
+    },
+  },
+});
+
+// The depth bias in the normalized depth of the observer's perspective projection
+const depthBias = 0.00002;
+
+function createStage(viewshed) {
+  const shadowMap = viewshed._shadowMap;
+  const fragmentShader = `${
+    shadowMap._usesDepthTexture ? "#define USE_SHADOW_DEPTH_TEXTURE\n" : ""
+  }${ViewshedStage}`;
+
+  return new PostProcessStage({
+    fragmentShader: fragmentShader,
+    uniforms: {
+      shadowMap_texture: function () {
+        return shadowMap._shadowMapTexture;
+      },
+      shadowMap_matrix: function () {
+        return shadowMap._shadowMapMatrix;
+      },
+      u_observerPositionEC: function () {
+        return viewshed._observerPositionEC;
+      },
+      u_distance: function () {
+        return viewshed.distance;
+      },
+      u_depthBias: function () {
+        return depthBias;
+      },
+      u_visibleColor: function () {
+        return viewshed.visibleColor;
+      },
+      u_occludedColor: function () {
+        return viewshed.occludedColor;
+      },
+    },
+  });
+}
+
+function updateCamera(viewshed) {
+  const horizontalAngle = viewshed.horizontalAngle;
+  const verticalAngle = viewshed.verticalAngle;
+  const distance = viewshed.distance;
+
+  //>>includeStart('debug', pragmas.debug);
+  if (horizontalAngle <= 0.0 || horizontalAngle >= CesiumMath.PI) {
+    throw new DeveloperError(
+      "horizontalAngle must be greater than zero and less than pi."
+    );
+  }
+  if (verticalAngle <= 0.0 || verticalAngle >= CesiumMath.PI) {
+    throw new DeveloperError(
+      "verticalAngle must be greater than zero and less than pi."
+    );
+  }
+  if (distance <= 0.0) {
+    throw new DeveloperError("distance must be greater than zero.");
+  }
+  //>>includeEnd('debug');
+
+  const camera = viewshed._camera;
+  camera.setView({
+    destination: viewshed.position,
+    orientation: {
+      heading: viewshed.heading,
+      pitch: viewshed.pitch,
+      roll: 0.0,
+    },
+  });
+
+  // The field of view of a perspective frustum is the angle of its larger dimension
+  const aspectRatio =
+    Math.tan(horizontalAngle * 0.5) / Math.tan(verticalAngle * 0.5);
+  const fov = aspectRatio >= 1.0 ? horizontalAngle : verticalAngle;
+  const near = Math.min(1.0, distance * 0.001);
+
+  const frustum = camera.frustum;
+  if (
+    frustum.fov !== fov ||
+    frustum.aspectRatio !== aspectRatio ||
+    frustum.near !== near ||
+    frustum.far !== distance
+  ) {
+    frustum.fov = fov;
+    frustum.aspectRatio = aspectRatio;
+    frustum.near = near;
+    frustum.far = distance;
+
+    // The shadow map only recomputes its culling volume when the bounds of the frustum move
+    const shadowMap = viewshed._shadowMap;
+    if (defined(shadowMap)) {
+      shadowMap._boundingSphere.radius = -1.0;
+    }
+  }
+}
+
+/**
+ * Called when {@link Viewer} or {@link CesiumWidget} render the scene to
+ * get the draw commands needed to render this primitive.
+ * <p>
+ * Do not call this function directly.  This is documented just to
+ * list the exceptions that may be propagated when the scene is rendered:
+ * </p>
+ *
+ * @exception {DeveloperError} horizontalAngle must be greater than zero and less than pi.
+ * @exception {DeveloperError} verticalAngle must be greater than zero and less than pi.
+ * @exception {DeveloperError} distance must be greater than zero.
+ */
+Viewshed.prototype.update = function (frameState) {
+  if (!frameState.passes.render) {
+    return;
+  }
+
+  const show = this.show && frameState.mode === SceneMode.SCENE3D;
+  if (defined(this._stage)) {
+    this._stage.enabled = show;
+  }
+  if (!show) {
+    return;
+  }
+
+  // The camera has a perspective frustum before the shadow map is created, so that the shadow map is for a spot light
+  updateCamera(this);
+  if (!defined(this._shadowMap)) {
+    this._shadowMap = new ShadowMap({
+      context: frameState.context,
+      lightCamera: this._camera,
+      isPointLight: false,
+      cascadesEnabled: false,
+      size: this._size,
+      fromLightSource: false,
+    });
+  }
+
+  if (!defined(this._stage)) {
+    this._stage = this._scene.postProcessStages.add(createStage(this));
+  }
+
+  Matrix4.multiplyByPoint(
+    frameState.camera.viewMatrix,
+    this.position,
+    this._observerPositionEC
+  );
+
+  frameState.shadowMaps.push(this._shadowMap);
+
+  if (this.debugShowFrustum) {
+    if (!defined(this._debugFrustum)) {
+      this._debugFrustum = new DebugCameraPrimitive({
+        camera: this._camera,
+        color: this.visibleColor.withAlpha(1.0),
+      });
+    }
+    this._debugFrustum.update(frameState);
+  } else if (defined(this._debugFrustum)) {
+    this._debugFrustum = this._debugFrustum.destroy();
+  }
+};
+
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ * <br /><br />
+ * If this object was destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.
+ *
+ * @returns {boolean} <code>true</code> if this object was destroyed; otherwise, <code>false</code>.
+ *
+ * @see Viewshed#destroy
+ */
+Viewshed.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the WebGL resources held by this object.  Destroying an object allows for deterministic
+ * release of WebGL resources, instead of relying on the garbage collector to destroy this object.
+ * <br /><br />
+ * Once an object is destroyed, it should not be used; calling any function other than
+ * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.  Therefore,
+ * assign the return value (<code>undefined</code>) to the object as done in the example.
+ *
+ * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+ *
+ * @example
+ * viewshed = viewshed && viewshed.destroy();
+ *
+ * @see Viewshed#isDestroyed
+ */
+Viewshed.prototype.destroy = function () {
+  const postProcessStages = this._scene.postProcessStages;
+  if (defined(this._stage) && !postProcessStages.isDestroyed()) {
+    postProcessStages.remove(this._stage);
+  }
+  this._shadowMap = this._shadowMap && this._shadowMap.destroy();
+  this._debugFrustum = this._debugFrustum && this._debugFrustum.destroy();
+  return destroyObject(this);
+};
+export default Viewshed;
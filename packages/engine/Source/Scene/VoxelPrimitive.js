@@ -40,6 +40,7 @@ import VerticalExaggeration from "../Core/VerticalExaggeration.js";
  *
  * @see VoxelProvider
  * @see Cesium3DTilesVoxelProvider
+ * @see GriddedVoxelProvider
  * @see VoxelShapeType
  *
  * @experimental This feature is not final and is subject to change without Cesium's standard deprecation policy.
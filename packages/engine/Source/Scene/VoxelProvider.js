@@ -8,6 +8,7 @@ import DeveloperError from "../Core/DeveloperError.js";
  * @constructor
  *
  * @see Cesium3DTilesVoxelProvider
+ * @see GriddedVoxelProvider
  * @see VoxelPrimitive
  * @see VoxelShapeType
  *
@@ -193,7 +194,6 @@ Object.defineProperties(VoxelProvider.prototype, {
    * @memberof VoxelProvider.prototype
    * @type {number}
    * @readonly
-   * @private
    */
   keyframeCount: {
     get: DeveloperError.throwInstantiationError,
@@ -204,9 +204,8 @@ Object.defineProperties(VoxelProvider.prototype, {
    * This should not be called before {@link VoxelProvider#ready} returns true.
    *
    * @memberof VoxelProvider.prototype
-   * @type {TimeIntervalCollection}
+   * @type {TimeIntervalCollection|undefined}
    * @readonly
-   * @private
    */
   timeIntervalCollection: {
     get: DeveloperError.throwInstantiationError,
@@ -223,7 +222,7 @@ Object.defineProperties(VoxelProvider.prototype, {
  * @param {number} [options.tileX=0] The tile's X coordinate.
  * @param {number} [options.tileY=0] The tile's Y coordinate.
  * @param {number} [options.tileZ=0] The tile's Z coordinate.
- * @privateparam {number} [options.keyframe=0] The requested keyframe.
+ * @param {number} [options.keyframe=0] The requested keyframe.
  * @returns {Promise<Array[]>|undefined} A promise to an array of typed arrays containing the requested voxel data or undefined if there was a problem loading the data.
  */
 VoxelProvider.prototype.requestData = DeveloperError.throwInstantiationError;
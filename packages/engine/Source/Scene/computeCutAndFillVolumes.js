@@ -0,0 +1,140 @@
+import Check from "../Core/Check.js";
+import createPolygonGrid from "../Core/createPolygonGrid.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import PolygonHierarchy from "../Core/PolygonHierarchy.js";
+import sampleTerrainMostDetailed from "../Core/sampleTerrainMostDetailed.js";
+
+/**
+ * Computes the volumes of material to cut and to fill to bring the surface inside a polygon to a design surface,
+ * such as the flat bottom of an {@link ExcavationPrimitive} or a sloped building pad.
+ * <p>
+ * The heights of the surface are sampled at the centers of the cells of a square grid covering the polygon, from terrain
+ * with {@link sampleTerrainMostDetailed}, or from terrain, 3D Tiles and other primitives in a scene with
+ * {@link Scene#sampleHeightMostDetailed}. Each cell where the surface is above the design height adds to the cut volume,
+ * and each cell where it is below adds to the fill volume. Cells without a surface height are skipped.
+ * </p>
+ *
+ * @function computeCutAndFillVolumes
+ *
+ * @param {object} options Object with the following properties:
+ * @param {PolygonHierarchy|Cartesian3[]} options.polygonHierarchy The polygon, or the positions of its outer boundary.
+ * @param {number|Function} options.designHeight The height of the design surface above the ellipsoid in meters,
+ *        or a function that takes a {@link Cartographic} with a height of zero and returns the height of the design surface there.
+ * @param {TerrainProvider} [options.terrainProvider] The terrain provider to sample, which must have tile availability. Either this or <code>options.scene</code> is required.
+ * @param {Scene} [options.scene] The scene to sample heights from, which includes 3D Tiles. Used when <code>options.terrainProvider</code> is undefined.
+ * @param {Object[]} [options.objectsToExclude] A list of primitives, entities, or 3D Tiles features to not sample heights from in the scene.
+ * @param {number} [options.sampleSpacing] The distance between samples in meters. The default places about 4096 samples in the rectangle around the polygon.
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid.
+ * @returns {Promise<CutAndFillVolumes>} A promise that resolves to the cut and fill volumes.
+ *
+ * @exception {DeveloperError} options.terrainProvider or options.scene is required.
+ *
+ * @example
+ * const volumes = await Cesium.computeCutAndFillVolumes({
+ *   polygonHierarchy: excavation.positions,
+ *   designHeight: excavation.bottomHeight,
+ *   scene: viewer.scene,
+ * });
+ * console.log(`Cut ${volumes.cutVolume} m³, fill ${volumes.fillVolume} m³`);
+ *
+ * @example
+ * // A pad sloping up to the north by one meter every 100 meters of latitude
+ * const southLatitude = Cesium.Math.toRadians(40.0);
+ * const volumes = await Cesium.computeCutAndFillVolumes({
+ *   polygonHierarchy: padPositions,
+ *   designHeight: function (cartographic) {
+ *     return 1650.0 + ((cartographic.latitude - southLatitude) * 6371000.0) / 100.0;
+ *   },
+ *   terrainProvider: viewer.terrainProvider,
+ * });
+ */
+async function computeCutAndFillVolumes(options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options", options);
+  Check.typeOf.object("options.polygonHierarchy", options.polygonHierarchy);
+  Check.defined("options.designHeight", options.designHeight);
+  if (!defined(options.terrainProvider) && !defined(options.scene)) {
+    throw new DeveloperError(
+      "options.terrainProvider or options.scene is required."
+    );
+  }
+  //>>includeEnd('debug');
+
+  let polygonHierarchy = options.polygonHierarchy;
+  if (Array.isArray(polygonHierarchy)) {
+    polygonHierarchy = new PolygonHierarchy(polygonHierarchy);
+  }
+
+  const designHeight = options.designHeight;
+  const getDesignHeight =
+    typeof designHeight === "function"
+      ? designHeight
+      : function () {
+          return designHeight;
+        };
+
+  const grid = createPolygonGrid(polygonHierarchy, {
+    spacing: options.sampleSpacing,
+    ellipsoid: defaultValue(options.ellipsoid, Ellipsoid.WGS84),
+  });
+
+  // Surface heights are sampled into a copy, so that the design surface sees positions without heights
+  const samples = grid.cartographics.map(function (cartographic) {
+    return cartographic.clone();
+  });
+  if (defined(options.terrainProvider)) {
+    await sampleTerrainMostDetailed(options.terrainProvider, samples);
+  } else {
+    await options.scene.sampleHeightMostDetailed(
+      samples,
+      options.objectsToExclude
+    );
+  }
+
+  const cellArea = grid.cellArea;
+  let cutVolume = 0.0;
+  let fillVolume = 0.0;
+  let cutCount = 0;
+  let fillCount = 0;
+  let sampleCount = 0;
+  for (let i = 0; i < samples.length; ++i) {
+    const surfaceHeight = samples[i].height;
+    if (!defined(surfaceHeight)) {
+      continue;
+    }
+    sampleCount++;
+    const difference = surfaceHeight - getDesignHeight(grid.cartographics[i]);
+    if (difference > 0.0) {
+      cutVolume += difference * cellArea;
+      cutCount++;
+    } else if (difference < 0.0) {
+      fillVolume -= difference * cellArea;
+      fillCount++;
+    }
+  }
+
+  return {
+    cutVolume: cutVolume,
+    fillVolume: fillVolume,
+    cutArea: cutCount * cellArea,
+    fillArea: fillCount * cellArea,
+    area: sampleCount * cellArea,
+    sampleCount: sampleCount,
+  };
+}
+
+/**
+ * The volumes computed by {@link computeCutAndFillVolumes}.
+ * @typedef {object} CutAndFillVolumes
+ * @property {number} cutVolume The volume of the surface above the design surface in cubic meters.
+ * @property {number} fillVolume The volume between the surface and the design surface where the surface is below it, in cubic meters.
+ * @property {number} cutArea The area where the surface is above the design surface in square meters.
+ * @property {number} fillArea The area where the surface is below the design surface in square meters.
+ * @property {number} area The area of the polygon where the surface was sampled in square meters.
+ * @property {number} sampleCount The number of samples with a surface height.
+ */
+
+export default computeCutAndFillVolumes;
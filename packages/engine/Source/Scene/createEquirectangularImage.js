@@ -0,0 +1,134 @@
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import CesiumMath from "../Core/Math.js";
+import defined from "../Core/defined.js";
+import Rectangle from "../Core/Rectangle.js";
+import TileProviderError from "../Core/TileProviderError.js";
+
+const scratchCartographic = new Cartographic();
+const scratchNativeRectangle = new Rectangle();
+
+/**
+ * Draws every tile of an imagery provider at one level into a single canvas with an equirectangular
+ * (geographic) projection covering the rectangle of the provider's tiling scheme. Tiles in other projections,
+ * such as Web Mercator, are reprojected one row of pixels at a time. Tiles that fail to load are reported to
+ * the provider's error event and left transparent.
+ *
+ * @function
+ *
+ * @param {ImageryProvider} imageryProvider The imagery provider.
+ * @param {number} level The level of the tiles to draw. The canvas is as many tiles wide as there are tiles in X at this level.
+ * @returns {Promise<{canvas: HTMLCanvasElement, rectangle: Rectangle}>} A promise to the canvas and the rectangle it covers, in radians.
+ *
+ * @private
+ */
+function createEquirectangularImage(imageryProvider, level) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("imageryProvider", imageryProvider);
+  Check.typeOf.number.greaterThanOrEquals("level", level, 0);
+  //>>includeEnd('debug');
+
+  const tilingScheme = imageryProvider.tilingScheme;
+  const projection = tilingScheme.projection;
+  const rectangle = Rectangle.clone(tilingScheme.rectangle);
+  const tileWidth = imageryProvider.tileWidth;
+  const tilesX = tilingScheme.getNumberOfXTilesAtLevel(level);
+  const tilesY = tilingScheme.getNumberOfYTilesAtLevel(level);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = tilesX * tileWidth;
+  canvas.height = Math.max(
+    Math.round((canvas.width * rectangle.height) / rectangle.width),
+    1
+  );
+  const context = canvas.getContext("2d");
+  const pixelHeight = rectangle.height / canvas.height;
+
+  function drawTile(image, x, y) {
+    const tileRectangle = tilingScheme.tileXYToRectangle(x, y, level);
+    const nativeRectangle = tilingScheme.tileXYToNativeRectangle(
+      x,
+      y,
+      level,
+      scratchNativeRectangle
+    );
+    const destinationX = x * tileWidth;
+    const firstRow = Math.max(
+      Math.round((rectangle.north - tileRectangle.north) / pixelHeight),
+      0
+    );
+    const lastRow = Math.min(
+      Math.round((rectangle.north - tileRectangle.south) / pixelHeight),
+      canvas.height
+    );
+    const sourceScale = image.height / nativeRectangle.height;
+
+    for (let row = firstRow; row < lastRow; ++row) {
+      scratchCartographic.longitude = tileRectangle.west;
+      scratchCartographic.latitude = CesiumMath.clamp(
+        rectangle.north - (row + 0.5) * pixelHeight,
+        tileRectangle.south,
+        tileRectangle.north
+      );
+      const projectedY = projection.project(scratchCartographic).y;
+      const sourceY = CesiumMath.clamp(
+        Math.floor((nativeRectangle.north - projectedY) * sourceScale),
+        0,
+        image.height - 1
+      );
+      context.drawImage(
+        image,
+        0,
+        sourceY,
+        image.width,
+        1,
+        destinationX,
+        row,
+        tileWidth,
+        1
+      );
+    }
+  }
+
+  let error;
+  function requestTile(x, y) {
+    const promise = imageryProvider.requestImage(x, y, level);
+    if (!defined(promise)) {
+      return;
+    }
+    return Promise.resolve(promise)
+      .then(function (image) {
+        if (defined(image)) {
+          drawTile(image, x, y);
+        }
+      })
+      .catch(function (e) {
+        error = TileProviderError.reportError(
+          error,
+          imageryProvider,
+          imageryProvider.errorEvent,
+          `Failed to obtain image tile X: ${x} Y: ${y} Level: ${level}.`,
+          x,
+          y,
+          level,
+          e
+        );
+      });
+  }
+
+  const promises = [];
+  for (let y = 0; y < tilesY; ++y) {
+    for (let x = 0; x < tilesX; ++x) {
+      promises.push(requestTile(x, y));
+    }
+  }
+
+  return Promise.all(promises).then(function () {
+    return {
+      canvas: canvas,
+      rectangle: rectangle,
+    };
+  });
+}
+
+export default createEquirectangularImage;
@@ -0,0 +1,165 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ray from "../Core/Ray.js";
+import SceneMode from "./SceneMode.js";
+
+/**
+ * Finds the first obstruction of the line of sight between two positions.
+ * <p>
+ * The line of sight is first intersected with the globe tiles and 3D Tiles that are rendered in the current view and with
+ * all other primitives.  The heights of terrain and 3D Tiles are then sampled at an even spacing along the line with
+ * {@link Scene#sampleHeightMostDetailed}, which loads the most detailed tiles, so that obstructions outside of the
+ * current view are found too.  The line of sight is obstructed where a sampled height is above the line.
+ * </p>
+ * <p>
+ * Obstructions within the tolerance of the start and end positions are ignored, so that the surfaces that the
+ * positions are placed on do not obstruct the line of sight.
+ * </p>
+ *
+ * @function lineOfSight
+ *
+ * @param {Scene} scene The scene.
+ * @param {Cartesian3} start The position of the observer.
+ * @param {Cartesian3} end The position of the target.
+ * @param {object} [options] Object with the following properties:
+ * @param {number} [options.sampleCount=64] The number of heights sampled along the line of sight.  When zero, or when
+ *        {@link Scene#sampleHeightSupported} is <code>false</code>, heights are not sampled.
+ * @param {number} [options.tolerance=1.0] The distance from the start and end positions, in meters, within which obstructions are ignored.
+ * @param {Object[]} [options.objectsToExclude] A list of primitives, entities, or 3D Tiles features that do not obstruct the line of sight.
+ * @param {number} [options.width=0.1] Width of the intersection volume in meters.
+ * @returns {Promise<LineOfSightObstruction|undefined>} A promise that resolves to the obstruction that is closest to the
+ *          start position, or <code>undefined</code> if the line of sight is not obstructed.
+ *
+ * @exception {DeveloperError} lineOfSight is only supported in 3D mode.
+ *
+ * @example
+ * const observer = Cesium.Cartesian3.fromDegrees(-75.59777, 40.03883, 120.0);
+ * const target = Cesium.Cartesian3.fromDegrees(-75.5, 40.1, 50.0);
+ * const obstruction = await Cesium.lineOfSight(viewer.scene, observer, target);
+ * if (Cesium.defined(obstruction)) {
+ *   console.log(`Obstructed after ${obstruction.distance} meters`);
+ * }
+ */
+async function lineOfSight(scene, start, end, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("scene", scene);
+  Check.typeOf.object("start", start);
+  Check.typeOf.object("end", end);
+  if (scene.mode !== SceneMode.SCENE3D) {
+    throw new DeveloperError("lineOfSight is only supported in 3D mode.");
+  }
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const sampleCount = defaultValue(options.sampleCount, 64);
+  const tolerance = defaultValue(options.tolerance, 1.0);
+  const objectsToExclude = options.objectsToExclude;
+  const width = options.width;
+
+  const distance = Cartesian3.distance(start, end);
+  if (distance <= 2.0 * tolerance) {
+    return undefined;
+  }
+
+  let obstruction;
+
+  // Start the ray after the tolerance, so that it does not intersect the surface below the start position
+  const direction = Cartesian3.normalize(
+    Cartesian3.subtract(end, start, new Cartesian3()),
+    new Cartesian3()
+  );
+  const origin = Cartesian3.add(
+    start,
+    Cartesian3.multiplyByScalar(direction, tolerance, new Cartesian3()),
+    new Cartesian3()
+  );
+  const result = scene.pickFromRay(
+    new Ray(origin, direction),
+    objectsToExclude,
+    width
+  );
+  if (defined(result) && defined(result.position)) {
+    const intersectionDistance = Cartesian3.distance(start, result.position);
+    if (intersectionDistance < distance - tolerance) {
+      obstruction = {
+        position: Cartesian3.clone(result.position),
+        distance: intersectionDistance,
+        object: result.object,
+      };
+    }
+  }
+
+  if (sampleCount <= 0 || !scene.sampleHeightSupported) {
+    return obstruction;
+  }
+
+  const globe = scene.globe;
+  const ellipsoid = defined(globe)
+    ? globe.ellipsoid
+    : scene.mapProjection.ellipsoid;
+
+  const samples = [];
+  const sampleDistances = [];
+  const lineHeights = [];
+  const position = new Cartesian3();
+  for (let i = 1; i <= sampleCount; ++i) {
+    const fraction = i / (sampleCount + 1);
+    const sampleDistance = distance * fraction;
+    if (sampleDistance <= tolerance || distance - sampleDistance <= tolerance) {
+      continue;
+    }
+    if (defined(obstruction) && sampleDistance >= obstruction.distance) {
+      break;
+    }
+
+    Cartesian3.lerp(start, end, fraction, position);
+    const cartographic = ellipsoid.cartesianToCartographic(position);
+    if (!defined(cartographic)) {
+      continue;
+    }
+    samples.push(cartographic);
+    sampleDistances.push(sampleDistance);
+    lineHeights.push(cartographic.height);
+  }
+
+  if (samples.length === 0) {
+    return obstruction;
+  }
+
+  await scene.sampleHeightMostDetailed(samples, objectsToExclude, width);
+
+  const length = samples.length;
+  for (let i = 0; i < length; ++i) {
+    const sample = samples[i];
+    if (defined(sample.height) && sample.height > lineHeights[i]) {
+      return {
+        position: Cartesian3.fromRadians(
+          sample.longitude,
+          sample.latitude,
+          sample.height,
+          ellipsoid
+        ),
+        distance: sampleDistances[i],
+        object: undefined,
+      };
+    }
+  }
+
+  return obstruction;
+}
+
+/**
+ * The first obstruction between two positions found by {@link lineOfSight}.
+ *
+ * @typedef {object} LineOfSightObstruction
+ *
+ * @property {Cartesian3} position The position of the obstruction.
+ * @property {number} distance The distance from the start position along the line of sight to the obstruction, in meters.
+ * @property {object|undefined} object The object that obstructs the line of sight, as returned by {@link Scene#pick}, or
+ *           <code>undefined</code> if the obstruction is the globe or was found by sampling heights.
+ */
+
+export default lineOfSight;
@@ -1,4 +1,5 @@
 import defined from "../Core/defined.js";
+import getExtensionFromUri from "../Core/getExtensionFromUri.js";
 import getJsonFromTypedArray from "../Core/getJsonFromTypedArray.js";
 import getMagic from "../Core/getMagic.js";
 import RuntimeError from "../Core/RuntimeError.js";
@@ -21,10 +22,11 @@ import Cesium3DTileContentType from "./Cesium3DTileContentType.js";
  * and to parse JSON files into objects.
  *
  * @param {ArrayBuffer} arrayBuffer The raw binary payload
+ * @param {Resource} [resource] The resource the payload was fetched from. This is used to identify formats that do not have a magic number by their file extension.
  * @return {PreprocessedContent}
  * @private
  */
-function preprocess3DTileContent(arrayBuffer) {
+function preprocess3DTileContent(arrayBuffer, resource) {
   const uint8Array = new Uint8Array(arrayBuffer);
   let contentType = getMagic(uint8Array);
 
@@ -34,6 +36,21 @@ function preprocess3DTileContent(arrayBuffer) {
     contentType = "glb";
   }
 
+  // The PLY header starts with "ply" and a line break, which may be CRLF
+  if (contentType === "ply\n" || contentType === "ply\r") {
+    contentType = Cesium3DTileContentType.GAUSSIAN_SPLAT_PLY;
+  }
+
+  // .splat files are a flat array of splats without a header, so they are only identified by
+  // their file extension when the content does not start with a known magic number
+  if (
+    !Cesium3DTileContentType.isBinaryFormat(contentType) &&
+    defined(resource) &&
+    getExtensionFromUri(resource.url) === Cesium3DTileContentType.GAUSSIAN_SPLAT
+  ) {
+    contentType = Cesium3DTileContentType.GAUSSIAN_SPLAT;
+  }
+
   if (Cesium3DTileContentType.isBinaryFormat(contentType)) {
     return {
       // For binary files, the enum value is the magic number
@@ -0,0 +1,21 @@
+uniform sampler2D u_positionTexture;
+uniform mat4 u_modelView;
+uniform int u_length;
+
+void main()
+{
+    ivec2 texel = ivec2(gl_FragCoord.xy);
+    int width = textureSize(u_positionTexture, 0).x;
+    int index = texel.y * width + texel.x;
+
+    // Padding sorts after all splats
+    float depth = czm_infinity;
+    if (index < u_length)
+    {
+        vec3 positionMC = texelFetch(u_positionTexture, texel, 0).xyz;
+        // The eye coordinates look down -z, so the farthest splats sort first
+        depth = (u_modelView * vec4(positionMC, 1.0)).z;
+    }
+
+    out_FragColor = vec4(depth, float(index), 0.0, 0.0);
+}
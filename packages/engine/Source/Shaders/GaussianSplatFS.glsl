@@ -0,0 +1,20 @@
+in vec4 v_color;
+in vec2 v_corner;
+
+void main()
+{
+    // The Gaussian falls to exp(-4) at the edges of the quad
+    float power = -dot(v_corner, v_corner);
+    if (power < -4.0)
+    {
+        discard;
+    }
+
+    float alpha = min(0.99, exp(power) * v_color.a);
+    if (alpha < 1.0 / 255.0)
+    {
+        discard;
+    }
+
+    out_FragColor = vec4(v_color.rgb * alpha, alpha);
+}
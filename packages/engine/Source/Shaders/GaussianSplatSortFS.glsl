@@ -0,0 +1,22 @@
+uniform sampler2D u_sortTexture;
+uniform int u_stage;
+uniform int u_step;
+
+// One step of a bitonic sort. Each texel holds a depth and a splat index.
+void main()
+{
+    ivec2 texel = ivec2(gl_FragCoord.xy);
+    int width = textureSize(u_sortTexture, 0).x;
+    int index = texel.y * width + texel.x;
+    int partnerIndex = index ^ u_step;
+
+    vec4 value = texelFetch(u_sortTexture, texel, 0);
+    vec4 partner = texelFetch(u_sortTexture, ivec2(partnerIndex % width, partnerIndex / width), 0);
+
+    // Compare the indices of equal depths so that both texels agree on the order
+    bool partnerIsLess = partner.x < value.x || (partner.x == value.x && partner.y < value.y);
+    bool ascending = (index & u_stage) == 0;
+    bool keepMinimum = (index < partnerIndex) == ascending;
+
+    out_FragColor = keepMinimum == partnerIsLess ? partner : value;
+}
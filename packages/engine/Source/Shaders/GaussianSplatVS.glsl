@@ -0,0 +1,100 @@
+in vec2 a_corner;
+
+uniform sampler2D u_sortTexture;
+uniform sampler2D u_positionTexture;
+uniform sampler2D u_covarianceTexture0;
+uniform sampler2D u_covarianceTexture1;
+uniform sampler2D u_colorTexture;
+uniform vec4 u_color;
+
+out vec4 v_color;
+out vec2 v_corner;
+
+void discardSplat()
+{
+    // Place all corners outside of the clip volume
+    gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+    v_color = vec4(0.0);
+    v_corner = vec2(0.0);
+}
+
+void main()
+{
+    int width = textureSize(u_sortTexture, 0).x;
+    int sortIndex = gl_InstanceID;
+    int index = int(texelFetch(u_sortTexture, ivec2(sortIndex % width, sortIndex / width), 0).y);
+    ivec2 texel = ivec2(index % width, index / width);
+
+    vec3 positionMC = texelFetch(u_positionTexture, texel, 0).xyz;
+    vec4 color = texelFetch(u_colorTexture, texel, 0);
+
+#if defined(HAS_STYLE_COLOR) || defined(HAS_STYLE_SHOW)
+    vec3 positionWC = (czm_model * vec4(positionMC, 1.0)).xyz;
+#endif
+#ifdef HAS_STYLE_SHOW
+    if (!getShowFromStyle(positionMC, positionWC, color))
+    {
+        discardSplat();
+        return;
+    }
+#endif
+#ifdef HAS_STYLE_COLOR
+    color = getColorFromStyle(positionMC, positionWC, color);
+#endif
+    color *= u_color;
+
+    vec4 positionEC = czm_modelView * vec4(positionMC, 1.0);
+    vec4 positionClip = czm_projection * positionEC;
+
+    // Cull splats behind the camera or far outside of the view
+    float bounds = 1.2 * positionClip.w;
+    if (positionEC.z >= 0.0 ||
+        color.a <= 0.0 ||
+        positionClip.x < -bounds || positionClip.x > bounds ||
+        positionClip.y < -bounds || positionClip.y > bounds)
+    {
+        discardSplat();
+        return;
+    }
+
+    vec3 covariance0 = texelFetch(u_covarianceTexture0, texel, 0).xyz;
+    vec3 covariance1 = texelFetch(u_covarianceTexture1, texel, 0).xyz;
+    mat3 covariance = mat3(
+        covariance0.x, covariance0.y, covariance0.z,
+        covariance0.y, covariance1.x, covariance1.y,
+        covariance0.z, covariance1.y, covariance1.z
+    );
+
+    // Project the 3D covariance to 2D with the Jacobian of the perspective projection
+    vec2 focal = vec2(czm_projection[0][0], czm_projection[1][1]) * czm_viewport.zw * 0.5;
+    float z = positionEC.z;
+    float z2 = z * z;
+    mat3 jacobian = mat3(
+        -focal.x / z, 0.0, 0.0,
+        0.0, -focal.y / z, 0.0,
+        focal.x * positionEC.x / z2, focal.y * positionEC.y / z2, 0.0
+    );
+    mat3 transform = jacobian * mat3(czm_modelView);
+    mat3 covariance2D = transform * covariance * transpose(transform);
+
+    // Dilate by a pixel so that small splats do not alias
+    float a = covariance2D[0][0] + 0.3;
+    float b = covariance2D[0][1];
+    float c = covariance2D[1][1] + 0.3;
+
+    // The eigenvalues and eigenvectors give the axes of the ellipse on screen
+    float mid = 0.5 * (a + c);
+    float radius = length(vec2(0.5 * (a - c), b));
+    float lambda1 = mid + radius;
+    float lambda2 = max(mid - radius, 0.1);
+    vec2 diagonal = vec2(b, lambda1 - a);
+    diagonal = dot(diagonal, diagonal) > 0.0 ? normalize(diagonal) : vec2(1.0, 0.0);
+    vec2 majorAxis = min(sqrt(2.0 * lambda1), 1024.0) * diagonal;
+    vec2 minorAxis = min(sqrt(2.0 * lambda2), 1024.0) * vec2(diagonal.y, -diagonal.x);
+
+    vec2 offset = a_corner.x * majorAxis + a_corner.y * minorAxis;
+    gl_Position = positionClip + vec4(offset * 2.0 / czm_viewport.zw * positionClip.w, 0.0, 0.0);
+
+    v_color = color;
+    v_corner = a_corner;
+}
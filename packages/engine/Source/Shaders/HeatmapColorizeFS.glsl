@@ -0,0 +1,18 @@
+uniform sampler2D u_densityTexture;
+uniform sampler2D u_maximumTexture;
+uniform sampler2D u_colorRampTexture;
+uniform float u_colorRampLength;
+uniform float u_maximumDensity;
+
+in vec2 v_textureCoordinates;
+
+void main()
+{
+    float maximum = u_maximumDensity > 0.0 ? u_maximumDensity : texture(u_maximumTexture, vec2(0.5)).r;
+    float density = texture(u_densityTexture, v_textureCoordinates).r;
+    float t = maximum > 0.0 ? clamp(density / maximum, 0.0, 1.0) : 0.0;
+
+    // Interpolate between the centers of the first and last colors of the ramp
+    float x = (t * (u_colorRampLength - 1.0) + 0.5) / u_colorRampLength;
+    out_FragColor = texture(u_colorRampTexture, vec2(x, 0.5));
+}
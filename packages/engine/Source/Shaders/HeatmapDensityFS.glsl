@@ -0,0 +1,14 @@
+in vec2 v_offset;
+in float v_weight;
+
+void main()
+{
+    float distanceSquared = dot(v_offset, v_offset);
+    if (distanceSquared > 1.0)
+    {
+        discard;
+    }
+
+    // Gaussian kernel with a standard deviation of a third of the radius, truncated at the radius
+    out_FragColor = vec4(v_weight * exp(-4.5 * distanceSquared), 0.0, 0.0, 1.0);
+}
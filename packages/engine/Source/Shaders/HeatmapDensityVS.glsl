@@ -0,0 +1,16 @@
+in vec2 corner;
+in vec2 center;
+in vec3 halfSizeAndWeight;
+
+out vec2 v_offset;
+out float v_weight;
+
+void main()
+{
+    v_offset = corner;
+    v_weight = halfSizeAndWeight.z;
+
+    // Positions are texture coordinates in the rectangle of the heatmap
+    vec2 position = center + corner * halfSizeAndWeight.xy;
+    gl_Position = vec4(position * 2.0 - 1.0, 0.0, 1.0);
+}
@@ -0,0 +1,21 @@
+uniform sampler2D u_texture;
+uniform vec2 u_textureDimensions;
+
+void main()
+{
+    // Each pixel is the maximum of a 4x4 block of pixels of the texture
+    vec2 origin = floor(gl_FragCoord.xy) * 4.0;
+    float maximum = 0.0;
+    for (int j = 0; j < 4; ++j)
+    {
+        for (int i = 0; i < 4; ++i)
+        {
+            vec2 pixel = origin + vec2(float(i), float(j));
+            if (pixel.x < u_textureDimensions.x && pixel.y < u_textureDimensions.y)
+            {
+                maximum = max(maximum, texture(u_texture, (pixel + 0.5) / u_textureDimensions).r);
+            }
+        }
+    }
+    out_FragColor = vec4(maximum, 0.0, 0.0, 1.0);
+}
@@ -0,0 +1,53 @@
+uniform sampler2D colorTexture;
+uniform sampler2D depthTexture;
+uniform sampler2D shadowMap_texture;
+uniform mat4 shadowMap_matrix;
+uniform vec3 u_observerPositionEC;
+uniform float u_distance;
+uniform float u_depthBias;
+uniform vec4 u_visibleColor;
+uniform vec4 u_occludedColor;
+
+in vec2 v_textureCoordinates;
+
+float sampleShadowMap(vec2 uv)
+{
+#ifdef USE_SHADOW_DEPTH_TEXTURE
+    return texture(shadowMap_texture, uv).r;
+#else
+    return czm_unpackDepth(texture(shadowMap_texture, uv));
+#endif
+}
+
+void main()
+{
+    vec4 color = texture(colorTexture, v_textureCoordinates);
+    out_FragColor = color;
+
+    float depthOrLogDepth = texture(depthTexture, v_textureCoordinates).r;
+    // Nothing was rendered at this fragment
+    if (depthOrLogDepth >= 1.0)
+    {
+        return;
+    }
+
+    vec4 positionEC = czm_windowToEyeCoordinates(gl_FragCoord.xy, depthOrLogDepth);
+    positionEC /= positionEC.w;
+
+    if (distance(positionEC.xyz, u_observerPositionEC) > u_distance)
+    {
+        return;
+    }
+
+    // The observer uses a perspective projection, so perform the perspective divide
+    vec4 shadowPosition = shadowMap_matrix * positionEC;
+    shadowPosition /= shadowPosition.w;
+    if (any(lessThan(shadowPosition.xyz, vec3(0.0))) || any(greaterThan(shadowPosition.xyz, vec3(1.0))))
+    {
+        return;
+    }
+
+    float visibility = step(shadowPosition.z - u_depthBias, sampleShadowMap(shadowPosition.xy));
+    vec4 analysisColor = mix(u_occludedColor, u_visibleColor, visibility);
+    out_FragColor = vec4(mix(color.rgb, analysisColor.rgb, analysisColor.a), color.a);
+}
@@ -0,0 +1,270 @@
+uniform sampler2D colorTexture;
+uniform sampler2D depthTexture;
+uniform sampler2D coverageTexture;
+uniform vec4 coverageRectangle;
+uniform float coverage;
+uniform float cloudBase;
+uniform float cloudTop;
+uniform float density;
+uniform float noiseScale;
+uniform float windSpeed;
+uniform float windDirection;
+uniform float shadowStrength;
+uniform float time;
+
+in vec2 v_textureCoordinates;
+
+// The number of samples along view rays, along rays toward the light and along shadow rays
+#define VIEW_STEPS 48
+#define LIGHT_STEPS 6
+#define SHADOW_STEPS 8
+
+// Henyey-Greenstein anisotropy of forward scattering by cloud droplets
+#define FORWARD_SCATTERING 0.6
+
+vec3 clipToWorldDirection(vec2 uv, float depth, out float distanceToPosition)
+{
+    vec2 xy = vec2((uv.x * 2.0 - 1.0), ((1.0 - uv.y) * 2.0 - 1.0));
+    vec4 positionEC = czm_inverseProjection * vec4(xy, depth, 1.0);
+    positionEC = positionEC / positionEC.w;
+    distanceToPosition = length(positionEC.xyz);
+    return normalize((czm_inverseView * vec4(positionEC.xyz, 0.0)).xyz);
+}
+
+// Intersects a ray with the ellipsoid scaled outward by a height, returning the near and far distances
+vec2 intersectShell(vec3 origin, vec3 direction, float height)
+{
+    vec3 inverseRadii = 1.0 / (czm_ellipsoidRadii + height);
+    vec3 q = origin * inverseRadii;
+    vec3 w = direction * inverseRadii;
+    float a = dot(w, w);
+    float b = dot(q, w);
+    float c = dot(q, q) - 1.0;
+    float discriminant = b * b - a * c;
+    if (discriminant < 0.0)
+    {
+        return vec2(-1.0);
+    }
+    float root = sqrt(discriminant);
+    return vec2((-b - root) / a, (-b + root) / a);
+}
+
+vec3 geodeticSurfaceNormal(vec3 positionWC)
+{
+    return normalize(positionWC * czm_ellipsoidInverseRadii * czm_ellipsoidInverseRadii);
+}
+
+float getHeight(vec3 positionWC)
+{
+    vec3 scaled = positionWC * czm_ellipsoidInverseRadii;
+    return length(positionWC) * (1.0 - inversesqrt(dot(scaled, scaled)));
+}
+
+float hash(vec3 p)
+{
+    p = fract(p * 0.3183099 + 0.1);
+    p *= 17.0;
+    return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
+
+float valueNoise(vec3 p)
+{
+    vec3 i = floor(p);
+    vec3 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(
+        mix(mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x),
+            mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+        mix(mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x),
+            mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+        f.z);
+}
+
+float fbm(vec3 p)
+{
+    float value = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < 4; ++i)
+    {
+        value += amplitude * valueNoise(p);
+        p = p * 2.03 + vec3(17.1);
+        amplitude *= 0.5;
+    }
+    return value / 0.9375;
+}
+
+float sampleCoverage(vec3 normal)
+{
+    float longitude = atan(normal.y, normal.x);
+    float latitude = asin(clamp(normal.z, -1.0, 1.0));
+    float west = coverageRectangle.x;
+    float east = coverageRectangle.z;
+    if (east < west)
+    {
+        east += czm_twoPi;
+        if (longitude < west)
+        {
+            longitude += czm_twoPi;
+        }
+    }
+    vec2 uv = vec2(
+        (longitude - west) / (east - west),
+        (latitude - coverageRectangle.y) / (coverageRectangle.w - coverageRectangle.y)
+    );
+    if (any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0))))
+    {
+        return 0.0;
+    }
+    vec4 color = texture(coverageTexture, uv);
+    return dot(color.rgb, vec3(0.2126, 0.7152, 0.0722)) * color.a;
+}
+
+float sampleDensity(vec3 positionWC)
+{
+    float height = getHeight(positionWC);
+    float heightFraction = (height - cloudBase) / (cloudTop - cloudBase);
+    if (heightFraction < 0.0 || heightFraction > 1.0)
+    {
+        return 0.0;
+    }
+
+    vec3 normal = geodeticSurfaceNormal(positionWC);
+    float localCoverage = sampleCoverage(normal) * coverage;
+    if (localCoverage <= 0.0)
+    {
+        return 0.0;
+    }
+
+    // Move the noise downwind in the local east-north-up frame
+    vec3 east = normalize(vec3(-positionWC.y, positionWC.x, 0.0));
+    vec3 north = cross(normal, east);
+    vec3 wind = (sin(windDirection) * east + cos(windDirection) * north) * windSpeed * time;
+    float noise = fbm((positionWC - wind) / noiseScale);
+
+    // Round the bottoms and thin the tops of clouds
+    float profile = smoothstep(0.0, 0.15, heightFraction) * smoothstep(1.0, 0.6, heightFraction);
+    float shape = clamp((noise * profile - (1.0 - localCoverage)) / max(localCoverage, 0.01), 0.0, 1.0);
+    return shape * density;
+}
+
+// Returns the transmittance of the cloud layer between a position and the light
+float lightTransmittance(vec3 positionWC, vec3 lightDirection)
+{
+    // Limit the march at grazing angles, where the layer is thickest
+    vec2 top = intersectShell(positionWC, lightDirection, cloudTop);
+    float lightDistance = clamp(top.y, 0.0, 4.0 * (cloudTop - cloudBase));
+    float stepLength = lightDistance / float(LIGHT_STEPS);
+    float opticalDepth = 0.0;
+    for (int i = 0; i < LIGHT_STEPS; ++i)
+    {
+        vec3 samplePosition = positionWC + lightDirection * (float(i) + 0.5) * stepLength;
+        opticalDepth += sampleDensity(samplePosition) * stepLength;
+    }
+    return exp(-opticalDepth);
+}
+
+float henyeyGreenstein(float cosAngle, float g)
+{
+    float g2 = g * g;
+    return (1.0 - g2) / (4.0 * czm_pi * pow(1.0 + g2 - 2.0 * g * cosAngle, 1.5));
+}
+
+void main()
+{
+    vec4 color = texture(colorTexture, v_textureCoordinates);
+    float depth = czm_readDepth(depthTexture, v_textureCoordinates);
+
+    float sceneDistance;
+    vec3 direction = clipToWorldDirection(v_textureCoordinates, depth, sceneDistance);
+    if (depth >= 1.0)
+    {
+        sceneDistance = czm_infinity;
+    }
+
+    vec3 origin = czm_viewerPositionWC;
+    vec3 lightDirection = normalize(czm_lightDirectionWC);
+
+    // Darken the lit surface under clouds by marching toward the light through the cloud layer
+    vec3 surfacePosition = origin + direction * sceneDistance;
+    if (depth < 1.0 && shadowStrength > 0.0 && dot(geodeticSurfaceNormal(surfacePosition), lightDirection) > 0.0)
+    {
+        vec2 shadowBase = intersectShell(surfacePosition, lightDirection, cloudBase);
+        vec2 shadowTop = intersectShell(surfacePosition, lightDirection, cloudTop);
+        float shadowStart = max(shadowBase.y, 0.0);
+        float shadowLength = clamp(shadowTop.y - shadowStart, 0.0, 4.0 * (cloudTop - cloudBase));
+        float stepLength = shadowLength / float(SHADOW_STEPS);
+        float opticalDepth = 0.0;
+        for (int i = 0; i < SHADOW_STEPS; ++i)
+        {
+            vec3 samplePosition = surfacePosition + lightDirection * (shadowStart + (float(i) + 0.5) * stepLength);
+            opticalDepth += sampleDensity(samplePosition) * stepLength;
+        }
+        float shadow = mix(1.0, exp(-opticalDepth), shadowStrength);
+        color.rgb *= shadow;
+    }
+
+    vec2 outer = intersectShell(origin, direction, cloudTop);
+    if (outer.y <= 0.0)
+    {
+        out_FragColor = color;
+        return;
+    }
+
+    float start = max(outer.x, 0.0);
+    float end = min(outer.y, sceneDistance);
+
+    // Stop at the bottom of the layer unless the camera is below it, looking up
+    vec2 inner = intersectShell(origin, direction, cloudBase);
+    if (inner.x > 0.0)
+    {
+        end = min(end, inner.x);
+    }
+    else if (inner.y > 0.0)
+    {
+        start = max(start, inner.y);
+    }
+
+    if (end <= start)
+    {
+        out_FragColor = color;
+        return;
+    }
+
+    float stepLength = (end - start) / float(VIEW_STEPS);
+    float jitter = fract(sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453);
+    float phase = henyeyGreenstein(dot(direction, lightDirection), FORWARD_SCATTERING) + 0.25 / czm_pi;
+
+    // Ambient light from the sky, which also fades clouds on the night side
+    vec3 layerPosition = origin + direction * start;
+    vec3 rayleighColor;
+    vec3 mieColor;
+    float opacity;
+    czm_computeGroundAtmosphereScattering(layerPosition, lightDirection, rayleighColor, mieColor, opacity);
+    vec3 skyColor = czm_computeAtmosphereColor(layerPosition, lightDirection, rayleighColor, mieColor, opacity).rgb;
+    float daylight = clamp(dot(geodeticSurfaceNormal(layerPosition), lightDirection) * 4.0 + 0.5, 0.0, 1.0);
+    vec3 ambient = mix(vec3(0.02), skyColor + vec3(0.1), daylight);
+    vec3 sunLight = czm_lightColor * daylight;
+
+    float transmittance = 1.0;
+    vec3 scattered = vec3(0.0);
+    for (int i = 0; i < VIEW_STEPS; ++i)
+    {
+        float t = start + (float(i) + jitter) * stepLength;
+        if (t > end || transmittance < 0.01)
+        {
+            break;
+        }
+        vec3 samplePosition = origin + direction * t;
+        float sampleDensityValue = sampleDensity(samplePosition);
+        if (sampleDensityValue <= 0.0)
+        {
+            continue;
+        }
+        vec3 luminance = sunLight * lightTransmittance(samplePosition, lightDirection) * phase * czm_pi + ambient;
+        float sampleTransmittance = exp(-sampleDensityValue * stepLength);
+        scattered += transmittance * (1.0 - sampleTransmittance) * luminance;
+        transmittance *= sampleTransmittance;
+    }
+
+    out_FragColor = vec4(color.rgb * transmittance + scattered, color.a);
+}
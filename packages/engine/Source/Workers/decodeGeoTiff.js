@@ -0,0 +1,10 @@
+import resampleGeoTiffTiles from "../Core/resampleGeoTiffTiles.js";
+import createTaskProcessorWorker from "./createTaskProcessorWorker.js";
+
+async function decodeGeoTiff(parameters, transferableObjects) {
+  const result = await resampleGeoTiffTiles(parameters);
+  transferableObjects.push(result.buffer);
+  return result;
+}
+
+export default createTaskProcessorWorker(decodeGeoTiff);
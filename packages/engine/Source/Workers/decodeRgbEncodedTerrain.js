@@ -0,0 +1,14 @@
+import decodeRgbEncodedHeightmap from "../Core/decodeRgbEncodedHeightmap.js";
+import defined from "../Core/defined.js";
+import createTaskProcessorWorker from "./createTaskProcessorWorker.js";
+
+function decodeRgbEncodedTerrain(parameters, transferableObjects) {
+  const result = decodeRgbEncodedHeightmap(parameters);
+  transferableObjects.push(result.heights.buffer);
+  if (defined(result.waterMask)) {
+    transferableObjects.push(result.waterMask.buffer);
+  }
+  return result;
+}
+
+export default createTaskProcessorWorker(decodeRgbEncodedTerrain);
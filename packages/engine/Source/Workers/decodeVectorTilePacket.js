@@ -0,0 +1,23 @@
+import decodeVectorTile from "../Core/decodeVectorTile.js";
+import pako from "pako/lib/inflate.js";
+import createTaskProcessorWorker from "./createTaskProcessorWorker.js";
+
+function isGzipped(uint8Array) {
+  return (
+    uint8Array.length > 2 && uint8Array[0] === 0x1f && uint8Array[1] === 0x8b
+  );
+}
+
+function decodeVectorTilePacket(parameters, transferableObjects) {
+  let uint8Array = new Uint8Array(parameters.buffer);
+
+  // Some servers store tiles gzipped without setting the Content-Encoding header,
+  // so the browser hands us the compressed bytes
+  if (isGzipped(uint8Array)) {
+    uint8Array = pako.inflate(uint8Array);
+  }
+
+  return decodeVectorTile(uint8Array);
+}
+
+export default createTaskProcessorWorker(decodeVectorTilePacket);
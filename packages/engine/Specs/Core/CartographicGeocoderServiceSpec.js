@@ -1,9 +1,14 @@
 import {
   Cartesian3,
+  Cartographic,
   CartographicGeocoderService,
   GeocoderService,
+  Mgrs,
+  Utm,
 } from "../../index.js";
 
+import { Math as CesiumMath } from "../../index.js";
+
 describe("Core/CartographicGeocoderService", function () {
   const service = new CartographicGeocoderService();
 
@@ -52,6 +57,65 @@ describe("Core/CartographicGeocoderService", function () {
     });
   });
 
+  it("returns cartesian for MGRS input", function () {
+    const query = "18S UJ 23480 06470";
+    const cartographic = Mgrs.parse(query);
+    return service.geocode(query).then(function (results) {
+      expect(results.length).toEqual(1);
+      expect(results[0].displayName).toEqual(query);
+      expect(results[0].destination).toEqualEpsilon(
+        Cartesian3.fromRadians(
+          cartographic.longitude,
+          cartographic.latitude,
+          300.0
+        ),
+        CesiumMath.EPSILON9
+      );
+    });
+  });
+
+  it("returns cartesian for UTM input", function () {
+    const query = "33U 571666.4475 5539109.8153";
+    const cartographic = Utm.parse(query);
+    return service.geocode(query).then(function (results) {
+      expect(results.length).toEqual(1);
+      expect(results[0].destination).toEqualEpsilon(
+        Cartesian3.fromRadians(
+          cartographic.longitude,
+          cartographic.latitude,
+          300.0
+        ),
+        CesiumMath.EPSILON9
+      );
+    });
+  });
+
+  it("returns cartesian for degrees, minutes and seconds input", function () {
+    const query = `40°02'19.8"N 75°35'52.0"W`;
+    const expected = Cartographic.fromDegrees(
+      -(75.0 + 35.0 / 60.0 + 52.0 / 3600.0),
+      40.0 + 2.0 / 60.0 + 19.8 / 3600.0,
+      300.0
+    );
+    return service.geocode(query).then(function (results) {
+      expect(results.length).toEqual(1);
+      expect(results[0].destination).toEqualEpsilon(
+        Cartographic.toCartesian(expected),
+        CesiumMath.EPSILON9
+      );
+    });
+  });
+
+  it("returns empty array for MGRS input with an invalid zone", function () {
+    return Promise.all([
+      service.geocode("0S UJ 1 1"),
+      service.geocode("61S UJ 23480 06470"),
+    ]).then(function (results) {
+      expect(results[0].length).toEqual(0);
+      expect(results[1].length).toEqual(0);
+    });
+  });
+
   it("returns empty array for input with only longitudinal coordinates", function () {
     const query = " 1e 1e ";
     return service.geocode(query).then(function (results) {
@@ -0,0 +1,22 @@
+import { ClockBookmark, JulianDate } from "../../index.js";
+
+describe("Core/ClockBookmark", function () {
+  it("constructs with a copy of the time", function () {
+    const time = JulianDate.fromIso8601("2012-08-04T16:00:00Z");
+    const bookmark = new ClockBookmark(time, "Launch");
+    expect(bookmark.time).toEqual(time);
+    expect(bookmark.time).not.toBe(time);
+    expect(bookmark.name).toBe("Launch");
+  });
+
+  it("has an empty name by default", function () {
+    const bookmark = new ClockBookmark(new JulianDate());
+    expect(bookmark.name).toBe("");
+  });
+
+  it("throws without time", function () {
+    expect(function () {
+      return new ClockBookmark();
+    }).toThrowDeveloperError();
+  });
+});
@@ -666,4 +666,81 @@ describe("Core/Clock", function () {
       );
     });
   });
+
+  describe("bookmarks", function () {
+    const start = JulianDate.fromIso8601("2012-08-04T16:00:00Z");
+
+    function addSeconds(seconds) {
+      return JulianDate.addSeconds(start, seconds, new JulianDate());
+    }
+
+    it("adds bookmarks sorted by time", function () {
+      const clock = new Clock({ startTime: start });
+      const listener = jasmine.createSpy("listener");
+      clock.onBookmarksChanged.addEventListener(listener);
+
+      const second = clock.addBookmark(addSeconds(20), "Second");
+      const first = clock.addBookmark(addSeconds(10), "First");
+      const current = clock.addBookmark();
+
+      expect(listener.calls.count()).toBe(3);
+      expect(listener).toHaveBeenCalledWith(clock);
+      expect(clock.bookmarks).toEqual([current, first, second]);
+      expect(current.time).toEqual(clock.currentTime);
+      expect(current.time).not.toBe(clock.currentTime);
+      expect(current.name).toBe("");
+      expect(first.name).toBe("First");
+    });
+
+    it("keeps bookmarks at the same time in the order they were added", function () {
+      const clock = new Clock({ startTime: start });
+      const first = clock.addBookmark(addSeconds(10), "First");
+      const second = clock.addBookmark(addSeconds(10), "Second");
+      expect(clock.bookmarks).toEqual([first, second]);
+    });
+
+    it("removes bookmarks", function () {
+      const clock = new Clock({ startTime: start });
+      const first = clock.addBookmark(addSeconds(10));
+      const second = clock.addBookmark(addSeconds(20));
+      const listener = jasmine.createSpy("listener");
+      clock.onBookmarksChanged.addEventListener(listener);
+
+      expect(clock.removeBookmark(first)).toBe(true);
+      expect(clock.removeBookmark(first)).toBe(false);
+      expect(clock.bookmarks).toEqual([second]);
+      expect(listener.calls.count()).toBe(1);
+
+      clock.removeAllBookmarks();
+      expect(clock.bookmarks.length).toBe(0);
+      expect(listener.calls.count()).toBe(2);
+
+      clock.removeAllBookmarks();
+      expect(listener.calls.count()).toBe(2);
+    });
+
+    it("gets the next and previous bookmarks", function () {
+      const clock = new Clock({
+        startTime: start,
+        currentTime: addSeconds(10),
+      });
+      const first = clock.addBookmark(addSeconds(0));
+      const second = clock.addBookmark(addSeconds(10));
+      const third = clock.addBookmark(addSeconds(20));
+
+      expect(clock.getNextBookmark()).toBe(third);
+      expect(clock.getPreviousBookmark()).toBe(first);
+      expect(clock.getNextBookmark(addSeconds(-5))).toBe(first);
+      expect(clock.getPreviousBookmark(addSeconds(15))).toBe(second);
+      expect(clock.getNextBookmark(addSeconds(20))).toBeUndefined();
+      expect(clock.getPreviousBookmark(addSeconds(0))).toBeUndefined();
+    });
+
+    it("removeBookmark throws without bookmark", function () {
+      const clock = new Clock();
+      expect(function () {
+        clock.removeBookmark();
+      }).toThrowDeveloperError();
+    });
+  });
 });
@@ -0,0 +1,111 @@
+import { Cartographic, DegreesMinutesSeconds } from "../../index.js";
+
+import { Math as CesiumMath } from "../../index.js";
+
+describe("Core/DegreesMinutesSeconds", function () {
+  const expected = Cartographic.fromDegrees(
+    -(75.0 + 35.0 / 60.0 + 52.0 / 3600.0),
+    40.0 + 2.0 / 60.0 + 19.8 / 3600.0
+  );
+
+  it("format formats degrees, minutes and seconds", function () {
+    expect(DegreesMinutesSeconds.format(expected)).toEqual(
+      `40°02'19.8"N 075°35'52.0"W`
+    );
+    expect(DegreesMinutesSeconds.format(expected, 0)).toEqual(
+      `40°02'20"N 075°35'52"W`
+    );
+    expect(
+      DegreesMinutesSeconds.format(Cartographic.fromDegrees(151.2, -33.2))
+    ).toEqual(`33°12'00.0"S 151°12'00.0"E`);
+  });
+
+  it("format carries rounded seconds into minutes and degrees", function () {
+    expect(
+      DegreesMinutesSeconds.format(
+        Cartographic.fromDegrees(9.99999999, 19.99999999)
+      )
+    ).toEqual(`20°00'00.0"N 010°00'00.0"E`);
+  });
+
+  it("parse parses degrees, minutes and seconds with hemispheres", function () {
+    const queries = [
+      `40°02'19.8"N 75°35'52.0"W`,
+      `40°02'19.8''N, 75°35'52''W`,
+      `N40°02′19.8″ W075°35′52″`,
+      `W 75 35 52 N 40 2 19.8`,
+      `40:02:19.8N 075:35:52W`,
+      `40 02 19.8 n 75 35 52 w`,
+    ];
+    for (let i = 0; i < queries.length; ++i) {
+      expect(DegreesMinutesSeconds.parse(queries[i])).toEqualEpsilon(
+        expected,
+        CesiumMath.EPSILON12
+      );
+    }
+  });
+
+  it("parse parses degrees and decimal minutes", function () {
+    expect(DegreesMinutesSeconds.parse(`40°02.33'N 75°35.5'W`)).toEqualEpsilon(
+      Cartographic.fromDegrees(-(75.0 + 35.5 / 60.0), 40.0 + 2.33 / 60.0),
+      CesiumMath.EPSILON12
+    );
+  });
+
+  it("parse parses signed angles with the latitude first", function () {
+    expect(DegreesMinutesSeconds.parse(`-33°52'10" 151°12'30"`)).toEqualEpsilon(
+      Cartographic.fromDegrees(
+        151.0 + 12.0 / 60.0 + 30.0 / 3600.0,
+        -(33.0 + 52.0 / 60.0 + 10.0 / 3600.0)
+      ),
+      CesiumMath.EPSILON12
+    );
+  });
+
+  it("parse uses the result parameter", function () {
+    const result = new Cartographic();
+    expect(DegreesMinutesSeconds.parse(`40°N 75°W`, result)).toBe(result);
+    expect(result).toEqualEpsilon(
+      Cartographic.fromDegrees(-75.0, 40.0),
+      CesiumMath.EPSILON12
+    );
+  });
+
+  it("parse returns what format formats", function () {
+    const cartographic = Cartographic.fromDegrees(-122.4194, 37.7749);
+    expect(
+      DegreesMinutesSeconds.parse(DegreesMinutesSeconds.format(cartographic, 3))
+    ).toEqualEpsilon(cartographic, CesiumMath.EPSILON9);
+  });
+
+  it("parse returns undefined for invalid angles", function () {
+    const queries = [
+      "",
+      "aoeu",
+      "2.0",
+      "1e 1e",
+      "1e 1",
+      "40.5 75.2",
+      `40°70'N 75°W`,
+      `40°02'61"N 75°W`,
+      `40.5°02'N 75°W`,
+      `-40°N 75°W`,
+      `95°N 75°W`,
+      `40°N 185°W`,
+      `40°N 75°W 10°E`,
+      `N S 40 75`,
+    ];
+    for (let i = 0; i < queries.length; ++i) {
+      expect(DegreesMinutesSeconds.parse(queries[i])).toBeUndefined();
+    }
+  });
+
+  it("throws without required arguments", function () {
+    expect(function () {
+      return DegreesMinutesSeconds.format();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return DegreesMinutesSeconds.parse();
+    }).toThrowDeveloperError();
+  });
+});
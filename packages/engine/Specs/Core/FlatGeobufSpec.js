@@ -0,0 +1,301 @@
+import {
+  defaultValue,
+  FlatGeobuf,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+} from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Core/FlatGeobuf", function () {
+  const url = "made/up/parcels.fgb";
+
+  let requestedRanges;
+
+  // A grid of one degree squares. The index of a grid of 10 by 10 squares has three levels.
+  function createGrid(size) {
+    size = defaultValue(size, 10);
+    const features = [];
+    for (let y = 0; y < size; ++y) {
+      for (let x = 0; x < size; ++x) {
+        features.push({
+          geometry: {
+            type: "Polygon",
+            coordinates: [
+              [
+                [x, y],
+                [x + 1, y],
+                [x + 1, y + 1],
+                [x, y + 1],
+                [x, y],
+              ],
+            ],
+          },
+          properties: {
+            name: `Parcel ${x}-${y}`,
+            row: y,
+          },
+        });
+      }
+    }
+    return features;
+  }
+
+  const columns = [
+    { name: "name", type: 11 },
+    { name: "row", type: 5 },
+  ];
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("fromUrl throws without url", async function () {
+    await expectAsync(FlatGeobuf.fromUrl()).toBeRejectedWithDeveloperError();
+  });
+
+  it("fromUrl rejects for files that are not FlatGeobuf", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(new Uint8Array(64).buffer);
+    await expectAsync(FlatGeobuf.fromUrl(url)).toBeRejectedWithError(
+      RuntimeError,
+      "The file is not a FlatGeobuf file."
+    );
+  });
+
+  it("fromUrl rejects for unsupported coordinate reference systems", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createFlatGeobuf({
+        features: createGrid(),
+        crsCode: 27700,
+      })
+    );
+    await expectAsync(FlatGeobuf.fromUrl(url)).toBeRejectedWithError(
+      RuntimeError,
+      /EPSG:27700/
+    );
+  });
+
+  it("reads the header", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createFlatGeobuf({
+        features: createGrid(),
+        columns: columns,
+        name: "parcels",
+      })
+    );
+    const file = await FlatGeobuf.fromUrl(url);
+    expect(file.name).toBe("parcels");
+    expect(file.featuresLength).toBe(100);
+    expect(file.hasIndex).toBe(true);
+    expect(file.rectangle).toEqualEpsilon(
+      Rectangle.fromDegrees(0.0, 0.0, 10.0, 10.0),
+      1e-12
+    );
+  });
+
+  it("searches the index and reads the features in a rectangle", async function () {
+    // Large enough that the first request does not read the whole file
+    const buffer = BinaryFormatTester.createFlatGeobuf({
+      features: createGrid(40),
+      columns: columns,
+    });
+    requestedRanges = BinaryFormatTester.serveFile(buffer);
+    const file = await FlatGeobuf.fromUrl(url);
+
+    const references = await file.search(
+      Rectangle.fromDegrees(2.25, 3.25, 3.75, 3.75)
+    );
+    expect(
+      references.map(function (reference) {
+        return reference.index;
+      })
+    ).toEqual([122, 123]);
+
+    const features = await file.readFeatures(references);
+    expect(features.length).toBe(2);
+    expect(features[0].id).toBe(122);
+    expect(features[0].geometry).toEqual({
+      type: "Polygon",
+      coordinates: [
+        [
+          [2, 3],
+          [3, 3],
+          [3, 4],
+          [2, 4],
+          [2, 3],
+        ],
+      ],
+    });
+    expect(features[0].properties).toEqual({
+      name: "Parcel 2-3",
+      row: 3,
+    });
+    expect(features[1].properties.name).toBe("Parcel 3-3");
+
+    // Only parts of the file are read
+    expect(requestedRanges.length).toBeGreaterThan(1);
+    for (let i = 0; i < requestedRanges.length; ++i) {
+      const range = requestedRanges[i];
+      expect(range[1] - range[0]).toBeLessThan(buffer.byteLength / 2);
+    }
+  });
+
+  it("search limits the number of features", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createFlatGeobuf({ features: createGrid() })
+    );
+    const file = await FlatGeobuf.fromUrl(url);
+    const references = await file.search(Rectangle.MAX_VALUE, 10);
+    expect(references.length).toBe(10);
+  });
+
+  it("searches rectangles that cross the antimeridian", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createFlatGeobuf({
+        features: [
+          {
+            geometry: { type: "Point", coordinates: [179.5, 0.0] },
+          },
+          {
+            geometry: { type: "Point", coordinates: [0.0, 0.0] },
+          },
+          {
+            geometry: { type: "Point", coordinates: [-179.5, 0.0] },
+          },
+        ],
+      })
+    );
+    const file = await FlatGeobuf.fromUrl(url);
+    const references = await file.search(
+      Rectangle.fromDegrees(179.0, -1.0, -179.0, 1.0)
+    );
+    const features = await file.readFeatures(references);
+    expect(
+      features.map(function (feature) {
+        return feature.geometry.coordinates;
+      })
+    ).toEqual([
+      [179.5, 0.0],
+      [-179.5, 0.0],
+    ]);
+  });
+
+  it("reads Web Mercator coordinates as degrees", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createFlatGeobuf({
+        features: [
+          {
+            geometry: {
+              type: "Point",
+              coordinates: [Math.PI * 6378137.0 * 0.5, 0.0],
+            },
+          },
+        ],
+        crsCode: 3857,
+      })
+    );
+    const file = await FlatGeobuf.fromUrl(url);
+    const references = await file.search(
+      Rectangle.fromDegrees(80.0, -10.0, 100.0, 10.0)
+    );
+    const features = await file.readFeatures(references);
+    expect(features.length).toBe(1);
+    expect(features[0].geometry.coordinates).toEqualEpsilon([90.0, 0.0], 1e-9);
+  });
+
+  it("reads multi geometries and heights", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createFlatGeobuf({
+        features: [
+          {
+            geometry: {
+              type: "MultiPolygon",
+              coordinates: [
+                [
+                  [
+                    [0, 0, 1],
+                    [1, 0, 1],
+                    [1, 1, 1],
+                    [0, 0, 1],
+                  ],
+                ],
+                [
+                  [
+                    [2, 2, 2],
+                    [3, 2, 2],
+                    [3, 3, 2],
+                    [2, 2, 2],
+                  ],
+                ],
+              ],
+            },
+          },
+          {
+            geometry: {
+              type: "MultiLineString",
+              coordinates: [
+                [
+                  [0, 0, 0],
+                  [1, 1, 1],
+                ],
+                [
+                  [2, 2, 2],
+                  [3, 3, 3],
+                ],
+              ],
+            },
+          },
+        ],
+        hasZ: true,
+        indexNodeSize: 0,
+      })
+    );
+    const file = await FlatGeobuf.fromUrl(url);
+    expect(file.hasIndex).toBe(false);
+
+    const features = await file.readAllFeatures();
+    expect(features.length).toBe(2);
+    expect(features[0].geometry.type).toBe("MultiPolygon");
+    expect(features[0].geometry.coordinates[1][0][2]).toEqual([3, 3, 2]);
+    expect(features[1].geometry).toEqual({
+      type: "MultiLineString",
+      coordinates: [
+        [
+          [0, 0, 0],
+          [1, 1, 1],
+        ],
+        [
+          [2, 2, 2],
+          [3, 3, 3],
+        ],
+      ],
+    });
+  });
+
+  it("reads files from servers that do not support range requests", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createFlatGeobuf({
+        features: createGrid(40),
+        columns: columns,
+      }),
+      {
+        ignoreRange: true,
+      }
+    );
+    const file = await FlatGeobuf.fromUrl(url);
+    const references = await file.search(
+      Rectangle.fromDegrees(5.5, 5.5, 5.6, 5.6)
+    );
+    const features = await file.readFeatures(references);
+    expect(features.length).toBe(1);
+    expect(features[0].properties.name).toBe("Parcel 5-5");
+    expect(requestedRanges.length).toBe(1);
+  });
+});
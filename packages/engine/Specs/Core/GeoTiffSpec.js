@@ -0,0 +1,296 @@
+import {
+  GeographicTilingScheme,
+  GeoTiff,
+  Math as CesiumMath,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Core/GeoTiff", function () {
+  const url = "made/up/image.tif";
+
+  let requestedRanges;
+
+  function createImage(options) {
+    return BinaryFormatTester.createGeoTiff(
+      Object.assign(
+        {
+          width: 64,
+          height: 32,
+          origin: [10.0, 20.0],
+          resolution: [0.25, 0.25],
+          getValue: function (x, y) {
+            return (x + y * 2) % 256;
+          },
+        },
+        options
+      )
+    );
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("fromUrl throws without url", async function () {
+    await expectAsync(GeoTiff.fromUrl()).toBeRejectedWithDeveloperError();
+  });
+
+  it("opens a little endian file with a single request", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(createImage());
+
+    const geoTiff = await GeoTiff.fromUrl(url);
+    expect(requestedRanges.length).toBe(1);
+    expect(geoTiff.epsgCode).toBe(4326);
+    expect(geoTiff.origin).toEqual([10.0, 20.0]);
+    expect(geoTiff.resolution).toEqual([0.25, 0.25]);
+    expect(geoTiff.getExtent()).toEqual({
+      west: 10.0,
+      south: 12.0,
+      east: 26.0,
+      north: 20.0,
+    });
+
+    const image = geoTiff.images[0];
+    expect(image.width).toBe(64);
+    expect(image.height).toBe(32);
+    expect(image.tileWidth).toBe(16);
+    expect(image.tileHeight).toBe(16);
+    expect(image.tilesAcross).toBe(4);
+    expect(image.tilesDown).toBe(2);
+    expect(image.samplesPerPixel).toBe(1);
+    expect(image.bitsPerSample).toBe(8);
+    expect(image.compression).toBe(GeoTiff.Compression.NONE);
+  });
+
+  it("opens a big endian BigTIFF file", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      createImage({
+        littleEndian: false,
+        bigTiff: true,
+        bitsPerSample: 16,
+        noData: -9999,
+      })
+    );
+
+    const geoTiff = await GeoTiff.fromUrl(url);
+    expect(geoTiff.origin).toEqual([10.0, 20.0]);
+
+    const image = geoTiff.images[0];
+    expect(image.littleEndian).toBe(false);
+    expect(image.width).toBe(64);
+    expect(image.bitsPerSample).toBe(16);
+    expect(image.noData).toBe(-9999);
+  });
+
+  it("reads the header with several requests when it is larger than the first request", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      createImage({
+        overviews: 2,
+      })
+    );
+
+    const geoTiff = await GeoTiff.fromUrl(url, {
+      headerSize: 16,
+    });
+    expect(requestedRanges.length).toBeGreaterThan(1);
+    expect(geoTiff.images.length).toBe(3);
+  });
+
+  it("reads georeferencing from a model transformation", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      createImage({
+        useTransformation: true,
+        origin: [-5.0, 40.0],
+        resolution: [0.5, 0.25],
+      })
+    );
+
+    const geoTiff = await GeoTiff.fromUrl(url);
+    expect(geoTiff.origin).toEqual([-5.0, 40.0]);
+    expect(geoTiff.resolution).toEqual([0.5, 0.25]);
+  });
+
+  it("shifts the origin of images with point pixels by half a pixel", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      createImage({
+        pixelIsPoint: true,
+      })
+    );
+
+    const geoTiff = await GeoTiff.fromUrl(url);
+    expect(geoTiff.origin).toEqual([9.875, 20.125]);
+  });
+
+  it("recognizes web mercator codes", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      createImage({
+        epsgCode: 3785,
+        origin: [0.0, 0.0],
+        resolution: [10.0, 10.0],
+      })
+    );
+
+    const geoTiff = await GeoTiff.fromUrl(url);
+    expect(geoTiff.epsgCode).toBe(3857);
+  });
+
+  it("rejects unsupported coordinate reference systems", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      createImage({
+        epsgCode: 32633,
+      })
+    );
+
+    await expectAsync(GeoTiff.fromUrl(url)).toBeRejectedWithError(
+      RuntimeError,
+      "Unsupported GeoTIFF coordinate reference system. Only EPSG:4326 and EPSG:3857 are supported."
+    );
+  });
+
+  it("rejects files that are not TIFFs", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(new Uint8Array(64).buffer);
+
+    await expectAsync(GeoTiff.fromUrl(url)).toBeRejectedWithError(
+      RuntimeError,
+      "The file is not a TIFF file."
+    );
+  });
+
+  it("rejects files that are not georeferenced", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      createImage({
+        origin: undefined,
+      })
+    );
+
+    await expectAsync(GeoTiff.fromUrl(url)).toBeRejectedWithError(
+      RuntimeError,
+      "The file is not georeferenced."
+    );
+  });
+
+  it("rejects files with separate sample planes", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      createImage({
+        planarConfiguration: 2,
+      })
+    );
+
+    await expectAsync(GeoTiff.fromUrl(url)).toBeRejectedWithError(
+      RuntimeError,
+      "Only GeoTIFFs with interleaved samples are supported."
+    );
+  });
+
+  it("orders overviews from finest to coarsest", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      createImage({
+        overviews: 2,
+      })
+    );
+
+    const geoTiff = await GeoTiff.fromUrl(url);
+    const images = geoTiff.images;
+    expect(images.length).toBe(3);
+    expect(images[0].width).toBe(64);
+    expect(images[1].width).toBe(32);
+    expect(images[2].width).toBe(16);
+    expect(geoTiff.getResolution(images[1])).toEqual([0.5, 0.5]);
+
+    expect(geoTiff.getImageForResolution(0.1)).toBe(images[0]);
+    expect(geoTiff.getImageForResolution(0.3)).toBe(images[0]);
+    expect(geoTiff.getImageForResolution(0.5)).toBe(images[1]);
+    expect(geoTiff.getImageForResolution(10.0)).toBe(images[2]);
+  });
+
+  it("gets the rectangle and maximum level", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(createImage());
+
+    const geoTiff = await GeoTiff.fromUrl(url);
+    expect(geoTiff.getRectangle()).toEqualEpsilon(
+      Rectangle.fromDegrees(10.0, 12.0, 26.0, 20.0),
+      CesiumMath.EPSILON12
+    );
+
+    // Pixels of level zero tiles are 180 / 256 degrees wide, so level 2 is the first with pixels smaller than the image's
+    const tilingScheme = new GeographicTilingScheme();
+    expect(geoTiff.getMaximumLevel(tilingScheme, 256)).toBe(2);
+  });
+
+  it("gets the rectangle of web mercator images", async function () {
+    const halfWorld = Math.PI * 6378137.0;
+    requestedRanges = BinaryFormatTester.serveFile(
+      createImage({
+        epsgCode: 3857,
+        origin: [-halfWorld, halfWorld],
+        resolution: [(2.0 * halfWorld) / 64, halfWorld / 32],
+      })
+    );
+
+    const geoTiff = await GeoTiff.fromUrl(url);
+    const tilingScheme = new WebMercatorTilingScheme();
+    const rectangle = geoTiff.getRectangle();
+    expect(rectangle.west).toEqualEpsilon(-Math.PI, CesiumMath.EPSILON10);
+    expect(rectangle.east).toEqualEpsilon(Math.PI, CesiumMath.EPSILON10);
+    expect(rectangle.north).toEqualEpsilon(
+      tilingScheme.rectangle.north,
+      CesiumMath.EPSILON10
+    );
+    expect(rectangle.south).toEqualEpsilon(0.0, CesiumMath.EPSILON10);
+    expect(geoTiff.getMaximumLevel(tilingScheme, 256)).toBe(0);
+  });
+
+  it("reads nearby tiles with a single request", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(createImage());
+
+    const geoTiff = await GeoTiff.fromUrl(url);
+    const image = geoTiff.images[0];
+    const tiles = await geoTiff.requestTiles(image, [0, 1, 4, 5]);
+    expect(requestedRanges.length).toBe(2);
+    expect(tiles.length).toBe(4);
+    for (let i = 0; i < tiles.length; ++i) {
+      expect(tiles[i].byteLength).toBe(16 * 16);
+    }
+
+    // The second tile of the first row starts with the pixel at (16, 0)
+    expect(new Uint8Array(tiles[1])[0]).toBe(16);
+    // The first tile of the second row starts with the pixel at (0, 16)
+    expect(new Uint8Array(tiles[2])[0]).toBe(32);
+  });
+
+  it("returns undefined data for sparse tiles", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      createImage({
+        emptyTiles: [1],
+      })
+    );
+
+    const geoTiff = await GeoTiff.fromUrl(url);
+    const tiles = await geoTiff.requestTiles(geoTiff.images[0], [0, 1, 2]);
+    expect(tiles[0]).toBeDefined();
+    expect(tiles[1]).toBeUndefined();
+    expect(tiles[2]).toBeDefined();
+  });
+
+  it("requestTiles returns undefined when the request is throttled", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(createImage());
+
+    const geoTiff = await GeoTiff.fromUrl(url);
+    const image = geoTiff.images[0];
+    await geoTiff.requestTiles(image, [0]);
+
+    spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(undefined);
+    expect(geoTiff.requestTiles(image, [1])).toBeUndefined();
+  });
+});
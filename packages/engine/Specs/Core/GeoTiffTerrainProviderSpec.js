@@ -0,0 +1,199 @@
+import {
+  GeographicTilingScheme,
+  GeoTiffTerrainProvider,
+  HeightmapTerrainData,
+  Math as CesiumMath,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  TerrainProvider,
+} from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Core/GeoTiffTerrainProvider", function () {
+  const url = "made/up/dem.tif";
+
+  // A digital elevation model covering the level one tile from 0 to 90 degrees of longitude and latitude
+  function createElevationModel(options) {
+    return BinaryFormatTester.createGeoTiff(
+      Object.assign(
+        {
+          width: 128,
+          height: 128,
+          tileWidth: 32,
+          tileHeight: 32,
+          bitsPerSample: 32,
+          sampleFormat: 3,
+          compression: 8,
+          predictor: 3,
+          origin: [0.0, 90.0],
+          resolution: [90.0 / 128, 90.0 / 128],
+          getValue: function (x, y) {
+            return x * 10.0 + y;
+          },
+        },
+        options
+      )
+    );
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("conforms to TerrainProvider interface", function () {
+    expect(GeoTiffTerrainProvider).toConformToInterface(TerrainProvider);
+  });
+
+  it("fromUrl throws without url", async function () {
+    await expectAsync(
+      GeoTiffTerrainProvider.fromUrl()
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("fromUrl creates a provider", async function () {
+    BinaryFormatTester.serveFile(createElevationModel());
+
+    const provider = await GeoTiffTerrainProvider.fromUrl(url, {
+      credit: "Elevation",
+    });
+    expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+    expect(provider.credit.html).toEqual("Elevation");
+    expect(provider.hasWaterMask).toBe(false);
+    expect(provider.hasVertexNormals).toBe(false);
+    expect(provider.errorEvent).toBeDefined();
+    expect(provider.rectangle).toEqualEpsilon(
+      Rectangle.fromDegrees(0.0, 0.0, 90.0, 90.0),
+      CesiumMath.EPSILON12
+    );
+  });
+
+  it("has availability within the image up to the maximum level", async function () {
+    BinaryFormatTester.serveFile(createElevationModel());
+
+    const provider = await GeoTiffTerrainProvider.fromUrl(url);
+
+    // Level zero tiles are always available
+    expect(provider.getTileDataAvailable(0, 0, 0)).toBe(true);
+    expect(provider.getTileDataAvailable(1, 0, 0)).toBe(true);
+
+    expect(provider.getTileDataAvailable(2, 0, 1)).toBe(true);
+    expect(provider.getTileDataAvailable(0, 0, 1)).toBe(false);
+    expect(provider.getTileDataAvailable(4, 1, 2)).toBe(true);
+    expect(provider.getTileDataAvailable(4, 2, 2)).toBe(false);
+
+    // Samples of level two tiles match the pixels of the image
+    expect(provider.getTileDataAvailable(4, 0, 3)).toBe(false);
+    expect(provider.availability.computeMaximumLevelAtPosition).toBeDefined();
+    expect(provider.loadTileDataAvailability(2, 0, 1)).toBeUndefined();
+  });
+
+  it("uses the maximumLevel option", async function () {
+    BinaryFormatTester.serveFile(createElevationModel());
+
+    const provider = await GeoTiffTerrainProvider.fromUrl(url, {
+      maximumLevel: 4,
+    });
+    expect(provider.getTileDataAvailable(16, 0, 4)).toBe(true);
+    expect(provider.getTileDataAvailable(32, 0, 5)).toBe(false);
+  });
+
+  it("getLevelMaximumGeometricError halves the error at each level", async function () {
+    BinaryFormatTester.serveFile(createElevationModel());
+
+    const provider = await GeoTiffTerrainProvider.fromUrl(url);
+    const tilingScheme = provider.tilingScheme;
+    const expected = TerrainProvider.getEstimatedLevelZeroGeometricErrorForAHeightmap(
+      tilingScheme.ellipsoid,
+      65,
+      tilingScheme.getNumberOfXTilesAtLevel(0)
+    );
+    expect(provider.getLevelMaximumGeometricError(0)).toEqualEpsilon(
+      expected,
+      CesiumMath.EPSILON10
+    );
+    expect(provider.getLevelMaximumGeometricError(2)).toEqualEpsilon(
+      expected / 4.0,
+      CesiumMath.EPSILON10
+    );
+  });
+
+  it("requestTileGeometry interpolates heights", async function () {
+    BinaryFormatTester.serveFile(createElevationModel());
+
+    const provider = await GeoTiffTerrainProvider.fromUrl(url);
+    const terrainData = await provider.requestTileGeometry(2, 0, 1);
+    expect(terrainData).toBeInstanceOf(HeightmapTerrainData);
+    expect(terrainData.childTileMask).toBe(15);
+
+    // Samples are at the edges of the tile, so sample i is at pixel 2 * i - 0.5 from pixel centers
+    const heights = terrainData._buffer;
+    expect(heights.length).toBe(65 * 65);
+    const samples = [
+      [1, 1],
+      [10, 30],
+      [63, 2],
+      [32, 63],
+    ];
+    for (let i = 0; i < samples.length; ++i) {
+      const x = samples[i][0];
+      const y = samples[i][1];
+      const expected = (2 * x - 0.5) * 10.0 + (2 * y - 0.5);
+      expect(heights[y * 65 + x]).toEqualEpsilon(expected, CesiumMath.EPSILON3);
+    }
+  });
+
+  it("requestTileGeometry ignores no data pixels", async function () {
+    BinaryFormatTester.serveFile(
+      createElevationModel({
+        noData: -9999,
+        getValue: function (x, y) {
+          return x < 64 ? -9999 : 100.0;
+        },
+      })
+    );
+
+    const provider = await GeoTiffTerrainProvider.fromUrl(url);
+    const terrainData = await provider.requestTileGeometry(2, 0, 1);
+    const heights = terrainData._buffer;
+    expect(heights[10 * 65 + 40]).toEqual(100.0);
+    // Where every neighboring pixel has no data, the nearest pixel has no data too
+    expect(heights[10 * 65 + 10]).toEqual(0.0);
+  });
+
+  it("requestTileGeometry returns flat tiles outside the image without requests", async function () {
+    BinaryFormatTester.serveFile(createElevationModel());
+
+    const provider = await GeoTiffTerrainProvider.fromUrl(url);
+    const requestCount = Resource._Implementations.loadWithXhr.calls.count();
+
+    const terrainData = await provider.requestTileGeometry(0, 0, 0);
+    expect(Resource._Implementations.loadWithXhr.calls.count()).toBe(
+      requestCount
+    );
+    expect(terrainData.childTileMask).toBe(0);
+    const heights = terrainData._buffer;
+    expect(heights.length).toBe(65 * 65);
+    expect(
+      heights.every(function (height) {
+        return height === 0.0;
+      })
+    ).toBe(true);
+  });
+
+  it("requestTileGeometry returns undefined when the request is throttled", async function () {
+    BinaryFormatTester.serveFile(createElevationModel());
+
+    const provider = await GeoTiffTerrainProvider.fromUrl(url);
+    await provider.requestTileGeometry(2, 0, 1);
+
+    spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(undefined);
+    expect(provider.requestTileGeometry(2, 0, 1)).toBeUndefined();
+  });
+});
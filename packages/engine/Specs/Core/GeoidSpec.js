@@ -0,0 +1,183 @@
+import { Cartographic, Geoid, Resource, RuntimeError } from "../../index.js";
+
+import { Math as CesiumMath } from "../../index.js";
+
+describe("Core/Geoid", function () {
+  // A grid of 4 columns, at longitudes 0, 90, 180 and 270 degrees, and 3 rows, at latitudes 90, 0 and -90 degrees
+  function createGeoid() {
+    return new Geoid({
+      heights: [10, 10, 10, 10, 0, 20, 40, 20, -10, -10, -10, -10],
+      width: 4,
+      height: 3,
+      scale: 0.5,
+      offset: 1.0,
+    });
+  }
+
+  function createPgm(header, values) {
+    const headerBytes = new TextEncoder().encode(header);
+    const buffer = new ArrayBuffer(headerBytes.length + values.length * 2);
+    new Uint8Array(buffer).set(headerBytes);
+    const dataView = new DataView(buffer, headerBytes.length);
+    for (let i = 0; i < values.length; ++i) {
+      dataView.setUint16(i * 2, values[i], false);
+    }
+    return buffer;
+  }
+
+  it("constructs with a grid", function () {
+    const geoid = createGeoid();
+    expect(geoid.width).toEqual(4);
+    expect(geoid.height).toEqual(3);
+  });
+
+  it("getHeight returns the scaled and offset values at grid points", function () {
+    const geoid = createGeoid();
+    expect(geoid.getHeight(Cartographic.fromDegrees(0.0, 0.0))).toEqual(1.0);
+    expect(geoid.getHeight(Cartographic.fromDegrees(90.0, 0.0))).toEqual(11.0);
+    expect(geoid.getHeight(Cartographic.fromDegrees(180.0, 0.0))).toEqual(21.0);
+    expect(geoid.getHeight(Cartographic.fromDegrees(-90.0, 0.0))).toEqual(11.0);
+    expect(geoid.getHeight(Cartographic.fromDegrees(45.0, 90.0))).toEqual(6.0);
+    expect(geoid.getHeight(Cartographic.fromDegrees(45.0, -90.0))).toEqual(
+      -4.0
+    );
+  });
+
+  it("getHeight interpolates bilinearly", function () {
+    const geoid = createGeoid();
+    expect(geoid.getHeight(Cartographic.fromDegrees(45.0, 0.0))).toEqualEpsilon(
+      6.0,
+      CesiumMath.EPSILON12
+    );
+    expect(
+      geoid.getHeight(Cartographic.fromDegrees(90.0, 45.0))
+    ).toEqualEpsilon(8.5, CesiumMath.EPSILON12);
+    expect(
+      geoid.getHeight(Cartographic.fromDegrees(135.0, -45.0))
+    ).toEqualEpsilon(6.0, CesiumMath.EPSILON12);
+  });
+
+  it("getHeight wraps around the antimeridian and the prime meridian", function () {
+    const geoid = createGeoid();
+    expect(
+      geoid.getHeight(Cartographic.fromDegrees(-45.0, 0.0))
+    ).toEqualEpsilon(6.0, CesiumMath.EPSILON12);
+    expect(
+      geoid.getHeight(Cartographic.fromDegrees(-135.0, 0.0))
+    ).toEqualEpsilon(16.0, CesiumMath.EPSILON12);
+  });
+
+  it("converts between ellipsoidal and orthometric heights", function () {
+    const geoid = createGeoid();
+    const ellipsoidal = Cartographic.fromDegrees(180.0, 0.0, 100.0);
+    const orthometric = geoid.ellipsoidalToOrthometric(ellipsoidal);
+    expect(orthometric).not.toBe(ellipsoidal);
+    expect(orthometric.longitude).toEqual(ellipsoidal.longitude);
+    expect(orthometric.latitude).toEqual(ellipsoidal.latitude);
+    expect(orthometric.height).toEqual(79.0);
+
+    const result = new Cartographic();
+    expect(geoid.orthometricToEllipsoidal(orthometric, result)).toBe(result);
+    expect(result).toEqual(ellipsoidal);
+  });
+
+  it("fromUrl loads PGM images", async function () {
+    const buffer = createPgm(
+      "P5\n# Geoid file in PGM format\n# Offset -108\n# Scale 0.003\n4 3\n65535\n",
+      [36000, 36000, 36000, 36000, 0, 1000, 2000, 3000, 0, 0, 0, 0]
+    );
+    spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(
+      Promise.resolve(buffer)
+    );
+
+    const geoid = await Geoid.fromUrl("egm96-15.pgm");
+    expect(geoid.width).toEqual(4);
+    expect(geoid.height).toEqual(3);
+    expect(geoid.getHeight(Cartographic.fromDegrees(0.0, 90.0))).toEqualEpsilon(
+      0.0,
+      CesiumMath.EPSILON9
+    );
+    expect(
+      geoid.getHeight(Cartographic.fromDegrees(180.0, 0.0))
+    ).toEqualEpsilon(-102.0, CesiumMath.EPSILON9);
+  });
+
+  it("fromUrl loads grids of 16-bit integers in centimeters", async function () {
+    const values = [100, 100, 100, 100, -250, 0, 250, 0, 300, 300, 300, 300];
+    const buffer = new ArrayBuffer(values.length * 2);
+    const dataView = new DataView(buffer);
+    for (let i = 0; i < values.length; ++i) {
+      dataView.setInt16(i * 2, values[i], false);
+    }
+    spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(
+      Promise.resolve(buffer)
+    );
+
+    const geoid = await Geoid.fromUrl("WW15MGH.DAC");
+    expect(geoid.width).toEqual(4);
+    expect(geoid.height).toEqual(3);
+    expect(geoid.getHeight(Cartographic.fromDegrees(0.0, 0.0))).toEqualEpsilon(
+      -2.5,
+      CesiumMath.EPSILON9
+    );
+    expect(
+      geoid.getHeight(Cartographic.fromDegrees(0.0, -90.0))
+    ).toEqualEpsilon(3.0, CesiumMath.EPSILON9);
+  });
+
+  it("fromUrl rejects PGM images without 16-bit values", async function () {
+    const buffer = createPgm("P5\n4 3\n255\n", [0, 0, 0, 0, 0, 0]);
+    spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(
+      Promise.resolve(buffer)
+    );
+
+    await expectAsync(Geoid.fromUrl("geoid.pgm")).toBeRejectedWithError(
+      RuntimeError,
+      "The geoid grid is not a 16-bit PGM image."
+    );
+  });
+
+  it("fromUrl rejects grids with unexpected dimensions", async function () {
+    spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(
+      Promise.resolve(new ArrayBuffer(20))
+    );
+
+    await expectAsync(Geoid.fromUrl("geoid.dac")).toBeRejectedWithError(
+      RuntimeError,
+      "The geoid grid must have one more row than half its columns."
+    );
+  });
+
+  it("throws with grids of the wrong size", function () {
+    expect(function () {
+      return new Geoid({
+        heights: [0, 0, 0],
+        width: 2,
+        height: 2,
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new Geoid({
+        width: 2,
+        height: 2,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without cartographic", function () {
+    const geoid = createGeoid();
+    expect(function () {
+      return geoid.getHeight();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return geoid.ellipsoidalToOrthometric();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return geoid.orthometricToEllipsoidal();
+    }).toThrowDeveloperError();
+  });
+
+  it("fromUrl throws without url", async function () {
+    await expectAsync(Geoid.fromUrl()).toBeRejectedWithDeveloperError();
+  });
+});
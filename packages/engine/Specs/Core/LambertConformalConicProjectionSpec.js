@@ -0,0 +1,134 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Ellipsoid,
+  LambertConformalConicProjection,
+} from "../../index.js";
+
+import { Math as CesiumMath } from "../../index.js";
+
+describe("Core/LambertConformalConicProjection", function () {
+  // RGF93 / Lambert-93, EPSG:2154
+  function createLambert93() {
+    return new LambertConformalConicProjection({
+      ellipsoid: new Ellipsoid(6378137.0, 6378137.0, 6356752.314140356),
+      centralMeridian: CesiumMath.toRadians(3.0),
+      latitudeOfOrigin: CesiumMath.toRadians(46.5),
+      standardParallel1: CesiumMath.toRadians(49.0),
+      standardParallel2: CesiumMath.toRadians(44.0),
+      falseEasting: 700000.0,
+      falseNorthing: 6600000.0,
+    });
+  }
+
+  it("constructs with defaults", function () {
+    const projection = new LambertConformalConicProjection({
+      latitudeOfOrigin: 0.5,
+    });
+    expect(projection.ellipsoid).toEqual(Ellipsoid.WGS84);
+    expect(projection.centralMeridian).toEqual(0.0);
+    expect(projection.latitudeOfOrigin).toEqual(0.5);
+    expect(projection.standardParallel1).toEqual(0.5);
+    expect(projection.standardParallel2).toEqual(0.5);
+    expect(projection.scaleFactor).toEqual(1.0);
+    expect(projection.falseEasting).toEqual(0.0);
+    expect(projection.falseNorthing).toEqual(0.0);
+  });
+
+  it("projects the origin to the false easting and northing", function () {
+    const projection = createLambert93();
+    expect(
+      projection.project(Cartographic.fromDegrees(3.0, 46.5, 10.0))
+    ).toEqualEpsilon(new Cartesian3(700000.0, 6600000.0, 10.0), 1.0e-6);
+  });
+
+  it("projects to Lambert-93 coordinates", function () {
+    const projection = createLambert93();
+    expect(
+      projection.project(Cartographic.fromDegrees(2.3522, 48.8566))
+    ).toEqualEpsilon(new Cartesian3(652469.0227, 6862035.2594, 0.0), 1.0e-3);
+  });
+
+  it("has unit scale on the standard parallels", function () {
+    const projection = createLambert93();
+    const latitude = CesiumMath.toRadians(49.0);
+    const west = projection.project(
+      new Cartographic(CesiumMath.toRadians(3.0), latitude)
+    );
+    const east = projection.project(
+      new Cartographic(CesiumMath.toRadians(3.0001), latitude)
+    );
+    const radii = projection.ellipsoid.radii;
+    const eccentricitySquared = 1.0 - (radii.z * radii.z) / (radii.x * radii.x);
+    const sinLatitude = Math.sin(latitude);
+    const parallelRadius =
+      (radii.x * Math.cos(latitude)) /
+      Math.sqrt(1.0 - eccentricitySquared * sinLatitude * sinLatitude);
+    const expected = parallelRadius * CesiumMath.toRadians(0.0001);
+    expect(Cartesian3.distance(west, east)).toEqualEpsilon(
+      expected,
+      CesiumMath.EPSILON6
+    );
+  });
+
+  it("unprojects what it projects", function () {
+    const projection = createLambert93();
+    const cartographic = Cartographic.fromDegrees(-4.5, 42.0, 25.0);
+    const unprojected = projection.unproject(projection.project(cartographic));
+    expect(unprojected).toEqualEpsilon(cartographic, CesiumMath.EPSILON9);
+  });
+
+  it("unprojects what it projects in the southern hemisphere", function () {
+    const projection = new LambertConformalConicProjection({
+      centralMeridian: CesiumMath.toRadians(135.0),
+      latitudeOfOrigin: 0.0,
+      standardParallel1: CesiumMath.toRadians(-18.0),
+      standardParallel2: CesiumMath.toRadians(-36.0),
+    });
+    const cartographic = Cartographic.fromDegrees(150.0, -30.0);
+    const projected = projection.project(cartographic);
+    expect(projected.x).toBeGreaterThan(0.0);
+    expect(projected.y).toBeLessThan(0.0);
+    expect(projection.unproject(projected)).toEqualEpsilon(
+      cartographic,
+      CesiumMath.EPSILON9
+    );
+  });
+
+  it("uses result parameter", function () {
+    const projection = createLambert93();
+    const result = new Cartesian3();
+    const returned = projection.project(
+      Cartographic.fromDegrees(1.0, 45.0),
+      result
+    );
+    expect(returned).toBe(result);
+
+    const cartographicResult = new Cartographic();
+    const unprojected = projection.unproject(result, cartographicResult);
+    expect(unprojected).toBe(cartographicResult);
+  });
+
+  it("throws with standard parallels on opposite sides of the equator at the same distance", function () {
+    expect(function () {
+      return new LambertConformalConicProjection({
+        standardParallel1: 0.5,
+        standardParallel2: -0.5,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without cartographic", function () {
+    const projection = createLambert93();
+    expect(function () {
+      return projection.project();
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without cartesian", function () {
+    const projection = createLambert93();
+    expect(function () {
+      return projection.unproject();
+    }).toThrowDeveloperError();
+  });
+});
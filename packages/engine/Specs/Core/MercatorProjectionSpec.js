@@ -0,0 +1,100 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Ellipsoid,
+  MercatorProjection,
+  WebMercatorProjection,
+} from "../../index.js";
+
+import { Math as CesiumMath } from "../../index.js";
+
+describe("Core/MercatorProjection", function () {
+  it("constructs with defaults", function () {
+    const projection = new MercatorProjection();
+    expect(projection.ellipsoid).toEqual(Ellipsoid.WGS84);
+    expect(projection.centralMeridian).toEqual(0.0);
+    expect(projection.scaleFactor).toEqual(1.0);
+    expect(projection.falseEasting).toEqual(0.0);
+    expect(projection.falseNorthing).toEqual(0.0);
+  });
+
+  it("projects to World Mercator coordinates", function () {
+    const projection = new MercatorProjection();
+    expect(
+      projection.project(Cartographic.fromDegrees(10.0, 50.0, 10.0))
+    ).toEqualEpsilon(new Cartesian3(1113194.9079, 6413524.5942, 10.0), 1.0e-3);
+  });
+
+  it("matches the WebMercatorProjection on a sphere", function () {
+    const projection = new MercatorProjection({
+      ellipsoid: Ellipsoid.UNIT_SPHERE,
+    });
+    const webMercator = new WebMercatorProjection(Ellipsoid.UNIT_SPHERE);
+    const cartographic = Cartographic.fromDegrees(-120.0, 60.0);
+    expect(projection.project(cartographic)).toEqualEpsilon(
+      webMercator.project(cartographic),
+      CesiumMath.EPSILON12
+    );
+  });
+
+  it("applies the central meridian, scale factor and false easting and northing", function () {
+    const projection = new MercatorProjection({
+      centralMeridian: CesiumMath.toRadians(110.0),
+      scaleFactor: 0.997,
+      falseEasting: 3900000.0,
+      falseNorthing: 900000.0,
+    });
+    expect(
+      projection.project(Cartographic.fromDegrees(110.0, 0.0))
+    ).toEqualEpsilon(new Cartesian3(3900000.0, 900000.0, 0.0), 1.0e-6);
+  });
+
+  it("clamps latitudes to the maximum latitude", function () {
+    const projection = new MercatorProjection();
+    const projected = projection.project(Cartographic.fromDegrees(0.0, 90.0));
+    expect(isFinite(projected.y)).toBe(true);
+    expect(projection.unproject(projected).latitude).toEqualEpsilon(
+      WebMercatorProjection.MaximumLatitude,
+      CesiumMath.EPSILON9
+    );
+  });
+
+  it("unprojects what it projects", function () {
+    const projection = new MercatorProjection({
+      centralMeridian: 1.0,
+      falseEasting: 1000.0,
+      falseNorthing: 2000.0,
+    });
+    const cartographic = Cartographic.fromDegrees(40.0, -70.0, 25.0);
+    const unprojected = projection.unproject(projection.project(cartographic));
+    expect(unprojected).toEqualEpsilon(cartographic, CesiumMath.EPSILON9);
+  });
+
+  it("uses result parameter", function () {
+    const projection = new MercatorProjection();
+    const result = new Cartesian3();
+    const returned = projection.project(
+      Cartographic.fromDegrees(1.0, 2.0),
+      result
+    );
+    expect(returned).toBe(result);
+
+    const cartographicResult = new Cartographic();
+    const unprojected = projection.unproject(result, cartographicResult);
+    expect(unprojected).toBe(cartographicResult);
+  });
+
+  it("throws without cartographic", function () {
+    const projection = new MercatorProjection();
+    expect(function () {
+      return projection.project();
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without cartesian", function () {
+    const projection = new MercatorProjection();
+    expect(function () {
+      return projection.unproject();
+    }).toThrowDeveloperError();
+  });
+});
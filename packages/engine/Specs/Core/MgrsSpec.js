@@ -0,0 +1,129 @@
+import { Cartographic, Mgrs, Utm } from "../../index.js";
+
+describe("Core/Mgrs", function () {
+  function expectWithinMeters(actual, expected, meters) {
+    const actualUtm = Utm.fromCartographic(actual);
+    const expectedUtm = Utm.fromCartographic(expected);
+    expect(actualUtm.zone).toEqual(expectedUtm.zone);
+    expect(
+      Math.hypot(
+        actualUtm.easting - expectedUtm.easting,
+        actualUtm.northing - expectedUtm.northing
+      )
+    ).toBeLessThan(meters);
+  }
+
+  it("format formats MGRS references", function () {
+    const cartographic = Utm.toCartographic(18, false, 323480.3, 4306470.3);
+    expect(Mgrs.format(cartographic)).toEqual("18S UJ 23480 06470");
+    expect(Mgrs.format(cartographic, 3)).toEqual("18S UJ 234 064");
+    expect(Mgrs.format(cartographic, 0)).toEqual("18S UJ");
+  });
+
+  it("format truncates to the square of the precision", function () {
+    expect(Mgrs.format(Cartographic.fromDegrees(-77.0352, 38.8895), 4)).toEqual(
+      "18S UJ 2348 0648"
+    );
+  });
+
+  it("format uses the row letters of even zones", function () {
+    const cartographic = Utm.toCartographic(32, false, 512345.3, 6654321.3);
+    expect(Mgrs.format(cartographic)).toEqual("32V NM 12345 54321");
+  });
+
+  it("format formats MGRS references in the southern hemisphere", function () {
+    const cartographic = Utm.toCartographic(56, true, 334368.3, 6250948.3);
+    expect(Mgrs.format(cartographic)).toEqual("56H LH 34368 50948");
+  });
+
+  it("format returns undefined in the polar regions", function () {
+    expect(Mgrs.format(Cartographic.fromDegrees(0.0, 85.0))).toBeUndefined();
+    expect(Mgrs.format(Cartographic.fromDegrees(0.0, -81.0))).toBeUndefined();
+  });
+
+  it("parse parses MGRS references to the center of their squares", function () {
+    expectWithinMeters(
+      Mgrs.parse("18S UJ 23480 06470"),
+      Utm.toCartographic(18, false, 323480.5, 4306470.5),
+      1.0e-3
+    );
+    expectWithinMeters(
+      Mgrs.parse("18suj2348006470"),
+      Utm.toCartographic(18, false, 323480.5, 4306470.5),
+      1.0e-3
+    );
+    expectWithinMeters(
+      Mgrs.parse("18SUJ 234 064"),
+      Utm.toCartographic(18, false, 323450.0, 4306450.0),
+      1.0e-3
+    );
+    expectWithinMeters(
+      Mgrs.parse("18SUJ"),
+      Utm.toCartographic(18, false, 350000.0, 4350000.0),
+      1.0e-3
+    );
+  });
+
+  it("parse finds the northing from the latitude band", function () {
+    expectWithinMeters(
+      Mgrs.parse("32V NM 12345 54321"),
+      Utm.toCartographic(32, false, 512345.5, 6654321.5),
+      1.0e-3
+    );
+    expectWithinMeters(
+      Mgrs.parse("56H LH 34368 50948"),
+      Utm.toCartographic(56, true, 334368.5, 6250948.5),
+      1.0e-3
+    );
+    expectWithinMeters(
+      Mgrs.parse("33X XG 13696 80760"),
+      Utm.toCartographic(33, false, 613696.5, 8680760.5),
+      1.0e-3
+    );
+  });
+
+  it("parse returns what format formats", function () {
+    const positions = [
+      Cartographic.fromDegrees(-77.0352, 38.8895),
+      Cartographic.fromDegrees(151.2093, -33.8688),
+      Cartographic.fromDegrees(5.0, 60.0),
+      Cartographic.fromDegrees(-70.0, -79.5),
+      Cartographic.fromDegrees(0.0, 0.0001),
+      Cartographic.fromDegrees(0.0, -0.0001),
+    ];
+    for (let i = 0; i < positions.length; ++i) {
+      expectWithinMeters(
+        Mgrs.parse(Mgrs.format(positions[i])),
+        positions[i],
+        1.0
+      );
+    }
+  });
+
+  it("parse returns undefined for invalid MGRS references", function () {
+    expect(Mgrs.parse("")).toBeUndefined();
+    expect(Mgrs.parse("61S UJ 23480 06470")).toBeUndefined();
+    expect(Mgrs.parse("0S UJ 23480 06470")).toBeUndefined();
+    expect(Mgrs.parse("0S UJ 1 1")).toBeUndefined();
+    expect(Mgrs.parse("62S UJ 23480 06470")).toBeUndefined();
+    expect(Mgrs.parse("18I UJ 23480 06470")).toBeUndefined();
+    expect(Mgrs.parse("18S AJ 23480 06470")).toBeUndefined();
+    expect(Mgrs.parse("18S UW 23480 06470")).toBeUndefined();
+    expect(Mgrs.parse("18S UJ 2348 06470")).toBeUndefined();
+    expect(Mgrs.parse("18S UJ 234800 064700")).toBeUndefined();
+    expect(Mgrs.parse("18S UJ 234806470")).toBeUndefined();
+    expect(Mgrs.parse("33N 571666 5539110")).toBeUndefined();
+  });
+
+  it("throws without required arguments", function () {
+    expect(function () {
+      return Mgrs.format();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return Mgrs.format(Cartographic.fromDegrees(0.0, 0.0), 6);
+    }).toThrowDeveloperError();
+    expect(function () {
+      return Mgrs.parse();
+    }).toThrowDeveloperError();
+  });
+});
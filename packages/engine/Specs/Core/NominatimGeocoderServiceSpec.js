@@ -0,0 +1,147 @@
+import {
+  Cartesian3,
+  Cartographic,
+  GeocoderService,
+  GeocodeType,
+  NominatimGeocoderService,
+  Rectangle,
+  Resource,
+} from "../../index.js";
+
+describe("Core/NominatimGeocoderService", function () {
+  const endpoint = "http://test.invalid/";
+
+  it("conforms to GeocoderService interface", function () {
+    expect(NominatimGeocoderService).toConformToInterface(GeocoderService);
+  });
+
+  it("constructor throws without url", function () {
+    expect(function () {
+      return new NominatimGeocoderService(undefined);
+    }).toThrowDeveloperError();
+  });
+
+  it("returns geocoder results", async function () {
+    const service = new NominatimGeocoderService(endpoint);
+
+    const query = "some query";
+    const data = [
+      {
+        lat: "39.9278280",
+        lon: "-75.1724890",
+        display_name: "1826, South 16th Street, Philadelphia, United States",
+        boundingbox: ["39.927778", "39.927878", "-75.172539", "-75.172439"],
+      },
+      {
+        lat: "39.9526",
+        lon: "-75.1652",
+        display_name: "Philadelphia, United States",
+      },
+    ];
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve(data)
+    );
+
+    const results = await service.geocode(query);
+    expect(results.length).toEqual(2);
+    expect(results[0].displayName).toEqual(data[0].display_name);
+    expect(results[0].destination).toEqualEpsilon(
+      Rectangle.fromDegrees(-75.172539, 39.927778, -75.172439, 39.927878),
+      1e-12
+    );
+    expect(results[1].displayName).toEqual(data[1].display_name);
+    expect(results[1].destination).toEqualEpsilon(
+      Cartesian3.fromDegrees(-75.1652, 39.9526),
+      1e-6
+    );
+  });
+
+  it("calls search endpoint with params", async function () {
+    const service = new NominatimGeocoderService(endpoint, {
+      countrycodes: "us",
+    });
+
+    const query = "some query";
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(Promise.resolve([]));
+    const getDerivedResource = spyOn(
+      service._url,
+      "getDerivedResource"
+    ).and.callThrough();
+
+    await service.geocode(query, GeocodeType.SEARCH);
+    expect(getDerivedResource).toHaveBeenCalledWith({
+      url: "search",
+      queryParameters: {
+        q: query,
+        format: "jsonv2",
+        countrycodes: "us",
+      },
+    });
+  });
+
+  it("limits autocomplete results", async function () {
+    const service = new NominatimGeocoderService(endpoint);
+
+    const query = "some query";
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(Promise.resolve([]));
+    const getDerivedResource = spyOn(
+      service._url,
+      "getDerivedResource"
+    ).and.callThrough();
+
+    await service.geocode(query, GeocodeType.AUTOCOMPLETE);
+    expect(getDerivedResource).toHaveBeenCalledWith({
+      url: "search",
+      queryParameters: {
+        q: query,
+        format: "jsonv2",
+        limit: 5,
+      },
+    });
+  });
+
+  it("returns reverse geocoder results", async function () {
+    const service = new NominatimGeocoderService(endpoint);
+
+    const data = {
+      lat: "39.9278280",
+      lon: "-75.1724890",
+      display_name: "1826, South 16th Street, Philadelphia, United States",
+    };
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve(data)
+    );
+    const getDerivedResource = spyOn(
+      service._url,
+      "getDerivedResource"
+    ).and.callThrough();
+
+    const results = await service.reverseGeocode(
+      Cartographic.fromDegrees(-75.0, 40.0)
+    );
+    expect(getDerivedResource).toHaveBeenCalledWith({
+      url: "reverse",
+      queryParameters: {
+        lat: 40.0,
+        lon: -75.0,
+        format: "jsonv2",
+      },
+    });
+    expect(results.length).toEqual(1);
+    expect(results[0].displayName).toEqual(data.display_name);
+    expect(results[0].destination).toBeInstanceOf(Cartesian3);
+  });
+
+  it("returns no reverse geocoder results if Nominatim has no address", async function () {
+    const service = new NominatimGeocoderService(endpoint);
+
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve({ error: "Unable to geocode" })
+    );
+
+    const results = await service.reverseGeocode(
+      Cartographic.fromDegrees(-40.0, 30.0)
+    );
+    expect(results.length).toEqual(0);
+  });
+});
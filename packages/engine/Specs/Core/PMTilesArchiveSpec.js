@@ -0,0 +1,330 @@
+import {
+  Cartographic,
+  Math as CesiumMath,
+  PMTilesArchive,
+  Rectangle,
+  Request,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+} from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Core/PMTilesArchive", function () {
+  const url = "made/up/tiles.pmtiles";
+
+  let requestedRanges;
+
+  function createTile(level, x, y) {
+    return {
+      level: level,
+      x: x,
+      y: y,
+      data: new Uint8Array([level, x, y, 42]),
+    };
+  }
+
+  // Every tile of levels zero to two
+  function createPyramid() {
+    const tiles = [];
+    for (let level = 0; level <= 2; ++level) {
+      const size = 1 << level;
+      for (let y = 0; y < size; ++y) {
+        for (let x = 0; x < size; ++x) {
+          tiles.push(createTile(level, x, y));
+        }
+      }
+    }
+    return tiles;
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("getTileId orders tiles along Hilbert curves", function () {
+    expect(PMTilesArchive.getTileId(0, 0, 0)).toBe(0);
+    expect(PMTilesArchive.getTileId(1, 0, 0)).toBe(1);
+    expect(PMTilesArchive.getTileId(1, 0, 1)).toBe(2);
+    expect(PMTilesArchive.getTileId(1, 1, 1)).toBe(3);
+    expect(PMTilesArchive.getTileId(1, 1, 0)).toBe(4);
+    expect(PMTilesArchive.getTileId(2, 0, 0)).toBe(5);
+    expect(PMTilesArchive.getTileId(12, 3423, 1763)).toBe(19078479);
+  });
+
+  it("getTileId throws with tiles outside of the level", function () {
+    expect(function () {
+      PMTilesArchive.getTileId(1, 2, 0);
+    }).toThrowDeveloperError();
+    expect(function () {
+      PMTilesArchive.getTileId(27, 0, 0);
+    }).toThrowDeveloperError();
+  });
+
+  it("fromUrl throws without url", async function () {
+    await expectAsync(
+      PMTilesArchive.fromUrl()
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("fromUrl reads the header and metadata with a single request", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createPMTiles({
+        tiles: createPyramid(),
+        tileType: PMTilesArchive.TileType.JPEG,
+        minimumLevel: 0,
+        maximumLevel: 2,
+        bounds: [-10.0, -20.0, 30.0, 40.0],
+        center: [5.0, 10.0, 1],
+        metadata: {
+          name: "Pyramid",
+          attribution: "Example",
+        },
+      })
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(requestedRanges.length).toBe(1);
+    expect(archive.url).toEqual(url);
+    expect(archive.tileType).toBe(PMTilesArchive.TileType.JPEG);
+    expect(archive.mimeType).toEqual("image/jpeg");
+    expect(archive.minimumLevel).toBe(0);
+    expect(archive.maximumLevel).toBe(2);
+    expect(archive.rectangle).toEqualEpsilon(
+      Rectangle.fromDegrees(-10.0, -20.0, 30.0, 40.0),
+      CesiumMath.EPSILON9
+    );
+    expect(archive.center).toEqualEpsilon(
+      Cartographic.fromDegrees(5.0, 10.0),
+      CesiumMath.EPSILON9
+    );
+    expect(archive.centerLevel).toBe(1);
+    expect(archive.metadata).toEqual({
+      name: "Pyramid",
+      attribution: "Example",
+    });
+  });
+
+  it("fromUrl rejects files that are not PMTiles archives", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(new Uint8Array(256).buffer);
+
+    await expectAsync(PMTilesArchive.fromUrl(url)).toBeRejectedWithError(
+      RuntimeError,
+      "The file is not a PMTiles archive."
+    );
+  });
+
+  it("fromUrl rejects other versions", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createPMTiles({
+        tiles: [createTile(0, 0, 0)],
+        version: 2,
+      })
+    );
+
+    await expectAsync(PMTilesArchive.fromUrl(url)).toBeRejectedWithError(
+      RuntimeError,
+      "Unsupported PMTiles version: 2.  Only version 3 is supported."
+    );
+  });
+
+  it("requestTile reads tiles from the root directory", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createPMTiles({
+        tiles: createPyramid(),
+      })
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    let data = await archive.requestTile(0, 0, 0);
+    expect(data).toEqual(new Uint8Array([0, 0, 0, 42]));
+
+    data = await archive.requestTile(2, 3, 1);
+    expect(data).toEqual(new Uint8Array([2, 3, 1, 42]));
+    expect(requestedRanges.length).toBe(3);
+  });
+
+  it("requestTile resolves to undefined for tiles that are not in the archive", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createPMTiles({
+        tiles: [createTile(0, 0, 0), createTile(1, 1, 0), createTile(3, 2, 2)],
+        maximumLevel: 3,
+      })
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(await archive.requestTile(1, 0, 0)).toBeUndefined();
+    expect(await archive.requestTile(2, 1, 1)).toBeUndefined();
+    expect(await archive.requestTile(3, 2, 2)).toBeDefined();
+
+    // Tiles above the maximum level are not looked up
+    const requestCount = requestedRanges.length;
+    expect(await archive.requestTile(4, 4, 4)).toBeUndefined();
+    expect(requestedRanges.length).toBe(requestCount);
+  });
+
+  it("requestTile reads runs of identical tiles", async function () {
+    const ocean = new Uint8Array([1, 2, 3]);
+    const tiles = createPyramid().map(function (tile) {
+      if (tile.level === 2 && tile.x < 2) {
+        tile.data = ocean;
+      }
+      return tile;
+    });
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createPMTiles({
+        tiles: tiles,
+      })
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(await archive.requestTile(2, 0, 0)).toEqual(ocean);
+    expect(await archive.requestTile(2, 1, 1)).toEqual(ocean);
+    expect(await archive.requestTile(2, 0, 3)).toEqual(ocean);
+    expect(await archive.requestTile(2, 2, 0)).toEqual(
+      new Uint8Array([2, 2, 0, 42])
+    );
+  });
+
+  it("requestTile reads and caches leaf directories", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createPMTiles({
+        tiles: createPyramid(),
+        leafSize: 4,
+      })
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(await archive.requestTile(2, 3, 3)).toEqual(
+      new Uint8Array([2, 3, 3, 42])
+    );
+    // The leaf directory and the tile
+    expect(requestedRanges.length).toBe(3);
+
+    // Tiles are adjacent along the Hilbert curve, so they are in the same leaf directory
+    expect(await archive.requestTile(2, 2, 3)).toEqual(
+      new Uint8Array([2, 2, 3, 42])
+    );
+    expect(requestedRanges.length).toBe(4);
+  });
+
+  it("requestTile removes the least recently used leaf directories", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createPMTiles({
+        tiles: createPyramid(),
+        leafSize: 4,
+      })
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url, {
+      maximumCachedDirectories: 1,
+    });
+
+    await archive.requestTile(0, 0, 0);
+    await archive.requestTile(2, 3, 3);
+    expect(requestedRanges.length).toBe(5);
+
+    // The first leaf directory was removed from the cache
+    await archive.requestTile(0, 0, 0);
+    expect(requestedRanges.length).toBe(7);
+  });
+
+  it("requestTile decompresses gzip compressed tiles", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createPMTiles({
+        tiles: createPyramid(),
+        tileCompression: PMTilesArchive.Compression.GZIP,
+        internalCompression: PMTilesArchive.Compression.NONE,
+      })
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(await archive.requestTile(1, 1, 0)).toEqual(
+      new Uint8Array([1, 1, 0, 42])
+    );
+  });
+
+  it("requestTile rejects unsupported compression", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createPMTiles({
+        tiles: createPyramid(),
+        tileCompression: PMTilesArchive.Compression.BROTLI,
+      })
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    await expectAsync(archive.requestTile(0, 0, 0)).toBeRejectedWithError(
+      RuntimeError,
+      "Unsupported PMTiles compression: 3"
+    );
+  });
+
+  it("reads archives from servers that do not support range requests", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createPMTiles({
+        tiles: createPyramid(),
+        leafSize: 4,
+      }),
+      {
+        ignoreRange: true,
+      }
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(await archive.requestTile(2, 1, 2)).toEqual(
+      new Uint8Array([2, 1, 2, 42])
+    );
+  });
+
+  it("rejects when a server that does not support range requests responds with a shorter file", async function () {
+    const buffer = BinaryFormatTester.createPMTiles({
+      tiles: createPyramid(),
+    });
+    requestedRanges = BinaryFormatTester.serveFile(buffer);
+    const archive = await PMTilesArchive.fromUrl(url);
+
+    // The server now responds with a truncated file without the tile data at its end, four bytes for
+    // each of the 21 tiles
+    Resource._Implementations.loadWithXhr.and.callFake(function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred
+    ) {
+      deferred.resolve(buffer.slice(0, buffer.byteLength - 84));
+    });
+    await expectAsync(archive.requestTile(2, 3, 3)).toBeRejectedWithError(
+      RuntimeError,
+      /ends before the bytes/
+    );
+  });
+
+  it("requestTile returns undefined when the request is throttled", async function () {
+    requestedRanges = BinaryFormatTester.serveFile(
+      BinaryFormatTester.createPMTiles({
+        tiles: createPyramid(),
+      })
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    spyOn(RequestScheduler, "request").and.returnValue(undefined);
+    expect(
+      archive.requestTile(
+        0,
+        0,
+        0,
+        new Request({
+          throttle: true,
+        })
+      )
+    ).toBeUndefined();
+  });
+});
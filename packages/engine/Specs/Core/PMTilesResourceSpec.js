@@ -0,0 +1,248 @@
+import {
+  Cesium3DTileset,
+  PMTilesArchive,
+  PMTilesResource,
+  RequestErrorEvent,
+  RequestScheduler,
+  Resource,
+} from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Core/PMTilesResource", function () {
+  const archiveUrl = "made/up/content.pmtiles";
+
+  const tilesetJson = {
+    asset: {
+      version: "1.1",
+    },
+    geometricError: 100.0,
+    root: {
+      boundingVolume: {
+        region: [-1.0, -1.0, 1.0, 1.0, 0.0, 10.0],
+      },
+      geometricError: 10.0,
+      refine: "REPLACE",
+      content: {
+        uri: "content/0/0/0.glb",
+      },
+    },
+  };
+
+  let imageData;
+
+  function createTile(level, x, y, data) {
+    return {
+      level: level,
+      x: x,
+      y: y,
+      data: data,
+    };
+  }
+
+  async function createArchive(tileType) {
+    BinaryFormatTester.serveFile(
+      BinaryFormatTester.createPMTiles({
+        tileType: tileType,
+        tiles: [
+          createTile(0, 0, 0, new Uint8Array([1, 2, 3, 4])),
+          createTile(
+            1,
+            1,
+            0,
+            new TextEncoder().encode(JSON.stringify({ name: "tile" }))
+          ),
+          createTile(1, 0, 1, imageData),
+        ],
+      }),
+      {
+        files: {
+          "made/up/tileset.json": JSON.stringify(tilesetJson),
+        },
+      }
+    );
+    return PMTilesArchive.fromUrl(archiveUrl);
+  }
+
+  beforeAll(async function () {
+    imageData = new Uint8Array(
+      await Resource.fetchArrayBuffer("Data/Images/Red16x16.png")
+    );
+  });
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("throws without archive", function () {
+    expect(function () {
+      return new PMTilesResource({
+        url: "tileset.json",
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws with a template without tile coordinates", async function () {
+    const archive = await createArchive(PMTilesArchive.TileType.UNKNOWN);
+    expect(function () {
+      return new PMTilesResource({
+        archive: archive,
+        template: "{z}/{x}",
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("appends the template to the url of the archive by default", async function () {
+    const archive = await createArchive(PMTilesArchive.TileType.UNKNOWN);
+    const resource = new PMTilesResource({
+      archive: archive,
+    });
+    expect(resource.archive).toBe(archive);
+    expect(resource.template).toEqual("{z}/{x}/{y}");
+    expect(resource.url).toEqual(`${archiveUrl}/{z}/{x}/{y}`);
+  });
+
+  it("reads files matching the template from the archive", async function () {
+    const archive = await createArchive(PMTilesArchive.TileType.UNKNOWN);
+    const resource = new PMTilesResource({
+      archive: archive,
+    });
+
+    const derivedResource = resource.getDerivedResource({
+      templateValues: {
+        z: 0,
+        x: 0,
+        y: 0,
+      },
+    });
+    expect(derivedResource).toBeInstanceOf(PMTilesResource);
+
+    const loadWithXhr = Resource._Implementations.loadWithXhr;
+    const requestCount = loadWithXhr.calls.count();
+    const buffer = await derivedResource.fetchArrayBuffer();
+    expect(new Uint8Array(buffer)).toEqual(new Uint8Array([1, 2, 3, 4]));
+    expect(loadWithXhr.calls.count()).toBe(requestCount + 1);
+    expect(loadWithXhr.calls.mostRecent().args[0]).toEqual(archiveUrl);
+  });
+
+  it("reads text and JSON from the archive", async function () {
+    const archive = await createArchive(PMTilesArchive.TileType.UNKNOWN);
+    const resource = new PMTilesResource({
+      url: "made/up/tiles/tileset.json",
+      archive: archive,
+      template: "tiles/{level}/{x}/{y}.json",
+    });
+
+    const json = await resource
+      .getDerivedResource({
+        url: "1/1/0.json",
+      })
+      .fetchJson();
+    expect(json).toEqual({
+      name: "tile",
+    });
+
+    const text = await resource
+      .getDerivedResource({
+        url: "1/1/0.json",
+      })
+      .fetchText();
+    expect(text).toEqual('{"name":"tile"}');
+  });
+
+  it("reads images from the archive", async function () {
+    const archive = await createArchive(PMTilesArchive.TileType.PNG);
+    const resource = new PMTilesResource({
+      archive: archive,
+    });
+
+    const image = await resource
+      .getDerivedResource({
+        templateValues: {
+          z: 1,
+          x: 0,
+          y: 1,
+        },
+      })
+      .fetchImage();
+    expect(image).toBeImageOrImageBitmap();
+    expect(image.width).toBe(16);
+  });
+
+  it("rejects with a 404 error for files that are not in the archive", async function () {
+    const archive = await createArchive(PMTilesArchive.TileType.UNKNOWN);
+    const resource = new PMTilesResource({
+      archive: archive,
+    });
+
+    await expectAsync(
+      resource
+        .getDerivedResource({
+          templateValues: {
+            z: 1,
+            x: 1,
+            y: 1,
+          },
+        })
+        .fetchArrayBuffer()
+    ).toBeRejectedWith(new RequestErrorEvent(404));
+  });
+
+  it("requests other files from the server", async function () {
+    const archive = await createArchive(PMTilesArchive.TileType.UNKNOWN);
+    const resource = new PMTilesResource({
+      url: "made/up/tileset.json",
+      archive: archive,
+      template: "content/{z}/{x}/{y}",
+    });
+
+    const json = await resource.fetchJson();
+    expect(json).toEqual(tilesetJson);
+    expect(
+      Resource._Implementations.loadWithXhr.calls.mostRecent().args[0]
+    ).toEqual("made/up/tileset.json");
+  });
+
+  it("resolves the content of a tileset from the archive", async function () {
+    const archive = await createArchive(PMTilesArchive.TileType.UNKNOWN);
+    const resource = new PMTilesResource({
+      url: "made/up/tileset.json",
+      archive: archive,
+      template: "content/{z}/{x}/{y}.glb",
+    });
+
+    const tileset = await Cesium3DTileset.fromUrl(resource);
+    const contentResource = tileset.root._contentResource;
+    expect(contentResource).toBeInstanceOf(PMTilesResource);
+    expect(contentResource.url).toContain("made/up/content/0/0/0.glb");
+
+    const buffer = await contentResource.fetchArrayBuffer();
+    expect(new Uint8Array(buffer)).toEqual(new Uint8Array([1, 2, 3, 4]));
+    tileset.destroy();
+  });
+
+  it("returns undefined when the request is throttled", async function () {
+    const archive = await createArchive(PMTilesArchive.TileType.UNKNOWN);
+    const resource = new PMTilesResource({
+      archive: archive,
+    });
+
+    spyOn(RequestScheduler, "request").and.returnValue(undefined);
+    expect(
+      resource
+        .getDerivedResource({
+          templateValues: {
+            z: 0,
+            x: 0,
+            y: 0,
+          },
+        })
+        .fetchArrayBuffer()
+    ).toBeUndefined();
+  });
+});
@@ -0,0 +1,149 @@
+import {
+  Cartesian3,
+  Cartographic,
+  GeocoderService,
+  GeocodeType,
+  PhotonGeocoderService,
+  Rectangle,
+  Resource,
+} from "../../index.js";
+
+describe("Core/PhotonGeocoderService", function () {
+  const endpoint = "http://test.invalid/";
+
+  it("conforms to GeocoderService interface", function () {
+    expect(PhotonGeocoderService).toConformToInterface(GeocoderService);
+  });
+
+  it("constructor throws without url", function () {
+    expect(function () {
+      return new PhotonGeocoderService(undefined);
+    }).toThrowDeveloperError();
+  });
+
+  it("returns geocoder results", async function () {
+    const service = new PhotonGeocoderService(endpoint);
+
+    const query = "some query";
+    const data = {
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          geometry: {
+            type: "Point",
+            coordinates: [13.3888599, 52.5170365],
+          },
+          properties: {
+            name: "Berlin",
+            city: "Berlin",
+            country: "Germany",
+            extent: [13.088345, 52.6755087, 13.7611609, 52.3382448],
+          },
+        },
+        {
+          type: "Feature",
+          geometry: {
+            type: "Point",
+            coordinates: [13.3777, 52.5163],
+          },
+          properties: {
+            street: "Pariser Platz",
+            housenumber: "1",
+            city: "Berlin",
+            country: "Germany",
+          },
+        },
+      ],
+    };
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve(data)
+    );
+
+    const results = await service.geocode(query);
+    expect(results.length).toEqual(2);
+    expect(results[0].displayName).toEqual("Berlin, Germany");
+    expect(results[0].destination).toEqualEpsilon(
+      Rectangle.fromDegrees(13.088345, 52.3382448, 13.7611609, 52.6755087),
+      1e-12
+    );
+    expect(results[1].displayName).toEqual("Pariser Platz 1, Berlin, Germany");
+    expect(results[1].destination).toEqualEpsilon(
+      Cartesian3.fromDegrees(13.3777, 52.5163),
+      1e-6
+    );
+  });
+
+  it("limits autocomplete results", async function () {
+    const service = new PhotonGeocoderService(endpoint, { lang: "en" });
+
+    const query = "some query";
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve({ features: [] })
+    );
+    const getDerivedResource = spyOn(
+      service._url,
+      "getDerivedResource"
+    ).and.callThrough();
+
+    await service.geocode(query, GeocodeType.AUTOCOMPLETE);
+    expect(getDerivedResource).toHaveBeenCalledWith({
+      url: "api",
+      queryParameters: {
+        q: query,
+        lang: "en",
+        limit: 5,
+      },
+    });
+  });
+
+  it("returns reverse geocoder results", async function () {
+    const service = new PhotonGeocoderService(endpoint, {
+      lang: "en",
+      lat: 10.0,
+      lon: 20.0,
+    });
+
+    const data = {
+      features: [
+        {
+          type: "Feature",
+          geometry: {
+            type: "Point",
+            coordinates: [13.3777, 52.5163],
+          },
+          properties: {
+            name: "Brandenburg Gate",
+            street: "Pariser Platz",
+            city: "Berlin",
+            country: "Germany",
+          },
+        },
+      ],
+    };
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve(data)
+    );
+    const getDerivedResource = spyOn(
+      service._url,
+      "getDerivedResource"
+    ).and.callThrough();
+
+    const results = await service.reverseGeocode(
+      Cartographic.fromDegrees(13.0, 52.0)
+    );
+    expect(getDerivedResource).toHaveBeenCalledWith({
+      url: "reverse",
+      queryParameters: {
+        lat: 52.0,
+        lon: 13.0,
+        lang: "en",
+      },
+    });
+    expect(results.length).toEqual(1);
+    expect(results[0].displayName).toEqual(
+      "Brandenburg Gate, Pariser Platz, Berlin, Germany"
+    );
+    expect(results[0].destination).toBeInstanceOf(Cartesian3);
+  });
+});
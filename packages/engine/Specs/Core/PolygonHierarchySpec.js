@@ -0,0 +1,273 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Ellipsoid,
+  Math as CesiumMath,
+  PolygonHierarchy,
+  RuntimeError,
+} from "../../index.js";
+
+describe("Core/PolygonHierarchy", function () {
+  function square(west, south, east, north, holes) {
+    return new PolygonHierarchy(
+      Cartesian3.fromDegreesArray([
+        west,
+        south,
+        east,
+        south,
+        east,
+        north,
+        west,
+        north,
+      ]),
+      holes
+    );
+  }
+
+  function toDegrees(positions) {
+    return positions.map(function (position) {
+      const cartographic = Cartographic.fromCartesian(position);
+      return [
+        CesiumMath.toDegrees(cartographic.longitude),
+        CesiumMath.toDegrees(cartographic.latitude),
+      ];
+    });
+  }
+
+  // Vertices where edges cross are on geodesics, which differ slightly from lines of constant latitude
+  function expectVertices(positions, expected) {
+    const vertices = toDegrees(positions);
+    expect(vertices.length).toEqual(expected.length);
+    for (let i = 0; i < expected.length; ++i) {
+      const found = vertices.some(function (vertex) {
+        return (
+          Math.abs(vertex[0] - expected[i][0]) < 1.0e-2 &&
+          Math.abs(vertex[1] - expected[i][1]) < 1.0e-2
+        );
+      });
+      expect(found).withContext(`${expected[i]}`).toBe(true);
+    }
+  }
+
+  it("constructs with default values", function () {
+    const hierarchy = new PolygonHierarchy();
+    expect(hierarchy.positions).toEqual([]);
+    expect(hierarchy.holes).toEqual([]);
+  });
+
+  it("computes the union of overlapping polygons", function () {
+    const result = PolygonHierarchy.union(
+      square(0.0, 0.0, 2.0, 2.0),
+      square(1.0, 1.0, 3.0, 3.0)
+    );
+    expect(result.length).toEqual(1);
+    expect(result[0]).toBeInstanceOf(PolygonHierarchy);
+    expect(result[0].holes).toEqual([]);
+    expectVertices(result[0].positions, [
+      [0.0, 0.0],
+      [2.0, 0.0],
+      [2.0, 1.0],
+      [3.0, 1.0],
+      [3.0, 3.0],
+      [1.0, 3.0],
+      [1.0, 2.0],
+      [0.0, 2.0],
+    ]);
+
+    const area = PolygonHierarchy.computeArea(result[0]);
+    const squareArea = PolygonHierarchy.computeArea(square(0.0, 0.0, 2.0, 2.0));
+    const overlapArea = PolygonHierarchy.computeArea(
+      square(1.0, 1.0, 2.0, 2.0)
+    );
+    expect(area).toEqualEpsilon(
+      2.0 * squareArea - overlapArea,
+      CesiumMath.EPSILON3 * area
+    );
+  });
+
+  it("computes the union of polygons that share an edge", function () {
+    const result = PolygonHierarchy.union(
+      square(10.0, 40.0, 10.001, 40.001),
+      square(10.001, 40.0, 10.002, 40.001)
+    );
+    expect(result.length).toEqual(1);
+    expectVertices(result[0].positions, [
+      [10.0, 40.0],
+      [10.002, 40.0],
+      [10.002, 40.001],
+      [10.0, 40.001],
+    ]);
+  });
+
+  it("computes the intersection of overlapping polygons", function () {
+    const result = PolygonHierarchy.intersection(
+      square(0.0, 0.0, 2.0, 2.0),
+      square(1.0, 1.0, 3.0, 3.0)
+    );
+    expect(result.length).toEqual(1);
+    expectVertices(result[0].positions, [
+      [1.0, 1.0],
+      [2.0, 1.0],
+      [2.0, 2.0],
+      [1.0, 2.0],
+    ]);
+  });
+
+  it("computes the difference of overlapping polygons", function () {
+    const result = PolygonHierarchy.difference(
+      square(0.0, 0.0, 2.0, 2.0),
+      square(1.0, 1.0, 3.0, 3.0)
+    );
+    expect(result.length).toEqual(1);
+    expect(result[0].holes).toEqual([]);
+    expectVertices(result[0].positions, [
+      [0.0, 0.0],
+      [2.0, 0.0],
+      [2.0, 1.0],
+      [1.0, 1.0],
+      [1.0, 2.0],
+      [0.0, 2.0],
+    ]);
+  });
+
+  it("computes the difference with a polygon inside as a hole", function () {
+    const result = PolygonHierarchy.difference(
+      square(0.0, 0.0, 3.0, 3.0),
+      square(1.0, 1.0, 2.0, 2.0)
+    );
+    expect(result.length).toEqual(1);
+    expect(result[0].holes.length).toEqual(1);
+    expectVertices(result[0].holes[0].positions, [
+      [1.0, 1.0],
+      [2.0, 1.0],
+      [2.0, 2.0],
+      [1.0, 2.0],
+    ]);
+
+    const area = PolygonHierarchy.computeArea(result[0]);
+    expect(area).toEqualEpsilon(
+      PolygonHierarchy.computeArea(square(0.0, 0.0, 3.0, 3.0)) -
+        PolygonHierarchy.computeArea(square(1.0, 1.0, 2.0, 2.0)),
+      CesiumMath.EPSILON3 * area
+    );
+  });
+
+  it("computes boolean operations of disjoint polygons", function () {
+    const left = square(0.0, 0.0, 1.0, 1.0);
+    const right = square(2.0, 0.0, 3.0, 1.0);
+    expect(PolygonHierarchy.union(left, right).length).toEqual(2);
+    expect(PolygonHierarchy.intersection(left, right)).toEqual([]);
+
+    const difference = PolygonHierarchy.difference(left, right);
+    expect(difference.length).toEqual(1);
+    expectVertices(difference[0].positions, toDegrees(left.positions));
+  });
+
+  it("computes boolean operations of polygons with holes", function () {
+    const left = square(0.0, 0.0, 4.0, 4.0, [square(1.0, 1.0, 3.0, 3.0)]);
+    const result = PolygonHierarchy.intersection(
+      left,
+      square(2.0, -1.0, 5.0, 5.0)
+    );
+    expect(result.length).toEqual(1);
+    expect(result[0].holes).toEqual([]);
+    expectVertices(result[0].positions, [
+      [2.0, 0.0],
+      [4.0, 0.0],
+      [4.0, 4.0],
+      [2.0, 4.0],
+      [2.0, 3.0],
+      [3.0, 3.0],
+      [3.0, 1.0],
+      [2.0, 1.0],
+    ]);
+
+    // Filling the hole removes it
+    const union = PolygonHierarchy.union(left, square(0.5, 0.5, 3.5, 3.5));
+    expect(union.length).toEqual(1);
+    expect(union[0].holes).toEqual([]);
+    expectVertices(union[0].positions, toDegrees(left.positions));
+  });
+
+  it("computes boolean operations of arrays of polygons", function () {
+    const result = PolygonHierarchy.intersection(
+      [square(0.0, 0.0, 1.0, 1.0), square(2.0, 0.0, 3.0, 1.0)],
+      square(0.5, 0.0, 2.5, 1.0)
+    );
+    expect(result.length).toEqual(2);
+  });
+
+  it("boolean operations throw with positions in different hemispheres", function () {
+    expect(function () {
+      return PolygonHierarchy.union(
+        [square(0.0, 0.0, 1.0, 1.0), square(120.0, 0.0, 121.0, 1.0)],
+        square(-121.0, 0.0, -120.0, 1.0)
+      );
+    }).toThrowError(RuntimeError);
+  });
+
+  it("contains determines if a position is inside a polygon", function () {
+    const hierarchy = square(0.0, 0.0, 4.0, 4.0, [square(1.0, 1.0, 2.0, 2.0)]);
+    expect(
+      PolygonHierarchy.contains(hierarchy, Cartesian3.fromDegrees(3.0, 3.0))
+    ).toBe(true);
+    expect(
+      PolygonHierarchy.contains(hierarchy, Cartesian3.fromDegrees(1.5, 1.5))
+    ).toBe(false);
+    expect(
+      PolygonHierarchy.contains(hierarchy, Cartesian3.fromDegrees(5.0, 3.0))
+    ).toBe(false);
+    expect(
+      PolygonHierarchy.contains(hierarchy, Cartesian3.fromDegrees(-178.0, 3.0))
+    ).toBe(false);
+  });
+
+  it("contains follows the geodesic edges of a polygon", function () {
+    // The geodesic between positions at the same latitude bends toward the pole
+    const hierarchy = square(0.0, 0.0, 40.0, 60.0);
+    expect(
+      PolygonHierarchy.contains(hierarchy, Cartesian3.fromDegrees(20.0, 61.0))
+    ).toBe(true);
+  });
+
+  it("computeArea computes the area of an octant of a sphere", function () {
+    const radius = 1000.0;
+    const hierarchy = new PolygonHierarchy([
+      new Cartesian3(radius, 0.0, 0.0),
+      new Cartesian3(0.0, radius, 0.0),
+      new Cartesian3(0.0, 0.0, radius),
+    ]);
+    const area = PolygonHierarchy.computeArea(
+      hierarchy,
+      new Ellipsoid(radius, radius, radius)
+    );
+    expect(area).toEqualEpsilon(
+      (4.0 * Math.PI * radius * radius) / 8.0,
+      CesiumMath.EPSILON8
+    );
+  });
+
+  it("computeArea computes the area of an octant of an ellipsoid", function () {
+    const hierarchy = new PolygonHierarchy(
+      Cartesian3.fromDegreesArray([0.0, 0.0, 90.0, 0.0, 0.0, 90.0])
+    );
+    // The authalic radius of WGS84
+    const radius = 6371007.1809;
+    expect(PolygonHierarchy.computeArea(hierarchy)).toEqualEpsilon(
+      (4.0 * Math.PI * radius * radius) / 8.0,
+      CesiumMath.EPSILON8 * radius * radius
+    );
+  });
+
+  it("computeArea subtracts holes", function () {
+    const outer = square(0.0, 0.0, 2.0, 2.0);
+    const hole = square(0.5, 0.5, 1.5, 1.5);
+    const area = PolygonHierarchy.computeArea(
+      new PolygonHierarchy(outer.positions, [hole])
+    );
+    expect(area).toEqualEpsilon(
+      PolygonHierarchy.computeArea(outer) - PolygonHierarchy.computeArea(hole),
+      CesiumMath.EPSILON6
+    );
+  });
+});
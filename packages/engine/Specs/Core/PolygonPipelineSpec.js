@@ -3,6 +3,7 @@ import {
   Cartesian3,
   Ellipsoid,
   PolygonPipeline,
+  RuntimeError,
   WindingOrder,
 } from "../../index.js";
 
@@ -689,4 +690,87 @@ describe("Core/PolygonPipeline", function () {
     expect(subdivision.attributes.st.values[10]).toEqual(0.5);
     expect(subdivision.attributes.st.values[11]).toEqual(1);
   });
+
+  it("isInsideRings2D determines if a point is inside rings with the even-odd rule", function () {
+    function ring(minimum, maximum) {
+      return [
+        new Cartesian2(minimum, minimum),
+        new Cartesian2(maximum, minimum),
+        new Cartesian2(maximum, maximum),
+        new Cartesian2(minimum, maximum),
+      ];
+    }
+    const rings = [ring(0.0, 6.0), ring(1.0, 5.0), ring(2.0, 4.0)];
+    expect(
+      PolygonPipeline.isInsideRings2D(rings, new Cartesian2(0.5, 0.5))
+    ).toBe(true);
+    expect(
+      PolygonPipeline.isInsideRings2D(rings, new Cartesian2(1.5, 1.5))
+    ).toBe(false);
+    expect(
+      PolygonPipeline.isInsideRings2D(rings, new Cartesian2(3.0, 3.0))
+    ).toBe(true);
+    expect(
+      PolygonPipeline.isInsideRings2D(rings, new Cartesian2(7.0, 3.0))
+    ).toBe(false);
+  });
+
+  it("computeUnion removes vertices between edges on the same line", function () {
+    const polygons = PolygonPipeline.computeUnion([
+      {
+        positions: Cartesian3.fromDegreesArray([
+          10.0,
+          40.0,
+          10.001,
+          40.0,
+          10.001,
+          40.001,
+          10.0,
+          40.001,
+        ]),
+      },
+      {
+        positions: Cartesian3.fromDegreesArray([
+          10.001,
+          40.0,
+          10.002,
+          40.0,
+          10.002,
+          40.001,
+          10.001,
+          40.001,
+        ]),
+      },
+    ]);
+    expect(polygons.length).toEqual(1);
+    expect(polygons[0].positions.length).toEqual(4);
+    expect(polygons[0].holes).toEqual([]);
+  });
+
+  it("computeUnion throws with positions in different hemispheres", function () {
+    expect(function () {
+      return PolygonPipeline.computeUnion([
+        {
+          positions: Cartesian3.fromDegreesArray([
+            0.0,
+            0.0,
+            1.0,
+            0.0,
+            1.0,
+            1.0,
+          ]),
+        },
+        {
+          positions: Cartesian3.fromDegreesArray([
+            179.0,
+            0.0,
+            180.0,
+            0.0,
+            180.0,
+            1.0,
+          ]),
+        },
+      ]);
+    }).toThrowError(RuntimeError);
+  });
 });
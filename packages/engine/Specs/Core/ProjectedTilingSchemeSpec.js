@@ -0,0 +1,171 @@
+import {
+  Cartesian2,
+  Cartographic,
+  ProjectedTilingScheme,
+  Rectangle,
+  TilingScheme,
+  TransverseMercatorProjection,
+} from "../../index.js";
+
+import { Math as CesiumMath } from "../../index.js";
+
+describe("Core/ProjectedTilingScheme", function () {
+  let projection;
+  let tilingScheme;
+  beforeEach(function () {
+    projection = TransverseMercatorProjection.fromUtmZone(32);
+    tilingScheme = new ProjectedTilingScheme({
+      projection: projection,
+      rectangleSouthwestInMeters: new Cartesian2(300000.0, 5000000.0),
+      rectangleNortheastInMeters: new Cartesian2(700000.0, 5400000.0),
+      numberOfLevelZeroTilesX: 2,
+    });
+  });
+
+  it("conforms to TilingScheme interface.", function () {
+    expect(ProjectedTilingScheme).toConformToInterface(TilingScheme);
+  });
+
+  it("uses the ellipsoid and projection", function () {
+    expect(tilingScheme.projection).toBe(projection);
+    expect(tilingScheme.ellipsoid).toBe(projection.ellipsoid);
+  });
+
+  it("gets the number of tiles at a level", function () {
+    expect(tilingScheme.getNumberOfXTilesAtLevel(0)).toEqual(2);
+    expect(tilingScheme.getNumberOfYTilesAtLevel(0)).toEqual(1);
+    expect(tilingScheme.getNumberOfXTilesAtLevel(2)).toEqual(8);
+    expect(tilingScheme.getNumberOfYTilesAtLevel(2)).toEqual(4);
+  });
+
+  it("rectangle bounds the corners of the native rectangle", function () {
+    const rectangle = tilingScheme.rectangle;
+    const corners = [
+      [300000.0, 5000000.0],
+      [700000.0, 5000000.0],
+      [300000.0, 5400000.0],
+      [700000.0, 5400000.0],
+    ];
+    for (let i = 0; i < corners.length; ++i) {
+      const cartographic = projection.unproject({
+        x: corners[i][0],
+        y: corners[i][1],
+      });
+      expect(Rectangle.contains(rectangle, cartographic)).toBe(true);
+    }
+    // Away from the central meridian, the edges of constant northing curve to lower latitudes
+    const northCenter = projection.unproject({ x: 500000.0, y: 5400000.0 });
+    expect(rectangle.north).toEqualEpsilon(
+      northCenter.latitude,
+      CesiumMath.EPSILON12
+    );
+  });
+
+  it("includes the pole when the native rectangle contains it", function () {
+    const pole = projection.project(
+      Cartographic.fromRadians(0.0, CesiumMath.PI_OVER_TWO)
+    );
+    const polarTilingScheme = new ProjectedTilingScheme({
+      projection: projection,
+      rectangleSouthwestInMeters: new Cartesian2(
+        pole.x - 1000.0,
+        pole.y - 1000.0
+      ),
+      rectangleNortheastInMeters: new Cartesian2(
+        pole.x + 1000.0,
+        pole.y + 1000.0
+      ),
+    });
+    const rectangle = polarTilingScheme.rectangle;
+    expect(rectangle.north).toEqual(CesiumMath.PI_OVER_TWO);
+    expect(rectangle.west).toEqual(-CesiumMath.PI);
+    expect(rectangle.east).toEqual(CesiumMath.PI);
+  });
+
+  it("tileXYToNativeRectangle numbers tiles from the northwest corner", function () {
+    const northwest = tilingScheme.tileXYToNativeRectangle(0, 0, 1);
+    expect(northwest).toEqual(
+      new Rectangle(300000.0, 5200000.0, 400000.0, 5400000.0)
+    );
+    const southeast = tilingScheme.tileXYToNativeRectangle(3, 1, 1);
+    expect(southeast).toEqual(
+      new Rectangle(600000.0, 5000000.0, 700000.0, 5200000.0)
+    );
+  });
+
+  it("tileXYToRectangle uses result parameter", function () {
+    const result = new Rectangle();
+    const rectangle = tilingScheme.tileXYToRectangle(0, 0, 0, result);
+    expect(rectangle).toBe(result);
+    expect(rectangle.west).toBeLessThan(rectangle.east);
+    expect(rectangle.south).toBeLessThan(rectangle.north);
+  });
+
+  it("tiles at a level cover the rectangle", function () {
+    const west = tilingScheme.tileXYToRectangle(0, 0, 0);
+    const east = tilingScheme.tileXYToRectangle(1, 0, 0);
+    const union = Rectangle.union(west, east);
+    expect(union).toEqualEpsilon(tilingScheme.rectangle, CesiumMath.EPSILON12);
+  });
+
+  it("rectangleToNativeRectangle bounds the projected rectangle", function () {
+    const rectangle = Rectangle.fromDegrees(8.0, 46.0, 10.0, 48.0);
+    const nativeRectangle = tilingScheme.rectangleToNativeRectangle(rectangle);
+    const southwest = projection.project(Cartographic.fromDegrees(8.0, 46.0));
+    const northeast = projection.project(Cartographic.fromDegrees(10.0, 48.0));
+    expect(nativeRectangle.west).toBeLessThanOrEqual(southwest.x);
+    expect(nativeRectangle.south).toEqualEpsilon(
+      projection.project(Cartographic.fromDegrees(9.0, 46.0)).y,
+      CesiumMath.EPSILON9
+    );
+    expect(nativeRectangle.east).toBeGreaterThanOrEqual(northeast.x);
+    expect(nativeRectangle.north).toBeGreaterThanOrEqual(northeast.y);
+
+    const result = new Rectangle();
+    expect(tilingScheme.rectangleToNativeRectangle(rectangle, result)).toBe(
+      result
+    );
+  });
+
+  it("positionToTileXY finds the tile containing a position", function () {
+    const position = projection.unproject({ x: 650000.0, y: 5050000.0 });
+    expect(tilingScheme.positionToTileXY(position, 0)).toEqual(
+      new Cartesian2(1, 0)
+    );
+    expect(tilingScheme.positionToTileXY(position, 2)).toEqual(
+      new Cartesian2(7, 3)
+    );
+
+    const result = new Cartesian2();
+    expect(tilingScheme.positionToTileXY(position, 1, result)).toBe(result);
+    expect(result).toEqual(new Cartesian2(3, 1));
+  });
+
+  it("positionToTileXY returns undefined for positions outside the native rectangle", function () {
+    // Inside the cartographic rectangle, but outside the projected rectangle
+    const rectangle = tilingScheme.rectangle;
+    const corner = new Cartographic(
+      rectangle.west + CesiumMath.EPSILON7,
+      rectangle.north - CesiumMath.EPSILON7
+    );
+    expect(tilingScheme.positionToTileXY(corner, 0)).toBeUndefined();
+    expect(
+      tilingScheme.positionToTileXY(Cartographic.fromDegrees(100.0, 0.0), 0)
+    ).toBeUndefined();
+  });
+
+  it("throws without a projection or native rectangle", function () {
+    expect(function () {
+      return new ProjectedTilingScheme({
+        rectangleSouthwestInMeters: new Cartesian2(),
+        rectangleNortheastInMeters: new Cartesian2(),
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new ProjectedTilingScheme({
+        projection: projection,
+        rectangleNortheastInMeters: new Cartesian2(),
+      });
+    }).toThrowDeveloperError();
+  });
+});
@@ -0,0 +1,232 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Ellipsoid,
+  GeographicProjection,
+  LambertConformalConicProjection,
+  MercatorProjection,
+  ProjectionRegistry,
+  RuntimeError,
+  TransverseMercatorProjection,
+  WebMercatorProjection,
+} from "../../index.js";
+
+import { Math as CesiumMath } from "../../index.js";
+
+describe("Core/ProjectionRegistry", function () {
+  const lambert93 =
+    "+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs";
+
+  afterEach(function () {
+    ProjectionRegistry.remove("EPSG:2154");
+  });
+
+  it("gets built-in projections", function () {
+    expect(ProjectionRegistry.get("EPSG:4326")).toBeInstanceOf(
+      GeographicProjection
+    );
+    expect(ProjectionRegistry.get("EPSG:3857")).toBeInstanceOf(
+      WebMercatorProjection
+    );
+    expect(ProjectionRegistry.get("EPSG:900913")).toBeInstanceOf(
+      WebMercatorProjection
+    );
+  });
+
+  it("gets the projections of UTM zones", function () {
+    const north = ProjectionRegistry.get("EPSG:32633");
+    expect(north).toBeInstanceOf(TransverseMercatorProjection);
+    expect(north.ellipsoid).toBe(Ellipsoid.WGS84);
+    expect(north.centralMeridian).toEqualEpsilon(
+      CesiumMath.toRadians(15.0),
+      CesiumMath.EPSILON15
+    );
+    expect(north.falseNorthing).toEqual(0.0);
+
+    const south = ProjectionRegistry.get("EPSG:32760");
+    expect(south.centralMeridian).toEqualEpsilon(
+      CesiumMath.toRadians(177.0),
+      CesiumMath.EPSILON15
+    );
+    expect(south.falseNorthing).toEqual(10000000.0);
+
+    const etrs89 = ProjectionRegistry.get("EPSG:25832");
+    expect(etrs89.centralMeridian).toEqualEpsilon(
+      CesiumMath.toRadians(9.0),
+      CesiumMath.EPSILON15
+    );
+    expect(etrs89.ellipsoid.radii.z).toEqualEpsilon(
+      6356752.314140356,
+      CesiumMath.EPSILON6
+    );
+
+    expect(ProjectionRegistry.get("EPSG:32633")).toBe(north);
+  });
+
+  it("returns undefined for unknown names", function () {
+    expect(ProjectionRegistry.get("EPSG:2154")).toBeUndefined();
+    expect(ProjectionRegistry.get("EPSG:32661")).toBeUndefined();
+    expect(ProjectionRegistry.get("potato")).toBeUndefined();
+  });
+
+  it("adds, gets and removes projections from definitions", function () {
+    const projection = ProjectionRegistry.add("EPSG:2154", lambert93);
+    expect(projection).toBeInstanceOf(LambertConformalConicProjection);
+    expect(ProjectionRegistry.get("EPSG:2154")).toBe(projection);
+    expect(
+      projection.project(Cartographic.fromDegrees(3.0, 46.5))
+    ).toEqualEpsilon(new Cartesian3(700000.0, 6600000.0, 0.0), 1.0e-6);
+
+    expect(ProjectionRegistry.remove("EPSG:2154")).toBe(true);
+    expect(ProjectionRegistry.get("EPSG:2154")).toBeUndefined();
+    expect(ProjectionRegistry.remove("EPSG:2154")).toBe(false);
+  });
+
+  it("adds projections", function () {
+    const projection = new MercatorProjection();
+    expect(ProjectionRegistry.add("EPSG:2154", projection)).toBe(projection);
+    expect(ProjectionRegistry.get("EPSG:2154")).toBe(projection);
+  });
+
+  it("gets projections by EPSG URNs and URLs", function () {
+    const projection = ProjectionRegistry.add("EPSG:2154", lambert93);
+    expect(ProjectionRegistry.get("urn:ogc:def:crs:EPSG::2154")).toBe(
+      projection
+    );
+    expect(ProjectionRegistry.get("urn:ogc:def:crs:EPSG:6.3:2154")).toBe(
+      projection
+    );
+    expect(
+      ProjectionRegistry.get("http://www.opengis.net/def/crs/EPSG/0/2154")
+    ).toBe(projection);
+  });
+
+  it("fromDefinition creates Transverse Mercator projections", function () {
+    const projection = ProjectionRegistry.fromDefinition(
+      "+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +units=m +no_defs"
+    );
+    expect(projection).toBeInstanceOf(TransverseMercatorProjection);
+    expect(projection.ellipsoid.radii.x).toEqual(6377563.396);
+    expect(projection.ellipsoid.radii.z).toEqualEpsilon(
+      6356256.909,
+      CesiumMath.EPSILON3
+    );
+    expect(projection.latitudeOfOrigin).toEqualEpsilon(
+      CesiumMath.toRadians(49.0),
+      CesiumMath.EPSILON15
+    );
+    expect(projection.scaleFactor).toEqual(0.9996012717);
+    expect(projection.falseEasting).toEqual(400000.0);
+    expect(projection.falseNorthing).toEqual(-100000.0);
+  });
+
+  it("fromDefinition creates UTM projections", function () {
+    const projection = ProjectionRegistry.fromDefinition(
+      "+proj=utm +zone=32 +south +datum=WGS84 +units=m +no_defs"
+    );
+    expect(projection).toBeInstanceOf(TransverseMercatorProjection);
+    expect(projection.ellipsoid).toBe(Ellipsoid.WGS84);
+    expect(projection.centralMeridian).toEqualEpsilon(
+      CesiumMath.toRadians(9.0),
+      CesiumMath.EPSILON15
+    );
+    expect(projection.falseNorthing).toEqual(10000000.0);
+  });
+
+  it("fromDefinition creates Mercator projections with a latitude of true scale", function () {
+    const projection = ProjectionRegistry.fromDefinition(
+      "+proj=merc +lon_0=100 +lat_ts=-41 +x_0=0 +y_0=0 +ellps=WGS84"
+    );
+    expect(projection).toBeInstanceOf(MercatorProjection);
+    expect(projection.centralMeridian).toEqualEpsilon(
+      CesiumMath.toRadians(100.0),
+      CesiumMath.EPSILON15
+    );
+    expect(projection.scaleFactor).toEqualEpsilon(
+      0.7557992272,
+      CesiumMath.EPSILON7
+    );
+  });
+
+  it("fromDefinition creates geographic projections", function () {
+    const projection = ProjectionRegistry.fromDefinition(
+      "+proj=longlat +datum=WGS84 +no_defs"
+    );
+    expect(projection).toBeInstanceOf(GeographicProjection);
+    expect(projection.ellipsoid).toBe(Ellipsoid.WGS84);
+  });
+
+  it("fromDefinition creates ellipsoids from their parameters", function () {
+    const sphere = ProjectionRegistry.fromDefinition("+proj=merc +R=6371000");
+    expect(sphere.ellipsoid.radii).toEqual(
+      new Cartesian3(6371000.0, 6371000.0, 6371000.0)
+    );
+
+    const ellipsoid = ProjectionRegistry.fromDefinition(
+      "+proj=merc +a=6378206.4 +b=6356583.8"
+    );
+    expect(ellipsoid.ellipsoid.radii).toEqual(
+      new Cartesian3(6378206.4, 6378206.4, 6356583.8)
+    );
+
+    const flattening = ProjectionRegistry.fromDefinition(
+      "+proj=merc +a=6378388 +rf=297"
+    );
+    expect(flattening.ellipsoid.radii.z).toEqualEpsilon(
+      6356911.946,
+      CesiumMath.EPSILON3
+    );
+  });
+
+  it("fromDefinition adds a numeric prime meridian to the central meridian", function () {
+    const projection = ProjectionRegistry.fromDefinition(
+      "+proj=tmerc +lon_0=1 +pm=2.5"
+    );
+    expect(projection.centralMeridian).toEqualEpsilon(
+      CesiumMath.toRadians(3.5),
+      CesiumMath.EPSILON15
+    );
+  });
+
+  it("fromDefinition throws with unsupported definitions", function () {
+    expect(function () {
+      return ProjectionRegistry.fromDefinition("+proj=stere +lat_0=90");
+    }).toThrowError(RuntimeError);
+    expect(function () {
+      return ProjectionRegistry.fromDefinition("+proj=utm +ellps=WGS84");
+    }).toThrowError(RuntimeError);
+    expect(function () {
+      return ProjectionRegistry.fromDefinition("+proj=utm +zone=61");
+    }).toThrowError(RuntimeError);
+    expect(function () {
+      return ProjectionRegistry.fromDefinition("+proj=tmerc +ellps=potato");
+    }).toThrowError(RuntimeError);
+    expect(function () {
+      return ProjectionRegistry.fromDefinition("+proj=tmerc +units=us-ft");
+    }).toThrowError(RuntimeError);
+    expect(function () {
+      return ProjectionRegistry.fromDefinition("+proj=tmerc +axis=neu");
+    }).toThrowError(RuntimeError);
+    expect(function () {
+      return ProjectionRegistry.fromDefinition("+proj=tmerc +pm=paris");
+    }).toThrowError(RuntimeError);
+  });
+
+  it("throws without a name", function () {
+    expect(function () {
+      return ProjectionRegistry.get();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return ProjectionRegistry.add(undefined, lambert93);
+    }).toThrowDeveloperError();
+    expect(function () {
+      return ProjectionRegistry.remove();
+    }).toThrowDeveloperError();
+  });
+
+  it("add throws without a definition", function () {
+    expect(function () {
+      return ProjectionRegistry.add("EPSG:2154");
+    }).toThrowDeveloperError();
+  });
+});
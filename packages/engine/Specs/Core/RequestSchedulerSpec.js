@@ -1,10 +1,20 @@
-import { defer, Request, RequestScheduler, RequestState } from "../../index.js";
+import {
+  defer,
+  Request,
+  RequestErrorEvent,
+  RequestScheduler,
+  RequestState,
+  RequestType,
+} from "../../index.js";
 
 describe("Core/RequestScheduler", function () {
   let originalMaximumRequests;
   let originalMaximumRequestsPerServer;
   let originalPriorityHeapLength;
   let originalRequestsByServer;
+  let originalMaximumRetries;
+  let originalRetryDelay;
+  let originalMaximumRetryDelay;
 
   beforeAll(function () {
     originalMaximumRequests = RequestScheduler.maximumRequests;
@@ -12,6 +22,9 @@ describe("Core/RequestScheduler", function () {
       RequestScheduler.maximumRequestsPerServer;
     originalPriorityHeapLength = RequestScheduler.priorityHeapLength;
     originalRequestsByServer = RequestScheduler.requestsByServer;
+    originalMaximumRetries = RequestScheduler.maximumRetries;
+    originalRetryDelay = RequestScheduler.retryDelay;
+    originalMaximumRetryDelay = RequestScheduler.maximumRetryDelay;
   });
 
   beforeEach(function () {
@@ -24,6 +37,10 @@ describe("Core/RequestScheduler", function () {
     RequestScheduler.maximumRequestsPerServer = originalMaximumRequestsPerServer;
     RequestScheduler.priorityHeapLength = originalPriorityHeapLength;
     RequestScheduler.requestsByServer = originalRequestsByServer;
+    RequestScheduler.bandwidthByServer = {};
+    RequestScheduler.maximumRetries = originalMaximumRetries;
+    RequestScheduler.retryDelay = originalRetryDelay;
+    RequestScheduler.maximumRetryDelay = originalMaximumRetryDelay;
   });
 
   it("request throws when request is undefined", function () {
@@ -1086,4 +1103,208 @@ describe("Core/RequestScheduler", function () {
     }
     return Promise.all(promises);
   });
+
+  describe("busy servers", function () {
+    let delays;
+
+    beforeEach(function () {
+      RequestScheduler.maximumRetries = 3;
+      delays = [];
+      spyOn(window, "setTimeout").and.callFake(function (callback, delay) {
+        delays.push(delay);
+        callback();
+      });
+    });
+
+    function createRequest(responses) {
+      const requestFunction = jasmine
+        .createSpy("requestFunction")
+        .and.returnValues(...responses);
+      return new Request({
+        url: "https://test.invalid:80/1",
+        requestFunction: requestFunction,
+      });
+    }
+
+    it("does not retry requests or back off from servers by default", async function () {
+      RequestScheduler.maximumRetries = originalMaximumRetries;
+      const error = new RequestErrorEvent(429);
+      const request = createRequest([Promise.reject(error)]);
+
+      await expectAsync(RequestScheduler.request(request)).toBeRejectedWith(
+        error
+      );
+      expect(request.requestFunction.calls.count()).toEqual(1);
+      expect(delays).toEqual([]);
+      expect(RequestScheduler.serverHasOpenSlots("test.invalid:80")).toBe(true);
+    });
+
+    it("retries requests with exponential backoff", async function () {
+      const request = createRequest([
+        Promise.reject(new RequestErrorEvent(503)),
+        Promise.reject(new RequestErrorEvent(429)),
+        Promise.resolve("data"),
+      ]);
+
+      const data = await RequestScheduler.request(request);
+      expect(data).toEqual("data");
+      expect(request.requestFunction.calls.count()).toEqual(3);
+      expect(delays).toEqual([1000, 2000]);
+      expect(request.state).toBe(RequestState.RECEIVED);
+
+      const statistics = RequestScheduler.getServerStatistics(
+        "test.invalid:80"
+      );
+      expect(statistics.numberOfRetriedRequests).toEqual(2);
+      expect(statistics.numberOfReceivedRequests).toEqual(1);
+      expect(statistics.numberOfFailedRequests).toEqual(0);
+    });
+
+    it("honors Retry-After", async function () {
+      let time = 0.0;
+      spyOn(performance, "now").and.callFake(function () {
+        return time;
+      });
+
+      const request = createRequest([
+        Promise.reject(
+          new RequestErrorEvent(429, undefined, "Retry-After: 120\r\n")
+        ),
+        Promise.resolve("data"),
+      ]);
+      RequestScheduler.maximumRetryDelay = 300000;
+
+      await RequestScheduler.request(request);
+      expect(delays).toEqual([120000]);
+
+      // Requests throttled by server wait for the delay
+      expect(RequestScheduler.serverHasOpenSlots("test.invalid:80")).toBe(
+        false
+      );
+      time = 120001.0;
+      expect(RequestScheduler.serverHasOpenSlots("test.invalid:80")).toBe(true);
+    });
+
+    it("does not retry when Retry-After exceeds maximumRetryDelay", async function () {
+      const error = new RequestErrorEvent(503, undefined, {
+        "retry-after": "3600",
+      });
+      const request = createRequest([Promise.reject(error)]);
+
+      await expectAsync(RequestScheduler.request(request)).toBeRejectedWith(
+        error
+      );
+      expect(delays).toEqual([]);
+      expect(request.state).toBe(RequestState.FAILED);
+    });
+
+    it("does not retry more than maximumRetries", async function () {
+      RequestScheduler.maximumRetries = 1;
+      const error = new RequestErrorEvent(503);
+      const request = createRequest([
+        Promise.reject(error),
+        Promise.reject(error),
+      ]);
+
+      await expectAsync(RequestScheduler.request(request)).toBeRejectedWith(
+        error
+      );
+      expect(request.requestFunction.calls.count()).toEqual(2);
+      expect(
+        RequestScheduler.getServerStatistics("test.invalid:80")
+          .numberOfFailedRequests
+      ).toEqual(1);
+    });
+
+    it("does not retry requests that are retried by their resource", async function () {
+      const error = new RequestErrorEvent(503);
+      const request = createRequest([Promise.reject(error)]);
+      request.retryOnBusyServer = false;
+
+      await expectAsync(RequestScheduler.request(request)).toBeRejectedWith(
+        error
+      );
+      expect(request.requestFunction.calls.count()).toEqual(1);
+      expect(delays).toEqual([]);
+    });
+
+    it("does not retry other errors", async function () {
+      const error = new RequestErrorEvent(404);
+      const request = createRequest([Promise.reject(error)]);
+
+      await expectAsync(RequestScheduler.request(request)).toBeRejectedWith(
+        error
+      );
+      expect(request.requestFunction.calls.count()).toEqual(1);
+    });
+  });
+
+  it("honors bandwidthByServer", async function () {
+    let time = 0.0;
+    spyOn(performance, "now").and.callFake(function () {
+      return time;
+    });
+    RequestScheduler.bandwidthByServer["test.invalid:80"] = 100;
+
+    const request = new Request({
+      url: "https://test.invalid:80/1",
+      requestFunction: function () {
+        return Promise.resolve(new ArrayBuffer(150));
+      },
+    });
+    await RequestScheduler.request(request);
+    expect(RequestScheduler.serverHasOpenSlots("test.invalid:80")).toBe(false);
+
+    // The budget refills at 100 bytes per second
+    time = 400.0;
+    expect(RequestScheduler.serverHasOpenSlots("test.invalid:80")).toBe(false);
+    time = 600.0;
+    expect(RequestScheduler.serverHasOpenSlots("test.invalid:80")).toBe(true);
+    expect(
+      RequestScheduler.getServerStatistics("test.invalid:80").bytesReceived
+    ).toEqual(150);
+  });
+
+  it("raises requestStatisticsEvent", async function () {
+    const listener = jasmine.createSpy("listener");
+    const removeListener = RequestScheduler.requestStatisticsEvent.addEventListener(
+      listener
+    );
+
+    await RequestScheduler.request(
+      new Request({
+        url: "https://test.invalid:80/1",
+        type: RequestType.IMAGERY,
+        requestFunction: function () {
+          return Promise.resolve(new ArrayBuffer(10));
+        },
+      })
+    );
+    await expectAsync(
+      RequestScheduler.request(
+        new Request({
+          url: "https://test.invalid:80/2",
+          requestFunction: function () {
+            return Promise.reject(new RequestErrorEvent(404));
+          },
+        })
+      )
+    ).toBeRejected();
+    removeListener();
+
+    expect(listener.calls.count()).toEqual(2);
+    const received = listener.calls.argsFor(0)[0];
+    expect(received.url).toEqual("https://test.invalid:80/1");
+    expect(received.serverKey).toEqual("test.invalid:80");
+    expect(received.type).toEqual(RequestType.IMAGERY);
+    expect(received.state).toEqual(RequestState.RECEIVED);
+    expect(received.bytes).toEqual(10);
+    expect(received.retries).toEqual(0);
+    expect(received.duration).toBeGreaterThanOrEqual(0.0);
+
+    const failed = listener.calls.argsFor(1)[0];
+    expect(failed.state).toEqual(RequestState.FAILED);
+    expect(failed.statusCode).toEqual(404);
+    expect(failed.type).toEqual(RequestType.OTHER);
+  });
 });
@@ -652,6 +652,67 @@ describe("Core/Resource", function () {
     });
   });
 
+  describe("busy servers", function () {
+    let delays;
+    let originalMaximumRetries;
+
+    beforeEach(function () {
+      originalMaximumRetries = RequestScheduler.maximumRetries;
+      RequestScheduler.maximumRetries = 3;
+      delays = [];
+      spyOn(window, "setTimeout").and.callFake(function (callback, delay) {
+        delays.push(delay);
+        callback();
+      });
+      spyOn(Resource._Implementations, "loadWithXhr").and.callFake(function (
+        url,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred,
+        overrideMimeType
+      ) {
+        if (Resource._Implementations.loadWithXhr.calls.count() === 1) {
+          deferred.reject(new RequestErrorEvent(503));
+          return;
+        }
+        deferred.resolve("data");
+      });
+    });
+
+    afterEach(function () {
+      RequestScheduler.maximumRetries = originalMaximumRetries;
+    });
+
+    it("retries requests with the retryCallback and not also the RequestScheduler", async function () {
+      const cb = jasmine.createSpy("retry").and.returnValue(true);
+      const resource = new Resource({
+        url: "http://test.invalid/busy",
+        retryCallback: cb,
+        retryAttempts: 1,
+      });
+
+      const data = await resource.fetch();
+      expect(data).toEqual("data");
+      expect(cb.calls.count()).toEqual(1);
+      expect(cb.calls.argsFor(0)[1].statusCode).toEqual(503);
+      expect(Resource._Implementations.loadWithXhr.calls.count()).toEqual(2);
+      expect(delays).toEqual([]);
+    });
+
+    it("retries requests with the RequestScheduler without a retryCallback", async function () {
+      const resource = new Resource({
+        url: "http://test.invalid/busy",
+      });
+
+      const data = await resource.fetch();
+      expect(data).toEqual("data");
+      expect(Resource._Implementations.loadWithXhr.calls.count()).toEqual(2);
+      expect(delays).toEqual([RequestScheduler.retryDelay]);
+    });
+  });
+
   it("isDataUri returns correct values", function () {
     const dataResource = new Resource({
       url: "data:text/plain;base64,SGVsbG8sIFdvcmxkIQ%3D%3",
@@ -0,0 +1,282 @@
+import {
+  Credit,
+  GeographicTilingScheme,
+  HeightmapTerrainData,
+  Math as CesiumMath,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  RgbEncodedTerrainProvider,
+  RgbTerrainEncoding,
+  TerrainProvider,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Core/RgbEncodedTerrainProvider", function () {
+  const url = "made/up/{z}/{x}/{y}.png";
+
+  function encodeMapbox(height) {
+    const value = Math.round((height + 10000.0) * 10.0);
+    return [value >> 16, (value >> 8) & 0xff, value & 0xff, 255];
+  }
+
+  function encodeTerrarium(height) {
+    const value = height + 32768.0;
+    const red = Math.floor(value / 256.0);
+    const green = Math.floor(value - red * 256.0);
+    const blue = Math.round((value - Math.floor(value)) * 256.0);
+    return [red, green, blue, 255];
+  }
+
+  function serveTiles(getPixel, encode) {
+    spyOn(Resource._Implementations, "loadWithXhr").and.callFake(function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      deferred.resolve(
+        BinaryFormatTester.createPng({
+          width: 65,
+          height: 65,
+          getPixel: function (x, y) {
+            return encode(getPixel(x, y));
+          },
+        })
+      );
+    });
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("conforms to TerrainProvider interface", function () {
+    expect(RgbEncodedTerrainProvider).toConformToInterface(TerrainProvider);
+  });
+
+  it("constructor throws without url", function () {
+    expect(function () {
+      return new RgbEncodedTerrainProvider();
+    }).toThrowDeveloperError();
+  });
+
+  it("constructor sets default values", function () {
+    const provider = new RgbEncodedTerrainProvider({
+      url: url,
+    });
+    expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+    expect(provider.rectangle).toEqual(provider.tilingScheme.rectangle);
+    expect(provider.encoding).toBe(RgbTerrainEncoding.MAPBOX);
+    expect(provider.credit).toBeUndefined();
+    expect(provider.hasWaterMask).toBe(false);
+    expect(provider.requestWaterMask).toBe(false);
+    expect(provider.hasVertexNormals).toBe(false);
+    expect(provider.errorEvent).toBeDefined();
+  });
+
+  it("constructor uses options", function () {
+    const tilingScheme = new GeographicTilingScheme();
+    const provider = new RgbEncodedTerrainProvider({
+      url: url,
+      encoding: RgbTerrainEncoding.TERRARIUM,
+      tilingScheme: tilingScheme,
+      requestWaterMask: true,
+      credit: "Elevation",
+    });
+    expect(provider.tilingScheme).toBe(tilingScheme);
+    expect(provider.encoding).toBe(RgbTerrainEncoding.TERRARIUM);
+    expect(provider.credit).toBeInstanceOf(Credit);
+    expect(provider.credit.html).toEqual("Elevation");
+    expect(provider.hasWaterMask).toBe(true);
+    expect(provider.requestWaterMask).toBe(true);
+  });
+
+  it("has availability up to the maximum level", function () {
+    const provider = new RgbEncodedTerrainProvider({
+      url: url,
+      maximumLevel: 3,
+    });
+    expect(provider.getTileDataAvailable(0, 0, 0)).toBe(true);
+    expect(provider.getTileDataAvailable(7, 7, 3)).toBe(true);
+    expect(provider.getTileDataAvailable(0, 0, 4)).toBe(false);
+    expect(provider.availability.computeMaximumLevelAtPosition).toBeDefined();
+    expect(provider.loadTileDataAvailability(0, 0, 3)).toBeUndefined();
+  });
+
+  it("has availability within the rectangle", function () {
+    const provider = new RgbEncodedTerrainProvider({
+      url: url,
+      tilingScheme: new GeographicTilingScheme(),
+      rectangle: Rectangle.fromDegrees(0.0, 0.0, 90.0, 90.0),
+    });
+
+    // Level zero tiles are always available
+    expect(provider.getTileDataAvailable(0, 0, 0)).toBe(true);
+    expect(provider.getTileDataAvailable(1, 0, 0)).toBe(true);
+
+    expect(provider.getTileDataAvailable(2, 0, 1)).toBe(true);
+    expect(provider.getTileDataAvailable(3, 0, 1)).toBe(false);
+    expect(provider.getTileDataAvailable(5, 1, 2)).toBe(true);
+    expect(provider.getTileDataAvailable(5, 2, 2)).toBe(false);
+  });
+
+  it("getLevelMaximumGeometricError halves the error at each level", function () {
+    const provider = new RgbEncodedTerrainProvider({
+      url: url,
+      heightmapSize: 33,
+    });
+    const tilingScheme = provider.tilingScheme;
+    const expected = TerrainProvider.getEstimatedLevelZeroGeometricErrorForAHeightmap(
+      tilingScheme.ellipsoid,
+      33,
+      tilingScheme.getNumberOfXTilesAtLevel(0)
+    );
+    expect(provider.getLevelMaximumGeometricError(0)).toEqualEpsilon(
+      expected,
+      CesiumMath.EPSILON10
+    );
+    expect(provider.getLevelMaximumGeometricError(2)).toEqualEpsilon(
+      expected / 4.0,
+      CesiumMath.EPSILON10
+    );
+  });
+
+  it("requestTileGeometry requests tiles from the URL template", async function () {
+    serveTiles(function (x, y) {
+      return 0.0;
+    }, encodeMapbox);
+
+    const provider = new RgbEncodedTerrainProvider({
+      url: "made/up/{s}/{z}/{x}/{y}/{reverseY}.png",
+      subdomains: "pq",
+    });
+    await provider.requestTileGeometry(1, 2, 2);
+    expect(
+      Resource._Implementations.loadWithXhr.calls.mostRecent().args[0]
+    ).toContain("made/up/q/2/1/2/1.png");
+  });
+
+  it("requestTileGeometry decodes Mapbox Terrain-RGB heights", async function () {
+    serveTiles(function (x, y) {
+      return x * 10.0 + y;
+    }, encodeMapbox);
+
+    const provider = new RgbEncodedTerrainProvider({
+      url: url,
+    });
+    const terrainData = await provider.requestTileGeometry(0, 0, 1);
+    expect(terrainData).toBeInstanceOf(HeightmapTerrainData);
+    expect(terrainData.childTileMask).toBe(15);
+    expect(terrainData.waterMask).toBeUndefined();
+
+    // The first and last samples and pixels are at the edges of the tile, so sample i is at pixel i
+    const heights = terrainData._buffer;
+    expect(heights.length).toBe(65 * 65);
+    const samples = [
+      [0, 0],
+      [10, 30],
+      [63, 2],
+      [64, 64],
+    ];
+    for (let i = 0; i < samples.length; ++i) {
+      const x = samples[i][0];
+      const y = samples[i][1];
+      expect(heights[y * 65 + x]).toEqualEpsilon(x * 10.0 + y, 1e-3);
+    }
+  });
+
+  it("requestTileGeometry decodes Terrarium heights", async function () {
+    serveTiles(function (x, y) {
+      return -250.5;
+    }, encodeTerrarium);
+
+    const provider = new RgbEncodedTerrainProvider({
+      url: url,
+      encoding: RgbTerrainEncoding.TERRARIUM,
+      heightmapSize: 17,
+    });
+    const terrainData = await provider.requestTileGeometry(0, 0, 1);
+    const heights = terrainData._buffer;
+    expect(heights.length).toBe(17 * 17);
+    expect(
+      heights.every(function (height) {
+        return Math.abs(height + 250.5) < 1e-3;
+      })
+    ).toBe(true);
+  });
+
+  it("requestTileGeometry creates water masks", async function () {
+    serveTiles(function (x, y) {
+      return x < 32 ? -10.0 : 10.0 + y;
+    }, encodeMapbox);
+
+    const provider = new RgbEncodedTerrainProvider({
+      url: url,
+      requestWaterMask: true,
+      waterHeight: 12.0,
+    });
+    const terrainData = await provider.requestTileGeometry(0, 0, 1);
+    const waterMask = terrainData.waterMask;
+    expect(waterMask.length).toBe(65 * 65);
+    expect(waterMask[0]).toBe(255);
+    expect(waterMask[64 * 65]).toBe(255);
+    expect(waterMask[40]).toBe(255);
+    expect(waterMask[2 * 65 + 40]).toBe(255);
+    expect(waterMask[3 * 65 + 40]).toBe(0);
+    expect(waterMask[64 * 65 + 64]).toBe(0);
+  });
+
+  it("requestTileGeometry returns flat tiles without requests below the minimum level and outside the rectangle", async function () {
+    serveTiles(function (x, y) {
+      return 100.0;
+    }, encodeMapbox);
+
+    const provider = new RgbEncodedTerrainProvider({
+      url: url,
+      tilingScheme: new GeographicTilingScheme(),
+      rectangle: Rectangle.fromDegrees(0.0, 0.0, 90.0, 90.0),
+      minimumLevel: 1,
+    });
+
+    let terrainData = await provider.requestTileGeometry(1, 0, 0);
+    expect(terrainData.childTileMask).toBe(4);
+    let heights = terrainData._buffer;
+    expect(heights.length).toBe(65 * 65);
+    expect(
+      heights.every(function (height) {
+        return height === 0.0;
+      })
+    ).toBe(true);
+
+    terrainData = await provider.requestTileGeometry(0, 0, 1);
+    heights = terrainData._buffer;
+    expect(
+      heights.every(function (height) {
+        return height === 0.0;
+      })
+    ).toBe(true);
+    expect(Resource._Implementations.loadWithXhr).not.toHaveBeenCalled();
+
+    terrainData = await provider.requestTileGeometry(2, 0, 1);
+    expect(terrainData._buffer[0]).toEqualEpsilon(100.0, 1e-3);
+  });
+
+  it("requestTileGeometry returns undefined when the request is throttled", function () {
+    const provider = new RgbEncodedTerrainProvider({
+      url: url,
+    });
+    spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(undefined);
+    expect(provider.requestTileGeometry(0, 0, 1)).toBeUndefined();
+  });
+});
@@ -0,0 +1,519 @@
+import {
+  defined,
+  GeographicTilingScheme,
+  Rectangle,
+  RequestErrorEvent,
+  RequestScheduler,
+  RequestType,
+  Resource,
+  TileCache,
+} from "../../index.js";
+
+describe("Core/TileCache", function () {
+  let tileCache;
+  let name;
+  let databaseCount = 0;
+
+  function createBuffer(values) {
+    return new Uint8Array(values).buffer;
+  }
+
+  beforeEach(function () {
+    name = `cesium-tile-cache-spec-${databaseCount++}`;
+  });
+
+  afterEach(function () {
+    RequestScheduler.tileCache = undefined;
+    RequestScheduler.bandwidthByServer = {};
+    if (defined(tileCache) && !tileCache.isDestroyed()) {
+      tileCache.destroy();
+    }
+    tileCache = undefined;
+    indexedDB.deleteDatabase(name);
+  });
+
+  function spyOnLoadWithXhr(result) {
+    return spyOn(Resource._Implementations, "loadWithXhr").and.callFake(
+      function (url, responseType, method, data, headers, deferred) {
+        if (result instanceof Error || result instanceof RequestErrorEvent) {
+          deferred.reject(result);
+          return;
+        }
+        deferred.resolve(result);
+      }
+    );
+  }
+
+  it("constructs with default options", function () {
+    tileCache = new TileCache({ name: name });
+    expect(tileCache.name).toEqual(name);
+    expect(tileCache.maximumSize).toEqual(536870912);
+    expect(tileCache.offline).toBe(false);
+    expect(tileCache.requestTypes).toEqual([
+      RequestType.TERRAIN,
+      RequestType.IMAGERY,
+      RequestType.TILES3D,
+    ]);
+  });
+
+  it("constructor throws with negative maximumSize", function () {
+    expect(function () {
+      return new TileCache({ name: name, maximumSize: -1 });
+    }).toThrowDeveloperError();
+  });
+
+  it("stores and gets responses", async function () {
+    tileCache = new TileCache({ name: name });
+    await tileCache.put("http://test.invalid/0/0/0.png", createBuffer([1, 2]));
+
+    const data = await tileCache.get("http://test.invalid/0/0/0.png");
+    expect(new Uint8Array(data)).toEqual(new Uint8Array([1, 2]));
+    expect(
+      await tileCache.get("http://test.invalid/0/0/1.png")
+    ).toBeUndefined();
+
+    const statistics = await tileCache.getStatistics();
+    expect(statistics.tileCount).toEqual(1);
+    expect(statistics.size).toEqual(2);
+  });
+
+  it("converts responses to the requested type", async function () {
+    tileCache = new TileCache({ name: name });
+    await tileCache.put("http://test.invalid/layer.json", "{}");
+
+    expect(
+      await tileCache.get("http://test.invalid/layer.json", "text")
+    ).toEqual("{}");
+    const data = await tileCache.get(
+      "http://test.invalid/layer.json",
+      "arraybuffer"
+    );
+    expect(new Uint8Array(data)).toEqual(new Uint8Array([123, 125]));
+  });
+
+  it("stores responses without credentials in the URL", async function () {
+    tileCache = new TileCache({ name: name });
+    await tileCache.put(
+      "http://test.invalid/0.png?access_token=a&Token=b&style=dark",
+      createBuffer([1])
+    );
+
+    const data = await tileCache.get(
+      "http://test.invalid/0.png?style=dark&access_token=c"
+    );
+    expect(new Uint8Array(data)).toEqual(new Uint8Array([1]));
+    expect(
+      await tileCache.get("http://test.invalid/0.png?style=dark")
+    ).toBeDefined();
+    expect(
+      await tileCache.get("http://test.invalid/0.png?style=light&token=a")
+    ).toBeUndefined();
+
+    const objectStorePut = spyOn(
+      IDBObjectStore.prototype,
+      "put"
+    ).and.callThrough();
+    await tileCache.put("http://test.invalid/1.png?token=secret", "a");
+    expect(objectStorePut).toHaveBeenCalled();
+    for (let i = 0; i < objectStorePut.calls.count(); ++i) {
+      expect(objectStorePut.calls.argsFor(i)[1]).toEqual(
+        "http://test.invalid/1.png"
+      );
+    }
+    expect(
+      await tileCache.remove("http://test.invalid/1.png?token=other")
+    ).toBe(true);
+  });
+
+  it("stores responses of URLs that differ in other query parameters separately", async function () {
+    tileCache = new TileCache({ name: name });
+    await tileCache.put("http://test.invalid/0.png?key=a", createBuffer([1]));
+    await tileCache.put(
+      "http://test.invalid/0.png?key=b&session=c",
+      createBuffer([2])
+    );
+
+    expect(
+      new Uint8Array(await tileCache.get("http://test.invalid/0.png?key=a"))
+    ).toEqual(new Uint8Array([1]));
+    expect(
+      new Uint8Array(
+        await tileCache.get("http://test.invalid/0.png?key=b&session=c")
+      )
+    ).toEqual(new Uint8Array([2]));
+    expect(
+      await tileCache.get("http://test.invalid/0.png?key=b")
+    ).toBeUndefined();
+    expect((await tileCache.getStatistics()).tileCount).toEqual(2);
+  });
+
+  it("stores responses without the given credential parameters", async function () {
+    tileCache = new TileCache({
+      name: name,
+      credentialParameters: ["Signature"],
+    });
+    await tileCache.put(
+      "http://test.invalid/0.png?signature=a&token=b",
+      createBuffer([1])
+    );
+
+    expect(
+      await tileCache.get("http://test.invalid/0.png?token=b&SIGNATURE=c")
+    ).toBeDefined();
+    expect(
+      await tileCache.get("http://test.invalid/0.png?token=c")
+    ).toBeUndefined();
+  });
+
+  it("removes and clears responses", async function () {
+    tileCache = new TileCache({ name: name });
+    await tileCache.put("http://test.invalid/0.png", createBuffer([1]));
+    await tileCache.put("http://test.invalid/1.png", createBuffer([1, 2]));
+
+    expect(await tileCache.remove("http://test.invalid/0.png")).toBe(true);
+    expect(await tileCache.remove("http://test.invalid/0.png")).toBe(false);
+    expect(await tileCache.get("http://test.invalid/0.png")).toBeUndefined();
+    expect((await tileCache.getStatistics()).size).toEqual(2);
+
+    await tileCache.clear();
+    expect(await tileCache.get("http://test.invalid/1.png")).toBeUndefined();
+    expect(await tileCache.getStatistics()).toEqual({
+      tileCount: 0,
+      size: 0,
+    });
+  });
+
+  it("removes the least recently used responses beyond the maximum size", async function () {
+    tileCache = new TileCache({ name: name, maximumSize: 4 });
+    let time = 0;
+    spyOn(Date, "now").and.callFake(function () {
+      return ++time;
+    });
+
+    await tileCache.put("http://test.invalid/0.png", createBuffer([0, 0]));
+    await tileCache.put("http://test.invalid/1.png", createBuffer([1, 1]));
+    // Using the first response makes the second the least recently used
+    await tileCache.get("http://test.invalid/0.png");
+    await tileCache.put("http://test.invalid/2.png", createBuffer([2, 2]));
+
+    expect(await tileCache.get("http://test.invalid/1.png")).toBeUndefined();
+    expect(await tileCache.get("http://test.invalid/0.png")).toBeDefined();
+    expect(await tileCache.get("http://test.invalid/2.png")).toBeDefined();
+    expect((await tileCache.getStatistics()).size).toEqual(4);
+  });
+
+  it("gets responses without blocking other reads", async function () {
+    tileCache = new TileCache({ name: name });
+    await tileCache.put("http://test.invalid/0.png", createBuffer([1]));
+
+    const transaction = spyOn(
+      IDBDatabase.prototype,
+      "transaction"
+    ).and.callThrough();
+    await Promise.all([
+      tileCache.get("http://test.invalid/0.png"),
+      tileCache.get("http://test.invalid/1.png"),
+    ]);
+    expect(transaction.calls.count()).toEqual(2);
+    expect(transaction.calls.argsFor(0)[1]).toEqual("readonly");
+    expect(transaction.calls.argsFor(1)[1]).toEqual("readonly");
+  });
+
+  it("keeps the access times of responses read before it is destroyed", async function () {
+    tileCache = new TileCache({ name: name, maximumSize: 2 });
+    let time = 0;
+    spyOn(Date, "now").and.callFake(function () {
+      return ++time;
+    });
+
+    await tileCache.put("http://test.invalid/0.png", createBuffer([0]));
+    await tileCache.put("http://test.invalid/1.png", createBuffer([1]));
+    await tileCache.get("http://test.invalid/0.png");
+    tileCache.destroy();
+
+    tileCache = new TileCache({ name: name, maximumSize: 2 });
+    await tileCache.put("http://test.invalid/2.png", createBuffer([2]));
+    expect(await tileCache.get("http://test.invalid/1.png")).toBeUndefined();
+    expect(await tileCache.get("http://test.invalid/0.png")).toBeDefined();
+  });
+
+  it("keeps the statistics of an existing database", async function () {
+    tileCache = new TileCache({ name: name });
+    await tileCache.put("http://test.invalid/0.png", createBuffer([1, 2, 3]));
+    tileCache.destroy();
+
+    tileCache = new TileCache({ name: name });
+    expect(await tileCache.getStatistics()).toEqual({
+      tileCount: 1,
+      size: 3,
+    });
+  });
+
+  it("caches tile requests", async function () {
+    tileCache = new TileCache({ name: name });
+    RequestScheduler.tileCache = tileCache;
+    const loadWithXhr = spyOnLoadWithXhr(createBuffer([1, 2]));
+    const put = spyOn(tileCache, "put").and.callThrough();
+
+    const resource = new Resource({
+      url: "http://test.invalid/terrain/0/0/0.terrain",
+    });
+    resource.request.type = RequestType.TERRAIN;
+    let data = await resource.fetchArrayBuffer();
+    expect(new Uint8Array(data)).toEqual(new Uint8Array([1, 2]));
+    expect(loadWithXhr.calls.count()).toEqual(1);
+
+    // The response is stored asynchronously
+    expect(put).toHaveBeenCalled();
+    await put.calls.mostRecent().returnValue;
+
+    data = await resource.fetchArrayBuffer();
+    expect(new Uint8Array(data)).toEqual(new Uint8Array([1, 2]));
+    expect(loadWithXhr.calls.count()).toEqual(1);
+  });
+
+  it("does not count cached responses against the bandwidth and statistics of the server", async function () {
+    spyOn(performance, "now").and.returnValue(0.0);
+    RequestScheduler.clearForSpecs();
+    RequestScheduler.bandwidthByServer["test.invalid:80"] = 100;
+    tileCache = new TileCache({ name: name });
+    RequestScheduler.tileCache = tileCache;
+    spyOnLoadWithXhr(new ArrayBuffer(60));
+    const put = spyOn(tileCache, "put").and.callThrough();
+
+    const resource = new Resource({
+      url: "http://test.invalid/terrain/0/0/0.terrain",
+    });
+    resource.request.type = RequestType.TERRAIN;
+    await resource.fetchArrayBuffer();
+    await put.calls.mostRecent().returnValue;
+    expect(RequestScheduler.serverHasOpenSlots("test.invalid:80")).toBe(true);
+
+    const data = await resource.fetchArrayBuffer();
+    expect(data.byteLength).toEqual(60);
+    expect(RequestScheduler.serverHasOpenSlots("test.invalid:80")).toBe(true);
+    const statistics = RequestScheduler.getServerStatistics("test.invalid:80");
+    expect(statistics.numberOfReceivedRequests).toEqual(1);
+    expect(statistics.bytesReceived).toEqual(60);
+  });
+
+  it("does not cache requests of other types", async function () {
+    tileCache = new TileCache({
+      name: name,
+      requestTypes: [RequestType.IMAGERY],
+    });
+    RequestScheduler.tileCache = tileCache;
+    const loadWithXhr = spyOnLoadWithXhr(createBuffer([1]));
+
+    const resource = new Resource({
+      url: "http://test.invalid/tiles/0.b3dm",
+    });
+    resource.request.type = RequestType.TILES3D;
+    await resource.fetchArrayBuffer();
+    await resource.fetchArrayBuffer();
+    expect(loadWithXhr.calls.count()).toEqual(2);
+    expect((await tileCache.getStatistics()).tileCount).toEqual(0);
+  });
+
+  it("serves requests only from the cache when offline", async function () {
+    tileCache = new TileCache({ name: name, offline: true });
+    RequestScheduler.tileCache = tileCache;
+    const loadWithXhr = spyOnLoadWithXhr(createBuffer([1]));
+    await tileCache.put("http://test.invalid/0.terrain", createBuffer([5]));
+
+    let resource = new Resource({ url: "http://test.invalid/0.terrain" });
+    resource.request.type = RequestType.TERRAIN;
+    const data = await resource.fetchArrayBuffer();
+    expect(new Uint8Array(data)).toEqual(new Uint8Array([5]));
+
+    resource = new Resource({ url: "http://test.invalid/1.terrain" });
+    resource.request.type = RequestType.TERRAIN;
+    await expectAsync(resource.fetchArrayBuffer()).toBeRejectedWithError(
+      /not in the tile cache/
+    );
+    expect(loadWithXhr).not.toHaveBeenCalled();
+  });
+
+  it("does not cache other requests by default", async function () {
+    tileCache = new TileCache({ name: name });
+    RequestScheduler.tileCache = tileCache;
+    const loadWithXhr = spyOnLoadWithXhr('{"a":1}');
+    const put = spyOn(tileCache, "put").and.callThrough();
+
+    await Resource.fetchJson({
+      url: "http://test.invalid/search?q=street",
+    });
+    await Resource.fetchJson({
+      url: "http://test.invalid/search?q=street",
+    });
+    expect(loadWithXhr.calls.count()).toEqual(2);
+    expect(put).not.toHaveBeenCalled();
+  });
+
+  it("serves other requests from the cache when the network is not available", async function () {
+    tileCache = new TileCache({
+      name: name,
+      requestTypes: [RequestType.OTHER],
+    });
+    RequestScheduler.tileCache = tileCache;
+    spyOnLoadWithXhr(new RequestErrorEvent());
+    await tileCache.put("http://test.invalid/layer.json", '{"a":1}');
+
+    const json = await Resource.fetchJson({
+      url: "http://test.invalid/layer.json",
+    });
+    expect(json).toEqual({ a: 1 });
+  });
+
+  it("does not serve other requests from the cache when the server responds with an error", async function () {
+    tileCache = new TileCache({
+      name: name,
+      requestTypes: [RequestType.OTHER],
+    });
+    RequestScheduler.tileCache = tileCache;
+    spyOnLoadWithXhr(new RequestErrorEvent(404));
+    await tileCache.put("http://test.invalid/layer.json", '{"a":1}');
+
+    await expectAsync(
+      Resource.fetchJson({
+        url: "http://test.invalid/layer.json",
+      })
+    ).toBeRejected();
+  });
+
+  function spyOnOpenWithError() {
+    return spyOn(indexedDB, "open").and.callFake(function () {
+      const openRequest = {
+        error: new Error("The database cannot be opened."),
+      };
+      setTimeout(function () {
+        openRequest.onerror();
+      }, 0);
+      return openRequest;
+    });
+  }
+
+  it("loads requests from the network when the database cannot be opened", async function () {
+    spyOnOpenWithError();
+    tileCache = new TileCache({ name: name });
+    RequestScheduler.tileCache = tileCache;
+    const loadWithXhr = spyOnLoadWithXhr(createBuffer([1, 2]));
+    await expectAsync(tileCache.getStatistics()).toBeRejected();
+
+    const resource = new Resource({
+      url: "http://test.invalid/terrain/0/0/0.terrain",
+    });
+    resource.request.type = RequestType.TERRAIN;
+    expect(tileCache._caches(resource, "GET", "arraybuffer")).toBe(false);
+    const data = await resource.fetchArrayBuffer();
+    expect(new Uint8Array(data)).toEqual(new Uint8Array([1, 2]));
+    expect(loadWithXhr.calls.count()).toEqual(1);
+  });
+
+  it("loads requests from the network while the database fails to open", async function () {
+    spyOnOpenWithError();
+    tileCache = new TileCache({ name: name });
+    RequestScheduler.tileCache = tileCache;
+    spyOnLoadWithXhr(createBuffer([3]));
+
+    const resource = new Resource({
+      url: "http://test.invalid/terrain/0/0/0.terrain",
+    });
+    resource.request.type = RequestType.TERRAIN;
+    const data = await resource.fetchArrayBuffer();
+    expect(new Uint8Array(data)).toEqual(new Uint8Array([3]));
+  });
+
+  it("rejects when the database is blocked", async function () {
+    spyOn(indexedDB, "open").and.callFake(function () {
+      const openRequest = {};
+      setTimeout(function () {
+        openRequest.onblocked();
+      }, 0);
+      return openRequest;
+    });
+    tileCache = new TileCache({ name: name });
+    await expectAsync(
+      tileCache.get("http://test.invalid/0.png")
+    ).toBeRejectedWithError(/blocked/);
+    expect(tileCache._databaseFailed).toBe(true);
+  });
+
+  it("seeds the tiles of an imagery provider", async function () {
+    tileCache = new TileCache({ name: name });
+    RequestScheduler.tileCache = tileCache;
+
+    const provider = {
+      tilingScheme: new GeographicTilingScheme(),
+      rectangle: Rectangle.MAX_VALUE,
+      minimumLevel: 0,
+      maximumLevel: 1,
+      requestImage: jasmine
+        .createSpy("requestImage")
+        .and.returnValue(Promise.resolve({})),
+    };
+    const progressCallback = jasmine.createSpy("progressCallback");
+
+    const failedTiles = await tileCache.seed(
+      provider,
+      Rectangle.fromDegrees(10.0, 10.0, 20.0, 20.0),
+      {
+        maximumLevel: 5,
+        progressCallback: progressCallback,
+      }
+    );
+    expect(failedTiles).toEqual(0);
+
+    // One tile at level 0 and one at level 1, as the provider has no more detailed levels
+    expect(provider.requestImage.calls.count()).toEqual(2);
+    expect(provider.requestImage.calls.argsFor(0).slice(0, 3)).toEqual([
+      1,
+      0,
+      0,
+    ]);
+    expect(provider.requestImage.calls.argsFor(1).slice(0, 3)).toEqual([
+      2,
+      0,
+      1,
+    ]);
+    expect(provider.requestImage.calls.argsFor(0)[3].type).toEqual(
+      RequestType.IMAGERY
+    );
+    expect(progressCallback).toHaveBeenCalledWith(2, 2);
+  });
+
+  it("seeds the available tiles of a terrain provider", async function () {
+    tileCache = new TileCache({ name: name });
+    RequestScheduler.tileCache = tileCache;
+
+    const provider = {
+      tilingScheme: new GeographicTilingScheme(),
+      getTileDataAvailable: function (x, y, level) {
+        return level === 0;
+      },
+      requestTileGeometry: jasmine
+        .createSpy("requestTileGeometry")
+        .and.returnValue(Promise.reject(new Error())),
+    };
+
+    const failedTiles = await tileCache.seed(
+      provider,
+      Rectangle.fromDegrees(-170.0, -10.0, 170.0, 10.0),
+      {
+        maximumLevel: 2,
+      }
+    );
+    expect(provider.requestTileGeometry.calls.count()).toEqual(2);
+    expect(provider.requestTileGeometry.calls.argsFor(0)[3].type).toEqual(
+      RequestType.TERRAIN
+    );
+    expect(failedTiles).toEqual(2);
+  });
+
+  it("seed throws when the cache is not assigned to the request scheduler", async function () {
+    tileCache = new TileCache({ name: name });
+    await expectAsync(
+      tileCache.seed({}, Rectangle.MAX_VALUE, { maximumLevel: 0 })
+    ).toBeRejectedWithDeveloperError();
+  });
+});
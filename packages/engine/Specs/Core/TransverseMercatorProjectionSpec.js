@@ -0,0 +1,137 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Ellipsoid,
+  TransverseMercatorProjection,
+} from "../../index.js";
+
+import { Math as CesiumMath } from "../../index.js";
+
+describe("Core/TransverseMercatorProjection", function () {
+  it("constructs with defaults", function () {
+    const projection = new TransverseMercatorProjection();
+    expect(projection.ellipsoid).toEqual(Ellipsoid.WGS84);
+    expect(projection.centralMeridian).toEqual(0.0);
+    expect(projection.latitudeOfOrigin).toEqual(0.0);
+    expect(projection.scaleFactor).toEqual(1.0);
+    expect(projection.falseEasting).toEqual(0.0);
+    expect(projection.falseNorthing).toEqual(0.0);
+  });
+
+  it("constructs with options", function () {
+    const projection = new TransverseMercatorProjection({
+      ellipsoid: Ellipsoid.UNIT_SPHERE,
+      centralMeridian: 1.0,
+      latitudeOfOrigin: 0.5,
+      scaleFactor: 0.9996,
+      falseEasting: 100.0,
+      falseNorthing: 200.0,
+    });
+    expect(projection.ellipsoid).toEqual(Ellipsoid.UNIT_SPHERE);
+    expect(projection.centralMeridian).toEqual(1.0);
+    expect(projection.latitudeOfOrigin).toEqual(0.5);
+    expect(projection.scaleFactor).toEqual(0.9996);
+    expect(projection.falseEasting).toEqual(100.0);
+    expect(projection.falseNorthing).toEqual(200.0);
+  });
+
+  it("fromUtmZone creates the projection of a zone", function () {
+    const north = TransverseMercatorProjection.fromUtmZone(33);
+    expect(north.centralMeridian).toEqualEpsilon(
+      CesiumMath.toRadians(15.0),
+      CesiumMath.EPSILON15
+    );
+    expect(north.scaleFactor).toEqual(0.9996);
+    expect(north.falseEasting).toEqual(500000.0);
+    expect(north.falseNorthing).toEqual(0.0);
+
+    const south = TransverseMercatorProjection.fromUtmZone(1, true);
+    expect(south.centralMeridian).toEqualEpsilon(
+      CesiumMath.toRadians(-177.0),
+      CesiumMath.EPSILON15
+    );
+    expect(south.falseNorthing).toEqual(10000000.0);
+  });
+
+  it("projects the origin to the false easting and northing", function () {
+    const projection = TransverseMercatorProjection.fromUtmZone(33);
+    expect(
+      projection.project(Cartographic.fromDegrees(15.0, 0.0, 10.0))
+    ).toEqualEpsilon(new Cartesian3(500000.0, 0.0, 10.0), CesiumMath.EPSILON9);
+  });
+
+  it("projects to UTM coordinates", function () {
+    const projection = TransverseMercatorProjection.fromUtmZone(33);
+    expect(
+      projection.project(Cartographic.fromDegrees(16.0, 50.0))
+    ).toEqualEpsilon(new Cartesian3(571666.4475, 5539109.8153, 0.0), 1.0e-3);
+  });
+
+  it("projects with a latitude of origin", function () {
+    // The British National Grid
+    const projection = new TransverseMercatorProjection({
+      ellipsoid: new Ellipsoid(6377563.396, 6377563.396, 6356256.909),
+      centralMeridian: CesiumMath.toRadians(-2.0),
+      latitudeOfOrigin: CesiumMath.toRadians(49.0),
+      scaleFactor: 0.9996012717,
+      falseEasting: 400000.0,
+      falseNorthing: -100000.0,
+    });
+    expect(
+      projection.project(Cartographic.fromDegrees(-2.0, 49.0))
+    ).toEqualEpsilon(new Cartesian3(400000.0, -100000.0, 0.0), 1.0e-6);
+  });
+
+  it("uses result parameter", function () {
+    const projection = new TransverseMercatorProjection();
+    const result = new Cartesian3();
+    const returned = projection.project(
+      Cartographic.fromDegrees(1.0, 2.0),
+      result
+    );
+    expect(returned).toBe(result);
+
+    const cartographicResult = new Cartographic();
+    const unprojected = projection.unproject(result, cartographicResult);
+    expect(unprojected).toBe(cartographicResult);
+  });
+
+  it("unprojects what it projects", function () {
+    const projection = TransverseMercatorProjection.fromUtmZone(60, true);
+    const cartographic = Cartographic.fromDegrees(178.5, -40.0, 25.0);
+    const unprojected = projection.unproject(projection.project(cartographic));
+    expect(unprojected).toEqualEpsilon(cartographic, CesiumMath.EPSILON9);
+  });
+
+  it("unprojects with a default height of zero", function () {
+    const projection = new TransverseMercatorProjection();
+    const unprojected = projection.unproject({ x: 0.0, y: 0.0 });
+    expect(unprojected).toEqualEpsilon(
+      new Cartographic(0.0, 0.0, 0.0),
+      CesiumMath.EPSILON15
+    );
+  });
+
+  it("throws without cartographic", function () {
+    const projection = new TransverseMercatorProjection();
+    expect(function () {
+      return projection.project();
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without cartesian", function () {
+    const projection = new TransverseMercatorProjection();
+    expect(function () {
+      return projection.unproject();
+    }).toThrowDeveloperError();
+  });
+
+  it("fromUtmZone throws with an invalid zone", function () {
+    expect(function () {
+      return TransverseMercatorProjection.fromUtmZone(0);
+    }).toThrowDeveloperError();
+    expect(function () {
+      return TransverseMercatorProjection.fromUtmZone(61);
+    }).toThrowDeveloperError();
+  });
+});
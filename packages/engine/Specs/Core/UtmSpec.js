@@ -0,0 +1,196 @@
+import { Cartographic, Utm } from "../../index.js";
+
+import { Math as CesiumMath } from "../../index.js";
+
+describe("Core/Utm", function () {
+  it("computeZone computes the zone of a position", function () {
+    expect(Utm.computeZone(Cartographic.fromDegrees(-180.0, 0.0))).toEqual(1);
+    expect(Utm.computeZone(Cartographic.fromDegrees(-177.0, 0.0))).toEqual(1);
+    expect(Utm.computeZone(Cartographic.fromDegrees(0.0, 0.0))).toEqual(31);
+    expect(Utm.computeZone(Cartographic.fromDegrees(15.0, 50.0))).toEqual(33);
+    expect(Utm.computeZone(Cartographic.fromDegrees(179.9, 0.0))).toEqual(60);
+    expect(Utm.computeZone(Cartographic.fromDegrees(180.0, 0.0))).toEqual(1);
+  });
+
+  it("computeZone computes the zones of southwest Norway and Svalbard", function () {
+    expect(Utm.computeZone(Cartographic.fromDegrees(5.0, 60.0))).toEqual(32);
+    expect(Utm.computeZone(Cartographic.fromDegrees(5.0, 66.0))).toEqual(31);
+    expect(Utm.computeZone(Cartographic.fromDegrees(8.0, 78.0))).toEqual(31);
+    expect(Utm.computeZone(Cartographic.fromDegrees(15.0, 78.0))).toEqual(33);
+    expect(Utm.computeZone(Cartographic.fromDegrees(25.0, 78.0))).toEqual(35);
+    expect(Utm.computeZone(Cartographic.fromDegrees(40.0, 78.0))).toEqual(37);
+  });
+
+  it("fromCartographic converts to UTM coordinates", function () {
+    const utm = Utm.fromCartographic(Cartographic.fromDegrees(16.0, 50.0));
+    expect(utm.zone).toEqual(33);
+    expect(utm.southernHemisphere).toBe(false);
+    expect(utm.easting).toEqualEpsilon(571666.4475, 1.0e-3);
+    expect(utm.northing).toEqualEpsilon(5539109.8153, 1.0e-3);
+
+    const result = {};
+    expect(
+      Utm.fromCartographic(Cartographic.fromDegrees(15.0, -30.0), result)
+    ).toBe(result);
+    expect(result.zone).toEqual(33);
+    expect(result.southernHemisphere).toBe(true);
+    expect(result.easting).toEqualEpsilon(500000.0, 1.0e-6);
+    expect(result.northing).toBeLessThan(10000000.0);
+  });
+
+  it("toCartographic converts from UTM coordinates", function () {
+    const cartographic = Cartographic.fromDegrees(-70.5, -45.25);
+    const utm = Utm.fromCartographic(cartographic);
+    const result = new Cartographic();
+    expect(
+      Utm.toCartographic(
+        utm.zone,
+        utm.southernHemisphere,
+        utm.easting,
+        utm.northing,
+        result
+      )
+    ).toBe(result);
+    expect(result).toEqualEpsilon(cartographic, CesiumMath.EPSILON10);
+  });
+
+  it("parse takes the hemisphere from the latitude band", function () {
+    expect(Utm.parse("33N 571666.4475 5539109.8153")).toEqualEpsilon(
+      Cartographic.fromDegrees(16.0, 50.0),
+      CesiumMath.EPSILON10
+    );
+    expect(Utm.parse(" 33 u, 571666.4475mE, 5539109.8153mN ")).toEqualEpsilon(
+      Cartographic.fromDegrees(16.0, 50.0),
+      CesiumMath.EPSILON10
+    );
+
+    const southern = Utm.fromCartographic(
+      Cartographic.fromDegrees(15.0, -30.0)
+    );
+    expect(
+      Utm.parse(`33M ${southern.easting} ${southern.northing}`)
+    ).toEqualEpsilon(
+      Cartographic.fromDegrees(15.0, -30.0),
+      CesiumMath.EPSILON10
+    );
+  });
+
+  it("parse parses band S as a northern band", function () {
+    const result = Utm.parse("18S 323480 4306470");
+    expect(result).toEqualEpsilon(
+      Utm.toCartographic(18, false, 323480.0, 4306470.0),
+      CesiumMath.EPSILON10
+    );
+    expect(CesiumMath.toDegrees(result.latitude)).toEqualEpsilon(
+      38.8895,
+      1.0e-3
+    );
+    expect(CesiumMath.toDegrees(result.longitude)).toEqualEpsilon(
+      -77.0352,
+      1.0e-3
+    );
+  });
+
+  it("parse parses UTM coordinates with a latitude band", function () {
+    expect(Utm.parse("33U 571666.4475 5539109.8153")).toEqualEpsilon(
+      Cartographic.fromDegrees(16.0, 50.0),
+      CesiumMath.EPSILON10
+    );
+    const southern = Utm.fromCartographic(
+      Cartographic.fromDegrees(15.0, -30.0)
+    );
+    expect(
+      Utm.parse(`33J ${southern.easting} ${southern.northing}`)
+    ).toEqualEpsilon(
+      Cartographic.fromDegrees(15.0, -30.0),
+      CesiumMath.EPSILON10
+    );
+  });
+
+  it("parse returns undefined for invalid UTM coordinates", function () {
+    expect(Utm.parse("")).toBeUndefined();
+    expect(Utm.parse("33 571666 5539110")).toBeUndefined();
+    expect(Utm.parse("61N 571666 5539110")).toBeUndefined();
+    expect(Utm.parse("0N 571666 5539110")).toBeUndefined();
+    expect(Utm.parse("33I 571666 5539110")).toBeUndefined();
+    expect(Utm.parse("33N 571666 10000001")).toBeUndefined();
+    expect(Utm.parse("33N 571666")).toBeUndefined();
+    expect(Utm.parse("1.0 2.0")).toBeUndefined();
+  });
+
+  it("format formats UTM coordinates", function () {
+    const cartographic = Cartographic.fromDegrees(16.0, 50.0);
+    expect(Utm.format(cartographic)).toEqual("33U 571666 5539110");
+    expect(Utm.format(cartographic, 2)).toEqual("33U 571666.45 5539109.82");
+    expect(Utm.format(Cartographic.fromDegrees(15.0, -30.0))).toMatch(
+      /^33J 500000 \d{7}$/
+    );
+  });
+
+  it("format uses the southernmost or northernmost band beyond the bands", function () {
+    expect(Utm.format(Cartographic.fromDegrees(15.0, -82.0))).toMatch(/^33C /);
+    expect(Utm.format(Cartographic.fromDegrees(15.0, 85.0))).toMatch(/^33X /);
+  });
+
+  it("parse returns what format formats", function () {
+    const positions = [
+      Cartographic.fromDegrees(-77.0352, 38.8895),
+      Cartographic.fromDegrees(151.2093, -33.8688),
+      Cartographic.fromDegrees(15.0, -82.0),
+    ];
+    for (let i = 0; i < positions.length; ++i) {
+      expect(Utm.parse(Utm.format(positions[i], 6))).toEqualEpsilon(
+        positions[i],
+        CesiumMath.EPSILON9
+      );
+    }
+  });
+
+  it("computeLatitudeBand computes the latitude band of a position", function () {
+    expect(
+      Utm.computeLatitudeBand(Cartographic.fromDegrees(0.0, -80.0))
+    ).toEqual("C");
+    expect(
+      Utm.computeLatitudeBand(Cartographic.fromDegrees(0.0, -0.1))
+    ).toEqual("M");
+    expect(Utm.computeLatitudeBand(Cartographic.fromDegrees(0.0, 0.0))).toEqual(
+      "N"
+    );
+    expect(
+      Utm.computeLatitudeBand(Cartographic.fromDegrees(0.0, 38.9))
+    ).toEqual("S");
+    expect(
+      Utm.computeLatitudeBand(Cartographic.fromDegrees(0.0, 84.0))
+    ).toEqual("X");
+    expect(
+      Utm.computeLatitudeBand(Cartographic.fromDegrees(0.0, -80.1))
+    ).toBeUndefined();
+    expect(
+      Utm.computeLatitudeBand(Cartographic.fromDegrees(0.0, 84.1))
+    ).toBeUndefined();
+  });
+
+  it("throws without required arguments", function () {
+    expect(function () {
+      return Utm.computeZone();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return Utm.computeLatitudeBand();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return Utm.fromCartographic();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return Utm.toCartographic(61, false, 0.0, 0.0);
+    }).toThrowDeveloperError();
+    expect(function () {
+      return Utm.toCartographic(33, undefined, 0.0, 0.0);
+    }).toThrowDeveloperError();
+    expect(function () {
+      return Utm.parse();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return Utm.format();
+    }).toThrowDeveloperError();
+  });
+});
@@ -0,0 +1,165 @@
+import {
+  computeContourLines,
+  Math as CesiumMath,
+  Rectangle,
+} from "../../index.js";
+
+describe("Core/computeContourLines", function () {
+  const rectangle = Rectangle.fromDegrees(0.0, 0.0, 0.04, 0.04);
+
+  // A 5x5 grid with a hill that rises 10 meters with each step toward the center
+  // prettier-ignore
+  const hill = [
+    0, 0, 0, 0, 0,
+    0, 10, 10, 10, 0,
+    0, 10, 20, 10, 0,
+    0, 10, 10, 10, 0,
+    0, 0, 0, 0, 0,
+  ];
+
+  // A 3x3 grid that rises 10 meters with each step to the east
+  const slope = [0, 10, 20, 0, 10, 20, 0, 10, 20];
+
+  it("throws without required options", function () {
+    expect(function () {
+      return computeContourLines();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return computeContourLines({
+        heights: slope,
+        width: 3,
+        height: 3,
+        rectangle: rectangle,
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return computeContourLines({
+        heights: slope,
+        width: 3,
+        height: 2,
+        rectangle: rectangle,
+        interval: 10.0,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("computes closed lines around a hill", function () {
+    const lines = computeContourLines({
+      heights: hill,
+      width: 5,
+      height: 5,
+      rectangle: rectangle,
+      interval: 5.0,
+    });
+
+    // The line at the height of the top of the hill collapses to a point and is skipped
+    expect(
+      lines.map(function (line) {
+        return line.height;
+      })
+    ).toEqual([5.0, 10.0, 15.0]);
+    const line = lines[0];
+    expect(line.closed).toBe(true);
+    expect(line.positions[0]).toEqual(
+      line.positions[line.positions.length - 1]
+    );
+
+    // The 5 meter line is halfway between the edge of the grid and the ring of 10 meter heights
+    for (let i = 0; i < line.positions.length; ++i) {
+      const position = line.positions[i];
+      expect(position.height).toEqual(5.0);
+      const longitude = CesiumMath.toDegrees(position.longitude);
+      const latitude = CesiumMath.toDegrees(position.latitude);
+      const distance = Math.max(
+        Math.abs(longitude - 0.02),
+        Math.abs(latitude - 0.02)
+      );
+      expect(distance).toBeGreaterThan(0.01 - CesiumMath.EPSILON10);
+      expect(distance).toBeLessThan(0.015 + CesiumMath.EPSILON10);
+    }
+  });
+
+  it("computes open lines that end at the edges of the grid", function () {
+    const lines = computeContourLines({
+      heights: slope,
+      width: 3,
+      height: 3,
+      rectangle: rectangle,
+      levels: [15.0, 5.0],
+    });
+
+    expect(lines.length).toBe(2);
+    expect(lines[0].height).toEqual(5.0);
+    expect(lines[1].height).toEqual(15.0);
+    expect(lines[0].closed).toBe(false);
+    expect(lines[0].positions.length).toBe(3);
+    for (let i = 0; i < lines[0].positions.length; ++i) {
+      expect(lines[0].positions[i].longitude).toEqualEpsilon(
+        CesiumMath.toRadians(0.01),
+        CesiumMath.EPSILON12
+      );
+    }
+    expect(lines[0].positions[0].latitude).not.toEqual(
+      lines[0].positions[2].latitude
+    );
+  });
+
+  it("uses the base height to place lines", function () {
+    const lines = computeContourLines({
+      heights: slope,
+      width: 3,
+      height: 3,
+      rectangle: rectangle,
+      interval: 10.0,
+      base: 2.5,
+    });
+    expect(
+      lines.map(function (line) {
+        return line.height;
+      })
+    ).toEqual([2.5, 12.5]);
+  });
+
+  it("splits lines at heights that are not defined", function () {
+    const heights = slope.slice();
+    heights[4] = NaN;
+    const lines = computeContourLines({
+      heights: heights,
+      width: 3,
+      height: 3,
+      rectangle: rectangle,
+      levels: [5.0],
+    });
+
+    // Every cell has a corner without a height
+    expect(lines.length).toBe(0);
+
+    const longSlope = [0, 10, 20, 0, 10, 20, 0, 10, 20, 0, 10, 20, 0, 10, 20];
+    longSlope[7] = undefined;
+    const splitLines = computeContourLines({
+      heights: longSlope,
+      width: 3,
+      height: 5,
+      rectangle: rectangle,
+      levels: [15.0],
+    });
+    expect(splitLines.length).toBe(2);
+    expect(splitLines[0].closed).toBe(false);
+    expect(splitLines[1].closed).toBe(false);
+  });
+
+  it("resolves saddle cells with the average height", function () {
+    const lines = computeContourLines({
+      heights: [10, 0, 0, 10],
+      width: 2,
+      height: 2,
+      rectangle: rectangle,
+      levels: [4.0],
+    });
+
+    // The average is above the level, so the corners above it are connected and the lines cut off the corners below it
+    expect(lines.length).toBe(2);
+    expect(lines[0].positions.length).toBe(2);
+    expect(lines[1].positions.length).toBe(2);
+  });
+});
@@ -0,0 +1,190 @@
+import {
+  Cartesian3,
+  Cartographic,
+  computeGeodesicBuffer,
+  CornerType,
+  Ellipsoid,
+  EllipsoidGeodesic,
+  Math as CesiumMath,
+  PolygonHierarchy,
+} from "../../index.js";
+
+describe("Core/computeGeodesicBuffer", function () {
+  function computeDistances(positions, center) {
+    const geodesic = new EllipsoidGeodesic();
+    const centerCartographic = Cartographic.fromCartesian(center);
+    return positions.map(function (position) {
+      geodesic.setEndPoints(
+        centerCartographic,
+        Cartographic.fromCartesian(position)
+      );
+      return geodesic.surfaceDistance;
+    });
+  }
+
+  const square = new PolygonHierarchy(
+    Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 0.0, 1.0, 1.0, 0.0, 1.0])
+  );
+  const line = Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 0.0, 1.0, 1.0]);
+
+  it("throws without a shape", function () {
+    expect(function () {
+      return computeGeodesicBuffer(undefined, 1.0);
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without a distance", function () {
+    expect(function () {
+      return computeGeodesicBuffer(square);
+    }).toThrowDeveloperError();
+  });
+
+  it("computes a circle around a position", function () {
+    const center = Cartesian3.fromDegrees(10.0, 50.0);
+    const result = computeGeodesicBuffer(center, 1000.0);
+    expect(result.length).toEqual(1);
+    expect(result[0]).toBeInstanceOf(PolygonHierarchy);
+    expect(result[0].holes).toEqual([]);
+    expect(result[0].positions.length).toEqual(72);
+
+    const distances = computeDistances(result[0].positions, center);
+    for (let i = 0; i < distances.length; ++i) {
+      expect(distances[i]).toEqualEpsilon(1000.0, CesiumMath.EPSILON4);
+    }
+  });
+
+  it("uses the corner granularity for circles", function () {
+    const result = computeGeodesicBuffer(
+      Cartesian3.fromDegrees(10.0, 50.0),
+      1000.0,
+      {
+        cornerGranularity: CesiumMath.toRadians(30.0),
+      }
+    );
+    expect(result[0].positions.length).toEqual(12);
+  });
+
+  it("returns no polygons for a position or polyline with a negative distance", function () {
+    expect(
+      computeGeodesicBuffer(Cartesian3.fromDegrees(10.0, 50.0), -1000.0)
+    ).toEqual([]);
+    expect(computeGeodesicBuffer(line, -1000.0)).toEqual([]);
+  });
+
+  it("computes the area around a polyline", function () {
+    const distance = 10000.0;
+    const result = computeGeodesicBuffer(line, distance);
+    expect(result.length).toEqual(1);
+
+    const geodesic = new EllipsoidGeodesic();
+    let length = 0.0;
+    for (let i = 0; i < line.length - 1; ++i) {
+      geodesic.setEndPoints(
+        Cartographic.fromCartesian(line[i]),
+        Cartographic.fromCartesian(line[i + 1])
+      );
+      length += geodesic.surfaceDistance;
+    }
+
+    // The sides of the polyline and the rounded ends and corner add up to a circle
+    const expectedArea =
+      2.0 * distance * length + Math.PI * distance * distance;
+    const area = PolygonHierarchy.computeArea(result[0]);
+    expect(area).toEqualEpsilon(expectedArea, expectedArea * 0.01);
+
+    expect(
+      PolygonHierarchy.contains(result[0], Cartesian3.fromDegrees(0.5, 0.05))
+    ).toBe(true);
+    expect(
+      PolygonHierarchy.contains(result[0], Cartesian3.fromDegrees(-0.05, 0.0))
+    ).toBe(true);
+    expect(
+      PolygonHierarchy.contains(result[0], Cartesian3.fromDegrees(0.5, 0.1))
+    ).toBe(false);
+  });
+
+  it("computes the area around a polyline with flat ends", function () {
+    const mitered = computeGeodesicBuffer(line, 10000.0, {
+      cornerType: CornerType.MITERED,
+    });
+    const beveled = computeGeodesicBuffer(line, 10000.0, {
+      cornerType: CornerType.BEVELED,
+    });
+    expect(mitered.length).toEqual(1);
+    expect(beveled.length).toEqual(1);
+
+    // A mitered corner is a square, and a beveled corner is half of it
+    const corner = Cartesian3.fromDegrees(1.085, -0.085);
+    expect(PolygonHierarchy.contains(mitered[0], corner)).toBe(true);
+    expect(PolygonHierarchy.contains(beveled[0], corner)).toBe(false);
+    const difference =
+      PolygonHierarchy.computeArea(mitered[0]) -
+      PolygonHierarchy.computeArea(beveled[0]);
+    expect(difference).toEqualEpsilon(0.5e8, 0.5e8 * 0.01);
+
+    expect(
+      PolygonHierarchy.contains(mitered[0], Cartesian3.fromDegrees(-0.05, 0.0))
+    ).toBe(false);
+  });
+
+  it("expands a polygon", function () {
+    const result = computeGeodesicBuffer(square, 5000.0);
+    expect(result.length).toEqual(1);
+    expect(
+      PolygonHierarchy.contains(result[0], Cartesian3.fromDegrees(-0.04, 0.5))
+    ).toBe(true);
+    expect(
+      PolygonHierarchy.contains(result[0], Cartesian3.fromDegrees(-0.05, 0.5))
+    ).toBe(false);
+    expect(PolygonHierarchy.computeArea(result[0])).toBeGreaterThan(
+      PolygonHierarchy.computeArea(square)
+    );
+  });
+
+  it("shrinks a polygon", function () {
+    const result = computeGeodesicBuffer(square, -5000.0);
+    expect(result.length).toEqual(1);
+    expect(result[0].positions.length).toEqual(4);
+    expect(
+      PolygonHierarchy.contains(result[0], Cartesian3.fromDegrees(0.05, 0.5))
+    ).toBe(true);
+    expect(
+      PolygonHierarchy.contains(result[0], Cartesian3.fromDegrees(0.04, 0.5))
+    ).toBe(false);
+  });
+
+  it("removes a polygon that is shrunk by more than its size", function () {
+    expect(computeGeodesicBuffer(square, -100000.0)).toEqual([]);
+  });
+
+  it("shrinks the holes of an expanded polygon", function () {
+    const hole = new PolygonHierarchy(
+      Cartesian3.fromDegreesArray([0.3, 0.3, 0.7, 0.3, 0.7, 0.7, 0.3, 0.7])
+    );
+    const polygon = new PolygonHierarchy(square.positions, [hole]);
+
+    let result = computeGeodesicBuffer(polygon, 5000.0);
+    expect(result.length).toEqual(1);
+    expect(result[0].holes.length).toEqual(1);
+    expect(
+      PolygonHierarchy.contains(result[0], Cartesian3.fromDegrees(0.34, 0.5))
+    ).toBe(true);
+
+    result = computeGeodesicBuffer(polygon, 30000.0);
+    expect(result.length).toEqual(1);
+    expect(result[0].holes).toEqual([]);
+  });
+
+  it("uses the ellipsoid", function () {
+    const ellipsoid = new Ellipsoid(1000.0, 1000.0, 1000.0);
+    const center = new Cartesian3(1000.0, 0.0, 0.0);
+    const result = computeGeodesicBuffer(center, 100.0, {
+      ellipsoid: ellipsoid,
+    });
+    const area = PolygonHierarchy.computeArea(result[0], ellipsoid);
+    // The area of a spherical cap, approximated by a polygon with 72 sides
+    const expectedArea =
+      2.0 * Math.PI * 1000.0 * 1000.0 * (1.0 - Math.cos(0.1));
+    expect(area).toEqualEpsilon(expectedArea, expectedArea * 0.01);
+  });
+});
@@ -0,0 +1,34 @@
+import { Cartographic, contourLinesToGeoJson } from "../../index.js";
+
+describe("Core/contourLinesToGeoJson", function () {
+  it("throws without contour lines", function () {
+    expect(function () {
+      return contourLinesToGeoJson();
+    }).toThrowDeveloperError();
+  });
+
+  it("converts contour lines to LineString features", function () {
+    const geoJson = contourLinesToGeoJson([
+      {
+        height: 100.0,
+        positions: [
+          Cartographic.fromDegrees(1.0, 2.0, 100.0),
+          Cartographic.fromDegrees(3.0, 4.0, 100.0),
+        ],
+        closed: false,
+      },
+    ]);
+
+    expect(geoJson.type).toEqual("FeatureCollection");
+    expect(geoJson.features.length).toBe(1);
+    const feature = geoJson.features[0];
+    expect(feature.type).toEqual("Feature");
+    expect(feature.properties).toEqual({ height: 100.0 });
+    expect(feature.geometry.type).toEqual("LineString");
+    expect(feature.geometry.coordinates[0][0]).toEqualEpsilon(1.0, 1e-12);
+    expect(feature.geometry.coordinates[0][1]).toEqualEpsilon(2.0, 1e-12);
+    expect(feature.geometry.coordinates[0][2]).toEqual(100.0);
+    expect(feature.geometry.coordinates[1][0]).toEqualEpsilon(3.0, 1e-12);
+    expect(feature.geometry.coordinates[1][1]).toEqualEpsilon(4.0, 1e-12);
+  });
+});
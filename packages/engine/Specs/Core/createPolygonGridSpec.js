@@ -0,0 +1,89 @@
+import {
+  Cartesian3,
+  createPolygonGrid,
+  Math as CesiumMath,
+  PolygonHierarchy,
+} from "../../index.js";
+
+describe("Core/createPolygonGrid", function () {
+  // About 1113 meters on each side at the equator
+  const positions = Cartesian3.fromDegreesArray([
+    0.0,
+    0.0,
+    0.01,
+    0.0,
+    0.01,
+    0.01,
+    0.0,
+    0.01,
+  ]);
+  const side = CesiumMath.toRadians(0.01) * 6378137.0;
+
+  it("throws without a polygon hierarchy", function () {
+    expect(function () {
+      return createPolygonGrid();
+    }).toThrowDeveloperError();
+  });
+
+  it("places positions inside the polygon", function () {
+    const grid = createPolygonGrid(new PolygonHierarchy(positions));
+    const cartographics = grid.cartographics;
+    expect(cartographics.length * grid.cellArea).toEqualEpsilon(
+      side * side,
+      side * side * 0.02
+    );
+    for (let i = 0; i < cartographics.length; ++i) {
+      const cartographic = cartographics[i];
+      expect(cartographic.height).toBe(0.0);
+      expect(cartographic.longitude).toBeGreaterThan(0.0);
+      expect(cartographic.longitude).toBeLessThan(CesiumMath.toRadians(0.01));
+      expect(cartographic.latitude).toBeGreaterThan(0.0);
+      expect(cartographic.latitude).toBeLessThan(CesiumMath.toRadians(0.01));
+    }
+  });
+
+  it("uses the spacing", function () {
+    const grid = createPolygonGrid(new PolygonHierarchy(positions), {
+      spacing: 100.0,
+    });
+    expect(grid.cellArea).toEqual(100.0 * 100.0);
+    expect(grid.cartographics.length).toBeGreaterThanOrEqual(11 * 11);
+    expect(grid.cartographics.length).toBeLessThanOrEqual(12 * 12);
+
+    const coarse = createPolygonGrid(new PolygonHierarchy(positions), {
+      cellCount: 16,
+    });
+    expect(coarse.cartographics.length).toBeLessThanOrEqual(16);
+  });
+
+  it("excludes holes and includes islands in holes", function () {
+    const hole = Cartesian3.fromDegreesArray([
+      0.002,
+      0.002,
+      0.008,
+      0.002,
+      0.008,
+      0.008,
+      0.002,
+      0.008,
+    ]);
+    const island = Cartesian3.fromDegreesArray([
+      0.004,
+      0.004,
+      0.006,
+      0.004,
+      0.006,
+      0.006,
+      0.004,
+      0.006,
+    ]);
+    const grid = createPolygonGrid(
+      new PolygonHierarchy(positions, [
+        new PolygonHierarchy(hole, [new PolygonHierarchy(island)]),
+      ])
+    );
+    const area = grid.cartographics.length * grid.cellArea;
+    const expected = side * side * (1.0 - 0.36 + 0.04);
+    expect(area).toEqualEpsilon(expected, side * side * 0.02);
+  });
+});
@@ -0,0 +1,239 @@
+import {
+  decodeGeoTiffTile,
+  GeoTiff,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+} from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Core/decodeGeoTiffTile", function () {
+  // Values that do not compress well, so LZW codes grow to their maximum length
+  function noise(x, y, sample) {
+    return (
+      (((x * 73856093) ^ (y * 19349663) ^ (sample * 83492791)) >>> 0) % 251
+    );
+  }
+
+  async function decodeFirstTile(options) {
+    options = Object.assign(
+      {
+        width: 32,
+        height: 32,
+        origin: [0.0, 0.0],
+        resolution: [1.0, 1.0],
+        getValue: noise,
+      },
+      options
+    );
+    BinaryFormatTester.serveFile(BinaryFormatTester.createGeoTiff(options));
+
+    const geoTiff = await GeoTiff.fromUrl("made/up/image.tif");
+    const image = geoTiff.images[0];
+    const tiles = await geoTiff.requestTiles(image, [0]);
+    return decodeGeoTiffTile(
+      new Uint8Array(tiles[0]),
+      image.getDecodeOptions()
+    );
+  }
+
+  function expectSamples(result, options) {
+    const tileWidth = options.tileWidth;
+    const samplesPerPixel = options.samplesPerPixel;
+    expect(result.samplesPerPixel).toBe(samplesPerPixel);
+    expect(result.samples.length).toBe(
+      tileWidth * options.tileHeight * samplesPerPixel
+    );
+
+    for (let y = 0; y < options.tileHeight; ++y) {
+      for (let x = 0; x < tileWidth; ++x) {
+        for (let s = 0; s < samplesPerPixel; ++s) {
+          const actual =
+            result.samples[(y * tileWidth + x) * samplesPerPixel + s];
+          const expected = options.getValue(x, y, s);
+          if (actual !== expected) {
+            // Report only the first mismatch
+            expect(`(${x}, ${y}, ${s}): ${actual}`).toEqual(
+              `(${x}, ${y}, ${s}): ${expected}`
+            );
+            return;
+          }
+        }
+      }
+    }
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("decodes uncompressed tiles", async function () {
+    const options = {
+      tileWidth: 16,
+      tileHeight: 16,
+      samplesPerPixel: 3,
+      photometric: 2,
+      getValue: noise,
+    };
+    const result = await decodeFirstTile(options);
+    expect(result.samples).toBeInstanceOf(Uint8Array);
+    expectSamples(result, options);
+  });
+
+  it("decodes LZW compressed tiles", async function () {
+    // Large enough for the code table to be cleared
+    const options = {
+      width: 128,
+      height: 128,
+      tileWidth: 128,
+      tileHeight: 128,
+      samplesPerPixel: 1,
+      compression: GeoTiff.Compression.LZW,
+      getValue: noise,
+    };
+    const result = await decodeFirstTile(options);
+    expectSamples(result, options);
+  });
+
+  it("decodes LZW compressed tiles with repeated values", async function () {
+    const options = {
+      tileWidth: 32,
+      tileHeight: 32,
+      samplesPerPixel: 1,
+      compression: GeoTiff.Compression.LZW,
+      getValue: function (x, y) {
+        return x < 20 ? 7 : y;
+      },
+    };
+    const result = await decodeFirstTile(options);
+    expectSamples(result, options);
+  });
+
+  it("decodes deflate compressed tiles", async function () {
+    const options = {
+      tileWidth: 16,
+      tileHeight: 16,
+      samplesPerPixel: 4,
+      photometric: 2,
+      compression: GeoTiff.Compression.DEFLATE,
+      getValue: noise,
+    };
+    const result = await decodeFirstTile(options);
+    expectSamples(result, options);
+  });
+
+  it("decodes PackBits compressed tiles", async function () {
+    const options = {
+      tileWidth: 16,
+      tileHeight: 16,
+      samplesPerPixel: 1,
+      compression: GeoTiff.Compression.PACKBITS,
+      getValue: function (x, y) {
+        return x < 8 ? 100 : noise(x, y, 0);
+      },
+    };
+    const result = await decodeFirstTile(options);
+    expectSamples(result, options);
+  });
+
+  it("decodes big endian signed samples", async function () {
+    const options = {
+      tileWidth: 16,
+      tileHeight: 16,
+      samplesPerPixel: 1,
+      bitsPerSample: 16,
+      sampleFormat: 2,
+      littleEndian: false,
+      getValue: function (x, y) {
+        return (x - 8) * 1000 + y;
+      },
+    };
+    const result = await decodeFirstTile(options);
+    expect(result.samples).toBeInstanceOf(Int16Array);
+    expectSamples(result, options);
+  });
+
+  it("undoes horizontal differencing", async function () {
+    const options = {
+      tileWidth: 16,
+      tileHeight: 16,
+      samplesPerPixel: 2,
+      bitsPerSample: 16,
+      littleEndian: false,
+      compression: GeoTiff.Compression.LZW,
+      predictor: 2,
+      getValue: function (x, y, sample) {
+        return sample === 0 ? x * 4000 + y : 65535 - x * y;
+      },
+    };
+    const result = await decodeFirstTile(options);
+    expect(result.samples).toBeInstanceOf(Uint16Array);
+    expectSamples(result, options);
+  });
+
+  it("undoes the floating point predictor", async function () {
+    const getValue = function (x, y) {
+      return Math.fround(1234.5 + x * 0.25 - y * 3.0);
+    };
+    const littleEndian = {
+      tileWidth: 16,
+      tileHeight: 16,
+      samplesPerPixel: 1,
+      bitsPerSample: 32,
+      sampleFormat: 3,
+      compression: GeoTiff.Compression.DEFLATE,
+      predictor: 3,
+      getValue: getValue,
+    };
+    let result = await decodeFirstTile(littleEndian);
+    expect(result.samples).toBeInstanceOf(Float32Array);
+    expectSamples(result, littleEndian);
+
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+    const bigEndian = Object.assign({}, littleEndian, {
+      littleEndian: false,
+    });
+    result = await decodeFirstTile(bigEndian);
+    expectSamples(result, bigEndian);
+  });
+
+  it("rejects unsupported compression", async function () {
+    await expectAsync(
+      decodeGeoTiffTile(new Uint8Array(16), {
+        tileWidth: 2,
+        tileHeight: 2,
+        samplesPerPixel: 1,
+        bitsPerSample: 8,
+        sampleFormat: 1,
+        compression: 34712,
+        predictor: 1,
+        littleEndian: true,
+      })
+    ).toBeRejectedWithError(
+      RuntimeError,
+      "Unsupported GeoTIFF compression: 34712"
+    );
+  });
+
+  it("rejects unsupported sample formats", async function () {
+    await expectAsync(
+      decodeGeoTiffTile(new Uint8Array(16), {
+        tileWidth: 2,
+        tileHeight: 2,
+        samplesPerPixel: 1,
+        bitsPerSample: 1,
+        sampleFormat: 1,
+        compression: 1,
+        predictor: 1,
+        littleEndian: true,
+      })
+    ).toBeRejectedWithError(RuntimeError);
+  });
+});
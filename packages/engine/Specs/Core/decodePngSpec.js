@@ -0,0 +1,170 @@
+import { decodePng, RuntimeError } from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Core/decodePng", function () {
+  function rgba(x, y) {
+    return [x * 16, y * 16, (x * 7 + y * 13) % 256, 255 - x];
+  }
+
+  function expectPixels(image, getPixel) {
+    for (let y = 0; y < image.height; ++y) {
+      for (let x = 0; x < image.width; ++x) {
+        const offset = (y * image.width + x) * 4;
+        expect(Array.from(image.pixels.subarray(offset, offset + 4))).toEqual(
+          getPixel(x, y)
+        );
+      }
+    }
+  }
+
+  it("decodes RGBA images", function () {
+    const image = decodePng(
+      BinaryFormatTester.createPng({
+        width: 5,
+        height: 3,
+        getPixel: rgba,
+      })
+    );
+    expect(image.width).toEqual(5);
+    expect(image.height).toEqual(3);
+    expect(image.pixels.length).toEqual(5 * 3 * 4);
+    expectPixels(image, rgba);
+  });
+
+  it("decodes RGB images", function () {
+    const image = decodePng(
+      BinaryFormatTester.createPng({
+        width: 4,
+        height: 4,
+        colorType: 2,
+        getPixel: rgba,
+      })
+    );
+    expectPixels(image, function (x, y) {
+      const pixel = rgba(x, y);
+      pixel[3] = 255;
+      return pixel;
+    });
+  });
+
+  it("decodes grayscale images", function () {
+    const image = decodePng(
+      BinaryFormatTester.createPng({
+        width: 3,
+        height: 2,
+        colorType: 4,
+        getPixel: function (x, y) {
+          return [x * 100, y * 100];
+        },
+      })
+    );
+    expectPixels(image, function (x, y) {
+      return [x * 100, x * 100, x * 100, y * 100];
+    });
+  });
+
+  it("decodes palette images with transparency", function () {
+    const image = decodePng(
+      BinaryFormatTester.createPng({
+        width: 3,
+        height: 1,
+        colorType: 3,
+        palette: [255, 0, 0, 0, 255, 0, 0, 0, 255],
+        transparency: [0],
+        getPixel: function (x, y) {
+          return [x];
+        },
+      })
+    );
+    expectPixels(image, function (x, y) {
+      return [
+        [255, 0, 0, 0],
+        [0, 255, 0, 255],
+        [0, 0, 255, 255],
+      ][x];
+    });
+  });
+
+  it("unfilters rows with each filter type", function () {
+    for (let filter = 0; filter <= 4; ++filter) {
+      const image = decodePng(
+        BinaryFormatTester.createPng({
+          width: 6,
+          height: 5,
+          filter: filter,
+          getPixel: rgba,
+        })
+      );
+      expectPixels(image, rgba);
+    }
+  });
+
+  it("decodes images with multiple data chunks", function () {
+    const image = decodePng(
+      BinaryFormatTester.createPng({
+        width: 16,
+        height: 16,
+        idatChunks: 3,
+        getPixel: rgba,
+      })
+    );
+    expectPixels(image, rgba);
+  });
+
+  it("decodes typed arrays", function () {
+    const buffer = BinaryFormatTester.createPng({
+      width: 2,
+      height: 2,
+      getPixel: rgba,
+    });
+    const bytes = new Uint8Array(buffer.byteLength + 4);
+    bytes.set(new Uint8Array(buffer), 4);
+    expectPixels(decodePng(bytes.subarray(4)), rgba);
+  });
+
+  it("throws for files that are not PNG images", function () {
+    expect(function () {
+      decodePng(new Uint8Array(32));
+    }).toThrowError(RuntimeError, "The image is not a PNG image.");
+  });
+
+  it("throws for unsupported bit depths", function () {
+    const buffer = BinaryFormatTester.createPng({
+      width: 2,
+      height: 2,
+      bitDepth: 16,
+      getPixel: rgba,
+    });
+    expect(function () {
+      decodePng(buffer);
+    }).toThrowError(
+      RuntimeError,
+      "Only PNG images with 8 bits per sample are supported."
+    );
+  });
+
+  it("throws for interlaced images", function () {
+    const buffer = BinaryFormatTester.createPng({
+      width: 2,
+      height: 2,
+      interlace: 1,
+      getPixel: rgba,
+    });
+    expect(function () {
+      decodePng(buffer);
+    }).toThrowError(RuntimeError, "Interlaced PNG images are not supported.");
+  });
+
+  it("throws for invalid filter types", function () {
+    const buffer = BinaryFormatTester.createPng({
+      width: 2,
+      height: 2,
+      filter: 5,
+      getPixel: rgba,
+    });
+    expect(function () {
+      decodePng(buffer);
+    }).toThrowError(RuntimeError, "Invalid PNG filter type 5.");
+  });
+});
@@ -0,0 +1,196 @@
+import { decodeRgbEncodedHeightmap, RgbTerrainEncoding } from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Core/decodeRgbEncodedHeightmap", function () {
+  function encodeMapbox(height) {
+    const value = Math.round((height + 10000.0) * 10.0);
+    return [value >> 16, (value >> 8) & 0xff, value & 0xff, 255];
+  }
+
+  function encodeTerrarium(height) {
+    const value = height + 32768.0;
+    const red = Math.floor(value / 256.0);
+    const green = Math.floor(value - red * 256.0);
+    const blue = Math.round((value - Math.floor(value)) * 256.0);
+    return [red, green, blue, 255];
+  }
+
+  it("decodes Mapbox Terrain-RGB heights", function () {
+    const result = decodeRgbEncodedHeightmap({
+      buffer: BinaryFormatTester.createPng({
+        width: 2,
+        height: 2,
+        getPixel: function (x, y) {
+          return encodeMapbox(x * 100.0 - y * 12.5);
+        },
+      }),
+      encoding: RgbTerrainEncoding.MAPBOX,
+      width: 2,
+      height: 2,
+    });
+    expect(result.heights).toEqualEpsilon(
+      new Float32Array([0.0, 100.0, -12.5, 87.5]),
+      1e-3
+    );
+    expect(result.waterMask).toBeUndefined();
+  });
+
+  it("decodes Terrarium heights", function () {
+    const result = decodeRgbEncodedHeightmap({
+      buffer: BinaryFormatTester.createPng({
+        width: 2,
+        height: 2,
+        getPixel: function (x, y) {
+          return encodeTerrarium(x * 1000.5 - y * 40.25);
+        },
+      }),
+      encoding: RgbTerrainEncoding.TERRARIUM,
+      width: 2,
+      height: 2,
+    });
+    expect(result.heights).toEqualEpsilon(
+      new Float32Array([0.0, 1000.5, -40.25, 960.25]),
+      1e-3
+    );
+  });
+
+  it("resamples with samples at the tile edges", function () {
+    const result = decodeRgbEncodedHeightmap({
+      buffer: BinaryFormatTester.createPng({
+        width: 4,
+        height: 4,
+        getPixel: function (x, y) {
+          return encodeMapbox(x * 10.0);
+        },
+      }),
+      encoding: RgbTerrainEncoding.MAPBOX,
+      width: 3,
+      height: 3,
+    });
+    // The edge samples take the values of the edge pixels, and the center is between the center pixels
+    for (let j = 0; j < 3; ++j) {
+      expect(result.heights[j * 3]).toEqualEpsilon(0.0, 1e-3);
+      expect(result.heights[j * 3 + 1]).toEqualEpsilon(15.0, 1e-3);
+      expect(result.heights[j * 3 + 2]).toEqualEpsilon(30.0, 1e-3);
+    }
+  });
+
+  it("gives adjacent tiles the same heights along their edges", function () {
+    // Heights that vary along the edges and linearly across them. Each tile has 5 pixels from one edge to the
+    // other, so the last column of pixels of the west tile is the first column of pixels of the east tile.
+    function getHeight(x, y) {
+      return x * 20.0 + Math.sin(y) * 50.0;
+    }
+
+    function decodeTile(column) {
+      return decodeRgbEncodedHeightmap({
+        buffer: BinaryFormatTester.createPng({
+          width: 5,
+          height: 5,
+          getPixel: function (x, y) {
+            return encodeMapbox(getHeight(column * 4 + x, y));
+          },
+        }),
+        encoding: RgbTerrainEncoding.MAPBOX,
+        width: 7,
+        height: 7,
+      }).heights;
+    }
+
+    const west = decodeTile(0);
+    const east = decodeTile(1);
+    for (let j = 0; j < 7; ++j) {
+      expect(west[j * 7 + 6]).toEqual(east[j * 7]);
+    }
+
+    // Sample i of the first row is at pixel 4 / 6 * i
+    for (let i = 0; i < 7; ++i) {
+      expect(west[i]).toEqualEpsilon(getHeight((4.0 / 6.0) * i, 0), 0.1);
+      expect(east[i]).toEqualEpsilon(getHeight(4.0 + (4.0 / 6.0) * i, 0), 0.1);
+    }
+  });
+
+  it("ignores transparent pixels", function () {
+    const result = decodeRgbEncodedHeightmap({
+      buffer: BinaryFormatTester.createPng({
+        width: 2,
+        height: 1,
+        getPixel: function (x, y) {
+          return x === 0 ? encodeMapbox(50.0) : [0, 0, 0, 0];
+        },
+      }),
+      encoding: RgbTerrainEncoding.MAPBOX,
+      width: 3,
+      height: 2,
+    });
+    // The last column only samples the transparent pixel, so it has no data
+    expect(result.heights).toEqualEpsilon(
+      new Float32Array([50.0, 50.0, 0.0, 50.0, 50.0, 0.0]),
+      1e-3
+    );
+  });
+
+  it("creates water masks", function () {
+    const result = decodeRgbEncodedHeightmap({
+      buffer: BinaryFormatTester.createPng({
+        width: 4,
+        height: 4,
+        getPixel: function (x, y) {
+          if (y === 3) {
+            return [0, 0, 0, 0];
+          }
+          return encodeMapbox(x < 2 ? -5.0 : 20.0);
+        },
+      }),
+      encoding: RgbTerrainEncoding.MAPBOX,
+      width: 5,
+      height: 5,
+      requestWaterMask: true,
+    });
+    expect(result.waterMask.length).toEqual(16);
+    for (let y = 0; y < 4; ++y) {
+      for (let x = 0; x < 4; ++x) {
+        expect(result.waterMask[y * 4 + x]).toEqual(y < 3 && x < 2 ? 255 : 0);
+      }
+    }
+  });
+
+  it("creates water masks with a water height", function () {
+    const result = decodeRgbEncodedHeightmap({
+      buffer: BinaryFormatTester.createPng({
+        width: 2,
+        height: 2,
+        getPixel: function (x, y) {
+          return encodeMapbox(x * 10.0);
+        },
+      }),
+      encoding: RgbTerrainEncoding.MAPBOX,
+      width: 3,
+      height: 3,
+      requestWaterMask: true,
+      waterHeight: 5.0,
+    });
+    expect(Array.from(result.waterMask)).toEqual([255, 0, 255, 0]);
+  });
+
+  it("creates single value water masks for tiles that are all land or all water", function () {
+    function createWaterMask(height) {
+      return decodeRgbEncodedHeightmap({
+        buffer: BinaryFormatTester.createPng({
+          width: 4,
+          height: 4,
+          getPixel: function (x, y) {
+            return encodeMapbox(height);
+          },
+        }),
+        encoding: RgbTerrainEncoding.MAPBOX,
+        width: 5,
+        height: 5,
+        requestWaterMask: true,
+      }).waterMask;
+    }
+    expect(createWaterMask(100.0)).toEqual(new Uint8Array([0]));
+    expect(createWaterMask(-100.0)).toEqual(new Uint8Array([255]));
+  });
+});
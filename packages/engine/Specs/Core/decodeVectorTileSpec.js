@@ -0,0 +1,156 @@
+import { decodeVectorTile, RuntimeError } from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Core/decodeVectorTile", function () {
+  it("throws without data", function () {
+    expect(function () {
+      return decodeVectorTile(undefined);
+    }).toThrowDeveloperError();
+  });
+
+  it("decodes an empty tile", function () {
+    const tile = decodeVectorTile(new ArrayBuffer(0));
+    expect(tile.layers).toEqual([]);
+  });
+
+  it("decodes layers and their extents", function () {
+    const buffer = BinaryFormatTester.createVectorTile([
+      {
+        name: "roads",
+        extent: 512,
+        features: [],
+      },
+      {
+        name: "buildings",
+        features: [],
+      },
+    ]);
+
+    const tile = decodeVectorTile(buffer);
+    expect(tile.layers.length).toBe(2);
+    expect(tile.layers[0].name).toBe("roads");
+    expect(tile.layers[0].version).toBe(2);
+    expect(tile.layers[0].extent).toBe(512);
+    expect(tile.layers[1].name).toBe("buildings");
+    expect(tile.layers[1].extent).toBe(4096);
+  });
+
+  it("decodes feature ids and properties", function () {
+    const buffer = BinaryFormatTester.createVectorTile([
+      {
+        name: "roads",
+        features: [
+          {
+            id: 3000000000,
+            type: 2,
+            properties: {
+              name: "Main Street",
+              lanes: 2,
+              elevation: -3,
+              speed: 12.5,
+              oneway: true,
+            },
+            geometry: [[0, 0, 10, 10]],
+          },
+        ],
+      },
+    ]);
+
+    const feature = decodeVectorTile(new Uint8Array(buffer)).layers[0]
+      .features[0];
+    expect(feature.id).toBe(3000000000);
+    expect(feature.type).toBe(decodeVectorTile.GeometryType.LINESTRING);
+    expect(feature.properties).toEqual({
+      name: "Main Street",
+      lanes: 2,
+      elevation: -3,
+      speed: 12.5,
+      oneway: true,
+    });
+  });
+
+  it("decodes points", function () {
+    const buffer = BinaryFormatTester.createVectorTile([
+      {
+        name: "places",
+        features: [
+          {
+            type: 1,
+            geometry: [
+              [10, 20],
+              [-5, 4100],
+            ],
+          },
+        ],
+      },
+    ]);
+
+    const feature = decodeVectorTile(buffer).layers[0].features[0];
+    expect(feature.type).toBe(decodeVectorTile.GeometryType.POINT);
+    expect(feature.geometry).toEqual([
+      [10, 20],
+      [-5, 4100],
+    ]);
+  });
+
+  it("decodes multi-linestrings", function () {
+    const buffer = BinaryFormatTester.createVectorTile([
+      {
+        name: "roads",
+        features: [
+          {
+            type: 2,
+            geometry: [
+              [0, 0, 100, 100, 200, 50],
+              [10, 10, 20, 20],
+            ],
+          },
+        ],
+      },
+    ]);
+
+    const feature = decodeVectorTile(buffer).layers[0].features[0];
+    expect(feature.geometry).toEqual([
+      [0, 0, 100, 100, 200, 50],
+      [10, 10, 20, 20],
+    ]);
+  });
+
+  it("decodes polygons with holes", function () {
+    const buffer = BinaryFormatTester.createVectorTile([
+      {
+        name: "parks",
+        features: [
+          {
+            type: 3,
+            geometry: [
+              [0, 0, 10, 0, 10, 10, 0, 10],
+              [2, 2, 2, 4, 4, 4],
+            ],
+          },
+        ],
+      },
+    ]);
+
+    const feature = decodeVectorTile(buffer).layers[0].features[0];
+    expect(feature.type).toBe(decodeVectorTile.GeometryType.POLYGON);
+    expect(feature.geometry).toEqual([
+      [0, 0, 10, 0, 10, 10, 0, 10],
+      [2, 2, 2, 4, 4, 4],
+    ]);
+  });
+
+  it("throws with truncated data", function () {
+    const buffer = BinaryFormatTester.createVectorTile([
+      {
+        name: "roads",
+        features: [],
+      },
+    ]);
+
+    expect(function () {
+      return decodeVectorTile(buffer.slice(0, 1));
+    }).toThrowError(RuntimeError);
+  });
+});
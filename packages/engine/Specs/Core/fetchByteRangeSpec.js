@@ -0,0 +1,71 @@
+import {
+  fetchByteRange,
+  Request,
+  RequestScheduler,
+  Resource,
+} from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Core/fetchByteRange", function () {
+  const resource = new Resource({
+    url: "made/up/file.bin",
+  });
+  const file = new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]).buffer;
+
+  function getRequestedRange() {
+    return Resource._Implementations.loadWithXhr.calls.mostRecent().args[4]
+      .Range;
+  }
+
+  it("fetches a range of bytes", async function () {
+    BinaryFormatTester.serveFile(file);
+    const range = await fetchByteRange(resource, 2, 3);
+    expect(getRequestedRange()).toEqual("bytes=2-4");
+    expect(range.offset).toEqual(2);
+    expect(new Uint8Array(range.buffer)).toEqual(new Uint8Array([2, 3, 4]));
+  });
+
+  it("fetches the bytes to the end of the file without a length", async function () {
+    BinaryFormatTester.serveFile(file);
+    const range = await fetchByteRange(resource, 7);
+    expect(getRequestedRange()).toEqual("bytes=7-");
+    expect(range.offset).toEqual(7);
+    expect(new Uint8Array(range.buffer)).toEqual(new Uint8Array([7, 8, 9]));
+  });
+
+  it("resolves to the whole file when the server ignores the range", async function () {
+    BinaryFormatTester.serveFile(file, {
+      ignoreRange: true,
+    });
+    const range = await fetchByteRange(resource, 2, 3);
+    expect(range.offset).toEqual(0);
+    expect(range.buffer.byteLength).toEqual(file.byteLength);
+  });
+
+  it("uses isWholeFile to detect the whole file without a length", async function () {
+    BinaryFormatTester.serveFile(file, {
+      ignoreRange: true,
+    });
+    const isWholeFile = jasmine.createSpy("isWholeFile").and.returnValue(true);
+    const range = await fetchByteRange(resource, 7, undefined, {
+      isWholeFile: isWholeFile,
+    });
+    expect(isWholeFile).toHaveBeenCalledWith(range.buffer);
+    expect(range.offset).toEqual(0);
+
+    const rest = await fetchByteRange(resource, 7);
+    expect(rest.offset).toEqual(7);
+  });
+
+  it("returns undefined when the request is throttled", function () {
+    spyOn(RequestScheduler, "request").and.returnValue(undefined);
+    expect(
+      fetchByteRange(resource, 2, 3, {
+        request: new Request({
+          throttle: true,
+        }),
+      })
+    ).toBeUndefined();
+  });
+});
@@ -0,0 +1,81 @@
+import {
+  GeographicTilingScheme,
+  Math as CesiumMath,
+  Rectangle,
+  sampleTerrainContours,
+} from "../../index.js";
+
+describe("Core/sampleTerrainContours", function () {
+  const rectangle = Rectangle.fromDegrees(0.0, 0.0, 0.01, 0.01);
+
+  // Terrain rising from 0 meters at the west edge to 100 meters at the east edge
+  function createTerrainProvider() {
+    const terrainData = {
+      interpolateHeight: function (rectangle, longitude, latitude) {
+        return (CesiumMath.toDegrees(longitude) / 0.01) * 100.0;
+      },
+    };
+    return {
+      tilingScheme: new GeographicTilingScheme(),
+      availability: {
+        computeMaximumLevelAtPosition: function () {
+          return 10;
+        },
+      },
+      requestTileGeometry: jasmine
+        .createSpy("requestTileGeometry")
+        .and.returnValue(Promise.resolve(terrainData)),
+    };
+  }
+
+  it("throws without an interval or levels", async function () {
+    await expectAsync(
+      sampleTerrainContours(createTerrainProvider(), rectangle, {})
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("computes contour lines of sampled terrain", async function () {
+    const lines = await sampleTerrainContours(
+      createTerrainProvider(),
+      rectangle,
+      {
+        interval: 25.0,
+        base: 12.5,
+        width: 9,
+        height: 5,
+      }
+    );
+
+    expect(
+      lines.map(function (line) {
+        return line.height;
+      })
+    ).toEqual([12.5, 37.5, 62.5, 87.5]);
+
+    // Lines run from north to south at the longitude of their height
+    const line = lines[1];
+    expect(line.closed).toBe(false);
+    expect(line.positions.length).toBe(5);
+    for (let i = 0; i < line.positions.length; ++i) {
+      expect(line.positions[i].longitude).toEqualEpsilon(
+        CesiumMath.toRadians(0.00375),
+        CesiumMath.EPSILON10
+      );
+    }
+  });
+
+  it("samples terrain at a level", async function () {
+    const terrainProvider = createTerrainProvider();
+    await sampleTerrainContours(terrainProvider, rectangle, {
+      levels: [50.0],
+      width: 3,
+      height: 3,
+      level: 4,
+    });
+    expect(terrainProvider.requestTileGeometry).toHaveBeenCalledWith(
+      jasmine.any(Number),
+      jasmine.any(Number),
+      4
+    );
+  });
+});
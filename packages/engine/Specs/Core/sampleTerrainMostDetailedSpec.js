@@ -2,6 +2,7 @@ import {
   Cartographic,
   CesiumTerrainProvider,
   createWorldTerrainAsync,
+  Geoid,
   sampleTerrainMostDetailed,
 } from "../../index.js";
 
@@ -28,6 +29,36 @@ describe("Core/sampleTerrainMostDetailed", function () {
     expect(positions[1].height).toBeLessThan(10000);
   });
 
+  it("queries orthometric heights with a geoid", async function () {
+    const geoid = new Geoid({
+      heights: [-30.0, -30.0, -30.0, -30.0],
+      width: 2,
+      height: 2,
+    });
+    const ellipsoidalPositions = [
+      Cartographic.fromDegrees(86.925145, 27.988257),
+      Cartographic.fromDegrees(87.0, 28.0),
+    ];
+    const orthometricPositions = ellipsoidalPositions.map(function (position) {
+      return Cartographic.clone(position);
+    });
+
+    await sampleTerrainMostDetailed(worldTerrain, ellipsoidalPositions);
+    const passedPositions = await sampleTerrainMostDetailed(
+      worldTerrain,
+      orthometricPositions,
+      false,
+      geoid
+    );
+    expect(passedPositions).toBe(orthometricPositions);
+    expect(orthometricPositions[0].height).toEqual(
+      ellipsoidalPositions[0].height + 30.0
+    );
+    expect(orthometricPositions[1].height).toEqual(
+      ellipsoidalPositions[1].height + 30.0
+    );
+  });
+
   it("should throw querying heights from terrain without availability", async function () {
     const terrainProvider = await CesiumTerrainProvider.fromUrl(
       "Data/CesiumTerrainTileJson/StandardHeightmap.tile.json"
@@ -0,0 +1,155 @@
+import {
+  ArcType,
+  Cartographic,
+  EllipsoidGeodesic,
+  EllipsoidRhumbLine,
+  GeographicTilingScheme,
+  Math as CesiumMath,
+  sampleTerrainProfile,
+} from "../../index.js";
+
+describe("Core/sampleTerrainProfile", function () {
+  let terrainProvider;
+
+  beforeEach(function () {
+    // The terrain rises 10 meters per degree of longitude
+    const terrainData = {
+      interpolateHeight: function (rectangle, longitude, latitude) {
+        return CesiumMath.toDegrees(longitude) * 10.0;
+      },
+    };
+    terrainProvider = {
+      tilingScheme: new GeographicTilingScheme(),
+      availability: {
+        computeMaximumLevelAtPosition: function (position) {
+          return 1;
+        },
+      },
+      requestTileGeometry: jasmine
+        .createSpy("requestTileGeometry")
+        .and.returnValue(Promise.resolve(terrainData)),
+    };
+  });
+
+  it("throws without terrainProvider", async function () {
+    await expectAsync(
+      sampleTerrainProfile(undefined, [
+        Cartographic.fromDegrees(0.0, 0.0),
+        Cartographic.fromDegrees(1.0, 0.0),
+      ])
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("throws with less than two positions", async function () {
+    await expectAsync(
+      sampleTerrainProfile(terrainProvider, [
+        Cartographic.fromDegrees(0.0, 0.0),
+      ])
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("throws with less than two samples", async function () {
+    await expectAsync(
+      sampleTerrainProfile(
+        terrainProvider,
+        [
+          Cartographic.fromDegrees(0.0, 0.0),
+          Cartographic.fromDegrees(1.0, 0.0),
+        ],
+        {
+          sampleCount: 1,
+        }
+      )
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("throws with arcType NONE", async function () {
+    await expectAsync(
+      sampleTerrainProfile(
+        terrainProvider,
+        [
+          Cartographic.fromDegrees(0.0, 0.0),
+          Cartographic.fromDegrees(1.0, 0.0),
+        ],
+        {
+          arcType: ArcType.NONE,
+        }
+      )
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("samples heights at an even spacing along the path", async function () {
+    const positions = [
+      Cartographic.fromDegrees(0.0, 0.0),
+      Cartographic.fromDegrees(1.0, 0.0),
+      Cartographic.fromDegrees(2.0, 0.0),
+    ];
+    const samples = await sampleTerrainProfile(terrainProvider, positions, {
+      sampleCount: 5,
+    });
+
+    expect(samples.length).toBe(5);
+    for (let i = 0; i < samples.length; ++i) {
+      expect(samples[i]).toEqualEpsilon(
+        Cartographic.fromDegrees(i * 0.5, 0.0, i * 5.0),
+        CesiumMath.EPSILON7
+      );
+    }
+    expect(terrainProvider.requestTileGeometry).toHaveBeenCalled();
+  });
+
+  it("samples along geodesics by default", async function () {
+    const start = Cartographic.fromDegrees(-10.0, 40.0);
+    const end = Cartographic.fromDegrees(10.0, 40.0);
+    const samples = await sampleTerrainProfile(terrainProvider, [start, end], {
+      sampleCount: 3,
+    });
+
+    const midpoint = new EllipsoidGeodesic(start, end).interpolateUsingFraction(
+      0.5
+    );
+    expect(samples[1].latitude).toEqualEpsilon(
+      midpoint.latitude,
+      CesiumMath.EPSILON10
+    );
+    expect(samples[1].latitude).toBeGreaterThan(start.latitude);
+  });
+
+  it("samples along rhumb lines", async function () {
+    const start = Cartographic.fromDegrees(-10.0, 40.0);
+    const end = Cartographic.fromDegrees(10.0, 40.0);
+    const samples = await sampleTerrainProfile(terrainProvider, [start, end], {
+      sampleCount: 3,
+      arcType: ArcType.RHUMB,
+    });
+
+    const midpoint = new EllipsoidRhumbLine(
+      start,
+      end
+    ).interpolateUsingFraction(0.5);
+    expect(samples[1].latitude).toEqualEpsilon(
+      midpoint.latitude,
+      CesiumMath.EPSILON10
+    );
+    expect(samples[1].latitude).toEqualEpsilon(
+      start.latitude,
+      CesiumMath.EPSILON10
+    );
+  });
+
+  it("skips segments without length", async function () {
+    const positions = [
+      Cartographic.fromDegrees(0.0, 0.0),
+      Cartographic.fromDegrees(0.0, 0.0),
+      Cartographic.fromDegrees(1.0, 0.0),
+    ];
+    const samples = await sampleTerrainProfile(terrainProvider, positions, {
+      sampleCount: 3,
+    });
+
+    expect(samples[1]).toEqualEpsilon(
+      Cartographic.fromDegrees(0.5, 0.0, 5.0),
+      CesiumMath.EPSILON7
+    );
+  });
+});
@@ -4,6 +4,7 @@ import {
   CesiumTerrainProvider,
   createWorldTerrainAsync,
   defined,
+  Geoid,
   RequestScheduler,
   Resource,
   sampleTerrain,
@@ -37,6 +38,37 @@ describe("Core/sampleTerrain", function () {
     });
   });
 
+  it("queries orthometric heights with a geoid", async function () {
+    const geoid = new Geoid({
+      heights: [-30.0, -30.0, -30.0, -30.0],
+      width: 2,
+      height: 2,
+    });
+    const ellipsoidalPositions = [
+      Cartographic.fromDegrees(86.925145, 27.988257),
+      Cartographic.fromDegrees(87.0, 28.0),
+    ];
+    const orthometricPositions = ellipsoidalPositions.map(function (position) {
+      return Cartographic.clone(position);
+    });
+
+    await sampleTerrain(worldTerrain, 11, ellipsoidalPositions);
+    const passedPositions = await sampleTerrain(
+      worldTerrain,
+      11,
+      orthometricPositions,
+      false,
+      geoid
+    );
+    expect(passedPositions).toBe(orthometricPositions);
+    expect(orthometricPositions[0].height).toEqual(
+      ellipsoidalPositions[0].height + 30.0
+    );
+    expect(orthometricPositions[1].height).toEqual(
+      ellipsoidalPositions[1].height + 30.0
+    );
+  });
+
   it("queries heights from terrain without availability", async function () {
     // Mock terrain tile loading
     Resource._Implementations.loadWithXhr = function (
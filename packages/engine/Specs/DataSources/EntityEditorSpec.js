@@ -0,0 +1,416 @@
+import {
+  Cartesian3,
+  CallbackProperty,
+  Color,
+  DrawingMode,
+  Entity,
+  EntityCollection,
+  EntityEditor,
+  JulianDate,
+  Math as CesiumMath,
+  PolygonHierarchy,
+  Rectangle,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "DataSources/EntityEditor",
+  function () {
+    let scene;
+    let entities;
+    let editor;
+    const time = JulianDate.now();
+
+    const positions = [
+      Cartesian3.fromDegrees(0.0, 0.0),
+      Cartesian3.fromDegrees(0.01, 0.0),
+      Cartesian3.fromDegrees(0.01, 0.01),
+      Cartesian3.fromDegrees(0.0, 0.01),
+    ];
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      entities = new EntityCollection();
+      editor = new EntityEditor({
+        scene: scene,
+        entities: entities,
+      });
+    });
+
+    afterEach(function () {
+      if (!editor.isDestroyed()) {
+        editor.destroy();
+      }
+    });
+
+    function draw(mode, count) {
+      let entity;
+      const removeListener = editor.entityCreated.addEventListener(function (
+        created
+      ) {
+        entity = created;
+      });
+      editor.draw(mode);
+      for (let i = 0; i < count; ++i) {
+        editor.addPosition(positions[i]);
+      }
+      editor.finish();
+      removeListener();
+      return entity;
+    }
+
+    it("throws without scene", function () {
+      expect(function () {
+        return new EntityEditor({
+          entities: entities,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("throws without entities", function () {
+      expect(function () {
+        return new EntityEditor({
+          scene: scene,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("constructor sets default values", function () {
+      expect(editor.scene).toBe(scene);
+      expect(editor.entities).toBe(entities);
+      expect(editor.color).toEqual(Color.YELLOW);
+      expect(editor.fillColor).toEqual(Color.YELLOW.withAlpha(0.5));
+      expect(editor.corridorWidth).toEqual(10.0);
+      expect(editor.clampToGround).toBe(true);
+      expect(editor.mode).toBeUndefined();
+      expect(editor.entity).toBeUndefined();
+      expect(editor.isDrawing).toBe(false);
+      expect(editor.isEditing).toBe(false);
+      expect(editor.canUndo).toBe(false);
+      expect(editor.canRedo).toBe(false);
+    });
+
+    it("draws a point with its first position", function () {
+      const spy = jasmine.createSpy("listener");
+      editor.entityCreated.addEventListener(spy);
+
+      editor.draw(DrawingMode.POINT);
+      expect(editor.isDrawing).toBe(true);
+      expect(editor.mode).toBe(DrawingMode.POINT);
+      editor.addPosition(positions[0]);
+
+      expect(editor.isDrawing).toBe(false);
+      expect(entities.values.length).toBe(1);
+      const entity = entities.values[0];
+      expect(spy).toHaveBeenCalledWith(entity);
+      expect(entity.point).toBeDefined();
+      expect(entity.position.isConstant).toBe(true);
+      expect(entity.position.getValue(time)).toEqual(positions[0]);
+    });
+
+    it("draws a polyline", function () {
+      editor.draw(DrawingMode.POLYLINE);
+      editor.addPosition(positions[0]);
+      const entity = editor.entity;
+      expect(entities.contains(entity)).toBe(true);
+      expect(entity.polyline.positions.isConstant).toBe(false);
+      expect(entity.polyline.positions.getValue(time)).toBeUndefined();
+
+      editor.addPosition(positions[1]);
+      expect(entity.polyline.positions.getValue(time)).toEqual(
+        positions.slice(0, 2)
+      );
+
+      expect(editor.finish()).toBe(entity);
+      expect(entity.polyline.positions.isConstant).toBe(true);
+      expect(entity.polyline.clampToGround.getValue(time)).toBe(true);
+      expect(editor.canUndo).toBe(true);
+    });
+
+    it("draws a polygon", function () {
+      const entity = draw(DrawingMode.POLYGON, 4);
+      const hierarchy = entity.polygon.hierarchy.getValue(time);
+      expect(hierarchy).toBeInstanceOf(PolygonHierarchy);
+      expect(hierarchy.positions).toEqual(positions);
+      expect(entity.polygon.perPositionHeight.getValue(time)).toBe(false);
+    });
+
+    it("draws a rectangle with its second position", function () {
+      editor.draw(DrawingMode.RECTANGLE);
+      editor.addPosition(positions[0]);
+      editor.addPosition(positions[2]);
+      expect(editor.isDrawing).toBe(false);
+
+      const entity = entities.values[0];
+      expect(entity.rectangle.coordinates.getValue(time)).toEqualEpsilon(
+        Rectangle.fromDegrees(0.0, 0.0, 0.01, 0.01),
+        CesiumMath.EPSILON10
+      );
+    });
+
+    it("draws a circle with its second position", function () {
+      editor.draw(DrawingMode.CIRCLE);
+      editor.addPosition(positions[0]);
+      editor.addPosition(positions[1]);
+      expect(editor.isDrawing).toBe(false);
+
+      const entity = entities.values[0];
+      const radius = Cartesian3.distance(positions[0], positions[1]);
+      expect(entity.position.getValue(time)).toEqual(positions[0]);
+      expect(entity.ellipse.semiMajorAxis.getValue(time)).toEqual(radius);
+      expect(entity.ellipse.semiMinorAxis.getValue(time)).toEqual(radius);
+    });
+
+    it("draws a corridor", function () {
+      editor.corridorWidth = 20.0;
+      const entity = draw(DrawingMode.CORRIDOR, 3);
+      expect(entity.corridor.positions.getValue(time)).toEqual(
+        positions.slice(0, 3)
+      );
+      expect(entity.corridor.width.getValue(time)).toEqual(20.0);
+    });
+
+    it("removes an entity without enough positions", function () {
+      expect(draw(DrawingMode.POLYGON, 2)).toBeUndefined();
+      expect(entities.values.length).toBe(0);
+      expect(editor.canUndo).toBe(false);
+    });
+
+    it("undo removes the last position while drawing", function () {
+      editor.draw(DrawingMode.POLYLINE);
+      editor.addPosition(positions[0]);
+      editor.addPosition(positions[1]);
+      editor.undo();
+      expect(editor.positions).toEqual(positions.slice(0, 1));
+      editor.undo();
+      expect(editor.positions.length).toBe(0);
+      expect(editor.entity).toBeUndefined();
+      expect(entities.values.length).toBe(0);
+    });
+
+    it("throws when adding a position while not drawing", function () {
+      expect(function () {
+        editor.addPosition(positions[0]);
+      }).toThrowDeveloperError();
+    });
+
+    it("edits an entity", function () {
+      const entity = entities.add({
+        polyline: {
+          positions: positions.slice(0, 2),
+        },
+      });
+      editor.edit(entity);
+      expect(editor.isEditing).toBe(true);
+      expect(editor.mode).toBe(DrawingMode.POLYLINE);
+      expect(editor.entity).toBe(entity);
+      expect(editor.positions).toEqual(positions.slice(0, 2));
+      // Two positions and a midpoint
+      expect(editor._handles.length).toBe(3);
+
+      editor.stop();
+      expect(editor.isEditing).toBe(false);
+      expect(editor._handles.length).toBe(0);
+    });
+
+    it("edits entities by their graphics", function () {
+      const center = positions[0];
+      const circle = entities.add({
+        position: center,
+        ellipse: {
+          semiMajorAxis: 100.0,
+          semiMinorAxis: 100.0,
+        },
+      });
+      editor.edit(circle);
+      expect(editor.mode).toBe(DrawingMode.CIRCLE);
+      expect(editor.positions[0]).toEqual(center);
+      expect(
+        Cartesian3.distance(editor.positions[0], editor.positions[1])
+      ).toEqualEpsilon(100.0, CesiumMath.EPSILON7);
+
+      const rectangle = entities.add({
+        rectangle: {
+          coordinates: Rectangle.fromDegrees(0.0, 0.0, 1.0, 1.0),
+        },
+      });
+      editor.edit(rectangle);
+      expect(editor.mode).toBe(DrawingMode.RECTANGLE);
+      expect(editor.positions).toEqual([
+        Cartesian3.fromDegrees(0.0, 0.0),
+        Cartesian3.fromDegrees(1.0, 1.0),
+      ]);
+
+      const point = entities.add({
+        position: center,
+        billboard: {},
+      });
+      editor.edit(point);
+      expect(editor.mode).toBe(DrawingMode.POINT);
+    });
+
+    it("throws when editing an entity without editable graphics", function () {
+      expect(function () {
+        editor.edit(new Entity());
+      }).toThrowDeveloperError();
+    });
+
+    it("moves positions", function () {
+      const entity = draw(DrawingMode.POLYLINE, 2);
+      const spy = jasmine.createSpy("listener");
+      editor.entityChanged.addEventListener(spy);
+
+      editor.edit(entity);
+      editor.movePosition(1, positions[2]);
+      expect(spy).toHaveBeenCalledWith(entity);
+      expect(entity.polyline.positions.getValue(time)).toEqual([
+        positions[0],
+        positions[2],
+      ]);
+    });
+
+    it("moving the center of a circle keeps the radius", function () {
+      const entity = draw(DrawingMode.CIRCLE, 2);
+      const radius = entity.ellipse.semiMajorAxis.getValue(time);
+
+      editor.edit(entity);
+      editor.movePosition(0, positions[3]);
+      expect(entity.position.getValue(time)).toEqual(positions[3]);
+      expect(entity.ellipse.semiMajorAxis.getValue(time)).toEqualEpsilon(
+        radius,
+        CesiumMath.EPSILON7
+      );
+    });
+
+    it("inserts and removes positions", function () {
+      const entity = draw(DrawingMode.POLYGON, 3);
+      editor.edit(entity);
+
+      editor.insertPosition(3, positions[3]);
+      expect(entity.polygon.hierarchy.getValue(time).positions).toEqual(
+        positions
+      );
+
+      expect(editor.removePosition(0)).toBe(true);
+      expect(entity.polygon.hierarchy.getValue(time).positions).toEqual(
+        positions.slice(1)
+      );
+      expect(editor.removePosition(0)).toBe(false);
+      expect(editor.positions.length).toBe(3);
+    });
+
+    it("keeps the holes of polygons", function () {
+      const holes = [new PolygonHierarchy(positions.slice(0, 3))];
+      const entity = entities.add({
+        polygon: {
+          hierarchy: new PolygonHierarchy(positions.slice(0, 3), holes),
+        },
+      });
+      editor.edit(entity);
+      editor.movePosition(0, positions[3]);
+      expect(entity.polygon.hierarchy.getValue(time).holes).toEqual(holes);
+    });
+
+    it("throws when inserting positions into a rectangle", function () {
+      const entity = draw(DrawingMode.RECTANGLE, 2);
+      editor.edit(entity);
+      expect(function () {
+        editor.insertPosition(0, positions[3]);
+      }).toThrowDeveloperError();
+      expect(function () {
+        editor.removePosition(0);
+      }).toThrowDeveloperError();
+    });
+
+    it("throws when moving positions while not editing", function () {
+      expect(function () {
+        editor.movePosition(0, positions[0]);
+      }).toThrowDeveloperError();
+    });
+
+    it("undoes and redoes changes", function () {
+      const entity = draw(DrawingMode.POLYLINE, 2);
+      editor.edit(entity);
+      editor.movePosition(1, positions[2]);
+
+      const spy = jasmine.createSpy("listener");
+      editor.entityChanged.addEventListener(spy);
+
+      editor.undo();
+      expect(spy).toHaveBeenCalledWith(entity);
+      expect(editor.canRedo).toBe(true);
+      expect(entity.polyline.positions.getValue(time)).toEqual(
+        positions.slice(0, 2)
+      );
+      expect(editor.positions).toEqual(positions.slice(0, 2));
+
+      editor.undo();
+      expect(entities.contains(entity)).toBe(false);
+      expect(editor.isEditing).toBe(false);
+      expect(editor.canUndo).toBe(false);
+
+      editor.redo();
+      expect(entities.contains(entity)).toBe(true);
+      expect(entity.polyline.positions.getValue(time)).toEqual(
+        positions.slice(0, 2)
+      );
+
+      editor.redo();
+      expect(entity.polyline.positions.getValue(time)).toEqual([
+        positions[0],
+        positions[2],
+      ]);
+      expect(editor.canRedo).toBe(false);
+    });
+
+    it("a new change clears the redo stack", function () {
+      const entity = draw(DrawingMode.POLYLINE, 2);
+      editor.edit(entity);
+      editor.movePosition(1, positions[2]);
+      editor.undo();
+      expect(editor.canRedo).toBe(true);
+
+      editor.movePosition(1, positions[3]);
+      expect(editor.canRedo).toBe(false);
+    });
+
+    it("does not record moves that do not change a position", function () {
+      const entity = draw(DrawingMode.POINT, 1);
+      editor.edit(entity);
+      editor.movePosition(0, positions[0]);
+      editor.undo();
+      expect(entities.contains(entity)).toBe(false);
+    });
+
+    it("changes the graphics while drawing", function () {
+      editor.draw(DrawingMode.POLYGON);
+      editor.addPosition(positions[0]);
+      editor.addPosition(positions[1]);
+      const hierarchy = editor.entity.polygon.hierarchy;
+      expect(hierarchy).toBeInstanceOf(CallbackProperty);
+      expect(hierarchy.getValue(time)).toBeUndefined();
+
+      editor._floatingPosition = positions[2];
+      expect(hierarchy.getValue(time).positions).toEqual(positions.slice(0, 3));
+    });
+
+    it("destroy removes the handles", function () {
+      const entity = draw(DrawingMode.POLYLINE, 2);
+      editor.edit(entity);
+      const handles = editor._handles;
+      expect(scene.primitives.contains(handles)).toBe(true);
+      editor.destroy();
+      expect(editor.isDestroyed()).toBe(true);
+      expect(scene.primitives.contains(handles)).toBe(false);
+    });
+  },
+  "WebGL"
+);
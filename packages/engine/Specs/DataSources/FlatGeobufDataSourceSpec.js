@@ -0,0 +1,212 @@
+import {
+  Cartesian3,
+  Color,
+  Credit,
+  FlatGeobufDataSource,
+  JulianDate,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+} from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+import pollToPromise from "../../../../Specs/pollToPromise.js";
+
+describe("DataSources/FlatGeobufDataSource", function () {
+  const url = "made/up/parcels.fgb";
+  const time = new JulianDate();
+
+  let camera;
+
+  // A grid of one degree squares
+  function createGrid(size) {
+    const features = [];
+    for (let y = 0; y < size; ++y) {
+      for (let x = 0; x < size; ++x) {
+        features.push({
+          geometry: {
+            type: "Polygon",
+            coordinates: [
+              [
+                [x, y],
+                [x + 1, y],
+                [x + 1, y + 1],
+                [x, y + 1],
+                [x, y],
+              ],
+            ],
+          },
+          properties: {
+            name: `Parcel ${x}-${y}`,
+          },
+        });
+      }
+    }
+    return features;
+  }
+
+  const columns = [{ name: "name", type: 11 }];
+
+  function createCamera(rectangle) {
+    return {
+      positionWC: new Cartesian3(0.0, 0.0, 0.0),
+      directionWC: new Cartesian3(0.0, 0.0, 1.0),
+      upWC: new Cartesian3(0.0, 1.0, 0.0),
+      rectangle: rectangle,
+      computeViewRectangle: function () {
+        return this.rectangle;
+      },
+    };
+  }
+
+  function getNames(dataSource) {
+    return dataSource.entities.values
+      .map(function (entity) {
+        return entity.name;
+      })
+      .sort();
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+    camera = createCamera(Rectangle.fromDegrees(2.25, 3.25, 3.75, 3.75));
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("default constructor has expected values", function () {
+    const dataSource = new FlatGeobufDataSource();
+    expect(dataSource.name).toBeUndefined();
+    expect(dataSource.clock).toBeUndefined();
+    expect(dataSource.entities.values.length).toBe(0);
+    expect(dataSource.isLoading).toBe(false);
+    expect(dataSource.show).toBe(true);
+    expect(dataSource.camera).toBeUndefined();
+    expect(dataSource.maximumFeatures).toBe(10000);
+    expect(dataSource.featuresLength).toBe(0);
+  });
+
+  it("load throws without url", async function () {
+    const dataSource = new FlatGeobufDataSource();
+    await expectAsync(dataSource.load()).toBeRejectedWithDeveloperError();
+  });
+
+  it("loads the features in the view of the camera", async function () {
+    BinaryFormatTester.serveFile(
+      BinaryFormatTester.createFlatGeobuf({
+        features: createGrid(10),
+        columns: columns,
+        name: "parcels",
+      })
+    );
+    const dataSource = await FlatGeobufDataSource.load(url, {
+      camera: camera,
+    });
+    expect(dataSource.name).toBe("parcels");
+    expect(dataSource.featuresLength).toBe(100);
+    expect(dataSource.isLoading).toBe(false);
+    expect(getNames(dataSource)).toEqual(["Parcel 2-3", "Parcel 3-3"]);
+    expect(dataSource.entities.values[0].polygon).toBeDefined();
+  });
+
+  it("loads up to maximumFeatures without a camera", async function () {
+    BinaryFormatTester.serveFile(
+      BinaryFormatTester.createFlatGeobuf({
+        features: createGrid(10),
+        columns: columns,
+      })
+    );
+    const dataSource = await FlatGeobufDataSource.load(url, {
+      maximumFeatures: 20,
+    });
+    expect(dataSource.name).toBe("parcels.fgb");
+    expect(dataSource.entities.values.length).toBe(20);
+  });
+
+  it("loads all features of files without an index", async function () {
+    BinaryFormatTester.serveFile(
+      BinaryFormatTester.createFlatGeobuf({
+        features: createGrid(3),
+        columns: columns,
+        indexNodeSize: 0,
+      })
+    );
+    const dataSource = await FlatGeobufDataSource.load(url, {
+      camera: camera,
+    });
+    expect(dataSource.entities.values.length).toBe(9);
+  });
+
+  it("applies styling options", async function () {
+    BinaryFormatTester.serveFile(
+      BinaryFormatTester.createFlatGeobuf({
+        features: createGrid(10),
+        columns: columns,
+      })
+    );
+    const dataSource = await FlatGeobufDataSource.load(url, {
+      camera: camera,
+      fill: Color.RED,
+      strokeWidth: 3,
+      credit: "This is my credit",
+    });
+    expect(dataSource.credit).toBeInstanceOf(Credit);
+    const polygon = dataSource.entities.values[0].polygon;
+    expect(polygon.material.color.getValue(time)).toEqual(Color.RED);
+    expect(polygon.outlineWidth.getValue(time)).toBe(3);
+  });
+
+  it("updates the features once the camera stops moving", async function () {
+    BinaryFormatTester.serveFile(
+      BinaryFormatTester.createFlatGeobuf({
+        features: createGrid(10),
+        columns: columns,
+      })
+    );
+    const dataSource = await FlatGeobufDataSource.load(url, {
+      camera: camera,
+    });
+    const parcel = dataSource.entities.getById(32);
+    expect(parcel.name).toBe("Parcel 2-3");
+
+    const loadingSpy = jasmine.createSpy("loadingEvent");
+    dataSource.loadingEvent.addEventListener(loadingSpy);
+
+    // The view is only updated once the camera stops
+    camera.positionWC.x = 1.0;
+    camera.rectangle = Rectangle.fromDegrees(2.25, 3.25, 2.75, 4.75);
+    dataSource.update(time);
+    expect(loadingSpy).not.toHaveBeenCalled();
+
+    dataSource.update(time);
+    expect(dataSource.isLoading).toBe(true);
+    await pollToPromise(function () {
+      return !dataSource.isLoading;
+    });
+
+    expect(getNames(dataSource)).toEqual(["Parcel 2-3", "Parcel 2-4"]);
+    // Features that stay in view keep their entities
+    expect(dataSource.entities.getById(32)).toBe(parcel);
+    expect(loadingSpy.calls.allArgs()).toEqual([
+      [dataSource, true],
+      [dataSource, false],
+    ]);
+  });
+
+  it("rejects and raises errorEvent for invalid files", async function () {
+    BinaryFormatTester.serveFile(new Uint8Array(64).buffer);
+    const dataSource = new FlatGeobufDataSource();
+    const spy = jasmine.createSpy("errorEvent");
+    dataSource.errorEvent.addEventListener(spy);
+    await expectAsync(dataSource.load(url)).toBeRejectedWithError(
+      RuntimeError,
+      "The file is not a FlatGeobuf file."
+    );
+    expect(spy).toHaveBeenCalled();
+    expect(dataSource.isLoading).toBe(false);
+  });
+});
@@ -4,7 +4,9 @@ import {
   Credit,
   Event,
   JulianDate,
+  Math as CesiumMath,
   PolygonHierarchy,
+  ProjectionRegistry,
   RuntimeError,
   CallbackProperty,
   ConstantProperty,
@@ -1205,6 +1207,59 @@ describe("DataSources/GeoJsonDataSource", function () {
     });
   });
 
+  it("Works with EPSG crs of a projection in the ProjectionRegistry", function () {
+    const dataSource = new GeoJsonDataSource();
+    const geoJson = {
+      type: "Point",
+      coordinates: [500000.0, 0.0, 10.0],
+      crs: {
+        type: "EPSG",
+        properties: {
+          code: 32633,
+        },
+      },
+    };
+
+    return dataSource.load(geoJson).then(function () {
+      const entity = dataSource.entities.values[0];
+      expect(entity.position.getValue(time)).toEqualEpsilon(
+        Cartesian3.fromDegrees(15.0, 0.0, 10.0),
+        CesiumMath.EPSILON7
+      );
+    });
+  });
+
+  it("Works with named crs of a projection added to the ProjectionRegistry", function () {
+    ProjectionRegistry.add(
+      "EPSG:2154",
+      "+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +units=m +no_defs"
+    );
+    const dataSource = new GeoJsonDataSource();
+    const geoJson = {
+      type: "Point",
+      coordinates: [700000.0, 6600000.0],
+      crs: {
+        type: "name",
+        properties: {
+          name: "urn:ogc:def:crs:EPSG::2154",
+        },
+      },
+    };
+
+    return dataSource
+      .load(geoJson)
+      .then(function () {
+        const entity = dataSource.entities.values[0];
+        expect(entity.position.getValue(time)).toEqualEpsilon(
+          Cartesian3.fromDegrees(3.0, 46.5),
+          CesiumMath.EPSILON7
+        );
+      })
+      .finally(function () {
+        ProjectionRegistry.remove("EPSG:2154");
+      });
+  });
+
   it("Works with polyline using simplestyle", function () {
     const geoJson = {
       type: "Feature",
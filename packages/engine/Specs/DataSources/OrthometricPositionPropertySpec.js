@@ -0,0 +1,155 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Event,
+  Geoid,
+  JulianDate,
+  ReferenceFrame,
+  ConstantPositionProperty,
+  OrthometricPositionProperty,
+  PositionProperty,
+  SampledPositionProperty,
+} from "../../index.js";
+
+import { Math as CesiumMath } from "../../index.js";
+
+describe("DataSources/OrthometricPositionProperty", function () {
+  const time = JulianDate.now();
+
+  // The geoid is 25 meters above the ellipsoid everywhere
+  const geoid = new Geoid({
+    heights: [25.0, 25.0, 25.0, 25.0],
+    width: 2,
+    height: 2,
+  });
+
+  it("can default construct", function () {
+    const property = new OrthometricPositionProperty();
+    expect(property.isConstant).toBe(true);
+    expect(property.definitionChanged).toBeInstanceOf(Event);
+    expect(property.referenceFrame).toBe(ReferenceFrame.FIXED);
+    expect(property.position).toBeUndefined();
+    expect(property.geoid).toBeUndefined();
+    expect(property.getValue(time)).toBeUndefined();
+  });
+
+  it("can construct with arguments", function () {
+    const position = new SampledPositionProperty();
+    const property = new OrthometricPositionProperty(position, geoid);
+    expect(property.position).toBe(position);
+    expect(property.geoid).toBe(geoid);
+  });
+
+  it("adds the height of the geoid to the height of the position", function () {
+    const property = new OrthometricPositionProperty(
+      new ConstantPositionProperty(Cartesian3.fromDegrees(10.0, 20.0, 100.0)),
+      geoid
+    );
+    const value = property.getValue(time);
+    const cartographic = Cartographic.fromCartesian(value);
+    expect(cartographic).toEqualEpsilon(
+      Cartographic.fromDegrees(10.0, 20.0, 125.0),
+      CesiumMath.EPSILON7
+    );
+
+    const result = new Cartesian3();
+    expect(property.getValue(time, result)).toBe(result);
+    expect(result).toEqual(value);
+  });
+
+  it("returns the position unchanged without a geoid", function () {
+    const position = Cartesian3.fromDegrees(10.0, 20.0, 100.0);
+    const property = new OrthometricPositionProperty(
+      new ConstantPositionProperty(position)
+    );
+    expect(property.getValue(time)).toEqual(position);
+  });
+
+  it("getValueInReferenceFrame converts the position", function () {
+    const property = new OrthometricPositionProperty(
+      new ConstantPositionProperty(Cartesian3.fromDegrees(10.0, 20.0, 100.0)),
+      geoid
+    );
+    const fixed = property.getValue(time);
+    const inertial = property.getValueInReferenceFrame(
+      time,
+      ReferenceFrame.INERTIAL
+    );
+    expect(inertial).toEqualEpsilon(
+      PositionProperty.convertToReferenceFrame(
+        time,
+        fixed,
+        ReferenceFrame.FIXED,
+        ReferenceFrame.INERTIAL
+      ),
+      CesiumMath.EPSILON9
+    );
+  });
+
+  it("returns undefined when the position is undefined", function () {
+    const property = new OrthometricPositionProperty(
+      new SampledPositionProperty(),
+      geoid
+    );
+    expect(property.getValue(time)).toBeUndefined();
+  });
+
+  it("raises definitionChanged event when position or geoid is set", function () {
+    const property = new OrthometricPositionProperty();
+    const listener = jasmine.createSpy("listener");
+    property.definitionChanged.addEventListener(listener);
+
+    const position = new ConstantPositionProperty();
+    property.position = position;
+    expect(listener).toHaveBeenCalledWith(property);
+
+    listener.calls.reset();
+    property.geoid = geoid;
+    expect(listener).toHaveBeenCalledWith(property);
+
+    listener.calls.reset();
+    property.geoid = geoid;
+    expect(listener).not.toHaveBeenCalled();
+
+    position.setValue(Cartesian3.fromDegrees(0.0, 0.0));
+    expect(listener).toHaveBeenCalledWith(property);
+
+    listener.calls.reset();
+    property.position = undefined;
+    expect(listener).toHaveBeenCalledWith(property);
+
+    listener.calls.reset();
+    position.setValue(Cartesian3.fromDegrees(1.0, 0.0));
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it("equals works", function () {
+    const position = new ConstantPositionProperty(Cartesian3.UNIT_X);
+    const left = new OrthometricPositionProperty(position, geoid);
+    let right = new OrthometricPositionProperty(position, geoid);
+    expect(left.equals(right)).toBe(true);
+
+    right = new OrthometricPositionProperty(position);
+    expect(left.equals(right)).toBe(false);
+
+    right = new OrthometricPositionProperty(
+      new ConstantPositionProperty(Cartesian3.UNIT_Y),
+      geoid
+    );
+    expect(left.equals(right)).toBe(false);
+  });
+
+  it("getValueInReferenceFrame throws with no referenceFrame", function () {
+    const property = new OrthometricPositionProperty();
+    expect(function () {
+      property.getValueInReferenceFrame(time);
+    }).toThrowDeveloperError();
+  });
+
+  it("getValue throws with no time", function () {
+    const property = new OrthometricPositionProperty();
+    expect(function () {
+      property.getValue();
+    }).toThrowDeveloperError();
+  });
+});
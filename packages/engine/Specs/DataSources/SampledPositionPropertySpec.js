@@ -209,6 +209,39 @@ describe("DataSources/SampledPositionProperty", function () {
     expect(property.getValue(times[2])).toEqual(values[2]);
   });
 
+  it("gets the next and previous sample times", function () {
+    const times = [
+      new JulianDate(0, 0),
+      new JulianDate(1, 0),
+      new JulianDate(2, 0),
+    ];
+    const values = [
+      new Cartesian3(7, 8, 9),
+      new Cartesian3(18, 19, 110),
+      new Cartesian3(9, 10, 11),
+    ];
+
+    const property = new SampledPositionProperty();
+    property.addSamples(times, values);
+
+    expect(property.getNextSampleTime(times[0])).toEqual(times[1]);
+    expect(property.getNextSampleTime(times[0])).not.toBe(times[1]);
+    expect(property.getNextSampleTime(new JulianDate(0, 10))).toEqual(times[1]);
+    expect(property.getNextSampleTime(new JulianDate(-1, 0))).toEqual(times[0]);
+    expect(property.getNextSampleTime(times[2])).toBeUndefined();
+
+    const result = new JulianDate();
+    expect(property.getPreviousSampleTime(times[2], result)).toBe(result);
+    expect(result).toEqual(times[1]);
+    expect(property.getPreviousSampleTime(new JulianDate(1, 10))).toEqual(
+      times[1]
+    );
+    expect(property.getPreviousSampleTime(new JulianDate(3, 0))).toEqual(
+      times[2]
+    );
+    expect(property.getPreviousSampleTime(times[0])).toBeUndefined();
+  });
+
   it("can remove samples for a time interval", function () {
     const times = [
       new JulianDate(0, 0),
@@ -150,6 +150,35 @@ describe("DataSources/SampledProperty", function () {
     return array;
   }
 
+  it("gets the next and previous sample times", function () {
+    const times = [
+      new JulianDate(0, 0),
+      new JulianDate(1, 0),
+      new JulianDate(2, 0),
+    ];
+    const values = [1, 8, 3];
+
+    const property = new SampledProperty(Number);
+    property.addSamples(times, values);
+
+    expect(property.getNextSampleTime(times[0])).toEqual(times[1]);
+    expect(property.getNextSampleTime(times[0])).not.toBe(times[1]);
+    expect(property.getNextSampleTime(new JulianDate(0, 10))).toEqual(times[1]);
+    expect(property.getNextSampleTime(new JulianDate(-1, 0))).toEqual(times[0]);
+    expect(property.getNextSampleTime(times[2])).toBeUndefined();
+
+    const result = new JulianDate();
+    expect(property.getPreviousSampleTime(times[2], result)).toBe(result);
+    expect(result).toEqual(times[1]);
+    expect(property.getPreviousSampleTime(new JulianDate(1, 10))).toEqual(
+      times[1]
+    );
+    expect(property.getPreviousSampleTime(new JulianDate(3, 0))).toEqual(
+      times[2]
+    );
+    expect(property.getPreviousSampleTime(times[0])).toBeUndefined();
+  });
+
   it("can remove samples for a time interval", function () {
     const times = [
       new JulianDate(0, 0),
@@ -0,0 +1,85 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Color,
+  createContourLineEntities,
+  HeightReference,
+  JulianDate,
+} from "../../index.js";
+
+describe("DataSources/createContourLineEntities", function () {
+  const time = JulianDate.now();
+  const contourLines = [
+    {
+      height: 100.0,
+      positions: [
+        Cartographic.fromDegrees(1.0, 2.0, 100.0),
+        Cartographic.fromDegrees(1.0, 3.0, 100.0),
+        Cartographic.fromDegrees(1.0, 4.0, 100.0),
+      ],
+      closed: false,
+    },
+  ];
+
+  it("throws without contour lines", function () {
+    expect(function () {
+      return createContourLineEntities();
+    }).toThrowDeveloperError();
+  });
+
+  it("creates labeled polylines clamped to the ground", function () {
+    const entities = createContourLineEntities(contourLines);
+    expect(entities.length).toBe(1);
+
+    const entity = entities[0];
+    expect(entity.name).toEqual("100 m");
+    expect(entity.properties.height.getValue(time)).toEqual(100.0);
+    expect(entity.polyline.clampToGround.getValue(time)).toBe(true);
+    expect(entity.polyline.width.getValue(time)).toEqual(2.0);
+    expect(entity.polyline.material.color.getValue(time)).toEqual(Color.WHITE);
+    expect(entity.polyline.positions.getValue(time)).toEqual(
+      Cartesian3.fromDegreesArrayHeights([
+        1.0,
+        2.0,
+        100.0,
+        1.0,
+        3.0,
+        100.0,
+        1.0,
+        4.0,
+        100.0,
+      ])
+    );
+    expect(entity.position.getValue(time)).toEqual(
+      Cartesian3.fromDegrees(1.0, 3.0, 100.0)
+    );
+    expect(entity.label.text.getValue(time)).toEqual("100 m");
+    expect(entity.label.heightReference.getValue(time)).toEqual(
+      HeightReference.CLAMP_TO_GROUND
+    );
+  });
+
+  it("uses options", function () {
+    const entities = createContourLineEntities(contourLines, {
+      material: Color.ORANGE,
+      width: 4.0,
+      clampToGround: false,
+      labelText: function (height) {
+        return `${height / 1000.0} km`;
+      },
+    });
+    const entity = entities[0];
+    expect(entity.name).toEqual("0.1 km");
+    expect(entity.polyline.clampToGround.getValue(time)).toBe(false);
+    expect(entity.polyline.width.getValue(time)).toEqual(4.0);
+    expect(entity.polyline.material.color.getValue(time)).toEqual(Color.ORANGE);
+    expect(entity.label.heightReference.getValue(time)).toEqual(
+      HeightReference.NONE
+    );
+
+    const unlabeled = createContourLineEntities(contourLines, {
+      labels: false,
+    });
+    expect(unlabeled[0].label).toBeUndefined();
+  });
+});
@@ -0,0 +1,418 @@
+import {
+  Cartesian2,
+  Cartesian3,
+  Color,
+  CompositeMaterialProperty,
+  ConstantPositionProperty,
+  CzmlDataSource,
+  Entity,
+  EntityCollection,
+  exportCzml,
+  ExtrapolationType,
+  GridMaterialProperty,
+  HeightReference,
+  JulianDate,
+  LagrangePolynomialApproximation,
+  NearFarScalar,
+  PolygonHierarchy,
+  PolylineOutlineMaterialProperty,
+  ReferenceFrame,
+  ReferenceProperty,
+  SampledPositionProperty,
+  SampledProperty,
+  ShadowMode,
+  StripeMaterialProperty,
+  StripeOrientation,
+  TimeInterval,
+  TimeIntervalCollection,
+  TimeIntervalCollectionProperty,
+  CallbackProperty,
+  ColorMaterialProperty,
+} from "../../index.js";
+
+import { Math as CesiumMath } from "../../index.js";
+
+describe("DataSources/exportCzml", function () {
+  const start = JulianDate.fromIso8601("2024-01-01T00:00:00Z");
+  const middle = JulianDate.fromIso8601("2024-01-01T00:01:00Z");
+  const stop = JulianDate.fromIso8601("2024-01-01T00:02:00Z");
+
+  function exportEntities(entityArray, options) {
+    const entities = new EntityCollection();
+    for (let i = 0; i < entityArray.length; ++i) {
+      entities.add(entityArray[i]);
+    }
+    options = options || {};
+    options.entities = entities;
+    return exportCzml(options);
+  }
+
+  function roundTrip(czml) {
+    return CzmlDataSource.load(JSON.parse(JSON.stringify(czml)));
+  }
+
+  it("throws without entities", function () {
+    expect(function () {
+      exportCzml({});
+    }).toThrowDeveloperError();
+  });
+
+  it("writes the document packet first", function () {
+    const czml = exportEntities([]);
+    expect(czml).toEqual([
+      {
+        id: "document",
+        version: "1.0",
+      },
+    ]);
+  });
+
+  it("writes entity identity, availability and custom properties", function () {
+    const parent = new Entity({
+      id: "parent",
+    });
+    const entity = new Entity({
+      id: "child",
+      name: "Child",
+      parent: parent,
+      show: false,
+      description: "A description",
+      availability: new TimeIntervalCollection([
+        new TimeInterval({
+          start: start,
+          stop: stop,
+        }),
+      ]),
+      properties: {
+        population: 1234,
+        label: "text",
+        active: true,
+        color: Color.RED,
+      },
+    });
+
+    const packet = exportEntities([parent, entity])[2];
+    expect(packet.id).toEqual("child");
+    expect(packet.name).toEqual("Child");
+    expect(packet.parent).toEqual("parent");
+    expect(packet.show).toBe(false);
+    expect(packet.description).toEqual({
+      string: "A description",
+    });
+    expect(packet.availability).toEqual(
+      "2024-01-01T00:00:00Z/2024-01-01T00:02:00Z"
+    );
+    expect(packet.properties).toEqual({
+      population: { number: 1234 },
+      label: { string: "text" },
+      active: { boolean: true },
+      color: { rgbaf: [1, 0, 0, 1] },
+    });
+  });
+
+  it("writes constant positions in their reference frame", function () {
+    const fixed = new Entity({
+      position: new Cartesian3(1, 2, 3),
+    });
+    const inertial = new Entity({
+      position: new ConstantPositionProperty(
+        new Cartesian3(4, 5, 6),
+        ReferenceFrame.INERTIAL
+      ),
+    });
+
+    const czml = exportEntities([fixed, inertial]);
+    expect(czml[1].position).toEqual({
+      cartesian: [1, 2, 3],
+    });
+    expect(czml[2].position).toEqual({
+      cartesian: [4, 5, 6],
+      referenceFrame: "INERTIAL",
+    });
+  });
+
+  it("writes sampled positions as samples", function () {
+    const position = new SampledPositionProperty();
+    position.addSample(start, new Cartesian3(1, 2, 3));
+    position.addSample(stop, new Cartesian3(4, 5, 6));
+    position.setInterpolationOptions({
+      interpolationAlgorithm: LagrangePolynomialApproximation,
+      interpolationDegree: 5,
+    });
+    position.forwardExtrapolationType = ExtrapolationType.HOLD;
+
+    const packet = exportEntities([
+      new Entity({
+        position: position,
+      }),
+    ])[1];
+
+    expect(packet.position).toEqual({
+      epoch: "2024-01-01T00:00:00Z",
+      cartesian: [0, 1, 2, 3, 120, 4, 5, 6],
+      interpolationAlgorithm: "LAGRANGE",
+      interpolationDegree: 5,
+      forwardExtrapolationType: "HOLD",
+    });
+  });
+
+  it("samples time-dynamic properties over the availability", function () {
+    const entity = new Entity({
+      availability: new TimeIntervalCollection([
+        new TimeInterval({
+          start: start,
+          stop: stop,
+        }),
+      ]),
+      position: new CallbackProperty(function (time) {
+        const seconds = JulianDate.secondsDifference(time, start);
+        return new Cartesian3(seconds, 0, 0);
+      }, false),
+      point: {
+        pixelSize: new CallbackProperty(function (time) {
+          return JulianDate.secondsDifference(time, start) / 10;
+        }, false),
+      },
+    });
+
+    const packet = exportEntities([entity], {
+      sampleDuration: 60,
+    })[1];
+    expect(packet.position).toEqual({
+      epoch: "2024-01-01T00:00:00Z",
+      cartesian: [0, 0, 0, 0, 60, 60, 0, 0, 120, 120, 0, 0],
+    });
+    expect(packet.point.pixelSize).toEqual({
+      epoch: "2024-01-01T00:00:00Z",
+      number: [0, 0, 60, 6, 120, 12],
+    });
+  });
+
+  it("writes sampled and interval properties", function () {
+    const scale = new SampledProperty(Number);
+    scale.addSample(start, 1.0);
+    scale.addSample(stop, 2.0);
+
+    const color = new TimeIntervalCollectionProperty();
+    color.intervals.addInterval(
+      new TimeInterval({
+        start: start,
+        stop: middle,
+        data: Color.RED,
+      })
+    );
+    color.intervals.addInterval(
+      new TimeInterval({
+        start: middle,
+        stop: stop,
+        isStartIncluded: false,
+        data: Color.BLUE,
+      })
+    );
+
+    const packet = exportEntities([
+      new Entity({
+        position: Cartesian3.ZERO,
+        billboard: {
+          image: "icon.png",
+          scale: scale,
+          color: color,
+          heightReference: HeightReference.CLAMP_TO_GROUND,
+          scaleByDistance: new NearFarScalar(1, 2, 3, 4),
+        },
+      }),
+    ])[1];
+
+    expect(packet.billboard).toEqual({
+      image: { uri: "icon.png" },
+      scale: {
+        epoch: "2024-01-01T00:00:00Z",
+        number: [0, 1, 120, 2],
+        interpolationAlgorithm: "LINEAR",
+        interpolationDegree: 1,
+      },
+      color: [
+        {
+          interval: "2024-01-01T00:00:00Z/2024-01-01T00:01:00Z",
+          rgbaf: [1, 0, 0, 1],
+        },
+        {
+          interval: "2024-01-01T00:01:00Z/2024-01-01T00:02:00Z",
+          rgbaf: [0, 0, 1, 1],
+        },
+      ],
+      heightReference: { heightReference: "CLAMP_TO_GROUND" },
+      scaleByDistance: { nearFarScalar: [1, 2, 3, 4] },
+    });
+  });
+
+  it("writes references", function () {
+    const target = new Entity({
+      id: "target",
+      position: new Cartesian3(1, 2, 3),
+    });
+    const entities = new EntityCollection();
+    entities.add(target);
+    entities.add(
+      new Entity({
+        id: "source",
+        position: new ReferenceProperty(entities, "target", ["position"]),
+      })
+    );
+
+    const czml = exportCzml({
+      entities: entities,
+    });
+    expect(czml[2].position).toEqual({
+      reference: "target#position",
+    });
+  });
+
+  it("writes materials", function () {
+    const material = new CompositeMaterialProperty();
+    material.intervals.addInterval(
+      new TimeInterval({
+        start: start,
+        stop: middle,
+        data: new GridMaterialProperty({
+          color: Color.WHITE,
+          lineCount: new Cartesian2(4, 8),
+        }),
+      })
+    );
+
+    const czml = exportEntities([
+      new Entity({
+        polyline: {
+          positions: [new Cartesian3(1, 2, 3), new Cartesian3(4, 5, 6)],
+          material: new PolylineOutlineMaterialProperty({
+            color: Color.RED,
+            outlineWidth: 2,
+          }),
+        },
+      }),
+      new Entity({
+        position: Cartesian3.ZERO,
+        ellipse: {
+          semiMajorAxis: 10,
+          semiMinorAxis: 5,
+          material: new StripeMaterialProperty({
+            orientation: StripeOrientation.VERTICAL,
+            repeat: 4,
+          }),
+          shadows: ShadowMode.ENABLED,
+        },
+      }),
+      new Entity({
+        position: Cartesian3.ZERO,
+        box: {
+          dimensions: new Cartesian3(1, 1, 1),
+          material: material,
+        },
+      }),
+    ]);
+
+    expect(czml[1].polyline.positions).toEqual({
+      cartesian: [1, 2, 3, 4, 5, 6],
+    });
+    expect(czml[1].polyline.material).toEqual({
+      polylineOutline: {
+        color: { rgbaf: [1, 0, 0, 1] },
+        outlineWidth: { number: 2 },
+      },
+    });
+    expect(czml[2].ellipse.material).toEqual({
+      stripe: {
+        orientation: { stripeOrientation: "VERTICAL" },
+        repeat: { number: 4 },
+      },
+    });
+    expect(czml[2].ellipse.shadows).toEqual({
+      shadowMode: "ENABLED",
+    });
+    expect(czml[3].box.material).toEqual([
+      {
+        interval: "2024-01-01T00:00:00Z/2024-01-01T00:01:00Z",
+        grid: {
+          color: { rgbaf: [1, 1, 1, 1] },
+          lineCount: { cartesian2: [4, 8] },
+        },
+      },
+    ]);
+  });
+
+  it("writes polygon hierarchies with holes", function () {
+    const outer = Cartesian3.fromDegreesArray([0, 0, 10, 0, 10, 10, 0, 10]);
+    const hole = Cartesian3.fromDegreesArray([2, 2, 4, 2, 4, 4]);
+    const packet = exportEntities([
+      new Entity({
+        polygon: {
+          hierarchy: new PolygonHierarchy(outer, [new PolygonHierarchy(hole)]),
+        },
+      }),
+    ])[1];
+
+    expect(packet.polygon.positions.cartesian.length).toBe(12);
+    expect(packet.polygon.holes.cartesian.length).toBe(1);
+    expect(packet.polygon.holes.cartesian[0].length).toBe(9);
+  });
+
+  it("round trips through CzmlDataSource", function () {
+    const position = new SampledPositionProperty();
+    position.addSample(start, new Cartesian3(1, 2, 3));
+    position.addSample(stop, new Cartesian3(4, 5, 6));
+
+    const outer = Cartesian3.fromDegreesArray([0, 0, 10, 0, 10, 10, 0, 10]);
+    const hole = Cartesian3.fromDegreesArray([2, 2, 4, 2, 4, 4]);
+
+    const czml = exportEntities([
+      new Entity({
+        id: "moving",
+        name: "Moving",
+        position: position,
+        point: {
+          color: Color.YELLOW,
+          pixelSize: 7,
+        },
+        label: {
+          text: "hello",
+        },
+        properties: {
+          population: 10,
+        },
+      }),
+      new Entity({
+        id: "area",
+        polygon: {
+          hierarchy: new PolygonHierarchy(outer, [new PolygonHierarchy(hole)]),
+          material: new ColorMaterialProperty(Color.GREEN.withAlpha(0.5)),
+          extrudedHeight: 100,
+        },
+      }),
+    ]);
+
+    return roundTrip(czml).then(function (dataSource) {
+      const entities = dataSource.entities;
+      const moving = entities.getById("moving");
+      expect(moving.name).toEqual("Moving");
+      expect(moving.position).toBeInstanceOf(SampledPositionProperty);
+      expect(moving.position.getValue(middle)).toEqualEpsilon(
+        new Cartesian3(2.5, 3.5, 4.5),
+        CesiumMath.EPSILON9
+      );
+      expect(moving.point.color.getValue(start)).toEqual(Color.YELLOW);
+      expect(moving.point.pixelSize.getValue(start)).toEqual(7);
+      expect(moving.label.text.getValue(start)).toEqual("hello");
+      expect(moving.properties.population.getValue(start)).toEqual(10);
+
+      const area = entities.getById("area");
+      const hierarchy = area.polygon.hierarchy.getValue(start);
+      expect(hierarchy.positions).toEqual(outer);
+      expect(hierarchy.holes[0].positions).toEqual(hole);
+      expect(area.polygon.material.color.getValue(start)).toEqual(
+        Color.GREEN.withAlpha(0.5)
+      );
+      expect(area.polygon.extrudedHeight.getValue(start)).toEqual(100);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+import {
+  Cartesian3,
+  Color,
+  ColorMaterialProperty,
+  Entity,
+  EntityCollection,
+  exportGeoJson,
+  GeoJsonDataSource,
+  JulianDate,
+  PolygonHierarchy,
+  Rectangle,
+  SampledPositionProperty,
+} from "../../index.js";
+
+import { Math as CesiumMath } from "../../index.js";
+
+describe("DataSources/exportGeoJson", function () {
+  function exportEntities(entityArray, options) {
+    const entities = new EntityCollection();
+    for (let i = 0; i < entityArray.length; ++i) {
+      entities.add(entityArray[i]);
+    }
+    options = options || {};
+    options.entities = entities;
+    return exportGeoJson(options);
+  }
+
+  function expectCoordinates(actual, expected) {
+    expect(actual.length).toEqual(expected.length);
+    for (let i = 0; i < expected.length; ++i) {
+      expect(actual[i].length).toEqual(expected[i].length);
+      for (let j = 0; j < expected[i].length; ++j) {
+        expect(actual[i][j]).toEqualEpsilon(
+          expected[i][j],
+          CesiumMath.EPSILON7
+        );
+      }
+    }
+  }
+
+  it("throws without entities", function () {
+    expect(function () {
+      exportGeoJson({});
+    }).toThrowDeveloperError();
+  });
+
+  it("writes a FeatureCollection", function () {
+    const geoJson = exportEntities([]);
+    expect(geoJson).toEqual({
+      type: "FeatureCollection",
+      features: [],
+    });
+  });
+
+  it("writes points with properties", function () {
+    const geoJson = exportEntities([
+      new Entity({
+        id: "point",
+        name: "A point",
+        description: "Some text",
+        position: Cartesian3.fromDegrees(10, 20, 30),
+        point: {
+          color: Color.RED,
+        },
+        properties: {
+          population: 1234,
+          city: "Springfield",
+        },
+      }),
+    ]);
+
+    const feature = geoJson.features[0];
+    expect(feature.type).toEqual("Feature");
+    expect(feature.id).toEqual("point");
+    expect(feature.geometry.type).toEqual("Point");
+    expectCoordinates([feature.geometry.coordinates], [[10, 20, 30]]);
+    expect(feature.properties).toEqual({
+      population: 1234,
+      city: "Springfield",
+      title: "A point",
+      description: "Some text",
+      "marker-color": "#ff0000",
+    });
+  });
+
+  it("omits heights when all positions are on the ellipsoid", function () {
+    const geoJson = exportEntities([
+      new Entity({
+        polyline: {
+          positions: Cartesian3.fromDegreesArray([0, 0, 1, 1]),
+          width: 3,
+          material: Color.BLUE.withAlpha(0.5),
+        },
+      }),
+    ]);
+
+    const feature = geoJson.features[0];
+    expect(feature.geometry.type).toEqual("LineString");
+    expectCoordinates(feature.geometry.coordinates, [
+      [0, 0],
+      [1, 1],
+    ]);
+    expect(feature.properties).toEqual({
+      stroke: "#0000ff",
+      "stroke-opacity": 0.5,
+      "stroke-width": 3,
+    });
+  });
+
+  it("writes polygons with holes as closed rings", function () {
+    const geoJson = exportEntities([
+      new Entity({
+        polygon: {
+          hierarchy: new PolygonHierarchy(
+            Cartesian3.fromDegreesArray([0, 0, 10, 0, 10, 10, 0, 10]),
+            [
+              new PolygonHierarchy(
+                Cartesian3.fromDegreesArray([2, 2, 4, 2, 4, 4])
+              ),
+            ]
+          ),
+          material: Color.GREEN,
+          outline: true,
+          outlineColor: Color.BLACK,
+        },
+      }),
+    ]);
+
+    const feature = geoJson.features[0];
+    expect(feature.geometry.type).toEqual("Polygon");
+    const rings = feature.geometry.coordinates;
+    expect(rings.length).toBe(2);
+    expectCoordinates(rings[0], [
+      [0, 0],
+      [10, 0],
+      [10, 10],
+      [0, 10],
+      [0, 0],
+    ]);
+    expectCoordinates(rings[1], [
+      [2, 2],
+      [4, 2],
+      [4, 4],
+      [2, 2],
+    ]);
+    expect(feature.properties.fill).toEqual("#008000");
+    expect(feature.properties["fill-opacity"]).toEqual(1);
+    expect(feature.properties.stroke).toEqual("#000000");
+  });
+
+  it("writes rectangles as polygons", function () {
+    const geoJson = exportEntities([
+      new Entity({
+        rectangle: {
+          coordinates: Rectangle.fromDegrees(0, 0, 2, 1),
+        },
+      }),
+    ]);
+
+    const geometry = geoJson.features[0].geometry;
+    expect(geometry.type).toEqual("Polygon");
+    expectCoordinates(geometry.coordinates[0], [
+      [0, 0],
+      [2, 0],
+      [2, 1],
+      [0, 1],
+      [0, 0],
+    ]);
+  });
+
+  it("writes a GeometryCollection for entities with several geometries", function () {
+    const geoJson = exportEntities([
+      new Entity({
+        position: Cartesian3.fromDegrees(5, 5),
+        label: {
+          text: "label",
+        },
+        polyline: {
+          positions: Cartesian3.fromDegreesArray([0, 0, 1, 1]),
+        },
+      }),
+    ]);
+
+    const geometry = geoJson.features[0].geometry;
+    expect(geometry.type).toEqual("GeometryCollection");
+    expect(geometry.geometries[0].type).toEqual("Point");
+    expect(geometry.geometries[1].type).toEqual("LineString");
+  });
+
+  it("writes a null geometry for entities without graphics", function () {
+    const geoJson = exportEntities([
+      new Entity({
+        id: "empty",
+      }),
+    ]);
+
+    expect(geoJson.features[0].geometry).toBeNull();
+  });
+
+  it("uses values at the given time", function () {
+    const start = JulianDate.fromIso8601("2024-01-01T00:00:00Z");
+    const stop = JulianDate.fromIso8601("2024-01-01T00:02:00Z");
+    const position = new SampledPositionProperty();
+    position.addSample(start, Cartesian3.fromDegrees(0, 0));
+    position.addSample(stop, Cartesian3.fromDegrees(0, 0, 100));
+
+    const geoJson = exportEntities(
+      [
+        new Entity({
+          position: position,
+          point: {},
+        }),
+      ],
+      {
+        time: stop,
+      }
+    );
+
+    expectCoordinates(
+      [geoJson.features[0].geometry.coordinates],
+      [[0, 0, 100]]
+    );
+  });
+
+  it("round trips through GeoJsonDataSource", function () {
+    const geoJson = exportEntities([
+      new Entity({
+        id: "line",
+        name: "Line",
+        polyline: {
+          positions: Cartesian3.fromDegreesArray([0, 0, 1, 1]),
+          width: 4,
+          material: new ColorMaterialProperty(Color.RED),
+        },
+        properties: {
+          kind: "road",
+        },
+      }),
+    ]);
+
+    return GeoJsonDataSource.load(JSON.parse(JSON.stringify(geoJson))).then(
+      function (dataSource) {
+        const entity = dataSource.entities.getById("line");
+        expect(entity.name).toEqual("Line");
+        expect(entity.properties.kind.getValue()).toEqual("road");
+        expect(entity.polyline.width.getValue()).toEqual(4);
+        expect(entity.polyline.material.color.getValue()).toEqual(Color.RED);
+        expect(entity.polyline.positions.getValue().length).toBe(2);
+      }
+    );
+  });
+});
@@ -2090,6 +2090,20 @@ describe(
       }).contextToRender();
     });
 
+    it("has czm_pass and czm_passGaussianSplats", function () {
+      const us = context.uniformState;
+      us.updatePass(Pass.GAUSSIAN_SPLATS);
+
+      const fs =
+        "void main() { " +
+        "  out_FragColor = vec4(czm_pass == czm_passGaussianSplats);" +
+        "}";
+      expect({
+        context: context,
+        fragmentShader: fs,
+      }).contextToRender();
+    });
+
     it("has czm_pass and czm_passOverlay", function () {
       const us = context.uniformState;
       us.updatePass(Pass.OVERLAY);
@@ -0,0 +1,134 @@
+import {
+  Cartesian3,
+  Cartographic,
+  ClippingPolygon,
+  Color,
+  ExcavationPrimitive,
+  GeographicTilingScheme,
+  Material,
+  Math as CesiumMath,
+} from "../../index.js";
+
+describe("Scene/ExcavationPrimitive", function () {
+  const positions = Cartesian3.fromDegreesArrayHeights([
+    0.0,
+    0.0,
+    100.0,
+    0.001,
+    0.0,
+    110.0,
+    0.001,
+    0.001,
+    120.0,
+    0.0,
+    0.001,
+    105.0,
+  ]);
+
+  it("constructor throws without positions", function () {
+    expect(function () {
+      return new ExcavationPrimitive();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new ExcavationPrimitive({
+        positions: positions.slice(0, 2),
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("constructor sets default values", function () {
+    const excavation = new ExcavationPrimitive({
+      positions: positions,
+    });
+    expect(excavation.positions).toEqual(positions);
+    expect(excavation.bottomHeight).toEqualEpsilon(90.0, CesiumMath.EPSILON6);
+    expect(excavation.show).toBe(true);
+    expect(excavation.id).toBeUndefined();
+    expect(excavation.wallMaterial.type).toEqual(Material.ColorType);
+    expect(excavation.bottomMaterial.type).toEqual(Material.ColorType);
+
+    const clippingPolygon = excavation.clippingPolygon;
+    expect(clippingPolygon).toBeInstanceOf(ClippingPolygon);
+    expect(clippingPolygon.positions).toEqual(positions);
+  });
+
+  it("constructor uses options", function () {
+    const wallMaterial = Material.fromType(Material.ColorType, {
+      color: Color.RED,
+    });
+    const bottomMaterial = Material.fromType(Material.ColorType, {
+      color: Color.BLUE,
+    });
+    let excavation = new ExcavationPrimitive({
+      positions: positions,
+      depth: 25.0,
+      wallMaterial: wallMaterial,
+      bottomMaterial: bottomMaterial,
+      show: false,
+      id: "pit",
+    });
+    expect(excavation.bottomHeight).toEqualEpsilon(75.0, CesiumMath.EPSILON6);
+    expect(excavation.wallMaterial).toBe(wallMaterial);
+    expect(excavation.bottomMaterial).toBe(bottomMaterial);
+    expect(excavation.show).toBe(false);
+    expect(excavation.id).toEqual("pit");
+
+    excavation = new ExcavationPrimitive({
+      positions: positions,
+      depth: 25.0,
+      bottomHeight: 50.0,
+    });
+    expect(excavation.bottomHeight).toEqual(50.0);
+  });
+
+  it("fromTerrainAsync samples the heights of the terrain along the boundary", async function () {
+    const terrainData = {
+      interpolateHeight: function (rectangle, longitude, latitude) {
+        return 200.0 + CesiumMath.toDegrees(longitude) * 10000.0;
+      },
+    };
+    const terrainProvider = {
+      tilingScheme: new GeographicTilingScheme(),
+      availability: {
+        computeMaximumLevelAtPosition: function () {
+          return 10;
+        },
+      },
+      requestTileGeometry: function () {
+        return Promise.resolve(terrainData);
+      },
+    };
+
+    const excavation = await ExcavationPrimitive.fromTerrainAsync(
+      terrainProvider,
+      {
+        positions: Cartesian3.fromDegreesArray([
+          0.0,
+          0.0,
+          0.001,
+          0.0,
+          0.001,
+          0.001,
+          0.0,
+          0.001,
+        ]),
+        sampleDistance: 20.0,
+        depth: 5.0,
+        id: "pit",
+      }
+    );
+
+    // Each side of about 111 meters is divided into 6 segments
+    const excavationPositions = excavation.positions;
+    expect(excavationPositions.length).toBe(4 * 6);
+    for (let i = 0; i < excavationPositions.length; ++i) {
+      const cartographic = Cartographic.fromCartesian(excavationPositions[i]);
+      expect(cartographic.height).toEqualEpsilon(
+        200.0 + CesiumMath.toDegrees(cartographic.longitude) * 10000.0,
+        CesiumMath.EPSILON3
+      );
+    }
+    expect(excavation.bottomHeight).toEqualEpsilon(195.0, CesiumMath.EPSILON3);
+    expect(excavation.id).toEqual("pit");
+  });
+});
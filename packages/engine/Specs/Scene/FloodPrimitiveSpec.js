@@ -0,0 +1,296 @@
+import {
+  Cartesian3,
+  Color,
+  defaultValue,
+  Ellipsoid,
+  FloodPrimitive,
+  GeographicTilingScheme,
+  JulianDate,
+  Material,
+  Math as CesiumMath,
+  Matrix4,
+  PolygonHierarchy,
+  Primitive,
+  SampledProperty,
+  SceneMode,
+} from "../../index.js";
+
+describe("Scene/FloodPrimitive", function () {
+  // About 1113 meters on each side at the equator
+  const positions = Cartesian3.fromDegreesArray([
+    0.0,
+    0.0,
+    0.01,
+    0.0,
+    0.01,
+    0.01,
+    0.0,
+    0.01,
+  ]);
+  const side = CesiumMath.toRadians(0.01) * 6378137.0;
+
+  // Terrain rising from 0 meters at the west edge to 100 meters at the east edge
+  function createTerrainProvider() {
+    const terrainData = {
+      interpolateHeight: function (rectangle, longitude, latitude) {
+        return (CesiumMath.toDegrees(longitude) / 0.01) * 100.0;
+      },
+    };
+    return {
+      tilingScheme: new GeographicTilingScheme(),
+      availability: {
+        computeMaximumLevelAtPosition: function () {
+          return 10;
+        },
+      },
+      requestTileGeometry: jasmine
+        .createSpy("requestTileGeometry")
+        .and.returnValue(Promise.resolve(terrainData)),
+    };
+  }
+
+  it("constructor throws without a polygon", function () {
+    expect(function () {
+      return new FloodPrimitive();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new FloodPrimitive({
+        polygonHierarchy: positions.slice(0, 2),
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("constructor sets default values", function () {
+    const flood = new FloodPrimitive({
+      polygonHierarchy: positions,
+    });
+    expect(flood.polygonHierarchy).toBeInstanceOf(PolygonHierarchy);
+    expect(flood.polygonHierarchy.positions).toBe(positions);
+    expect(flood.height).toEqual(0.0);
+    expect(flood.show).toBe(true);
+    expect(flood.id).toBeUndefined();
+    expect(flood.material.type).toEqual(Material.WaterType);
+    expect(flood.currentHeight).toBeUndefined();
+  });
+
+  it("constructor uses options", function () {
+    const polygonHierarchy = new PolygonHierarchy(positions);
+    const material = Material.fromType(Material.ColorType, {
+      color: Color.BLUE,
+    });
+    const flood = new FloodPrimitive({
+      polygonHierarchy: polygonHierarchy,
+      height: 12.0,
+      material: material,
+      show: false,
+      id: "flood",
+    });
+    expect(flood.polygonHierarchy).toBe(polygonHierarchy);
+    expect(flood.height).toEqual(12.0);
+    expect(flood.material).toBe(material);
+    expect(flood.show).toBe(false);
+    expect(flood.id).toEqual("flood");
+  });
+
+  function createFrameState(time, mode) {
+    return {
+      time: time,
+      mode: defaultValue(mode, SceneMode.SCENE3D),
+    };
+  }
+
+  it("update moves the water surface to a changing water level without rebuilding it", function () {
+    spyOn(Primitive.prototype, "update");
+    const start = JulianDate.fromIso8601("2024-06-01T00:00:00Z");
+    const stop = JulianDate.fromIso8601("2024-06-02T00:00:00Z");
+    const height = new SampledProperty(Number);
+    height.addSample(start, 10.0);
+    height.addSample(stop, 110.0);
+
+    const flood = new FloodPrimitive({
+      polygonHierarchy: positions,
+      height: height,
+    });
+    flood.update(createFrameState(start));
+    const primitive = flood._primitive;
+    expect(flood.currentHeight).toEqual(10.0);
+    expect(primitive.modelMatrix).toEqual(Matrix4.IDENTITY);
+
+    flood.update(
+      createFrameState(JulianDate.fromIso8601("2024-06-01T12:00:00Z"))
+    );
+    expect(flood._primitive).toBe(primitive);
+    expect(flood.currentHeight).toEqualEpsilon(60.0, CesiumMath.EPSILON10);
+
+    const normal = Ellipsoid.WGS84.geodeticSurfaceNormal(
+      Cartesian3.fromDegrees(0.005, 0.005)
+    );
+    const translation = Matrix4.getTranslation(
+      primitive.modelMatrix,
+      new Cartesian3()
+    );
+    expect(translation).toEqualEpsilon(
+      Cartesian3.multiplyByScalar(normal, 50.0, new Cartesian3()),
+      1.0e-3
+    );
+    expect(Primitive.prototype.update).toHaveBeenCalledTimes(2);
+  });
+
+  it("update rebuilds the water surface when the id changes", function () {
+    spyOn(Primitive.prototype, "update");
+    const flood = new FloodPrimitive({
+      polygonHierarchy: positions,
+      height: 5.0,
+    });
+    const time = JulianDate.now();
+    flood.update(createFrameState(time));
+    const primitive = flood._primitive;
+    flood.update(createFrameState(time));
+    expect(flood._primitive).toBe(primitive);
+
+    flood.id = "flood";
+    flood.update(createFrameState(time));
+    expect(flood._primitive).not.toBe(primitive);
+    expect(primitive.isDestroyed()).toBe(true);
+  });
+
+  it("update rebuilds the water surface at a changing water level in Columbus view", function () {
+    spyOn(Primitive.prototype, "update");
+    const flood = new FloodPrimitive({
+      polygonHierarchy: positions,
+      height: 5.0,
+    });
+    const time = JulianDate.now();
+    flood.update(createFrameState(time, SceneMode.COLUMBUS_VIEW));
+    const primitive = flood._primitive;
+
+    flood.height = 8.0;
+    flood.update(createFrameState(time, SceneMode.COLUMBUS_VIEW));
+    expect(flood._primitive).not.toBe(primitive);
+    expect(flood._primitive.modelMatrix).toEqual(Matrix4.IDENTITY);
+    expect(flood.currentHeight).toEqual(8.0);
+
+    const rebuilt = flood._primitive;
+    flood.height = 9.0;
+    flood.update(createFrameState(time, SceneMode.SCENE2D));
+    expect(flood._primitive).toBe(rebuilt);
+    expect(flood._primitive.modelMatrix).toEqual(Matrix4.IDENTITY);
+  });
+
+  it("update does nothing when not shown", function () {
+    spyOn(Primitive.prototype, "update");
+    const flood = new FloodPrimitive({
+      polygonHierarchy: positions,
+      show: false,
+    });
+    flood.update(createFrameState(JulianDate.now()));
+    expect(flood._primitive).toBeUndefined();
+    expect(Primitive.prototype.update).not.toHaveBeenCalled();
+  });
+
+  it("computeFloodedAreaAndVolume throws without a terrain provider", async function () {
+    const flood = new FloodPrimitive({
+      polygonHierarchy: positions,
+    });
+    await expectAsync(
+      flood.computeFloodedAreaAndVolume()
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("computeFloodedAreaAndVolume computes the area and volume below the water level", async function () {
+    const flood = new FloodPrimitive({
+      polygonHierarchy: positions,
+      height: 50.0,
+    });
+    const result = await flood.computeFloodedAreaAndVolume(
+      createTerrainProvider()
+    );
+
+    // The western half of the polygon is flooded, with water from 50 meters deep to 0 meters deep
+    const area = side * side;
+    expect(result.height).toEqual(50.0);
+    expect(result.sampleCount).toBeGreaterThan(3000);
+    expect(result.area).toEqualEpsilon(area / 2.0, area * 0.02);
+    expect(result.volume).toEqualEpsilon(
+      (area / 2.0) * 25.0,
+      area * 25.0 * 0.02
+    );
+    expect(result.maximumDepth).toBeGreaterThan(49.0);
+    expect(result.maximumDepth).toBeLessThanOrEqual(50.0);
+  });
+
+  it("computeFloodedAreaAndVolume reuses terrain samples", async function () {
+    const terrainProvider = createTerrainProvider();
+    const flood = new FloodPrimitive({
+      polygonHierarchy: positions,
+    });
+
+    const dry = await flood.computeFloodedAreaAndVolume(terrainProvider, {
+      height: -1.0,
+      sampleSpacing: 100.0,
+    });
+    expect(dry.area).toEqual(0.0);
+    expect(dry.volume).toEqual(0.0);
+    expect(dry.sampleCount).toBeGreaterThan(100);
+    const requestCount = terrainProvider.requestTileGeometry.calls.count();
+    expect(requestCount).toBeGreaterThan(0);
+
+    const flooded = await flood.computeFloodedAreaAndVolume(terrainProvider, {
+      height: 200.0,
+      sampleSpacing: 100.0,
+    });
+    expect(flooded.sampleCount).toBe(dry.sampleCount);
+    expect(flooded.area).toEqual(flooded.sampleCount * 100.0 * 100.0);
+    expect(terrainProvider.requestTileGeometry.calls.count()).toBe(
+      requestCount
+    );
+  });
+
+  it("computeFloodedAreaAndVolume excludes holes", async function () {
+    const hole = Cartesian3.fromDegreesArray([
+      0.0025,
+      0.0025,
+      0.0075,
+      0.0025,
+      0.0075,
+      0.0075,
+      0.0025,
+      0.0075,
+    ]);
+    const flood = new FloodPrimitive({
+      polygonHierarchy: new PolygonHierarchy(positions, [
+        new PolygonHierarchy(hole),
+      ]),
+      height: 200.0,
+    });
+    const result = await flood.computeFloodedAreaAndVolume(
+      createTerrainProvider()
+    );
+    const area = side * side;
+    expect(result.area).toEqualEpsilon(area * 0.75, area * 0.02);
+  });
+
+  it("computeFloodedAreaAndVolume evaluates a time-varying water level", async function () {
+    const start = JulianDate.fromIso8601("2024-06-01T00:00:00Z");
+    const stop = JulianDate.fromIso8601("2024-06-02T00:00:00Z");
+    const height = new SampledProperty(Number);
+    height.addSample(start, 0.0);
+    height.addSample(stop, 100.0);
+
+    const flood = new FloodPrimitive({
+      polygonHierarchy: positions,
+      height: height,
+    });
+    const terrainProvider = createTerrainProvider();
+    const result = await flood.computeFloodedAreaAndVolume(terrainProvider, {
+      time: JulianDate.fromIso8601("2024-06-01T12:00:00Z"),
+    });
+    expect(result.height).toEqualEpsilon(50.0, CesiumMath.EPSILON10);
+
+    await expectAsync(
+      flood.computeFloodedAreaAndVolume(terrainProvider, {
+        time: JulianDate.fromIso8601("2024-06-03T00:00:00Z"),
+      })
+    ).toBeRejectedWithDeveloperError();
+  });
+});
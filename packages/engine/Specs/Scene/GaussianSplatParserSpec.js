@@ -0,0 +1,391 @@
+import {
+  addDefaults,
+  addPipelineExtras,
+  GaussianSplatParser,
+  RuntimeError,
+} from "../../index.js";
+
+describe("Scene/GaussianSplatParser", function () {
+  const SH_C0 = 0.28209479177387814;
+
+  function writeSplat(view, index, splat) {
+    const offset = index * 32;
+    for (let i = 0; i < 3; ++i) {
+      view.setFloat32(offset + i * 4, splat.position[i], true);
+      view.setFloat32(offset + 12 + i * 4, splat.scale[i], true);
+    }
+    for (let i = 0; i < 4; ++i) {
+      view.setUint8(offset + 24 + i, splat.color[i]);
+      view.setUint8(offset + 28 + i, splat.rotation[i]);
+    }
+  }
+
+  function makePly(headerLines, writeBody, bodyByteLength) {
+    const header = `${headerLines.join("\n")}\nend_header\n`;
+    const buffer = new ArrayBuffer(header.length + bodyByteLength);
+    const bytes = new Uint8Array(buffer);
+    for (let i = 0; i < header.length; ++i) {
+      bytes[i] = header.charCodeAt(i);
+    }
+    writeBody(new DataView(buffer, header.length));
+    return buffer;
+  }
+
+  function makeGltf(attributes, matrix) {
+    const names = Object.keys(attributes);
+    let byteLength = 0;
+    for (let i = 0; i < names.length; ++i) {
+      byteLength += attributes[names[i]].values.length * 4;
+    }
+
+    const source = new Uint8Array(byteLength);
+    const floats = new Float32Array(source.buffer);
+    const bufferViews = [];
+    const accessors = [];
+    const primitiveAttributes = {};
+    let offset = 0;
+    for (let i = 0; i < names.length; ++i) {
+      const attribute = attributes[names[i]];
+      floats.set(attribute.values, offset / 4);
+      bufferViews.push({
+        buffer: 0,
+        byteOffset: offset,
+        byteLength: attribute.values.length * 4,
+      });
+      accessors.push({
+        bufferView: i,
+        componentType: 5126,
+        count: attribute.count,
+        type: attribute.type,
+      });
+      primitiveAttributes[names[i]] = i;
+      offset += attribute.values.length * 4;
+    }
+
+    const gltf = {
+      asset: {
+        version: "2.0",
+      },
+      extensionsUsed: ["KHR_gaussian_splatting"],
+      scene: 0,
+      scenes: [{ nodes: [0] }],
+      nodes: [{ mesh: 0, matrix: matrix }],
+      meshes: [
+        {
+          primitives: [
+            {
+              mode: 0,
+              attributes: primitiveAttributes,
+              extensions: {
+                KHR_gaussian_splatting: {},
+              },
+            },
+          ],
+        },
+      ],
+      accessors: accessors,
+      bufferViews: bufferViews,
+      buffers: [{ byteLength: byteLength }],
+    };
+    addPipelineExtras(gltf);
+    addDefaults(gltf);
+    gltf.buffers[0].extras._pipeline.source = source;
+    return gltf;
+  }
+
+  it("parses .splat files", function () {
+    const buffer = new ArrayBuffer(64);
+    const view = new DataView(buffer);
+    writeSplat(view, 0, {
+      position: [1.0, 2.0, 3.0],
+      scale: [1.0, 2.0, 3.0],
+      color: [255, 128, 0, 64],
+      rotation: [255, 128, 128, 128],
+    });
+    // Rotated 180 degrees around the z axis
+    writeSplat(view, 1, {
+      position: [-1.0, 0.0, 0.5],
+      scale: [2.0, 1.0, 1.0],
+      color: [0, 0, 255, 255],
+      rotation: [128, 128, 128, 255],
+    });
+
+    const splats = GaussianSplatParser.parseSplat(buffer);
+    expect(splats.length).toBe(2);
+    expect(splats.positions).toEqual(
+      new Float32Array([1.0, 2.0, 3.0, -1.0, 0.0, 0.5])
+    );
+    expect(splats.colors).toEqual(
+      new Uint8Array([255, 128, 0, 64, 0, 0, 255, 255])
+    );
+
+    const covariances = Array.from(splats.covariances);
+    expect(covariances.slice(0, 6)).toEqualEpsilon(
+      [1.0, 0.0, 0.0, 4.0, 0.0, 9.0],
+      1e-6
+    );
+    expect(covariances.slice(6)).toEqualEpsilon(
+      [4.0, 0.0, 0.0, 1.0, 0.0, 1.0],
+      1e-6
+    );
+  });
+
+  it("parses .splat files with a byte offset", function () {
+    const buffer = new ArrayBuffer(40);
+    writeSplat(new DataView(buffer, 8), 0, {
+      position: [4.0, 5.0, 6.0],
+      scale: [1.0, 1.0, 1.0],
+      color: [1, 2, 3, 4],
+      rotation: [255, 128, 128, 128],
+    });
+
+    const splats = GaussianSplatParser.parseSplat(buffer, 8);
+    expect(splats.length).toBe(1);
+    expect(splats.positions).toEqual(new Float32Array([4.0, 5.0, 6.0]));
+    expect(splats.colors).toEqual(new Uint8Array([1, 2, 3, 4]));
+  });
+
+  it("parseSplat throws for an invalid byte length", function () {
+    expect(function () {
+      GaussianSplatParser.parseSplat(new ArrayBuffer(33));
+    }).toThrowError(RuntimeError);
+  });
+
+  it("parses binary PLY files", function () {
+    const buffer = makePly(
+      [
+        "ply",
+        "format binary_little_endian 1.0",
+        "comment created by a test",
+        "element vertex 1",
+        "property float x",
+        "property float y",
+        "property float z",
+        "property float f_dc_0",
+        "property float f_dc_1",
+        "property float f_dc_2",
+        "property float opacity",
+        "property float scale_0",
+        "property float scale_1",
+        "property float scale_2",
+        "property float rot_0",
+        "property float rot_1",
+        "property float rot_2",
+        "property float rot_3",
+      ],
+      function (view) {
+        const values = [
+          1.0,
+          2.0,
+          3.0,
+          0.5 / SH_C0,
+          0.0,
+          -0.5 / SH_C0,
+          0.0,
+          0.0,
+          Math.log(2.0),
+          Math.log(3.0),
+          2.0,
+          0.0,
+          0.0,
+          0.0,
+        ];
+        for (let i = 0; i < values.length; ++i) {
+          view.setFloat32(i * 4, values[i], true);
+        }
+      },
+      56
+    );
+
+    const splats = GaussianSplatParser.parsePly(buffer);
+    expect(splats.length).toBe(1);
+    expect(splats.positions).toEqual(new Float32Array([1.0, 2.0, 3.0]));
+    // The opacity is passed through a sigmoid
+    expect(splats.colors).toEqual(new Uint8Array([255, 128, 0, 128]));
+    // The rotation quaternion is normalized
+    expect(Array.from(splats.covariances)).toEqualEpsilon(
+      [1.0, 0.0, 0.0, 4.0, 0.0, 9.0],
+      1e-5
+    );
+  });
+
+  it("parses PLY files with colors and other elements before the vertices", function () {
+    const buffer = makePly(
+      [
+        "ply",
+        "format binary_little_endian 1.0",
+        "element camera 1",
+        "property double focal",
+        "element vertex 1",
+        "property float x",
+        "property float y",
+        "property float z",
+        "property float scale_0",
+        "property float scale_1",
+        "property float scale_2",
+        "property uchar red",
+        "property uchar green",
+        "property uchar blue",
+        "property uchar alpha",
+      ],
+      function (view) {
+        view.setFloat64(0, 35.0, true);
+        const values = [7.0, 8.0, 9.0, 0.0, 0.0, 0.0];
+        for (let i = 0; i < values.length; ++i) {
+          view.setFloat32(8 + i * 4, values[i], true);
+        }
+        view.setUint8(32, 10);
+        view.setUint8(33, 20);
+        view.setUint8(34, 30);
+        view.setUint8(35, 40);
+      },
+      36
+    );
+
+    const splats = GaussianSplatParser.parsePly(buffer);
+    expect(splats.length).toBe(1);
+    expect(splats.positions).toEqual(new Float32Array([7.0, 8.0, 9.0]));
+    expect(splats.colors).toEqual(new Uint8Array([10, 20, 30, 40]));
+    expect(Array.from(splats.covariances)).toEqualEpsilon(
+      [1.0, 0.0, 0.0, 1.0, 0.0, 1.0],
+      1e-6
+    );
+  });
+
+  it("parsePly throws for ASCII PLY files", function () {
+    const buffer = makePly(
+      ["ply", "format ascii 1.0", "element vertex 0", "property float x"],
+      function () {},
+      0
+    );
+    expect(function () {
+      GaussianSplatParser.parsePly(buffer);
+    }).toThrowError(RuntimeError);
+  });
+
+  it("parsePly throws when the vertices are missing properties", function () {
+    const buffer = makePly(
+      [
+        "ply",
+        "format binary_little_endian 1.0",
+        "element vertex 1",
+        "property float x",
+        "property float y",
+        "property float z",
+      ],
+      function () {},
+      12
+    );
+    expect(function () {
+      GaussianSplatParser.parsePly(buffer);
+    }).toThrowError(RuntimeError);
+  });
+
+  it("parsePly throws for truncated files", function () {
+    const buffer = makePly(
+      [
+        "ply",
+        "format binary_little_endian 1.0",
+        "element vertex 2",
+        "property float x",
+        "property float y",
+        "property float z",
+        "property float scale_0",
+        "property float scale_1",
+        "property float scale_2",
+      ],
+      function () {},
+      24
+    );
+    expect(function () {
+      GaussianSplatParser.parsePly(buffer);
+    }).toThrowError(RuntimeError);
+  });
+
+  it("hasGaussianSplats checks extensionsUsed", function () {
+    expect(
+      GaussianSplatParser.hasGaussianSplats({
+        extensionsUsed: ["KHR_gaussian_splatting"],
+      })
+    ).toBe(true);
+    expect(
+      GaussianSplatParser.hasGaussianSplats({
+        extensionsUsed: ["KHR_materials_unlit"],
+      })
+    ).toBe(false);
+    expect(GaussianSplatParser.hasGaussianSplats({})).toBe(false);
+  });
+
+  it("parses glTF primitives and applies node transforms", function () {
+    // Translates by (10, 0, 0) and rotates 90 degrees around the z axis
+    const matrix = [
+      0.0,
+      1.0,
+      0.0,
+      0.0,
+      -1.0,
+      0.0,
+      0.0,
+      0.0,
+      0.0,
+      0.0,
+      1.0,
+      0.0,
+      10.0,
+      0.0,
+      0.0,
+      1.0,
+    ];
+    const gltf = makeGltf(
+      {
+        POSITION: {
+          type: "VEC3",
+          count: 1,
+          values: [1.0, 0.0, 0.0],
+        },
+        COLOR_0: {
+          type: "VEC4",
+          count: 1,
+          values: [1.0, 0.0, 0.0, 0.5],
+        },
+        "KHR_gaussian_splatting:SCALE": {
+          type: "VEC3",
+          count: 1,
+          values: [2.0, 1.0, 1.0],
+        },
+        "KHR_gaussian_splatting:ROTATION": {
+          type: "VEC4",
+          count: 1,
+          values: [0.0, 0.0, 0.0, 1.0],
+        },
+      },
+      matrix
+    );
+
+    const splats = GaussianSplatParser.parseGltf(gltf);
+    expect(splats.length).toBe(1);
+    expect(Array.from(splats.positions)).toEqualEpsilon([10.0, 1.0, 0.0], 1e-6);
+    expect(splats.colors).toEqual(new Uint8Array([255, 0, 0, 128]));
+    // The long axis of the splat is rotated from x to y
+    expect(Array.from(splats.covariances)).toEqualEpsilon(
+      [1.0, 0.0, 0.0, 4.0, 0.0, 1.0],
+      1e-6
+    );
+  });
+
+  it("parseGltf throws when primitives are missing attributes", function () {
+    const gltf = makeGltf(
+      {
+        POSITION: {
+          type: "VEC3",
+          count: 1,
+          values: [1.0, 0.0, 0.0],
+        },
+      },
+      undefined
+    );
+    expect(function () {
+      GaussianSplatParser.parseGltf(gltf);
+    }).toThrowError(RuntimeError);
+  });
+});
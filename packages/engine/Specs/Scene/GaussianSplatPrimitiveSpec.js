@@ -0,0 +1,195 @@
+import {
+  Cartesian3,
+  ComputeCommand,
+  DrawCommand,
+  GaussianSplatPrimitive,
+  Matrix4,
+  Pass,
+  Ray,
+} from "../../index.js";
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Scene/GaussianSplatPrimitive",
+  function () {
+    let scene;
+
+    function createSplats() {
+      return {
+        length: 3,
+        positions: new Float32Array([
+          0.0,
+          0.0,
+          0.0,
+          0.0,
+          0.0,
+          10.0,
+          5.0,
+          0.0,
+          0.0,
+        ]),
+        // Splats with a standard deviation of 1 meter
+        covariances: new Float32Array([
+          1.0,
+          0.0,
+          0.0,
+          1.0,
+          0.0,
+          1.0,
+          1.0,
+          0.0,
+          0.0,
+          1.0,
+          0.0,
+          1.0,
+          1.0,
+          0.0,
+          0.0,
+          1.0,
+          0.0,
+          1.0,
+        ]),
+        colors: new Uint8Array([
+          255,
+          0,
+          0,
+          255,
+          0,
+          255,
+          0,
+          255,
+          0,
+          0,
+          255,
+          255,
+        ]),
+      };
+    }
+
+    function supportsSplats() {
+      const context = scene.context;
+      return context.webgl2 && context.colorBufferFloat;
+    }
+
+    beforeEach(function () {
+      scene = createScene();
+      scene.camera.setView({
+        destination: new Cartesian3(0.0, 0.0, 100.0),
+        orientation: {
+          direction: Cartesian3.negate(Cartesian3.UNIT_Z, new Cartesian3()),
+          up: Cartesian3.clone(Cartesian3.UNIT_Y),
+        },
+      });
+    });
+
+    afterEach(function () {
+      scene.destroyForSpecs();
+    });
+
+    it("constructs", function () {
+      const primitive = new GaussianSplatPrimitive({
+        splats: createSplats(),
+      });
+      expect(primitive.length).toBe(3);
+      expect(primitive.ready).toBe(false);
+      expect(primitive.show).toBe(true);
+      expect(primitive.modelMatrix).toEqual(Matrix4.IDENTITY);
+      expect(primitive.boundingSphere.radius).toBeGreaterThanOrEqual(5.0);
+      primitive.destroy();
+    });
+
+    it("throws without splats", function () {
+      expect(function () {
+        return new GaussianSplatPrimitive();
+      }).toThrowDeveloperError();
+    });
+
+    it("sorts the splats and draws them", function () {
+      if (!supportsSplats()) {
+        return;
+      }
+
+      const primitive = new GaussianSplatPrimitive({
+        splats: createSplats(),
+      });
+      const frameState = scene.frameState;
+
+      frameState.commandList.length = 0;
+      primitive.update(frameState);
+      expect(primitive.ready).toBe(true);
+      expect(frameState.commandList.length).toBe(0);
+
+      scene.renderForSpecs();
+      frameState.commandList.length = 0;
+      frameState.passes.render = true;
+      primitive.update(frameState);
+
+      // One depth pass and three bitonic sort steps for four texels
+      const commands = frameState.commandList;
+      expect(commands.length).toBe(5);
+      for (let i = 0; i < 4; ++i) {
+        expect(commands[i]).toBeInstanceOf(ComputeCommand);
+      }
+      expect(commands[4]).toBeInstanceOf(DrawCommand);
+      expect(commands[4].pass).toBe(Pass.GAUSSIAN_SPLATS);
+      expect(commands[4].instanceCount).toBe(3);
+      expect(primitive.texturesByteLength).toBeGreaterThan(0);
+
+      primitive.destroy();
+    });
+
+    it("does not sort again until the view changes", function () {
+      if (!supportsSplats()) {
+        return;
+      }
+
+      const primitive = new GaussianSplatPrimitive({
+        splats: createSplats(),
+      });
+      scene.primitives.add(primitive);
+      scene.renderForSpecs();
+      scene.renderForSpecs();
+      expect(primitive._sorted).toBe(true);
+
+      const frameState = scene.frameState;
+      frameState.commandList.length = 0;
+      primitive.update(frameState);
+      expect(frameState.commandList.length).toBe(1);
+
+      primitive.modelMatrix = Matrix4.fromTranslation(
+        new Cartesian3(1.0, 0.0, 0.0)
+      );
+      frameState.commandList.length = 0;
+      primitive.update(frameState);
+      expect(frameState.commandList.length).toBe(5);
+    });
+
+    it("picks the closest splat along a ray", function () {
+      const primitive = new GaussianSplatPrimitive({
+        splats: createSplats(),
+      });
+      const ray = new Ray(
+        new Cartesian3(0.0, 0.0, 100.0),
+        new Cartesian3(0.0, 0.0, -1.0)
+      );
+      expect(primitive.pick(ray)).toEqual(new Cartesian3(0.0, 0.0, 10.0));
+
+      const missingRay = new Ray(
+        new Cartesian3(0.0, 50.0, 100.0),
+        new Cartesian3(0.0, 0.0, -1.0)
+      );
+      expect(primitive.pick(missingRay)).toBeUndefined();
+      primitive.destroy();
+    });
+
+    it("is destroyed", function () {
+      const primitive = new GaussianSplatPrimitive({
+        splats: createSplats(),
+      });
+      expect(primitive.isDestroyed()).toBe(false);
+      primitive.destroy();
+      expect(primitive.isDestroyed()).toBe(true);
+    });
+  },
+  "WebGL"
+);
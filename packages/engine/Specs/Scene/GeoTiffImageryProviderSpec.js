@@ -0,0 +1,271 @@
+import {
+  GeographicTilingScheme,
+  GeoTiffImageryProvider,
+  ImageryProvider,
+  Math as CesiumMath,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+  WebMercatorProjection,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Scene/GeoTiffImageryProvider", function () {
+  const url = "made/up/image.tif";
+
+  // An RGB image covering the level one tile from 0 to 90 degrees of longitude and latitude at full resolution
+  function createRgbImage(options) {
+    return BinaryFormatTester.createGeoTiff(
+      Object.assign(
+        {
+          width: 256,
+          height: 256,
+          tileWidth: 64,
+          tileHeight: 64,
+          samplesPerPixel: 3,
+          photometric: 2,
+          compression: 8,
+          origin: [0.0, 90.0],
+          resolution: [90.0 / 256, 90.0 / 256],
+          getValue: function (x, y, sample) {
+            return [x, y, 200][sample];
+          },
+        },
+        options
+      )
+    );
+  }
+
+  function getPixel(canvas, x, y) {
+    return Array.from(canvas.getContext("2d").getImageData(x, y, 1, 1).data);
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("conforms to ImageryProvider interface", function () {
+    expect(GeoTiffImageryProvider).toConformToInterface(ImageryProvider);
+  });
+
+  it("fromUrl throws without url", async function () {
+    await expectAsync(
+      GeoTiffImageryProvider.fromUrl()
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("fromUrl creates a geographic provider for EPSG:4326 images", async function () {
+    BinaryFormatTester.serveFile(createRgbImage());
+
+    const provider = await GeoTiffImageryProvider.fromUrl(url);
+    expect(provider.url).toEqual(url);
+    expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+    expect(provider.rectangle).toEqualEpsilon(
+      Rectangle.fromDegrees(0.0, 0.0, 90.0, 90.0),
+      CesiumMath.EPSILON12
+    );
+    expect(provider.tileWidth).toBe(256);
+    expect(provider.tileHeight).toBe(256);
+    expect(provider.minimumLevel).toBe(0);
+    expect(provider.maximumLevel).toBe(1);
+    expect(provider.hasAlphaChannel).toBe(true);
+    expect(provider.tileDiscardPolicy).toBeUndefined();
+    expect(provider.credit).toBeUndefined();
+    expect(provider.errorEvent).toBeDefined();
+  });
+
+  it("fromUrl creates a web mercator provider for EPSG:3857 images", async function () {
+    const halfWorld = Math.PI * 6378137.0;
+    BinaryFormatTester.serveFile(
+      createRgbImage({
+        epsgCode: 3857,
+        origin: [-halfWorld, halfWorld],
+        resolution: [(2.0 * halfWorld) / 256, (2.0 * halfWorld) / 256],
+      })
+    );
+
+    const provider = await GeoTiffImageryProvider.fromUrl(url);
+    expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+    expect(provider.rectangle).toEqualEpsilon(
+      provider.tilingScheme.rectangle,
+      CesiumMath.EPSILON10
+    );
+    expect(provider.maximumLevel).toBe(0);
+  });
+
+  it("fromUrl uses options", async function () {
+    BinaryFormatTester.serveFile(createRgbImage());
+
+    const tilingScheme = new WebMercatorTilingScheme();
+    const rectangle = Rectangle.fromDegrees(10.0, 10.0, 20.0, 20.0);
+    const provider = await GeoTiffImageryProvider.fromUrl(url, {
+      tilingScheme: tilingScheme,
+      rectangle: rectangle,
+      credit: "Orthophoto",
+      tileWidth: 128,
+      tileHeight: 128,
+      minimumLevel: 1,
+      maximumLevel: 5,
+    });
+    expect(provider.tilingScheme).toBe(tilingScheme);
+    expect(provider.rectangle).toEqual(rectangle);
+    expect(provider.credit.html).toEqual("Orthophoto");
+    expect(provider.tileWidth).toBe(128);
+    expect(provider.tileHeight).toBe(128);
+    expect(provider.minimumLevel).toBe(1);
+    expect(provider.maximumLevel).toBe(5);
+  });
+
+  it("fromUrl rejects YCbCr images without JPEG compression", async function () {
+    BinaryFormatTester.serveFile(
+      createRgbImage({
+        photometric: 6,
+      })
+    );
+
+    await expectAsync(
+      GeoTiffImageryProvider.fromUrl(url)
+    ).toBeRejectedWithError(
+      RuntimeError,
+      "YCbCr GeoTIFFs are only supported with JPEG compression."
+    );
+  });
+
+  it("requestImage draws the image", async function () {
+    BinaryFormatTester.serveFile(createRgbImage());
+
+    const provider = await GeoTiffImageryProvider.fromUrl(url);
+    const canvas = await provider.requestImage(2, 0, 1);
+    expect(canvas.width).toBe(256);
+    expect(canvas.height).toBe(256);
+    expect(getPixel(canvas, 0, 0)).toEqual([0, 0, 200, 255]);
+    expect(getPixel(canvas, 10, 20)).toEqual([10, 20, 200, 255]);
+    expect(getPixel(canvas, 255, 128)).toEqual([255, 128, 200, 255]);
+  });
+
+  it("requestImage reads overviews for lower levels", async function () {
+    BinaryFormatTester.serveFile(
+      createRgbImage({
+        overviews: 1,
+      })
+    );
+
+    const provider = await GeoTiffImageryProvider.fromUrl(url);
+    const geoTiff = provider._geoTiff;
+    spyOn(geoTiff, "requestTiles").and.callThrough();
+
+    // The tile from 0 to 180 degrees of longitude, where the image covers the upper left quarter
+    const canvas = await provider.requestImage(1, 0, 0);
+    expect(geoTiff.requestTiles.calls.mostRecent().args[0]).toBe(
+      geoTiff.images[1]
+    );
+    expect(getPixel(canvas, 10, 20)).toEqual([20, 40, 200, 255]);
+    expect(getPixel(canvas, 200, 20)).toEqual([0, 0, 0, 0]);
+    expect(getPixel(canvas, 10, 200)).toEqual([0, 0, 0, 0]);
+  });
+
+  it("requestImage makes no data pixels transparent", async function () {
+    BinaryFormatTester.serveFile(
+      createRgbImage({
+        samplesPerPixel: 1,
+        photometric: 1,
+        compression: 5,
+        noData: 0,
+        getValue: function (x, y) {
+          return x < 128 ? 0 : 50;
+        },
+      })
+    );
+
+    const provider = await GeoTiffImageryProvider.fromUrl(url);
+    const canvas = await provider.requestImage(2, 0, 1);
+    expect(getPixel(canvas, 10, 10)).toEqual([0, 0, 0, 0]);
+    expect(getPixel(canvas, 200, 10)).toEqual([50, 50, 50, 255]);
+  });
+
+  it("requestImage draws palette images", async function () {
+    const colorMap = new Array(3 * 256).fill(0);
+    // Index 1 is red and index 2 is blue
+    colorMap[1] = 65535;
+    colorMap[2 * 256 + 2] = 65535;
+
+    BinaryFormatTester.serveFile(
+      createRgbImage({
+        samplesPerPixel: 1,
+        photometric: 3,
+        colorMap: colorMap,
+        getValue: function (x, y) {
+          return x < 128 ? 1 : 2;
+        },
+      })
+    );
+
+    const provider = await GeoTiffImageryProvider.fromUrl(url);
+    const canvas = await provider.requestImage(2, 0, 1);
+    expect(getPixel(canvas, 10, 10)).toEqual([255, 0, 0, 255]);
+    expect(getPixel(canvas, 200, 10)).toEqual([0, 0, 255, 255]);
+  });
+
+  it("requestImage reprojects EPSG:4326 images to web mercator tiles", async function () {
+    // Rows of the image encode the row index, so the drawn value gives the latitude that was sampled
+    BinaryFormatTester.serveFile(
+      BinaryFormatTester.createGeoTiff({
+        width: 256,
+        height: 256,
+        tileWidth: 64,
+        tileHeight: 64,
+        origin: [-180.0, 90.0],
+        resolution: [360.0 / 256, 180.0 / 256],
+        getValue: function (x, y) {
+          return y;
+        },
+      })
+    );
+
+    const provider = await GeoTiffImageryProvider.fromUrl(url, {
+      tilingScheme: new WebMercatorTilingScheme(),
+    });
+    const canvas = await provider.requestImage(0, 0, 0);
+
+    const rows = [0, 40, 100, 160, 220, 255];
+    for (let i = 0; i < rows.length; ++i) {
+      const row = rows[i];
+      const mercatorAngle = Math.PI * (1.0 - (2.0 * (row + 0.5)) / 256);
+      const latitude = CesiumMath.toDegrees(
+        WebMercatorProjection.mercatorAngleToGeodeticLatitude(mercatorAngle)
+      );
+      const sourceRow = Math.floor((90.0 - latitude) / (180.0 / 256));
+      expect(getPixel(canvas, 128, row)).toEqual([
+        sourceRow,
+        sourceRow,
+        sourceRow,
+        255,
+      ]);
+    }
+  });
+
+  it("requestImage returns undefined when the request is throttled", async function () {
+    BinaryFormatTester.serveFile(createRgbImage());
+
+    const provider = await GeoTiffImageryProvider.fromUrl(url);
+    await provider.requestImage(2, 0, 1);
+
+    spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(undefined);
+    expect(provider.requestImage(2, 0, 1)).toBeUndefined();
+  });
+
+  it("pickFeatures returns undefined", async function () {
+    BinaryFormatTester.serveFile(createRgbImage());
+
+    const provider = await GeoTiffImageryProvider.fromUrl(url);
+    expect(provider.pickFeatures(2, 0, 1, 0.5, 0.5)).toBeUndefined();
+  });
+});
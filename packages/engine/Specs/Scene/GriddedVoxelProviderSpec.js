@@ -0,0 +1,307 @@
+import {
+  Cartesian3,
+  Ellipsoid,
+  GriddedVoxelProvider,
+  JulianDate,
+  Math as CesiumMath,
+  Matrix3,
+  Matrix4,
+  MetadataComponentType,
+  MetadataType,
+  OrientedBoundingBox,
+  Rectangle,
+  VoxelBoxShape,
+  VoxelProvider,
+  VoxelShapeType,
+} from "../../index.js";
+
+describe("Scene/GriddedVoxelProvider", function () {
+  // Values that identify the grid cell, so that resampled tiles can be checked
+  function createValues(gridDimensions, offset) {
+    const { x, y, z } = gridDimensions;
+    const values = new Float32Array(x * y * z);
+    for (let k = 0; k < z; k++) {
+      for (let j = 0; j < y; j++) {
+        for (let i = 0; i < x; i++) {
+          values[(k * y + j) * x + i] = offset + i + j * 100 + k * 10000;
+        }
+      }
+    }
+    return values;
+  }
+
+  it("conforms to VoxelProvider interface", function () {
+    expect(GriddedVoxelProvider).toConformToInterface(VoxelProvider);
+  });
+
+  it("constructor throws without gridDimensions or properties", function () {
+    expect(function () {
+      return new GriddedVoxelProvider({
+        properties: [],
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new GriddedVoxelProvider({
+        gridDimensions: new Cartesian3(2, 2, 2),
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("constructor throws for unsupported shapes", function () {
+    expect(function () {
+      return new GriddedVoxelProvider({
+        gridDimensions: new Cartesian3(2, 2, 2),
+        shape: VoxelShapeType.CYLINDER,
+        properties: [{ name: "a", values: new Float32Array(8) }],
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("constructor throws for box shapes without an oriented bounding box", function () {
+    expect(function () {
+      return new GriddedVoxelProvider({
+        gridDimensions: new Cartesian3(2, 2, 2),
+        shape: VoxelShapeType.BOX,
+        properties: [{ name: "a", values: new Float32Array(8) }],
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("constructor throws when the values do not match the grid dimensions", function () {
+    expect(function () {
+      return new GriddedVoxelProvider({
+        gridDimensions: new Cartesian3(2, 2, 2),
+        properties: [{ name: "a", values: new Float32Array(7) }],
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new GriddedVoxelProvider({
+        gridDimensions: new Cartesian3(2, 2, 2),
+        properties: [
+          { name: "a", type: MetadataType.VEC2, values: new Float32Array(8) },
+        ],
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("constructor throws when the values do not match the times", function () {
+    const start = JulianDate.fromIso8601("2024-06-01T00:00:00Z");
+    expect(function () {
+      return new GriddedVoxelProvider({
+        gridDimensions: new Cartesian3(2, 2, 2),
+        times: [start, JulianDate.addHours(start, 1, new JulianDate())],
+        properties: [{ name: "a", values: [new Float32Array(8)] }],
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new GriddedVoxelProvider({
+        gridDimensions: new Cartesian3(2, 2, 2),
+        properties: [
+          { name: "a", values: [new Float32Array(8), new Float32Array(8)] },
+        ],
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("creates an ellipsoid shape", function () {
+    const rectangle = Rectangle.fromDegrees(-10.0, 20.0, 30.0, 40.0);
+    const provider = new GriddedVoxelProvider({
+      gridDimensions: new Cartesian3(4, 3, 2),
+      rectangle: rectangle,
+      minimumHeight: -100.0,
+      maximumHeight: 5000.0,
+      properties: [
+        {
+          name: "temperature",
+          values: createValues(new Cartesian3(4, 3, 2), 0.0),
+        },
+      ],
+    });
+
+    expect(provider.shape).toBe(VoxelShapeType.ELLIPSOID);
+    expect(provider.shapeTransform).toEqualEpsilon(
+      Matrix4.fromScale(Ellipsoid.WGS84.radii),
+      CesiumMath.EPSILON10
+    );
+    expect(provider.globalTransform).toEqual(Matrix4.IDENTITY);
+    expect(provider.minBounds).toEqual(
+      new Cartesian3(rectangle.west, rectangle.south, -100.0)
+    );
+    expect(provider.maxBounds).toEqual(
+      new Cartesian3(rectangle.east, rectangle.north, 5000.0)
+    );
+    expect(provider.gridDimensions).toEqual(new Cartesian3(4, 3, 2));
+    expect(provider.dimensions).toEqual(new Cartesian3(4, 3, 2));
+    expect(provider.paddingBefore).toBeUndefined();
+    expect(provider.paddingAfter).toBeUndefined();
+    expect(provider.maximumLevel).toBe(0);
+    expect(provider.maximumTileCount).toBe(1);
+    expect(provider.names).toEqual(["temperature"]);
+    expect(provider.types).toEqual([MetadataType.SCALAR]);
+    expect(provider.componentTypes).toEqual([MetadataComponentType.FLOAT32]);
+    expect(provider.minimumValues).toEqual([[0.0]]);
+    expect(provider.maximumValues).toEqual([[3.0 + 200.0 + 10000.0]]);
+    expect(provider.keyframeCount).toBe(1);
+    expect(provider.timeIntervalCollection).toBeUndefined();
+  });
+
+  it("creates a box shape", function () {
+    const center = new Cartesian3(1.0, 2.0, 3.0);
+    const halfAxes = Matrix3.fromScale(new Cartesian3(10.0, 20.0, 30.0));
+    const modelMatrix = Matrix4.fromTranslation(new Cartesian3(0.0, 0.0, 5.0));
+    const provider = new GriddedVoxelProvider({
+      gridDimensions: new Cartesian3(2, 2, 2),
+      shape: VoxelShapeType.BOX,
+      orientedBoundingBox: new OrientedBoundingBox(center, halfAxes),
+      modelMatrix: modelMatrix,
+      properties: [{ name: "a", values: new Uint8Array(8) }],
+    });
+
+    expect(provider.shape).toBe(VoxelShapeType.BOX);
+    expect(provider.shapeTransform).toEqual(
+      Matrix4.fromRotationTranslation(halfAxes, center)
+    );
+    expect(provider.globalTransform).toEqual(modelMatrix);
+    expect(provider.minBounds).toEqual(VoxelBoxShape.DefaultMinBounds);
+    expect(provider.maxBounds).toEqual(VoxelBoxShape.DefaultMaxBounds);
+    expect(provider.componentTypes).toEqual([MetadataComponentType.UINT8]);
+  });
+
+  it("uses the minimum and maximum values of properties", function () {
+    const provider = new GriddedVoxelProvider({
+      gridDimensions: new Cartesian3(2, 1, 1),
+      properties: [
+        {
+          name: "wind",
+          type: MetadataType.VEC2,
+          values: new Float32Array([1.0, -2.0, NaN, 4.0]),
+        },
+        {
+          name: "humidity",
+          values: new Float32Array([0.2, 0.4]),
+          minimumValue: 0.0,
+          maximumValue: 1.0,
+        },
+      ],
+    });
+    expect(provider.types).toEqual([MetadataType.VEC2, MetadataType.SCALAR]);
+    expect(provider.minimumValues).toEqual([[1.0, -2.0], [0.0]]);
+    expect(provider.maximumValues).toEqual([[1.0, 4.0], [1.0]]);
+  });
+
+  it("divides the grid into a tree of tiles", function () {
+    const gridDimensions = new Cartesian3(64, 16, 8);
+    const provider = new GriddedVoxelProvider({
+      gridDimensions: gridDimensions,
+      tileDimensions: new Cartesian3(16, 8, 4),
+      properties: [{ name: "a", values: createValues(gridDimensions, 0.0) }],
+    });
+    expect(provider.dimensions).toEqual(new Cartesian3(16, 8, 4));
+    expect(provider.maximumLevel).toBe(2);
+    expect(provider.maximumTileCount).toBe(1 + 8 + 64);
+
+    const defaultProvider = new GriddedVoxelProvider({
+      gridDimensions: new Cartesian3(100, 20, 40),
+      properties: [{ name: "a", values: new Float32Array(100 * 20 * 40) }],
+    });
+    expect(defaultProvider.dimensions).toEqual(new Cartesian3(32, 20, 32));
+    expect(defaultProvider.maximumLevel).toBe(2);
+  });
+
+  it("requestData samples the grid for the root tile", async function () {
+    const gridDimensions = new Cartesian3(8, 4, 2);
+    const provider = new GriddedVoxelProvider({
+      gridDimensions: gridDimensions,
+      tileDimensions: new Cartesian3(4, 2, 1),
+      properties: [{ name: "a", values: createValues(gridDimensions, 0.0) }],
+    });
+
+    const data = await provider.requestData();
+    expect(data.length).toBe(1);
+    expect(data[0]).toBeInstanceOf(Float32Array);
+    // Voxels of the root tile are at the centers of two by two by two grid cells, so the nearest cell is the second
+    expect(Array.from(data[0])).toEqual(
+      [101, 103, 105, 107, 301, 303, 305, 307].map((value) => value + 10000)
+    );
+  });
+
+  it("requestData samples the grid for tiles at the maximum level", async function () {
+    const gridDimensions = new Cartesian3(8, 4, 2);
+    const provider = new GriddedVoxelProvider({
+      gridDimensions: gridDimensions,
+      tileDimensions: new Cartesian3(4, 2, 1),
+      properties: [
+        {
+          name: "a",
+          type: MetadataType.VEC2,
+          values: new Uint8Array(8 * 4 * 2 * 2).map((value, index) => index),
+        },
+      ],
+    });
+
+    const data = await provider.requestData({
+      tileLevel: 1,
+      tileX: 1,
+      tileY: 0,
+      tileZ: 1,
+    });
+    expect(data[0]).toBeInstanceOf(Uint8Array);
+    expect(data[0].length).toBe(4 * 2 * 1 * 2);
+    const expected = [];
+    for (let j = 0; j < 2; j++) {
+      for (let i = 4; i < 8; i++) {
+        const gridIndex = (1 * 4 + j) * 8 + i;
+        expected.push(gridIndex * 2, gridIndex * 2 + 1);
+      }
+    }
+    expect(Array.from(data[0])).toEqual(expected);
+  });
+
+  it("requestData resolves to undefined for tiles outside the tree", async function () {
+    const gridDimensions = new Cartesian3(2, 2, 2);
+    const provider = new GriddedVoxelProvider({
+      gridDimensions: gridDimensions,
+      properties: [{ name: "a", values: createValues(gridDimensions, 0.0) }],
+    });
+    expect(await provider.requestData({ tileLevel: 1 })).toBeUndefined();
+    expect(await provider.requestData({ tileX: 1 })).toBeUndefined();
+    expect(await provider.requestData({ keyframe: 1 })).toBeUndefined();
+  });
+
+  it("creates keyframes for times", async function () {
+    const gridDimensions = new Cartesian3(2, 2, 2);
+    const start = JulianDate.fromIso8601("2024-06-01T00:00:00Z");
+    const times = [0, 1, 3].map(function (hours) {
+      return JulianDate.addHours(start, hours, new JulianDate());
+    });
+    const provider = new GriddedVoxelProvider({
+      gridDimensions: gridDimensions,
+      times: times,
+      properties: [
+        {
+          name: "a",
+          values: [
+            createValues(gridDimensions, 0.0),
+            createValues(gridDimensions, 0.5),
+            createValues(gridDimensions, -1.0),
+          ],
+        },
+      ],
+    });
+
+    expect(provider.keyframeCount).toBe(3);
+    expect(provider.maximumTileCount).toBe(3);
+    expect(provider.minimumValues).toEqual([[-1.0]]);
+    expect(provider.maximumValues).toEqual([[10101.5]]);
+
+    const timeIntervalCollection = provider.timeIntervalCollection;
+    expect(timeIntervalCollection.length).toBe(2);
+    expect(timeIntervalCollection.start).toEqual(times[0]);
+    expect(timeIntervalCollection.stop).toEqual(times[2]);
+    expect(timeIntervalCollection.get(1).start).toEqual(times[1]);
+
+    const data = await provider.requestData({ keyframe: 2 });
+    expect(data[0][0]).toBe(-1.0);
+    expect(data[0][7]).toBe(10100.0);
+  });
+});
@@ -0,0 +1,190 @@
+import {
+  Cartesian3,
+  ClassificationType,
+  Color,
+  ConstantPositionProperty,
+  ConstantProperty,
+  Entity,
+  EntityCollection,
+  HeatmapPrimitive,
+  Math as CesiumMath,
+  PropertyBag,
+  Rectangle,
+} from "../../index.js";
+
+describe("Scene/HeatmapPrimitive", function () {
+  const degrees = [10.0, 20.0, 10.5, 20.5, 11.0, 21.0];
+
+  it("constructor throws without positions", function () {
+    expect(function () {
+      return new HeatmapPrimitive();
+    }).toThrowDeveloperError();
+  });
+
+  it("constructor throws with invalid options", function () {
+    expect(function () {
+      return new HeatmapPrimitive({
+        positions: degrees,
+        weights: [1.0, 2.0],
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new HeatmapPrimitive({
+        positions: degrees.slice(0, 3),
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new HeatmapPrimitive({
+        positions: degrees,
+        colorRamp: [Color.RED],
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new HeatmapPrimitive({
+        positions: degrees,
+        radius: 0.0,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("constructor sets default values", function () {
+    const heatmap = new HeatmapPrimitive({
+      positions: degrees,
+    });
+    expect(heatmap.pointCount).toEqual(3);
+    expect(heatmap.radius).toEqual(1000.0);
+    expect(heatmap.resolution).toEqual(1024);
+    expect(heatmap.maximumDensity).toBeUndefined();
+    expect(heatmap.colorRamp).toEqual(HeatmapPrimitive.DEFAULT_COLOR_RAMP);
+    expect(heatmap.classificationType).toEqual(ClassificationType.BOTH);
+    expect(heatmap.show).toBe(true);
+    heatmap.destroy();
+  });
+
+  it("computes the rectangle around the points extended by the radius", function () {
+    const heatmap = new HeatmapPrimitive({
+      positions: Cartesian3.fromDegreesArray(degrees),
+      radius: 10000.0,
+    });
+    const radius = 10000.0 / 6378137.0;
+    const rectangle = heatmap.rectangle;
+    expect(rectangle.south).toEqualEpsilon(
+      CesiumMath.toRadians(20.0) - radius,
+      CesiumMath.EPSILON10
+    );
+    expect(rectangle.north).toEqualEpsilon(
+      CesiumMath.toRadians(21.0) + radius,
+      CesiumMath.EPSILON10
+    );
+    expect(rectangle.west).toBeLessThan(
+      CesiumMath.toRadians(10.0) - radius * 1.05
+    );
+    expect(rectangle.east).toBeGreaterThan(
+      CesiumMath.toRadians(11.0) + radius * 1.05
+    );
+
+    heatmap.radius = 1000.0;
+    expect(heatmap.rectangle.north).toEqualEpsilon(
+      CesiumMath.toRadians(21.0) + 1000.0 / 6378137.0,
+      CesiumMath.EPSILON10
+    );
+    heatmap.destroy();
+  });
+
+  it("uses the rectangle option", function () {
+    const rectangle = Rectangle.fromDegrees(0.0, 0.0, 30.0, 30.0);
+    const heatmap = new HeatmapPrimitive({
+      positions: degrees,
+      rectangle: rectangle,
+    });
+    expect(heatmap.rectangle).toEqual(rectangle);
+    expect(heatmap.rectangle).not.toBe(rectangle);
+
+    heatmap.setPositions([]);
+    expect(heatmap.pointCount).toEqual(0);
+    expect(heatmap.rectangle).toEqual(rectangle);
+    heatmap.destroy();
+  });
+
+  it("setPositions replaces the points", function () {
+    const heatmap = new HeatmapPrimitive({
+      positions: degrees,
+    });
+    heatmap.setPositions(new Float64Array([-50.0, -10.0]), [2.0]);
+    expect(heatmap.pointCount).toEqual(1);
+    expect(heatmap.rectangle.west).toBeLessThan(CesiumMath.toRadians(-50.0));
+    expect(heatmap.rectangle.east).toBeGreaterThan(CesiumMath.toRadians(-50.0));
+
+    heatmap.setPositions([]);
+    expect(heatmap.pointCount).toEqual(0);
+    expect(heatmap.rectangle).toBeUndefined();
+
+    expect(function () {
+      heatmap.setPositions(degrees, [1.0]);
+    }).toThrowDeveloperError();
+    heatmap.destroy();
+  });
+
+  it("fromEntities uses the positions and weights of entities", function () {
+    const entities = new EntityCollection();
+    entities.add(
+      new Entity({
+        position: new ConstantPositionProperty(
+          Cartesian3.fromDegrees(10.0, 20.0)
+        ),
+        properties: new PropertyBag({
+          magnitude: 4.0,
+        }),
+      })
+    );
+    entities.add(
+      new Entity({
+        position: new ConstantPositionProperty(
+          Cartesian3.fromDegrees(11.0, 21.0)
+        ),
+      })
+    );
+    entities.add(new Entity());
+    entities.add(
+      new Entity({
+        position: new ConstantPositionProperty(
+          Cartesian3.fromDegrees(12.0, 22.0)
+        ),
+        show: false,
+      })
+    );
+
+    const heatmap = HeatmapPrimitive.fromEntities(entities, {
+      weight: "magnitude",
+      radius: 500.0,
+    });
+    expect(heatmap.pointCount).toEqual(2);
+    expect(heatmap.radius).toEqual(500.0);
+    expect(Array.from(heatmap._weights)).toEqual([4.0, 0.0]);
+    expect(heatmap.rectangle.north).toBeLessThan(CesiumMath.toRadians(21.1));
+    heatmap.destroy();
+  });
+
+  it("fromEntities evaluates a weight function", function () {
+    const entity = new Entity({
+      position: new ConstantPositionProperty(Cartesian3.fromDegrees(0.0, 0.0)),
+      properties: {
+        population: new ConstantProperty(2000.0),
+      },
+    });
+    const weight = jasmine.createSpy("weight").and.callFake(function (e, t) {
+      return e.properties.population.getValue(t) / 1000.0;
+    });
+
+    const heatmap = HeatmapPrimitive.fromEntities([entity], {
+      weight: weight,
+    });
+    expect(weight).toHaveBeenCalled();
+    expect(Array.from(heatmap._weights)).toEqual([2.0]);
+
+    const unweighted = HeatmapPrimitive.fromEntities([entity]);
+    expect(Array.from(unweighted._weights)).toEqual([1.0]);
+    heatmap.destroy();
+    unweighted.destroy();
+  });
+});
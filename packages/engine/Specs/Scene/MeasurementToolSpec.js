@@ -0,0 +1,395 @@
+import {
+  ArcType,
+  Cartesian3,
+  Cartographic,
+  defined,
+  Ellipsoid,
+  EllipsoidGeodesic,
+  EllipsoidRhumbLine,
+  Math as CesiumMath,
+  Matrix4,
+  MeasurementTool,
+  MeasurementType,
+  Transforms,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Scene/MeasurementTool",
+  function () {
+    let scene;
+    let tool;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    afterEach(function () {
+      if (defined(tool) && !tool.isDestroyed()) {
+        tool.destroy();
+      }
+      tool = undefined;
+    });
+
+    it("computeSurfaceDistance measures along geodesics", function () {
+      const start = Cartesian3.fromDegrees(-75.0, 40.0, 100.0);
+      const end = Cartesian3.fromDegrees(-70.0, 42.0);
+      const geodesic = new EllipsoidGeodesic(
+        Cartographic.fromCartesian(start),
+        Cartographic.fromCartesian(end)
+      );
+      expect(MeasurementTool.computeSurfaceDistance(start, end)).toEqualEpsilon(
+        geodesic.surfaceDistance,
+        CesiumMath.EPSILON7
+      );
+    });
+
+    it("computeSurfaceDistance measures along rhumb lines", function () {
+      const start = Cartesian3.fromDegrees(-75.0, 40.0);
+      const end = Cartesian3.fromDegrees(-70.0, 42.0);
+      const rhumbLine = new EllipsoidRhumbLine(
+        Cartographic.fromCartesian(start),
+        Cartographic.fromCartesian(end)
+      );
+      const distance = MeasurementTool.computeSurfaceDistance(
+        start,
+        end,
+        ArcType.RHUMB
+      );
+      expect(distance).toEqualEpsilon(
+        rhumbLine.surfaceDistance,
+        CesiumMath.EPSILON7
+      );
+      expect(distance).toBeGreaterThan(
+        MeasurementTool.computeSurfaceDistance(start, end)
+      );
+    });
+
+    it("computeSurfaceDistance returns zero for the same position", function () {
+      const position = Cartesian3.fromDegrees(10.0, 10.0);
+      expect(MeasurementTool.computeSurfaceDistance(position, position)).toBe(
+        0.0
+      );
+    });
+
+    it("computeBearing returns bearings clockwise from north", function () {
+      const origin = Cartesian3.fromDegrees(0.0, 0.0);
+      expect(
+        MeasurementTool.computeBearing(origin, Cartesian3.fromDegrees(0.0, 1.0))
+      ).toEqualEpsilon(0.0, CesiumMath.EPSILON10);
+      expect(
+        MeasurementTool.computeBearing(origin, Cartesian3.fromDegrees(1.0, 0.0))
+      ).toEqualEpsilon(CesiumMath.PI_OVER_TWO, CesiumMath.EPSILON10);
+      expect(
+        MeasurementTool.computeBearing(
+          origin,
+          Cartesian3.fromDegrees(-1.0, 0.0),
+          ArcType.RHUMB
+        )
+      ).toEqualEpsilon(CesiumMath.THREE_PI_OVER_TWO, CesiumMath.EPSILON10);
+      expect(
+        MeasurementTool.computeBearing(origin, Cartesian3.fromDegrees(0.0, 0.0))
+      ).toBeUndefined();
+    });
+
+    it("computeSurfaceArea measures a small square", function () {
+      const center = Cartesian3.fromDegrees(-75.0, 40.0);
+      const transform = Transforms.eastNorthUpToFixedFrame(center);
+      const positions = [
+        new Cartesian3(-50.0, -50.0, 0.0),
+        new Cartesian3(50.0, -50.0, 0.0),
+        new Cartesian3(50.0, 50.0, 0.0),
+        new Cartesian3(-50.0, 50.0, 0.0),
+      ].map(function (offset) {
+        return Matrix4.multiplyByPoint(transform, offset, new Cartesian3());
+      });
+      expect(MeasurementTool.computeSurfaceArea(positions)).toEqualEpsilon(
+        10000.0,
+        0.1
+      );
+    });
+
+    it("computeSurfaceArea measures a cell of longitude and latitude along rhumb lines", function () {
+      const positions = Cartesian3.fromDegreesArray([
+        0.0,
+        0.0,
+        1.0,
+        0.0,
+        1.0,
+        1.0,
+        0.0,
+        1.0,
+      ]);
+
+      // The area of the cell on the WGS84 ellipsoid
+      const ellipsoid = Ellipsoid.WGS84;
+      const a = ellipsoid.maximumRadius;
+      const e = Math.sqrt(
+        1.0 - (ellipsoid.minimumRadius * ellipsoid.minimumRadius) / (a * a)
+      );
+      function q(latitude) {
+        const sine = Math.sin(latitude);
+        return (
+          (1.0 - e * e) *
+          (sine / (1.0 - e * e * sine * sine) +
+            Math.log((1.0 + e * sine) / (1.0 - e * sine)) / (2.0 * e))
+        );
+      }
+      const expected =
+        (a *
+          a *
+          CesiumMath.toRadians(1.0) *
+          (q(CesiumMath.toRadians(1.0)) - q(0.0))) /
+        2.0;
+
+      expect(
+        MeasurementTool.computeSurfaceArea(positions, ArcType.RHUMB)
+      ).toEqualEpsilon(expected, expected * 1e-4);
+    });
+
+    it("computeSurfaceArea throws with less than three positions", function () {
+      expect(function () {
+        MeasurementTool.computeSurfaceArea(
+          Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 0.0])
+        );
+      }).toThrowDeveloperError();
+    });
+
+    it("computeHeight returns the height of the second position above the first", function () {
+      const low = Cartesian3.fromDegrees(10.0, 20.0, 100.0);
+      const high = Cartesian3.fromDegrees(10.1, 20.0, 350.0);
+      expect(MeasurementTool.computeHeight(low, high)).toEqualEpsilon(
+        250.0,
+        CesiumMath.EPSILON6
+      );
+      expect(MeasurementTool.computeHeight(high, low)).toEqualEpsilon(
+        -250.0,
+        CesiumMath.EPSILON6
+      );
+    });
+
+    it("formats values", function () {
+      expect(MeasurementTool.formatDistance(12.345)).toEqual("12.35 m");
+      expect(MeasurementTool.formatDistance(12345.0)).toEqual("12.35 km");
+      expect(MeasurementTool.formatArea(500.0)).toEqual("500.00 m²");
+      expect(MeasurementTool.formatArea(2500000.0)).toEqual("2.50 km²");
+      expect(MeasurementTool.formatBearing(CesiumMath.PI_OVER_FOUR)).toEqual(
+        "45.0°"
+      );
+    });
+
+    it("throws without scene", function () {
+      expect(function () {
+        return new MeasurementTool();
+      }).toThrowDeveloperError();
+    });
+
+    it("throws with arcType NONE", function () {
+      expect(function () {
+        return new MeasurementTool({
+          scene: scene,
+          arcType: ArcType.NONE,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("constructs with defaults", function () {
+      tool = new MeasurementTool({
+        scene: scene,
+      });
+      expect(tool.scene).toBe(scene);
+      expect(tool.ellipsoid).toBe(Ellipsoid.WGS84);
+      expect(tool.type).toBe(MeasurementType.DISTANCE);
+      expect(tool.arcType).toBe(ArcType.GEODESIC);
+      expect(tool.active).toBe(false);
+      expect(tool.positions).toEqual([]);
+      expect(tool.measurement).toBeUndefined();
+      expect(scene.primitives.contains(tool._primitives)).toBe(true);
+    });
+
+    it("measures distances with labels", function () {
+      tool = new MeasurementTool({
+        scene: scene,
+      });
+      const spy = jasmine.createSpy("listener");
+      tool.measurementChanged.addEventListener(spy);
+
+      const positions = Cartesian3.fromDegreesArray([
+        0.0,
+        0.0,
+        1.0,
+        0.0,
+        1.0,
+        1.0,
+      ]);
+      tool.addPosition(positions[0]);
+      expect(tool.measurement).toBeUndefined();
+      expect(tool._points.length).toBe(1);
+
+      tool.addPosition(positions[1]);
+      tool.addPosition(positions[2]);
+      expect(spy.calls.count()).toBe(3);
+
+      const measurement = tool.measurement;
+      expect(spy.calls.mostRecent().args[0]).toBe(measurement);
+      expect(measurement.type).toBe(MeasurementType.DISTANCE);
+      expect(measurement.positions).toEqual(positions);
+      expect(measurement.segmentDistances.length).toBe(2);
+      expect(measurement.distance).toEqualEpsilon(
+        measurement.segmentDistances[0] + measurement.segmentDistances[1],
+        CesiumMath.EPSILON7
+      );
+      expect(measurement.bearings[0]).toEqualEpsilon(
+        CesiumMath.PI_OVER_TWO,
+        CesiumMath.EPSILON10
+      );
+      expect(measurement.bearings[1]).toEqualEpsilon(0.0, CesiumMath.EPSILON10);
+
+      // A label for each segment and the total distance
+      expect(tool._labels.length).toBe(3);
+      expect(tool._labels.get(2).text).toEqual(
+        MeasurementTool.formatDistance(measurement.distance)
+      );
+      expect(tool._points.length).toBe(3);
+    });
+
+    it("measures areas", function () {
+      tool = new MeasurementTool({
+        scene: scene,
+        type: MeasurementType.AREA,
+        formatArea: function (area) {
+          return `${Math.round(area)} square meters`;
+        },
+      });
+
+      const positions = Cartesian3.fromDegreesArray([
+        0.0,
+        0.0,
+        0.01,
+        0.0,
+        0.01,
+        0.01,
+      ]);
+      tool.addPosition(positions[0]);
+      tool.addPosition(positions[1]);
+      expect(tool.measurement).toBeUndefined();
+
+      tool.addPosition(positions[2]);
+      const measurement = tool.measurement;
+      expect(measurement.area).toEqualEpsilon(
+        MeasurementTool.computeSurfaceArea(positions),
+        CesiumMath.EPSILON7
+      );
+      expect(measurement.segmentDistances.length).toBe(3);
+      expect(tool._labels.length).toBe(1);
+      expect(tool._labels.get(0).text).toEqual(
+        `${Math.round(measurement.area)} square meters`
+      );
+    });
+
+    it("completes height measurements with the second position", async function () {
+      tool = new MeasurementTool({
+        scene: scene,
+        type: MeasurementType.HEIGHT,
+      });
+      const spy = jasmine.createSpy("listener");
+      tool.measurementCompleted.addEventListener(spy);
+
+      tool.addPosition(Cartesian3.fromDegrees(0.0, 0.0, 300.0));
+      tool.addPosition(Cartesian3.fromDegrees(0.001, 0.0, 100.0));
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      const measurement = spy.calls.mostRecent().args[0];
+      expect(measurement).toBe(tool.measurement);
+      expect(measurement.height).toEqualEpsilon(-200.0, CesiumMath.EPSILON6);
+      expect(measurement.distance).toBeGreaterThan(0.0);
+      expect(tool._labels.get(0).text).toEqual("200.00 m");
+    });
+
+    it("finish resolves to undefined without enough positions", async function () {
+      tool = new MeasurementTool({
+        scene: scene,
+      });
+      const spy = jasmine.createSpy("listener");
+      tool.measurementCompleted.addEventListener(spy);
+
+      tool.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+      expect(await tool.finish()).toBeUndefined();
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    it("finish does not sample profiles without terrain availability", async function () {
+      tool = new MeasurementTool({
+        scene: scene,
+        type: MeasurementType.PROFILE,
+      });
+      tool.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+      tool.addPosition(Cartesian3.fromDegrees(0.1, 0.0));
+
+      const measurement = await tool.finish();
+      expect(measurement.type).toBe(MeasurementType.PROFILE);
+      expect(measurement.profile).toBeUndefined();
+    });
+
+    it("start and finish pick positions from the mouse", async function () {
+      tool = new MeasurementTool({
+        scene: scene,
+      });
+      tool.start();
+      expect(tool.active).toBe(true);
+
+      await tool.finish();
+      expect(tool.active).toBe(false);
+    });
+
+    it("setting arcType updates the measurement", function () {
+      tool = new MeasurementTool({
+        scene: scene,
+      });
+      tool.addPosition(Cartesian3.fromDegrees(-75.0, 40.0));
+      tool.addPosition(Cartesian3.fromDegrees(-70.0, 42.0));
+      const geodesicDistance = tool.measurement.distance;
+
+      tool.arcType = ArcType.RHUMB;
+      expect(tool.measurement.distance).toBeGreaterThan(geodesicDistance);
+      expect(function () {
+        tool.arcType = ArcType.NONE;
+      }).toThrowDeveloperError();
+    });
+
+    it("setting type clears the measurement", function () {
+      tool = new MeasurementTool({
+        scene: scene,
+      });
+      tool.start();
+      tool.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+      tool.addPosition(Cartesian3.fromDegrees(1.0, 0.0));
+
+      tool.type = MeasurementType.AREA;
+      expect(tool.type).toBe(MeasurementType.AREA);
+      expect(tool.active).toBe(false);
+      expect(tool.positions).toEqual([]);
+      expect(tool.measurement).toBeUndefined();
+      expect(tool._points.length).toBe(0);
+      expect(tool._polylines.length).toBe(0);
+      expect(tool._labels.length).toBe(0);
+    });
+
+    it("destroy removes the primitives from the scene", function () {
+      tool = new MeasurementTool({
+        scene: scene,
+      });
+      const primitives = tool._primitives;
+      tool.start();
+      tool.destroy();
+      expect(tool.isDestroyed()).toBe(true);
+      expect(scene.primitives.contains(primitives)).toBe(false);
+    });
+  },
+  "WebGL"
+);
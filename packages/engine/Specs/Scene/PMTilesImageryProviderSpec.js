@@ -0,0 +1,175 @@
+import {
+  DiscardEmptyTileImagePolicy,
+  ImageryProvider,
+  Math as CesiumMath,
+  PMTilesArchive,
+  PMTilesImageryProvider,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Scene/PMTilesImageryProvider", function () {
+  const url = "made/up/imagery.pmtiles";
+
+  let imageData;
+
+  function createArchive(options) {
+    return BinaryFormatTester.createPMTiles(
+      Object.assign(
+        {
+          tiles: [
+            {
+              level: 0,
+              x: 0,
+              y: 0,
+              data: imageData,
+            },
+            {
+              level: 1,
+              x: 1,
+              y: 0,
+              data: imageData,
+            },
+          ],
+          bounds: [0.0, 0.0, 90.0, 45.0],
+        },
+        options
+      )
+    );
+  }
+
+  beforeAll(async function () {
+    imageData = new Uint8Array(
+      await Resource.fetchArrayBuffer("Data/Images/Red16x16.png")
+    );
+  });
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("conforms to ImageryProvider interface", function () {
+    expect(PMTilesImageryProvider).toConformToInterface(ImageryProvider);
+  });
+
+  it("fromUrl throws without url", async function () {
+    await expectAsync(
+      PMTilesImageryProvider.fromUrl()
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("fromUrl creates a provider from the header of the archive", async function () {
+    BinaryFormatTester.serveFile(
+      createArchive({
+        metadata: {
+          attribution: "Example imagery",
+        },
+      })
+    );
+
+    const provider = await PMTilesImageryProvider.fromUrl(url);
+    expect(provider.url).toEqual(url);
+    expect(provider.archive).toBeInstanceOf(PMTilesArchive);
+    expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+    expect(provider.rectangle).toEqualEpsilon(
+      Rectangle.fromDegrees(0.0, 0.0, 90.0, 45.0),
+      CesiumMath.EPSILON9
+    );
+    expect(provider.tileWidth).toBe(256);
+    expect(provider.tileHeight).toBe(256);
+    expect(provider.minimumLevel).toBe(0);
+    expect(provider.maximumLevel).toBe(1);
+    expect(provider.hasAlphaChannel).toBe(true);
+    expect(provider.tileDiscardPolicy).toBeInstanceOf(
+      DiscardEmptyTileImagePolicy
+    );
+    expect(provider.credit.html).toEqual("Example imagery");
+    expect(provider.errorEvent).toBeDefined();
+  });
+
+  it("fromUrl uses options", async function () {
+    BinaryFormatTester.serveFile(
+      createArchive({
+        tileType: PMTilesArchive.TileType.JPEG,
+        metadata: {
+          attribution: "Example imagery",
+        },
+      })
+    );
+
+    const rectangle = Rectangle.fromDegrees(10.0, 10.0, 20.0, 20.0);
+    const provider = await PMTilesImageryProvider.fromUrl(url, {
+      rectangle: rectangle,
+      credit: "Satellite",
+      tileWidth: 512,
+      tileHeight: 512,
+      minimumLevel: 1,
+      maximumLevel: 5,
+    });
+    expect(provider.rectangle).toEqual(rectangle);
+    expect(provider.credit.html).toEqual("Satellite");
+    expect(provider.tileWidth).toBe(512);
+    expect(provider.tileHeight).toBe(512);
+    expect(provider.minimumLevel).toBe(1);
+    expect(provider.maximumLevel).toBe(5);
+    expect(provider.hasAlphaChannel).toBe(false);
+  });
+
+  it("fromUrl rejects archives of vector tiles", async function () {
+    BinaryFormatTester.serveFile(
+      createArchive({
+        tileType: PMTilesArchive.TileType.MVT,
+      })
+    );
+
+    await expectAsync(
+      PMTilesImageryProvider.fromUrl(url)
+    ).toBeRejectedWithError(
+      RuntimeError,
+      "The PMTiles archive does not contain images.  Its tile type is 1."
+    );
+  });
+
+  it("requestImage loads images from the archive", async function () {
+    BinaryFormatTester.serveFile(createArchive());
+
+    const provider = await PMTilesImageryProvider.fromUrl(url);
+    const image = await provider.requestImage(1, 0, 1);
+    expect(image).toBeImageOrImageBitmap();
+    expect(image.width).toBe(16);
+  });
+
+  it("requestImage resolves to an empty image for tiles that are not in the archive", async function () {
+    BinaryFormatTester.serveFile(createArchive());
+
+    const provider = await PMTilesImageryProvider.fromUrl(url);
+    const image = await provider.requestImage(0, 0, 1);
+    expect(image).toBe(DiscardEmptyTileImagePolicy.EMPTY_IMAGE);
+    expect(provider.tileDiscardPolicy.shouldDiscardImage(image)).toBe(true);
+  });
+
+  it("requestImage returns undefined when the request is throttled", async function () {
+    BinaryFormatTester.serveFile(createArchive());
+
+    const provider = await PMTilesImageryProvider.fromUrl(url);
+    spyOn(RequestScheduler, "request").and.returnValue(undefined);
+    expect(provider.requestImage(1, 0, 1)).toBeUndefined();
+  });
+
+  it("pickFeatures returns undefined", async function () {
+    BinaryFormatTester.serveFile(createArchive());
+
+    const provider = await PMTilesImageryProvider.fromUrl(url);
+    expect(provider.pickFeatures(1, 0, 1, 0.5, 0.5)).toBeUndefined();
+  });
+});
@@ -1,7 +1,13 @@
 import {
   Cartesian3,
+  Cartesian4,
+  Clock,
+  Event,
+  GeographicTilingScheme,
   HeadingPitchRoll,
   HeadingPitchRange,
+  JulianDate,
+  Rectangle,
   Transforms,
   PostProcessStageLibrary,
 } from "../../index.js";
@@ -494,6 +500,111 @@ describe(
       expect(bloom.uniforms.sigma).toEqual(3.0);
       expect(bloom.uniforms.stepSize).toEqual(2.0);
     });
+
+    it("volumetric clouds", async function () {
+      if (!scene.context.depthTexture) {
+        return;
+      }
+
+      const fs =
+        "void main() { \n" +
+        "    out_FragColor = vec4(1.0, 0.0, 0.0, 1.0); \n" +
+        "} \n";
+      scene.primitives.add(new ViewportPrimitive(fs));
+
+      const clouds = PostProcessStageLibrary.createVolumetricCloudsStage();
+      clouds.uniforms.coverage = 0.0;
+      scene.postProcessStages.add(clouds);
+      await pollToPromise(function () {
+        scene.renderForSpecs();
+        return clouds.ready;
+      });
+
+      // Without any coverage, there are no clouds or shadows
+      expect(scene).toRenderAndCall(function (rgba) {
+        for (let i = 0; i < rgba.length; i += 4) {
+          expect(rgba[i]).toEqual(255);
+          expect(rgba[i + 1]).toEqual(0);
+          expect(rgba[i + 2]).toEqual(0);
+          expect(rgba[i + 3]).toEqual(255);
+        }
+      });
+    });
+
+    it("volumetric clouds uniforms", function () {
+      const clock = new Clock({
+        currentTime: JulianDate.fromIso8601("2024-06-01T12:00:00Z"),
+      });
+      const clouds = PostProcessStageLibrary.createVolumetricCloudsStage({
+        coverageRectangle: Rectangle.fromRadians(-1.0, -0.5, 1.0, 0.5),
+        clock: clock,
+      });
+      expect(clouds.uniforms.coverageTexture).toBeDefined();
+      expect(clouds.uniforms.coverageRectangle).toEqual(
+        new Cartesian4(-1.0, -0.5, 1.0, 0.5)
+      );
+      expect(clouds.uniforms.coverage).toEqual(0.5);
+      expect(clouds.uniforms.cloudBase).toEqual(1500.0);
+      expect(clouds.uniforms.cloudTop).toEqual(6000.0);
+      expect(clouds.uniforms.density).toEqual(0.002);
+      expect(clouds.uniforms.noiseScale).toEqual(20000.0);
+      expect(clouds.uniforms.windSpeed).toEqual(15.0);
+      expect(clouds.uniforms.windDirection).toEqual(0.0);
+      expect(clouds.uniforms.shadowStrength).toEqual(0.6);
+      expect(clouds.uniforms.time()).toEqual(0.0);
+
+      JulianDate.addSeconds(clock.currentTime, 90.0, clock.currentTime);
+      expect(clouds.uniforms.time()).toEqual(90.0);
+
+      clouds.uniforms.coverage = 0.8;
+      clouds.uniforms.cloudBase = 500.0;
+      clouds.uniforms.cloudTop = 2000.0;
+      clouds.uniforms.windSpeed = 5.0;
+
+      expect(clouds.uniforms.coverage).toEqual(0.8);
+      expect(clouds.uniforms.cloudBase).toEqual(500.0);
+      expect(clouds.uniforms.cloudTop).toEqual(2000.0);
+      expect(clouds.uniforms.windSpeed).toEqual(5.0);
+
+      const withoutClock = PostProcessStageLibrary.createVolumetricCloudsStage();
+      expect(withoutClock.uniforms.coverageRectangle).toEqual(
+        new Cartesian4(-Math.PI, -Math.PI / 2.0, Math.PI, Math.PI / 2.0)
+      );
+      expect(withoutClock.uniforms.time()).toEqual(0.0);
+    });
+
+    it("volumetric clouds coverage from an imagery provider", async function () {
+      const tilingScheme = new GeographicTilingScheme();
+      const imageryProvider = {
+        tilingScheme: tilingScheme,
+        tileWidth: 4,
+        tileHeight: 4,
+        minimumLevel: 0,
+        maximumLevel: 0,
+        errorEvent: new Event(),
+        requestImage: jasmine
+          .createSpy("requestImage")
+          .and.callFake(function () {
+            return Promise.resolve(createCanvas(4, 4));
+          }),
+      };
+
+      const clouds = PostProcessStageLibrary.createVolumetricCloudsStage({
+        imageryProvider: imageryProvider,
+        imageryLevel: 3,
+      });
+      const placeholder = clouds.uniforms.coverageTexture;
+      await pollToPromise(function () {
+        return clouds.uniforms.coverageTexture !== placeholder;
+      });
+
+      expect(imageryProvider.requestImage.calls.count()).toBe(2);
+      expect(imageryProvider.requestImage.calls.argsFor(1)).toEqual([1, 0, 0]);
+      expect(clouds.uniforms.coverageTexture.width).toBe(8);
+      expect(clouds.uniforms.coverageRectangle).toEqual(
+        new Cartesian4(-Math.PI, -Math.PI / 2.0, Math.PI, Math.PI / 2.0)
+      );
+    });
   },
   "WebGL"
 );
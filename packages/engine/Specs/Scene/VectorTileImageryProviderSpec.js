@@ -0,0 +1,432 @@
+import {
+  ImageryLayerFeatureInfo,
+  ImageryProvider,
+  Math as CesiumMath,
+  Rectangle,
+  RequestScheduler,
+  Resource,
+  RuntimeError,
+  VectorTileImageryProvider,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+import BinaryFormatTester from "../../../../Specs/BinaryFormatTester.js";
+
+describe("Scene/VectorTileImageryProvider", function () {
+  // A polygon covering the western half of the tile
+  const westernHalf = [[0, 0, 2048, 0, 2048, 4096, 0, 4096]];
+
+  const tileBuffer = BinaryFormatTester.createVectorTile([
+    {
+      name: "parcels",
+      features: [
+        {
+          id: 1,
+          type: 3,
+          properties: { name: "West", area: 10 },
+          geometry: westernHalf,
+        },
+      ],
+    },
+    {
+      name: "roads",
+      features: [
+        {
+          id: 2,
+          type: 2,
+          properties: { name: "Equator" },
+          geometry: [[0, 2048, 4096, 2048]],
+        },
+      ],
+    },
+  ]);
+
+  const style = {
+    version: 8,
+    sources: {
+      county: {
+        type: "vector",
+        maxzoom: 2,
+      },
+    },
+    layers: [
+      {
+        id: "parcels",
+        type: "fill",
+        source: "county",
+        "source-layer": "parcels",
+        paint: { "fill-color": "#ff0000" },
+      },
+      {
+        id: "roads",
+        type: "line",
+        source: "county",
+        "source-layer": "roads",
+        paint: { "line-color": "#0000ff", "line-width": 2 },
+      },
+    ],
+  };
+
+  let requestedUrls;
+
+  function stubTileRequests(buffer) {
+    requestedUrls = [];
+    spyOn(Resource._Implementations, "loadWithXhr").and.callFake(function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+      overrideMimeType
+    ) {
+      requestedUrls.push(url);
+      deferred.resolve(buffer.slice(0));
+    });
+  }
+
+  function getPixel(canvas, x, y) {
+    return Array.from(canvas.getContext("2d").getImageData(x, y, 1, 1).data);
+  }
+
+  beforeEach(function () {
+    RequestScheduler.clearForSpecs();
+  });
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("conforms to ImageryProvider interface", function () {
+    expect(VectorTileImageryProvider).toConformToInterface(ImageryProvider);
+  });
+
+  it("requires the url to be specified", function () {
+    expect(function () {
+      return new VectorTileImageryProvider({});
+    }).toThrowDeveloperError();
+  });
+
+  it("has default properties", function () {
+    const provider = new VectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+    });
+
+    expect(provider.url).toEqual("made/up/tiles/{z}/{x}/{y}.pbf");
+    expect(provider.tileWidth).toEqual(256);
+    expect(provider.tileHeight).toEqual(256);
+    expect(provider.minimumLevel).toBe(0);
+    expect(provider.maximumLevel).toBeUndefined();
+    expect(provider.maximumNativeLevel).toBeUndefined();
+    expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+    expect(provider.rectangle).toEqual(new WebMercatorTilingScheme().rectangle);
+    expect(provider.tileDiscardPolicy).toBeUndefined();
+    expect(provider.credit).toBeUndefined();
+    expect(provider.hasAlphaChannel).toBe(true);
+    expect(provider.enablePickFeatures).toBe(true);
+  });
+
+  it("uses options", function () {
+    const rectangle = new Rectangle(0.1, 0.2, 0.3, 0.4);
+    const provider = new VectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      rectangle: rectangle,
+      tileWidth: 512,
+      tileHeight: 512,
+      minimumLevel: 1,
+      maximumLevel: 18,
+      maximumNativeLevel: 14,
+      credit: "Thanks to our made up source of tiles",
+      enablePickFeatures: false,
+    });
+
+    expect(provider.rectangle).toEqualEpsilon(rectangle, CesiumMath.EPSILON14);
+    expect(provider.tileWidth).toEqual(512);
+    expect(provider.tileHeight).toEqual(512);
+    expect(provider.minimumLevel).toBe(1);
+    expect(provider.maximumLevel).toBe(18);
+    expect(provider.maximumNativeLevel).toBe(14);
+    expect(provider.credit).toBeDefined();
+    expect(provider.enablePickFeatures).toBe(false);
+  });
+
+  it("reads maximumNativeLevel from the style source", function () {
+    const provider = new VectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      style: style,
+    });
+    expect(provider.maximumNativeLevel).toBe(2);
+  });
+
+  it("requestImage requests the tile and draws it", async function () {
+    stubTileRequests(tileBuffer);
+
+    const provider = new VectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{reverseY}.pbf",
+      style: style,
+    });
+
+    const canvas = await provider.requestImage(0, 0, 1);
+    expect(requestedUrls.length).toBe(1);
+    expect(requestedUrls[0]).toContain("made/up/tiles/1/0/1.pbf");
+    expect(canvas.width).toBe(256);
+    expect(canvas.height).toBe(256);
+
+    expect(getPixel(canvas, 64, 64)).toEqual([255, 0, 0, 255]);
+    expect(getPixel(canvas, 192, 64)).toEqual([0, 0, 0, 0]);
+    expect(getPixel(canvas, 192, 128)).toEqual([0, 0, 255, 255]);
+  });
+
+  it("requestImage draws every feature without a style", async function () {
+    stubTileRequests(tileBuffer);
+
+    const provider = new VectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+    });
+
+    const canvas = await provider.requestImage(0, 0, 0);
+    expect(getPixel(canvas, 64, 64)[3]).toBeGreaterThan(0);
+    expect(getPixel(canvas, 192, 128)[3]).toBeGreaterThan(0);
+    expect(getPixel(canvas, 192, 64)).toEqual([0, 0, 0, 0]);
+  });
+
+  it("requestImage draws an empty tile when the response has no content", async function () {
+    stubTileRequests(new ArrayBuffer(0));
+
+    const provider = new VectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      style: style,
+    });
+
+    const canvas = await provider.requestImage(0, 0, 0);
+    expect(getPixel(canvas, 64, 64)).toEqual([0, 0, 0, 0]);
+  });
+
+  it("requestImage draws tiles above maximumNativeLevel from their ancestor", async function () {
+    stubTileRequests(tileBuffer);
+
+    const provider = new VectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      style: style,
+      maximumNativeLevel: 0,
+    });
+
+    const western = await provider.requestImage(0, 0, 1);
+    const eastern = await provider.requestImage(1, 0, 1);
+
+    expect(requestedUrls.length).toBe(1);
+    expect(requestedUrls[0]).toContain("made/up/tiles/0/0/0.pbf");
+    expect(getPixel(western, 128, 64)).toEqual([255, 0, 0, 255]);
+    expect(getPixel(eastern, 128, 64)).toEqual([0, 0, 0, 0]);
+  });
+
+  it("requestImage returns undefined when the request is throttled", function () {
+    const provider = new VectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+    });
+
+    spyOn(Resource.prototype, "fetchArrayBuffer").and.returnValue(undefined);
+    expect(provider.requestImage(0, 0, 0)).toBeUndefined();
+  });
+
+  it("pickFeatures returns the features drawn at a location", async function () {
+    stubTileRequests(tileBuffer);
+
+    const provider = new VectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      style: style,
+    });
+
+    let features = await provider.pickFeatures(
+      0,
+      0,
+      0,
+      CesiumMath.toRadians(-90.0),
+      CesiumMath.toRadians(45.0)
+    );
+    expect(features.length).toBe(1);
+    expect(features[0]).toBeInstanceOf(ImageryLayerFeatureInfo);
+    expect(features[0].name).toBe("West");
+    expect(features[0].data).toEqual({
+      id: 1,
+      layer: "parcels",
+      properties: { name: "West", area: 10 },
+    });
+    expect(features[0].description).toContain("area");
+    expect(features[0].position.longitude).toEqualEpsilon(
+      CesiumMath.toRadians(-90.0),
+      CesiumMath.EPSILON14
+    );
+
+    // The road is drawn above the parcel, so it is picked first
+    features = await provider.pickFeatures(
+      0,
+      0,
+      0,
+      CesiumMath.toRadians(-90.0),
+      0.0
+    );
+    expect(features.length).toBe(2);
+    expect(features[0].name).toBe("Equator");
+    expect(features[1].name).toBe("West");
+
+    features = await provider.pickFeatures(
+      0,
+      0,
+      0,
+      CesiumMath.toRadians(90.0),
+      CesiumMath.toRadians(45.0)
+    );
+    expect(features.length).toBe(0);
+
+    // Decoded tiles are cached for picking
+    expect(requestedUrls.length).toBe(1);
+  });
+
+  it("pickFeatures converts the picked position to pixels of the requested tile", async function () {
+    stubTileRequests(tileBuffer);
+
+    const provider = new VectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      style: style,
+      maximumNativeLevel: 0,
+    });
+
+    // In tile (1, 1, 1), the equator road runs along the top edge
+    const features = await provider.pickFeatures(
+      1,
+      1,
+      1,
+      CesiumMath.toRadians(45.0),
+      CesiumMath.toRadians(-0.1)
+    );
+    expect(features.length).toBe(1);
+    expect(features[0].name).toBe("Equator");
+  });
+
+  it("pickFeatures returns undefined when picking is disabled", function () {
+    const provider = new VectorTileImageryProvider({
+      url: "made/up/tiles/{z}/{x}/{y}.pbf",
+      enablePickFeatures: false,
+    });
+
+    expect(provider.pickFeatures(0, 0, 0, 0.0, 0.0)).toBeUndefined();
+  });
+
+  describe("fromUrl", function () {
+    function stubJsonRequests(responses) {
+      spyOn(Resource._Implementations, "loadWithXhr").and.callFake(function (
+        url,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred,
+        overrideMimeType
+      ) {
+        for (const key in responses) {
+          if (url.indexOf(key) !== -1) {
+            deferred.resolve(JSON.stringify(responses[key]));
+            return;
+          }
+        }
+        deferred.reject(new RuntimeError(`Unexpected request: ${url}`));
+      });
+    }
+
+    it("creates a provider from the tiles of a style source", async function () {
+      stubJsonRequests({
+        "style.json": {
+          version: 8,
+          sources: {
+            county: {
+              type: "vector",
+              tiles: ["https://example.com/tiles/{z}/{x}/{y}.pbf"],
+              minzoom: 1,
+              maxzoom: 14,
+              attribution: "Made up tiles",
+            },
+          },
+          layers: style.layers,
+        },
+      });
+
+      const provider = await VectorTileImageryProvider.fromUrl(
+        "made/up/style.json"
+      );
+      expect(provider.url).toEqual("https://example.com/tiles/{z}/{x}/{y}.pbf");
+      expect(provider.minimumLevel).toBe(1);
+      expect(provider.maximumNativeLevel).toBe(14);
+      expect(provider.credit.html).toBe("Made up tiles");
+    });
+
+    it("creates a provider from a TileJSON source", async function () {
+      stubJsonRequests({
+        "style.json": {
+          version: 8,
+          sources: {
+            county: {
+              type: "vector",
+              url: "tiles.json",
+            },
+          },
+          layers: style.layers,
+        },
+        "tiles.json": {
+          tilejson: "2.2.0",
+          tiles: ["https://example.com/tiles/{z}/{x}/{y}.pbf"],
+          maxzoom: 12,
+        },
+      });
+
+      const provider = await VectorTileImageryProvider.fromUrl(
+        "made/up/style.json",
+        {
+          maximumLevel: 20,
+        }
+      );
+      expect(provider.url).toEqual("https://example.com/tiles/{z}/{x}/{y}.pbf");
+      expect(provider.maximumLevel).toBe(20);
+      expect(provider.maximumNativeLevel).toBe(12);
+    });
+
+    it("throws without a vector source", async function () {
+      stubJsonRequests({
+        "style.json": {
+          version: 8,
+          sources: {},
+          layers: [],
+        },
+      });
+
+      await expectAsync(
+        VectorTileImageryProvider.fromUrl("made/up/style.json")
+      ).toBeRejectedWithError(
+        RuntimeError,
+        "The style does not contain a vector source."
+      );
+    });
+
+    it("throws without tile urls", async function () {
+      stubJsonRequests({
+        "style.json": {
+          version: 8,
+          sources: {
+            county: {
+              type: "vector",
+            },
+          },
+          layers: [],
+        },
+      });
+
+      await expectAsync(
+        VectorTileImageryProvider.fromUrl("made/up/style.json")
+      ).toBeRejectedWithError(
+        RuntimeError,
+        "The vector source does not define any tile urls."
+      );
+    });
+  });
+});
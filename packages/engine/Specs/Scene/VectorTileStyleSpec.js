@@ -0,0 +1,319 @@
+import { Color, VectorTileStyle } from "../../index.js";
+
+import { Math as CesiumMath } from "../../index.js";
+
+describe("Scene/VectorTileStyle", function () {
+  const GeometryType = VectorTileStyle.GeometryType;
+
+  const road = {
+    id: 7,
+    type: GeometryType.LINESTRING,
+    properties: {
+      class: "primary",
+      lanes: 4,
+    },
+  };
+
+  const park = {
+    id: 8,
+    type: GeometryType.POLYGON,
+    properties: {
+      class: "park",
+    },
+  };
+
+  const style = {
+    version: 8,
+    sources: {
+      raster: { type: "raster" },
+      streets: { type: "vector", maxzoom: 14 },
+      other: { type: "vector" },
+    },
+    layers: [
+      {
+        id: "background",
+        type: "background",
+        paint: { "background-color": "#ffffff" },
+      },
+      {
+        id: "parks",
+        type: "fill",
+        source: "streets",
+        "source-layer": "landuse",
+      },
+      {
+        id: "labels",
+        type: "symbol",
+        source: "streets",
+        "source-layer": "place",
+      },
+      {
+        id: "hidden",
+        type: "line",
+        source: "streets",
+        "source-layer": "road",
+        layout: { visibility: "none" },
+      },
+      {
+        id: "other-roads",
+        type: "line",
+        source: "other",
+        "source-layer": "road",
+      },
+    ],
+  };
+
+  it("uses the first vector source by default", function () {
+    const vectorTileStyle = new VectorTileStyle(style);
+    expect(vectorTileStyle.sourceName).toBe("streets");
+    expect(vectorTileStyle.source).toBe(style.sources.streets);
+  });
+
+  it("keeps visible layers of supported types from the source", function () {
+    const vectorTileStyle = new VectorTileStyle(style);
+    const ids = vectorTileStyle.layers.map(function (layer) {
+      return layer.id;
+    });
+    expect(ids).toEqual(["background", "parks"]);
+  });
+
+  it("keeps layers from the given source", function () {
+    const vectorTileStyle = new VectorTileStyle(style, "other");
+    const ids = vectorTileStyle.layers.map(function (layer) {
+      return layer.id;
+    });
+    expect(ids).toEqual(["background", "other-roads"]);
+  });
+
+  it("has a default style that draws every feature", function () {
+    const vectorTileStyle = new VectorTileStyle();
+    expect(vectorTileStyle.layers.length).toBe(3);
+    expect(vectorTileStyle.source).toBeUndefined();
+  });
+
+  it("isVisibleAtZoom checks the zoom range of a layer", function () {
+    const layer = { minzoom: 5, maxzoom: 10 };
+    expect(VectorTileStyle.isVisibleAtZoom(layer, 4)).toBe(false);
+    expect(VectorTileStyle.isVisibleAtZoom(layer, 5)).toBe(true);
+    expect(VectorTileStyle.isVisibleAtZoom(layer, 10)).toBe(false);
+    expect(VectorTileStyle.isVisibleAtZoom({}, 22)).toBe(true);
+  });
+
+  it("filter passes every feature without a filter", function () {
+    expect(VectorTileStyle.filter({}, road, 0)).toBe(true);
+  });
+
+  it("filter evaluates legacy filters", function () {
+    function filter(f, feature) {
+      return VectorTileStyle.filter({ filter: f }, feature, 0);
+    }
+
+    expect(filter(["==", "class", "primary"], road)).toBe(true);
+    expect(filter(["!=", "class", "primary"], road)).toBe(false);
+    expect(filter([">=", "lanes", 4], road)).toBe(true);
+    expect(filter(["<", "lanes", 4], road)).toBe(false);
+    expect(filter(["<", "lanes", "4"], road)).toBe(false);
+    expect(filter(["==", "$type", "LineString"], road)).toBe(true);
+    expect(filter(["==", "$type", "LineString"], park)).toBe(false);
+    expect(filter(["==", "$id", 7], road)).toBe(true);
+    expect(filter(["in", "class", "park", "wood"], park)).toBe(true);
+    expect(filter(["!in", "class", "park", "wood"], park)).toBe(false);
+    expect(filter(["has", "lanes"], road)).toBe(true);
+    expect(filter(["!has", "lanes"], park)).toBe(true);
+    expect(
+      filter(["all", ["==", "class", "primary"], [">", "lanes", 2]], road)
+    ).toBe(true);
+    expect(filter(["any", ["==", "class", "park"], ["has", "x"]], road)).toBe(
+      false
+    );
+    expect(filter(["none", ["==", "class", "park"]], road)).toBe(true);
+  });
+
+  it("filter evaluates expression filters", function () {
+    function filter(f, feature, zoom) {
+      return VectorTileStyle.filter({ filter: f }, feature, zoom);
+    }
+
+    expect(filter(["==", ["get", "class"], "primary"], road, 0)).toBe(true);
+    expect(filter(["==", ["geometry-type"], "Polygon"], park, 0)).toBe(true);
+    expect(
+      filter(["in", ["get", "class"], ["literal", ["a", "park"]]], park, 0)
+    ).toBe(true);
+    expect(filter(["!", ["has", "lanes"]], park, 0)).toBe(true);
+    expect(filter([">", ["zoom"], 10], road, 12)).toBe(true);
+    expect(filter([">", ["zoom"], 10], road, 8)).toBe(false);
+    expect(
+      filter(
+        ["match", ["get", "class"], ["park", "wood"], true, false],
+        park,
+        0
+      )
+    ).toBe(true);
+    expect(
+      filter(["all", ["has", "lanes"], [">", ["get", "lanes"], 2]], road, 0)
+    ).toBe(true);
+    expect(filter(true, road, 0)).toBe(true);
+    expect(filter(false, road, 0)).toBe(false);
+  });
+
+  it("getProperty returns literals and defaults", function () {
+    const layer = { paint: { "line-width": 3 } };
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-width", road, 0, 1)
+    ).toBe(3);
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-opacity", road, 0, 1)
+    ).toBe(1);
+    expect(
+      VectorTileStyle.getProperty(layer, "layout", "line-cap", road, 0, "butt")
+    ).toBe("butt");
+  });
+
+  it("getProperty evaluates zoom functions", function () {
+    const layer = {
+      paint: {
+        "line-width": {
+          stops: [
+            [10, 1],
+            [20, 11],
+          ],
+        },
+        "line-opacity": {
+          base: 2,
+          stops: [
+            [0, 0],
+            [2, 3],
+          ],
+        },
+      },
+    };
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-width", road, 5)
+    ).toBe(1);
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-width", road, 15)
+    ).toBe(6);
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-width", road, 25)
+    ).toBe(11);
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-opacity", road, 1)
+    ).toEqualEpsilon(1, CesiumMath.EPSILON14);
+  });
+
+  it("getProperty evaluates property functions", function () {
+    const layer = {
+      paint: {
+        "line-width": {
+          property: "lanes",
+          type: "interval",
+          stops: [
+            [0, 1],
+            [2, 2],
+            [4, 4],
+          ],
+        },
+        "line-color": {
+          property: "class",
+          type: "categorical",
+          stops: [["primary", "#ff0000"]],
+          default: "#000000",
+        },
+      },
+    };
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-width", road, 0)
+    ).toBe(4);
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-color", road, 0)
+    ).toBe("#ff0000");
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-color", park, 0)
+    ).toBe("#000000");
+  });
+
+  it("getProperty evaluates expressions", function () {
+    const layer = {
+      paint: {
+        "line-width": [
+          "interpolate",
+          ["exponential", 1],
+          ["zoom"],
+          10,
+          ["*", ["get", "lanes"], 0.5],
+          20,
+          ["*", ["get", "lanes"], 1.5],
+        ],
+        "line-opacity": ["step", ["zoom"], 0.25, 10, 0.5, 15, 1.0],
+        "line-blur": ["case", ["has", "lanes"], ["to-number", "3"], 0],
+        "line-gap-width": ["coalesce", ["get", "missing"], 7],
+      },
+    };
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-width", road, 15)
+    ).toBe(4);
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-opacity", road, 5)
+    ).toBe(0.25);
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-opacity", road, 12)
+    ).toBe(0.5);
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-blur", road, 0)
+    ).toBe(3);
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-blur", park, 0)
+    ).toBe(0);
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-gap-width", road, 0)
+    ).toBe(7);
+  });
+
+  it("getProperty returns the default for unsupported expressions", function () {
+    const layer = {
+      paint: { "line-width": ["unsupported-operator", 4] },
+    };
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-width", road, 0, 1)
+    ).toBe(1);
+  });
+
+  it("getProperty returns plain arrays", function () {
+    const layer = {
+      paint: { "line-dasharray": [2, 1] },
+    };
+    expect(
+      VectorTileStyle.getProperty(layer, "paint", "line-dasharray", road, 0)
+    ).toEqual([2, 1]);
+  });
+
+  it("getColor parses and interpolates colors", function () {
+    const layer = {
+      paint: {
+        "fill-color": "rgba(255, 0, 0, 0.5)",
+        "line-color": {
+          stops: [
+            [0, "#000000"],
+            [10, "#ffffff"],
+          ],
+        },
+        "circle-color": ["rgb", 0, 255, 0],
+      },
+    };
+    expect(VectorTileStyle.getColor(layer, "fill-color", park, 0)).toEqual(
+      new Color(1.0, 0.0, 0.0, 0.5)
+    );
+    expect(
+      VectorTileStyle.getColor(layer, "line-color", road, 5)
+    ).toEqualEpsilon(new Color(0.5, 0.5, 0.5, 1.0), CesiumMath.EPSILON14);
+    expect(VectorTileStyle.getColor(layer, "circle-color", road, 0)).toEqual(
+      Color.LIME
+    );
+    expect(
+      VectorTileStyle.getColor(layer, "background-color", road, 0)
+    ).toBeUndefined();
+    expect(
+      VectorTileStyle.getColor(layer, "background-color", road, 0, "#0000ff")
+    ).toEqual(Color.BLUE);
+  });
+});
@@ -0,0 +1,217 @@
+import {
+  Cartesian3,
+  Color,
+  Math as CesiumMath,
+  PostProcessStage,
+  SceneMode,
+  ShadowMap,
+  Viewshed,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Scene/Viewshed",
+  function () {
+    let scene;
+    let viewshed;
+
+    const position = Cartesian3.fromDegrees(-75.59777, 40.03883, 100.0);
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      scene.morphTo3D(0.0);
+      scene.camera.setView({
+        destination: Cartesian3.fromDegrees(-75.59777, 40.03883, 2000.0),
+      });
+    });
+
+    afterEach(function () {
+      scene.primitives.removeAll();
+    });
+
+    function createViewshed(options) {
+      return new Viewshed({
+        scene: scene,
+        position: position,
+        ...options,
+      });
+    }
+
+    it("throws without scene", function () {
+      expect(function () {
+        return new Viewshed({
+          position: position,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("throws without position", function () {
+      expect(function () {
+        return new Viewshed({
+          scene: scene,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("constructor sets default values", function () {
+      viewshed = createViewshed();
+      expect(viewshed.scene).toBe(scene);
+      expect(viewshed.show).toBe(true);
+      expect(viewshed.position).toEqual(position);
+      expect(viewshed.heading).toEqual(0.0);
+      expect(viewshed.pitch).toEqual(0.0);
+      expect(viewshed.horizontalAngle).toEqual(CesiumMath.PI_OVER_TWO);
+      expect(viewshed.verticalAngle).toEqual(CesiumMath.PI_OVER_THREE);
+      expect(viewshed.distance).toEqual(1000.0);
+      expect(viewshed.visibleColor).toEqual(Color.LIME.withAlpha(0.5));
+      expect(viewshed.occludedColor).toEqual(Color.RED.withAlpha(0.5));
+      expect(viewshed.debugShowFrustum).toBe(false);
+      viewshed.destroy();
+    });
+
+    it("renders the view of the observer to a shadow map", function () {
+      viewshed = scene.primitives.add(
+        createViewshed({
+          heading: CesiumMath.PI_OVER_TWO,
+          pitch: -CesiumMath.PI_OVER_FOUR,
+          distance: 500.0,
+        })
+      );
+      scene.renderForSpecs();
+
+      expect(viewshed._shadowMap).toBeInstanceOf(ShadowMap);
+      expect(viewshed._shadowMap._isSpotLight).toBe(true);
+      expect(viewshed._shadowMap.fromLightSource).toBe(false);
+      expect(viewshed._stage).toBeInstanceOf(PostProcessStage);
+      expect(scene.postProcessStages.contains(viewshed._stage)).toBe(true);
+      expect(viewshed._stage.enabled).toBe(true);
+
+      const camera = viewshed.camera;
+      expect(camera.positionWC).toEqualEpsilon(position, CesiumMath.EPSILON6);
+      expect(camera.heading).toEqualEpsilon(
+        CesiumMath.PI_OVER_TWO,
+        CesiumMath.EPSILON6
+      );
+      expect(camera.pitch).toEqualEpsilon(
+        -CesiumMath.PI_OVER_FOUR,
+        CesiumMath.EPSILON6
+      );
+      expect(camera.frustum.far).toEqual(500.0);
+    });
+
+    it("computes the frustum from the angles of the view", function () {
+      viewshed = scene.primitives.add(
+        createViewshed({
+          horizontalAngle: CesiumMath.PI_OVER_TWO,
+          verticalAngle: CesiumMath.PI_OVER_FOUR,
+        })
+      );
+      scene.renderForSpecs();
+
+      const frustum = viewshed.camera.frustum;
+      expect(frustum.fov).toEqual(CesiumMath.PI_OVER_TWO);
+      expect(frustum.aspectRatio).toEqualEpsilon(
+        1.0 / Math.tan(CesiumMath.PI_OVER_FOUR * 0.5),
+        CesiumMath.EPSILON10
+      );
+
+      viewshed.horizontalAngle = CesiumMath.PI_OVER_FOUR;
+      viewshed.verticalAngle = CesiumMath.PI_OVER_TWO;
+      scene.renderForSpecs();
+      expect(frustum.fov).toEqual(CesiumMath.PI_OVER_TWO);
+      expect(frustum.aspectRatio).toBeLessThan(1.0);
+    });
+
+    it("does not show when show is false", function () {
+      viewshed = scene.primitives.add(createViewshed());
+      scene.renderForSpecs();
+      expect(viewshed._stage.enabled).toBe(true);
+
+      viewshed.show = false;
+      scene.renderForSpecs();
+      expect(viewshed._stage.enabled).toBe(false);
+    });
+
+    it("does not show in 2D", function () {
+      viewshed = scene.primitives.add(createViewshed());
+      scene.renderForSpecs();
+
+      scene.morphTo2D(0.0);
+      scene.renderForSpecs();
+      expect(viewshed._stage.enabled).toBe(false);
+    });
+
+    it("shows the frustum for debugging", function () {
+      viewshed = scene.primitives.add(
+        createViewshed({
+          debugShowFrustum: true,
+        })
+      );
+      scene.renderForSpecs();
+      expect(viewshed._debugFrustum).toBeDefined();
+
+      viewshed.debugShowFrustum = false;
+      scene.renderForSpecs();
+      expect(viewshed._debugFrustum).toBeUndefined();
+    });
+
+    it("throws when rendering with an invalid horizontal angle", function () {
+      viewshed = scene.primitives.add(
+        createViewshed({
+          horizontalAngle: CesiumMath.PI,
+        })
+      );
+      expect(function () {
+        scene.renderForSpecs();
+      }).toThrowDeveloperError();
+    });
+
+    it("throws when rendering with an invalid vertical angle", function () {
+      viewshed = scene.primitives.add(
+        createViewshed({
+          verticalAngle: 0.0,
+        })
+      );
+      expect(function () {
+        scene.renderForSpecs();
+      }).toThrowDeveloperError();
+    });
+
+    it("throws when rendering with an invalid distance", function () {
+      viewshed = scene.primitives.add(
+        createViewshed({
+          distance: 0.0,
+        })
+      );
+      expect(function () {
+        scene.renderForSpecs();
+      }).toThrowDeveloperError();
+    });
+
+    it("is destroyed", function () {
+      viewshed = scene.primitives.add(createViewshed());
+      scene.renderForSpecs();
+      const stage = viewshed._stage;
+
+      scene.primitives.remove(viewshed);
+      expect(viewshed.isDestroyed()).toBe(true);
+      expect(scene.postProcessStages.contains(stage)).toBe(false);
+    });
+
+    it("is not shown in a pick pass", function () {
+      viewshed = scene.primitives.add(createViewshed());
+      scene.pickForSpecs();
+      expect(viewshed._shadowMap).toBeUndefined();
+      expect(scene.mode).toBe(SceneMode.SCENE3D);
+    });
+  },
+  "WebGL"
+);
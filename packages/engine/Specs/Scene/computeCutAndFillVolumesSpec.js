@@ -0,0 +1,147 @@
+import {
+  Cartesian3,
+  computeCutAndFillVolumes,
+  GeographicTilingScheme,
+  Math as CesiumMath,
+  PolygonHierarchy,
+} from "../../index.js";
+
+describe("Scene/computeCutAndFillVolumes", function () {
+  // About 1113 meters on each side at the equator
+  const positions = Cartesian3.fromDegreesArray([
+    0.0,
+    0.0,
+    0.01,
+    0.0,
+    0.01,
+    0.01,
+    0.0,
+    0.01,
+  ]);
+  const side = CesiumMath.toRadians(0.01) * 6378137.0;
+  const area = side * side;
+
+  // A surface rising from 0 meters at the west edge to 100 meters at the east edge
+  function getSurfaceHeight(longitude) {
+    return (CesiumMath.toDegrees(longitude) / 0.01) * 100.0;
+  }
+
+  function createTerrainProvider() {
+    const terrainData = {
+      interpolateHeight: function (rectangle, longitude, latitude) {
+        return getSurfaceHeight(longitude);
+      },
+    };
+    return {
+      tilingScheme: new GeographicTilingScheme(),
+      availability: {
+        computeMaximumLevelAtPosition: function () {
+          return 10;
+        },
+      },
+      requestTileGeometry: function () {
+        return Promise.resolve(terrainData);
+      },
+    };
+  }
+
+  it("throws without options", async function () {
+    await expectAsync(
+      computeCutAndFillVolumes()
+    ).toBeRejectedWithDeveloperError();
+    await expectAsync(
+      computeCutAndFillVolumes({
+        designHeight: 0.0,
+        terrainProvider: createTerrainProvider(),
+      })
+    ).toBeRejectedWithDeveloperError();
+    await expectAsync(
+      computeCutAndFillVolumes({
+        polygonHierarchy: positions,
+        terrainProvider: createTerrainProvider(),
+      })
+    ).toBeRejectedWithDeveloperError();
+    await expectAsync(
+      computeCutAndFillVolumes({
+        polygonHierarchy: positions,
+        designHeight: 0.0,
+      })
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("computes cut and fill volumes against a flat design surface", async function () {
+    const volumes = await computeCutAndFillVolumes({
+      polygonHierarchy: positions,
+      designHeight: 25.0,
+      terrainProvider: createTerrainProvider(),
+    });
+
+    // A quarter of the polygon is below the design height by 12.5 meters on average,
+    // and the rest is above it by 37.5 meters on average
+    expect(volumes.area).toEqualEpsilon(area, area * 0.02);
+    expect(volumes.fillArea).toEqualEpsilon(area * 0.25, area * 0.02);
+    expect(volumes.cutArea).toEqualEpsilon(area * 0.75, area * 0.02);
+    expect(volumes.fillVolume).toEqualEpsilon(
+      area * 0.25 * 12.5,
+      area * 12.5 * 0.02
+    );
+    expect(volumes.cutVolume).toEqualEpsilon(
+      area * 0.75 * 37.5,
+      area * 37.5 * 0.02
+    );
+    expect(volumes.sampleCount).toBeGreaterThan(3000);
+  });
+
+  it("computes cut and fill volumes against a sloped design surface", async function () {
+    const designHeight = jasmine
+      .createSpy("designHeight")
+      .and.callFake(function (cartographic) {
+        expect(cartographic.height).toBe(0.0);
+        return getSurfaceHeight(cartographic.longitude) - 2.0;
+      });
+    const volumes = await computeCutAndFillVolumes({
+      polygonHierarchy: new PolygonHierarchy(positions),
+      designHeight: designHeight,
+      terrainProvider: createTerrainProvider(),
+      sampleSpacing: 50.0,
+    });
+    expect(designHeight).toHaveBeenCalledTimes(volumes.sampleCount);
+    expect(volumes.fillVolume).toEqual(0.0);
+    expect(volumes.cutArea).toEqual(volumes.area);
+    expect(volumes.cutVolume).toEqualEpsilon(
+      volumes.area * 2.0,
+      CesiumMath.EPSILON6 * volumes.area
+    );
+  });
+
+  it("samples heights in a scene", async function () {
+    const objectsToExclude = [{}];
+    const scene = {
+      sampleHeightMostDetailed: jasmine
+        .createSpy("sampleHeightMostDetailed")
+        .and.callFake(function (cartographics) {
+          // Nothing is hit at the first position
+          cartographics[0].height = undefined;
+          for (let i = 1; i < cartographics.length; ++i) {
+            cartographics[i].height = 10.0;
+          }
+          return Promise.resolve(cartographics);
+        }),
+    };
+    const volumes = await computeCutAndFillVolumes({
+      polygonHierarchy: positions,
+      designHeight: 4.0,
+      scene: scene,
+      objectsToExclude: objectsToExclude,
+      sampleSpacing: 100.0,
+    });
+    const args = scene.sampleHeightMostDetailed.calls.mostRecent().args;
+    expect(args[1]).toBe(objectsToExclude);
+    expect(volumes.sampleCount).toBe(args[0].length - 1);
+    expect(volumes.area).toEqual(volumes.sampleCount * 100.0 * 100.0);
+    expect(volumes.cutVolume).toEqualEpsilon(
+      volumes.area * 6.0,
+      CesiumMath.EPSILON6
+    );
+  });
+});
@@ -0,0 +1,130 @@
+import {
+  createEquirectangularImage,
+  Event,
+  GeographicTilingScheme,
+  Rectangle,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+describe("Scene/createEquirectangularImage", function () {
+  function createTile(width, height, getColor) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext("2d");
+    for (let y = 0; y < height; ++y) {
+      context.fillStyle = getColor(y);
+      context.fillRect(0, y, width, 1);
+    }
+    return canvas;
+  }
+
+  function createProvider(tilingScheme, tileWidth, requestImage) {
+    return {
+      tilingScheme: tilingScheme,
+      tileWidth: tileWidth,
+      tileHeight: tileWidth,
+      errorEvent: new Event(),
+      requestImage: jasmine
+        .createSpy("requestImage")
+        .and.callFake(requestImage),
+    };
+  }
+
+  function getPixel(canvas, x, y) {
+    return Array.from(canvas.getContext("2d").getImageData(x, y, 1, 1).data);
+  }
+
+  it("throws without an imagery provider or level", function () {
+    expect(function () {
+      return createEquirectangularImage(undefined, 0);
+    }).toThrowDeveloperError();
+    expect(function () {
+      return createEquirectangularImage({});
+    }).toThrowDeveloperError();
+  });
+
+  it("draws geographic tiles side by side", async function () {
+    const provider = createProvider(new GeographicTilingScheme(), 8, function (
+      x,
+      y,
+      level
+    ) {
+      return Promise.resolve(
+        createTile(8, 8, function () {
+          return x === 0 ? "#ff0000" : "#0000ff";
+        })
+      );
+    });
+
+    const result = await createEquirectangularImage(provider, 0);
+    expect(provider.requestImage.calls.count()).toBe(2);
+    expect(result.rectangle).toEqual(Rectangle.MAX_VALUE);
+    const canvas = result.canvas;
+    expect(canvas.width).toBe(16);
+    expect(canvas.height).toBe(8);
+    expect(getPixel(canvas, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(getPixel(canvas, 7, 7)).toEqual([255, 0, 0, 255]);
+    expect(getPixel(canvas, 8, 0)).toEqual([0, 0, 255, 255]);
+    expect(getPixel(canvas, 15, 7)).toEqual([0, 0, 255, 255]);
+  });
+
+  it("reprojects Web Mercator tiles", async function () {
+    const tilingScheme = new WebMercatorTilingScheme();
+    const provider = createProvider(tilingScheme, 64, function (x, y, level) {
+      // The top half of the tile is north of the equator in both projections
+      return Promise.resolve(
+        createTile(64, 64, function (row) {
+          return row < 32 ? "#ff0000" : "#0000ff";
+        })
+      );
+    });
+
+    const result = await createEquirectangularImage(provider, 0);
+    expect(result.rectangle).toEqual(tilingScheme.rectangle);
+    const canvas = result.canvas;
+    expect(canvas.width).toBe(64);
+    const height = Math.round(
+      (64 * tilingScheme.rectangle.height) / tilingScheme.rectangle.width
+    );
+    expect(canvas.height).toBe(height);
+    const equator = height / 2;
+    expect(getPixel(canvas, 10, 0)).toEqual([255, 0, 0, 255]);
+    expect(getPixel(canvas, 10, Math.floor(equator) - 1)).toEqual([
+      255,
+      0,
+      0,
+      255,
+    ]);
+    expect(getPixel(canvas, 10, Math.ceil(equator))).toEqual([0, 0, 255, 255]);
+    expect(getPixel(canvas, 10, height - 1)).toEqual([0, 0, 255, 255]);
+  });
+
+  it("reports tiles that fail to load and leaves them transparent", async function () {
+    const provider = createProvider(new GeographicTilingScheme(), 4, function (
+      x,
+      y,
+      level
+    ) {
+      if (x === 1) {
+        return Promise.reject(new Error("not found"));
+      }
+      return Promise.resolve(
+        createTile(4, 4, function () {
+          return "#ffffff";
+        })
+      );
+    });
+    const errorListener = jasmine.createSpy("errorListener");
+    provider.errorEvent.addEventListener(errorListener);
+
+    const result = await createEquirectangularImage(provider, 0);
+    expect(errorListener).toHaveBeenCalledTimes(1);
+    const error = errorListener.calls.mostRecent().args[0];
+    expect(error.x).toBe(1);
+    expect(error.y).toBe(0);
+    expect(error.level).toBe(0);
+    expect(getPixel(result.canvas, 0, 0)).toEqual([255, 255, 255, 255]);
+    expect(getPixel(result.canvas, 4, 0)).toEqual([0, 0, 0, 0]);
+  });
+});
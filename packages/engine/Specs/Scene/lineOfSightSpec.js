@@ -0,0 +1,195 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Ellipsoid,
+  lineOfSight,
+  Math as CesiumMath,
+  SceneMode,
+} from "../../index.js";
+
+describe("Scene/lineOfSight", function () {
+  let scene;
+  let surfaceHeight;
+
+  const start = Cartesian3.fromDegrees(0.0, 0.0, 100.0);
+  const end = Cartesian3.fromDegrees(0.01, 0.0, 100.0);
+
+  beforeEach(function () {
+    // The heights of terrain and 3D Tiles at a longitude
+    surfaceHeight = function (longitude) {
+      return 0.0;
+    };
+    scene = {
+      mode: SceneMode.SCENE3D,
+      globe: {
+        ellipsoid: Ellipsoid.WGS84,
+      },
+      sampleHeightSupported: true,
+      pickFromRay: jasmine.createSpy("pickFromRay"),
+      sampleHeightMostDetailed: jasmine
+        .createSpy("sampleHeightMostDetailed")
+        .and.callFake(function (positions) {
+          for (let i = 0; i < positions.length; ++i) {
+            positions[i].height = surfaceHeight(positions[i].longitude);
+          }
+          return Promise.resolve(positions);
+        }),
+    };
+  });
+
+  it("throws without scene", async function () {
+    await expectAsync(
+      lineOfSight(undefined, start, end)
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("throws without start", async function () {
+    await expectAsync(
+      lineOfSight(scene, undefined, end)
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("throws without end", async function () {
+    await expectAsync(
+      lineOfSight(scene, start, undefined)
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("throws if not in 3D", async function () {
+    scene.mode = SceneMode.SCENE2D;
+    await expectAsync(
+      lineOfSight(scene, start, end)
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("resolves to undefined when the line of sight is not obstructed", async function () {
+    const obstruction = await lineOfSight(scene, start, end);
+    expect(obstruction).toBeUndefined();
+    expect(scene.pickFromRay).toHaveBeenCalled();
+    expect(scene.sampleHeightMostDetailed).toHaveBeenCalled();
+    expect(scene.sampleHeightMostDetailed.calls.argsFor(0)[0].length).toBe(64);
+  });
+
+  it("casts the ray from the start position after the tolerance", async function () {
+    await lineOfSight(scene, start, end, {
+      tolerance: 2.0,
+    });
+    const ray = scene.pickFromRay.calls.argsFor(0)[0];
+    expect(Cartesian3.distance(ray.origin, start)).toEqualEpsilon(
+      2.0,
+      CesiumMath.EPSILON7
+    );
+    expect(ray.direction).toEqualEpsilon(
+      Cartesian3.normalize(
+        Cartesian3.subtract(end, start, new Cartesian3()),
+        new Cartesian3()
+      ),
+      CesiumMath.EPSILON10
+    );
+  });
+
+  it("finds obstructions with a ray", async function () {
+    const object = {};
+    const position = Cartesian3.lerp(start, end, 0.25, new Cartesian3());
+    scene.pickFromRay.and.returnValue({
+      object: object,
+      position: position,
+    });
+
+    const obstruction = await lineOfSight(scene, start, end);
+    expect(obstruction.position).toEqual(position);
+    expect(obstruction.distance).toEqualEpsilon(
+      Cartesian3.distance(start, end) * 0.25,
+      CesiumMath.EPSILON7
+    );
+    expect(obstruction.object).toBe(object);
+  });
+
+  it("ignores intersections beyond the end position", async function () {
+    scene.pickFromRay.and.returnValue({
+      object: {},
+      position: Cartesian3.lerp(start, end, 1.5, new Cartesian3()),
+    });
+
+    const obstruction = await lineOfSight(scene, start, end);
+    expect(obstruction).toBeUndefined();
+  });
+
+  it("finds obstructions by sampling heights", async function () {
+    surfaceHeight = function (longitude) {
+      return longitude > CesiumMath.toRadians(0.005) ? 200.0 : 0.0;
+    };
+
+    const obstruction = await lineOfSight(scene, start, end, {
+      sampleCount: 9,
+    });
+    const distance = Cartesian3.distance(start, end);
+    expect(obstruction.distance).toEqualEpsilon(
+      distance * 0.6,
+      CesiumMath.EPSILON7
+    );
+    const cartographic = Cartographic.fromCartesian(obstruction.position);
+    expect(cartographic.height).toEqualEpsilon(200.0, CesiumMath.EPSILON7);
+    expect(obstruction.object).toBeUndefined();
+  });
+
+  it("only samples heights before an intersection", async function () {
+    const position = Cartesian3.lerp(start, end, 0.25, new Cartesian3());
+    scene.pickFromRay.and.returnValue({
+      object: {},
+      position: position,
+    });
+    surfaceHeight = function (longitude) {
+      return longitude > CesiumMath.toRadians(0.005) ? 200.0 : 0.0;
+    };
+
+    const obstruction = await lineOfSight(scene, start, end, {
+      sampleCount: 9,
+    });
+    expect(obstruction.position).toEqual(position);
+    expect(scene.sampleHeightMostDetailed.calls.argsFor(0)[0].length).toBe(2);
+  });
+
+  it("does not sample heights when sampleCount is zero", async function () {
+    surfaceHeight = function (longitude) {
+      return 200.0;
+    };
+
+    const obstruction = await lineOfSight(scene, start, end, {
+      sampleCount: 0,
+    });
+    expect(obstruction).toBeUndefined();
+    expect(scene.sampleHeightMostDetailed).not.toHaveBeenCalled();
+  });
+
+  it("does not sample heights when it is not supported", async function () {
+    scene.sampleHeightSupported = false;
+
+    await lineOfSight(scene, start, end);
+    expect(scene.sampleHeightMostDetailed).not.toHaveBeenCalled();
+  });
+
+  it("passes objects to exclude and width", async function () {
+    const objectsToExclude = [{}];
+    await lineOfSight(scene, start, end, {
+      objectsToExclude: objectsToExclude,
+      width: 0.5,
+    });
+    expect(scene.pickFromRay.calls.argsFor(0)[1]).toBe(objectsToExclude);
+    expect(scene.pickFromRay.calls.argsFor(0)[2]).toBe(0.5);
+    expect(scene.sampleHeightMostDetailed.calls.argsFor(0)[1]).toBe(
+      objectsToExclude
+    );
+    expect(scene.sampleHeightMostDetailed.calls.argsFor(0)[2]).toBe(0.5);
+  });
+
+  it("resolves to undefined for positions within the tolerance", async function () {
+    const obstruction = await lineOfSight(
+      scene,
+      start,
+      Cartesian3.fromDegrees(0.0, 0.0, 101.0)
+    );
+    expect(obstruction).toBeUndefined();
+    expect(scene.pickFromRay).not.toHaveBeenCalled();
+  });
+});
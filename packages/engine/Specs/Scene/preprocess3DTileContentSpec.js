@@ -1,6 +1,7 @@
 import {
   Cesium3DTileContentType,
   preprocess3DTileContent,
+  Resource,
   RuntimeError,
 } from "../../index.js";
 
@@ -60,6 +61,39 @@ describe("Scene/preprocess3DTileContent", function () {
     });
   });
 
+  it("detects PLY content", function () {
+    const typedArray = makeBinaryFile("ply\nformat binary_little_endian 1.0\n");
+    const results = preprocess3DTileContent(typedArray.buffer);
+    expect(results).toEqual({
+      contentType: Cesium3DTileContentType.GAUSSIAN_SPLAT_PLY,
+      binaryPayload: typedArray,
+    });
+  });
+
+  it("detects .splat content by the file extension", function () {
+    const typedArray = new Uint8Array(32);
+    const resource = new Resource({
+      url: "http://example.com/tiles/0.splat?v=1",
+    });
+    const results = preprocess3DTileContent(typedArray.buffer, resource);
+    expect(results).toEqual({
+      contentType: Cesium3DTileContentType.GAUSSIAN_SPLAT,
+      binaryPayload: typedArray,
+    });
+  });
+
+  it("detects content with a magic number by the magic number instead of the .splat file extension", function () {
+    const typedArray = makeBinaryFile("glTF");
+    const resource = new Resource({
+      url: "http://example.com/tiles/0.splat",
+    });
+    const results = preprocess3DTileContent(typedArray.buffer, resource);
+    expect(results).toEqual({
+      contentType: Cesium3DTileContentType.GLTF_BINARY,
+      binaryPayload: typedArray,
+    });
+  });
+
   it("detects gltf JSON content", function () {
     const glTF = {
       asset: {
@@ -0,0 +1,167 @@
+import {
+  defined,
+  destroyObject,
+  DeveloperError,
+  getElement,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import MeasureViewModel from "./MeasureViewModel.js";
+
+const rulerPath =
+  "M3,21L21,3L29,11L11,29z M6,21L11,26L26,11L21,6z M9,18L9.7,17.3L12.7,20.3L12,21z M12,15L12.7,14.3L14.7,16.3L14,17z M15,12L15.7,11.3L18.7,14.3L18,15z M18,9L18.7,8.3L20.7,10.3L20,11z";
+
+/**
+ * <p>The Measure widget is a single button widget with a drop-down for measuring ground distances and bearings,
+ * surface areas, vertical heights and terrain profiles in a scene with a {@link MeasurementTool}.
+ * After a kind of measurement is chosen, positions are picked with left clicks and the measurement is completed
+ * with a double or right click.</p><p style="clear: both;"></p><br/>
+ *
+ * @alias Measure
+ * @constructor
+ *
+ * @param {Element|string} container The DOM element or ID that will contain the widget.
+ * @param {Scene} scene The Scene instance to measure in.
+ *
+ * @exception {DeveloperError} Element with id "container" does not exist in the document.
+ *
+ * @example
+ * // In HTML head, include a link to the Measure.css stylesheet,
+ * // and in the body, include: <div id="measureContainer"></div>
+ * // Note: This code assumes you already have a Scene instance.
+ *
+ * const measure = new Cesium.Measure('measureContainer', scene);
+ */
+function Measure(container, scene) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(container)) {
+    throw new DeveloperError("container is required.");
+  }
+  if (!defined(scene)) {
+    throw new DeveloperError("scene is required.");
+  }
+  //>>includeEnd('debug');
+
+  container = getElement(container);
+
+  const viewModel = new MeasureViewModel(scene);
+  viewModel._rulerPath = rulerPath;
+
+  const wrapper = document.createElement("span");
+  wrapper.className = "cesium-measure-wrapper";
+  container.appendChild(wrapper);
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className =
+    "cesium-button cesium-toolbar-button cesium-measure-button";
+  button.setAttribute(
+    "data-bind",
+    '\
+attr: { title: tooltip },\
+css: { "cesium-measure-button-active": isMeasuring },\
+click: toggleDropDown,\
+cesiumSvgPath: { path: _rulerPath, width: 32, height: 32 }'
+  );
+  wrapper.appendChild(button);
+
+  const dropDown = document.createElement("div");
+  dropDown.className = "cesium-measure-dropDown";
+  dropDown.setAttribute(
+    "data-bind",
+    'css: { "cesium-measure-dropDown-visible": dropDownVisible }'
+  );
+  wrapper.appendChild(dropDown);
+
+  const types = [
+    ["Distance", "measureDistance", "DISTANCE"],
+    ["Area", "measureArea", "AREA"],
+    ["Height", "measureHeight", "HEIGHT"],
+    ["Profile", "measureProfile", "PROFILE"],
+  ];
+  for (let i = 0; i < types.length; ++i) {
+    const typeButton = document.createElement("button");
+    typeButton.type = "button";
+    typeButton.className = "cesium-button cesium-measure-type";
+    typeButton.setAttribute(
+      "data-bind",
+      `click: ${types[i][1]}, css: { "cesium-measure-type-selected": selectedType === _measurementType.${types[i][2]} }`
+    );
+    typeButton.textContent = types[i][0];
+    dropDown.appendChild(typeButton);
+  }
+
+  const clearButton = document.createElement("button");
+  clearButton.type = "button";
+  clearButton.className = "cesium-button cesium-measure-clear";
+  clearButton.setAttribute("data-bind", "click: clear");
+  clearButton.textContent = "Clear";
+  dropDown.appendChild(clearButton);
+
+  const rhumbLines = document.createElement("label");
+  rhumbLines.className = "cesium-measure-option";
+  const rhumbLinesCheckbox = document.createElement("input");
+  rhumbLinesCheckbox.type = "checkbox";
+  rhumbLinesCheckbox.setAttribute("data-bind", "checked: useRhumbLines");
+  rhumbLines.appendChild(rhumbLinesCheckbox);
+  rhumbLines.appendChild(document.createTextNode("Rhumb lines"));
+  dropDown.appendChild(rhumbLines);
+
+  const result = document.createElement("div");
+  result.className = "cesium-measure-result";
+  result.setAttribute(
+    "data-bind",
+    "text: measurementText, visible: measurementText.length > 0"
+  );
+  dropDown.appendChild(result);
+
+  knockout.applyBindings(viewModel, wrapper);
+
+  this._viewModel = viewModel;
+  this._container = container;
+  this._wrapper = wrapper;
+}
+
+Object.defineProperties(Measure.prototype, {
+  /**
+   * Gets the parent container.
+   * @memberof Measure.prototype
+   *
+   * @type {Element}
+   */
+  container: {
+    get: function () {
+      return this._container;
+    },
+  },
+
+  /**
+   * Gets the view model.
+   * @memberof Measure.prototype
+   *
+   * @type {MeasureViewModel}
+   */
+  viewModel: {
+    get: function () {
+      return this._viewModel;
+    },
+  },
+});
+
+/**
+ * @returns {boolean} true if the object has been destroyed, false otherwise.
+ */
+Measure.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the widget.  Should be called if permanently
+ * removing the widget from layout.
+ */
+Measure.prototype.destroy = function () {
+  this._viewModel.destroy();
+  knockout.cleanNode(this._wrapper);
+  this._container.removeChild(this._wrapper);
+  return destroyObject(this);
+};
+export default Measure;
@@ -0,0 +1,284 @@
+import {
+  ArcType,
+  defined,
+  destroyObject,
+  DeveloperError,
+  EventHelper,
+  MeasurementTool,
+  MeasurementType,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import createCommand from "../createCommand.js";
+
+function formatMeasurement(tool, measurement) {
+  if (!defined(measurement)) {
+    return "";
+  }
+
+  switch (measurement.type) {
+    case MeasurementType.AREA:
+      return `Area: ${tool.formatArea(
+        measurement.area
+      )}\nPerimeter: ${tool.formatDistance(measurement.distance)}`;
+    case MeasurementType.HEIGHT:
+      return `Height: ${tool.formatDistance(
+        measurement.height
+      )}\nHorizontal distance: ${tool.formatDistance(measurement.distance)}`;
+    case MeasurementType.PROFILE: {
+      let text = `Distance: ${tool.formatDistance(measurement.distance)}`;
+      const profile = measurement.profile;
+      if (defined(profile)) {
+        let lowest = Number.POSITIVE_INFINITY;
+        let highest = Number.NEGATIVE_INFINITY;
+        for (let i = 0; i < profile.length; ++i) {
+          const height = profile[i].height;
+          if (defined(height)) {
+            lowest = Math.min(lowest, height);
+            highest = Math.max(highest, height);
+          }
+        }
+        if (lowest <= highest) {
+          text += `\nLowest: ${tool.formatDistance(
+            lowest
+          )}\nHighest: ${tool.formatDistance(highest)}`;
+        }
+      }
+      return text;
+    }
+    default:
+      return `Distance: ${tool.formatDistance(measurement.distance)}`;
+  }
+}
+
+/**
+ * The view model for {@link Measure}.
+ * @alias MeasureViewModel
+ * @constructor
+ *
+ * @param {Scene} scene The scene to measure in.
+ */
+function MeasureViewModel(scene) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(scene)) {
+    throw new DeveloperError("scene is required.");
+  }
+  //>>includeEnd('debug');
+
+  const measurementTool = new MeasurementTool({
+    scene: scene,
+  });
+  this._scene = scene;
+  this._measurementTool = measurementTool;
+  this._measurementType = MeasurementType;
+
+  /**
+   * Gets or sets whether the measurement drop-down is currently visible.  This property is observable.
+   * @type {boolean}
+   * @default false
+   */
+  this.dropDownVisible = false;
+
+  /**
+   * Gets or sets the tooltip.  This property is observable.
+   * @type {string}
+   * @default 'Measure'
+   */
+  this.tooltip = "Measure";
+
+  /**
+   * Gets whether positions are being picked for a measurement.  This property is observable.
+   * @type {boolean}
+   * @default false
+   */
+  this.isMeasuring = false;
+
+  /**
+   * Gets the kind of the current measurement, or <code>undefined</code> if there is none.  This property is observable.
+   * @type {MeasurementType|undefined}
+   */
+  this.selectedType = undefined;
+
+  /**
+   * Gets the text describing the current measurement.  This property is observable.
+   * @type {string}
+   */
+  this.measurementText = "";
+
+  /**
+   * Gets or sets whether distances and areas are measured along rhumb lines instead of geodesics.  This property is observable.
+   * @type {boolean}
+   * @default false
+   */
+  this.useRhumbLines = false;
+
+  knockout.track(this, [
+    "dropDownVisible",
+    "tooltip",
+    "isMeasuring",
+    "selectedType",
+    "measurementText",
+    "useRhumbLines",
+  ]);
+
+  const that = this;
+  this._toggleDropDown = createCommand(function () {
+    that.dropDownVisible = !that.dropDownVisible;
+  });
+
+  function createMeasureCommand(type) {
+    return createCommand(function () {
+      measurementTool.type = type;
+      measurementTool.start();
+      that.selectedType = type;
+      that.isMeasuring = true;
+      that.measurementText = "";
+    });
+  }
+  this._measureDistance = createMeasureCommand(MeasurementType.DISTANCE);
+  this._measureArea = createMeasureCommand(MeasurementType.AREA);
+  this._measureHeight = createMeasureCommand(MeasurementType.HEIGHT);
+  this._measureProfile = createMeasureCommand(MeasurementType.PROFILE);
+
+  this._clear = createCommand(function () {
+    measurementTool.clear();
+    that.selectedType = undefined;
+    that.isMeasuring = false;
+    that.measurementText = "";
+  });
+
+  this._eventHelper = new EventHelper();
+  this._eventHelper.add(measurementTool.measurementChanged, function (
+    measurement
+  ) {
+    that.isMeasuring = measurementTool.active;
+    that.measurementText = formatMeasurement(measurementTool, measurement);
+  });
+  this._eventHelper.add(measurementTool.measurementCompleted, function (
+    measurement
+  ) {
+    that.isMeasuring = false;
+    that.measurementText = formatMeasurement(measurementTool, measurement);
+  });
+
+  this._useRhumbLinesSubscription = knockout
+    .getObservable(this, "useRhumbLines")
+    .subscribe(function (value) {
+      measurementTool.arcType = value ? ArcType.RHUMB : ArcType.GEODESIC;
+    });
+}
+
+Object.defineProperties(MeasureViewModel.prototype, {
+  /**
+   * Gets the scene to measure in.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Scene}
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+
+  /**
+   * Gets the tool that takes the measurements.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {MeasurementTool}
+   */
+  measurementTool: {
+    get: function () {
+      return this._measurementTool;
+    },
+  },
+
+  /**
+   * Gets the command to toggle the visibility of the drop down.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Command}
+   */
+  toggleDropDown: {
+    get: function () {
+      return this._toggleDropDown;
+    },
+  },
+
+  /**
+   * Gets the command to start measuring a ground distance.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Command}
+   */
+  measureDistance: {
+    get: function () {
+      return this._measureDistance;
+    },
+  },
+
+  /**
+   * Gets the command to start measuring a surface area.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Command}
+   */
+  measureArea: {
+    get: function () {
+      return this._measureArea;
+    },
+  },
+
+  /**
+   * Gets the command to start measuring a vertical height.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Command}
+   */
+  measureHeight: {
+    get: function () {
+      return this._measureHeight;
+    },
+  },
+
+  /**
+   * Gets the command to start measuring a terrain profile.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Command}
+   */
+  measureProfile: {
+    get: function () {
+      return this._measureProfile;
+    },
+  },
+
+  /**
+   * Gets the command to remove the current measurement.
+   * @memberof MeasureViewModel.prototype
+   *
+   * @type {Command}
+   */
+  clear: {
+    get: function () {
+      return this._clear;
+    },
+  },
+});
+
+/**
+ * @returns {boolean} true if the object has been destroyed, false otherwise.
+ */
+MeasureViewModel.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the view model.
+ */
+MeasureViewModel.prototype.destroy = function () {
+  this._eventHelper.removeAll();
+  this._useRhumbLinesSubscription.dispose();
+  this._measurementTool.destroy();
+  destroyObject(this);
+};
+export default MeasureViewModel;
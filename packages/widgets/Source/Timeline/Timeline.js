@@ -6,6 +6,7 @@ import {
   getElement,
   JulianDate,
 } from "@cesium/engine";
+import TimelineDataSourceTrack from "./TimelineDataSourceTrack.js";
 import TimelineHighlightRange from "./TimelineHighlightRange.js";
 import TimelineTrack from "./TimelineTrack.js";
 
@@ -92,8 +93,29 @@ const timelineMonthNames = [
   "Dec",
 ];
 
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 /**
  * The Timeline is a widget for displaying and controlling the current scene time.
+ * <p>
+ * The bookmarks of the clock are shown as markers on the time bar.  The buttons at the right of the time bar,
+ * or the keyboard while the timeline has focus, jump between bookmarks and between the samples of
+ * {@link Timeline#sampledProperty}:
+ * </p>
+ * <ul>
+ * <li><code>Shift + Left</code> and <code>Shift + Right</code> jump to the previous and next bookmark.</li>
+ * <li><code>Left</code> and <code>Right</code> jump to the previous and next sample.</li>
+ * <li><code>B</code> adds a bookmark at the current time.</li>
+ * </ul>
+ * <p>
+ * Jumps raise the <code>settime</code> event, the same as scrubbing the time bar.
+ * </p>
  * @alias Timeline
  * @constructor
  *
@@ -145,20 +167,31 @@ function Timeline(container, clock) {
   this._timelineDragLocation = undefined;
   this._lastHeight = undefined;
   this._lastWidth = undefined;
+  this._sampledProperty = undefined;
 
   this._topDiv.innerHTML =
     '<div class="cesium-timeline-bar"></div><div class="cesium-timeline-trackContainer">' +
     '<canvas class="cesium-timeline-tracks" width="10" height="1">' +
-    '</canvas></div><div class="cesium-timeline-needle"></div><span class="cesium-timeline-ruler"></span>';
+    '</canvas></div><div class="cesium-timeline-needle"></div><span class="cesium-timeline-ruler"></span>' +
+    '<div class="cesium-timeline-navigation">' +
+    '<button type="button" class="cesium-timeline-button" title="Previous bookmark (Shift+Left)">&#x21E4;</button>' +
+    '<button type="button" class="cesium-timeline-button" title="Add bookmark (B)">+</button>' +
+    '<button type="button" class="cesium-timeline-button" title="Next bookmark (Shift+Right)">&#x21E5;</button>' +
+    '<button type="button" class="cesium-timeline-button" title="Previous sample (Left)" disabled>&#x2039;</button>' +
+    '<button type="button" class="cesium-timeline-button" title="Next sample (Right)" disabled>&#x203A;</button>' +
+    "</div>";
   this._timeBarEle = this._topDiv.childNodes[0];
   this._trackContainer = this._topDiv.childNodes[1];
   this._trackListEle = this._topDiv.childNodes[1].childNodes[0];
   this._needleEle = this._topDiv.childNodes[2];
   this._rulerEle = this._topDiv.childNodes[3];
+  this._navigationEle = this._topDiv.childNodes[4];
   this._context = this._trackListEle.getContext("2d");
 
   this._trackList = [];
   this._highlightRanges = [];
+  this._dataSourceTracks = [];
+  this._tracksDirty = false;
 
   this.zoomTo(clock.startTime, clock.stopTime);
 
@@ -185,10 +218,53 @@ function Timeline(container, clock) {
     return false;
   };
 
+  const that = this;
+  const buttons = this._navigationEle.childNodes;
+  buttons[0].addEventListener("click", function () {
+    that.jumpToPreviousBookmark();
+  });
+  buttons[1].addEventListener("click", function () {
+    that.addBookmark();
+  });
+  buttons[2].addEventListener("click", function () {
+    that.jumpToNextBookmark();
+  });
+  buttons[3].addEventListener("click", function () {
+    that.jumpToPreviousSample();
+  });
+  buttons[4].addEventListener("click", function () {
+    that.jumpToNextSample();
+  });
+
+  this._onKeyDown = createKeyDownCallback(this);
+  this._topDiv.tabIndex = 0;
+  this._topDiv.addEventListener("keydown", this._onKeyDown, false);
+
   clock.onTick.addEventListener(this.updateFromClock, this);
+  clock.onBookmarksChanged.addEventListener(this._makeTics, this);
   this.updateFromClock();
 }
 
+Object.defineProperties(Timeline.prototype, {
+  /**
+   * Gets or sets the property whose samples are stepped through with the previous and next sample
+   * buttons and keys, such as the position of a tracked entity.
+   * @memberof Timeline.prototype
+   * @type {SampledProperty|SampledPositionProperty|undefined}
+   */
+  sampledProperty: {
+    get: function () {
+      return this._sampledProperty;
+    },
+    set: function (value) {
+      this._sampledProperty = value;
+      const buttons = this._navigationEle.childNodes;
+      buttons[3].disabled = !defined(value);
+      buttons[4].disabled = !defined(value);
+    },
+  },
+});
+
 /**
  * @private
  */
@@ -216,6 +292,10 @@ Timeline.prototype.isDestroyed = function () {
  */
 Timeline.prototype.destroy = function () {
   this._clock.onTick.removeEventListener(this.updateFromClock, this);
+  this._clock.onBookmarksChanged.removeEventListener(this._makeTics, this);
+  this._dataSourceTracks.forEach(function (track) {
+    track.destroy();
+  });
 
   const doc = this.container.ownerDocument;
   doc.removeEventListener("mouseup", this._onMouseUp, false);
@@ -264,6 +344,169 @@ Timeline.prototype.addTrack = function (
   return newTrack;
 };
 
+/**
+ * Adds a labeled track showing the availability intervals of the entities in a data source.  Entities
+ * without availability are not shown.  The track is updated when entities are added, removed or changed.
+ *
+ * @param {DataSource} dataSource The data source.
+ * @param {object} [options] Object with the following properties:
+ * @param {string} [options.label=dataSource.name] The label of the track.
+ * @param {number} [options.height=16] The height of the track in pixels.
+ * @param {Color} [options.color] The color of the availability intervals.
+ * @param {Color} [options.backgroundColor] The background color of the track.
+ * @param {Color} [options.labelColor=Color.WHITE] The color of the label.
+ *
+ * @example
+ * const dataSource = await Cesium.CzmlDataSource.load("../../SampleData/simple.czml");
+ * viewer.dataSources.add(dataSource);
+ * viewer.timeline.addDataSourceTrack(dataSource, {
+ *   color: Cesium.Color.ORANGE,
+ * });
+ */
+Timeline.prototype.addDataSourceTrack = function (dataSource, options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(dataSource)) {
+    throw new DeveloperError("dataSource is required.");
+  }
+  //>>includeEnd('debug');
+
+  this.removeDataSourceTrack(dataSource);
+
+  const that = this;
+  const track = new TimelineDataSourceTrack(dataSource, options, function () {
+    that._tracksDirty = true;
+  });
+  this._dataSourceTracks.push(track);
+  this._trackList.push(track);
+  this._lastHeight = undefined;
+  this.resize();
+};
+
+/**
+ * Removes the track of a data source that was added with {@link Timeline#addDataSourceTrack}.
+ *
+ * @param {DataSource} dataSource The data source.
+ * @returns {boolean} <code>true</code> if the track was removed, <code>false</code> if the data source has no track.
+ */
+Timeline.prototype.removeDataSourceTrack = function (dataSource) {
+  const tracks = this._dataSourceTracks;
+  for (let i = 0; i < tracks.length; ++i) {
+    const track = tracks[i];
+    if (track.dataSource === dataSource) {
+      track.destroy();
+      tracks.splice(i, 1);
+      this._trackList.splice(this._trackList.indexOf(track), 1);
+      this._lastHeight = undefined;
+      this.resize();
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Adds a bookmark to the clock at the current time.
+ *
+ * @param {string} [name] The name of the bookmark.  If undefined, the time is used as the name.
+ * @returns {ClockBookmark} The new bookmark.
+ */
+Timeline.prototype.addBookmark = function (name) {
+  const time = this._clock.currentTime;
+  return this._clock.addBookmark(
+    time,
+    defined(name) ? name : this.makeLabel(time)
+  );
+};
+
+/**
+ * Jumps to the first bookmark of the clock after the current time.
+ *
+ * @returns {boolean} <code>true</code> if there is a bookmark after the current time, <code>false</code> otherwise.
+ */
+Timeline.prototype.jumpToNextBookmark = function () {
+  const bookmark = this._clock.getNextBookmark(this._clock.currentTime);
+  if (!defined(bookmark)) {
+    return false;
+  }
+  this._jumpTo(bookmark.time);
+  return true;
+};
+
+/**
+ * Jumps to the last bookmark of the clock before the current time.
+ *
+ * @returns {boolean} <code>true</code> if there is a bookmark before the current time, <code>false</code> otherwise.
+ */
+Timeline.prototype.jumpToPreviousBookmark = function () {
+  const bookmark = this._clock.getPreviousBookmark(this._clock.currentTime);
+  if (!defined(bookmark)) {
+    return false;
+  }
+  this._jumpTo(bookmark.time);
+  return true;
+};
+
+/**
+ * Jumps to the first sample of {@link Timeline#sampledProperty} after the current time.
+ *
+ * @returns {boolean} <code>true</code> if there is a sample after the current time, <code>false</code> otherwise.
+ */
+Timeline.prototype.jumpToNextSample = function () {
+  if (!defined(this._sampledProperty)) {
+    return false;
+  }
+  const time = this._sampledProperty.getNextSampleTime(this._clock.currentTime);
+  if (!defined(time)) {
+    return false;
+  }
+  this._jumpTo(time);
+  return true;
+};
+
+/**
+ * Jumps to the last sample of {@link Timeline#sampledProperty} before the current time.
+ *
+ * @returns {boolean} <code>true</code> if there is a sample before the current time, <code>false</code> otherwise.
+ */
+Timeline.prototype.jumpToPreviousSample = function () {
+  if (!defined(this._sampledProperty)) {
+    return false;
+  }
+  const time = this._sampledProperty.getPreviousSampleTime(
+    this._clock.currentTime
+  );
+  if (!defined(time)) {
+    return false;
+  }
+  this._jumpTo(time);
+  return true;
+};
+
+/**
+ * Moves the scrubber to a time, centering the view on the time if it is not visible.
+ *
+ * @private
+ */
+Timeline.prototype._jumpTo = function (time) {
+  if (
+    JulianDate.lessThan(time, this._startJulian) ||
+    JulianDate.greaterThan(time, this._endJulian)
+  ) {
+    const halfSpan = this._timeBarSecondsSpan * 0.5;
+    this.zoomTo(
+      JulianDate.addSeconds(time, -halfSpan, new JulianDate()),
+      JulianDate.addSeconds(time, halfSpan, new JulianDate())
+    );
+  }
+
+  const seconds = JulianDate.secondsDifference(time, this._startJulian);
+  this._setTimeBarTime(
+    (seconds * this._topDiv.clientWidth) / this._timeBarSecondsSpan,
+    seconds,
+    time
+  );
+};
+
 /**
  * Sets the view to the provided times.
  *
@@ -676,6 +919,20 @@ Timeline.prototype._makeTics = function () {
     this._mainTicSpan = -1;
   }
 
+  const bookmarks = this._clock.bookmarks;
+  for (i = 0; i < bookmarks.length; ++i) {
+    const bookmark = bookmarks[i];
+    const bookmarkLeft = Math.round(
+      timeBarWidth *
+        getAlpha(JulianDate.secondsDifference(bookmark.time, epochJulian))
+    );
+    if (bookmarkLeft >= 0 && bookmarkLeft <= timeBarWidth) {
+      tics += `<span class="cesium-timeline-bookmark" data-bookmark="${i}" style="left: ${bookmarkLeft}px;" title="${escapeHtml(
+        bookmark.name
+      )}"></span>`;
+    }
+  }
+
   tics += `<span class="cesium-timeline-icon16" style="left:${scrubX}px;bottom:0;background-position: 0 0;"></span>`;
   timeBar.innerHTML = tics;
   this._scrubElement = timeBar.lastChild;
@@ -699,6 +956,11 @@ Timeline.prototype._makeTics = function () {
  * @private
  */
 Timeline.prototype.updateFromClock = function () {
+  if (this._tracksDirty) {
+    this._tracksDirty = false;
+    this._makeTics();
+  }
+
   this._scrubJulian = this._clock.currentTime;
   const scrubElement = this._scrubElement;
   if (defined(this._scrubElement)) {
@@ -741,13 +1003,11 @@ Timeline.prototype.updateFromClock = function () {
 /**
  * @private
  */
-Timeline.prototype._setTimeBarTime = function (xPos, seconds) {
+Timeline.prototype._setTimeBarTime = function (xPos, seconds, julian) {
   xPos = Math.round(xPos);
-  this._scrubJulian = JulianDate.addSeconds(
-    this._startJulian,
-    seconds,
-    new JulianDate()
-  );
+  this._scrubJulian = defined(julian)
+    ? JulianDate.clone(julian)
+    : JulianDate.addSeconds(this._startJulian, seconds, new JulianDate());
   if (this._scrubElement) {
     const scrubX = xPos - 8;
     this._scrubElement.style.left = `${scrubX.toString()}px`;
@@ -763,8 +1023,46 @@ Timeline.prototype._setTimeBarTime = function (xPos, seconds) {
   this._topDiv.dispatchEvent(evt);
 };
 
+function createKeyDownCallback(timeline) {
+  return function (e) {
+    let handled = true;
+    if (e.key === "ArrowLeft") {
+      if (e.shiftKey) {
+        timeline.jumpToPreviousBookmark();
+      } else {
+        timeline.jumpToPreviousSample();
+      }
+    } else if (e.key === "ArrowRight") {
+      if (e.shiftKey) {
+        timeline.jumpToNextBookmark();
+      } else {
+        timeline.jumpToNextSample();
+      }
+    } else if (e.key === "b" || e.key === "B") {
+      timeline.addBookmark();
+    } else {
+      handled = false;
+    }
+
+    if (handled) {
+      e.preventDefault();
+    }
+  };
+}
+
 function createMouseDownCallback(timeline) {
   return function (e) {
+    timeline._topDiv.focus({ preventScroll: true });
+    const bookmarkIndex = defined(e.target.dataset)
+      ? e.target.dataset.bookmark
+      : undefined;
+    if (e.button === 0 && defined(bookmarkIndex)) {
+      // Jump to the bookmark instead of scrubbing
+      timeline._jumpTo(timeline._clock.bookmarks[bookmarkIndex].time);
+      e.preventDefault();
+      return;
+    }
+
     if (timeline._mouseMode !== timelineMouseMode.touchOnly) {
       if (e.button === 0) {
         timeline._mouseMode = timelineMouseMode.scrub;
@@ -0,0 +1,85 @@
+import { Color, defaultValue, defined, JulianDate } from "@cesium/engine";
+
+/**
+ * A labeled track showing the availability intervals of the entities in a data source.
+ *
+ * @private
+ */
+function TimelineDataSourceTrack(dataSource, options, changedCallback) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this.dataSource = dataSource;
+  this.label = options.label;
+  this.height = defaultValue(options.height, 16);
+  this.color = defaultValue(options.color, new Color(0.0, 0.53, 1.0, 0.8));
+  this.backgroundColor = defaultValue(
+    options.backgroundColor,
+    new Color(0.0, 0.0, 0.0, 0.3)
+  );
+  this.labelColor = defaultValue(options.labelColor, Color.WHITE);
+
+  this._removeCollectionChangedListener = dataSource.entities.collectionChanged.addEventListener(
+    changedCallback
+  );
+  this._removeChangedListener = dataSource.changedEvent.addEventListener(
+    changedCallback
+  );
+}
+
+TimelineDataSourceTrack.prototype.destroy = function () {
+  this._removeCollectionChangedListener();
+  this._removeChangedListener();
+};
+
+function getX(time, renderState) {
+  const seconds = JulianDate.secondsDifference(time, renderState.startJulian);
+  return (seconds / renderState.duration) * renderState.timeBarWidth;
+}
+
+TimelineDataSourceTrack.prototype.render = function (context, renderState) {
+  const timeBarWidth = renderState.timeBarWidth;
+  const y = renderState.y;
+  const height = this.height;
+
+  context.fillStyle = this.backgroundColor.toCssColorString();
+  context.fillRect(0, y, timeBarWidth, height);
+
+  // Each entity draws its intervals in a row of at least one pixel, so overlapping entities remain visible
+  const entities = this.dataSource.entities.values;
+  let rows = 0;
+  for (let i = 0; i < entities.length; ++i) {
+    if (defined(entities[i].availability)) {
+      ++rows;
+    }
+  }
+  const rowHeight = rows > 0 ? Math.max((height - 2) / rows, 1.0) : 0.0;
+
+  context.fillStyle = this.color.toCssColorString();
+  let row = 0;
+  for (let i = 0; i < entities.length; ++i) {
+    const availability = entities[i].availability;
+    if (!defined(availability)) {
+      continue;
+    }
+
+    const rowY = y + 1 + Math.min(row * rowHeight, height - 3);
+    ++row;
+    for (let j = 0; j < availability.length; ++j) {
+      const interval = availability.get(j);
+      const left = Math.max(getX(interval.start, renderState), 0);
+      const right = Math.min(getX(interval.stop, renderState), timeBarWidth);
+      if (right >= 0 && left <= timeBarWidth) {
+        context.fillRect(left, rowY, Math.max(right - left, 1), rowHeight);
+      }
+    }
+  }
+
+  const label = defaultValue(this.label, this.dataSource.name);
+  if (defined(label)) {
+    context.font = `${Math.min(height - 4, 11)}px sans-serif`;
+    context.textBaseline = "middle";
+    context.fillStyle = this.labelColor.toCssColorString();
+    context.fillText(label, 4, y + height * 0.5);
+  }
+};
+export default TimelineDataSourceTrack;
@@ -42,6 +42,7 @@ import FullscreenButton from "../FullscreenButton/FullscreenButton.js";
 import Geocoder from "../Geocoder/Geocoder.js";
 import HomeButton from "../HomeButton/HomeButton.js";
 import InfoBox from "../InfoBox/InfoBox.js";
+import Measure from "../Measure/Measure.js";
 import NavigationHelpButton from "../NavigationHelpButton/NavigationHelpButton.js";
 import ProjectionPicker from "../ProjectionPicker/ProjectionPicker.js";
 import SceneModePicker from "../SceneModePicker/SceneModePicker.js";
@@ -130,9 +131,13 @@ function pickEntity(viewer, e) {
     }
   }
 
-  // No regular entity picked.  Try picking features from imagery layers.
+  // No regular entity picked.  Try picking features from imagery layers, then addresses.
   if (defined(viewer.scene.globe)) {
-    return pickImageryLayerFeature(viewer, e.position);
+    const imageryLayerFeature = pickImageryLayerFeature(viewer, e.position);
+    if (defined(imageryLayerFeature)) {
+      return imageryLayerFeature;
+    }
+    return pickAddress(viewer, e.position);
   }
 }
 
@@ -223,6 +228,70 @@ function pickImageryLayerFeature(viewer, windowPosition) {
   return loadingMessage;
 }
 
+function pickAddress(viewer, windowPosition) {
+  const geocoderService = viewer._reverseGeocoderService;
+  if (
+    !defined(geocoderService) ||
+    typeof geocoderService.reverseGeocode !== "function"
+  ) {
+    return;
+  }
+
+  const scene = viewer.scene;
+  const pickRay = scene.camera.getPickRay(windowPosition);
+  const position = defined(pickRay)
+    ? scene.globe.pick(pickRay, scene)
+    : undefined;
+  if (!defined(position)) {
+    return;
+  }
+  const cartographic = scene.globe.ellipsoid.cartesianToCartographic(position);
+
+  // Reverse geocoding is asynchronous, so put up a message while loading.
+  const loadingMessage = new Entity({
+    id: "Loading...",
+    description: "Loading address...",
+  });
+
+  geocoderService.reverseGeocode(cartographic).then(
+    function (results) {
+      // Has this async pick been superseded by a later one?
+      if (viewer.selectedEntity !== loadingMessage) {
+        return;
+      }
+
+      if (!defined(results) || results.length === 0) {
+        viewer.selectedEntity = createNoFeaturesEntity();
+        return;
+      }
+
+      // The address comes from the server, so add it as text rather than HTML
+      const result = results[0];
+      const address = document.createElement("p");
+      address.textContent = result.displayName;
+      let description = address.outerHTML;
+      const credit = geocoderService.credit;
+      if (defined(credit)) {
+        description += `<p>${credit.html}</p>`;
+      }
+      viewer.selectedEntity = new Entity({
+        name: result.displayName,
+        description: description,
+        position: new ConstantPositionProperty(position),
+      });
+    },
+    function () {
+      // Has this async pick been superseded by a later one?
+      if (viewer.selectedEntity !== loadingMessage) {
+        return;
+      }
+      viewer.selectedEntity = createNoFeaturesEntity();
+    }
+  );
+
+  return loadingMessage;
+}
+
 function createNoFeaturesEntity() {
   return new Entity({
     id: "None",
@@ -235,6 +304,7 @@ function enableVRUI(viewer, enabled) {
   const homeButton = viewer._homeButton;
   const sceneModePicker = viewer._sceneModePicker;
   const projectionPicker = viewer._projectionPicker;
+  const measure = viewer._measure;
   const baseLayerPicker = viewer._baseLayerPicker;
   const animation = viewer._animation;
   const timeline = viewer._timeline;
@@ -256,6 +326,9 @@ function enableVRUI(viewer, enabled) {
   if (defined(projectionPicker)) {
     projectionPicker.container.style.visibility = visibility;
   }
+  if (defined(measure)) {
+    measure.container.style.visibility = visibility;
+  }
   if (defined(baseLayerPicker)) {
     baseLayerPicker.container.style.visibility = visibility;
   }
@@ -299,6 +372,7 @@ function enableVRUI(viewer, enabled) {
  * @property {boolean} [fullscreenButton=true] If set to false, the FullscreenButton widget will not be created.
  * @property {boolean} [vrButton=false] If set to true, the VRButton widget will be created.
  * @property {boolean|GeocoderService[]} [geocoder=true] If set to false, the Geocoder widget will not be created.
+ * @property {GeocoderService} [reverseGeocoderService] A geocoder service that implements {@link GeocoderService#reverseGeocode}. When picking the globe does not pick an entity or imagery layer feature, the address at the picked position is shown in the InfoBox.
  * @property {boolean} [homeButton=true] If set to false, the HomeButton widget will not be created.
  * @property {boolean} [infoBox=true] If set to false, the InfoBox widget will not be created.
  * @property {boolean} [sceneModePicker=true] If set to false, the SceneModePicker widget will not be created.
@@ -337,6 +411,7 @@ function enableVRUI(viewer, enabled) {
  * @property {ShadowMode} [terrainShadows=ShadowMode.RECEIVE_ONLY] Determines if the terrain casts or receives shadows from light sources.
  * @property {MapMode2D} [mapMode2D=MapMode2D.INFINITE_SCROLL] Determines if the 2D map is rotatable or can be scrolled infinitely in the horizontal direction.
  * @property {boolean} [projectionPicker=false] If set to true, the ProjectionPicker widget will be created.
+ * @property {boolean} [measure=false] If set to true, the Measure widget will be created.
  * @property {boolean} [blurActiveElementOnCanvasFocus=true] If true, the active element will blur when the viewer's canvas is clicked. Setting this to false is useful for cases when the canvas is clicked only for retrieving position or an entity data without actually meaning to set the canvas to be the active element.
  * @property {boolean} [requestRenderMode=false] If true, rendering a frame will only occur when needed as determined by changes within the scene. Enabling reduces the CPU/GPU usage of your application and uses less battery on mobile, but requires using {@link Scene#requestRender} to render a new frame explicitly in this mode. This will be necessary in many cases after making changes to the scene in other parts of the API. See {@link https://cesium.com/blog/2018/01/24/cesium-scene-rendering-performance/|Improving Performance with Explicit Rendering}.
  * @property {number} [maximumRenderTimeChange=0.0] If requestRenderMode is true, this value defines the maximum change in simulation time allowed before a render is requested. See {@link https://cesium.com/blog/2018/01/24/cesium-scene-rendering-performance/|Improving Performance with Explicit Rendering}.
@@ -648,6 +723,11 @@ Either specify options.terrainProvider instead or set options.baseLayerPicker to
     projectionPicker = new ProjectionPicker(toolbar, scene);
   }
 
+  let measure;
+  if (options.measure) {
+    measure = new Measure(toolbar, scene);
+  }
+
   // BaseLayerPicker
   let baseLayerPicker;
   let baseLayerPickerDropDown;
@@ -860,6 +940,7 @@ Either specify options.terrainProvider instead or set options.baseLayerPicker to
   this._homeButton = homeButton;
   this._sceneModePicker = sceneModePicker;
   this._projectionPicker = projectionPicker;
+  this._measure = measure;
   this._baseLayerPicker = baseLayerPicker;
   this._navigationHelpButton = navigationHelpButton;
   this._animation = animation;
@@ -867,6 +948,7 @@ Either specify options.terrainProvider instead or set options.baseLayerPicker to
   this._fullscreenButton = fullscreenButton;
   this._vrButton = vrButton;
   this._geocoder = geocoder;
+  this._reverseGeocoderService = options.reverseGeocoderService;
   this._eventHelper = eventHelper;
   this._lastWidth = 0;
   this._lastHeight = 0;
@@ -1080,6 +1162,18 @@ Object.defineProperties(Viewer.prototype, {
     },
   },
 
+  /**
+   * Gets the Measure widget.
+   * @memberof Viewer.prototype
+   * @type {Measure}
+   * @readonly
+   */
+  measure: {
+    get: function () {
+      return this._measure;
+    },
+  },
+
   /**
    * Gets the BaseLayerPicker.
    * @memberof Viewer.prototype
@@ -1525,6 +1619,21 @@ Object.defineProperties(Viewer.prototype, {
       }
     },
   },
+  /**
+   * Gets or sets the geocoder service used to show the address at a position picked on the globe in the InfoBox,
+   * when the pick does not select an entity or imagery layer feature. The service must implement
+   * {@link GeocoderService#reverseGeocode}.
+   * @memberof Viewer.prototype
+   * @type {GeocoderService|undefined}
+   */
+  reverseGeocoderService: {
+    get: function () {
+      return this._reverseGeocoderService;
+    },
+    set: function (value) {
+      this._reverseGeocoderService = value;
+    },
+  },
   /**
    * Gets the event that is raised when the selected entity changes.
    * @memberof Viewer.prototype
@@ -1759,6 +1868,10 @@ Viewer.prototype.destroy = function () {
     this._projectionPicker = this._projectionPicker.destroy();
   }
 
+  if (defined(this._measure)) {
+    this._measure = this._measure.destroy();
+  }
+
   if (defined(this._baseLayerPicker)) {
     this._baseLayerPicker = this._baseLayerPicker.destroy();
   }
@@ -0,0 +1,66 @@
+import createScene from "../../../../Specs/createScene.js";
+import { Measure } from "../../index.js";
+
+describe(
+  "Widgets/Measure/Measure",
+  function () {
+    let scene;
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    it("constructor sets default values", function () {
+      const measure = new Measure(document.body, scene);
+      expect(measure.container).toBe(document.body);
+      expect(measure.viewModel.scene).toBe(scene);
+      expect(measure.isDestroyed()).toEqual(false);
+      measure.destroy();
+      expect(measure.isDestroyed()).toEqual(true);
+    });
+
+    it("constructor works with string id container", function () {
+      const testElement = document.createElement("span");
+      testElement.id = "testElement";
+      document.body.appendChild(testElement);
+      const measure = new Measure("testElement", scene);
+      expect(measure.container).toBe(testElement);
+      measure.destroy();
+      expect(testElement.childNodes.length).toBe(0);
+      document.body.removeChild(testElement);
+    });
+
+    it("clicking the button toggles the drop down", function () {
+      const measure = new Measure(document.body, scene);
+      const button = document.body.querySelector(".cesium-measure-button");
+      expect(measure.viewModel.dropDownVisible).toBe(false);
+      button.click();
+      expect(measure.viewModel.dropDownVisible).toBe(true);
+      button.click();
+      expect(measure.viewModel.dropDownVisible).toBe(false);
+      measure.destroy();
+    });
+
+    it("throws if container is undefined", function () {
+      expect(function () {
+        return new Measure(undefined, scene);
+      }).toThrowDeveloperError();
+    });
+
+    it("throws if scene is undefined", function () {
+      expect(function () {
+        return new Measure(document.body, undefined);
+      }).toThrowDeveloperError();
+    });
+
+    it("constructor throws with string element that does not exist", function () {
+      expect(function () {
+        return new Measure("does not exist", scene);
+      }).toThrowDeveloperError();
+    });
+  },
+  "WebGL"
+);
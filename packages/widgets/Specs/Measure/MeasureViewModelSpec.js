@@ -0,0 +1,134 @@
+import {
+  ArcType,
+  Cartesian3,
+  MeasurementTool,
+  MeasurementType,
+} from "@cesium/engine";
+
+import { MeasureViewModel } from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/Measure/MeasureViewModel",
+  function () {
+    let scene;
+    let viewModel;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    afterEach(function () {
+      if (viewModel && !viewModel.isDestroyed()) {
+        viewModel.destroy();
+      }
+    });
+
+    it("constructor sets default values", function () {
+      viewModel = new MeasureViewModel(scene);
+      expect(viewModel.scene).toBe(scene);
+      expect(viewModel.measurementTool).toBeInstanceOf(MeasurementTool);
+      expect(viewModel.dropDownVisible).toBe(false);
+      expect(viewModel.tooltip).toEqual("Measure");
+      expect(viewModel.isMeasuring).toBe(false);
+      expect(viewModel.selectedType).toBeUndefined();
+      expect(viewModel.measurementText).toEqual("");
+      expect(viewModel.useRhumbLines).toBe(false);
+    });
+
+    it("throws if scene is undefined", function () {
+      expect(function () {
+        return new MeasureViewModel(undefined);
+      }).toThrowDeveloperError();
+    });
+
+    it("toggleDropDown toggles dropDownVisible", function () {
+      viewModel = new MeasureViewModel(scene);
+      viewModel.toggleDropDown();
+      expect(viewModel.dropDownVisible).toBe(true);
+      viewModel.toggleDropDown();
+      expect(viewModel.dropDownVisible).toBe(false);
+    });
+
+    it("measure commands start measurements", function () {
+      viewModel = new MeasureViewModel(scene);
+      const tool = viewModel.measurementTool;
+
+      viewModel.measureArea();
+      expect(tool.type).toBe(MeasurementType.AREA);
+      expect(tool.active).toBe(true);
+      expect(viewModel.selectedType).toBe(MeasurementType.AREA);
+      expect(viewModel.isMeasuring).toBe(true);
+
+      viewModel.measureHeight();
+      expect(tool.type).toBe(MeasurementType.HEIGHT);
+      viewModel.measureProfile();
+      expect(tool.type).toBe(MeasurementType.PROFILE);
+      viewModel.measureDistance();
+      expect(tool.type).toBe(MeasurementType.DISTANCE);
+      expect(tool.active).toBe(true);
+    });
+
+    it("describes the current measurement", function () {
+      viewModel = new MeasureViewModel(scene);
+      const tool = viewModel.measurementTool;
+
+      viewModel.measureDistance();
+      tool.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+      expect(viewModel.measurementText).toEqual("");
+      tool.addPosition(Cartesian3.fromDegrees(0.001, 0.0));
+      expect(viewModel.measurementText).toEqual(
+        `Distance: ${MeasurementTool.formatDistance(tool.measurement.distance)}`
+      );
+    });
+
+    it("completed measurements stop measuring", function () {
+      viewModel = new MeasureViewModel(scene);
+      const tool = viewModel.measurementTool;
+
+      viewModel.measureHeight();
+      tool.addPosition(Cartesian3.fromDegrees(0.0, 0.0, 10.0));
+      tool.addPosition(Cartesian3.fromDegrees(0.001, 0.0, 60.0));
+      expect(viewModel.isMeasuring).toBe(false);
+      expect(viewModel.measurementText).toContain("Height: 50.00 m");
+    });
+
+    it("clear removes the measurement", function () {
+      viewModel = new MeasureViewModel(scene);
+      const tool = viewModel.measurementTool;
+
+      viewModel.measureDistance();
+      tool.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+      tool.addPosition(Cartesian3.fromDegrees(0.001, 0.0));
+
+      viewModel.clear();
+      expect(tool.active).toBe(false);
+      expect(tool.positions.length).toBe(0);
+      expect(viewModel.isMeasuring).toBe(false);
+      expect(viewModel.selectedType).toBeUndefined();
+      expect(viewModel.measurementText).toEqual("");
+    });
+
+    it("useRhumbLines sets the arc type of the tool", function () {
+      viewModel = new MeasureViewModel(scene);
+      viewModel.useRhumbLines = true;
+      expect(viewModel.measurementTool.arcType).toBe(ArcType.RHUMB);
+      viewModel.useRhumbLines = false;
+      expect(viewModel.measurementTool.arcType).toBe(ArcType.GEODESIC);
+    });
+
+    it("destroy destroys the measurement tool", function () {
+      viewModel = new MeasureViewModel(scene);
+      const tool = viewModel.measurementTool;
+      viewModel.destroy();
+      expect(viewModel.isDestroyed()).toBe(true);
+      expect(tool.isDestroyed()).toBe(true);
+    });
+  },
+  "WebGL"
+);
@@ -1,4 +1,12 @@
-import { Clock } from "@cesium/engine";
+import {
+  Cartesian3,
+  Clock,
+  CustomDataSource,
+  JulianDate,
+  SampledPositionProperty,
+  TimeInterval,
+  TimeIntervalCollection,
+} from "@cesium/engine";
 
 import { Timeline } from "../../index.js";
 
@@ -16,6 +24,28 @@ describe("Widgets/Timeline/Timeline", function () {
     document.body.removeChild(container);
   });
 
+  const start = JulianDate.fromIso8601("2012-08-04T16:00:00Z");
+
+  function addSeconds(seconds) {
+    return JulianDate.addSeconds(start, seconds, new JulianDate());
+  }
+
+  function createClock() {
+    return new Clock({
+      startTime: start,
+      stopTime: addSeconds(100),
+    });
+  }
+
+  // Sets the clock time like the Viewer does when the timeline raises settime
+  function listenToSetTime(timeline, clock) {
+    const spy = jasmine.createSpy("settime").and.callFake(function (e) {
+      clock.currentTime = e.timeJulian;
+    });
+    timeline.addEventListener("settime", spy, false);
+    return spy;
+  }
+
   it("sanity check", function () {
     const timeline = new Timeline(container, new Clock());
     timeline.resize();
@@ -23,4 +53,137 @@ describe("Widgets/Timeline/Timeline", function () {
     timeline.destroy();
     expect(timeline.isDestroyed()).toEqual(true);
   });
+
+  it("adds and removes data source tracks", function () {
+    const clock = createClock();
+    const timeline = new Timeline(container, clock);
+    const dataSource = new CustomDataSource("Vehicles");
+    dataSource.entities.add({
+      availability: new TimeIntervalCollection([
+        new TimeInterval({ start: addSeconds(10), stop: addSeconds(20) }),
+      ]),
+    });
+
+    timeline.addDataSourceTrack(dataSource, { height: 20 });
+    expect(timeline._trackList.length).toBe(1);
+    expect(timeline._trackList[0].height).toBe(20);
+
+    // Adding a track for the same data source replaces it
+    timeline.addDataSourceTrack(dataSource);
+    expect(timeline._trackList.length).toBe(1);
+    expect(timeline._trackList[0].height).toBe(16);
+
+    dataSource.entities.add({});
+    expect(timeline._tracksDirty).toBe(true);
+    timeline.updateFromClock();
+    expect(timeline._tracksDirty).toBe(false);
+
+    expect(timeline.removeDataSourceTrack(dataSource)).toBe(true);
+    expect(timeline.removeDataSourceTrack(dataSource)).toBe(false);
+    expect(timeline._trackList.length).toBe(0);
+
+    dataSource.entities.add({});
+    expect(timeline._tracksDirty).toBe(false);
+    timeline.destroy();
+  });
+
+  it("shows the bookmarks of the clock", function () {
+    const clock = createClock();
+    const timeline = new Timeline(container, clock);
+    clock.addBookmark(addSeconds(50), "<Launch>");
+
+    const markers = container.querySelectorAll(".cesium-timeline-bookmark");
+    expect(markers.length).toBe(1);
+    expect(markers[0].title).toBe("<Launch>");
+    timeline.destroy();
+  });
+
+  it("jumps between bookmarks", function () {
+    const clock = createClock();
+    const timeline = new Timeline(container, clock);
+    const spy = listenToSetTime(timeline, clock);
+
+    expect(timeline.jumpToNextBookmark()).toBe(false);
+    const first = clock.addBookmark(addSeconds(10));
+    const second = clock.addBookmark(addSeconds(30));
+
+    expect(timeline.jumpToNextBookmark()).toBe(true);
+    expect(clock.currentTime).toEqual(first.time);
+    expect(timeline.jumpToNextBookmark()).toBe(true);
+    expect(clock.currentTime).toEqual(second.time);
+    expect(timeline.jumpToNextBookmark()).toBe(false);
+    expect(timeline.jumpToPreviousBookmark()).toBe(true);
+    expect(clock.currentTime).toEqual(first.time);
+    expect(spy.calls.count()).toBe(3);
+    timeline.destroy();
+  });
+
+  it("adds bookmarks at the current time", function () {
+    const clock = createClock();
+    clock.currentTime = addSeconds(5);
+    const timeline = new Timeline(container, clock);
+
+    const bookmark = timeline.addBookmark();
+    expect(bookmark.time).toEqual(clock.currentTime);
+    expect(bookmark.name).toBe(timeline.makeLabel(clock.currentTime));
+    expect(timeline.addBookmark("Named").name).toBe("Named");
+    expect(clock.bookmarks.length).toBe(2);
+    timeline.destroy();
+  });
+
+  it("jumps between samples", function () {
+    const clock = createClock();
+    const timeline = new Timeline(container, clock);
+    listenToSetTime(timeline, clock);
+
+    expect(timeline.jumpToNextSample()).toBe(false);
+
+    const property = new SampledPositionProperty();
+    property.addSamples(
+      [addSeconds(0), addSeconds(10), addSeconds(20)],
+      [new Cartesian3(), new Cartesian3(), new Cartesian3()]
+    );
+    timeline.sampledProperty = property;
+
+    expect(timeline.jumpToNextSample()).toBe(true);
+    expect(clock.currentTime).toEqual(addSeconds(10));
+    expect(timeline.jumpToNextSample()).toBe(true);
+    expect(clock.currentTime).toEqual(addSeconds(20));
+    expect(timeline.jumpToNextSample()).toBe(false);
+    expect(timeline.jumpToPreviousSample()).toBe(true);
+    expect(clock.currentTime).toEqual(addSeconds(10));
+    timeline.destroy();
+  });
+
+  it("navigates with the keyboard", function () {
+    const clock = createClock();
+    const timeline = new Timeline(container, clock);
+    listenToSetTime(timeline, clock);
+
+    const property = new SampledPositionProperty();
+    property.addSamples(
+      [addSeconds(5), addSeconds(15)],
+      [new Cartesian3(), new Cartesian3()]
+    );
+    timeline.sampledProperty = property;
+    clock.addBookmark(addSeconds(50));
+
+    function press(key, shiftKey) {
+      timeline._topDiv.dispatchEvent(
+        new KeyboardEvent("keydown", { key: key, shiftKey: shiftKey })
+      );
+    }
+
+    press("ArrowRight");
+    expect(clock.currentTime).toEqual(addSeconds(5));
+    press("ArrowRight", true);
+    expect(clock.currentTime).toEqual(addSeconds(50));
+    press("ArrowLeft");
+    expect(clock.currentTime).toEqual(addSeconds(15));
+    press("b");
+    expect(clock.bookmarks.length).toBe(2);
+    press("ArrowLeft", true);
+    expect(clock.currentTime).toEqual(addSeconds(15));
+    timeline.destroy();
+  });
 });
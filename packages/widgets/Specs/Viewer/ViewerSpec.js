@@ -1,5 +1,6 @@
 import {
   BoundingSphere,
+  Cartesian2,
   Cartesian3,
   CartographicGeocoderService,
   CesiumWidget,
@@ -7,12 +8,15 @@ import {
   ClockRange,
   ClockStep,
   Color,
+  Credit,
   CreditDisplay,
   defined,
   EllipsoidTerrainProvider,
   HeadingPitchRange,
   JulianDate,
+  Math as CesiumMath,
   Matrix4,
+  Ray,
   Rectangle,
   TimeIntervalCollection,
   WebMercatorProjection,
@@ -29,6 +33,7 @@ import {
   ImageryLayerCollection,
   Cesium3DTilesVoxelProvider,
   SceneMode,
+  ScreenSpaceEventType,
   ShadowMode,
   TimeDynamicPointCloud,
   VoxelPrimitive,
@@ -42,6 +47,7 @@ import {
   FullscreenButton,
   Geocoder,
   HomeButton,
+  Measure,
   NavigationHelpButton,
   SceneModePicker,
   SelectionIndicator,
@@ -123,6 +129,8 @@ describe(
         viewer.cesiumWidget.screenSpaceEventHandler
       );
       expect(viewer.useBrowserRecommendedResolution).toBe(true);
+      expect(viewer.measure).toBeUndefined();
+      expect(viewer.reverseGeocoderService).toBeUndefined();
       expect(viewer.isDestroyed()).toEqual(false);
       viewer.destroy();
       expect(viewer.isDestroyed()).toEqual(true);
@@ -231,6 +239,14 @@ describe(
       viewer.render();
     });
 
+    it("can create the Measure widget", function () {
+      viewer = createViewer(container, {
+        measure: true,
+      });
+      expect(viewer.measure).toBeInstanceOf(Measure);
+      expect(viewer.measure.viewModel.scene).toBe(viewer.scene);
+    });
+
     it("can shut off NavigationHelpButton", function () {
       viewer = createViewer(container, {
         navigationHelpButton: false,
@@ -395,6 +411,117 @@ describe(
       expect(viewer.geocoder.viewModel._geocoderServices[0]).toBe(service);
     });
 
+    function createReverseGeocoderService(results, credit) {
+      return {
+        credit: credit,
+        geocode: function () {
+          return Promise.resolve([]);
+        },
+        reverseGeocode: jasmine
+          .createSpy("reverseGeocode")
+          .and.returnValue(results),
+      };
+    }
+
+    function clickGlobe(viewer, position) {
+      const scene = viewer.scene;
+      spyOn(scene, "pick").and.returnValue(undefined);
+      spyOn(scene.imageryLayers, "pickImageryLayerFeatures").and.returnValue(
+        undefined
+      );
+      spyOn(scene.camera, "getPickRay").and.returnValue(new Ray());
+      spyOn(scene.globe, "pick").and.returnValue(position);
+
+      const pickAndSelectObject = viewer.screenSpaceEventHandler.getInputAction(
+        ScreenSpaceEventType.LEFT_CLICK
+      );
+      pickAndSelectObject({
+        position: new Cartesian2(10.0, 10.0),
+      });
+    }
+
+    it("can set reverseGeocoderService", function () {
+      const service = createReverseGeocoderService(Promise.resolve([]));
+      viewer = createViewer(container, {
+        reverseGeocoderService: service,
+      });
+      expect(viewer.reverseGeocoderService).toBe(service);
+
+      viewer.reverseGeocoderService = undefined;
+      expect(viewer.reverseGeocoderService).toBeUndefined();
+    });
+
+    it("shows the reverse geocoded address of a picked position in the InfoBox", async function () {
+      const displayName = `<img src="x" onerror="alert(1)">Main Street`;
+      const credit = new Credit("Address data");
+      const service = createReverseGeocoderService(
+        Promise.resolve([
+          {
+            displayName: displayName,
+            destination: Cartesian3.fromDegrees(7.6, 47.6),
+          },
+        ]),
+        credit
+      );
+      viewer = createViewer(container, {
+        reverseGeocoderService: service,
+      });
+
+      const position = Cartesian3.fromDegrees(7.6, 47.6);
+      clickGlobe(viewer, position);
+      expect(service.reverseGeocode).toHaveBeenCalled();
+      expect(
+        service.reverseGeocode.calls.argsFor(0)[0].longitude
+      ).toEqualEpsilon(CesiumMath.toRadians(7.6), CesiumMath.EPSILON10);
+      expect(viewer.selectedEntity.description.getValue()).toEqual(
+        "Loading address..."
+      );
+
+      await pollToPromise(function () {
+        return viewer.selectedEntity.name === displayName;
+      });
+      const entity = viewer.selectedEntity;
+      expect(entity.position.getValue(viewer.clock.currentTime)).toEqual(
+        position
+      );
+
+      const description = entity.description.getValue();
+      expect(description).toContain("&lt;img");
+      expect(description).not.toContain("<img");
+      expect(description).toContain(credit.html);
+
+      viewer.clock.tick();
+      const infoBoxViewModel = viewer.infoBox.viewModel;
+      expect(infoBoxViewModel.titleText).toEqual(displayName);
+      expect(infoBoxViewModel.description).toEqual(description);
+    });
+
+    it("shows that no features were found when reverse geocoding finds no address", async function () {
+      const service = createReverseGeocoderService(Promise.resolve([]));
+      viewer = createViewer(container, {
+        reverseGeocoderService: service,
+      });
+
+      clickGlobe(viewer, Cartesian3.fromDegrees(7.6, 47.6));
+      await pollToPromise(function () {
+        return viewer.selectedEntity.id === "None";
+      });
+      expect(viewer.selectedEntity.description.getValue()).toEqual(
+        "No features found."
+      );
+    });
+
+    it("does not reverse geocode when the globe is not picked", function () {
+      const service = createReverseGeocoderService(Promise.resolve([]));
+      viewer = createViewer(container, {
+        reverseGeocoderService: service,
+      });
+
+      clickGlobe(viewer, undefined);
+      expect(service.reverseGeocode).not.toHaveBeenCalled();
+      expect(viewer.selectedEntity).toBeUndefined();
+    });
+
     it("can shut off SelectionIndicator", function () {
       viewer = createViewer(container, {
         selectionIndicator: false,